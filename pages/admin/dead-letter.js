@@ -0,0 +1,347 @@
+import { useState, useEffect, useCallback } from 'react';
+import * as AlertDialog from '@radix-ui/react-alert-dialog';
+import { getJson, postJson } from '@utils/api';
+import DashboardNavbar from '@components/DashboardNavbar';
+import { isRequeueableJob } from '@modules-logic/utils/dead-letter.js';
+
+const reasons = [
+  { value: 'all', label: 'All Reasons' },
+  { value: 'expired', label: 'Expired' },
+  { value: 'retries_exhausted', label: 'Retries Exhausted' },
+  { value: 'not_retryable', label: 'Not Retryable' },
+];
+
+const reasonColors = {
+  expired: 'bg-yellow-100 text-yellow-800',
+  retries_exhausted: 'bg-red-100 text-red-800',
+  not_retryable: 'bg-orange-100 text-orange-800',
+};
+
+export default function DeadLetterQueue() {
+  const [jobs, setJobs] = useState([]);
+  const [byReason, setByReason] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reason, setReason] = useState('all');
+  const [selected, setSelected] = useState([]);
+  const [working, setWorking] = useState(false);
+  const [discardDialogOpen, setDiscardDialogOpen] = useState(false);
+  const [pagination, setPagination] = useState({
+    limit: 50,
+    offset: 0,
+    total: 0,
+  });
+
+  // Fetch dead-letter jobs
+  const fetchJobs = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams();
+      if (reason !== 'all') params.append('reason', reason);
+      params.append('limit', pagination.limit.toString());
+      params.append('offset', pagination.offset.toString());
+
+      const data = await getJson(`/api/admin/dead-letter/list?${params.toString()}`);
+      setJobs(data.jobs || []);
+      setByReason(data.byReason || {});
+      setPagination((prev) => ({ ...prev, total: data.total || 0 }));
+      setSelected([]);
+    } catch (err) {
+      console.error('Error fetching dead-letter jobs:', err);
+      setError(err.message || 'Failed to load dead-letter jobs');
+    } finally {
+      setLoading(false);
+    }
+  }, [reason, pagination.limit, pagination.offset]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  const toggleSelected = (jobId) => {
+    setSelected((prev) =>
+      prev.includes(jobId) ? prev.filter((id) => id !== jobId) : [...prev, jobId]
+    );
+  };
+
+  const toggleAll = () => {
+    setSelected((prev) => (prev.length === jobs.length ? [] : jobs.map((job) => job.id)));
+  };
+
+  const runAction = async (path, body = {}) => {
+    try {
+      setWorking(true);
+      const result = await postJson(path, body);
+      alert(result.message);
+      fetchJobs();
+    } catch (err) {
+      console.error(`Error calling ${path}:`, err);
+      alert(err.message || 'Operation failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Record jobs cannot be requeued; the user starts a new recording instead
+  const requeueable = jobs.filter((job) => selected.includes(job.id) && isRequeueableJob(job)).map((job) => job.id);
+
+  const handleRequeue = () => runAction('/api/admin/dead-letter/requeue', { jobIds: requeueable });
+
+  const handleDiscardConfirm = async () => {
+    setDiscardDialogOpen(false);
+    await runAction('/api/admin/dead-letter/discard', { jobIds: selected });
+  };
+
+  const handleSweep = () => runAction('/api/admin/dead-letter/sweep');
+
+  const totalDeadLetter = Object.values(byReason).reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <DashboardNavbar />
+      <div className="pt-16 p-6">
+        <div className="max-w-7xl mx-auto">
+          {/* Header */}
+          <header className="mb-8">
+            <div className="flex items-center justify-between">
+              <div>
+                <h1 className="text-3xl font-bold text-gray-900">Dead-Letter Queue</h1>
+                <p className="text-sm text-gray-600 mt-1">
+                  Jobs that expired or failed after all automatic retries
+                </p>
+              </div>
+              <button
+                onClick={handleSweep}
+                disabled={working}
+                className="px-4 py-2 bg-gray-800 text-white rounded hover:bg-gray-900 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Run Sweeper
+              </button>
+            </div>
+          </header>
+
+          {/* Statistics */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <p className="text-sm font-medium text-gray-600">Total</p>
+              <p className="text-3xl font-bold text-gray-900 mt-2">{totalDeadLetter}</p>
+            </div>
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <p className="text-sm font-medium text-gray-600">Expired</p>
+              <p className="text-3xl font-bold text-yellow-600 mt-2">{byReason.expired || 0}</p>
+            </div>
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <p className="text-sm font-medium text-gray-600">Retries Exhausted</p>
+              <p className="text-3xl font-bold text-red-600 mt-2">
+                {byReason.retries_exhausted || 0}
+              </p>
+            </div>
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <p className="text-sm font-medium text-gray-600">Not Retryable</p>
+              <p className="text-3xl font-bold text-orange-600 mt-2">
+                {byReason.not_retryable || 0}
+              </p>
+            </div>
+          </div>
+
+          {/* Filters and bulk actions */}
+          <div className="bg-white rounded-lg shadow-md p-6 mb-6 flex flex-wrap items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Reason</label>
+              <select
+                value={reason}
+                onChange={(e) => {
+                  setReason(e.target.value);
+                  setPagination((prev) => ({ ...prev, offset: 0 }));
+                }}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {reasons.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="flex gap-2 ml-auto">
+              <button
+                onClick={handleRequeue}
+                disabled={working || requeueable.length === 0}
+                className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Requeue ({requeueable.length})
+              </button>
+              <button
+                onClick={() => setDiscardDialogOpen(true)}
+                disabled={working || selected.length === 0}
+                className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Discard ({selected.length})
+              </button>
+            </div>
+          </div>
+
+          {/* Loading State */}
+          {loading && (
+            <div className="bg-white rounded-lg shadow-md p-8 text-center">
+              <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600" />
+              <p className="mt-2 text-gray-600">Loading dead-letter jobs...</p>
+            </div>
+          )}
+
+          {/* Error State */}
+          {!loading && error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-6">
+              {error}
+            </div>
+          )}
+
+          {/* Jobs List */}
+          {!loading && !error && (
+            <>
+              {jobs.length === 0 ? (
+                <div className="bg-white rounded-lg shadow-md p-8 text-center mb-6">
+                  <p className="text-gray-600">The dead-letter queue is empty</p>
+                </div>
+              ) : (
+                <div className="bg-white rounded-lg shadow-md overflow-hidden mb-6">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-3">
+                          <input
+                            type="checkbox"
+                            checked={selected.length === jobs.length}
+                            onChange={toggleAll}
+                            className="w-4 h-4"
+                          />
+                        </th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Job</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Error</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Retries</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Dead-Lettered</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {jobs.map((job) => (
+                        <tr key={job.id} className="hover:bg-gray-50">
+                          <td className="px-4 py-3 text-center">
+                            <input
+                              type="checkbox"
+                              checked={selected.includes(job.id)}
+                              onChange={() => toggleSelected(job.id)}
+                              className="w-4 h-4"
+                            />
+                          </td>
+                          <td className="px-4 py-3 text-sm">
+                            <p className="font-medium text-gray-900" title={job.id}>
+                              {job.id.substring(0, 8)}
+                            </p>
+                            <p className="text-xs text-gray-500 capitalize">{job.job_type}</p>
+                            {!isRequeueableJob(job) && (
+                              <p className="text-xs text-gray-400">Cannot be requeued</p>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 text-xs text-gray-600">{job.user_id}</td>
+                          <td className="px-4 py-3">
+                            <span
+                              className={`px-2 py-1 rounded text-xs font-medium ${
+                                reasonColors[job.dead_letter_reason] || 'bg-gray-100 text-gray-800'
+                              }`}
+                            >
+                              {job.dead_letter_reason || 'unknown'}
+                            </span>
+                          </td>
+                          <td className="px-4 py-3 text-xs text-red-600 max-w-xs truncate">
+                            {job.results?.error || '—'}
+                          </td>
+                          <td className="px-4 py-3 text-sm text-gray-600">
+                            {job.retry_count || 0} / {job.max_retries ?? 0}
+                          </td>
+                          <td className="px-4 py-3 text-sm text-gray-600">
+                            {job.dead_lettered_at
+                              ? new Date(job.dead_lettered_at).toLocaleString()
+                              : 'N/A'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {/* Pagination */}
+              {pagination.total > pagination.limit && (
+                <div className="flex items-center justify-between bg-white rounded-lg shadow-md p-4">
+                  <div className="text-sm text-gray-600">
+                    Showing {pagination.offset + 1}-
+                    {Math.min(pagination.offset + pagination.limit, pagination.total)} of{' '}
+                    {pagination.total} jobs
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() =>
+                        setPagination((prev) => ({
+                          ...prev,
+                          offset: Math.max(0, prev.offset - prev.limit),
+                        }))
+                      }
+                      disabled={pagination.offset === 0}
+                      className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      Previous
+                    </button>
+                    <button
+                      onClick={() =>
+                        setPagination((prev) => ({ ...prev, offset: prev.offset + prev.limit }))
+                      }
+                      disabled={pagination.offset + pagination.limit >= pagination.total}
+                      className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+
+          {/* Discard Dialog */}
+          <AlertDialog.Root open={discardDialogOpen} onOpenChange={setDiscardDialogOpen}>
+            <AlertDialog.Portal>
+              <AlertDialog.Overlay className="fixed inset-0 bg-black bg-opacity-50" />
+              <AlertDialog.Content className="fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-white rounded-lg p-6 max-w-md w-full mx-4">
+                <AlertDialog.Title className="text-xl font-bold mb-2">
+                  Discard Jobs
+                </AlertDialog.Title>
+                <AlertDialog.Description className="text-gray-600 mb-6">
+                  Are you sure you want to discard <strong>{selected.length}</strong> job(s)? The
+                  jobs and their execution reports will be deleted. This action cannot be undone.
+                </AlertDialog.Description>
+                <div className="flex gap-2 justify-end">
+                  <AlertDialog.Cancel asChild>
+                    <button className="px-4 py-2 bg-gray-300 text-gray-700 rounded hover:bg-gray-400 transition-colors">
+                      Cancel
+                    </button>
+                  </AlertDialog.Cancel>
+                  <AlertDialog.Action asChild>
+                    <button
+                      onClick={handleDiscardConfirm}
+                      className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
+                    >
+                      Discard
+                    </button>
+                  </AlertDialog.Action>
+                </div>
+              </AlertDialog.Content>
+            </AlertDialog.Portal>
+          </AlertDialog.Root>
+        </div>
+      </div>
+    </div>
+  );
+}
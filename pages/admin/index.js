@@ -223,6 +223,13 @@ export default function AdminDashboard() {
                   icon="👥"
                   color="purple"
                 />
+                <NavigationCard
+                  title="Dead-Letter Queue"
+                  description="Inspect, requeue or discard expired and exhausted jobs"
+                  href="/admin/dead-letter"
+                  icon="📭"
+                  color="orange"
+                />
               </div>
             </div>
 
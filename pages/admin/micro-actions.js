@@ -5,6 +5,10 @@ import Modal from '@components/Modal';
 import MicroActionCard from '@components/admin/MicroActionCard';
 import MicroActionForm from '@components/admin/MicroActionForm';
 import ImportRecordingModal from '@components/admin/ImportRecordingModal';
+import HealingProposalList from '@components/admin/HealingProposalList';
+import RecordingSessionList from '@components/admin/RecordingSessionList';
+import { toElementRedactions } from '@modules-recorder/utils/step-annotations.mjs';
+import { isVerbatimValue } from '@modules-recorder/utils/template-replacement.mjs';
 
 const platforms = ['all', 'instagram', 'facebook', 'twitter'];
 const actionTypes = [
@@ -15,10 +19,21 @@ const actionTypes = [
   'navigate',
   'upload',
   'extract',
+  'submit',
+  'keypress',
+  'hover',
+  'drag',
   'scroll',
   'screenshot',
 ];
 
+// Shared rows are maintained by admins; private ones were recorded by users with their agent
+const owners = [
+  { value: 'shared', label: 'Shared' },
+  { value: 'private', label: 'Private (recorded by users)' },
+  { value: 'all', label: 'All' },
+];
+
 export default function MicroActions() {
   const [microActions, setMicroActions] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -26,6 +41,7 @@ export default function MicroActions() {
     platform: 'all',
     type: 'all',
     search: '',
+    owner: 'shared',
   });
   const [searchInput, setSearchInput] = useState('');
   const [showForm, setShowForm] = useState(false);
@@ -34,6 +50,11 @@ export default function MicroActions() {
   const [error, setError] = useState(null);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [actionToDelete, setActionToDelete] = useState(null);
+  const [healingProposals, setHealingProposals] = useState([]);
+  const [showHealing, setShowHealing] = useState(false);
+  const [recordingSessions, setRecordingSessions] = useState([]);
+  const [showSessions, setShowSessions] = useState(false);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
 
   // Debounced search
   useEffect(() => {
@@ -54,6 +75,7 @@ export default function MicroActions() {
       if (filters.platform !== 'all') params.append('platform', filters.platform);
       if (filters.type !== 'all') params.append('type', filters.type);
       if (filters.search) params.append('search', filters.search);
+      params.append('owner', filters.owner);
       params.append('page', '1');
       params.append('limit', '100');
 
@@ -71,6 +93,55 @@ export default function MicroActions() {
     fetchMicroActions();
   }, [fetchMicroActions]);
 
+  // Fetch pending healing proposals (fresh visual data captured by agents)
+  const fetchHealingProposals = useCallback(async () => {
+    try {
+      const data = await getJson('/api/admin/micro-actions/healing-proposals/list?status=pending');
+      setHealingProposals(data.proposals || []);
+    } catch (err) {
+      console.error('Error fetching healing proposals:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchHealingProposals();
+  }, [fetchHealingProposals]);
+
+  // Handle healing proposal review
+  const handleReviewProposal = (decision) => async (proposal) => {
+    try {
+      await postJson(`/api/admin/micro-actions/healing-proposals/${decision}`, { proposalId: proposal.id });
+      const remaining = healingProposals.filter((p) => p.id !== proposal.id);
+      setHealingProposals(remaining);
+      if (remaining.length === 0) {
+        setShowHealing(false);
+      }
+      if (decision === 'accept') {
+        fetchMicroActions();
+      }
+    } catch (err) {
+      console.error(`Error on ${decision} healing proposal:`, err);
+      alert(err.message || `Failed to ${decision} healing proposal`);
+      fetchHealingProposals();
+    }
+  };
+
+  // Fetch completed recording sessions (streamed by the recorder) when the picker opens
+  const openRecordingSessions = async () => {
+    setShowSessions(true);
+    setSessionsLoading(true);
+    try {
+      const data = await getJson('/api/admin/recording-sessions/list?status=completed');
+      setRecordingSessions(data.sessions || []);
+    } catch (err) {
+      console.error('Error fetching recording sessions:', err);
+      alert(err.message || 'Failed to load recording sessions');
+      setShowSessions(false);
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
   // Handle create/update
   const handleSave = async (formData) => {
     try {
@@ -149,9 +220,11 @@ export default function MicroActions() {
               position: action.visual.position || { absolute: { x: 0, y: 0 }, relative: { x: 0, y: 0 } },
               boundingBox: action.visual.boundingBox || { x: 0, y: 0, width: 0, height: 0 },
               surroundingText: action.visual.surroundingText || [],
+              viewport: action.visual.viewport || null,
               timestamp: action.visual.timestamp || action.timestamp,
             } : null,
             backup_selector: action.backup_selector || null,
+            ...(action.context_path?.length ? { context_path: action.context_path } : {}),
             execution_method: action.execution_method || 'visual_first',
           };
           break;
@@ -171,9 +244,11 @@ export default function MicroActions() {
               position: action.visual.position || { absolute: { x: 0, y: 0 }, relative: { x: 0, y: 0 } },
               boundingBox: action.visual.boundingBox || { x: 0, y: 0, width: 0, height: 0 },
               surroundingText: action.visual.surroundingText || [],
+              viewport: action.visual.viewport || null,
               timestamp: action.visual.timestamp || action.timestamp,
             } : null,
             backup_selector: action.backup_selector || null,
+            ...(action.context_path?.length ? { context_path: action.context_path } : {}),
             text: action.value || '',
             execution_method: action.execution_method || 'visual_first',
           };
@@ -207,15 +282,59 @@ export default function MicroActions() {
               position: action.visual.position || { absolute: { x: 0, y: 0 }, relative: { x: 0, y: 0 } },
               boundingBox: action.visual.boundingBox || { x: 0, y: 0, width: 0, height: 0 },
               surroundingText: action.visual.surroundingText || [],
+              viewport: action.visual.viewport || null,
               timestamp: action.visual.timestamp || action.timestamp,
             } : null,
             backup_selector: action.backup_selector || null,
+            ...(action.context_path?.length ? { context_path: action.context_path } : {}),
             filePath: action.filePath || '{{imagePath}}',
             execution_method: action.execution_method || 'visual_first',
           };
           break;
         }
 
+        case 'extract':
+        case 'submit':
+        case 'keypress':
+        case 'hover':
+        case 'drag': {
+          const elementText = (action.visual?.text || '').substring(0, 30) || 'element';
+          microAction.name = {
+            extract: `Extract ${action.variableName || 'value'}`,
+            submit: 'Submit form',
+            keypress: `Press ${[...(action.modifiers || []), action.key].join('+')}`,
+            hover: `Hover "${elementText}"`,
+            drag: `Drag "${elementText}"`,
+          }[action.type];
+          microAction.params = {
+            visual: action.visual ? {
+              screenshot: action.visual.screenshot || null,
+              contextScreenshot: action.visual.contextScreenshot || null,
+              text: action.visual.text || '',
+              position: action.visual.position || { absolute: { x: 0, y: 0 }, relative: { x: 0, y: 0 } },
+              boundingBox: action.visual.boundingBox || { x: 0, y: 0, width: 0, height: 0 },
+              surroundingText: action.visual.surroundingText || [],
+              viewport: action.visual.viewport || null,
+              timestamp: action.visual.timestamp || action.timestamp,
+            } : null,
+            backup_selector: action.backup_selector || action.selector || null,
+            ...(action.context_path?.length ? { context_path: action.context_path } : {}),
+            execution_method: action.execution_method || 'visual_first',
+          };
+          if (action.type === 'extract') {
+            microAction.params.variableName = action.variableName;
+            microAction.params.source = action.source || 'text';
+          } else if (action.type === 'keypress') {
+            microAction.params.key = action.key;
+            microAction.params.modifiers = action.modifiers || [];
+          } else if (action.type === 'hover') {
+            microAction.params.duration = action.duration || 500;
+          } else if (action.type === 'drag') {
+            microAction.params.delta = action.delta;
+          }
+          break;
+        }
+
         case 'scroll': {
           microAction.name = `Scroll ${action.direction || 'down'}`;
           microAction.params = {
@@ -241,12 +360,34 @@ export default function MicroActions() {
             ...action.params,
             ...(action.visual ? { visual: action.visual } : {}),
             ...(action.backup_selector ? { backup_selector: action.backup_selector } : {}),
+            ...(action.context_path?.length ? { context_path: action.context_path } : {}),
             execution_method: action.execution_method || 'visual_first',
           };
           break;
         }
       }
 
+      // Choices made in the recording overlay
+      if (typeof action.step_name === 'string' && action.step_name.trim()) {
+        microAction.name = action.step_name.trim();
+      }
+      if (action.optional) {
+        microAction.params.optional = true;
+      }
+      if (action.template_variable && action.type === 'type') {
+        microAction.params.text = `{{${action.template_variable}}}`;
+      } else if (action.template_variable && action.type === 'upload') {
+        microAction.params.filePath = `{{${action.template_variable}}}`;
+      }
+      const redactions = toElementRedactions(action.redactions, microAction.params.visual?.boundingBox);
+      if (redactions.length > 0) {
+        microAction.params.visual.redactions = redactions;
+      }
+      // Typed values no template rule matched are reviewed in the import modal
+      if (microAction.type === 'type' && isVerbatimValue(microAction.params.text)) {
+        microAction.params.needs_review = true;
+      }
+
       microActions.push(microAction);
       actionIndex++;
     }
@@ -277,8 +418,10 @@ export default function MicroActions() {
             ...(action.params || {}),
             visual: action.visual,
             backup_selector: action.backup_selector || null,
+            ...(action.context_path?.length ? { context_path: action.context_path } : {}),
             execution_method: action.execution_method || 'visual_first',
             ...(action.text ? { text: action.text } : {}),
+            ...(action.needs_review ? { needs_review: true } : {}),
           },
         };
       }
@@ -293,6 +436,53 @@ export default function MicroActions() {
     });
   };
 
+  // Open the import modal for raw recorded actions (recording file or session)
+  const openRecordedActionsImport = (data) => {
+    const platform = data.platform || 'all';
+    const convertedActions = convertRecordedActionsToMicroActions(
+      data.recordedActions,
+      platform
+    );
+
+    setImportData({
+      ...data,
+      microActions: convertedActions,
+      platform: platform,
+      sessionName: data.sessionName || data.sessionId || 'Imported Session',
+      url: data.url || '',
+    });
+  };
+
+  const handleImportSession = async (session) => {
+    try {
+      const data = await getJson(`/api/admin/recording-sessions/${session.id}`);
+      setShowSessions(false);
+      openRecordedActionsImport({
+        sessionId: session.id,
+        sessionName: data.session.name || session.id,
+        platform: data.session.platform,
+        url: data.session.url,
+        recordedActions: data.session.recorded_actions || [],
+      });
+    } catch (err) {
+      console.error('Error loading recording session:', err);
+      alert(err.message || 'Failed to load recording session');
+    }
+  };
+
+  const handleDeleteSession = async (session) => {
+    if (!window.confirm(`Delete recording session "${session.name || session.id}"? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await postJson(`/api/admin/recording-sessions/${session.id}`, {}, 'DELETE');
+      setRecordingSessions((prev) => prev.filter((s) => s.id !== session.id));
+    } catch (err) {
+      console.error('Error deleting recording session:', err);
+      alert(err.message || 'Failed to delete recording session');
+    }
+  };
+
   // Handle import
   const handleImportFile = (e) => {
     const file = e.target.files[0];
@@ -306,22 +496,7 @@ export default function MicroActions() {
         // Check if it's a recorded session format (has recordedActions)
         if (data.recordedActions && Array.isArray(data.recordedActions)) {
           // Convert recorded actions to micro-actions format
-          const platform = data.platform || 'all';
-          const convertedActions = convertRecordedActionsToMicroActions(
-            data.recordedActions,
-            platform
-          );
-          
-          // Create normalized data structure
-          const normalizedData = {
-            ...data,
-            microActions: convertedActions,
-            platform: platform,
-            sessionName: data.sessionId || 'Imported Session',
-            url: data.url || '',
-          };
-          
-          setImportData(normalizedData);
+          openRecordedActionsImport({ ...data, sessionName: data.sessionId });
         } 
         // Check if it already has microActions (pre-converted format)
         else if (data.microActions && Array.isArray(data.microActions)) {
@@ -367,20 +542,38 @@ export default function MicroActions() {
         {/* Header */}
         <div className="mb-6 flex items-center justify-between">
           <h1 className="text-3xl font-bold text-gray-900">Micro-Actions</h1>
-          <button
-            onClick={() => {
-              setEditingAction(null);
-              setShowForm(true);
-            }}
-            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
-          >
-            + Add Micro-Action
-          </button>
+          <div className="flex gap-3">
+            {healingProposals.length > 0 && (
+              <button
+                onClick={() => setShowHealing(true)}
+                className="px-4 py-2 bg-amber-100 text-amber-900 rounded-md hover:bg-amber-200 transition-colors"
+                title="Agents found these elements only with low confidence and captured fresh visual data"
+              >
+                Healing Proposals ({healingProposals.length})
+              </button>
+            )}
+            <button
+              onClick={openRecordingSessions}
+              className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+              title="Import a recording streamed to the server by the recorder"
+            >
+              Import from Session
+            </button>
+            <button
+              onClick={() => {
+                setEditingAction(null);
+                setShowForm(true);
+              }}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+            >
+              + Add Micro-Action
+            </button>
+          </div>
         </div>
 
         {/* Filters */}
         <div className="bg-white rounded-lg shadow-md p-4 mb-6">
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Platform
@@ -417,6 +610,23 @@ export default function MicroActions() {
               </select>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Owner
+              </label>
+              <select
+                value={filters.owner}
+                onChange={(e) => setFilters({ ...filters, owner: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {owners.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Search
@@ -518,6 +728,35 @@ export default function MicroActions() {
           />
         </Modal>
 
+        {/* Recording Sessions Modal */}
+        <Modal
+          isOpen={showSessions}
+          onClose={() => setShowSessions(false)}
+          title="Import from Recording Session"
+          size="lg"
+        >
+          <RecordingSessionList
+            sessions={recordingSessions}
+            loading={sessionsLoading}
+            onImport={handleImportSession}
+            onDelete={handleDeleteSession}
+          />
+        </Modal>
+
+        {/* Healing Proposals Modal */}
+        <Modal
+          isOpen={showHealing}
+          onClose={() => setShowHealing(false)}
+          title="Healing Proposals"
+          size="xl"
+        >
+          <HealingProposalList
+            proposals={healingProposals}
+            onAccept={handleReviewProposal('accept')}
+            onReject={handleReviewProposal('reject')}
+          />
+        </Modal>
+
         {/* Delete Confirmation Dialog */}
         <AlertDialog.Root open={deleteDialogOpen} onOpenChange={setDeleteDialogOpen}>
           <AlertDialog.Portal>
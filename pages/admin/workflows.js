@@ -8,12 +8,20 @@ import WorkflowForm from '@components/admin/WorkflowForm';
 const platforms = ['all', 'instagram', 'facebook', 'twitter'];
 const workflowTypes = ['all', 'auth', 'post', 'story', 'comment', 'like'];
 
+// Shared rows are maintained by admins; private ones were recorded by users with their agent
+const owners = [
+  { value: 'shared', label: 'Shared' },
+  { value: 'private', label: 'Private (recorded by users)' },
+  { value: 'all', label: 'All' },
+];
+
 export default function Workflows() {
   const [workflows, setWorkflows] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filters, setFilters] = useState({
     platform: 'all',
     type: 'all',
+    owner: 'shared',
   });
   const [showForm, setShowForm] = useState(false);
   const [editingWorkflow, setEditingWorkflow] = useState(null);
@@ -30,6 +38,7 @@ export default function Workflows() {
       const params = new URLSearchParams();
       if (filters.platform !== 'all') params.append('platform', filters.platform);
       if (filters.type !== 'all') params.append('type', filters.type);
+      params.append('owner', filters.owner);
       params.append('page', '1');
       params.append('limit', '100');
 
@@ -125,7 +134,7 @@ export default function Workflows() {
 
         {/* Filters */}
         <div className="bg-white rounded-lg shadow-md p-4 mb-6">
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Platform
@@ -161,6 +170,23 @@ export default function Workflows() {
                 ))}
               </select>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Owner
+              </label>
+              <select
+                value={filters.owner}
+                onChange={(e) => setFilters({ ...filters, owner: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {owners.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
         </div>
 
@@ -38,6 +38,7 @@ export default async function handler(req, res) {
     }
 
     // Get statistics in parallel
+    // Statistics cover shared rows; private recordings of users (owner_id) are counted apart
     const [
       { count: totalMicroActions },
       { count: totalWorkflows },
@@ -45,25 +46,40 @@ export default async function handler(req, res) {
       { data: workflowsByPlatform },
       { data: microActionsByType },
       { data: workflowsByType },
+      { count: privateMicroActions },
+      { count: privateWorkflows },
     ] = await Promise.all([
       // Count total micro-actions
       supabase
         .from('micro_actions')
         .select('*', { count: 'exact', head: true })
-        .eq('is_active', true),
+        .eq('is_active', true)
+        .is('owner_id', null),
       // Count total workflows
       supabase
         .from('workflows')
         .select('*', { count: 'exact', head: true })
-        .eq('is_active', true),
+        .eq('is_active', true)
+        .is('owner_id', null),
       // Get micro-actions for platform distribution
-      supabase.from('micro_actions').select('platform').eq('is_active', true),
+      supabase.from('micro_actions').select('platform').eq('is_active', true).is('owner_id', null),
       // Get workflows for platform distribution
-      supabase.from('workflows').select('platform').eq('is_active', true),
+      supabase.from('workflows').select('platform').eq('is_active', true).is('owner_id', null),
       // Get micro-actions for type distribution
-      supabase.from('micro_actions').select('type').eq('is_active', true),
+      supabase.from('micro_actions').select('type').eq('is_active', true).is('owner_id', null),
       // Get workflows for type distribution
-      supabase.from('workflows').select('type').eq('is_active', true),
+      supabase.from('workflows').select('type').eq('is_active', true).is('owner_id', null),
+      // Count private micro-actions and workflows recorded by users
+      supabase
+        .from('micro_actions')
+        .select('*', { count: 'exact', head: true })
+        .eq('is_active', true)
+        .not('owner_id', 'is', null),
+      supabase
+        .from('workflows')
+        .select('*', { count: 'exact', head: true })
+        .eq('is_active', true)
+        .not('owner_id', 'is', null),
     ]);
 
     // Calculate platform distribution
@@ -109,12 +125,14 @@ export default async function handler(req, res) {
       .from('micro_actions')
       .select('*', { count: 'exact', head: true })
       .eq('is_active', true)
+      .is('owner_id', null)
       .gte('created_at', sevenDaysAgo.toISOString());
 
     const { count: recentWorkflows } = await supabase
       .from('workflows')
       .select('*', { count: 'exact', head: true })
       .eq('is_active', true)
+      .is('owner_id', null)
       .gte('created_at', sevenDaysAgo.toISOString());
 
     const dashboard = {
@@ -123,12 +141,14 @@ export default async function handler(req, res) {
         microActions: {
           total: totalMicroActions || 0,
           recent: recentMicroActions || 0,
+          private: privateMicroActions || 0,
           byPlatform: platformDistribution.microActions,
           byType: typeDistribution.microActions,
         },
         workflows: {
           total: totalWorkflows || 0,
           recent: recentWorkflows || 0,
+          private: privateWorkflows || 0,
           byPlatform: platformDistribution.workflows,
           byType: typeDistribution.workflows,
         },
@@ -0,0 +1,66 @@
+import { requireAdmin } from '@modules-logic/middleware/admin.js';
+import { discardDeadLetterJobs } from '@modules-logic/services/dead-letter.js';
+
+/**
+ * @swagger
+ * /api/admin/dead-letter/discard:
+ *   post:
+ *     summary: Discard dead-letter jobs (admin only)
+ *     description: Deletes the jobs together with their execution reports. Jobs that are not in the dead-letter queue are skipped.
+ *     tags: [Admin Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - jobIds
+ *             properties:
+ *               jobIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       200:
+ *         description: Jobs discarded
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Require admin
+    await requireAdmin(req);
+
+    const result = await discardDeadLetterJobs(req.body?.jobIds);
+
+    return res.status(200).json({
+      message: `${result.discarded} job(s) discarded`,
+      ...result,
+    });
+  } catch (err) {
+    console.error('Discard dead-letter jobs error:', err);
+
+    if (err.message === 'Admin access required') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (err.message?.includes('authorization') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    return res.status(400).json({ error: err.message || 'Failed to discard jobs' });
+  }
+}
@@ -0,0 +1,79 @@
+import { requireAdmin } from '@modules-logic/middleware/admin.js';
+import { listDeadLetterJobs } from '@modules-logic/services/dead-letter.js';
+
+/**
+ * @swagger
+ * /api/admin/dead-letter/list:
+ *   get:
+ *     summary: List jobs in the dead-letter queue (admin only)
+ *     tags: [Admin Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [expired, retries_exhausted, not_retryable]
+ *         description: Filter by dead-letter reason
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by job owner
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Maximum number of jobs to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Offset for pagination
+ *     responses:
+ *       200:
+ *         description: Dead-letter jobs retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Require admin
+    await requireAdmin(req);
+
+    const { reason, userId, limit, offset } = req.query || {};
+    const filters = {};
+
+    if (reason) filters.reason = reason;
+    if (userId) filters.userId = userId;
+    if (limit) filters.limit = parseInt(limit, 10);
+    if (offset) filters.offset = parseInt(offset, 10);
+
+    const result = await listDeadLetterJobs(filters);
+
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('List dead-letter jobs error:', err);
+
+    if (err.message === 'Admin access required') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (err.message?.includes('authorization') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    return res.status(400).json({ error: err.message || 'Failed to list dead-letter jobs' });
+  }
+}
@@ -0,0 +1,50 @@
+import { requireAdmin } from '@modules-logic/middleware/admin.js';
+import { sweepDeadLetterJobs } from '@modules-logic/services/dead-letter.js';
+
+/**
+ * @swagger
+ * /api/admin/dead-letter/sweep:
+ *   post:
+ *     summary: Run the dead-letter sweeper for all users (admin only)
+ *     description: Moves expired queued jobs and failed jobs that will not be retried to the dead-letter queue and notifies their owners. Agents also sweep their own user's jobs on every poll, and /api/cron/scheduler sweeps all users.
+ *     tags: [Admin Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sweep completed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Require admin
+    await requireAdmin(req);
+
+    const result = await sweepDeadLetterJobs();
+
+    return res.status(200).json({
+      message: `${result.count} job(s) moved to the dead-letter queue`,
+      ...result,
+    });
+  } catch (err) {
+    console.error('Sweep dead-letter jobs error:', err);
+
+    if (err.message === 'Admin access required') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (err.message?.includes('authorization') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    return res.status(500).json({ error: err.message || 'Failed to sweep dead-letter jobs' });
+  }
+}
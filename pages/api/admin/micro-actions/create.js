@@ -37,7 +37,7 @@ import { optimizeVisualData, validateVisualDataSize } from '@modules-logic/utils
  *                 example: "Clicks the login button on Instagram"
  *               type:
  *                 type: string
- *                 enum: [click, type, wait, navigate, upload, extract, scroll, screenshot]
+ *                 enum: [click, type, wait, navigate, upload, extract, submit, keypress, hover, drag, scroll, screenshot]
  *                 example: "click"
  *               platform:
  *                 type: string
@@ -54,6 +54,7 @@ import { optimizeVisualData, validateVisualDataSize } from '@modules-logic/utils
  *                   visual:
  *                     screenshot: "data:image/png;base64,iVBORw0KGgo..."
  *                     text: "Log In"
+ *                     alternativeTexts: ["Masuk"]
  *                     position:
  *                       absolute:
  *                         x: 640
@@ -125,8 +126,31 @@ function validateParams(type, params) {
       if (!params.filePath) throw new Error('FilePath is required for upload actions');
       break;
     case 'extract':
-      if (!params.selector) throw new Error('Selector is required for extract actions');
+      if (!params.selector && !params.visual && params.source !== 'page_url') {
+        throw new Error('Selector is required for extract actions');
+      }
       if (!params.variableName) throw new Error('VariableName is required for extract actions');
+      if (params.source === 'attribute' && !params.attribute) {
+        throw new Error('Attribute is required for extract actions with source "attribute"');
+      }
+      break;
+    case 'submit':
+      if (!params.selector && !params.visual) throw new Error('Selector is required for submit actions');
+      break;
+    case 'keypress':
+      if (!params.key) throw new Error('Key is required for keypress actions');
+      if (params.modifiers && !Array.isArray(params.modifiers)) {
+        throw new Error('Modifiers must be an array for keypress actions');
+      }
+      break;
+    case 'hover':
+      if (!params.selector && !params.visual) throw new Error('Selector is required for hover actions');
+      break;
+    case 'drag':
+      if (!params.selector && !params.visual) throw new Error('Selector is required for drag actions');
+      if (typeof params.delta?.x !== 'number' || typeof params.delta?.y !== 'number') {
+        throw new Error('Delta (x, y) is required for drag actions');
+      }
       break;
     case 'scroll':
       if (!params.direction || !['up', 'down'].includes(params.direction)) {
@@ -163,9 +187,20 @@ export default async function handler(req, res) {
 
     // Validate type
     if (
-      !['click', 'type', 'wait', 'navigate', 'upload', 'extract', 'scroll', 'screenshot'].includes(
-        type,
-      )
+      ![
+        'click',
+        'type',
+        'wait',
+        'navigate',
+        'upload',
+        'extract',
+        'submit',
+        'keypress',
+        'hover',
+        'drag',
+        'scroll',
+        'screenshot',
+      ].includes(type)
     ) {
       return res.status(400).json({ error: 'Invalid action type' });
     }
@@ -0,0 +1,81 @@
+import { requireAdmin } from '@modules-logic/middleware/admin.js';
+import { listHealingProposals } from '@modules-logic/services/healing-proposals.js';
+
+/**
+ * @swagger
+ * /api/admin/micro-actions/healing-proposals/list:
+ *   get:
+ *     summary: List healing proposals for micro-actions (admin only)
+ *     description: Fresh visual data captured by agents for elements they only found after relaxing thresholds, at the recorded position or with low confidence. Each proposal has the micro-action's visual data at the time (before_visual) and the proposed one (visual).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, rejected, superseded, all]
+ *           default: pending
+ *         description: Filter by review status
+ *       - in: query
+ *         name: microActionId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by micro-action
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Maximum number of proposals to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Offset for pagination
+ *     responses:
+ *       200:
+ *         description: Healing proposals retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Require admin
+    await requireAdmin(req);
+
+    const { status, microActionId, limit, offset } = req.query || {};
+    const filters = {};
+
+    if (status) filters.status = status;
+    if (microActionId) filters.microActionId = microActionId;
+    if (limit) filters.limit = parseInt(limit, 10);
+    if (offset) filters.offset = parseInt(offset, 10);
+
+    const result = await listHealingProposals(filters);
+
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('List healing proposals error:', err);
+
+    if (err.message === 'Admin access required') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (err.message?.includes('authorization') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    return res.status(400).json({ error: err.message || 'Failed to list healing proposals' });
+  }
+}
@@ -0,0 +1,72 @@
+import { requireAdmin } from '@modules-logic/middleware/admin.js';
+import { rejectHealingProposal } from '@modules-logic/services/healing-proposals.js';
+
+/**
+ * @swagger
+ * /api/admin/micro-actions/healing-proposals/reject:
+ *   post:
+ *     summary: Reject a healing proposal (admin only)
+ *     description: The micro-action keeps its visual data.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - proposalId
+ *             properties:
+ *               proposalId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Proposal rejected
+ *       400:
+ *         description: Proposal is not pending
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Proposal or micro-action not found
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Require admin
+    const admin = await requireAdmin(req);
+
+    const { proposalId } = req.body || {};
+    if (!proposalId) {
+      return res.status(400).json({ error: 'proposalId is required' });
+    }
+
+    await rejectHealingProposal(proposalId, { reviewedBy: admin.id });
+
+    return res.status(200).json({ message: 'Healing proposal rejected' });
+  } catch (err) {
+    console.error('Reject healing proposal error:', err);
+
+    if (err.message === 'Admin access required') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (err.message?.includes('authorization') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (err.message?.endsWith('not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+
+    return res.status(400).json({ error: err.message || 'Failed to reject healing proposal' });
+  }
+}
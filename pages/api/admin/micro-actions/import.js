@@ -44,7 +44,7 @@ import {
  *                       type: string
  *                     type:
  *                       type: string
- *                       enum: [click, type, wait, navigate, upload, extract, scroll, screenshot]
+ *                       enum: [click, type, wait, navigate, upload, extract, submit, keypress, hover, drag, scroll, screenshot]
  *                     platform:
  *                       type: string
  *                       enum: [instagram, facebook, twitter, all]
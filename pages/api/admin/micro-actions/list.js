@@ -24,7 +24,7 @@ import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js
  *         name: type
  *         schema:
  *           type: string
- *           enum: [all, click, type, wait, navigate, upload, extract, scroll, screenshot]
+ *           enum: [all, click, type, wait, navigate, upload, extract, submit, keypress, hover, drag, scroll, screenshot]
  *           default: all
  *         description: Filter by action type
  *       - in: query
@@ -33,6 +33,13 @@ import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js
  *           type: string
  *         description: Search in name and description
  *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *           enum: [shared, private, all]
+ *           default: shared
+ *         description: "shared = micro-actions maintained by admins, private = recorded by users with their agent (owner_id set)"
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -84,7 +91,7 @@ export default async function handler(req, res) {
     }
 
     const supabase = createSupabaseServiceRoleClient();
-    const { platform, type, search, page = 1, limit = 50 } = req.query;
+    const { platform, type, search, owner = 'shared', page = 1, limit = 50 } = req.query;
 
     // Build query
     let query = supabase.from('micro_actions').select('*', { count: 'exact' });
@@ -105,6 +112,13 @@ export default async function handler(req, res) {
       query = query.or(`name.ilike.%${search}%,description.ilike.%${search}%`);
     }
 
+    // Private recordings of users (migration 028) are listed apart from the shared ones
+    if (owner === 'shared') {
+      query = query.is('owner_id', null);
+    } else if (owner === 'private') {
+      query = query.not('owner_id', 'is', null);
+    }
+
     // Pagination
     const pageNum = parseInt(page, 10);
     const limitNum = parseInt(limit, 10);
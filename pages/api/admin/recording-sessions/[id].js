@@ -0,0 +1,96 @@
+import { requireAdmin } from '@modules-logic/middleware/admin.js';
+import { deleteRecordingSession, getRecordingSession } from '@modules-logic/services/recording-sessions.js';
+
+// Recorded actions keep base64 screenshots that could not be uploaded
+export const config = {
+  api: {
+    responseLimit: false,
+  },
+};
+
+/**
+ * @swagger
+ * /api/admin/recording-sessions/{id}:
+ *   get:
+ *     summary: Get a recording session with its recorded actions (admin only)
+ *     description: Used by the recorder to resume an interrupted session and by the micro-actions page to import a completed one.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Recording session UUID
+ *     responses:
+ *       200:
+ *         description: Recording session retrieved successfully
+ *       404:
+ *         description: Recording session not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *
+ *   delete:
+ *     summary: Permanently delete a recording session
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Recording session deleted successfully
+ *       404:
+ *         description: Recording session not found
+ */
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Recording session ID is required' });
+  }
+
+  if (!['GET', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'DELETE']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Require admin
+    await requireAdmin(req);
+
+    if (req.method === 'GET') {
+      const session = await getRecordingSession(id);
+      return res.status(200).json({ session });
+    }
+
+    await deleteRecordingSession(id);
+    return res.status(200).json({ message: 'Recording session deleted successfully' });
+  } catch (err) {
+    console.error('Recording session error:', err);
+
+    if (err.message === 'Admin access required') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (err.message?.includes('authorization') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (err.message?.endsWith('not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+
+    return res.status(500).json({ error: err.message || 'Failed to process recording session' });
+  }
+}
@@ -0,0 +1,116 @@
+import { requireAdmin } from '@modules-logic/middleware/admin.js';
+import { syncRecordingActions } from '@modules-logic/services/recording-sessions.js';
+import { MAX_SYNC_BATCH_SIZE } from '@modules-logic/utils/recording-sessions.js';
+
+// Screenshots that are not uploaded yet are sent as base64 PNGs
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '10mb' },
+  },
+};
+
+/**
+ * @swagger
+ * /api/admin/recording-sessions/{id}/actions:
+ *   post:
+ *     summary: Stream recorded actions into a recording session (admin only)
+ *     description: |
+ *       Called by ActionRecorder every few seconds while recording. The session's actions from
+ *       fromIndex on are replaced by the batch, so actions whose screenshot was captured or
+ *       uploaded since the last sync are sent again from their index.
+ *       A batch starting past the stored actions is rejected with 409 and the stored count.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fromIndex
+ *               - actions
+ *             properties:
+ *               fromIndex:
+ *                 type: integer
+ *                 description: Index of the first action in the batch
+ *               actions:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   type: object
+ *                 description: Recorded actions (window.__recordedActions) from fromIndex on
+ *     responses:
+ *       200:
+ *         description: Actions stored, returns the session's actionCount
+ *       400:
+ *         description: Invalid batch or session is no longer recording
+ *       404:
+ *         description: Recording session not found
+ *       409:
+ *         description: Batch starts past the stored actions, returns the session's actionCount
+ *       413:
+ *         description: Too many actions in one request
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+
+  try {
+    // Require admin
+    await requireAdmin(req);
+
+    const { fromIndex, actions } = req.body || {};
+
+    if (!Array.isArray(actions)) {
+      return res.status(400).json({ error: 'Missing required field: actions' });
+    }
+
+    if (actions.length > MAX_SYNC_BATCH_SIZE) {
+      return res.status(413).json({ error: `Too many actions (max ${MAX_SYNC_BATCH_SIZE} per request)` });
+    }
+
+    const result = await syncRecordingActions(id, fromIndex, actions);
+
+    if (!result.synced) {
+      return res.status(409).json({
+        error: `Out of sync: the session has ${result.actionCount} actions`,
+        actionCount: result.actionCount,
+      });
+    }
+
+    return res.status(200).json({ actionCount: result.actionCount });
+  } catch (err) {
+    console.error('Sync recorded actions error:', err);
+
+    if (err.message === 'Admin access required') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (err.message?.includes('authorization') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (err.message?.endsWith('not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+
+    if (err.message?.startsWith('Failed to')) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    return res.status(400).json({ error: err.message || 'Failed to sync recorded actions' });
+  }
+}
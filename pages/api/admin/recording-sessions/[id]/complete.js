@@ -0,0 +1,67 @@
+import { requireAdmin } from '@modules-logic/middleware/admin.js';
+import { completeRecordingSession } from '@modules-logic/services/recording-sessions.js';
+
+/**
+ * @swagger
+ * /api/admin/recording-sessions/{id}/complete:
+ *   post:
+ *     summary: Complete a recording session (admin only)
+ *     description: Called by the recorder after the last actions were synced. Completed sessions can no longer be resumed and are listed for import on the micro-actions page.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Recording session completed
+ *       400:
+ *         description: Session is no longer recording
+ *       404:
+ *         description: Recording session not found
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+
+  try {
+    // Require admin
+    await requireAdmin(req);
+
+    const session = await completeRecordingSession(id);
+
+    return res.status(200).json({
+      message: 'Recording session completed',
+      session,
+    });
+  } catch (err) {
+    console.error('Complete recording session error:', err);
+
+    if (err.message === 'Admin access required') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (err.message?.includes('authorization') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (err.message?.endsWith('not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+
+    if (err.message?.startsWith('Failed to')) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    return res.status(400).json({ error: err.message || 'Failed to complete recording session' });
+  }
+}
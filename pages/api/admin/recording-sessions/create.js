@@ -0,0 +1,76 @@
+import { requireAdmin } from '@modules-logic/middleware/admin.js';
+import { createRecordingSession } from '@modules-logic/services/recording-sessions.js';
+
+/**
+ * @swagger
+ * /api/admin/recording-sessions/create:
+ *   post:
+ *     summary: Start a server-backed recording session (admin only)
+ *     description: Created by the recorder (tools/record.mjs) when recording starts. The recorder then streams its actions into the session through /api/admin/recording-sessions/{id}/actions.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - platform
+ *               - url
+ *             properties:
+ *               platform:
+ *                 type: string
+ *                 example: "instagram"
+ *               url:
+ *                 type: string
+ *                 example: "https://www.instagram.com/accounts/login/"
+ *               name:
+ *                 type: string
+ *                 example: "Instagram login"
+ *     responses:
+ *       201:
+ *         description: Recording session created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Require admin
+    const admin = await requireAdmin(req);
+
+    const { platform, url, name } = req.body || {};
+    const session = await createRecordingSession({ platform, url, name }, admin.id);
+
+    return res.status(201).json({
+      message: 'Recording session created',
+      session,
+    });
+  } catch (err) {
+    console.error('Create recording session error:', err);
+
+    if (err.message === 'Admin access required') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (err.message?.includes('authorization') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (err.message?.startsWith('Failed to')) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    return res.status(400).json({ error: err.message || 'Failed to create recording session' });
+  }
+}
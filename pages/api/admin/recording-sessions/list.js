@@ -0,0 +1,80 @@
+import { requireAdmin } from '@modules-logic/middleware/admin.js';
+import { listRecordingSessions } from '@modules-logic/services/recording-sessions.js';
+
+/**
+ * @swagger
+ * /api/admin/recording-sessions/list:
+ *   get:
+ *     summary: List recording sessions (admin only)
+ *     description: Sessions without their recorded actions, most recently updated first. Completed sessions can be imported as micro-actions; sessions still recording were interrupted or are in progress and can be resumed by the recorder.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [recording, completed, cancelled, all]
+ *           default: all
+ *         description: Filter by session status
+ *       - in: query
+ *         name: platform
+ *         schema:
+ *           type: string
+ *         description: Filter by platform
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Maximum number of sessions to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Offset for pagination
+ *     responses:
+ *       200:
+ *         description: Recording sessions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Require admin
+    await requireAdmin(req);
+
+    const { status, platform, limit, offset } = req.query || {};
+    const filters = {};
+
+    if (status) filters.status = status;
+    if (platform) filters.platform = platform;
+    if (limit) filters.limit = parseInt(limit, 10);
+    if (offset) filters.offset = parseInt(offset, 10);
+
+    const result = await listRecordingSessions(filters);
+
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('List recording sessions error:', err);
+
+    if (err.message === 'Admin access required') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (err.message?.includes('authorization') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    return res.status(400).json({ error: err.message || 'Failed to list recording sessions' });
+  }
+}
@@ -0,0 +1,80 @@
+import { requireAdmin } from '@modules-logic/middleware/admin.js';
+import { calibratePlatformThreshold } from '@modules-logic/services/similarity-thresholds.js';
+
+/**
+ * @swagger
+ * /api/admin/similarity-thresholds/calibrate:
+ *   post:
+ *     summary: Calibrate the screenshot similarity threshold of a platform (admin only)
+ *     description: Derives the threshold from the candidate similarity scores in recent completed execution reports of the platform and saves it. Workflows built afterwards carry the threshold to the agents.
+ *     tags: [Admin Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - platform
+ *             properties:
+ *               platform:
+ *                 type: string
+ *               method:
+ *                 type: string
+ *                 description: Similarity method (default combined)
+ *               days:
+ *                 type: integer
+ *                 description: Reports of the last N days (default 30)
+ *     responses:
+ *       200:
+ *         description: Threshold calibrated
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       422:
+ *         description: Not enough samples
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Require admin
+    await requireAdmin(req);
+
+    const { platform, method, days } = req.body || {};
+    const threshold = await calibratePlatformThreshold(platform, { method, days });
+
+    return res.status(200).json({
+      message: `Similarity threshold for ${platform} set to ${threshold.threshold}`,
+      threshold,
+    });
+  } catch (err) {
+    console.error('Calibrate similarity threshold error:', err);
+
+    if (err.message === 'Admin access required') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (err.message?.includes('authorization') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (err.message === 'platform is required') {
+      return res.status(400).json({ error: err.message });
+    }
+
+    if (err.message?.startsWith('Not enough samples')) {
+      return res.status(422).json({ error: err.message });
+    }
+
+    return res.status(500).json({ error: err.message || 'Failed to calibrate similarity threshold' });
+  }
+}
@@ -0,0 +1,47 @@
+import { requireAdmin } from '@modules-logic/middleware/admin.js';
+import { listSimilarityThresholds } from '@modules-logic/services/similarity-thresholds.js';
+
+/**
+ * @swagger
+ * /api/admin/similarity-thresholds/list:
+ *   get:
+ *     summary: List calibrated screenshot similarity thresholds (admin only)
+ *     description: One row per calibrated platform. Platforms without a row use the similarity method's default threshold.
+ *     tags: [Admin Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Thresholds by platform
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Require admin
+    await requireAdmin(req);
+
+    const thresholds = await listSimilarityThresholds();
+
+    return res.status(200).json({ thresholds });
+  } catch (err) {
+    console.error('List similarity thresholds error:', err);
+
+    if (err.message === 'Admin access required') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (err.message?.includes('authorization') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    return res.status(500).json({ error: err.message || 'Failed to list similarity thresholds' });
+  }
+}
@@ -1,5 +1,11 @@
 import { requireAdmin } from '@modules-logic/middleware/admin.js';
 import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import {
+  validateWorkflowSteps,
+  collectMicroActionIds,
+  populateMicroActions,
+} from '@modules-logic/utils/workflow-converter.js';
+import { validateWorkflowCalls } from '@modules-logic/services/workflows';
 
 export default async function handler(req, res) {
   const { id } = req.query;
@@ -31,9 +37,7 @@ export default async function handler(req, res) {
 
       // Populate micro-action details in steps
       if (data.steps && Array.isArray(data.steps)) {
-        const microActionIds = data.steps
-          .map((step) => step.micro_action_id)
-          .filter(Boolean);
+        const microActionIds = collectMicroActionIds(data.steps);
 
         if (microActionIds.length > 0) {
           const { data: microActions } = await supabase
@@ -41,14 +45,7 @@ export default async function handler(req, res) {
             .select('id, name, type, platform, params')
             .in('id', microActionIds);
 
-          const microActionsMap = new Map(
-            (microActions || []).map((ma) => [ma.id, ma]),
-          );
-
-          data.steps = data.steps.map((step) => ({
-            ...step,
-            micro_action: microActionsMap.get(step.micro_action_id) || null,
-          }));
+          data.steps = populateMicroActions(data, microActions || []).steps;
         }
       }
 
@@ -64,6 +61,7 @@ export default async function handler(req, res) {
         requires_auth,
         auth_workflow_id,
         is_active,
+        version,
       } = req.body;
 
       const updateData = {};
@@ -72,24 +70,40 @@ export default async function handler(req, res) {
       if (platform !== undefined) updateData.platform = platform;
       if (type !== undefined) updateData.type = type;
       if (steps !== undefined) {
-        // Validate steps if provided
-        if (!Array.isArray(steps) || steps.length === 0) {
-          return res.status(400).json({ error: 'Steps must be a non-empty array' });
-        }
-        for (const step of steps) {
-          if (!step.micro_action_id) {
-            return res.status(400).json({
-              error: 'Each step must have a micro_action_id',
-            });
-          }
+        // Validate steps if provided (micro-action steps, if/loop blocks and call_workflow steps)
+        try {
+          validateWorkflowSteps(steps);
+        } catch (validationError) {
+          return res.status(400).json({ error: validationError.message });
         }
         updateData.steps = steps;
       }
       if (requires_auth !== undefined) updateData.requires_auth = requires_auth;
       if (auth_workflow_id !== undefined) updateData.auth_workflow_id = auth_workflow_id;
       if (is_active !== undefined) updateData.is_active = is_active;
+      if (version !== undefined) updateData.version = version;
       updateData.updated_at = new Date().toISOString();
 
+      // Called workflows must exist and must not call back into this workflow
+      if (steps !== undefined || requires_auth !== undefined || auth_workflow_id !== undefined) {
+        const { data: current, error: currentError } = await supabase
+          .from('workflows')
+          .select('name, steps, requires_auth, auth_workflow_id')
+          .eq('id', id)
+          .single();
+
+        if (currentError || !current) {
+          return res.status(404).json({ error: 'Workflow not found' });
+        }
+
+        const merged = { ...current, ...updateData };
+        try {
+          await validateWorkflowCalls(id, merged.name, merged.steps, merged);
+        } catch (callError) {
+          return res.status(400).json({ error: callError.message });
+        }
+      }
+
       const { data, error } = await supabase
         .from('workflows')
         .update(updateData)
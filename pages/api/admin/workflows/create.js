@@ -1,5 +1,7 @@
 import { requireAdmin } from '@modules-logic/middleware/admin.js';
 import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import { validateWorkflowSteps, collectMicroActionIds } from '@modules-logic/utils/workflow-converter.js';
+import { validateWorkflowCalls } from '@modules-logic/services/workflows';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -18,6 +20,7 @@ export default async function handler(req, res) {
       steps,
       requires_auth = false,
       auth_workflow_id = null,
+      version = '1.0.0',
     } = req.body;
 
     // Validate required fields
@@ -37,24 +40,17 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Invalid workflow type' });
     }
 
-    // Validate steps
-    if (!Array.isArray(steps) || steps.length === 0) {
-      return res.status(400).json({ error: 'Steps must be a non-empty array' });
-    }
-
-    // Validate each step has micro_action_id
-    for (const step of steps) {
-      if (!step.micro_action_id) {
-        return res.status(400).json({
-          error: 'Each step must have a micro_action_id',
-        });
-      }
+    // Validate steps (micro-action steps, if/loop blocks and call_workflow steps)
+    try {
+      validateWorkflowSteps(steps);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
     }
 
     const supabase = createSupabaseServiceRoleClient();
 
-    // Verify all micro_action_ids exist
-    const microActionIds = steps.map((s) => s.micro_action_id);
+    // Verify all micro_action_ids exist (including nested steps and conditions)
+    const microActionIds = collectMicroActionIds(steps);
     const { data: existingActions, error: checkError } = await supabase
       .from('micro_actions')
       .select('id')
@@ -70,6 +66,13 @@ export default async function handler(req, res) {
       });
     }
 
+    // Called workflows must exist and must not call each other in a cycle
+    try {
+      await validateWorkflowCalls(null, name, steps, { requires_auth, auth_workflow_id });
+    } catch (callError) {
+      return res.status(400).json({ error: callError.message });
+    }
+
     // Validate auth_workflow_id if provided
     if (auth_workflow_id) {
       const { data: authWorkflow, error: authError } = await supabase
@@ -107,7 +110,7 @@ export default async function handler(req, res) {
         auth_workflow_id: auth_workflow_id,
         is_active: true,
         created_by: createdBy,
-        version: '1.0.0',
+        version,
       })
       .select()
       .single();
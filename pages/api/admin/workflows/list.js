@@ -1,5 +1,6 @@
 import { requireAdmin } from '@modules-logic/middleware/admin.js';
 import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import { collectMicroActionIds, populateMicroActions } from '@modules-logic/utils/workflow-converter.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -11,7 +12,7 @@ export default async function handler(req, res) {
     await requireAdmin(req);
 
     const supabase = createSupabaseServiceRoleClient();
-    const { platform, type, page = 1, limit = 50 } = req.query;
+    const { platform, type, owner = 'shared', page = 1, limit = 50 } = req.query;
 
     // Build query
     let query = supabase.from('workflows').select('*', { count: 'exact' });
@@ -25,6 +26,13 @@ export default async function handler(req, res) {
       query = query.eq('type', type);
     }
 
+    // Private recordings of users (migration 028) are listed apart from the shared ones
+    if (owner === 'shared') {
+      query = query.is('owner_id', null);
+    } else if (owner === 'private') {
+      query = query.not('owner_id', 'is', null);
+    }
+
     // Pagination
     const pageNum = parseInt(page, 10);
     const limitNum = parseInt(limit, 10);
@@ -45,11 +53,7 @@ export default async function handler(req, res) {
       const allMicroActionIds = new Set();
       data.forEach((workflow) => {
         if (workflow.steps && Array.isArray(workflow.steps)) {
-          workflow.steps.forEach((step) => {
-            if (step.micro_action_id) {
-              allMicroActionIds.add(step.micro_action_id);
-            }
-          });
+          collectMicroActionIds(workflow.steps).forEach((id) => allMicroActionIds.add(id));
         }
       });
 
@@ -59,17 +63,10 @@ export default async function handler(req, res) {
           .select('id, name, type, platform, params')
           .in('id', Array.from(allMicroActionIds));
 
-        const microActionsMap = new Map(
-          (microActions || []).map((ma) => [ma.id, ma]),
-        );
-
         // Attach micro-action details to steps
         data.forEach((workflow) => {
           if (workflow.steps && Array.isArray(workflow.steps)) {
-            workflow.steps = workflow.steps.map((step) => ({
-              ...step,
-              micro_action: microActionsMap.get(step.micro_action_id) || null,
-            }));
+            workflow.steps = populateMicroActions(workflow, microActions || []).steps;
           }
         });
       }
@@ -1,5 +1,5 @@
 import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
-import { getClientByClientId } from '@modules-logic/services/clients';
+import { authenticateClient, getClientByClientId } from '@modules-logic/services/clients';
 
 /**
  * Get accounts for the authenticated client
@@ -34,15 +34,10 @@ export default async function handler(req, res) {
 
     const supabase = createSupabaseServiceRoleClient();
 
-    // Verify client exists and API token matches
-    const { data: client, error: clientError } = await supabase
-      .from('clients')
-      .select('id, user_id, client_id, api_token')
-      .eq('client_id', clientId)
-      .eq('api_token', apiToken)
-      .single();
+    // Verify client exists and API token matches (or the previous token after a rotation)
+    const client = await authenticateClient(clientId, apiToken, 'id, user_id, client_id');
 
-    if (clientError || !client) {
+    if (!client) {
       return res.status(401).json({ error: 'Invalid client credentials' });
     }
 
@@ -1,4 +1,5 @@
 import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import { authenticateClient } from '@modules-logic/services/clients';
 
 /**
  * Client Delete API
@@ -34,15 +35,10 @@ export default async function handler(req, res) {
 
     const supabase = createSupabaseServiceRoleClient();
 
-    // Verify client exists and API token matches
-    const { data: client, error: clientError } = await supabase
-      .from('clients')
-      .select('id, user_id, client_id, api_token')
-      .eq('client_id', clientId)
-      .eq('api_token', apiToken)
-      .single();
+    // Verify client exists and API token matches (or the previous token after a rotation)
+    const client = await authenticateClient(clientId, apiToken, 'id, user_id, client_id');
 
-    if (clientError || !client) {
+    if (!client) {
       return res.status(401).json({ error: 'Invalid client credentials' });
     }
 
@@ -62,8 +58,7 @@ export default async function handler(req, res) {
       .from('clients')
       .delete()
       .eq('id', client.id)
-      .eq('client_id', clientId)
-      .eq('api_token', apiToken);
+      .eq('client_id', clientId);
 
     if (deleteError) {
       console.error('Delete client error:', deleteError);
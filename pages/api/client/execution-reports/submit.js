@@ -9,6 +9,7 @@
  *   report: { ... execution report object ... },
  *   metadata: {
  *     jobId: uuid,
+ *     accountId: uuid (optional, target account of this run),
  *     workflowId: uuid,
  *     workflowName: string,
  *     platform: string,
@@ -19,6 +20,7 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { authenticateClient } from '@modules-logic/services/clients';
 
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -31,7 +33,7 @@ export default async function handler(req, res) {
 
   try {
     // Validate request body
-    const { report, metadata } = req.body;
+    const { report, metadata = {} } = req.body;
 
     if (!report) {
       return res.status(400).json({ 
@@ -44,17 +46,14 @@ export default async function handler(req, res) {
 
     // Extract client authentication from headers
     const clientToken = req.headers.authorization?.replace('Bearer ', '');
+    const clientId = req.headers['x-client-id'];
     
-    // Verify client token if provided
+    // Verify client token if provided (the previous token is accepted after a rotation)
     let userId = metadata.userId;
-    if (clientToken) {
-      const { data: client, error: clientError } = await supabase
-        .from('clients')
-        .select('user_id, client_id')
-        .eq('api_token', clientToken)
-        .single();
+    if (clientToken && clientId) {
+      const client = await authenticateClient(clientId, clientToken, 'user_id, client_id');
 
-      if (!clientError && client) {
+      if (client) {
         userId = client.user_id;
         metadata.clientId = metadata.clientId || client.client_id;
       }
@@ -64,6 +63,7 @@ export default async function handler(req, res) {
     const dbReport = {
       // Relationships
       job_id: metadata.jobId || null,
+      account_id: metadata.accountId || null,
       workflow_id: metadata.workflowId || null,
       user_id: userId || null,
       
@@ -72,6 +72,9 @@ export default async function handler(req, res) {
       workflow_type: metadata.workflowType || null,
       platform: metadata.platform || null,
       
+      // Outcome (cancelled runs stop early and report the actions completed so far)
+      status: report.status || ((report.overallStats?.failed || 0) > 0 ? 'failed' : 'completed'),
+      
       // Timing
       start_time: report.startTime,
       end_time: report.endTime,
@@ -117,7 +120,9 @@ export default async function handler(req, res) {
     }
 
     // Update job with report ID if job exists
-    if (metadata.jobId && insertedReport.id) {
+    // Per-account reports are referenced from the per-account result map the agent writes to
+    // jobs.results, so they must not overwrite it
+    if (metadata.jobId && !metadata.accountId && insertedReport.id) {
       const { error: jobUpdateError } = await supabase
         .from('jobs')
         .update({ 
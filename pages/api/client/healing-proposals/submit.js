@@ -0,0 +1,105 @@
+import { submitHealingProposals } from '@modules-logic/services/healing-proposals.js';
+import { MAX_PROPOSAL_BATCH_SIZE } from '@modules-logic/utils/healing-proposals.js';
+import { authenticateClient } from '@modules-logic/services/clients.js';
+
+// Element screenshots are sent as base64 PNGs
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '10mb' },
+  },
+};
+
+/**
+ * Client Healing Proposals API
+ *
+ * Store fresh visual data for micro-actions the agent only found with low confidence
+ * Called by the agent after a workflow run (WorkflowExecutor healingProposals)
+ *
+ * POST /api/client/healing-proposals/submit
+ * Headers: {
+ *   Authorization: Bearer <api_token>
+ *   X-Client-ID: <client_id>
+ * }
+ * Body: {
+ *   proposals: [{
+ *     micro_action_id: string (UUID),
+ *     reason: 'relaxed_threshold' | 'position_fallback' | 'low_confidence',
+ *     method: string (method that found the element),
+ *     confidence?: number (0-1),
+ *     retries?: number,
+ *     visual: { screenshot, text, position, boundingBox, surroundingText, viewport },
+ *     backup_selector?: string
+ *   }] (max 50),
+ *   metadata: { jobId, executionReportId?, platform? }
+ * }
+ *
+ * metadata.jobId must be a job the client currently holds (claimed_by); proposals for
+ * micro-actions outside that job's workflows are skipped. Proposals at or above
+ * HEALING_AUTO_ACCEPT_CONFIDENCE are applied right away to the user's private micro-actions;
+ * shared micro-actions always wait for an admin.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Authenticate client using API token and client ID
+    const authHeader = req.headers.authorization;
+    const clientId = req.headers['x-client-id'];
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    if (!clientId) {
+      return res.status(401).json({ error: 'Missing X-Client-ID header' });
+    }
+
+    const apiToken = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+    const { proposals, metadata = {} } = req.body || {};
+
+    if (!Array.isArray(proposals) || proposals.length === 0) {
+      return res.status(400).json({ error: 'Missing required field: proposals' });
+    }
+
+    if (proposals.length > MAX_PROPOSAL_BATCH_SIZE) {
+      return res.status(413).json({ error: `Too many proposals (max ${MAX_PROPOSAL_BATCH_SIZE} per request)` });
+    }
+
+    // Verify client exists and API token matches (or the previous token after a rotation)
+    const client = await authenticateClient(clientId, apiToken, 'client_id, user_id');
+
+    if (!client) {
+      return res.status(401).json({ error: 'Invalid client credentials' });
+    }
+
+    const result = await submitHealingProposals(proposals, {
+      clientId: client.client_id,
+      userId: client.user_id,
+      jobId: metadata.jobId,
+      executionReportId: metadata.executionReportId,
+      platform: metadata.platform,
+    });
+
+    return res.status(201).json({
+      message: 'Healing proposals stored',
+      ...result,
+    });
+  } catch (err) {
+    console.error('Store healing proposals error:', err);
+
+    if (err.message?.includes('not claimed')) {
+      return res.status(403).json({ error: err.message });
+    }
+
+    if (err.message?.startsWith('Failed to')) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    // Validation errors of normalizeHealingProposal
+    return res.status(400).json({ error: err.message || 'Invalid healing proposals' });
+  }
+}
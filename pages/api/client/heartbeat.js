@@ -1,4 +1,5 @@
 import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import { authenticateClient, getAgentSettings, rotateExpiringClientToken } from '@modules-logic/services/clients';
 
 /**
  * Client Heartbeat API
@@ -15,7 +16,21 @@ import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js
  *   status?: string (default: 'online'),
  *   agentVersion?: string
  * }
+ *
+ * The response carries the agent settings of the client's user (user_preferences.preferences.agent):
+ * settings.maxConcurrentJobs and settings.platformConcurrency ({ <platform>: <max running jobs> }).
+ * Values in the agent's .env take precedence.
+ *
+ * cancelledJobIds lists jobs claimed by this client that were cancelled in the last hour; an
+ * agent still running one of them stops it after the current action.
+ *
+ * rotateToken ({ apiToken, tokenExpiresAt }) is set when the token expired within 14 days and was
+ * rotated; the agent uses the new token from then on (the push channel sends it as rotate-token).
+ * The old token stays valid for an hour (migration 031); a heartbeat sent with it gets the
+ * current token as rotateToken again.
  */
+const CANCELLED_JOBS_WINDOW_MS = 60 * 60 * 1000;
+
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     res.setHeader('Allow', ['POST']);
@@ -39,63 +54,29 @@ export default async function handler(req, res) {
 
     const supabase = createSupabaseServiceRoleClient();
 
-    // First, check if client exists (without token validation)
-    const { data: clientExists, error: clientCheckError } = await supabase
-      .from('clients')
-      .select('id, client_id, api_token')
-      .eq('client_id', clientId)
-      .maybeSingle();
-
-    if (clientCheckError) {
-      console.error('[ERROR] Heartbeat: Error checking client existence', {
+    // Verify client exists and API token matches (or the previous token after a rotation)
+    let client;
+    try {
+      client = await authenticateClient(clientId, apiToken, 'id, user_id, client_id, api_token, token_expires_at, status');
+    } catch (authError) {
+      console.error('[ERROR] Heartbeat: Error checking client', {
         clientId,
-        error: clientCheckError.message,
-        errorCode: clientCheckError.code,
-        errorDetails: clientCheckError,
+        error: authError.message,
       });
       return res.status(500).json({ error: 'Database error while checking client' });
     }
 
-    if (!clientExists) {
-      console.error('[ERROR] Heartbeat: Client not found', {
+    if (!client) {
+      console.error('[ERROR] Heartbeat: Unknown client or API token mismatch', {
         clientId,
         hasToken: !!apiToken,
         tokenLength: apiToken?.length,
-      });
-      return res.status(401).json({ error: 'Invalid client ID or API token' });
-    }
-
-    // Now verify the API token matches
-    if (clientExists.api_token !== apiToken) {
-      console.error('[ERROR] Heartbeat: API token mismatch', {
-        clientId,
-        hasToken: !!apiToken,
-        tokenLength: apiToken?.length,
-        storedTokenLength: clientExists.api_token?.length,
-        tokenMatches: clientExists.api_token === apiToken,
-        // Don't log actual tokens for security, but log first/last few chars for debugging
+        // Don't log actual tokens for security, but log the first few chars for debugging
         tokenPrefix: apiToken?.substring(0, 8),
-        storedTokenPrefix: clientExists.api_token?.substring(0, 8),
       });
       return res.status(401).json({ error: 'Invalid client ID or API token' });
     }
 
-    // Get full client data for token expiration check
-    const { data: client, error: fetchError } = await supabase
-      .from('clients')
-      .select('id, user_id, client_id, api_token, token_expires_at, status')
-      .eq('id', clientExists.id)
-      .single();
-
-    if (fetchError || !client) {
-      console.error('[ERROR] Heartbeat: Failed to fetch client data', {
-        clientId,
-        error: fetchError?.message,
-        errorDetails: fetchError,
-      });
-      return res.status(500).json({ error: 'Failed to fetch client data' });
-    }
-
     // Check if token is expired
     if (client.token_expires_at && new Date(client.token_expires_at) < new Date()) {
       console.error('[ERROR] Heartbeat: API token expired', {
@@ -133,6 +114,40 @@ export default async function handler(req, res) {
       return res.status(500).json({ error: 'Failed to update heartbeat' });
     }
 
+    // Agent settings from the user's preferences (missing preferences fall back to defaults)
+    const settings = await getAgentSettings(client.user_id);
+
+    // Cancelled jobs this client may still be running (the push channel announces them too,
+    // this covers agents without a stream connection)
+    const { data: cancelledJobs, error: cancelledError } = await supabase
+      .from('jobs')
+      .select('id')
+      .eq('claimed_by', client.client_id)
+      .eq('status', 'cancelled')
+      .gte('processed_at', new Date(Date.now() - CANCELLED_JOBS_WINDOW_MS).toISOString())
+      .limit(50);
+
+    if (cancelledError) {
+      console.error('[ERROR] Heartbeat: Failed to fetch cancelled jobs', {
+        clientId,
+        error: cancelledError.message,
+      });
+    }
+
+    // Rotate tokens that expire soon; a failed rotation is retried on the next heartbeat.
+    // An agent still sending the previous token missed the rotation: hand the new token out again.
+    let rotateToken = null;
+    try {
+      rotateToken = client.tokenMatch === 'previous'
+        ? { apiToken: client.api_token, tokenExpiresAt: client.token_expires_at }
+        : await rotateExpiringClientToken(client);
+    } catch (rotateError) {
+      console.error('[ERROR] Heartbeat: Failed to rotate token', {
+        clientId,
+        error: rotateError.message,
+      });
+    }
+
     // Log heartbeat (only in debug mode or if there's an issue)
     if (process.env.DEBUG || updatedClient.status !== 'online') {
       console.log('[DEBUG] Heartbeat received', {
@@ -149,6 +164,9 @@ export default async function handler(req, res) {
         status: updatedClient.status,
         lastHeartbeat: updatedClient.last_heartbeat,
       },
+      settings,
+      cancelledJobIds: (cancelledJobs || []).map(job => job.id),
+      rotateToken,
     });
 
   } catch (err) {
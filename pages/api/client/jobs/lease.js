@@ -0,0 +1,78 @@
+import { renewJobLease, normalizeLeaseSeconds } from '@modules-logic/services/jobs';
+import { authenticateClient } from '@modules-logic/services/clients';
+
+/**
+ * Client Job Lease API
+ *
+ * Renew the lease of a job claimed via /api/client/jobs/pending
+ * Called periodically by the agent while the job is executing
+ *
+ * POST /api/client/jobs/lease
+ * Headers: {
+ *   Authorization: Bearer <api_token>
+ *   X-Client-ID: <client_id>
+ * }
+ * Body: {
+ *   jobId: string (UUID),
+ *   leaseSeconds?: number (default: 120, min: 30, max: 900)
+ * }
+ *
+ * Responds 409 when the job is no longer held by this client
+ * (lease expired and job was requeued, or job was cancelled).
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Authenticate client using API token and client ID
+    const authHeader = req.headers.authorization;
+    const clientId = req.headers['x-client-id'];
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    if (!clientId) {
+      return res.status(401).json({ error: 'Missing X-Client-ID header' });
+    }
+
+    const apiToken = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+    const { jobId, leaseSeconds } = req.body;
+
+    if (!jobId) {
+      return res.status(400).json({ error: 'Missing required field: jobId' });
+    }
+
+    // Verify client exists and API token matches (or the previous token after a rotation)
+    const client = await authenticateClient(clientId, apiToken, 'id, user_id, client_id');
+
+    if (!client) {
+      return res.status(401).json({ error: 'Invalid client credentials' });
+    }
+
+    const job = await renewJobLease(client.client_id, jobId, normalizeLeaseSeconds(leaseSeconds));
+
+    return res.status(200).json({
+      message: 'Lease renewed',
+      job: {
+        id: job.id,
+        status: job.status,
+        lease_expires_at: job.lease_expires_at,
+      },
+    });
+  } catch (err) {
+    console.error('Renew job lease error:', err);
+
+    if (err.message?.includes('Lease lost')) {
+      return res.status(409).json({ error: err.message });
+    }
+
+    return res.status(500).json({
+      error: err.message || 'Failed to renew job lease',
+    });
+  }
+}
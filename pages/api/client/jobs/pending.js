@@ -1,4 +1,8 @@
 import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import { normalizeLeaseSeconds, normalizeClaimLimit, getClientOfflineThresholdSeconds } from '@modules-logic/services/jobs';
+import { materializeDueRecurringPosts } from '@modules-logic/services/recurring-posts';
+import { sweepDeadLetterJobs } from '@modules-logic/services/dead-letter';
+import { authenticateClient } from '@modules-logic/services/clients';
 
 /**
  * Client Pending Jobs API
@@ -11,7 +15,21 @@ import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js
  *   X-Client-ID: <client_id>
  * }
  * Query params:
- *   - limit: number (default: 10)
+ *   - limit: number (default: 10, min: 1, max: 50)
+ *   - leaseSeconds: number (default: 120, min: 30, max: 900)
+ *
+ * Returned jobs are claimed for the calling client: their status is set to
+ * 'processing', claimed_by to the client ID and lease_expires_at to now + leaseSeconds.
+ * The agent must renew the lease via POST /api/client/jobs/lease while executing,
+ * otherwise the job goes back to the queue.
+ *
+ * Only jobs routed to the calling client are returned (migration 018): jobs whose target
+ * accounts are bound to this client, jobs with unbound accounts, and jobs naming this client
+ * as fallback_client_id while the bound client is offline (no heartbeat for
+ * CLIENT_OFFLINE_THRESHOLD_SECONDS). Jobs that no client can run are marked 'unroutable'.
+ *
+ * Due runs of the user's recurring posts (migration 020) are materialized before claiming.
+ * Expired jobs and failed jobs without retries left are moved to the dead-letter queue (migration 022).
  */
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -36,71 +54,67 @@ export default async function handler(req, res) {
 
     const supabase = createSupabaseServiceRoleClient();
 
-    // Verify client exists and API token matches
-    const { data: client, error: clientError } = await supabase
-      .from('clients')
-      .select('id, user_id, client_id, api_token')
-      .eq('client_id', clientId)
-      .eq('api_token', apiToken)
-      .single();
+    // Verify client exists and API token matches (or the previous token after a rotation)
+    const client = await authenticateClient(clientId, apiToken, 'id, user_id, client_id');
 
-    if (clientError || !client) {
+    if (!client) {
       return res.status(401).json({ error: 'Invalid client credentials' });
     }
 
-    // Get limit from query params
-    const limit = parseInt(req.query.limit || '10', 10);
-
-    // Get pending jobs for this user
-    // Pending jobs are: queued status, not expired, and either no scheduled_for or scheduled_for <= now
-    const now = new Date().toISOString();
-    
-    // Query jobs: get all queued jobs for this user
-    // We'll filter scheduled_for and expires_at in JavaScript since Supabase .or() syntax is complex
-    const { data: jobs, error: jobsError } = await supabase
-      .from('jobs')
-      .select('*')
-      .eq('user_id', client.user_id)
-      .eq('status', 'queued')
-      .order('created_at', { ascending: true })
-      .limit(limit * 2); // Get more than needed, then filter
+    // Get limit and lease duration from query params
+    const limit = normalizeClaimLimit(req.query.limit);
+    const leaseSeconds = normalizeLeaseSeconds(req.query.leaseSeconds);
+
+    // Spawn due runs of recurring posts so they can be claimed in this poll
+    try {
+      await materializeDueRecurringPosts({ userId: client.user_id });
+    } catch (materializeError) {
+      // Never block job delivery on the scheduler
+      console.error('Failed to materialize recurring posts:', materializeError);
+    }
+
+    // Move the user's expired and exhausted jobs to the dead-letter queue
+    try {
+      await sweepDeadLetterJobs({ userId: client.user_id });
+    } catch (sweepError) {
+      console.error('Failed to sweep dead-letter jobs:', sweepError);
+    }
+
+    // Claim pending jobs for this client
+    // Pending jobs are: queued status, not expired, and either no scheduled_for or scheduled_for <= now.
+    // claim_pending_jobs (migration 017) selects and marks them as processing in a single statement,
+    // so two clients of the same user can never receive the same job. Jobs whose lease expired are
+    // returned to the queue before claiming. Jobs bound to another client are skipped (migration 018).
+    const { data: jobs, error: jobsError } = await supabase.rpc('claim_pending_jobs', {
+      p_user_id: client.user_id,
+      p_client_id: client.client_id,
+      p_limit: limit,
+      p_lease_seconds: leaseSeconds,
+      p_offline_seconds: getClientOfflineThresholdSeconds(),
+    });
 
     if (jobsError) {
-      console.error('Failed to fetch pending jobs:', jobsError);
+      console.error('Failed to claim pending jobs:', jobsError);
       console.error('Query error details:', {
         user_id: client.user_id,
         client_id: client.client_id,
-        now,
         error: jobsError.message,
         code: jobsError.code,
       });
       return res.status(500).json({ error: 'Failed to fetch pending jobs' });
     }
 
-    // Filter jobs manually to ensure both conditions are met:
-    // 1. scheduled_for must be null or <= now (job is ready to run)
-    // 2. expires_at must be null or >= now (job hasn't expired)
-    const filteredJobs = (jobs || []).filter(job => {
-      const nowDate = new Date(now);
-      
-      // Check scheduled_for: must be null or <= now
-      const scheduledOk = !job.scheduled_for || new Date(job.scheduled_for) <= nowDate;
-      
-      // Check expires_at: must be null or >= now
-      const expiresOk = !job.expires_at || new Date(job.expires_at) >= nowDate;
-      
-      return scheduledOk && expiresOk;
-    }).slice(0, limit); // Apply limit after filtering
+    const claimedJobs = (jobs || []).sort(
+      (a, b) => new Date(a.created_at) - new Date(b.created_at)
+    );
 
     // Log for debugging
-    if (filteredJobs.length > 0) {
-      console.log(`[DEBUG] Found ${filteredJobs.length} pending job(s) for client ${client.client_id}`);
-    } else if (jobs && jobs.length > 0) {
-      console.log(`[DEBUG] Found ${jobs.length} queued job(s) but none passed scheduled_for/expires_at filters`);
+    if (claimedJobs.length > 0) {
+      console.log(`[DEBUG] Claimed ${claimedJobs.length} pending job(s) for client ${client.client_id} (lease: ${leaseSeconds}s)`);
     }
 
     // Return array directly to match client expectations
-    return res.status(200).json(filteredJobs);
+    return res.status(200).json(claimedJobs);
   } catch (err) {
     console.error('Get pending jobs error:', err);
     return res.status(500).json({
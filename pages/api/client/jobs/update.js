@@ -1,4 +1,6 @@
 import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import { buildJobCompletionUpdate } from '@modules-logic/services/job-retry';
+import { authenticateClient } from '@modules-logic/services/clients';
 
 /**
  * Client Job Update API
@@ -12,9 +14,20 @@ import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js
  * }
  * Body: {
  *   jobId: string (UUID),
- *   status: string (processing, completed, failed),
- *   results?: object (optional job results)
+ *   status: string (processing, completed, partial_success, failed, cancelled),
+ *   results?: object (optional job results; multi-account jobs send
+ *     { success, summary, accounts: { <account_id>: { success, error, errorType, executionReportId } } })
  * }
+ *
+ * Final statuses are recorded in the job's attempt history. A failed job with a retryable
+ * error (see services/job-retry.js) is requeued with backoff instead of being marked failed;
+ * the response then has status "queued" and a retry object.
+ *
+ * Only the client holding the job lease may update it: updates from any other client, or after
+ * the lease expired (the job may have been requeued for another agent), are rejected with 409.
+ *
+ * Jobs cancelled by the user stay cancelled: 'processing' is rejected with 409 { cancelled: true }
+ * and any final status is stored as 'cancelled'.
  */
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -37,14 +50,15 @@ export default async function handler(req, res) {
 
     const apiToken = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-    const { jobId, status, results } = req.body;
+    const { jobId, results } = req.body;
+    let { status } = req.body;
 
     if (!jobId || !status) {
       return res.status(400).json({ error: 'Missing required fields: jobId and status are required' });
     }
 
     // Validate status
-    const validStatuses = ['processing', 'completed', 'failed', 'cancelled'];
+    const validStatuses = ['processing', 'completed', 'partial_success', 'failed', 'cancelled'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
         error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`,
@@ -53,22 +67,17 @@ export default async function handler(req, res) {
 
     const supabase = createSupabaseServiceRoleClient();
 
-    // Verify client exists and API token matches
-    const { data: client, error: clientError } = await supabase
-      .from('clients')
-      .select('id, user_id, client_id, api_token')
-      .eq('client_id', clientId)
-      .eq('api_token', apiToken)
-      .single();
+    // Verify client exists and API token matches (or the previous token after a rotation)
+    const client = await authenticateClient(clientId, apiToken, 'id, user_id, client_id');
 
-    if (clientError || !client) {
+    if (!client) {
       return res.status(401).json({ error: 'Invalid client credentials' });
     }
 
     // Verify job belongs to user
     const { data: existingJob, error: jobError } = await supabase
       .from('jobs')
-      .select('id, status, user_id')
+      .select('id, status, user_id, claimed_by, claimed_at, lease_expires_at, retry_count, max_retries, expires_at, attempts')
       .eq('id', jobId)
       .eq('user_id', client.user_id)
       .single();
@@ -77,8 +86,29 @@ export default async function handler(req, res) {
       return res.status(404).json({ error: 'Job not found or access denied' });
     }
 
+    // Reject updates from a client that no longer holds the job lease. Cancelling releases
+    // the lease but keeps claimed_by, so the agent can still report what it finished.
+    if (existingJob.claimed_by !== client.client_id) {
+      return res.status(409).json({ error: 'Lease lost: job is not held by this client' });
+    }
+    if (
+      existingJob.status !== 'cancelled' &&
+      (!existingJob.lease_expires_at || new Date(existingJob.lease_expires_at) <= new Date())
+    ) {
+      return res.status(409).json({ error: 'Lease lost: job lease expired' });
+    }
+
+    // A cancelled job never goes back to processing; final reports of runs that finished
+    // before the agent noticed the cancellation are stored but keep the job cancelled
+    if (existingJob.status === 'cancelled') {
+      if (status === 'processing') {
+        return res.status(409).json({ error: 'Job was cancelled', cancelled: true });
+      }
+      status = 'cancelled';
+    }
+
     // Build update object
-    const updateData = {
+    let updateData = {
       status,
       processed_at: new Date().toISOString(),
     };
@@ -88,22 +118,34 @@ export default async function handler(req, res) {
       updateData.results = results;
     }
 
+    // Final status: record the attempt, release the lease and requeue retryable failures
+    let retry = null;
+    if (status !== 'processing') {
+      ({ update: updateData, retry } = buildJobCompletionUpdate(existingJob, status, results, client.client_id));
+    }
+
     // Update job
     const { data: updatedJob, error: updateError } = await supabase
       .from('jobs')
       .update(updateData)
       .eq('id', jobId)
       .eq('user_id', client.user_id)
+      .eq('claimed_by', client.client_id)
       .select()
-      .single();
+      .maybeSingle();
 
     if (updateError) {
       console.error('Failed to update job:', updateError);
       return res.status(500).json({ error: 'Failed to update job' });
     }
 
-    // Update client's total_jobs count if job completed
-    if (status === 'completed') {
+    // The lease was requeued between the check and the update
+    if (!updatedJob) {
+      return res.status(409).json({ error: 'Lease lost: job is not held by this client' });
+    }
+
+    // Update client's total_jobs count if job completed (for at least one account)
+    if (status === 'completed' || status === 'partial_success') {
       await supabase.rpc('increment_client_jobs', { client_id: client.id }).catch(() => {
         // Fallback: manual increment if RPC doesn't exist
         supabase
@@ -122,6 +164,14 @@ export default async function handler(req, res) {
         id: updatedJob.id,
         status: updatedJob.status,
         processed_at: updatedJob.processed_at,
+        retry_count: updatedJob.retry_count,
+        scheduled_for: updatedJob.scheduled_for,
+      },
+      retry: retry && {
+        retrying: retry.retry,
+        next_retry_at: retry.nextRetryAt?.toISOString() || null,
+        error_type: retry.errorType,
+        reason: retry.reason || null,
       },
     });
   } catch (err) {
@@ -0,0 +1,77 @@
+import { insertClientLogs, MAX_LOG_BATCH_SIZE } from '@modules-logic/services/client-logs';
+import { authenticateClient } from '@modules-logic/services/clients';
+
+/**
+ * Client Logs API
+ *
+ * Store a batch of agent log entries in client_logs
+ * Called by the agent's log shipper every few seconds and after reconnecting (spooled entries)
+ *
+ * POST /api/client/logs
+ * Headers: {
+ *   Authorization: Bearer <api_token>
+ *   X-Client-ID: <client_id>
+ * }
+ * Body: {
+ *   logs: [{
+ *     level: 'error' | 'warn' | 'info' | 'debug',
+ *     message: string,
+ *     timestamp?: string (ISO, when the entry was logged),
+ *     jobId?: string (UUID of the job being executed),
+ *     context?: object
+ *   }] (max 500)
+ * }
+ *
+ * Entries with an unknown level or an empty message are skipped and counted as rejected.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Authenticate client using API token and client ID
+    const authHeader = req.headers.authorization;
+    const clientId = req.headers['x-client-id'];
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    if (!clientId) {
+      return res.status(401).json({ error: 'Missing X-Client-ID header' });
+    }
+
+    const apiToken = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+    const { logs } = req.body || {};
+
+    if (!Array.isArray(logs) || logs.length === 0) {
+      return res.status(400).json({ error: 'Missing required field: logs' });
+    }
+
+    if (logs.length > MAX_LOG_BATCH_SIZE) {
+      return res.status(413).json({ error: `Too many log entries (max ${MAX_LOG_BATCH_SIZE} per request)` });
+    }
+
+    // Verify client exists and API token matches (or the previous token after a rotation)
+    const client = await authenticateClient(clientId, apiToken, 'id, user_id, client_id');
+
+    if (!client) {
+      return res.status(401).json({ error: 'Invalid client credentials' });
+    }
+
+    const result = await insertClientLogs(client, logs);
+
+    return res.status(200).json({
+      message: 'Logs stored',
+      ...result,
+    });
+  } catch (err) {
+    console.error('Store client logs error:', err);
+    return res.status(500).json({
+      error: err.message || 'Failed to store logs',
+    });
+  }
+}
@@ -0,0 +1,84 @@
+import { saveAgentRecording } from '@modules-logic/services/agent-recordings.js';
+import { authenticateClient } from '@modules-logic/services/clients.js';
+
+// Element screenshots are sent as base64 PNGs (the agent has no cloud upload credentials)
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '20mb' },
+  },
+};
+
+/**
+ * Client Recordings API
+ *
+ * Save micro-actions the agent recorded (record job or abcdtools://record deep link) as a
+ * private workflow of the agent's user
+ *
+ * POST /api/client/recordings/submit
+ * Headers: {
+ *   Authorization: Bearer <api_token>
+ *   X-Client-ID: <client_id>
+ * }
+ * Body: {
+ *   recording: {
+ *     platform: 'instagram' | 'facebook' | 'twitter',
+ *     url: string (page the recording started on),
+ *     name?: string (workflow name),
+ *     workflow_type?: 'auth' | 'post' | 'story' | 'comment' | 'like' (default: post)
+ *   },
+ *   microActions: Array (ActionRecorder convertToMicroActions output, max 200)
+ * }
+ *
+ * The user's jobs use the new workflow instead of the shared one of the same platform and type.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Authenticate client using API token and client ID
+    const authHeader = req.headers.authorization;
+    const clientId = req.headers['x-client-id'];
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    if (!clientId) {
+      return res.status(401).json({ error: 'Missing X-Client-ID header' });
+    }
+
+    const apiToken = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+    const { recording, microActions } = req.body || {};
+
+    if (!recording || !Array.isArray(microActions) || microActions.length === 0) {
+      return res.status(400).json({ error: 'Missing required fields: recording, microActions' });
+    }
+
+    // Verify client exists and API token matches (or the previous token after a rotation)
+    const client = await authenticateClient(clientId, apiToken, 'client_id, user_id');
+
+    if (!client) {
+      return res.status(401).json({ error: 'Invalid client credentials' });
+    }
+
+    const result = await saveAgentRecording(client, recording, microActions);
+
+    return res.status(201).json({
+      message: 'Recording saved',
+      ...result,
+    });
+  } catch (err) {
+    console.error('Save agent recording error:', err);
+
+    if (err.message?.startsWith('Failed to')) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    // Validation errors of normalizeRecordingRequest and toMicroActionRows
+    return res.status(400).json({ error: err.message || 'Invalid recording' });
+  }
+}
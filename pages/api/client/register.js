@@ -128,6 +128,9 @@ export default async function handler(req, res) {
           updateData.api_token = apiTokenFromHeader;
           // Reset token expiration when updating token
           updateData.token_expires_at = new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString();
+          updateData.token_rotation = null;
+          updateData.previous_api_token = null;
+          updateData.previous_api_token_expires_at = null;
         } else {
           console.log('[DEBUG] API token matches, no update needed');
         }
@@ -0,0 +1,163 @@
+import { authenticateClient } from '@modules-logic/services/clients';
+import {
+  subscribeToClientEvents,
+  getClientStreamMaxSeconds,
+  CLIENT_STREAM_MESSAGES,
+} from '@modules-logic/services/client-stream';
+
+/**
+ * Client Push Channel API
+ *
+ * Server-Sent Events stream that pushes work and control messages to an agent
+ *
+ * GET /api/client/stream
+ * Headers: {
+ *   Authorization: Bearer <api_token>
+ *   X-Client-ID: <client_id>
+ * }
+ *
+ * Events (data is JSON):
+ *   ready          { clientId, maxSeconds }    stream is subscribed
+ *   job-available  { jobId, scheduledFor }     a job was queued; poll /jobs/pending (at scheduledFor)
+ *   cancel-job     { jobId }                   a job held by this client was cancelled
+ *   config-changed { settings }                agent settings in the user's preferences changed
+ *   rotate-token   { apiToken, tokenExpiresAt } the server rotated the API token; use the new one
+ *   reconnect      { reason }                  the server closes the stream; connect again
+ *
+ * When the user regenerates the token, the stream sends reconnect { reason: 'token_revoked' }
+ * and closes: the old token no longer works and the agent has to be registered again.
+ * A token replaced by a scheduled rotation is accepted for an hour (migration 031); a stream
+ * opened with it gets rotate-token right after ready.
+ *
+ * The stream is closed after CLIENT_STREAM_MAX_SECONDS (default 300) and a comment line is sent
+ * every 25 seconds to keep proxies from closing it. Agents keep polling at a slow interval while
+ * connected and fall back to normal polling when the stream drops.
+ */
+
+const KEEP_ALIVE_MS = 25000;
+
+export const config = {
+  api: {
+    // The response is streamed and never ends on its own
+    responseLimit: false,
+  },
+};
+
+function writeEvent(res, type, data = {}) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  // Flush through compression middleware when present
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Authenticate client using API token and client ID
+    const authHeader = req.headers.authorization;
+    const clientId = req.headers['x-client-id'];
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    if (!clientId) {
+      return res.status(401).json({ error: 'Missing X-Client-ID header' });
+    }
+
+    const apiToken = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+    // Verify client exists and API token matches (or the previous token after a rotation)
+    const client = await authenticateClient(clientId, apiToken, 'id, user_id, client_id, api_token, token_expires_at');
+
+    if (!client) {
+      return res.status(401).json({ error: 'Invalid client credentials' });
+    }
+
+    if (client.token_expires_at && new Date(client.token_expires_at) < new Date()) {
+      return res.status(401).json({ error: 'API token has expired' });
+    }
+
+    const maxSeconds = getClientStreamMaxSeconds();
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 5000\n\n');
+
+    let closed = false;
+    let unsubscribe = () => {};
+    let keepAliveTimer = null;
+    let maxAgeTimer = null;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(keepAliveTimer);
+      clearTimeout(maxAgeTimer);
+      unsubscribe();
+      res.end();
+    };
+
+    unsubscribe = subscribeToClientEvents(
+      client,
+      (message) => {
+        if (closed) return;
+        if (message.type === CLIENT_STREAM_MESSAGES.TOKEN_REVOKED) {
+          writeEvent(res, 'reconnect', { reason: 'token_revoked' });
+          close();
+          return;
+        }
+        const { type, ...data } = message;
+        writeEvent(res, type, data);
+      },
+      (status) => {
+        if (closed) return;
+        if (status === 'SUBSCRIBED') {
+          writeEvent(res, 'ready', { clientId: client.client_id, maxSeconds });
+          // Connected with the token replaced by the last rotation: the agent missed rotate-token
+          if (client.tokenMatch === 'previous') {
+            writeEvent(res, CLIENT_STREAM_MESSAGES.ROTATE_TOKEN, {
+              apiToken: client.api_token,
+              tokenExpiresAt: client.token_expires_at || null,
+            });
+          }
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+          // Without realtime there is nothing to push; let the agent fall back to polling
+          console.error(`[ERROR] Client stream: realtime subscription ${status}`, { clientId: client.client_id });
+          writeEvent(res, 'reconnect', { reason: status });
+          close();
+        }
+      }
+    );
+
+    keepAliveTimer = setInterval(() => {
+      if (!closed) {
+        res.write(': keep-alive\n\n');
+      }
+    }, KEEP_ALIVE_MS);
+
+    maxAgeTimer = setTimeout(() => {
+      writeEvent(res, 'reconnect', { reason: 'max_age' });
+      close();
+    }, maxSeconds * 1000);
+
+    req.on('close', close);
+  } catch (err) {
+    console.error('Client stream error:', err);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: err.message || 'Failed to open client stream',
+      });
+    }
+    res.end();
+  }
+}
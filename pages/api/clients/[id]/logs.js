@@ -0,0 +1,104 @@
+import { authenticateRequest } from '@modules-logic/middleware/auth';
+import { searchClientLogs } from '@modules-logic/services/client-logs';
+
+/**
+ * @swagger
+ * /api/clients/{id}/logs:
+ *   get:
+ *     summary: Search the logs shipped by a client agent
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Client ID
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search on the message (quotes, OR and -word are supported)
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [error, warn, info, debug]
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only logs written while this job was executing
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only logs older than this timestamp (next page)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Logs retrieved successfully (newest first)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 logs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid filter
+ *       404:
+ *         description: Client not found
+ *       401:
+ *         description: Unauthorized
+ */
+export default async function handler(req, res) {
+  const { id, search, level, jobId, before, limit } = req.query;
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!id) {
+    return res.status(400).json({ error: 'Client ID is required' });
+  }
+
+  try {
+    // Authenticate user
+    const user = await authenticateRequest(req);
+    if (!user || !user.id) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const result = await searchClientLogs(user.id, id, { search, level, jobId, before, limit });
+
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('Search client logs error:', err);
+
+    if (err.message?.includes('not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+
+    if (err.message?.includes('authorization') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    return res.status(400).json({ error: err.message || 'Failed to search logs' });
+  }
+}
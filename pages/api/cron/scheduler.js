@@ -0,0 +1,67 @@
+import { timingSafeEqual } from 'crypto';
+import { materializeDueRecurringPosts } from '@modules-logic/services/recurring-posts';
+import { sweepDeadLetterJobs } from '@modules-logic/services/dead-letter.js';
+
+/**
+ * @swagger
+ * /api/cron/scheduler:
+ *   get:
+ *     summary: Run the job scheduler for all users (cron)
+ *     description: Creates the due runs of recurring posts and moves expired jobs and failed jobs that will not be retried to the dead-letter queue. Agents do the same for their own user on every poll; this route keeps both running while no agent is online. Called by the Vercel cron in vercel.json (or any scheduler) with Authorization Bearer CRON_SECRET.
+ *     tags: [Cron]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scheduler run completed (errors of a step are reported in its result)
+ *       401:
+ *         description: Missing or invalid cron secret
+ *       503:
+ *         description: CRON_SECRET is not configured
+ */
+
+function isAuthorizedCronRequest(req, secret) {
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.headers.authorization || '');
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({ error: 'CRON_SECRET is not configured' });
+  }
+
+  if (!isAuthorizedCronRequest(req, secret)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  // Each step runs even when the other one fails
+  const result = {};
+
+  try {
+    const created = await materializeDueRecurringPosts();
+    result.recurringPosts = { created: created.length };
+  } catch (err) {
+    console.error('Cron: failed to materialize recurring posts:', err);
+    result.recurringPosts = { error: err.message };
+  }
+
+  try {
+    const { count } = await sweepDeadLetterJobs();
+    result.deadLetter = { moved: count };
+  } catch (err) {
+    console.error('Cron: failed to sweep dead-letter jobs:', err);
+    result.deadLetter = { error: err.message };
+  }
+
+  return res.status(200).json({
+    message: 'Scheduler run completed',
+    ...result,
+  });
+}
@@ -61,7 +61,7 @@ const options = {
             },
             type: {
               type: 'string',
-              enum: ['click', 'type', 'wait', 'navigate', 'upload', 'extract', 'scroll', 'screenshot'],
+              enum: ['click', 'type', 'wait', 'navigate', 'upload', 'extract', 'submit', 'keypress', 'hover', 'drag', 'scroll', 'screenshot'],
             },
             platform: {
               type: 'string',
@@ -91,6 +91,19 @@ const options = {
                       description: 'Visible text content of element',
                       example: 'Log In',
                     },
+                    alternativeTexts: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Other labels of the element (translations, copy variants), matched like text',
+                      example: ['Masuk', 'Iniciar sesión'],
+                    },
+                    textMatchThreshold: {
+                      type: 'number',
+                      minimum: 0,
+                      maximum: 1,
+                      description: 'Fuzzy text match tolerance (0 = exact ignoring case, default 0.3)',
+                      example: 0.3,
+                    },
                     position: {
                       type: 'object',
                       properties: {
@@ -122,10 +135,43 @@ const options = {
                     },
                     surroundingText: {
                       type: 'array',
-                      items: { type: 'string' },
-                      description: 'Text from nearby elements for context',
+                      items: {
+                        oneOf: [
+                          { type: 'string' },
+                          {
+                            type: 'object',
+                            properties: {
+                              text: { type: 'string' },
+                              position: {
+                                type: 'object',
+                                properties: {
+                                  absolute: {
+                                    type: 'object',
+                                    properties: {
+                                      x: { type: 'number' },
+                                      y: { type: 'number' },
+                                    },
+                                  },
+                                },
+                              },
+                            },
+                          },
+                        ],
+                      },
+                      description: 'Text from nearby elements for context. Entries with a position anchor the element after layout changes.',
                       example: ['Instagram', 'Sign up'],
                     },
+                    viewport: {
+                      type: 'object',
+                      description: 'Viewport of the recording, used to map positions onto the replay viewport',
+                      properties: {
+                        width: { type: 'number', example: 1280 },
+                        height: { type: 'number', example: 720 },
+                        devicePixelRatio: { type: 'number', example: 1 },
+                        scrollX: { type: 'number', example: 0 },
+                        scrollY: { type: 'number', example: 0 },
+                      },
+                    },
                     timestamp: {
                       type: 'number',
                       description: 'Recording timestamp',
@@ -137,6 +183,17 @@ const options = {
                   description: 'CSS selector as fallback (optional, for fast execution)',
                   example: "button[type='submit']",
                 },
+                context_path: {
+                  type: 'array',
+                  description: 'Frames and shadow hosts between the page and the element, outermost first (recorded for elements inside same-origin iframes and open shadow roots). Each selector is relative to the previous step; backup_selector is relative to the last one.',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      type: { type: 'string', enum: ['frame', 'shadow'] },
+                      selector: { type: 'string', example: 'iframe#composer' },
+                    },
+                  },
+                },
                 execution_method: {
                   type: 'string',
                   enum: ['selector_first', 'visual_first', 'visual_only'],
@@ -173,10 +230,12 @@ const options = {
       { name: 'Accounts', description: 'Social media account management' },
       { name: 'Posts', description: 'Post creation and management' },
       { name: 'Jobs', description: 'Job queue and status tracking' },
+      { name: 'Recordings', description: 'Workflows recorded with your agent' },
       { name: 'Client', description: 'Client agent endpoints' },
       { name: 'Clients', description: 'Client management (admin)' },
       { name: 'Admin', description: 'Administrative endpoints' },
       { name: 'Installer', description: 'Client installer endpoints' },
+      { name: 'Cron', description: 'Scheduled server tasks' },
     ],
   },
   apis: [
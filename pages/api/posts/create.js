@@ -30,6 +30,18 @@
  *                   type: string
  *                   format: uuid
  *                   description: "Array of account IDs to post to (default: all active accounts)"
+ *               scheduled_for:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional time to run the post
+ *               fallback_client_id:
+ *                 type: string
+ *                 description: "Client ID allowed to run the job when the agent bound to the target accounts is offline (default: none, job is marked unroutable)"
+ *               variables:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 description: "Values of other template variables the workflows type, e.g. { \"hashtags\": \"#coffee\", \"location\": \"Berlin\" }"
  *     responses:
  *       200:
  *         description: Post job created successfully
@@ -42,6 +54,12 @@
  *                   type: string
  *                 job:
  *                   type: object
+ *                   description: First created job
+ *                 jobs:
+ *                   type: array
+ *                   description: One job per agent the target accounts are bound to
+ *                   items:
+ *                     type: object
  *       400:
  *         description: Invalid input
  *       401:
@@ -63,7 +81,7 @@ export default async function handler(req, res) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    const { caption, image_url, target_accounts, scheduled_for } = req.body;
+    const { caption, image_url, target_accounts, scheduled_for, fallback_client_id, variables } = req.body;
 
     // Validate required fields
     if (!caption || !image_url) {
@@ -73,16 +91,20 @@ export default async function handler(req, res) {
     }
 
     // Create post
-    const job = await createPost(user.id, {
+    // One job per agent the target accounts are bound to
+    const jobs = await createPost(user.id, {
       caption,
       image_url,
       target_accounts,
       scheduled_for,
+      fallback_client_id,
+      variables,
     });
 
     return res.status(201).json({
       message: 'Post created successfully',
-      job,
+      job: jobs[0],
+      jobs,
     });
   } catch (err) {
     console.error('Create post error:', err);
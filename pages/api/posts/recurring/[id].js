@@ -0,0 +1,153 @@
+import { authenticateRequest } from '@modules-logic/middleware/auth';
+import {
+  getRecurringPost,
+  updateRecurringPost,
+  endRecurringPost,
+} from '@modules-logic/services/recurring-posts';
+
+/**
+ * @swagger
+ * /api/posts/recurring/{id}:
+ *   get:
+ *     summary: Get a recurring post series with its recent runs
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Series ID
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ *       404:
+ *         description: Series not found
+ *       401:
+ *         description: Unauthorized
+ *
+ *   patch:
+ *     summary: Edit, pause or resume a recurring post series
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Series ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [recurring, paused]
+ *                 description: "paused = pause the series, recurring = resume it"
+ *               recurrence_rule:
+ *                 type: string
+ *               caption:
+ *                 type: string
+ *               image_url:
+ *                 type: string
+ *               target_accounts:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               fallback_client_id:
+ *                 type: string
+ *               variables:
+ *                 type: object
+ *                 nullable: true
+ *                 additionalProperties:
+ *                   type: string
+ *                 description: "Template variables of the runs (null removes them)"
+ *     responses:
+ *       200:
+ *         description: Series updated successfully
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Series not found
+ *       401:
+ *         description: Unauthorized
+ *
+ *   delete:
+ *     summary: End a recurring post series
+ *     description: No further runs are created; runs that are still queued are cancelled
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Series ID
+ *     responses:
+ *       200:
+ *         description: Series ended successfully
+ *       404:
+ *         description: Series not found
+ *       401:
+ *         description: Unauthorized
+ */
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Series ID is required' });
+  }
+
+  try {
+    // Authenticate user
+    const user = await authenticateRequest(req);
+    if (!user || !user.id) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method === 'GET') {
+      const series = await getRecurringPost(user.id, id);
+      return res.status(200).json({ series });
+    } else if (req.method === 'PATCH') {
+      const series = await updateRecurringPost(user.id, id, req.body || {});
+      return res.status(200).json({
+        message: 'Recurring post updated successfully',
+        series,
+      });
+    } else if (req.method === 'DELETE') {
+      const result = await endRecurringPost(user.id, id);
+      return res.status(200).json({
+        message: 'Recurring post ended successfully',
+        ...result,
+      });
+    } else {
+      res.setHeader('Allow', ['GET', 'PATCH', 'DELETE']);
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (err) {
+    console.error('Recurring post operation error:', err);
+
+    if (err.message?.includes('not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+
+    if (err.message?.includes('authorization') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    return res.status(400).json({ error: err.message || 'Operation failed' });
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * @swagger
+ * /api/posts/recurring:
+ *   get:
+ *     summary: List recurring post series
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [recurring, paused, ended]
+ *         description: Filter by series status
+ *     responses:
+ *       200:
+ *         description: Recurring post series
+ *       401:
+ *         description: Unauthorized
+ *
+ *   post:
+ *     summary: Create a recurring post series
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - caption
+ *               - image_url
+ *               - recurrence_rule
+ *             properties:
+ *               caption:
+ *                 type: string
+ *                 maxLength: 2200
+ *               image_url:
+ *                 type: string
+ *                 format: uri
+ *               target_accounts:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               fallback_client_id:
+ *                 type: string
+ *               variables:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 description: "Values of other template variables the workflows type, e.g. { \"hashtags\": \"#coffee\", \"location\": \"Berlin\" }"
+ *               recurrence_rule:
+ *                 type: string
+ *                 description: "RFC 5545 DTSTART + RRULE, e.g. DTSTART;TZID=Europe/Berlin:20261019T090000\\nRRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR"
+ *     responses:
+ *       201:
+ *         description: Recurring post created
+ *       400:
+ *         description: Invalid input or recurrence rule
+ *       401:
+ *         description: Unauthorized
+ */
+import { authenticateRequest } from '@modules-logic/middleware/auth';
+import { createRecurringPost, listRecurringPosts } from '@modules-logic/services/recurring-posts';
+
+export default async function handler(req, res) {
+  try {
+    // Authenticate user
+    const user = await authenticateRequest(req);
+    if (!user || !user.id) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method === 'GET') {
+      const series = await listRecurringPosts(user.id, { status: req.query.status });
+      return res.status(200).json({ series });
+    } else if (req.method === 'POST') {
+      const { caption, image_url, target_accounts, fallback_client_id, recurrence_rule, variables } = req.body;
+
+      if (!caption || !image_url || !recurrence_rule) {
+        return res.status(400).json({
+          error: 'Missing required fields: caption, image_url and recurrence_rule are required',
+        });
+      }
+
+      const series = await createRecurringPost(user.id, {
+        caption,
+        image_url,
+        target_accounts,
+        fallback_client_id,
+        recurrence_rule,
+        variables,
+      });
+
+      return res.status(201).json({
+        message: 'Recurring post created successfully',
+        series,
+      });
+    } else {
+      res.setHeader('Allow', ['GET', 'POST']);
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (err) {
+    console.error('Recurring post error:', err);
+
+    if (err.message?.includes('Unauthorized') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (err.message?.includes('required') || err.message?.includes('Invalid') || err.message?.includes('No ')) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    return res.status(500).json({ error: err.message || 'Failed to process recurring post' });
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * @swagger
+ * /api/recordings/start:
+ *   post:
+ *     summary: Record a workflow with your agent
+ *     description: >
+ *       Queues a record job. The agent opens a browser at the URL and records what you do until
+ *       you close the browser window; the recorded micro-actions become a private workflow that
+ *       your jobs use instead of the shared workflow of the same platform and type. The returned
+ *       deep link starts the same recording on the agent installed on this machine.
+ *     tags: [Recordings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - platform
+ *             properties:
+ *               platform:
+ *                 type: string
+ *                 enum: [instagram, facebook, twitter]
+ *               workflow_type:
+ *                 type: string
+ *                 enum: [auth, post, story, comment, like]
+ *                 description: "Type of the recorded workflow (default: post)"
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 description: "Page the recording starts on (default: the platform's home page)"
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Workflow name
+ *               client_id:
+ *                 type: string
+ *                 description: "Agent that records (default: any of your agents)"
+ *     responses:
+ *       201:
+ *         description: Record job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   type: object
+ *                 deepLink:
+ *                   type: string
+ *                   example: abcdtools://record?platform=instagram&url=https%3A%2F%2Fwww.instagram.com%2F&name=My+instagram+post+workflow&type=post
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+import { authenticateRequest } from '@modules-logic/middleware/auth';
+import { startAgentRecording } from '@modules-logic/services/agent-recordings';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Authenticate user
+    const user = await authenticateRequest(req);
+    if (!user || !user.id) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { platform, workflow_type, url, name, client_id } = req.body || {};
+
+    const { job, deepLink } = await startAgentRecording(user.id, {
+      platform,
+      workflow_type,
+      url,
+      name,
+      client_id,
+    });
+
+    return res.status(201).json({
+      message: 'Recording queued. Your agent opens a browser to record.',
+      job,
+      deepLink,
+    });
+  } catch (err) {
+    console.error('Start recording error:', err);
+
+    if (err.message?.includes('Unauthorized') || err.message?.includes('token')) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (err.message?.startsWith('Failed to')) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    return res.status(400).json({ error: err.message });
+  }
+}
@@ -1,5 +1,6 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import { useRouter } from "next/router";
+import Link from "next/link";
 import Sidebar from "../dashboard/sidebar";
 import DashboardNavbar from "@components/DashboardNavbar";
 import { getJson } from "@utils/api";
@@ -11,6 +12,11 @@ export default function ClientDetail() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [client, setClient] = useState(null);
+  const [logs, setLogs] = useState([]);
+  const [logsLoading, setLogsLoading] = useState(false);
+  const [logsHasMore, setLogsHasMore] = useState(false);
+  const [logSearchInput, setLogSearchInput] = useState("");
+  const [logFilters, setLogFilters] = useState({ search: "", level: "", jobId: "" });
 
   useEffect(() => {
     if (id) {
@@ -18,6 +24,54 @@ export default function ClientDetail() {
     }
   }, [id]);
 
+  // Logs shipped by the agent (newest first); `before` loads the next page
+  const fetchLogs = useCallback(
+    async (before = null) => {
+      try {
+        setLogsLoading(true);
+        const params = new URLSearchParams();
+        if (logFilters.search) params.append("search", logFilters.search);
+        if (logFilters.level) params.append("level", logFilters.level);
+        if (logFilters.jobId) params.append("jobId", logFilters.jobId);
+        if (before) params.append("before", before);
+        params.append("limit", "100");
+
+        const data = await getJson(`/api/clients/${id}/logs?${params.toString()}`);
+        setLogs((prev) => (before ? [...prev, ...(data.logs || [])] : data.logs || []));
+        setLogsHasMore(Boolean(data.hasMore));
+      } catch (err) {
+        toast.error(err.message || "Failed to load logs");
+      } finally {
+        setLogsLoading(false);
+      }
+    },
+    [id, logFilters]
+  );
+
+  useEffect(() => {
+    if (id) {
+      fetchLogs();
+    }
+  }, [id, fetchLogs]);
+
+  const handleLogSearch = (e) => {
+    e.preventDefault();
+    setLogFilters((prev) => ({ ...prev, search: logSearchInput.trim() }));
+  };
+
+  const getLogLevelColor = (level) => {
+    switch (level) {
+      case "error":
+        return "bg-red-100 text-red-800";
+      case "warn":
+        return "bg-yellow-100 text-yellow-800";
+      case "info":
+        return "bg-blue-100 text-blue-800";
+      default:
+        return "bg-gray-100 text-gray-800";
+    }
+  };
+
   const fetchClient = async () => {
     try {
       setLoading(true);
@@ -272,7 +326,7 @@ export default function ClientDetail() {
           )}
 
           {/* Additional Info */}
-          <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="bg-white rounded-lg shadow-md p-6 mb-6">
             <h2 className="text-xl font-semibold text-gray-900 mb-4">
               System Information
             </h2>
@@ -295,6 +349,116 @@ export default function ClientDetail() {
               )}
             </div>
           </div>
+
+          {/* Agent Logs */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">
+              Agent Logs
+            </h2>
+            <form
+              onSubmit={handleLogSearch}
+              className="flex flex-wrap items-center gap-3 mb-4"
+            >
+              <input
+                type="text"
+                value={logSearchInput}
+                onChange={(e) => setLogSearchInput(e.target.value)}
+                placeholder='Search messages (e.g. "login failed" -timeout)'
+                className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded text-sm"
+              />
+              <select
+                value={logFilters.level}
+                onChange={(e) =>
+                  setLogFilters((prev) => ({ ...prev, level: e.target.value }))
+                }
+                className="px-3 py-2 border border-gray-300 rounded text-sm"
+              >
+                <option value="">All Levels</option>
+                <option value="error">Error</option>
+                <option value="warn">Warning</option>
+                <option value="info">Info</option>
+                <option value="debug">Debug</option>
+              </select>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700"
+              >
+                Search
+              </button>
+            </form>
+
+            {logFilters.jobId && (
+              <div className="mb-3 text-sm text-gray-600">
+                Showing logs of job{" "}
+                <span className="font-mono">{logFilters.jobId.substring(0, 8)}</span>
+                <button
+                  onClick={() => setLogFilters((prev) => ({ ...prev, jobId: "" }))}
+                  className="ml-2 text-blue-600 hover:text-blue-700"
+                >
+                  Clear
+                </button>
+              </div>
+            )}
+
+            {logs.length === 0 && !logsLoading ? (
+              <p className="text-sm text-gray-500">
+                No logs found. Agents send their logs while they are running.
+              </p>
+            ) : (
+              <div className="divide-y divide-gray-100 font-mono text-xs">
+                {logs.map((log) => (
+                  <div key={log.id} className="py-2 flex items-start gap-3">
+                    <span className="text-gray-500 whitespace-nowrap">
+                      {formatDate(log.created_at)}
+                    </span>
+                    <span
+                      className={`px-2 rounded uppercase ${getLogLevelColor(log.level)}`}
+                    >
+                      {log.level}
+                    </span>
+                    <div className="flex-1 min-w-0">
+                      <p className="text-gray-900 whitespace-pre-wrap break-words">
+                        {log.message}
+                      </p>
+                      {log.context?.stack && (
+                        <pre className="mt-1 text-gray-500 whitespace-pre-wrap">
+                          {log.context.stack}
+                        </pre>
+                      )}
+                    </div>
+                    {log.job_id && (
+                      <div className="whitespace-nowrap space-x-2">
+                        <button
+                          onClick={() =>
+                            setLogFilters((prev) => ({ ...prev, jobId: log.job_id }))
+                          }
+                          className="text-blue-600 hover:text-blue-700"
+                          title="Show only this job's logs"
+                        >
+                          {log.job_id.substring(0, 8)}
+                        </button>
+                        <Link href={`/posts/${log.job_id}`} className="text-gray-500 hover:text-gray-700">
+                          ↗
+                        </Link>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {logsLoading && (
+              <p className="mt-3 text-sm text-gray-500">Loading logs...</p>
+            )}
+            {logsHasMore && !logsLoading && (
+              <button
+                onClick={() => fetchLogs(logs[logs.length - 1]?.created_at)}
+                className="mt-4 text-sm text-blue-600 hover:text-blue-700"
+              >
+                Load older logs
+              </button>
+            )}
+          </div>
         </main>
       </div>
     </div>
@@ -48,6 +48,8 @@ export default function JobDetail() {
     switch (status?.toLowerCase()) {
       case "completed":
         return "bg-green-100 text-green-800";
+      case "partial_success":
+        return "bg-lime-100 text-lime-800";
       case "processing":
         return "bg-blue-100 text-blue-800";
       case "queued":
@@ -56,11 +58,26 @@ export default function JobDetail() {
         return "bg-red-100 text-red-800";
       case "cancelled":
         return "bg-gray-100 text-gray-800";
+      case "unroutable":
+        return "bg-orange-100 text-orange-800";
+      case "recurring":
+        return "bg-purple-100 text-purple-800";
+      case "dead_letter":
+        return "bg-red-200 text-red-900";
       default:
         return "bg-gray-100 text-gray-800";
     }
   };
 
+  // Multi-account jobs store a per-account result map in results.accounts
+  const getAccountResults = (results) => {
+    if (Array.isArray(results)) return results;
+    return Object.entries(results?.accounts || {}).map(([accountId, result]) => ({
+      account_id: accountId,
+      ...result,
+    }));
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return "N/A";
     const date = new Date(dateString);
@@ -167,6 +184,41 @@ export default function JobDetail() {
                     <p className="font-medium">{formatDate(job.scheduled_for)}</p>
                   </div>
                 )}
+                {job.fallback_client_id && (
+                  <div>
+                    <p className="text-sm text-gray-500">Fallback Agent</p>
+                    <p className="font-medium">{job.fallback_client_id}</p>
+                  </div>
+                )}
+                {job.status === "unroutable" && job.results?.error && (
+                  <div className="md:col-span-2">
+                    <p className="text-sm text-gray-500">Routing</p>
+                    <p className="font-medium text-orange-700">{job.results.error}</p>
+                  </div>
+                )}
+                {job.max_retries > 0 && (
+                  <div>
+                    <p className="text-sm text-gray-500">Retries</p>
+                    <p className="font-medium">
+                      {job.retry_count || 0} of {job.max_retries}
+                    </p>
+                  </div>
+                )}
+                {job.status === "dead_letter" && (
+                  <div className="md:col-span-2">
+                    <p className="text-sm text-gray-500">Dead Letter</p>
+                    <p className="font-medium text-red-800">
+                      {job.dead_letter_reason === "expired"
+                        ? "Expired before an agent picked it up"
+                        : job.dead_letter_reason === "retries_exhausted"
+                          ? "Failed after all automatic retries"
+                          : job.dead_letter_reason === "not_retryable"
+                            ? "Failed with an error that is not retried automatically"
+                            : job.dead_letter_reason || "Unknown reason"}{" "}
+                      ({formatDate(job.dead_lettered_at)})
+                    </p>
+                  </div>
+                )}
                 {job.target_accounts && (
                   <div>
                     <p className="text-sm text-gray-500">Target Accounts</p>
@@ -218,6 +270,13 @@ export default function JobDetail() {
                         <div>
                           <h3 className="font-medium text-gray-900">
                             {report.workflow_name || "Execution Report"}
+                            {report.status && report.status !== "completed" && (
+                              <span
+                                className={`ml-2 px-2 py-1 rounded text-xs ${getStatusColor(report.status)}`}
+                              >
+                                {report.status}
+                              </span>
+                            )}
                           </h3>
                           <p className="text-sm text-gray-500">
                             {formatDate(report.start_time)}
@@ -265,36 +324,114 @@ export default function JobDetail() {
             )}
 
             {/* Results */}
-            {job.results && Array.isArray(job.results) && job.results.length > 0 && (
+            {getAccountResults(job.results).length > 0 && (
               <div className="bg-white rounded-lg shadow-md p-6">
                 <h2 className="text-xl font-semibold mb-4">Results</h2>
+                {job.results?.summary && (
+                  <p className="text-sm text-gray-600 mb-3">
+                    {job.results.summary.successful} of {job.results.summary.total} account
+                    {job.results.summary.total !== 1 ? "s" : ""} succeeded
+                  </p>
+                )}
                 <div className="space-y-2">
-                  {job.results.map((result, idx) => (
+                  {getAccountResults(job.results).map((result, idx) => (
                     <div
                       key={idx}
                       className={`p-3 rounded ${
                         result.success
                           ? "bg-green-50 border border-green-200"
+                          : result.cancelled
+                          ? "bg-gray-50 border border-gray-200"
                           : "bg-red-50 border border-red-200"
                       }`}
                     >
                       <div className="flex items-center justify-between">
                         <span className="text-sm font-medium">
-                          {result.account_id?.substring(0, 8) || `Account ${idx + 1}`}
+                          {result.username ||
+                            result.account_id?.substring(0, 8) ||
+                            `Account ${idx + 1}`}
+                          {result.platform && (
+                            <span className="ml-2 text-xs text-gray-500 capitalize">
+                              {result.platform}
+                            </span>
+                          )}
                         </span>
                         <span
                           className={`px-2 py-1 rounded text-xs ${
                             result.success
                               ? "bg-green-100 text-green-800"
+                              : result.cancelled
+                              ? getStatusColor("cancelled")
                               : "bg-red-100 text-red-800"
                           }`}
                         >
-                          {result.success ? "Success" : "Failed"}
+                          {result.success ? "Success" : result.cancelled ? "Cancelled" : "Failed"}
                         </span>
                       </div>
-                      {result.error && (
+                      {result.error && !result.cancelled && (
                         <p className="text-xs text-red-600 mt-1">{result.error}</p>
                       )}
+                      {result.extracted &&
+                        Object.entries(result.extracted).map(([name, value]) => (
+                          <p key={name} className="text-xs text-gray-600 mt-1 break-all">
+                            <span className="font-medium">{name}:</span>{" "}
+                            {/^https?:\/\//.test(value) ? (
+                              <a
+                                href={value}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-blue-600 hover:text-blue-700"
+                              >
+                                {value}
+                              </a>
+                            ) : (
+                              value
+                            )}
+                          </p>
+                        ))}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Attempts */}
+            {job.attempts?.length > 0 && (
+              <div className="bg-white rounded-lg shadow-md p-6">
+                <h2 className="text-xl font-semibold mb-4">Attempts</h2>
+                <div className="space-y-2">
+                  {job.attempts.map((attempt) => (
+                    <div key={attempt.attempt} className="border rounded p-3">
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm font-medium">
+                          Attempt {attempt.attempt}
+                          {attempt.clientId && (
+                            <span className="ml-2 text-xs text-gray-500">{attempt.clientId}</span>
+                          )}
+                        </span>
+                        <span
+                          className={`px-2 py-1 rounded text-xs ${getStatusColor(attempt.status)}`}
+                        >
+                          {attempt.status}
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {formatDate(attempt.startedAt)} – {formatDate(attempt.finishedAt)}
+                      </p>
+                      {attempt.error && (
+                        <p className="text-xs text-red-600 mt-1">
+                          {attempt.errorType && `[${attempt.errorType}] `}
+                          {attempt.error}
+                        </p>
+                      )}
+                      {attempt.nextRetryAt && (
+                        <p className="text-xs text-blue-600 mt-1">
+                          Retry scheduled for {formatDate(attempt.nextRetryAt)}
+                        </p>
+                      )}
+                      {attempt.reason && (
+                        <p className="text-xs text-gray-600 mt-1">Not retried: {attempt.reason}</p>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -2,8 +2,43 @@ import { useState, useEffect } from "react";
 import { useRouter } from "next/router";
 import Sidebar from "@pages/dashboard/sidebar";
 import DashboardNavbar from "@components/DashboardNavbar";
-import { postJson, getJson } from "@utils/api";
+import { postJson, getJson, deleteJson } from "@utils/api";
 import { toast } from "react-toastify";
+import {
+  buildRecurrenceRule,
+  getScheduleOptions,
+} from "@modules-logic/utils/recurrence.js";
+
+const WEEKDAY_OPTIONS = [
+  { value: "MO", label: "Mon" },
+  { value: "TU", label: "Tue" },
+  { value: "WE", label: "Wed" },
+  { value: "TH", label: "Thu" },
+  { value: "FR", label: "Fri" },
+  { value: "SA", label: "Sat" },
+  { value: "SU", label: "Sun" },
+];
+
+const SERIES_STATUS_LABELS = {
+  recurring: "Active",
+  paused: "Paused",
+  ended: "Ended",
+};
+
+const getDefaultSchedule = () => ({
+  frequency: "weekly",
+  interval: 1,
+  days: ["MO"],
+  time: "09:00",
+  timeZone:
+    typeof Intl !== "undefined"
+      ? Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC"
+      : "UTC",
+  startDate: new Date().toISOString().slice(0, 10),
+  endType: "never",
+  untilDate: "",
+  count: "",
+});
 
 export default function CreatePost() {
   const router = useRouter();
@@ -15,12 +50,97 @@ export default function CreatePost() {
   const [targetAccounts, setTargetAccounts] = useState([]);
   const [availableAccounts, setAvailableAccounts] = useState([]);
   const [scheduledFor, setScheduledFor] = useState("");
+  const [repeat, setRepeat] = useState(false);
+  const [schedule, setSchedule] = useState(getDefaultSchedule);
+  const [series, setSeries] = useState([]);
+  const [editingSeriesId, setEditingSeriesId] = useState(null);
 
-  // Load accounts on mount
+  // Load accounts and recurring series on mount
   useEffect(() => {
     loadAccounts();
+    loadSeries();
   }, []);
 
+  const loadSeries = async () => {
+    try {
+      const response = await getJson("/api/posts/recurring");
+      setSeries(response.series || []);
+    } catch (err) {
+      console.error("Failed to load recurring posts:", err);
+    }
+  };
+
+  const updateSchedule = (changes) => {
+    setSchedule((prev) => ({ ...prev, ...changes }));
+  };
+
+  const handleDayToggle = (day) => {
+    setSchedule((prev) => ({
+      ...prev,
+      days: prev.days.includes(day)
+        ? prev.days.filter((d) => d !== day)
+        : [...prev.days, day],
+    }));
+  };
+
+  const resetForm = () => {
+    setCaption("");
+    setImageUrl("");
+    setImagePreview("");
+    setTargetAccounts([]);
+    setRepeat(false);
+    setSchedule(getDefaultSchedule());
+    setEditingSeriesId(null);
+  };
+
+  const handleEditSeries = (item) => {
+    try {
+      const options = getScheduleOptions(item.recurrence_rule);
+      setSchedule({
+        ...getDefaultSchedule(),
+        ...options,
+        endType: options.count ? "count" : options.untilDate ? "until" : "never",
+      });
+    } catch (err) {
+      toast.error(err.message || "Failed to read recurrence rule");
+      return;
+    }
+    setCaption(item.content?.caption || "");
+    setImageUrl(item.content?.image_url || "");
+    setImagePreview("");
+    setTargetAccounts(item.target_accounts || []);
+    setRepeat(true);
+    setEditingSeriesId(item.id);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  const handleToggleSeriesPause = async (item) => {
+    const status = item.status === "paused" ? "recurring" : "paused";
+    try {
+      await postJson(`/api/posts/recurring/${item.id}`, { status }, "PATCH");
+      toast.success(status === "paused" ? "Series paused" : "Series resumed");
+      loadSeries();
+    } catch (err) {
+      toast.error(err.message || "Failed to update series");
+    }
+  };
+
+  const handleEndSeries = async (item) => {
+    if (!window.confirm("End this recurring post? No further posts will be created.")) {
+      return;
+    }
+    try {
+      await deleteJson(`/api/posts/recurring/${item.id}`);
+      toast.success("Series ended");
+      if (editingSeriesId === item.id) {
+        resetForm();
+      }
+      loadSeries();
+    } catch (err) {
+      toast.error(err.message || "Failed to end series");
+    }
+  };
+
   const loadAccounts = async () => {
     try {
       const response = await getJson("/api/accounts/list");
@@ -132,6 +252,32 @@ export default function CreatePost() {
         postData.target_accounts = targetAccounts;
       }
 
+      // Recurring series: create or edit
+      if (repeat) {
+        if (schedule.frequency === "weekly" && schedule.days.length === 0) {
+          toast.error("Select at least one weekday");
+          return;
+        }
+
+        postData.recurrence_rule = buildRecurrenceRule({
+          ...schedule,
+          untilDate: schedule.endType === "until" ? schedule.untilDate : "",
+          count: schedule.endType === "count" ? schedule.count : "",
+        });
+
+        if (editingSeriesId) {
+          await postJson(`/api/posts/recurring/${editingSeriesId}`, postData, "PATCH");
+          toast.success("Recurring post updated!");
+        } else {
+          await postJson("/api/posts/recurring", postData);
+          toast.success("Recurring post created!");
+        }
+
+        resetForm();
+        loadSeries();
+        return;
+      }
+
       // Add scheduled time if provided
       if (scheduledFor) {
         postData.scheduled_for = new Date(scheduledFor).toISOString();
@@ -139,8 +285,14 @@ export default function CreatePost() {
 
       const response = await postJson("/api/posts/create", postData);
 
-      toast.success("Post created successfully!");
-      router.push(`/posts/${response.job.id}`);
+      // Accounts on different agents get one job per agent
+      if (response.jobs?.length > 1) {
+        toast.success(`Post created as ${response.jobs.length} jobs (one per agent)`);
+        router.push("/posts");
+      } else {
+        toast.success("Post created successfully!");
+        router.push(`/posts/${response.job.id}`);
+      }
     } catch (err) {
       toast.error(err.message || "Failed to create post");
     } finally {
@@ -277,42 +429,242 @@ export default function CreatePost() {
                 </div>
               )}
 
-              {/* Scheduled Time (Optional) */}
+              {/* Repeat (Optional) */}
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Schedule Post (Optional)
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={repeat}
+                    onChange={(e) => setRepeat(e.target.checked)}
+                    disabled={!!editingSeriesId}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span className="text-sm font-medium text-gray-700">
+                    Repeat this post
+                  </span>
                 </label>
-                <input
-                  type="datetime-local"
-                  value={scheduledFor}
-                  onChange={(e) => setScheduledFor(e.target.value)}
-                  min={new Date().toISOString().slice(0, 16)}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                />
-                <p className="text-xs text-gray-500 mt-1">
-                  Leave empty to post immediately
-                </p>
+
+                {repeat && (
+                  <div className="mt-4 space-y-4 border border-gray-200 rounded-lg p-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-xs text-gray-600 mb-1">Repeats</label>
+                        <select
+                          value={schedule.frequency}
+                          onChange={(e) => updateSchedule({ frequency: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        >
+                          <option value="daily">Daily</option>
+                          <option value="weekly">Weekly</option>
+                          <option value="monthly">Monthly</option>
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-xs text-gray-600 mb-1">Every</label>
+                        <input
+                          type="number"
+                          min={1}
+                          value={schedule.interval}
+                          onChange={(e) => updateSchedule({ interval: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                      </div>
+                    </div>
+
+                    {schedule.frequency === "weekly" && (
+                      <div>
+                        <label className="block text-xs text-gray-600 mb-1">On</label>
+                        <div className="flex flex-wrap gap-2">
+                          {WEEKDAY_OPTIONS.map((day) => (
+                            <button
+                              key={day.value}
+                              type="button"
+                              onClick={() => handleDayToggle(day.value)}
+                              className={`px-3 py-1 rounded-full text-sm border ${
+                                schedule.days.includes(day.value)
+                                  ? "bg-blue-600 text-white border-blue-600"
+                                  : "bg-white text-gray-700 border-gray-300"
+                              }`}
+                            >
+                              {day.label}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      <div>
+                        <label className="block text-xs text-gray-600 mb-1">Starting</label>
+                        <input
+                          type="date"
+                          value={schedule.startDate}
+                          onChange={(e) => updateSchedule({ startDate: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs text-gray-600 mb-1">At</label>
+                        <input
+                          type="time"
+                          value={schedule.time}
+                          onChange={(e) => updateSchedule({ time: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs text-gray-600 mb-1">Time zone</label>
+                        <input
+                          type="text"
+                          value={schedule.timeZone}
+                          onChange={(e) => updateSchedule({ timeZone: e.target.value })}
+                          placeholder="Europe/Berlin"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                      </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-xs text-gray-600 mb-1">Ends</label>
+                        <select
+                          value={schedule.endType}
+                          onChange={(e) => updateSchedule({ endType: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        >
+                          <option value="never">Never</option>
+                          <option value="until">On date</option>
+                          <option value="count">After number of posts</option>
+                        </select>
+                      </div>
+                      {schedule.endType === "until" && (
+                        <div>
+                          <label className="block text-xs text-gray-600 mb-1">Last day</label>
+                          <input
+                            type="date"
+                            value={schedule.untilDate}
+                            onChange={(e) => updateSchedule({ untilDate: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                          />
+                        </div>
+                      )}
+                      {schedule.endType === "count" && (
+                        <div>
+                          <label className="block text-xs text-gray-600 mb-1">Number of posts</label>
+                          <input
+                            type="number"
+                            min={1}
+                            value={schedule.count}
+                            onChange={(e) => updateSchedule({ count: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                          />
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )}
               </div>
 
+              {/* Scheduled Time (Optional) */}
+              {!repeat && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Schedule Post (Optional)
+                  </label>
+                  <input
+                    type="datetime-local"
+                    value={scheduledFor}
+                    onChange={(e) => setScheduledFor(e.target.value)}
+                    min={new Date().toISOString().slice(0, 16)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Leave empty to post immediately
+                  </p>
+                </div>
+              )}
+
               {/* Submit Button */}
               <div className="flex justify-end space-x-4">
                 <button
                   type="button"
-                  onClick={() => router.back()}
+                  onClick={() => (editingSeriesId ? resetForm() : router.back())}
                   className="px-6 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
                 >
-                  Cancel
+                  {editingSeriesId ? "Cancel Edit" : "Cancel"}
                 </button>
                 <button
                   type="submit"
                   disabled={loading || uploading || !caption.trim() || !imageUrl}
                   className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  {loading ? "Creating..." : "Create Post"}
+                  {loading
+                    ? "Saving..."
+                    : editingSeriesId
+                    ? "Save Series"
+                    : repeat
+                    ? "Create Recurring Post"
+                    : "Create Post"}
                 </button>
               </div>
             </div>
           </form>
+
+          {/* Recurring Series */}
+          {series.length > 0 && (
+            <div className="max-w-3xl mt-8 bg-white rounded-lg shadow-md p-6">
+              <h2 className="text-xl font-semibold mb-4">Recurring Posts</h2>
+              <div className="space-y-3">
+                {series.map((item) => (
+                  <div
+                    key={item.id}
+                    className="border border-gray-200 rounded-lg p-4 flex items-start justify-between gap-4"
+                  >
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 truncate">
+                        {item.content?.caption || "Untitled post"}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {item.recurrence_description || item.recurrence_rule}
+                      </p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {SERIES_STATUS_LABELS[item.status] || item.status}
+                        {item.next_run_at &&
+                          ` · Next: ${new Date(item.next_run_at).toLocaleString()}`}
+                        {item.last_run_at &&
+                          ` · Last: ${new Date(item.last_run_at).toLocaleString()}`}
+                      </p>
+                    </div>
+                    {item.status !== "ended" && (
+                      <div className="flex gap-2 shrink-0">
+                        <button
+                          type="button"
+                          onClick={() => handleToggleSeriesPause(item)}
+                          className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50"
+                        >
+                          {item.status === "paused" ? "Resume" : "Pause"}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleEditSeries(item)}
+                          className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleEndSeries(item)}
+                          className="px-3 py-1 text-sm text-red-600 border border-red-300 rounded hover:bg-red-50"
+                        >
+                          End
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </main>
       </div>
     </div>
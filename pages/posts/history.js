@@ -21,6 +21,13 @@ export default function PostHistory() {
     offset: 0,
   });
 
+  // Allow links such as /posts/history?status=dead_letter (notifications)
+  useEffect(() => {
+    if (router.isReady && router.query.status) {
+      setFilters((prev) => ({ ...prev, status: router.query.status }));
+    }
+  }, [router.isReady, router.query.status]);
+
   useEffect(() => {
     fetchHistory();
   }, [filters, pagination.offset]);
@@ -56,6 +63,8 @@ export default function PostHistory() {
     switch (status?.toLowerCase()) {
       case "completed":
         return "bg-green-100 text-green-800";
+      case "partial_success":
+        return "bg-lime-100 text-lime-800";
       case "processing":
         return "bg-blue-100 text-blue-800";
       case "queued":
@@ -64,6 +73,12 @@ export default function PostHistory() {
         return "bg-red-100 text-red-800";
       case "cancelled":
         return "bg-gray-100 text-gray-800";
+      case "unroutable":
+        return "bg-orange-100 text-orange-800";
+      case "recurring":
+        return "bg-purple-100 text-purple-800";
+      case "dead_letter":
+        return "bg-red-200 text-red-900";
       default:
         return "bg-gray-100 text-gray-800";
     }
@@ -118,8 +133,11 @@ export default function PostHistory() {
               <option value="queued">Queued</option>
               <option value="processing">Processing</option>
               <option value="completed">Completed</option>
+              <option value="partial_success">Partial Success</option>
               <option value="failed">Failed</option>
               <option value="cancelled">Cancelled</option>
+              <option value="unroutable">Unroutable</option>
+              <option value="dead_letter">Dead Letter</option>
             </select>
             <div className="flex items-center text-sm text-gray-600">
               Showing {pagination.count} of {pagination.total} jobs
@@ -16,8 +16,33 @@ export const ActionTypes = {
   EXTRACT: 'extract',
   SCREENSHOT: 'screenshot',
   SUBMIT: 'submit',
+  KEYPRESS: 'keypress',
+  HOVER: 'hover',
+  DRAG: 'drag',
+  IF: 'if',
+  LOOP: 'loop',
+  CALL_WORKFLOW: 'call_workflow',
 };
 
+/**
+ * Control-flow actions run nested actions instead of acting on the page
+ */
+export const ControlActionTypes = [ActionTypes.IF, ActionTypes.LOOP, ActionTypes.CALL_WORKFLOW];
+
+/**
+ * Condition types for if/loop actions
+ */
+export const ConditionTypes = {
+  VISIBLE: 'visible',     // Element (selector/visual) is on the page
+  TEXT: 'text',           // Page contains text
+  VARIABLE: 'variable',   // Template variable is set (or equals a value)
+};
+
+/**
+ * Upper bound for loop iterations, whatever the workflow says
+ */
+export const MAX_LOOP_ITERATIONS = 20;
+
 /**
  * Execution methods for visual actions
  */
@@ -39,6 +64,9 @@ export const TemplateVariables = {
   VIDEO_PATH: '{{videoPath}}',
   URL: '{{url}}',
   PHONE: '{{phone}}',
+  HASHTAGS: '{{hashtags}}',
+  LOCATION: '{{location}}',
+  ALT_TEXT: '{{altText}}',
 };
 
 /**
@@ -131,6 +159,90 @@ export function createUploadAction(visual, filePath, backupSelector = null) {
   };
 }
 
+/**
+ * Create an extract action with visual data
+ * source: 'text' | 'attribute' | 'url' | 'page_url' (page_url needs no element)
+ */
+export function createExtractAction(visual, variableName, source = 'text', backupSelector = null) {
+  return {
+    name: `Extract ${variableName}`,
+    type: ActionTypes.EXTRACT,
+    params: {
+      visual,
+      variableName,
+      source,
+      backup_selector: backupSelector,
+      execution_method: ExecutionMethods.VISUAL_FIRST,
+    },
+  };
+}
+
+/**
+ * Create a submit action for the form that owns the located element
+ */
+export function createSubmitAction(visual, backupSelector = null, waitForNavigation = false) {
+  return {
+    name: `Submit form`,
+    type: ActionTypes.SUBMIT,
+    params: {
+      visual,
+      backup_selector: backupSelector,
+      waitForNavigation,
+      execution_method: ExecutionMethods.VISUAL_FIRST,
+    },
+  };
+}
+
+/**
+ * Create a keypress action; without visual data the key goes to the focused element
+ * modifiers: 'Control' | 'Alt' | 'Shift' | 'Meta'
+ */
+export function createKeypressAction(key, modifiers = [], visual = null, backupSelector = null) {
+  return {
+    name: `Press ${[...modifiers, key].join('+')}`,
+    type: ActionTypes.KEYPRESS,
+    params: {
+      key,
+      modifiers,
+      visual,
+      backup_selector: backupSelector,
+      execution_method: ExecutionMethods.VISUAL_FIRST,
+    },
+  };
+}
+
+/**
+ * Create a hover action that rests the pointer on the located element for duration ms
+ */
+export function createHoverAction(visual, backupSelector = null, duration = 500) {
+  return {
+    name: `Hover "${visual.text || 'element'}"`,
+    type: ActionTypes.HOVER,
+    params: {
+      visual,
+      backup_selector: backupSelector,
+      duration,
+      execution_method: ExecutionMethods.VISUAL_FIRST,
+    },
+  };
+}
+
+/**
+ * Create a drag action that moves the located element by delta ({ x, y } in pixels)
+ */
+export function createDragAction(visual, delta, backupSelector = null) {
+  return {
+    name: `Drag "${visual.text || 'element'}"`,
+    type: ActionTypes.DRAG,
+    params: {
+      visual,
+      delta,
+      backup_selector: backupSelector,
+      execution_method: ExecutionMethods.VISUAL_FIRST,
+    },
+  };
+}
+
 /**
  * Create a screenshot action
  */
@@ -145,6 +257,72 @@ export function createScreenshotAction(path = null, fullPage = false) {
   };
 }
 
+/**
+ * Create an if/else action
+ */
+export function createIfAction(condition, thenActions, elseActions = []) {
+  return {
+    name: `If ${condition.type}`,
+    type: ActionTypes.IF,
+    condition,
+    then: thenActions,
+    else: elseActions,
+  };
+}
+
+/**
+ * Create a bounded loop action (repeats while condition holds, or maxIterations times)
+ */
+export function createLoopAction(actions, maxIterations, condition = null) {
+  return {
+    name: condition ? `Loop while ${condition.type}` : `Repeat ${maxIterations}x`,
+    type: ActionTypes.LOOP,
+    condition,
+    maxIterations: Math.min(maxIterations, MAX_LOOP_ITERATIONS),
+    actions,
+  };
+}
+
+/**
+ * Create a call_workflow action running another workflow's actions with mapped variables
+ */
+export function createCallWorkflowAction(workflow, params = {}, outputs = {}) {
+  return {
+    name: `Run ${workflow.name}`,
+    type: ActionTypes.CALL_WORKFLOW,
+    workflowId: workflow.id,
+    workflowName: workflow.name,
+    version: workflow.version || null,
+    params,
+    outputs,
+    actions: workflow.actions,
+  };
+}
+
+/**
+ * Validate a condition of an if/loop action
+ */
+function validateCondition(condition) {
+  const errors = [];
+
+  if (!condition || !Object.values(ConditionTypes).includes(condition.type)) {
+    errors.push(`Condition type must be one of: ${Object.values(ConditionTypes).join(', ')}`);
+    return errors;
+  }
+
+  if (condition.type === ConditionTypes.VISIBLE && !condition.selector && !condition.visual && !condition.text) {
+    errors.push('Visible condition requires selector, visual data or text');
+  }
+  if (condition.type === ConditionTypes.TEXT && !condition.text) {
+    errors.push('Text condition requires text');
+  }
+  if (condition.type === ConditionTypes.VARIABLE && !condition.name) {
+    errors.push('Variable condition requires name');
+  }
+
+  return errors;
+}
+
 /**
  * Validate action structure
  */
@@ -158,6 +336,9 @@ export function validateAction(action) {
   if (!action.type) {
     errors.push('Missing required field: type');
   }
+  if (ControlActionTypes.includes(action.type)) {
+    return validateControlAction(action, errors);
+  }
   if (!action.params) {
     errors.push('Missing required field: params');
   }
@@ -198,12 +379,92 @@ export function validateAction(action) {
     errors.push('Wait action requires duration parameter');
   }
 
+  if (action.type === ActionTypes.EXTRACT && !action.params.variableName) {
+    errors.push('Extract action requires variableName parameter');
+  }
+
+  if (action.type === ActionTypes.KEYPRESS && !action.params.key) {
+    errors.push('Keypress action requires key parameter');
+  }
+
+  const delta = action.params.delta;
+  if (action.type === ActionTypes.DRAG && (typeof delta?.x !== 'number' || typeof delta?.y !== 'number')) {
+    errors.push('Drag action requires delta with x and y');
+  }
+
+  if (
+    (action.type === ActionTypes.SUBMIT ||
+      action.type === ActionTypes.HOVER ||
+      action.type === ActionTypes.DRAG ||
+      (action.type === ActionTypes.EXTRACT && action.params.source !== 'page_url')) &&
+    !action.params.visual && !action.params.backup_selector && !action.params.selector
+  ) {
+    errors.push(`${action.type} actions require visual data or a selector`);
+  }
+
   return {
     valid: errors.length === 0,
     errors,
   };
 }
 
+/**
+ * Validate an if/loop action and its nested actions
+ */
+function validateControlAction(action, errors) {
+  const nested = action.type === ActionTypes.IF
+    ? [...(action.then || []), ...(action.else || [])]
+    : action.actions || [];
+
+  if (action.type === ActionTypes.CALL_WORKFLOW) {
+    if (!action.workflowId) {
+      errors.push('Call workflow action requires workflowId');
+    }
+    if (!Array.isArray(action.actions) || action.actions.length === 0) {
+      errors.push('Call workflow action requires the actions of the called workflow');
+    }
+  } else if (action.type === ActionTypes.IF || action.condition) {
+    errors.push(...validateCondition(action.condition));
+  }
+
+  if (action.type === ActionTypes.IF && (!Array.isArray(action.then) || action.then.length === 0)) {
+    errors.push('If action requires at least one action in then');
+  }
+
+  if (action.type === ActionTypes.LOOP) {
+    if (!Array.isArray(action.actions) || action.actions.length === 0) {
+      errors.push('Loop action requires at least one action');
+    }
+    if (!Number.isInteger(action.maxIterations) || action.maxIterations < 1 || action.maxIterations > MAX_LOOP_ITERATIONS) {
+      errors.push(`Loop action requires maxIterations between 1 and ${MAX_LOOP_ITERATIONS}`);
+    }
+  }
+
+  for (const child of nested) {
+    const result = validateAction(child);
+    errors.push(...result.errors.map((error) => `${action.name} > ${error}`));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Replace {{variable}} templates in a string
+ * Non-string values are returned unchanged
+ */
+export function replaceTemplateString(str, variables) {
+  if (typeof str !== 'string' || !variables) return str;
+  let result = str;
+  for (const [key, value] of Object.entries(variables)) {
+    const template = `{{${key}}}`;
+    result = result.replace(new RegExp(template.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), value);
+  }
+  return result;
+}
+
 /**
  * Replace template variables in action fields
  * Replaces {{variable}} in text, value, caption, url, and other string fields
@@ -214,19 +475,21 @@ export function replaceTemplates(action, variables) {
   }
 
   // Helper function to replace templates in a string
-  const replaceInString = (str) => {
-    if (typeof str !== 'string') return str;
-    let result = str;
-    for (const [key, value] of Object.entries(variables)) {
-      const template = `{{${key}}}`;
-      result = result.replace(new RegExp(template.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), value);
-    }
-    return result;
-  };
+  const replaceInString = (str) => replaceTemplateString(str, variables);
 
   // Create a new action object with replaced values
   const processedAction = { ...action };
 
+  // Conditions may compare against variables (nested actions are replaced when they run)
+  if (processedAction.condition) {
+    processedAction.condition = { ...processedAction.condition };
+    for (const field of ['text', 'equals']) {
+      if (processedAction.condition[field] !== undefined) {
+        processedAction.condition[field] = replaceInString(processedAction.condition[field]);
+      }
+    }
+  }
+
   // Replace in action.text (for type actions)
   if (processedAction.text) {
     processedAction.text = replaceInString(processedAction.text);
@@ -276,8 +539,23 @@ export function estimateExecutionTime(action) {
     [ActionTypes.SCROLL]: 500,         // 500ms
     [ActionTypes.UPLOAD]: 2000,        // 2 seconds
     [ActionTypes.SCREENSHOT]: 1000,    // 1 second
+    [ActionTypes.EXTRACT]: 500,        // 500ms
+    [ActionTypes.SUBMIT]: 1000,        // 1 second
+    [ActionTypes.KEYPRESS]: 200,       // 200ms
+    [ActionTypes.HOVER]: 1000,         // 1 second (pointer move + hover duration)
+    [ActionTypes.DRAG]: 1000,          // 1 second
   };
 
+  // Estimate the longer branch once / every loop iteration
+  if (action.type === ActionTypes.IF) {
+    const sum = (actions) => (actions || []).reduce((total, child) => total + estimateExecutionTime(child), 0);
+    return Math.max(sum(action.then), sum(action.else));
+  }
+  if (action.type === ActionTypes.LOOP) {
+    const perIteration = (action.actions || []).reduce((total, child) => total + estimateExecutionTime(child), 0);
+    return perIteration * (action.maxIterations || 1);
+  }
+
   let time = baseTime[action.type] || 500;
 
   // Add wait duration
@@ -299,12 +577,15 @@ export function estimateExecutionTime(action) {
 
 /**
  * Get execution method priority order
+ * 'visual' is the text + position search, 'template' matches the recorded screenshot
+ * against the viewport (elements without text), 'ocr' reads text drawn on canvas or in images.
+ * Template matching and OCR are slow, so they come after the backup selector.
  */
 export function getExecutionMethodPriority(method) {
   const priorities = {
-    [ExecutionMethods.SELECTOR_FIRST]: ['selector', 'visual', 'position'],
-    [ExecutionMethods.VISUAL_FIRST]: ['visual', 'selector', 'position'],
-    [ExecutionMethods.VISUAL_ONLY]: ['visual', 'position'],
+    [ExecutionMethods.SELECTOR_FIRST]: ['selector', 'visual', 'template', 'ocr', 'position'],
+    [ExecutionMethods.VISUAL_FIRST]: ['visual', 'selector', 'template', 'ocr', 'position'],
+    [ExecutionMethods.VISUAL_ONLY]: ['visual', 'template', 'ocr', 'position'],
   };
 
   return priorities[method] || priorities[ExecutionMethods.VISUAL_FIRST];
@@ -5,17 +5,23 @@
  * It handles:
  * - Client registration on first run
  * - Polling for jobs
- * - Executing workflows
+ * - Executing workflows (several jobs in parallel, see job-pool.js)
  * - Sending heartbeats
+ * - Recording workflows on this machine (record jobs and abcdtools://record deep links, see recording.js)
  */
 
-import { config, validateConfig } from './config.js';
-import { logger } from './logger.js';
-import { pollPendingJobs, sendHeartbeat, updateJobStatus, registerClient, pingApi, checkClientRegistration, fetchAccountById } from './poller.js';
+import { config, validateConfig, updateEnvValue } from './config.js';
+import { logger, runWithLogContext, flushLogs } from './logger.js';
+import { pollPendingJobs, sendHeartbeat, updateJobStatus, submitExecutionReport, submitHealingProposals, registerClient, pingApi, checkClientRegistration, fetchAccountById } from './poller.js';
 import { decryptAccountPassword } from './encryption.js';
 import { WorkflowExecutor } from './workflow-executor.js';
-import puppeteer from 'puppeteer-core';
+import { categorizeError } from './enhanced-visual-executor.js';
+import { JobWorkerPool, normalizeConcurrency, parsePlatformLimits } from './job-pool.js';
+import { BrowserPool } from './browser-pool.js';
+import { startPushChannel } from './push-channel.js';
+import { startLeaseRenewal } from './lease-renewal.js';
 import { PLATFORM_CONFIG } from '../modules-agents/platforms/platform.js';
+import { recordWorkflow, parseRecordingDeepLink } from './recording.js';
 // Browser finder - will be available as browser.mjs in bundled package
 // package.js copies browser.mjs to the bundled directory
 // Try local import first (bundled), fallback to source (development)
@@ -44,6 +50,45 @@ import { execSync } from 'child_process';
 // Lock file to prevent multiple instances
 const LOCK_FILE = path.join(process.cwd(), '.agent.lock');
 
+// Set by SIGINT/SIGTERM: stop claiming jobs and let running ones finish
+let shutdownRequested = false;
+// Set when the next poll should happen right away (pushed job, finished job, shutdown)
+let pollRequested = false;
+let wakePollingLoop = null;
+// Jobs this agent is executing: jobId -> { cancelled, leaseLost, executor } (executor of the running account)
+// cancelled is also set when the lease is lost (see lease-renewal.js)
+const runningJobs = new Map();
+
+/**
+ * Find the browser executable (BROWSER_PATH or auto-detected Chrome)
+ * @returns {string} Browser path
+ */
+function findBrowserPath() {
+  let browserPath = config.browserPath;
+  if (!browserPath || !existsSync(browserPath)) {
+    browserPath = findChrome();
+  }
+  
+  if (!browserPath || !existsSync(browserPath)) {
+    throw new Error('Browser not found. Please set BROWSER_PATH in .env');
+  }
+  
+  return browserPath;
+}
+
+// One browser process shared by all jobs; every account run gets an isolated context
+const browserPool = new BrowserPool({
+  getExecutablePath: findBrowserPath,
+  launchOptions: {
+    headless: false,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-blink-features=AutomationControlled',
+    ],
+  },
+});
+
 /**
  * Check if agent is already running
  */
@@ -99,6 +144,9 @@ function removeLockFile() {
 
 /**
  * Handle protocol handler deep links
+ * abcdtools://start starts the agent; abcdtools://record?platform=...&type=...&url=...&name=...
+ * records a workflow on this machine (see runDeepLinkRecording)
+ * @returns {Object|null} { action, params } of the deep link, or null when started without one
  */
 function handleDeepLink() {
   const args = process.argv.slice(2);
@@ -114,15 +162,46 @@ function handleDeepLink() {
     logger.info('Deep link parameters:', params);
     
     // Handle different deep link actions
+    if (urlObj.hostname === 'record' || params.action === 'record') {
+      return { action: 'record', params };
+    }
+    
     if (urlObj.hostname === 'start' || params.action === 'start') {
       logger.info('Starting agent via deep link...');
       // Agent will start normally
     }
     
-    return true;
+    return { action: 'start', params };
   }
   
-  return false;
+  return null;
+}
+
+/**
+ * Record a workflow requested by an abcdtools://record deep link, then exit
+ * Runs next to a polling agent (no lock file): the recording is a separate process that only
+ * needs the client credentials to upload the result.
+ * @param {Object} params - Deep link parameters
+ */
+async function runDeepLinkRecording(params) {
+  const validation = validateConfig();
+  if (!validation.valid) {
+    logger.error('Configuration validation failed:');
+    validation.errors.forEach(error => logger.error('  -', error));
+    await flushLogs();
+    process.exit(1);
+  }
+  
+  try {
+    const result = await recordWorkflow(parseRecordingDeepLink(params));
+    logger.info(`Recording saved as workflow "${result.workflow.name}". Your jobs use it from now on.`);
+    await flushLogs();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Recording failed:', error.message);
+    await flushLogs();
+    process.exit(1);
+  }
 }
 
 /**
@@ -161,286 +240,408 @@ async function configureViewport(page, platform) {
 }
 
 /**
- * Execute a job workflow
+ * Get the accounts a job has to be executed for
+ * A job runs once per target account. Jobs that name a single account in content.account_id
+ * (verify_account, auth) or have no target accounts run once.
+ * @param {Object} job - Job object
+ * @returns {Array<string|null>} Account IDs (null = run without account)
  */
-async function executeJob(job) {
-  logger.info(`Executing job ${job.id}...`);
+function getJobAccountIds(job) {
+  if (job.content?.account_id) {
+    return [job.content.account_id];
+  }
   
-  // Update job status to processing
-  await updateJobStatus(job.id, 'processing');
+  if (Array.isArray(job.target_accounts) && job.target_accounts.length > 0) {
+    return [...new Set(job.target_accounts)];
+  }
   
-  let browser = null;
-  let page = null;
+  return [null];
+}
+
+/**
+ * Get the platforms a job posts to (used for per-platform concurrency caps)
+ * @param {Object} job - Job object
+ * @returns {Array<string>} Platform names
+ */
+function getJobPlatforms(job) {
+  const accountPlatforms = Object.values(job.content?.account_platforms || {});
+  if (accountPlatforms.length > 0) {
+    return [...new Set(accountPlatforms)];
+  }
   
-  try {
-    // Get workflow from job content (needed for platform detection)
-    let workflow = job.content?.workflow || job.content;
+  return [job.content?.workflow?.platform || job.content?.platform || 'default'];
+}
+
+/**
+ * Convert workflow steps (database format) to actions, including nested if/loop blocks and
+ * resolved call_workflow steps
+ * Mirrors convertWorkflowToActions in modules-logic/utils/workflow-converter.js, which is not
+ * shipped with the agent
+ * @param {Array} steps - Steps with micro_action (and condition_micro_action) populated
+ * @param {string} prefix - Label prefix for error messages
+ * @returns {Array} Actions
+ */
+function convertStepsToActions(steps, prefix = 'Step') {
+  return (steps || []).map((step, index) => {
+    const label = `${prefix} ${index + 1}`;
     
-    if (!workflow) {
-      logger.error(`Job ${job.id} has no workflow in content. Content keys:`, Object.keys(job.content || {}));
-      throw new Error('Invalid workflow in job content: workflow is missing');
+    if (step.type === 'call_workflow' && !step.micro_action_id) {
+      if (!step.workflow) {
+        throw new Error(`${label} (workflow_id: ${step.workflow_id}) is missing the called workflow.`);
+      }
+      
+      return {
+        name: step.name || step.workflow.name,
+        type: 'call_workflow',
+        workflowId: step.workflow.id,
+        workflowName: step.workflow.name,
+        version: step.workflow.version || null,
+        params: step.params || {},
+        outputs: step.outputs || {},
+        actions: convertStepsToActions(step.workflow.steps, `${label} > ${step.workflow.name}`),
+      };
     }
     
-    // Extract platform for viewport configuration
-    const platform = workflow?.platform || 'default';
-    logger.info(`Platform detected: ${platform}`);
-    
-    // Find browser
-    let browserPath = config.browserPath;
-    if (!browserPath || !existsSync(browserPath)) {
-      browserPath = findChrome();
+    if ((step.type === 'if' || step.type === 'loop') && !step.micro_action_id) {
+      let condition = null;
+      if (step.condition) {
+        const { micro_action_id: conditionMicroActionId, ...rest } = step.condition;
+        condition = rest;
+        if (conditionMicroActionId) {
+          const conditionAction = step.condition_micro_action;
+          if (!conditionAction) {
+            throw new Error(`${label} condition (micro_action_id: ${conditionMicroActionId}) is missing micro_action data.`);
+          }
+          const params = conditionAction.params || {};
+          condition.name = rest.name || conditionAction.name;
+          condition.selector = rest.selector || params.backup_selector || params.selector || null;
+          condition.visual = params.visual || null;
+        }
+      }
+      
+      if (step.type === 'if') {
+        return {
+          name: step.name || `If (${label})`,
+          type: 'if',
+          condition,
+          then: convertStepsToActions(step.then, `${label} then`),
+          else: convertStepsToActions(step.else, `${label} else`),
+        };
+      }
+      
+      return {
+        name: step.name || `Loop (${label})`,
+        type: 'loop',
+        condition,
+        maxIterations: parseInt(step.max_iterations, 10) || 1,
+        actions: convertStepsToActions(step.steps, `${label} loop`),
+      };
     }
     
-    if (!browserPath || !existsSync(browserPath)) {
-      throw new Error('Browser not found. Please set BROWSER_PATH in .env');
-    }
+    const microAction = step.micro_action;
     
-    logger.info('Launching browser:', browserPath);
-    
-    // Launch browser
-    browser = await puppeteer.launch({
-      executablePath: browserPath,
-      headless: false,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-blink-features=AutomationControlled',
-      ],
-    });
+    if (!microAction) {
+      throw new Error(
+        `${label} (micro_action_id: ${step.micro_action_id}) is missing micro_action data. ` +
+        'Workflow must be loaded with micro_actions populated.'
+      );
+    }
     
-    page = await browser.newPage();
+    const baseParams = microAction.params || {};
+    const stepOverrides = step.params_override || {};
+    const finalParams = { ...baseParams, ...stepOverrides };
     
-    // Configure viewport based on platform (mobile for Instagram/Facebook, desktop for others)
-    await configureViewport(page, platform);
+    const visual = finalParams.visual || microAction.visual || null;
+    const backupSelector = finalParams.backup_selector || microAction.backup_selector || null;
+    const executionMethod = finalParams.execution_method || microAction.execution_method || 'visual_first';
     
-    // Create workflow executor
-    const executor = new WorkflowExecutor(page, {
-      screenshotOnError: true,
-      screenshotDir: path.join(process.cwd(), 'screenshots'),
-      enableRetry: true,
-      maxRetries: 3,
-    });
+    const action = {
+      name: microAction.name || step.name || `Action ${index + 1}`,
+      type: microAction.type || step.type,
+      params: finalParams,
+    };
     
-    if (!workflow) {
-      logger.error(`Job ${job.id} has no workflow in content. Content keys:`, Object.keys(job.content || {}));
-      throw new Error('Invalid workflow in job content: workflow is missing');
+    if (visual) action.visual = visual;
+    if (backupSelector) action.backup_selector = backupSelector;
+    if (executionMethod) action.execution_method = executionMethod;
+    if (step.optional) action.optional = true;
+    // Healing proposals target the micro-action, unless the step overrides its visual data
+    if (!stepOverrides.visual && !stepOverrides.backup_selector) {
+      action.micro_action_id = microAction.id || step.micro_action_id;
     }
     
-    // Handle both formats: actions array (execution format) or steps array (database format)
-    if (!workflow.actions) {
-      // Parse steps if it's a string (JSONB fields might be returned as strings)
-      let steps = workflow.steps;
-      if (steps && typeof steps === 'string') {
-        try {
-          steps = JSON.parse(steps);
-          workflow.steps = steps;
-        } catch (parseError) {
-          logger.error(`Failed to parse workflow steps as JSON:`, parseError.message);
-          throw new Error(`Invalid workflow format: steps is not valid JSON`);
-        }
+    return action;
+  });
+}
+
+/**
+ * Get the workflow to execute for one account of a job, in execution format (actions)
+ * Multi-platform jobs carry one workflow per platform in content.workflows, keyed by the
+ * platform of each account in content.account_platforms
+ * @param {Object} job - Job object
+ * @param {string|null} accountId - Account ID
+ * @returns {Object} Workflow with actions array
+ */
+function resolveJobWorkflow(job, accountId) {
+  const accountPlatform = accountId ? job.content?.account_platforms?.[accountId] : null;
+  let workflow = (accountPlatform && job.content?.workflows?.[accountPlatform]) || job.content?.workflow || job.content;
+  
+  if (!workflow) {
+    logger.error(`Job ${job.id} has no workflow in content. Content keys:`, Object.keys(job.content || {}));
+    throw new Error('Invalid workflow in job content: workflow is missing');
+  }
+  
+  // Handle both formats: actions array (execution format) or steps array (database format)
+  if (!workflow.actions) {
+    // Parse steps if it's a string (JSONB fields might be returned as strings)
+    let steps = workflow.steps;
+    if (steps && typeof steps === 'string') {
+      try {
+        steps = JSON.parse(steps);
+        workflow.steps = steps;
+      } catch (parseError) {
+        logger.error(`Failed to parse workflow steps as JSON:`, parseError.message);
+        throw new Error(`Invalid workflow format: steps is not valid JSON`);
       }
+    }
+    
+    // Try to convert from database format (steps) to execution format (actions)
+    if (workflow.steps && Array.isArray(workflow.steps)) {
+      logger.warn(`Job ${job.id} workflow is in database format (steps). Attempting conversion...`);
       
-      // Try to convert from database format (steps) to execution format (actions)
-      if (workflow.steps && Array.isArray(workflow.steps)) {
-        logger.warn(`Job ${job.id} workflow is in database format (steps). Attempting conversion...`);
+      try {
+        // Convert steps to actions (if/loop blocks are converted recursively)
+        const actions = convertStepsToActions(workflow.steps);
+        const stepCount = workflow.steps.length;
         
-        try {
-          // Convert steps to actions
-          const actions = workflow.steps.map((step, index) => {
-            const microAction = step.micro_action;
-            
-            if (!microAction) {
-              throw new Error(
-                `Step ${index + 1} (micro_action_id: ${step.micro_action_id}) is missing micro_action data. ` +
-                'Workflow must be loaded with micro_actions populated.'
-              );
-            }
-            
-            const baseParams = microAction.params || {};
-            const stepOverrides = step.params_override || {};
-            const finalParams = { ...baseParams, ...stepOverrides };
-            
-            const visual = finalParams.visual || microAction.visual || null;
-            const backupSelector = finalParams.backup_selector || microAction.backup_selector || null;
-            const executionMethod = finalParams.execution_method || microAction.execution_method || 'visual_first';
-            
-            const action = {
-              name: microAction.name || step.name || `Action ${index + 1}`,
-              type: microAction.type || step.type,
-              params: finalParams,
-            };
-            
-            if (visual) action.visual = visual;
-            if (backupSelector) action.backup_selector = backupSelector;
-            if (executionMethod) action.execution_method = executionMethod;
-            
-            return action;
-          });
-          
-          workflow = {
-            id: workflow.id,
-            name: workflow.name,
-            platform: workflow.platform,
-            type: workflow.type,
-            actions: actions,
-          };
-          
-          logger.info(`Successfully converted workflow from steps format (${workflow.steps.length} steps → ${actions.length} actions)`);
-        } catch (conversionError) {
-          logger.error(`Failed to convert workflow from steps format:`, conversionError.message);
-          logger.error(`Workflow structure:`, JSON.stringify({
-            hasSteps: !!workflow.steps,
-            stepsLength: workflow.steps?.length,
-            stepSample: workflow.steps?.[0] ? {
-              hasMicroAction: !!workflow.steps[0].micro_action,
-              microActionId: workflow.steps[0].micro_action_id,
-            } : null,
-          }, null, 2));
-          throw new Error(`Invalid workflow format: ${conversionError.message}`);
-        }
-      } else {
-        // Neither actions nor steps - invalid format
-        logger.error(`Job ${job.id} workflow has invalid format. Expected 'actions' or 'steps' array.`);
+        workflow = {
+          id: workflow.id,
+          name: workflow.name,
+          platform: workflow.platform,
+          type: workflow.type,
+          actions: actions,
+        };
+        
+        logger.info(`Successfully converted workflow from steps format (${stepCount} steps → ${actions.length} actions)`);
+      } catch (conversionError) {
+        logger.error(`Failed to convert workflow from steps format:`, conversionError.message);
         logger.error(`Workflow structure:`, JSON.stringify({
-          hasActions: !!workflow.actions,
           hasSteps: !!workflow.steps,
-          workflowKeys: Object.keys(workflow),
+          stepsLength: workflow.steps?.length,
+          stepSample: workflow.steps?.[0] ? {
+            hasMicroAction: !!workflow.steps[0].micro_action,
+            microActionId: workflow.steps[0].micro_action_id,
+          } : null,
         }, null, 2));
-        throw new Error('Invalid workflow in job content: missing actions or steps array');
+        throw new Error(`Invalid workflow format: ${conversionError.message}`);
       }
+    } else {
+      // Neither actions nor steps - invalid format
+      logger.error(`Job ${job.id} workflow has invalid format. Expected 'actions' or 'steps' array.`);
+      logger.error(`Workflow structure:`, JSON.stringify({
+        hasActions: !!workflow.actions,
+        hasSteps: !!workflow.steps,
+        workflowKeys: Object.keys(workflow),
+      }, null, 2));
+      throw new Error('Invalid workflow in job content: missing actions or steps array');
     }
+  }
+  
+  if (!workflow.actions || !Array.isArray(workflow.actions) || workflow.actions.length === 0) {
+    logger.error(`Job ${job.id} workflow has no valid actions array`);
+    throw new Error('Invalid workflow in job content: actions array is missing or empty');
+  }
+  
+  return workflow;
+}
+
+/**
+ * Build the template variables of one account run (username, password, caption, etc.)
+ * @param {Object} job - Job object
+ * @param {string|null} accountId - Account ID
+ * @returns {Promise<Object>} Template variables and the fetched account (or null)
+ */
+async function buildTemplateVariables(job, accountId) {
+  // Other variables of the job (hashtags, location, ...); the ones built below take precedence
+  const templateVariables = { ...(job.content?.variables || {}) };
+  const usernameFromJob = job.content?.username;
+  let account = null;
+  
+  if (accountId) {
+    logger.info(`Fetching account data for account_id: ${accountId}`);
     
-    if (!workflow.actions || !Array.isArray(workflow.actions) || workflow.actions.length === 0) {
-      logger.error(`Job ${job.id} workflow has no valid actions array`);
-      throw new Error('Invalid workflow in job content: actions array is missing or empty');
-    }
-    
-    // Prepare template variables (username, password, etc.)
-    const templateVariables = {};
-    
-    // Extract account information from job content or target_accounts
-    // For post jobs, account_id might be in target_accounts array
-    let accountId = job.content?.account_id;
-    if (!accountId && job.target_accounts && Array.isArray(job.target_accounts) && job.target_accounts.length > 0) {
-      accountId = job.target_accounts[0]; // Use first account for template variables
-    }
-    const usernameFromJob = job.content?.username;
+    // Fetch account data including encrypted password
+    account = await fetchAccountById(accountId);
     
-    if (accountId) {
-      logger.info(`Fetching account data for account_id: ${accountId}`);
+    if (account) {
+      // Use username from account or from job content
+      const username = account.username || usernameFromJob;
       
-      // Fetch account data including encrypted password
-      const account = await fetchAccountById(accountId);
+      if (username) {
+        templateVariables.username = username;
+        logger.info(`   Username: ${username}`);
+      }
       
-      if (account) {
-        // Use username from account or from job content
-        const username = account.username || usernameFromJob;
-        
-        if (username) {
-          templateVariables.username = username;
-          logger.info(`   Username: ${username}`);
-        }
-        
-        // MVP: Use password directly (no decryption)
-        // TODO: Re-enable RSA decryption when ready
-        /*
-        // Decrypt password if available
-        if (account.encrypted_password) {
-          try {
-            logger.info(`   Decrypting password...`);
-            
-            // Use DECRYPTION_KEY (PRIVATE_KEY) for decryption
-            // Asymmetric encryption: ENCRYPTION_KEY = PUBLIC_KEY (server), DECRYPTION_KEY = PRIVATE_KEY (client)
-            const privateKey = config.decryptionKey;
-            
-            if (!privateKey) {
-              throw new Error('DECRYPTION_KEY (PRIVATE_KEY) is required. Cannot decrypt password.');
-            }
-            
-            // Log encryption details for debugging - FULL DETAILS
-            logger.debug(`   Decryption details:`);
-            logger.debug(`      Encrypted password length: ${account.encrypted_password.length} chars`);
-            logger.debug(`      Using: DECRYPTION_KEY (PRIVATE_KEY)`);
-            logger.debug(`      Private key length: ${privateKey.length} chars`);
-            logger.debug(`      Private key format: ${privateKey.includes('BEGIN PRIVATE KEY') ? 'PEM' : 'unknown'}`);
-            logger.debug(`      Private key has newlines: ${privateKey.includes('\n')}`);
-            logger.debug(`      Private key has escaped newlines: ${privateKey.includes('\\n')}`);
-            logger.debug(`      Private key line count: ${privateKey.split('\n').length}`);
-            
-            // Log FULL private key (all characters) for debugging
-            logger.debug(`      [FULL PRIVATE KEY] Length: ${privateKey.length}`);
-            logger.debug(`      [FULL PRIVATE KEY] All chars (JSON): ${JSON.stringify(privateKey)}`);
-            logger.debug(`      [FULL PRIVATE KEY] First 200 chars: ${JSON.stringify(privateKey.substring(0, 200))}`);
-            logger.debug(`      [FULL PRIVATE KEY] Last 200 chars: ${JSON.stringify(privateKey.substring(Math.max(0, privateKey.length - 200)))}`);
-            logger.debug(`      [FULL PRIVATE KEY] Character codes (first 100): ${Array.from(privateKey.substring(0, 100)).map(c => c.charCodeAt(0)).join(',')}`);
-            
-            // Log from config to see what was read
-            logger.debug(`      [CONFIG] Raw decryptionKey length: ${config.decryptionKey.length}`);
-            logger.debug(`      [CONFIG] Raw decryptionKey first 200: ${JSON.stringify(config.decryptionKey.substring(0, 200))}`);
-            
-            // Verify account belongs to this client
-            if (account.client_id) {
-              logger.debug(`      Account client_id: ${account.client_id}`);
-              logger.debug(`      Current client_id: ${config.clientId}`);
-              if (account.client_id !== config.clientId) {
-                logger.warn(`      ⚠️  Account client_id (${account.client_id}) doesn't match current client (${config.clientId})`);
-                logger.warn(`      This may cause decryption to fail if account was encrypted with a different public key`);
-              }
+      // MVP: Use password directly (no decryption)
+      // TODO: Re-enable RSA decryption when ready
+      /*
+      // Decrypt password if available
+      if (account.encrypted_password) {
+        try {
+          logger.info(`   Decrypting password...`);
+          
+          // Use DECRYPTION_KEY (PRIVATE_KEY) for decryption
+          // Asymmetric encryption: ENCRYPTION_KEY = PUBLIC_KEY (server), DECRYPTION_KEY = PRIVATE_KEY (client)
+          const privateKey = config.decryptionKey;
+          
+          if (!privateKey) {
+            throw new Error('DECRYPTION_KEY (PRIVATE_KEY) is required. Cannot decrypt password.');
+          }
+          
+          // Log encryption details for debugging - FULL DETAILS
+          logger.debug(`   Decryption details:`);
+          logger.debug(`      Encrypted password length: ${account.encrypted_password.length} chars`);
+          logger.debug(`      Using: DECRYPTION_KEY (PRIVATE_KEY)`);
+          logger.debug(`      Private key length: ${privateKey.length} chars`);
+          logger.debug(`      Private key format: ${privateKey.includes('BEGIN PRIVATE KEY') ? 'PEM' : 'unknown'}`);
+          logger.debug(`      Private key has newlines: ${privateKey.includes('\n')}`);
+          logger.debug(`      Private key has escaped newlines: ${privateKey.includes('\\n')}`);
+          logger.debug(`      Private key line count: ${privateKey.split('\n').length}`);
+          
+          // Log FULL private key (all characters) for debugging
+          logger.debug(`      [FULL PRIVATE KEY] Length: ${privateKey.length}`);
+          logger.debug(`      [FULL PRIVATE KEY] All chars (JSON): ${JSON.stringify(privateKey)}`);
+          logger.debug(`      [FULL PRIVATE KEY] First 200 chars: ${JSON.stringify(privateKey.substring(0, 200))}`);
+          logger.debug(`      [FULL PRIVATE KEY] Last 200 chars: ${JSON.stringify(privateKey.substring(Math.max(0, privateKey.length - 200)))}`);
+          logger.debug(`      [FULL PRIVATE KEY] Character codes (first 100): ${Array.from(privateKey.substring(0, 100)).map(c => c.charCodeAt(0)).join(',')}`);
+          
+          // Log from config to see what was read
+          logger.debug(`      [CONFIG] Raw decryptionKey length: ${config.decryptionKey.length}`);
+          logger.debug(`      [CONFIG] Raw decryptionKey first 200: ${JSON.stringify(config.decryptionKey.substring(0, 200))}`);
+          
+          // Verify account belongs to this client
+          if (account.client_id) {
+            logger.debug(`      Account client_id: ${account.client_id}`);
+            logger.debug(`      Current client_id: ${config.clientId}`);
+            if (account.client_id !== config.clientId) {
+              logger.warn(`      ⚠️  Account client_id (${account.client_id}) doesn't match current client (${config.clientId})`);
+              logger.warn(`      This may cause decryption to fail if account was encrypted with a different public key`);
             }
-            
-            const decryptedPassword = await decryptAccountPassword(
-              account.encrypted_password,
-              privateKey, // Use DECRYPTION_KEY (PRIVATE_KEY)
-              logger // Pass logger for detailed debugging
-            );
-        */
-        
-        // MVP: Use password directly from database (stored as plain text)
-        if (account.encrypted_password) {
-          try {
-            logger.info(`   Using password from account (plain text for MVP)`);
-            const decryptedPassword = account.encrypted_password; // Password is stored as plain text
-            
-            templateVariables.password = decryptedPassword;
-            logger.info(`   Password retrieved successfully (length: ${decryptedPassword.length} chars)`);
-          } catch (error) {
-            logger.error(`   Failed to retrieve password: ${error.message}`);
-            logger.error(`   Debugging information:`);
-            logger.error(`      Account ID: ${account.id}`);
-            logger.error(`      Account username: ${account.username}`);
-            logger.error(`      Account platform: ${account.platform}`);
-            logger.error(`      Has encrypted_password: ${!!account.encrypted_password}`);
-            throw new Error(`Password retrieval failed: ${error.message}`);
           }
-        } else {
-          logger.warn(`   Account has no encrypted_password field`);
+          
+          const decryptedPassword = await decryptAccountPassword(
+            account.encrypted_password,
+            privateKey, // Use DECRYPTION_KEY (PRIVATE_KEY)
+            logger // Pass logger for detailed debugging
+          );
+      */
+      
+      // MVP: Use password directly from database (stored as plain text)
+      if (account.encrypted_password) {
+        try {
+          logger.info(`   Using password from account (plain text for MVP)`);
+          const decryptedPassword = account.encrypted_password; // Password is stored as plain text
+          
+          templateVariables.password = decryptedPassword;
+          logger.info(`   Password retrieved successfully (length: ${decryptedPassword.length} chars)`);
+        } catch (error) {
+          logger.error(`   Failed to retrieve password: ${error.message}`);
+          logger.error(`   Debugging information:`);
+          logger.error(`      Account ID: ${account.id}`);
+          logger.error(`      Account username: ${account.username}`);
+          logger.error(`      Account platform: ${account.platform}`);
+          logger.error(`      Has encrypted_password: ${!!account.encrypted_password}`);
+          throw new Error(`Password retrieval failed: ${error.message}`);
         }
       } else {
-        logger.warn(`   Account ${accountId} not found. Will use username from job content only.`);
-        if (usernameFromJob) {
-          templateVariables.username = usernameFromJob;
-        }
+        logger.warn(`   Account has no encrypted_password field`);
+      }
+    } else {
+      logger.warn(`   Account ${accountId} not found. Will use username from job content only.`);
+      if (usernameFromJob) {
+        templateVariables.username = usernameFromJob;
       }
-    } else if (usernameFromJob) {
-      // No account_id, but username is in job content
-      logger.info(`Using username from job content: ${usernameFromJob}`);
-      templateVariables.username = usernameFromJob;
     }
+  } else if (usernameFromJob) {
+    // No account_id, but username is in job content
+    logger.info(`Using username from job content: ${usernameFromJob}`);
+    templateVariables.username = usernameFromJob;
+  }
+  
+  // Add post-specific template variables (caption, image_url) from job content
+  if (job.content?.caption) {
+    templateVariables.caption = job.content.caption;
+    logger.info(`   Caption: ${job.content.caption.substring(0, 50)}${job.content.caption.length > 50 ? '...' : ''}`);
+  }
+  
+  if (job.content?.image_url) {
+    templateVariables.image_url = job.content.image_url;
+    logger.info(`   Image URL: ${job.content.image_url}`);
+  }
+  
+  // Also support imagePath as alias for image_url
+  if (job.content?.image_url) {
+    templateVariables.imagePath = job.content.image_url;
+  }
+  
+  return { templateVariables, account };
+}
+
+/**
+ * Execute a job workflow for one account in its own browser context
+ * @param {Object} job - Job object
+ * @param {string|null} accountId - Account ID (null = run without account)
+ * @returns {Promise<Object>} Account result (success, error, errorType, username, platform, executionReportId, extracted, ...)
+ */
+async function executeJobForAccount(job, accountId) {
+  const runningJob = runningJobs.get(job.id);
+  const startedAt = new Date();
+  const accountResult = {
+    success: false,
+    username: null,
+    platform: null,
+    executionReportId: null,
+    startedAt: startedAt.toISOString(),
+  };
+  
+  let context = null;
+  
+  try {
+    const workflow = resolveJobWorkflow(job, accountId);
     
-    // Add post-specific template variables (caption, image_url) from job content
-    if (job.content?.caption) {
-      templateVariables.caption = job.content.caption;
-      logger.info(`   Caption: ${job.content.caption.substring(0, 50)}${job.content.caption.length > 50 ? '...' : ''}`);
-    }
+    // Extract platform for viewport configuration
+    const platform = (accountId && job.content?.account_platforms?.[accountId]) || workflow?.platform || 'default';
+    accountResult.platform = platform;
+    logger.info(`Platform detected: ${platform}`);
     
-    if (job.content?.image_url) {
-      templateVariables.image_url = job.content.image_url;
-      logger.info(`   Image URL: ${job.content.image_url}`);
-    }
+    const { templateVariables, account } = await buildTemplateVariables(job, accountId);
+    accountResult.username = templateVariables.username || account?.username || null;
     
-    // Also support imagePath as alias for image_url
-    if (job.content?.image_url) {
-      templateVariables.imagePath = job.content.image_url;
+    // Every account run gets its own context so sessions (cookies, storage) never leak between accounts
+    context = await browserPool.acquireContext();
+    
+    const page = await context.newPage();
+    
+    // Configure viewport based on platform (mobile for Instagram/Facebook, desktop for others)
+    await configureViewport(page, platform);
+    
+    // Create workflow executor
+    const executor = new WorkflowExecutor(page, {
+      screenshotOnError: true,
+      screenshotDir: path.join(process.cwd(), 'screenshots'),
+      enableRetry: true,
+      maxRetries: 3,
+      // Screenshot similarity settings calibrated for the platform (server-side, optional)
+      similarityMethod: workflow.similarity?.method,
+      similarityThreshold: workflow.similarity?.threshold,
+      ocrLangPath: config.ocrLangPath,
+      ocrLanguage: config.ocrLanguage,
+      logger,
+    });
+    
+    // Cancellation stops the executor after the current action
+    if (runningJob) {
+      runningJob.executor = executor;
     }
     
     // Set template variables in executor
@@ -453,21 +654,171 @@ async function executeJob(job) {
     
     // Execute workflow
     logger.info(`Executing workflow "${workflow.name || workflow.id}" with ${workflow.actions.length} action(s)...`);
-    const result = await executor.executeWorkflow(workflow.actions, job.id);
+    // executeWorkflow() resets the stop flag, so a cancellation that arrived during setup is checked here
+    const result = runningJob?.cancelled
+      ? { success: false, cancelled: true, results: [], executionReport: null }
+      : await executor.executeWorkflow(workflow.actions, job.id);
+    
+    accountResult.success = result.success;
+    // Values captured by extract actions (e.g. the published post's permalink)
+    if (result.extracted && Object.keys(result.extracted).length > 0) {
+      accountResult.extracted = result.extracted;
+    }
+    if (result.cancelled) {
+      accountResult.cancelled = true;
+      accountResult.error = 'Job was cancelled';
+      accountResult.errorType = 'cancelled';
+    } else if (!result.success) {
+      // Report the first failed action; its category decides whether the server retries the job
+      const failedAction = (result.results || []).find(actionResult => !actionResult.success);
+      accountResult.error = result.error || failedAction?.error || 'Workflow execution failed';
+      accountResult.errorType = failedAction?.errorDetails?.errorType || categorizeError(accountResult.error);
+    }
     
-    // Update job status
-    if (result.success) {
-      await updateJobStatus(job.id, 'completed', {
-        success: true,
-        results: result.results,
+    // Each account run gets its own execution report
+    if (result.executionReport) {
+      accountResult.executionReportId = await submitExecutionReport(result.executionReport, {
+        jobId: job.id,
+        accountId,
+        workflowId: workflow.id || null,
+        workflowName: workflow.name,
+        workflowType: workflow.type || job.job_type,
+        platform,
+        clientId: config.clientId,
+        agentVersion: config.agentVersion,
       });
-      logger.info(`Job ${job.id} completed successfully`);
-    } else {
-      await updateJobStatus(job.id, 'failed', {
+    }
+    
+    // Elements found only after relaxing thresholds (or with low confidence) propose fresh visual data
+    if (result.healingProposals?.length > 0) {
+      logger.info(`Submitting ${result.healingProposals.length} healing proposal(s)...`);
+      await submitHealingProposals(result.healingProposals, {
+        jobId: job.id,
+        accountId,
+        workflowId: workflow.id || null,
+        executionReportId: accountResult.executionReportId,
+        platform,
+        clientId: config.clientId,
+      });
+    }
+  } catch (error) {
+    accountResult.success = false;
+    accountResult.error = error.message;
+    accountResult.errorType = categorizeError(error.message);
+  } finally {
+    if (runningJob) {
+      runningJob.executor = null;
+    }
+    // Close the context; the browser stays up for the next run
+    await browserPool.releaseContext(context);
+  }
+  
+  accountResult.finishedAt = new Date().toISOString();
+  accountResult.duration = Date.now() - startedAt.getTime();
+  
+  return accountResult;
+}
+
+/**
+ * Execute a job workflow
+ * Runs the workflow once per target account and reports a per-account result map.
+ * Final status: completed (all accounts succeeded), failed (none succeeded) or
+ * partial_success (some accounts succeeded). A job cancelled on the server stops after the
+ * current action and is reported as cancelled with the accounts finished so far.
+ */
+async function executeJob(job) {
+  if (job.job_type === 'record') {
+    return executeRecordJob(job);
+  }
+  
+  logger.info(`Executing job ${job.id}...`);
+  
+  const runningJob = { cancelled: false, executor: null };
+  runningJobs.set(job.id, runningJob);
+  
+  // Update job status to processing
+  await updateJobStatus(job.id, 'processing');
+  
+  try {
+    const accountIds = getJobAccountIds(job);
+    const accountResults = {};
+    
+    for (let i = 0; i < accountIds.length; i++) {
+      const accountId = accountIds[i];
+      const resultKey = accountId || 'default';
+      
+      if (runningJob.cancelled) {
+        accountResults[resultKey] = {
+          success: false,
+          cancelled: true,
+          error: 'Job was cancelled',
+          errorType: 'cancelled',
+        };
+        continue;
+      }
+      
+      if (accountIds.length > 1) {
+        logger.info(`\n👤 [${i + 1}/${accountIds.length}] Running job ${job.id} for account ${accountId}`);
+      }
+      
+      accountResults[resultKey] = await executeJobForAccount(job, accountId);
+      
+      if (accountResults[resultKey].success) {
+        logger.info(`   ✅ Account ${resultKey} succeeded`);
+      } else if (accountResults[resultKey].cancelled) {
+        logger.warn(`   🛑 Account ${resultKey} stopped: job was cancelled`);
+      } else {
+        logger.error(`   ❌ Account ${resultKey} failed:`, accountResults[resultKey].error);
+      }
+    }
+    
+    const results = Object.values(accountResults);
+    const successful = results.filter(result => result.success).length;
+    const failed = results.length - successful;
+    
+    if (runningJob.cancelled) {
+      await updateJobStatus(job.id, 'cancelled', {
         success: false,
-        error: result.error,
+        cancelled: true,
+        summary: {
+          total: results.length,
+          successful,
+          failed,
+          cancelled: results.filter(result => result.cancelled).length,
+        },
+        accounts: accountResults,
       });
-      logger.error(`Job ${job.id} failed:`, result.error);
+      logger.warn(`🛑 Job ${job.id} ${runningJob.leaseLost ? 'stopped after losing its lease' : 'cancelled'} (${successful}/${results.length} accounts finished before cancellation)`);
+      return;
+    }
+    
+    let status = 'partial_success';
+    if (failed === 0) {
+      status = 'completed';
+    } else if (successful === 0) {
+      status = 'failed';
+    }
+    
+    const firstFailure = results.find(result => !result.success);
+    const firstError = firstFailure?.error;
+    
+    await updateJobStatus(job.id, status, {
+      success: failed === 0,
+      ...(firstFailure ? { error: firstError, errorType: firstFailure.errorType || 'unknown' } : {}),
+      summary: {
+        total: results.length,
+        successful,
+        failed,
+      },
+      accounts: accountResults,
+    });
+    
+    if (status === 'completed') {
+      logger.info(`Job ${job.id} completed successfully`);
+    } else if (status === 'partial_success') {
+      logger.warn(`Job ${job.id} partially succeeded (${successful}/${results.length} accounts)`);
+    } else {
+      logger.error(`Job ${job.id} failed:`, firstError);
     }
     
   } catch (error) {
@@ -475,27 +826,265 @@ async function executeJob(job) {
     await updateJobStatus(job.id, 'failed', {
       success: false,
       error: error.message,
+      errorType: categorizeError(error.message),
     });
   } finally {
-    // Close browser
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (error) {
-        logger.warn('Error closing browser:', error.message);
+    runningJobs.delete(job.id);
+  }
+}
+
+/**
+ * Execute a record job: the user records a workflow in a browser opened on this machine and it
+ * is saved as their private workflow (see recording.js). A job cancelled on the server closes
+ * the browser without saving.
+ * @param {Object} job - Claimed job (content: { platform, url, name, workflow_type })
+ */
+async function executeRecordJob(job) {
+  logger.info(`Executing record job ${job.id}...`);
+  
+  const abortController = new AbortController();
+  // cancelJobExecution stops the recording like a running workflow
+  const runningJob = { cancelled: false, executor: { stop: () => abortController.abort() } };
+  runningJobs.set(job.id, runningJob);
+  
+  await updateJobStatus(job.id, 'processing');
+  
+  try {
+    const result = await recordWorkflow(job.content, { signal: abortController.signal });
+    
+    await updateJobStatus(job.id, 'completed', {
+      success: true,
+      workflowId: result.workflow.id,
+      workflowName: result.workflow.name,
+      microActionCount: result.microActionCount,
+      stoppedBy: result.stoppedBy,
+    });
+    logger.info(`Record job ${job.id} completed`);
+  } catch (error) {
+    if (runningJob.cancelled) {
+      await updateJobStatus(job.id, 'cancelled', { success: false, cancelled: true, error: error.message });
+      logger.warn(`🛑 Record job ${job.id} cancelled`);
+      return;
+    }
+    
+    logger.error(`Record job ${job.id} failed:`, error.message);
+    await updateJobStatus(job.id, 'failed', {
+      success: false,
+      error: error.message,
+      errorType: 'recording_failed',
+    });
+  } finally {
+    runningJobs.delete(job.id);
+  }
+}
+
+/**
+ * Stop a running job that was cancelled on the server
+ * The running workflow stops after its current action; remaining accounts are skipped.
+ * @param {string} jobId - Job ID
+ * @returns {boolean} True when the job was running on this agent
+ */
+function cancelJobExecution(jobId) {
+  const runningJob = runningJobs.get(jobId);
+  if (!runningJob || runningJob.cancelled) {
+    return false;
+  }
+  
+  logger.info(`🛑 Job ${jobId} was cancelled on the server. Stopping after the current action...`);
+  runningJob.cancelled = true;
+  if (runningJob.executor) {
+    runningJob.executor.stop();
+  }
+  return true;
+}
+
+/**
+ * Hand a claimed job to the worker pool
+ * The lease is renewed from the moment the job is accepted, so a job waiting for a
+ * platform slot is not requeued by the server.
+ * @param {JobWorkerPool} pool - Worker pool
+ * @param {Object} job - Claimed job
+ * @returns {Promise<void>} Settles when the job has finished
+ */
+function scheduleJob(pool, job) {
+  // A running job is stopped by startLeaseRenewal; this covers a job still waiting for a slot
+  let leaseLost = false;
+  const stopLeaseRenewal = startLeaseRenewal(job.id, runningJobs, {
+    onLeaseLost: () => {
+      leaseLost = true;
+    },
+  });
+  
+  return pool
+    .submit(job.id, getJobPlatforms(job), () => {
+      if (leaseLost) {
+        logger.warn(`Job ${job.id} not started: its lease was lost while it waited for a slot`);
+        return undefined;
+      }
+      // Everything logged while the job runs is shipped with its job_id
+      return runWithLogContext({ jobId: job.id }, () => executeJob(job));
+    })
+    .catch(error => {
+      logger.error(`Job ${job.id} could not be executed:`, error.message);
+    })
+    .finally(() => {
+      stopLeaseRenewal();
+      // A slot is free again: pick up jobs that are already waiting
+      requestPoll();
+    });
+}
+
+/**
+ * Apply concurrency settings: .env values win, otherwise the server's (user preferences)
+ * @param {JobWorkerPool} pool - Worker pool
+ * @param {Object|null} serverSettings - Settings from the heartbeat response
+ */
+function applyConcurrencySettings(pool, serverSettings) {
+  const concurrency = config.maxConcurrentJobs || serverSettings?.maxConcurrentJobs || 1;
+  const platformLimits = {
+    ...parsePlatformLimits(serverSettings?.platformConcurrency),
+    ...parsePlatformLimits(config.platformConcurrency),
+  };
+  
+  if (normalizeConcurrency(concurrency) !== pool.concurrency) {
+    logger.info(`⚙️  Concurrent jobs: ${pool.concurrency} → ${normalizeConcurrency(concurrency)}`);
+  }
+  
+  pool.setConcurrency(concurrency);
+  pool.setPlatformLimits(platformLimits);
+}
+
+/**
+ * Make the polling loop poll now instead of waiting for the interval
+ */
+function requestPoll() {
+  pollRequested = true;
+  if (wakePollingLoop) {
+    wakePollingLoop();
+  }
+}
+
+/**
+ * Wait for the next poll; returns early when a poll or shutdown is requested
+ * @param {number} ms - Delay in milliseconds
+ */
+function waitForNextPoll(ms) {
+  if (pollRequested || shutdownRequested) {
+    pollRequested = false;
+    return Promise.resolve();
+  }
+  
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    wakePollingLoop = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  }).finally(() => {
+    wakePollingLoop = null;
+    pollRequested = false;
+  });
+}
+
+/**
+ * Use a token the server rotated (heartbeat response or rotate-token push message)
+ * @param {Object} rotation - { apiToken, tokenExpiresAt }
+ */
+function applyRotatedToken({ apiToken, tokenExpiresAt }) {
+  // The heartbeat and the push channel may both deliver the same rotation
+  if (!apiToken || apiToken === config.apiToken) {
+    return;
+  }
+  config.apiToken = apiToken;
+  updateEnvValue('API_TOKEN', apiToken);
+  logger.info(`🔑 API token rotated${tokenExpiresAt ? ` (expires ${tokenExpiresAt})` : ''}`);
+}
+
+/**
+ * Handle a message from the server push channel
+ * @param {JobWorkerPool} pool - Worker pool
+ * @param {Set} scheduledPolls - Timers of polls planned for scheduled jobs
+ * @param {Object} message - { type, ...data }
+ */
+function handlePushMessage(pool, scheduledPolls, message) {
+  switch (message.type) {
+    case 'job-available': {
+      const delay = message.scheduledFor ? new Date(message.scheduledFor).getTime() - Date.now() : 0;
+      if (delay <= 0) {
+        logger.info(`📨 Job ${message.jobId} available`);
+        requestPoll();
+      } else if (delay <= config.streamPollingInterval * 10) {
+        // Poll when the job becomes due; later jobs are found by the regular polls
+        logger.info(`📨 Job ${message.jobId} scheduled for ${message.scheduledFor}`);
+        const timer = setTimeout(() => {
+          scheduledPolls.delete(timer);
+          requestPoll();
+        }, delay);
+        scheduledPolls.add(timer);
       }
+      break;
     }
+    case 'cancel-job':
+      cancelJobExecution(message.jobId);
+      break;
+    case 'config-changed':
+      applyConcurrencySettings(pool, message.settings);
+      break;
+    case 'rotate-token':
+      applyRotatedToken(message);
+      break;
+    default:
+      logger.debug(`📡 Ignoring push message of type ${message.type}`);
+  }
+}
+
+/**
+ * Stop claiming jobs, wait for running jobs to finish and close the browser
+ * @param {JobWorkerPool} pool - Worker pool
+ */
+async function drainAndClose(pool) {
+  if (pool.activeCount > 0 || pool.pendingCount > 0) {
+    logger.info(`⏳ Waiting for ${pool.activeCount + pool.pendingCount} running job(s) to finish...`);
+  }
+  
+  const drained = await pool.drain(config.shutdownTimeout);
+  if (!drained) {
+    logger.warn(`⚠️  Shutdown timeout reached with ${pool.activeCount} job(s) still running. Their leases will expire and the server will requeue them.`);
   }
+  
+  await browserPool.close();
 }
 
 /**
  * Main polling loop
+ * Claims only as many jobs as the worker pool has free slots and runs them in parallel.
+ * While the push channel is connected, pushed messages trigger polls and the loop itself
+ * only polls every STREAM_POLLING_INTERVAL as a safety net.
  */
 async function startPolling() {
+  const pool = new JobWorkerPool({
+    concurrency: config.maxConcurrentJobs || 1,
+    platformLimits: config.platformConcurrency,
+  });
+  
+  const scheduledPolls = new Set();
+  const pushChannel = config.pushChannel
+    ? startPushChannel({
+      onMessage: message => handlePushMessage(pool, scheduledPolls, message),
+      onConnectionChange: connected => {
+        if (!connected) {
+          logger.info(`📡 Push channel disconnected. Polling every ${config.pollingInterval / 1000}s`);
+        }
+      },
+    })
+    : null;
+  
   logger.info('═══════════════════════════════════════════════════════════');
   logger.info('🔄 Starting polling loop...');
   logger.info(`   Polling interval: ${config.pollingInterval}ms (${config.pollingInterval / 1000}s)`);
+  logger.info(`   Push channel: ${config.pushChannel ? `enabled (safety poll every ${config.streamPollingInterval / 1000}s)` : 'disabled'}`);
   logger.info(`   Max jobs per cycle: ${config.maxJobsPerCycle}`);
+  logger.info(`   Concurrent jobs: ${config.maxConcurrentJobs || 'from server settings'}`);
   logger.info(`   Idle timeout: ${config.idleTimeout}ms (${config.idleTimeout / 1000 / 60} minutes)`);
   logger.info('═══════════════════════════════════════════════════════════\n');
   
@@ -505,45 +1094,50 @@ async function startPolling() {
   let totalJobsProcessed = 0;
   const pollStartTime = Date.now();
   
-  while (true) {
+  while (!shutdownRequested) {
     try {
       totalPolls++;
       const pollCycleStart = Date.now();
       
-      // Send heartbeat
+      // Send heartbeat (the response carries the server-side concurrency settings and cancelled jobs)
       const heartbeatStart = Date.now();
-      await sendHeartbeat();
+      const heartbeat = await sendHeartbeat();
       const heartbeatDuration = Date.now() - heartbeatStart;
       if (heartbeatDuration > 1000) {
         logger.debug(`💓 Heartbeat sent (${heartbeatDuration}ms)`);
       }
+      if (heartbeat) {
+        applyConcurrencySettings(pool, heartbeat.settings);
+        (heartbeat.cancelledJobIds || []).forEach(cancelJobExecution);
+        if (heartbeat.rotateToken) {
+          applyRotatedToken(heartbeat.rotateToken);
+        }
+      }
+      
+      // Jobs still running count as activity
+      if (pool.activeCount > 0) {
+        lastJobTime = Date.now();
+      }
       
-      // Poll for pending jobs
-      const jobs = await pollPendingJobs();
+      // Poll for pending jobs, but never claim more than we can start right away
+      const freeSlots = Math.min(pool.freeSlots, config.maxJobsPerCycle);
+      const jobs = freeSlots > 0 ? await pollPendingJobs(freeSlots) : [];
       const pollDuration = Date.now() - pollCycleStart;
       
       if (jobs.length > 0) {
-        logger.info(`\n📦 Processing ${jobs.length} job(s) from queue`);
+        logger.info(`\n📦 Starting ${jobs.length} job(s) from queue (${pool.activeCount} already running)`);
         lastJobTime = Date.now();
         consecutiveEmptyPolls = 0;
         
-        // Process up to maxJobsPerCycle jobs
-        const jobsToProcess = jobs.slice(0, config.maxJobsPerCycle);
-        const skippedJobs = jobs.length - jobsToProcess.length;
-        
-        if (skippedJobs > 0) {
-          logger.info(`   ⚠️  ${skippedJobs} job(s) will be processed in next cycle (max ${config.maxJobsPerCycle} per cycle)`);
-        }
-        
-        for (let i = 0; i < jobsToProcess.length; i++) {
-          const job = jobsToProcess[i];
-          logger.info(`\n   [${i + 1}/${jobsToProcess.length}] Processing job: ${job.id}`);
-          logger.info(`      Type: ${job.job_type || 'unknown'}, Status: ${job.status || 'queued'}`);
-          await executeJob(job);
-          totalJobsProcessed++;
+        for (const job of jobs) {
+          logger.info(`   ▶️  Job ${job.id} (${job.job_type || 'unknown'}, platforms: ${getJobPlatforms(job).join(', ')})`);
+          scheduleJob(pool, job).then(() => {
+            totalJobsProcessed++;
+            lastJobTime = Date.now();
+          });
         }
-        
-        logger.info(`\n✅ Cycle complete: Processed ${jobsToProcess.length} job(s) in ${pollDuration}ms`);
+      } else if (freeSlots === 0) {
+        logger.debug(`   Poll #${totalPolls}: All ${pool.concurrency} worker slot(s) busy`);
       } else {
         consecutiveEmptyPolls++;
         const idleTime = Date.now() - lastJobTime;
@@ -558,7 +1152,7 @@ async function startPolling() {
         }
         
         // Check if idle timeout reached
-        if (idleTime >= config.idleTimeout) {
+        if (idleTime >= config.idleTimeout && pool.activeCount === 0) {
           const totalUptime = Date.now() - pollStartTime;
           const uptimeMinutes = Math.floor(totalUptime / 60000);
           logger.info('\n═══════════════════════════════════════════════════════════');
@@ -571,17 +1165,24 @@ async function startPolling() {
         }
       }
       
-      // Wait before next poll
-      await new Promise(resolve => setTimeout(resolve, config.pollingInterval));
+      // Wait before next poll (pushed messages wake the loop early)
+      await waitForNextPoll(pushChannel?.isConnected() ? config.streamPollingInterval : config.pollingInterval);
       
     } catch (error) {
       logger.error('\n❌ Polling error:', error.message);
       logger.error('   Stack:', error.stack);
       logger.info('   Retrying in next cycle...');
       // Wait before retrying
-      await new Promise(resolve => setTimeout(resolve, config.pollingInterval));
+      await waitForNextPoll(config.pollingInterval);
     }
   }
+  
+  if (pushChannel) {
+    pushChannel.stop();
+  }
+  scheduledPolls.forEach(timer => clearTimeout(timer));
+  
+  await drainAndClose(pool);
 }
 
 /**
@@ -594,7 +1195,11 @@ async function main() {
   logger.info('═══════════════════════════════════════════════════════════\n');
   
   // Handle deep link if provided
-  handleDeepLink();
+  const deepLink = handleDeepLink();
+  if (deepLink?.action === 'record') {
+    await runDeepLinkRecording(deepLink.params);
+    return;
+  }
   
   // Check if already running
   if (checkLockFile()) {
@@ -644,18 +1249,22 @@ async function main() {
     logger.info('Client should already be registered. Continuing with existing client ID...');
   }
   
-  // Handle graceful shutdown
-  process.on('SIGINT', () => {
-    logger.info('\nReceived SIGINT. Shutting down gracefully...');
-    removeLockFile();
-    process.exit(0);
-  });
-
-  process.on('SIGTERM', () => {
-    logger.info('\nReceived SIGTERM. Shutting down gracefully...');
-    removeLockFile();
-    process.exit(0);
-  });
+  // Handle graceful shutdown: stop claiming jobs and let running jobs drain
+  // (startPolling returns once they finished); a second signal exits immediately
+  const requestShutdown = (signal) => {
+    if (shutdownRequested) {
+      logger.warn(`\nReceived ${signal} again. Exiting without waiting for running jobs...`);
+      removeLockFile();
+      process.exit(1);
+    }
+    
+    logger.info(`\nReceived ${signal}. Shutting down gracefully...`);
+    shutdownRequested = true;
+    requestPoll();
+  };
+  
+  process.on('SIGINT', () => requestShutdown('SIGINT'));
+  process.on('SIGTERM', () => requestShutdown('SIGTERM'));
 
   // Test API connectivity before starting polling
   logger.info('Testing API connectivity...');
@@ -675,13 +1284,15 @@ async function main() {
   } finally {
     removeLockFile();
     logger.info('Agent stopped.');
+    await flushLogs();
     process.exit(0);
   }
 }
 
 // Run main function
-main().catch(error => {
+main().catch(async error => {
   logger.error('Unhandled error:', error);
   removeLockFile();
+  await flushLogs();
   process.exit(1);
 });
@@ -0,0 +1,110 @@
+/**
+ * Shared browser for the client agent
+ *
+ * Instead of launching Chrome for every account run, the agent keeps one browser process
+ * alive and gives every run its own browser context. Contexts are isolated like incognito
+ * windows (separate cookies, storage and cache), so sessions never leak between accounts
+ * or between jobs running in parallel. The browser is relaunched on demand if it crashes.
+ */
+
+import puppeteer from 'puppeteer-core';
+import { logger } from './logger.js';
+
+export class BrowserPool {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getExecutablePath - Returns the browser executable path (called on launch)
+   * @param {Object} options.launchOptions - Extra puppeteer.launch options
+   */
+  constructor(options = {}) {
+    this.getExecutablePath = options.getExecutablePath;
+    this.launchOptions = options.launchOptions || {};
+    this.browser = null;
+    this.launching = null;
+    this.contexts = new Set();
+  }
+
+  async getBrowser() {
+    if (this.browser?.connected) {
+      return this.browser;
+    }
+
+    if (!this.launching) {
+      this.launching = (async () => {
+        const executablePath = this.getExecutablePath();
+        logger.info('Launching browser:', executablePath);
+
+        const browser = await puppeteer.launch({
+          executablePath,
+          ...this.launchOptions,
+        });
+
+        browser.on('disconnected', () => {
+          if (this.browser === browser) {
+            logger.warn('Browser disconnected; it will be relaunched for the next job');
+            this.browser = null;
+            this.contexts.clear();
+          }
+        });
+
+        this.browser = browser;
+        return browser;
+      })().finally(() => {
+        this.launching = null;
+      });
+    }
+
+    return this.launching;
+  }
+
+  /**
+   * Get an isolated browser context for one run
+   * @returns {Promise<Object>} Puppeteer BrowserContext; hand it back with releaseContext()
+   */
+  async acquireContext() {
+    const browser = await this.getBrowser();
+    const context = await browser.createBrowserContext();
+    this.contexts.add(context);
+    return context;
+  }
+
+  /**
+   * Close a context and discard its cookies and storage
+   * @param {Object} context - Context from acquireContext()
+   */
+  async releaseContext(context) {
+    if (!context) {
+      return;
+    }
+
+    this.contexts.delete(context);
+    try {
+      await context.close();
+    } catch (error) {
+      logger.warn('Error closing browser context:', error.message);
+    }
+  }
+
+  /** Number of contexts currently in use */
+  get activeContexts() {
+    return this.contexts.size;
+  }
+
+  /**
+   * Close all contexts and the browser
+   */
+  async close() {
+    const browser = this.browser || (this.launching ? await this.launching.catch(() => null) : null);
+    this.browser = null;
+
+    await Promise.all([...this.contexts].map((context) => this.releaseContext(context)));
+
+    if (browser) {
+      try {
+        await browser.close();
+      } catch (error) {
+        logger.warn('Error closing browser:', error.message);
+      }
+    }
+  }
+}
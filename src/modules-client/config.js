@@ -1,21 +1,24 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { existsSync } from 'fs';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // Load .env file from the same directory as agent.exe
 const envPath = join(process.cwd(), '.env');
+let loadedEnvPath = null;
 
 if (existsSync(envPath)) {
   dotenv.config({ path: envPath });
+  loadedEnvPath = envPath;
 } else {
   // Try parent directory (for development)
   const parentEnvPath = join(process.cwd(), '..', '.env');
   if (existsSync(parentEnvPath)) {
     dotenv.config({ path: parentEnvPath });
+    loadedEnvPath = parentEnvPath;
   }
 }
 
@@ -93,11 +96,25 @@ export const config = {
   // Browser Configuration
   browserPath: process.env.BROWSER_PATH || '',
   
+  // OCR locator: tesseract language data is read from this directory (offline, nothing downloaded)
+  ocrLangPath: process.env.OCR_LANG_PATH || join(process.cwd(), 'tessdata'),
+  ocrLanguage: process.env.OCR_LANGUAGE || 'eng',
+  
   // Agent Settings
   logLevel: process.env.LOG_LEVEL || 'info',
   pollingInterval: parseInt(process.env.POLLING_INTERVAL || '10000', 10), // 10 seconds default
   maxJobsPerCycle: parseInt(process.env.MAX_JOBS_PER_CYCLE || '5', 10),
   idleTimeout: parseInt(process.env.IDLE_TIMEOUT || '300000', 10), // 5 minutes default
+  jobLeaseSeconds: parseInt(process.env.JOB_LEASE_SECONDS || '120', 10), // 2 minutes default, renewed while executing
+  maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS || '0', 10), // 0 = use the server setting (user preferences, default 1)
+  platformConcurrency: process.env.PLATFORM_CONCURRENCY || '', // per-platform caps, e.g. "instagram=1,facebook=2"
+  shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT || '300000', 10), // max wait for running jobs on shutdown (5 minutes default)
+  pushChannel: process.env.PUSH_CHANNEL !== 'false', // receive jobs over /api/client/stream instead of only polling
+  streamPollingInterval: parseInt(process.env.STREAM_POLLING_INTERVAL || '60000', 10), // safety poll while the push channel is connected
+  logShipping: process.env.LOG_SHIPPING !== 'false', // send logs to the server (client_logs), spooled to disk while offline
+  logShippingLevel: process.env.LOG_SHIPPING_LEVEL || 'info', // most verbose level sent to the server
+  logBatchSize: parseInt(process.env.LOG_BATCH_SIZE || '50', 10),
+  logFlushInterval: parseInt(process.env.LOG_FLUSH_INTERVAL || '5000', 10), // 5 seconds default
   
   // Installation
   downloadToken: process.env.DOWNLOAD_TOKEN || '',
@@ -140,6 +157,31 @@ export function validateConfig() {
   };
 }
 
+/**
+ * Persist a value in the agent's .env file (e.g. a rotated API_TOKEN) so it survives restarts
+ * @param {string} name - Variable name
+ * @param {string} value - New value
+ * @returns {boolean} True when the file was written
+ */
+export function updateEnvValue(name, value) {
+  process.env[name] = value;
+  
+  const targetPath = loadedEnvPath || envPath;
+  try {
+    const content = existsSync(targetPath) ? readFileSync(targetPath, 'utf-8') : '';
+    const line = `${name}=${value}`;
+    const pattern = new RegExp(`^${name}=.*$`, 'm');
+    const updated = pattern.test(content)
+      ? content.replace(pattern, () => line)
+      : `${content}${content && !content.endsWith('\n') ? '\n' : ''}${line}\n`;
+    writeFileSync(targetPath, updated, 'utf-8');
+    return true;
+  } catch (error) {
+    console.error(`[CONFIG] Failed to update ${name} in ${targetPath}:`, error.message);
+    return false;
+  }
+}
+
 /**
  * Get API headers for requests
  */
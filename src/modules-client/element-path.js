@@ -0,0 +1,96 @@
+/**
+ * Element Context Paths
+ *
+ * Elements inside same-origin iframes and open shadow roots are recorded with a context path:
+ * the frames and shadow hosts between the top document and the element, outermost first.
+ *
+ *   context_path: [
+ *     { type: 'frame', selector: 'iframe#composer' },  // iframe in the top document
+ *     { type: 'shadow', selector: 'rich-editor' },     // shadow host inside that frame
+ *   ]
+ *
+ * Each selector is relative to the document or shadow root of the previous step, and the
+ * action's backup_selector is relative to the last one. The recorder writes the path
+ * (getContextPath in the client script); the executor resolves it with Puppeteer for selectors
+ * and file inputs (resolveContextPath) and walks it in the page for text search.
+ */
+
+export const CONTEXT_PATH_TYPES = ['frame', 'shadow'];
+
+/**
+ * Context path of an action (top level or params), without malformed steps
+ * @param {Object} action - Micro-action
+ * @returns {Array<Object>} Steps { type, selector }, empty for elements in the top document
+ */
+export function getContextPath(action) {
+  const path = action?.context_path || action?.params?.context_path;
+  if (!Array.isArray(path)) {
+    return [];
+  }
+
+  return path.filter(
+    (step) => CONTEXT_PATH_TYPES.includes(step?.type) && typeof step.selector === 'string' && step.selector
+  );
+}
+
+/**
+ * Readable form of a context path for logs
+ * @param {Array<Object>} path - Context path
+ * @returns {string} e.g. 'frame iframe#composer > shadow rich-editor'
+ */
+export function describeContextPath(path) {
+  return path.map((step) => `${step.type} ${step.selector}`).join(' > ');
+}
+
+/**
+ * Resolve a context path to the frame and shadow root its elements live in
+ * @param {Page} page - Puppeteer page
+ * @param {Array<Object>} path - Context path (getContextPath)
+ * @returns {Promise<Object>} { frame, root }: frame is the page or a Frame, root the shadow root
+ *   handle (null for the frame's document)
+ * @throws {Error} When a frame or shadow host of the path is not on the page
+ */
+export async function resolveContextPath(page, path) {
+  let frame = page;
+  let root = null;
+
+  for (const step of path) {
+    const host = await (root || frame).$(step.selector);
+    if (!host) {
+      throw new Error(`${step.type === 'frame' ? 'Frame' : 'Shadow host'} not found: ${step.selector}`);
+    }
+
+    if (step.type === 'frame') {
+      // Cross-origin frames are recorded without a path, so a missing frame means it changed
+      const contentFrame = await host.contentFrame();
+      if (!contentFrame) {
+        throw new Error(`Frame has no document: ${step.selector}`);
+      }
+      frame = contentFrame;
+      root = null;
+    } else {
+      const shadowRoot = (await host.evaluateHandle((el) => el.shadowRoot)).asElement();
+      if (!shadowRoot) {
+        throw new Error(`No open shadow root: ${step.selector}`);
+      }
+      root = shadowRoot;
+    }
+  }
+
+  return { frame, root };
+}
+
+/**
+ * Query a selector in a resolved context
+ * @param {Object} context - { frame, root } (resolveContextPath)
+ * @param {string} selector - CSS selector, relative to the context
+ * @param {Object} options - { timeout }: wait up to timeout ms for a visible element first
+ * @returns {Promise<ElementHandle|null>} Element or null
+ */
+export async function queryInContext(context, selector, options = {}) {
+  const scope = context.root || context.frame;
+  if (options.timeout > 0) {
+    await scope.waitForSelector(selector, { timeout: options.timeout, visible: true }).catch(() => null);
+  }
+  return scope.$(selector);
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { describeContextPath, getContextPath, queryInContext, resolveContextPath } from './element-path.js';
+
+// Minimal stand-ins for Puppeteer's Page, Frame and ElementHandle: a scope maps selectors to handles
+function scope(name, children = {}) {
+  return {
+    name,
+    $: async (selector) => children[selector] || null,
+    waitForSelector: async () => null,
+  };
+}
+
+function frameHost(frame) {
+  return { contentFrame: async () => frame };
+}
+
+function shadowHost(shadowRoot) {
+  return { evaluateHandle: async () => ({ asElement: () => shadowRoot }) };
+}
+
+describe('getContextPath', () => {
+  it('should read the path from the action or its params and drop malformed steps', () => {
+    const path = [{ type: 'frame', selector: 'iframe#composer' }, { type: 'shadow', selector: 'rich-editor' }];
+
+    expect(getContextPath({ context_path: path })).toEqual(path);
+    expect(getContextPath({ params: { context_path: [...path, { type: 'slot', selector: 'x' }, { type: 'frame' }] } }))
+      .toEqual(path);
+    expect(getContextPath({ params: {} })).toEqual([]);
+    expect(describeContextPath(path)).toBe('frame iframe#composer > shadow rich-editor');
+  });
+});
+
+describe('resolveContextPath', () => {
+  it('should return the page without a path', async () => {
+    const page = scope('page');
+
+    expect(await resolveContextPath(page, [])).toEqual({ frame: page, root: null });
+  });
+
+  it('should enter frames and shadow roots in order', async () => {
+    const shadowRoot = scope('shadow', { 'textarea[name="body"]': { name: 'textarea' } });
+    const frame = scope('frame', { 'rich-editor': shadowHost(shadowRoot) });
+    const page = scope('page', { 'iframe#composer': frameHost(frame) });
+
+    const context = await resolveContextPath(page, [
+      { type: 'frame', selector: 'iframe#composer' },
+      { type: 'shadow', selector: 'rich-editor' },
+    ]);
+
+    expect(context.frame.name).toBe('frame');
+    expect(context.root.name).toBe('shadow');
+    expect(await queryInContext(context, 'textarea[name="body"]', { timeout: 100 })).toEqual({ name: 'textarea' });
+  });
+
+  it('should query the frame document after a frame step', async () => {
+    const frame = scope('frame', { 'button.send': { name: 'send' } });
+    const page = scope('page', { iframe: frameHost(frame) });
+
+    const context = await resolveContextPath(page, [{ type: 'frame', selector: 'iframe' }]);
+
+    expect(context.root).toBe(null);
+    expect(await queryInContext(context, 'button.send')).toEqual({ name: 'send' });
+  });
+
+  it('should fail when a step is missing from the page', async () => {
+    const page = scope('page', { 'closed-widget': shadowHost(null), iframe: frameHost(null) });
+
+    await expect(resolveContextPath(page, [{ type: 'frame', selector: 'iframe#gone' }]))
+      .rejects.toThrow('Frame not found: iframe#gone');
+    await expect(resolveContextPath(page, [{ type: 'frame', selector: 'iframe' }]))
+      .rejects.toThrow('Frame has no document: iframe');
+    await expect(resolveContextPath(page, [{ type: 'shadow', selector: 'closed-widget' }]))
+      .rejects.toThrow('No open shadow root: closed-widget');
+  });
+});
@@ -1,7 +1,59 @@
 import { VisualActionExecutor } from './visual-executor.js';
+import { getDefaultThreshold, DEFAULT_SIMILARITY_METHOD } from './image-similarity.js';
+import { toRelative } from './replay-geometry.js';
+import { getContextPath } from './element-path.js';
 import fs from 'fs';
 import path from 'path';
 
+/**
+ * Categorize an error message
+ * Used for executor statistics and by the agent to report why a job failed, so the server
+ * can decide whether the job is worth retrying (see services/job-retry.js)
+ * @param {string} error - Error message
+ * @returns {string} Error category
+ */
+export function categorizeError(error) {
+  if (!error) return 'unknown';
+  
+  const errorLower = String(error).toLowerCase();
+  
+  if (errorLower.includes('timeout')) return 'timeout';
+  if (errorLower.includes('not found') || errorLower.includes('no element')) return 'element_not_found';
+  if (
+    errorLower.includes('password') ||
+    errorLower.includes('credential') ||
+    errorLower.includes('unauthorized') ||
+    errorLower.includes('authentication') ||
+    errorLower.includes('two-factor') ||
+    errorLower.includes('checkpoint')
+  ) return 'auth_failed';
+  if (errorLower.includes('text') || errorLower.includes('no_text_match')) return 'text_mismatch';
+  if (errorLower.includes('position') || errorLower.includes('no_position_match')) return 'position_mismatch';
+  if (errorLower.includes('visual') || errorLower.includes('screenshot')) return 'visual_mismatch';
+  if (errorLower.includes('selector')) return 'selector_failed';
+  
+  return 'unknown';
+}
+
+// Matches scored below this confidence (0-1) get a healing proposal
+export const DEFAULT_HEALING_CONFIDENCE = 0.8;
+
+/**
+ * Why an element located by a method needs fresh visual data, if at all
+ * Selector matches are left alone: the stored selector still works.
+ * @param {Object} match - { method, confidence, retryAttempt } (confidence null when the method
+ *   does not score matches)
+ * @param {number} minConfidence - Confidence below which a scored match needs healing
+ * @returns {string|null} 'position_fallback', 'relaxed_threshold', 'low_confidence' or null
+ */
+export function getHealingReason(match, minConfidence = DEFAULT_HEALING_CONFIDENCE) {
+  if (!match || match.method === 'selector') return null;
+  if (match.method === 'position') return 'position_fallback';
+  if (match.retryAttempt > 0) return 'relaxed_threshold';
+  if (typeof match.confidence === 'number' && match.confidence < minConfidence) return 'low_confidence';
+  return null;
+}
+
 /**
  * EnhancedVisualExecutor - Extended executor with advanced features
  * 
@@ -12,10 +64,21 @@ import path from 'path';
  * 4. Error recovery strategies
  * 5. Performance metrics
  * 6. Debug logging with screenshots at each step
+ * 7. Healing data: when an element is only found after relaxing thresholds, at the recorded
+ *    position or with low confidence, fresh visual data of the element is captured before
+ *    acting and returned as result.healing (submitted as a healing proposal by the agent)
  */
 export class EnhancedVisualExecutor extends VisualActionExecutor {
   constructor(page, options = {}) {
-    super(page);
+    const similarityMethod = options.similarityMethod || DEFAULT_SIMILARITY_METHOD;
+    const initialSimilarityThreshold = options.initialSimilarityThreshold || getDefaultThreshold(similarityMethod);
+    super(page, {
+      similarityMethod,
+      similarityThreshold: initialSimilarityThreshold,
+      ocrLangPath: options.ocrLangPath,
+      ocrLanguage: options.ocrLanguage,
+      logger: options.logger,
+    });
     
     this.options = {
       // Error logging
@@ -32,7 +95,6 @@ export class EnhancedVisualExecutor extends VisualActionExecutor {
       // Thresholds
       initialPositionTolerance: options.initialPositionTolerance || 15, // 15%
       relaxedPositionTolerance: options.relaxedPositionTolerance || 30, // 30%
-      initialSimilarityThreshold: options.initialSimilarityThreshold || 0.7, // 70%
       relaxedSimilarityThreshold: options.relaxedSimilarityThreshold || 0.5, // 50%
       
       // Performance tracking
@@ -41,7 +103,16 @@ export class EnhancedVisualExecutor extends VisualActionExecutor {
       // Debug mode
       saveDebugScreenshots: options.saveDebugScreenshots || false,
       
+      // Healing data for weak matches (see getHealingReason)
+      captureHealing: options.captureHealing !== false, // Default: true
+      healingConfidence: options.healingConfidence || DEFAULT_HEALING_CONFIDENCE,
+      
       ...options,
+
+      // Screenshot comparison (image-similarity.js); the initial threshold defaults to the
+      // method's threshold (70% for combined) and can come from platform calibration
+      similarityMethod,
+      initialSimilarityThreshold,
     };
 
     // Enhanced statistics
@@ -56,6 +127,8 @@ export class EnhancedVisualExecutor extends VisualActionExecutor {
         selector: 0,
         text: 0,
         visual: 0,
+        template: 0,
+        ocr: 0,
         position: 0,
         none: 0,
       },
@@ -150,6 +223,11 @@ export class EnhancedVisualExecutor extends VisualActionExecutor {
             await this.saveDebugScreenshot(actionId, 'after_success');
           }
           
+          if (this.pendingHealing) {
+            this.logger.info(`🩹 Healing data captured (${this.pendingHealing.reason})`);
+            result.healing = { ...this.pendingHealing, retries: retryCount };
+          }
+          
           return {
             ...result,
             actionId,
@@ -211,6 +289,10 @@ export class EnhancedVisualExecutor extends VisualActionExecutor {
    * @returns {Promise<Object>} Execution result
    */
   async executeWithThresholds(action, retryAttempt) {
+    // Read by beforeAct; healing data is captured anew on each attempt
+    this.retryAttempt = retryAttempt;
+    this.pendingHealing = null;
+
     // Calculate thresholds based on retry attempt
     const positionTolerance = this.getPositionTolerance(retryAttempt);
     const similarityThreshold = this.getSimilarityThreshold(retryAttempt);
@@ -225,15 +307,11 @@ export class EnhancedVisualExecutor extends VisualActionExecutor {
     };
     
     this.findBestVisualMatch = async (candidates, targetScreenshot) => {
-      const result = await originalFindBestVisualMatch(candidates, targetScreenshot);
-      
-      // If no match with current threshold, try with relaxed threshold
-      if (!result && retryAttempt > 0) {
+      if (retryAttempt > 0) {
         console.log(`   🔧 Trying with relaxed similarity threshold: ${(similarityThreshold * 100).toFixed(0)}%`);
-        // This is already handled in parent class, but we log it
       }
       
-      return result;
+      return await originalFindBestVisualMatch(candidates, targetScreenshot, similarityThreshold);
     };
     
     try {
@@ -247,6 +325,134 @@ export class EnhancedVisualExecutor extends VisualActionExecutor {
     }
   }
 
+  /**
+   * Capture healing data before acting on a weakly matched element (see getHealingReason)
+   * @param {Object} action - Action being executed
+   * @param {Object} target - { element } or { point }, with confidence
+   * @param {string} method - Method that located the element
+   * @returns {Promise<void>}
+   */
+  async beforeAct(action, target, method) {
+    this.pendingHealing = null;
+    if (!this.options.captureHealing) {
+      return;
+    }
+
+    const confidence = target.confidence ?? null;
+    const reason = getHealingReason(
+      { method, confidence, retryAttempt: this.retryAttempt || 0 },
+      this.options.healingConfidence
+    );
+    if (!reason) {
+      return;
+    }
+
+    try {
+      const captured = await this.captureElementVisual(action, target);
+      if (captured) {
+        this.pendingHealing = { reason, method, confidence, ...captured };
+      }
+    } catch (error) {
+      // Healing is best effort, the action itself goes on
+      console.warn(`   ⚠️  Could not capture healing data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Capture visual data of an element in the recorded format (screenshot, text, position,
+   * boundingBox, surroundingText, viewport) and a selector for it
+   * @param {Object} action - Action being executed (its context path scopes the selector)
+   * @param {Object} target - { element } or { point }
+   * @returns {Promise<Object|null>} { visual, backup_selector } or null when there is no element
+   */
+  async captureElementVisual(action, target) {
+    const element = target.element || await this.elementAtPoint(target.point);
+    const box = element && await element.boundingBox();
+    if (!box) {
+      return null;
+    }
+
+    const screenshot = await element.screenshot({ encoding: 'base64', type: 'png' });
+    const viewport = await this.getLiveViewport();
+    const details = await element.evaluate((el, inContextPath) => {
+      const trimmed = (value) => (value || '').trim().substring(0, 100);
+      const text = trimmed(el.innerText || el.textContent) ||
+        trimmed(el.getAttribute('aria-label')) ||
+        trimmed(el.getAttribute('placeholder'));
+
+      // Same shape as the recorder's surrounding text
+      const surroundingText = [
+        el.parentElement?.textContent,
+        el.previousElementSibling?.textContent,
+        el.nextElementSibling?.textContent,
+      ]
+        .map((value) => (value || '').trim())
+        .filter((value) => value.length > 0 && value.length < 100);
+
+      // The selector is relative to the element's document or shadow root, which must be the
+      // one the action's context path leads to
+      const root = el.getRootNode();
+      const nested = root !== el.ownerDocument || window !== window.top;
+      if (nested !== inContextPath) {
+        return { text, surroundingText, selector: null };
+      }
+
+      const isUnique = (selector) => {
+        try {
+          return root.querySelectorAll(selector).length === 1;
+        } catch (error) {
+          return false;
+        }
+      };
+
+      let selector = null;
+      const tag = el.tagName.toLowerCase();
+      if (el.id && isUnique(`#${CSS.escape(el.id)}`)) {
+        selector = `#${CSS.escape(el.id)}`;
+      }
+      for (const name of ['data-testid', 'aria-label', 'name']) {
+        const value = el.getAttribute(name);
+        if (!selector && value && isUnique(`${tag}[${name}="${CSS.escape(value)}"]`)) {
+          selector = `${tag}[${name}="${CSS.escape(value)}"]`;
+        }
+      }
+
+      // Otherwise the shortest unique nth-of-type path
+      const parts = [];
+      for (let node = el; !selector && node && node !== el.ownerDocument.body; node = node.parentElement) {
+        const sameTag = node.parentElement
+          ? [...node.parentElement.children].filter((child) => child.tagName === node.tagName)
+          : [];
+        const part = node.tagName.toLowerCase();
+        parts.unshift(sameTag.length > 1 ? `${part}:nth-of-type(${sameTag.indexOf(node) + 1})` : part);
+        if (isUnique(parts.join(' > '))) {
+          selector = parts.join(' > ');
+        }
+      }
+
+      return { text, surroundingText: surroundingText.slice(0, 5), selector };
+    }, getContextPath(action).length > 0);
+
+    const center = { x: Math.round(box.x + box.width / 2), y: Math.round(box.y + box.height / 2) };
+
+    return {
+      visual: {
+        screenshot: `data:image/png;base64,${screenshot}`,
+        text: details.text,
+        position: { absolute: center, relative: toRelative(center, viewport) },
+        boundingBox: {
+          x: Math.round(box.x),
+          y: Math.round(box.y),
+          width: Math.round(box.width),
+          height: Math.round(box.height),
+        },
+        surroundingText: details.surroundingText,
+        viewport,
+      },
+      backup_selector: details.selector,
+    };
+  }
+
   /**
    * Get position tolerance based on retry attempt
    * @param {number} retryAttempt - Retry attempt number
@@ -281,9 +487,10 @@ export class EnhancedVisualExecutor extends VisualActionExecutor {
     const range = this.options.initialSimilarityThreshold - this.options.relaxedSimilarityThreshold;
     const step = range / this.options.maxRetries;
     
+    // A calibrated threshold can be below the relaxed one; retries never raise the threshold
     return Math.max(
       this.options.initialSimilarityThreshold - (step * retryAttempt),
-      this.options.relaxedSimilarityThreshold
+      Math.min(this.options.relaxedSimilarityThreshold, this.options.initialSimilarityThreshold)
     );
   }
 
@@ -371,18 +578,7 @@ export class EnhancedVisualExecutor extends VisualActionExecutor {
    * @returns {string} Error category
    */
   categorizeError(error) {
-    if (!error) return 'unknown';
-    
-    const errorLower = error.toLowerCase();
-    
-    if (errorLower.includes('timeout')) return 'timeout';
-    if (errorLower.includes('not found') || errorLower.includes('no element')) return 'element_not_found';
-    if (errorLower.includes('text') || errorLower.includes('no_text_match')) return 'text_mismatch';
-    if (errorLower.includes('position') || errorLower.includes('no_position_match')) return 'position_mismatch';
-    if (errorLower.includes('visual') || errorLower.includes('screenshot')) return 'visual_mismatch';
-    if (errorLower.includes('selector')) return 'selector_failed';
-    
-    return 'unknown';
+    return categorizeError(error);
   }
 
   /**
@@ -562,6 +758,8 @@ export class EnhancedVisualExecutor extends VisualActionExecutor {
         selector: 0,
         text: 0,
         visual: 0,
+        template: 0,
+        ocr: 0,
         position: 0,
         none: 0,
       },
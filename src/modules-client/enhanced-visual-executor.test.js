@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { EnhancedVisualExecutor } from './enhanced-visual-executor.js';
+import { EnhancedVisualExecutor, getHealingReason } from './enhanced-visual-executor.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -213,6 +213,7 @@ describe('EnhancedVisualExecutor', () => {
       expect(executor.categorizeError('Position does not match')).toBe('position_mismatch');
       expect(executor.categorizeError('Visual comparison failed')).toBe('visual_mismatch');
       expect(executor.categorizeError('Selector failed')).toBe('selector_failed');
+      expect(executor.categorizeError('Incorrect password for account')).toBe('auth_failed');
       expect(executor.categorizeError('Unknown error')).toBe('unknown');
     });
 
@@ -447,6 +448,47 @@ describe('EnhancedVisualExecutor', () => {
     });
   });
 
+  describe('Healing Data', () => {
+    it('should need healing for relaxed, position and low confidence matches only', () => {
+      expect(getHealingReason({ method: 'selector', confidence: null, retryAttempt: 2 })).toBe(null);
+      expect(getHealingReason({ method: 'position', confidence: null, retryAttempt: 0 })).toBe('position_fallback');
+      expect(getHealingReason({ method: 'visual', confidence: 0.9, retryAttempt: 1 })).toBe('relaxed_threshold');
+      expect(getHealingReason({ method: 'template', confidence: 0.75, retryAttempt: 0 })).toBe('low_confidence');
+      expect(getHealingReason({ method: 'ocr', confidence: 0.75, retryAttempt: 0 }, 0.7)).toBe(null);
+      expect(getHealingReason({ method: 'visual', confidence: null, retryAttempt: 0 })).toBe(null);
+    });
+
+    it('should capture healing data before acting on a weak match', async () => {
+      const captured = { visual: { screenshot: 'data:image/png;base64,AAAA' }, backup_selector: '#share' };
+      executor.captureElementVisual = vi.fn().mockResolvedValue(captured);
+      executor.retryAttempt = 0;
+
+      await executor.beforeAct({ type: 'click' }, { point: { x: 10, y: 10 }, confidence: 0.95 }, 'template');
+      expect(executor.captureElementVisual).not.toHaveBeenCalled();
+      expect(executor.pendingHealing).toBe(null);
+
+      await executor.beforeAct({ type: 'click' }, { point: { x: 10, y: 10 }, confidence: 0.6 }, 'template');
+      expect(executor.pendingHealing).toEqual({ reason: 'low_confidence', method: 'template', confidence: 0.6, ...captured });
+    });
+
+    it('should not attach healing data to selector matches', async () => {
+      const action = {
+        type: 'click',
+        name: 'Click Button',
+        params: { backup_selector: '.test-button' },
+      };
+
+      mockPage.waitForSelector.mockResolvedValue(undefined);
+      mockPage.$.mockResolvedValue({ click: vi.fn() });
+      mockPage.evaluate.mockResolvedValue('Click Me');
+
+      const result = await executor.executeAction(action);
+
+      expect(result.success).toBe(true);
+      expect(result.healing).toBeUndefined();
+    });
+  });
+
   describe('Debug Mode', () => {
     it('should save debug screenshots when enabled', async () => {
       executor.options.saveDebugScreenshots = true;
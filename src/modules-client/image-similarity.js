@@ -0,0 +1,384 @@
+/**
+ * Image similarity scoring for visual execution
+ *
+ * Compares a recorded element screenshot with a candidate element screenshot. Raw pixel
+ * comparison (pixelmatch) drops sharply on 1px shifts, anti-aliasing or theme changes, so
+ * the default score combines measures that tolerate them:
+ * - Perceptual hashes (aHash, dHash, pHash): compare the coarse structure of tiny versions
+ * - SSIM: structural similarity (local luminance, contrast and structure)
+ * - Histogram: colour distribution, independent of layout
+ *
+ * Methods are pluggable (registerSimilarityMethod). Every method returns a score between
+ * 0 (different) and 1 (identical); scores of different methods are not comparable, so each
+ * method has its own default threshold. Thresholds can be calibrated per platform from
+ * execution reports (see modules-logic/services/similarity-thresholds.js).
+ */
+
+import Jimp from 'jimp';
+import pixelmatch from 'pixelmatch';
+import { toGrayscale } from './template-matcher.js';
+
+/**
+ * Built-in similarity methods
+ */
+export const SimilarityMethods = {
+  PIXEL: 'pixel',           // pixelmatch (legacy)
+  AHASH: 'ahash',           // Average hash
+  DHASH: 'dhash',           // Difference (gradient) hash
+  PHASH: 'phash',           // DCT-based perceptual hash
+  SSIM: 'ssim',             // Structural similarity
+  HISTOGRAM: 'histogram',   // Colour histogram intersection
+  COMBINED: 'combined',     // Weighted SSIM + pHash + histogram
+};
+
+export const DEFAULT_SIMILARITY_METHOD = SimilarityMethods.COMBINED;
+
+// Weights of the combined score
+const COMBINED_WEIGHTS = {
+  [SimilarityMethods.SSIM]: 0.5,
+  [SimilarityMethods.PHASH]: 0.3,
+  [SimilarityMethods.HISTOGRAM]: 0.2,
+};
+
+// SSIM is computed on images scaled down to this size (px on the longer side), which also
+// makes it tolerant to 1-2px shifts
+const SSIM_SIZE = 48;
+const SSIM_WINDOW = 8;
+const SSIM_STEP = 4;
+
+// Histogram bins per colour channel
+const HISTOGRAM_BINS = 4;
+
+/**
+ * Resample an image with interleaved channels to an exact size
+ * Shrinking averages the covered source pixels, enlarging repeats them.
+ * @param {Object} image - { width, height, data }
+ * @param {number} channels - Values per pixel (1 = grayscale, 4 = RGBA)
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Object} { width, height, data: Float32Array }
+ */
+function resample(image, channels, width, height) {
+  const data = new Float32Array(width * height * channels);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * scaleY);
+    const y1 = Math.max(y0 + 1, Math.min(image.height, Math.floor((y + 1) * scaleY)));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * scaleX);
+      const x1 = Math.max(x0 + 1, Math.min(image.width, Math.floor((x + 1) * scaleX)));
+      const count = (x1 - x0) * (y1 - y0);
+      for (let c = 0; c < channels; c++) {
+        let sum = 0;
+        for (let sy = y0; sy < y1; sy++) {
+          for (let sx = x0; sx < x1; sx++) {
+            sum += image.data[(sy * image.width + sx) * channels + c];
+          }
+        }
+        data[(y * width + x) * channels + c] = sum / count;
+      }
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Compare two bit arrays
+ * @returns {number} Share of equal bits (1 - normalized Hamming distance)
+ */
+export function hashSimilarity(hashA, hashB) {
+  if (hashA.length !== hashB.length || hashA.length === 0) {
+    return 0;
+  }
+  let equal = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    if (hashA[i] === hashB[i]) equal++;
+  }
+  return equal / hashA.length;
+}
+
+/**
+ * Average hash: 8x8 grayscale, bit set where the pixel is brighter than the mean
+ * @param {Object} bitmap - RGBA bitmap { width, height, data }
+ * @returns {Uint8Array} 64 bits
+ */
+export function averageHash(bitmap) {
+  const small = resample(toGrayscale(bitmap), 1, 8, 8);
+  const mean = small.data.reduce((sum, value) => sum + value, 0) / small.data.length;
+  return Uint8Array.from(small.data, (value) => (value > mean ? 1 : 0));
+}
+
+/**
+ * Difference hash: 9x8 grayscale, bit set where a pixel is brighter than its right neighbour
+ * @param {Object} bitmap - RGBA bitmap
+ * @returns {Uint8Array} 64 bits
+ */
+export function differenceHash(bitmap) {
+  const small = resample(toGrayscale(bitmap), 1, 9, 8);
+  const bits = new Uint8Array(64);
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits[y * 8 + x] = small.data[y * 9 + x] > small.data[y * 9 + x + 1] ? 1 : 0;
+    }
+  }
+  return bits;
+}
+
+/**
+ * Perceptual hash: DCT of a 32x32 grayscale version, bit set where a low-frequency
+ * coefficient (8x8 block without the DC term) is above the median
+ * @param {Object} bitmap - RGBA bitmap
+ * @returns {Uint8Array} 63 bits
+ */
+export function perceptualHash(bitmap) {
+  const size = 32;
+  const small = resample(toGrayscale(bitmap), 1, size, size);
+
+  // Separable 2D DCT-II, only the 8x8 low frequencies are needed
+  const cosines = [];
+  for (let u = 0; u < 8; u++) {
+    cosines.push(Float64Array.from({ length: size }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size))));
+  }
+
+  const rows = [];
+  for (let y = 0; y < size; y++) {
+    const row = new Float64Array(8);
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let x = 0; x < size; x++) sum += small.data[y * size + x] * cosines[u][x];
+      row[u] = sum;
+    }
+    rows.push(row);
+  }
+
+  const coefficients = [];
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      if (u === 0 && v === 0) continue;
+      let sum = 0;
+      for (let y = 0; y < size; y++) sum += rows[y][u] * cosines[v][y];
+      coefficients.push(sum);
+    }
+  }
+
+  const median = [...coefficients].sort((a, b) => a - b)[Math.floor(coefficients.length / 2)];
+  return Uint8Array.from(coefficients, (value) => (value > median ? 1 : 0));
+}
+
+/**
+ * Normalize global brightness and contrast (mean 128, standard deviation 64)
+ * Keeps SSIM high for the same element in another colour theme.
+ * @param {Float32Array} data - Grayscale pixels
+ * @returns {Float32Array} Normalized pixels (same array)
+ */
+function normalizeContrast(data) {
+  const mean = data.reduce((sum, value) => sum + value, 0) / data.length;
+  const variance = data.reduce((sum, value) => sum + (value - mean) ** 2, 0) / data.length;
+  const std = Math.sqrt(variance);
+  if (std < 1) {
+    return data;
+  }
+  for (let i = 0; i < data.length; i++) {
+    data[i] = 128 + ((data[i] - mean) / std) * 64;
+  }
+  return data;
+}
+
+/**
+ * Structural similarity (SSIM) of two images
+ * Both images are scaled to the same small size and normalized in brightness and contrast;
+ * the score is the mean SSIM of overlapping windows, clamped to 0-1.
+ * @param {Object} bitmapA - RGBA bitmap
+ * @param {Object} bitmapB - RGBA bitmap
+ * @returns {number} Score between 0 and 1
+ */
+export function structuralSimilarity(bitmapA, bitmapB) {
+  // Common size: aspect ratio of the first image, at most SSIM_SIZE on the longer side
+  const longer = Math.max(bitmapA.width, bitmapA.height);
+  const scale = Math.min(1, SSIM_SIZE / longer);
+  const width = Math.max(SSIM_WINDOW, Math.round(bitmapA.width * scale));
+  const height = Math.max(SSIM_WINDOW, Math.round(bitmapA.height * scale));
+
+  const a = normalizeContrast(resample(toGrayscale(bitmapA), 1, width, height).data);
+  const b = normalizeContrast(resample(toGrayscale(bitmapB), 1, width, height).data);
+
+  const c1 = (0.01 * 255) ** 2;
+  const c2 = (0.03 * 255) ** 2;
+  const count = SSIM_WINDOW * SSIM_WINDOW;
+  let total = 0;
+  let windows = 0;
+
+  for (let top = 0; top + SSIM_WINDOW <= height; top += SSIM_STEP) {
+    for (let left = 0; left + SSIM_WINDOW <= width; left += SSIM_STEP) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+      for (let y = top; y < top + SSIM_WINDOW; y++) {
+        for (let x = left; x < left + SSIM_WINDOW; x++) {
+          const va = a[y * width + x];
+          const vb = b[y * width + x];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varA = sumAA / count - meanA * meanA;
+      const varB = sumBB / count - meanB * meanB;
+      const covariance = sumAB / count - meanA * meanB;
+
+      total += ((2 * meanA * meanB + c1) * (2 * covariance + c2)) /
+        ((meanA * meanA + meanB * meanB + c1) * (varA + varB + c2));
+      windows++;
+    }
+  }
+
+  return windows > 0 ? Math.max(0, Math.min(1, total / windows)) : 0;
+}
+
+/**
+ * Colour histogram of an image (transparent pixels are ignored)
+ * @param {Object} bitmap - RGBA bitmap
+ * @returns {Float64Array} Normalized histogram with HISTOGRAM_BINS^3 bins
+ */
+function colourHistogram(bitmap) {
+  const histogram = new Float64Array(HISTOGRAM_BINS ** 3);
+  const binSize = 256 / HISTOGRAM_BINS;
+  let total = 0;
+
+  for (let p = 0; p < bitmap.data.length; p += 4) {
+    const weight = bitmap.data[p + 3] / 255;
+    if (weight === 0) continue;
+    const r = Math.floor(bitmap.data[p] / binSize);
+    const g = Math.floor(bitmap.data[p + 1] / binSize);
+    const b = Math.floor(bitmap.data[p + 2] / binSize);
+    histogram[(r * HISTOGRAM_BINS + g) * HISTOGRAM_BINS + b] += weight;
+    total += weight;
+  }
+
+  if (total > 0) {
+    for (let i = 0; i < histogram.length; i++) histogram[i] /= total;
+  }
+  return histogram;
+}
+
+/**
+ * Colour histogram intersection of two images
+ * @param {Object} bitmapA - RGBA bitmap
+ * @param {Object} bitmapB - RGBA bitmap
+ * @returns {number} Score between 0 and 1
+ */
+export function histogramSimilarity(bitmapA, bitmapB) {
+  const a = colourHistogram(bitmapA);
+  const b = colourHistogram(bitmapB);
+  let intersection = 0;
+  for (let i = 0; i < a.length; i++) {
+    intersection += Math.min(a[i], b[i]);
+  }
+  return intersection;
+}
+
+/**
+ * Pixel comparison with pixelmatch (the former VisualActionExecutor.compareImages)
+ * Both images are scaled to the smaller of their sizes.
+ * @param {Object} bitmapA - RGBA bitmap
+ * @param {Object} bitmapB - RGBA bitmap
+ * @returns {number} Share of matching pixels between 0 and 1
+ */
+export function pixelSimilarity(bitmapA, bitmapB) {
+  const width = Math.min(bitmapA.width, bitmapB.width);
+  const height = Math.min(bitmapA.height, bitmapB.height);
+  if (width === 0 || height === 0) {
+    return 0;
+  }
+
+  const a = Uint8ClampedArray.from(resample(bitmapA, 4, width, height).data);
+  const b = Uint8ClampedArray.from(resample(bitmapB, 4, width, height).data);
+  const diffPixels = pixelmatch(a, b, null, width, height, { threshold: 0.1 });
+
+  return Math.max(0, Math.min(1, 1 - diffPixels / (width * height)));
+}
+
+const methods = new Map();
+
+/**
+ * Register a similarity method
+ * @param {string} name - Method name (used in execution options and reports)
+ * @param {Function} compare - (bitmapA, bitmapB) => score between 0 and 1
+ * @param {number} defaultThreshold - Score from which two images count as the same element
+ */
+export function registerSimilarityMethod(name, compare, defaultThreshold) {
+  if (typeof compare !== 'function') {
+    throw new Error(`Similarity method "${name}" needs a compare function`);
+  }
+  methods.set(name, { compare, defaultThreshold });
+}
+
+registerSimilarityMethod(SimilarityMethods.PIXEL, pixelSimilarity, 0.7);
+registerSimilarityMethod(SimilarityMethods.AHASH, (a, b) => hashSimilarity(averageHash(a), averageHash(b)), 0.85);
+registerSimilarityMethod(SimilarityMethods.DHASH, (a, b) => hashSimilarity(differenceHash(a), differenceHash(b)), 0.85);
+registerSimilarityMethod(SimilarityMethods.PHASH, (a, b) => hashSimilarity(perceptualHash(a), perceptualHash(b)), 0.8);
+registerSimilarityMethod(SimilarityMethods.SSIM, structuralSimilarity, 0.6);
+registerSimilarityMethod(SimilarityMethods.HISTOGRAM, histogramSimilarity, 0.75);
+registerSimilarityMethod(
+  SimilarityMethods.COMBINED,
+  (a, b) => Object.entries(COMBINED_WEIGHTS)
+    .reduce((score, [method, weight]) => score + methods.get(method).compare(a, b) * weight, 0),
+  0.7
+);
+
+/**
+ * Get the names of all registered similarity methods
+ * @returns {Array<string>} Method names
+ */
+export function getSimilarityMethods() {
+  return [...methods.keys()];
+}
+
+/**
+ * Get the default threshold of a similarity method
+ * @param {string} method - Method name
+ * @returns {number} Threshold between 0 and 1
+ */
+export function getDefaultThreshold(method = DEFAULT_SIMILARITY_METHOD) {
+  const entry = methods.get(method);
+  if (!entry) {
+    throw new Error(`Unknown similarity method: ${method}`);
+  }
+  return entry.defaultThreshold;
+}
+
+/**
+ * Compare two decoded images
+ * @param {Object} bitmapA - RGBA bitmap { width, height, data }
+ * @param {Object} bitmapB - RGBA bitmap
+ * @param {string} method - Similarity method (default: combined)
+ * @returns {number} Score between 0 and 1
+ */
+export function compareBitmaps(bitmapA, bitmapB, method = DEFAULT_SIMILARITY_METHOD) {
+  const entry = methods.get(method);
+  if (!entry) {
+    throw new Error(`Unknown similarity method: ${method}`);
+  }
+  return Math.max(0, Math.min(1, entry.compare(bitmapA, bitmapB)));
+}
+
+/**
+ * Decode a base64 image (data URL or raw base64) to an RGBA bitmap
+ * @param {string} base64 - Image data
+ * @returns {Promise<Object>} Bitmap { width, height, data }
+ */
+export async function decodeBitmap(base64) {
+  const data = base64.replace(/^data:image\/\w+;base64,/, '');
+  const image = await Jimp.read(Buffer.from(data, 'base64'));
+  return image.bitmap;
+}
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  compareBitmaps,
+  averageHash,
+  differenceHash,
+  perceptualHash,
+  hashSimilarity,
+  getDefaultThreshold,
+  getSimilarityMethods,
+  registerSimilarityMethod,
+  SimilarityMethods,
+} from './image-similarity.js';
+
+// RGBA bitmap drawn by a (x, y) => [r, g, b] function
+function bitmap(width, height, draw) {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = draw(x, y);
+      data.set([r, g, b, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+// Button-like element: white label bars on a coloured background
+const button = (offset = 0, background = [0, 149, 246]) => bitmap(120, 40, (x, y) => {
+  const onLabel = y > 14 && y < 26 && ((x - offset) % 14) < 7 && x - offset > 20 && x - offset < 100;
+  return onLabel ? [255, 255, 255] : background;
+});
+
+// Different element: vertical stripes
+const stripes = () => bitmap(120, 40, (x) => (x % 20 < 10 ? [30, 30, 30] : [220, 220, 220]));
+
+describe('compareBitmaps', () => {
+  it('should score identical images as 1 with every method', () => {
+    for (const method of Object.values(SimilarityMethods)) {
+      expect(compareBitmaps(button(), button(), method)).toBeCloseTo(1, 5);
+    }
+  });
+
+  it('should match an element shifted by 1px', () => {
+    expect(compareBitmaps(button(), button(1))).toBeGreaterThan(getDefaultThreshold(SimilarityMethods.COMBINED));
+  });
+
+  it('should match an element in another colour theme where pixel comparison fails', () => {
+    const themed = button(0, [30, 30, 30]);
+
+    expect(compareBitmaps(button(), themed)).toBeGreaterThan(getDefaultThreshold(SimilarityMethods.COMBINED));
+    expect(compareBitmaps(button(), themed, SimilarityMethods.SSIM)).toBeGreaterThan(0.95);
+    expect(compareBitmaps(button(), themed, SimilarityMethods.PIXEL)).toBeLessThan(getDefaultThreshold(SimilarityMethods.PIXEL));
+  });
+
+  it('should score different elements below the default threshold', () => {
+    for (const method of [SimilarityMethods.COMBINED, SimilarityMethods.SSIM, SimilarityMethods.PHASH]) {
+      expect(compareBitmaps(button(), stripes(), method)).toBeLessThan(getDefaultThreshold(method));
+    }
+  });
+
+  it('should reject unknown methods', () => {
+    expect(() => compareBitmaps(button(), button(), 'nope')).toThrow('Unknown similarity method: nope');
+  });
+});
+
+describe('perceptual hashes', () => {
+  it('should produce fixed-length bit arrays', () => {
+    expect(averageHash(button())).toHaveLength(64);
+    expect(differenceHash(button())).toHaveLength(64);
+    expect(perceptualHash(button())).toHaveLength(63);
+  });
+
+  it('should be insensitive to scaling', () => {
+    const large = bitmap(240, 80, (x, y) => {
+      const small = button();
+      const p = (Math.floor(y / 2) * 120 + Math.floor(x / 2)) * 4;
+      return [small.data[p], small.data[p + 1], small.data[p + 2]];
+    });
+
+    expect(hashSimilarity(perceptualHash(button()), perceptualHash(large))).toBeGreaterThan(0.95);
+  });
+});
+
+describe('registerSimilarityMethod', () => {
+  it('should make custom methods available', () => {
+    registerSimilarityMethod('size', (a, b) => Math.min(a.width, b.width) / Math.max(a.width, b.width), 0.9);
+
+    expect(getSimilarityMethods()).toContain('size');
+    expect(getDefaultThreshold('size')).toBe(0.9);
+    expect(compareBitmaps(button(), bitmap(60, 40, () => [0, 0, 0]), 'size')).toBe(0.5);
+  });
+});
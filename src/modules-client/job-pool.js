@@ -0,0 +1,197 @@
+/**
+ * Worker pool for concurrent job execution in the client agent
+ *
+ * Runs up to `concurrency` jobs at once. Each job holds one slot per platform it posts to,
+ * and `platformLimits` caps how many running jobs may touch a platform at the same time
+ * (e.g. { instagram: 1 } keeps Instagram jobs sequential while other platforms run in parallel).
+ * Jobs blocked by a platform cap wait without blocking jobs of other platforms.
+ */
+
+const MAX_CONCURRENCY = 10;
+
+/**
+ * Clamp a concurrency value to 1..MAX_CONCURRENCY
+ * @param {number|string} value - Requested concurrency
+ * @param {number} fallback - Value used when the input is not a positive number
+ * @returns {number}
+ */
+export function normalizeConcurrency(value, fallback = 1) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed < 1) {
+    return fallback;
+  }
+  return Math.min(parsed, MAX_CONCURRENCY);
+}
+
+/**
+ * Parse per-platform caps from config
+ * Accepts an object ({ instagram: 1 }) or a string ("instagram=1,facebook=2")
+ * @param {Object|string} value - Platform limits
+ * @returns {Object} Map of platform to cap
+ */
+export function parsePlatformLimits(value) {
+  if (!value) {
+    return {};
+  }
+
+  const entries = typeof value === 'string'
+    ? value.split(',').map((pair) => pair.split('='))
+    : Object.entries(value);
+
+  const limits = {};
+  for (const [platform, limit] of entries) {
+    const parsed = parseInt(limit, 10);
+    if (platform && platform.trim() && !Number.isNaN(parsed) && parsed > 0) {
+      limits[platform.trim().toLowerCase()] = parsed;
+    }
+  }
+  return limits;
+}
+
+export class JobWorkerPool {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Maximum number of jobs running at once
+   * @param {Object} options.platformLimits - Maximum running jobs per platform
+   */
+  constructor(options = {}) {
+    this.concurrency = normalizeConcurrency(options.concurrency);
+    this.platformLimits = parsePlatformLimits(options.platformLimits);
+    this.queue = [];
+    this.running = new Set();
+    this.runningByPlatform = {};
+    this.draining = false;
+    this.idleWaiters = [];
+  }
+
+  /** Number of jobs currently executing */
+  get activeCount() {
+    return this.running.size;
+  }
+
+  /** Number of accepted jobs waiting for a slot */
+  get pendingCount() {
+    return this.queue.length;
+  }
+
+  /** Number of jobs the pool can accept without making any of them wait */
+  get freeSlots() {
+    if (this.draining) {
+      return 0;
+    }
+    return Math.max(this.concurrency - this.running.size - this.queue.length, 0);
+  }
+
+  /**
+   * Change the number of parallel jobs; running jobs are never interrupted
+   * @param {number} concurrency - New maximum
+   */
+  setConcurrency(concurrency) {
+    this.concurrency = normalizeConcurrency(concurrency, this.concurrency);
+    this.dispatch();
+  }
+
+  /**
+   * Replace the per-platform caps
+   * @param {Object|string} limits - Platform limits
+   */
+  setPlatformLimits(limits) {
+    this.platformLimits = parsePlatformLimits(limits);
+    this.dispatch();
+  }
+
+  /**
+   * Add a job to the pool
+   * @param {string} id - Job ID (for bookkeeping)
+   * @param {Array<string>} platforms - Platforms the job posts to
+   * @param {Function} task - Async function executing the job
+   * @returns {Promise<*>} Settles with the task result once the job has run
+   */
+  submit(id, platforms, task) {
+    if (this.draining) {
+      return Promise.reject(new Error('Worker pool is shutting down'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id,
+        platforms: [...new Set((platforms || []).map((platform) => String(platform).toLowerCase()))],
+        task,
+        resolve,
+        reject,
+      });
+      this.dispatch();
+    });
+  }
+
+  canStart(entry) {
+    if (this.running.size >= this.concurrency) {
+      return false;
+    }
+    return entry.platforms.every((platform) => {
+      const limit = this.platformLimits[platform];
+      return !limit || (this.runningByPlatform[platform] || 0) < limit;
+    });
+  }
+
+  dispatch() {
+    for (let i = 0; i < this.queue.length && this.running.size < this.concurrency; ) {
+      const entry = this.queue[i];
+      if (!this.canStart(entry)) {
+        i++;
+        continue;
+      }
+      this.queue.splice(i, 1);
+      this.start(entry);
+    }
+  }
+
+  start(entry) {
+    this.running.add(entry);
+    entry.platforms.forEach((platform) => {
+      this.runningByPlatform[platform] = (this.runningByPlatform[platform] || 0) + 1;
+    });
+
+    Promise.resolve()
+      .then(() => entry.task())
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.running.delete(entry);
+        entry.platforms.forEach((platform) => {
+          this.runningByPlatform[platform] -= 1;
+        });
+        this.dispatch();
+        this.notifyIdle();
+      });
+  }
+
+  notifyIdle() {
+    if (this.running.size === 0 && this.queue.length === 0) {
+      this.idleWaiters.splice(0).forEach((resolve) => resolve());
+    }
+  }
+
+  /**
+   * Stop accepting jobs and wait until every accepted job has finished
+   * @param {number} timeout - Give up waiting after this many ms (0 = wait forever)
+   * @returns {Promise<boolean>} True when the pool drained, false on timeout
+   */
+  drain(timeout = 0) {
+    this.draining = true;
+
+    const idle = new Promise((resolve) => {
+      this.idleWaiters.push(resolve);
+      this.notifyIdle();
+    }).then(() => true);
+
+    if (!timeout) {
+      return idle;
+    }
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeout);
+    });
+    return Promise.race([idle, timedOut]).finally(() => clearTimeout(timer));
+  }
+}
@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { JobWorkerPool, normalizeConcurrency, parsePlatformLimits } from './job-pool.js';
+
+// Task that stays running until release() is called
+function deferredTask(log, id) {
+  let release;
+  const done = new Promise((resolve) => {
+    release = resolve;
+  });
+  return {
+    task: async () => {
+      log.push(`start:${id}`);
+      await done;
+      log.push(`end:${id}`);
+      return id;
+    },
+    release: () => release(),
+  };
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('JobWorkerPool', () => {
+  it('should run up to `concurrency` jobs at once', async () => {
+    const log = [];
+    const pool = new JobWorkerPool({ concurrency: 2 });
+    const jobs = ['a', 'b', 'c'].map((id) => deferredTask(log, id));
+
+    const results = jobs.map((job, i) => pool.submit(`job-${i}`, ['facebook'], job.task));
+    await tick();
+
+    expect(pool.activeCount).toBe(2);
+    expect(pool.pendingCount).toBe(1);
+    expect(log).toEqual(['start:a', 'start:b']);
+
+    jobs[0].release();
+    await tick();
+    expect(log).toContain('start:c');
+
+    jobs[1].release();
+    jobs[2].release();
+    expect(await Promise.all(results)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should enforce per-platform caps without blocking other platforms', async () => {
+    const log = [];
+    const pool = new JobWorkerPool({ concurrency: 3, platformLimits: 'instagram=1' });
+    const first = deferredTask(log, 'ig1');
+    const second = deferredTask(log, 'ig2');
+    const other = deferredTask(log, 'fb');
+
+    pool.submit('1', ['instagram'], first.task);
+    pool.submit('2', ['instagram'], second.task);
+    pool.submit('3', ['facebook'], other.task);
+    await tick();
+
+    expect(log).toEqual(['start:ig1', 'start:fb']);
+
+    first.release();
+    await tick();
+    expect(log).toContain('start:ig2');
+
+    second.release();
+    other.release();
+    await pool.drain();
+  });
+
+  it('should report free slots and pick up a raised concurrency', async () => {
+    const log = [];
+    const pool = new JobWorkerPool({ concurrency: 1 });
+    const jobs = ['a', 'b'].map((id) => deferredTask(log, id));
+
+    jobs.forEach((job, i) => pool.submit(`job-${i}`, [], job.task));
+    await tick();
+    expect(pool.freeSlots).toBe(0);
+
+    pool.setConcurrency(3);
+    await tick();
+    expect(pool.activeCount).toBe(2);
+    expect(pool.freeSlots).toBe(1);
+
+    jobs.forEach((job) => job.release());
+    await pool.drain();
+  });
+
+  it('should drain running jobs and reject new ones', async () => {
+    const log = [];
+    const pool = new JobWorkerPool({ concurrency: 1 });
+    const job = deferredTask(log, 'a');
+
+    pool.submit('a', [], job.task);
+    await tick();
+
+    const drained = pool.drain();
+    await expect(pool.submit('b', [], async () => 'b')).rejects.toThrow('shutting down');
+    expect(pool.freeSlots).toBe(0);
+
+    job.release();
+    expect(await drained).toBe(true);
+    expect(log).toEqual(['start:a', 'end:a']);
+  });
+
+  it('should stop waiting after the drain timeout', async () => {
+    const pool = new JobWorkerPool({ concurrency: 1 });
+    const job = deferredTask([], 'a');
+
+    pool.submit('a', [], job.task);
+    expect(await pool.drain(10)).toBe(false);
+
+    job.release();
+  });
+
+  it('should keep running after a job fails', async () => {
+    const pool = new JobWorkerPool({ concurrency: 1 });
+
+    await expect(pool.submit('a', [], async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    expect(await pool.submit('b', [], async () => 'ok')).toBe('ok');
+  });
+});
+
+describe('job pool config helpers', () => {
+  it('should clamp concurrency', () => {
+    expect(normalizeConcurrency('3')).toBe(3);
+    expect(normalizeConcurrency(0)).toBe(1);
+    expect(normalizeConcurrency('abc', 2)).toBe(2);
+    expect(normalizeConcurrency(50)).toBe(10);
+  });
+
+  it('should parse platform limits from strings and objects', () => {
+    expect(parsePlatformLimits('instagram=1, Facebook=2,bad,x=0')).toEqual({ instagram: 1, facebook: 2 });
+    expect(parsePlatformLimits({ twitter: '3' })).toEqual({ twitter: 3 });
+    expect(parsePlatformLimits('')).toEqual({});
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Lease renewal for jobs claimed by the client agent
+ *
+ * A claimed job is leased to this agent for config.jobLeaseSeconds. The lease is renewed while
+ * the job waits for a slot and while it executes. When the server answers that the lease is
+ * lost (it expired and the job was requeued, or the job was cancelled), the job stops after its
+ * current action like a cancelled job, so two agents never publish the same post.
+ */
+
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { renewJobLease, LeaseRenewalResult } from './poller.js';
+
+/**
+ * Renewal interval: a third of the lease so a single failed request does not lose the job
+ * @returns {number} Interval in milliseconds
+ */
+function getRenewInterval() {
+  return Math.max(Math.floor((config.jobLeaseSeconds * 1000) / 3), 5000);
+}
+
+/**
+ * Keep the lease of a claimed job alive
+ * @param {string} jobId - Job ID
+ * @param {Map} runningJobs - Jobs this agent is executing: jobId -> { cancelled, executor }
+ * @param {Object} options
+ * @param {Function} options.onLeaseLost - Called once when the server reports the lease lost
+ * @param {number} options.intervalMs - Renewal interval (default: a third of the lease)
+ * @returns {Function} Stops the renewal timer
+ */
+export function startLeaseRenewal(jobId, runningJobs, { onLeaseLost, intervalMs = getRenewInterval() } = {}) {
+  const timer = setInterval(async () => {
+    // A cancelled job no longer holds a lease
+    if (runningJobs.get(jobId)?.cancelled) {
+      return;
+    }
+
+    const result = await renewJobLease(jobId);
+
+    if (result === LeaseRenewalResult.FAILED) {
+      logger.warn(`⚠️  Lease for job ${jobId} could not be renewed. The job may be requeued if it expires.`);
+      return;
+    }
+
+    if (result === LeaseRenewalResult.LOST) {
+      clearInterval(timer);
+      logger.error(`🛑 Lease for job ${jobId} was lost. Stopping after the current action so the job does not run twice...`);
+
+      const runningJob = runningJobs.get(jobId);
+      if (runningJob && !runningJob.cancelled) {
+        runningJob.cancelled = true;
+        runningJob.leaseLost = true;
+        if (runningJob.executor) {
+          runningJob.executor.stop();
+        }
+      }
+
+      if (onLeaseLost) {
+        onLeaseLost();
+      }
+    }
+  }, intervalMs);
+
+  return () => clearInterval(timer);
+}
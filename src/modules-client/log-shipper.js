@@ -0,0 +1,161 @@
+/**
+ * Log shipping for client agent
+ *
+ * Buffers log entries and sends them in batches to /api/client/logs (client_logs table).
+ * While the server is unreachable, entries are spooled to logs/log-spool.jsonl and sent
+ * with the next successful flush. Never logs through the logger itself, so a failing
+ * flush cannot produce more entries to ship.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import { config, getApiHeaders } from './config.js';
+
+const SPOOL_FILE = path.join(process.cwd(), 'logs', 'log-spool.jsonl');
+const MAX_BUFFER_ENTRIES = 1000;
+const MAX_SPOOL_BYTES = 5 * 1024 * 1024;
+
+const buffer = [];
+let flushTimer = null;
+let flushing = null;
+let droppedEntries = 0;
+
+// Entries still buffered when the process exits (e.g. forced shutdown) are sent on the next start
+process.on('exit', () => {
+  spool(buffer.splice(0));
+});
+
+function startFlushTimer() {
+  if (flushTimer) return;
+  flushTimer = setInterval(() => {
+    flushLogs();
+  }, config.logFlushInterval);
+  // Shipping logs must never keep the agent alive
+  flushTimer.unref();
+}
+
+/**
+ * Append entries to the spool file; drops them once the spool is full
+ * @param {Array<Object>} entries - Log entries
+ */
+function spool(entries) {
+  if (entries.length === 0) return;
+
+  try {
+    const size = fs.existsSync(SPOOL_FILE) ? fs.statSync(SPOOL_FILE).size : 0;
+    if (size >= MAX_SPOOL_BYTES) {
+      droppedEntries += entries.length;
+      return;
+    }
+    fs.appendFileSync(SPOOL_FILE, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf-8');
+  } catch {
+    droppedEntries += entries.length;
+  }
+}
+
+/**
+ * Take all spooled entries out of the spool file
+ * @returns {Array<Object>} Spooled entries (oldest first)
+ */
+function takeSpooled() {
+  if (!fs.existsSync(SPOOL_FILE)) {
+    return [];
+  }
+
+  try {
+    const content = fs.readFileSync(SPOOL_FILE, 'utf-8');
+    fs.unlinkSync(SPOOL_FILE);
+    return content
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+async function sendBatch(entries) {
+  await axios.post(`${config.apiUrl}/logs`, { logs: entries }, {
+    headers: getApiHeaders(),
+    timeout: 15000,
+  });
+}
+
+async function flush() {
+  // Spooled entries first so the server receives them in order
+  const pending = [...takeSpooled(), ...buffer.splice(0)];
+
+  if (droppedEntries > 0) {
+    pending.push({
+      level: 'warn',
+      message: `${droppedEntries} log entries were dropped because the log spool was full`,
+      timestamp: new Date().toISOString(),
+      jobId: null,
+      context: {},
+    });
+    droppedEntries = 0;
+  }
+
+  for (let i = 0; i < pending.length; i += config.logBatchSize) {
+    try {
+      await sendBatch(pending.slice(i, i + config.logBatchSize));
+    } catch (error) {
+      // 4xx other than auth/rate limits means the batch itself is bad; drop it instead of retrying forever
+      const status = error.response?.status;
+      if (status && status >= 400 && status < 500 && ![401, 408, 429].includes(status)) {
+        continue;
+      }
+      spool(pending.slice(i));
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Queue a log entry for shipping
+ * @param {Object} entry - { level, message, timestamp, jobId, context }
+ */
+export function shipLog(entry) {
+  if (!config.logShipping) return;
+
+  buffer.push(entry);
+  startFlushTimer();
+
+  if (buffer.length >= MAX_BUFFER_ENTRIES) {
+    // Not registered yet or a flush is hanging: keep memory bounded
+    spool(buffer.splice(0));
+  } else if (buffer.length >= config.logBatchSize) {
+    flushLogs();
+  }
+}
+
+/**
+ * Send buffered and spooled entries now
+ * Entries that cannot be sent are spooled to disk for the next flush.
+ * @returns {Promise<boolean>} True when everything was sent
+ */
+export function flushLogs() {
+  if (!config.logShipping || !config.clientId || !config.apiToken) {
+    return Promise.resolve(false);
+  }
+
+  if (!flushing) {
+    flushing = flush()
+      .catch(() => false)
+      .finally(() => {
+        flushing = null;
+      });
+  }
+
+  return flushing;
+}
@@ -1,10 +1,14 @@
 /**
  * Simple file logger for client agent
+ * Entries also go to the log shipper (client_logs on the server), tagged with the job
+ * being executed when logged inside runWithLogContext().
  */
 
 import fs from 'fs';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 import { config } from './config.js';
+import { shipLog } from './log-shipper.js';
 
 const LOG_LEVELS = {
   error: 0,
@@ -22,22 +26,51 @@ if (!fs.existsSync(LOG_DIR)) {
 
 const LOG_FILE = path.join(LOG_DIR, `agent-${new Date().toISOString().split('T')[0]}.log`);
 
+// Context of the code currently logging (e.g. { jobId }); survives awaits, so concurrent jobs don't mix
+const logContext = new AsyncLocalStorage();
+
 function getLogLevel() {
   return LOG_LEVELS[config.logLevel] || LOG_LEVELS.info;
 }
 
-function formatMessage(level, message, ...args) {
-  const timestamp = new Date().toISOString();
-  const formattedArgs = args.length > 0 ? ' ' + args.map(arg => 
+function formatArgs(args) {
+  return args.length > 0 ? ' ' + args.map(arg => 
     typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
   ).join(' ') : '';
-  return `[${timestamp}] [${level.toUpperCase()}] ${message}${formattedArgs}\n`;
+}
+
+function formatMessage(level, message, ...args) {
+  const timestamp = new Date().toISOString();
+  return `[${timestamp}] [${level.toUpperCase()}] ${message}${formatArgs(args)}\n`;
+}
+
+function shipEntry(level, message, args) {
+  if (LOG_LEVELS[level] > (LOG_LEVELS[config.logShippingLevel] ?? LOG_LEVELS.info)) {
+    return;
+  }
+  
+  const { jobId = null, ...context } = logContext.getStore() || {};
+  // Errors stringify to {}, keep their stack instead
+  const error = args.find(arg => arg instanceof Error);
+  if (error) {
+    context.stack = error.stack;
+  }
+  
+  shipLog({
+    level,
+    message: `${message}${formatArgs(args.map(arg => (arg instanceof Error ? arg.message : arg)))}`.trim(),
+    timestamp: new Date().toISOString(),
+    jobId,
+    context,
+  });
 }
 
 function writeLog(level, message, ...args) {
   const logLevel = getLogLevel();
   const levelNum = LOG_LEVELS[level];
   
+  shipEntry(level, message, args);
+  
   if (levelNum <= logLevel) {
     const formatted = formatMessage(level, message, ...args);
     
@@ -65,3 +98,15 @@ export const logger = {
   info: (message, ...args) => writeLog('info', message, ...args),
   debug: (message, ...args) => writeLog('debug', message, ...args),
 };
+
+/**
+ * Run a function with log context; entries logged inside it (also after awaits) carry it
+ * @param {Object} context - e.g. { jobId }
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function runWithLogContext(context, fn) {
+  return logContext.run({ ...logContext.getStore(), ...context }, fn);
+}
+
+export { flushLogs } from './log-shipper.js';
@@ -0,0 +1,229 @@
+/**
+ * OCR Locator
+ *
+ * Finds text drawn on canvas or inside images, which DOM text search (findByText) cannot see.
+ * A screenshot of the viewport (or a region of it) is run through tesseract.js; the recognized
+ * words of each line are combined into phrases and fuzzy matched against the recorded text
+ * with fuse.js. Matches carry the union box of their words.
+ *
+ * Language data (<language>.traineddata or <language>.traineddata.gz) is read from a local
+ * directory (OCR_LANG_PATH, default ./tessdata), so OCR works offline. Nothing is downloaded.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Fuse from 'fuse.js';
+import { createWorker } from 'tesseract.js';
+
+export const DEFAULT_OCR_LANGUAGE = 'eng';
+export const DEFAULT_OCR_LANG_PATH = path.join(process.cwd(), 'tessdata');
+
+// Fuse score (0 = exact, 1 = unrelated) above which a phrase is not a match
+export const DEFAULT_MAX_SCORE = 0.35;
+
+// Words tesseract is less sure about (0-100) are usually noise from icons or textures
+export const DEFAULT_MIN_WORD_CONFIDENCE = 30;
+
+/**
+ * Normalize text for matching (collapse whitespace)
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Union box of OCR words
+ * @param {Array<Object>} words - Words with bbox { x0, y0, x1, y1 }
+ * @returns {Object} { x, y, width, height, center: { x, y } }
+ */
+function unionBox(words) {
+  const x0 = Math.min(...words.map((word) => word.bbox.x0));
+  const y0 = Math.min(...words.map((word) => word.bbox.y0));
+  const x1 = Math.max(...words.map((word) => word.bbox.x1));
+  const y1 = Math.max(...words.map((word) => word.bbox.y1));
+  return {
+    x: x0,
+    y: y0,
+    width: x1 - x0,
+    height: y1 - y0,
+    center: { x: Math.round((x0 + x1) / 2), y: Math.round((y0 + y1) / 2) },
+  };
+}
+
+/**
+ * Build phrases of consecutive words within each line
+ * Phrases have about as many words as the searched text (one more or one less), so a match
+ * covers the searched text rather than the whole line it appears in.
+ * @param {Array<Object>} lines - OCR lines: { words: [{ text, confidence, bbox }] }
+ * @param {number} wordCount - Number of words in the searched text
+ * @param {number} minWordConfidence - Words below this confidence are dropped
+ * @returns {Array<Object>} Phrases { text, words, confidence, x, y, width, height, center }
+ */
+export function buildPhrases(lines, wordCount, minWordConfidence = DEFAULT_MIN_WORD_CONFIDENCE) {
+  const phrases = [];
+  const minWords = Math.max(1, wordCount - 1);
+  const maxWords = wordCount + 1;
+
+  for (const line of lines || []) {
+    const words = (line.words || []).filter(
+      (word) => normalizeText(word.text) && word.bbox && (word.confidence ?? 100) >= minWordConfidence
+    );
+
+    for (let start = 0; start < words.length; start++) {
+      for (let size = minWords; size <= maxWords && start + size <= words.length; size++) {
+        const phraseWords = words.slice(start, start + size);
+        phrases.push({
+          text: phraseWords.map((word) => normalizeText(word.text)).join(' '),
+          words: phraseWords,
+          confidence: phraseWords.reduce((sum, word) => sum + (word.confidence ?? 100), 0) / size,
+          ...unionBox(phraseWords),
+        });
+      }
+    }
+  }
+
+  return phrases;
+}
+
+/**
+ * Fuzzy match recognized text against the searched text
+ * @param {Array<Object>} lines - OCR lines: { words: [{ text, confidence, bbox }] }
+ * @param {string} text - Recorded text
+ * @param {Object} options - { maxScore, minWordConfidence, maxResults }
+ * @returns {Array<Object>} Matches ranked best first:
+ *   { text, score, similarity, confidence, x, y, width, height, center }
+ */
+export function matchOcrText(lines, text, options = {}) {
+  const query = normalizeText(text);
+  if (!query) {
+    return [];
+  }
+
+  const maxScore = options.maxScore ?? DEFAULT_MAX_SCORE;
+  const phrases = buildPhrases(
+    lines,
+    query.split(' ').length,
+    options.minWordConfidence ?? DEFAULT_MIN_WORD_CONFIDENCE
+  );
+  if (phrases.length === 0) {
+    return [];
+  }
+
+  const fuse = new Fuse(phrases, {
+    keys: ['text'],
+    includeScore: true,
+    ignoreLocation: true,
+    threshold: maxScore,
+  });
+
+  // Phrases overlap: keep the best scoring phrase for each word
+  const matches = [];
+  const usedWords = new Set();
+  for (const { item, score } of fuse.search(query)) {
+    if (item.words.some((word) => usedWords.has(word))) continue;
+    item.words.forEach((word) => usedWords.add(word));
+
+    const { words: _words, ...phrase } = item;
+    matches.push({ ...phrase, score, similarity: 1 - score });
+  }
+
+  return matches.slice(0, options.maxResults ?? 10);
+}
+
+/**
+ * Lazily started tesseract.js worker with local language data
+ */
+export class OcrLocator {
+  /**
+   * @param {Object} options - { language, langPath }
+   */
+  constructor(options = {}) {
+    this.language = options.language || DEFAULT_OCR_LANGUAGE;
+    this.langPath = options.langPath || DEFAULT_OCR_LANG_PATH;
+    this.workerPromise = null;
+  }
+
+  /**
+   * Start the worker on first use
+   * @returns {Promise<Object>} tesseract.js worker
+   * @throws {Error} When the language data is not in langPath
+   */
+  async getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = this.createWorker().catch((error) => {
+        this.workerPromise = null;
+        throw error;
+      });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * Create the worker from the local language data (.traineddata.gz preferred)
+   * @returns {Promise<Object>} tesseract.js worker
+   */
+  async createWorker() {
+    const file = path.join(this.langPath, `${this.language}.traineddata`);
+    const gzip = fs.existsSync(`${file}.gz`);
+    if (!gzip && !fs.existsSync(file)) {
+      throw new Error(`OCR language data not found: ${file}`);
+    }
+
+    // Local data needs no cache copy in the working directory
+    return createWorker(this.language, undefined, {
+      langPath: this.langPath,
+      gzip,
+      cacheMethod: 'none',
+    });
+  }
+
+  /**
+   * Recognize the text of an image
+   * @param {Buffer} image - PNG image
+   * @returns {Promise<Array<Object>>} Lines: { text, words: [{ text, confidence, bbox }] } in image pixels
+   */
+  async recognize(image) {
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(image);
+
+    return (data.lines || []).map((line) => ({
+      text: line.text,
+      words: (line.words || []).map((word) => ({
+        text: word.text,
+        confidence: word.confidence,
+        bbox: word.bbox,
+      })),
+    }));
+  }
+
+  /**
+   * Find the text in an image
+   * @param {Buffer} image - PNG image
+   * @param {string} text - Text to find
+   * @param {Object} options - Options for matchOcrText
+   * @returns {Promise<Array<Object>>} Matches in image pixels (see matchOcrText)
+   */
+  async findText(image, text, options = {}) {
+    return matchOcrText(await this.recognize(image), text, options);
+  }
+
+  /**
+   * Stop the worker (started again on next use)
+   * @returns {Promise<void>}
+   */
+  async terminate() {
+    if (!this.workerPromise) {
+      return;
+    }
+    const pending = this.workerPromise;
+    this.workerPromise = null;
+    try {
+      const worker = await pending;
+      await worker.terminate();
+    } catch {
+      // Worker never started
+    }
+  }
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { buildPhrases, matchOcrText } from './ocr-locator.js';
+
+// OCR line as tesseract.js reports it: words with boxes, laid out left to right
+function line(y, ...entries) {
+  let x = 10;
+  return {
+    words: entries.map((entry) => {
+      const [text, confidence = 90] = Array.isArray(entry) ? entry : [entry];
+      const width = text.length * 10;
+      const word = { text, confidence, bbox: { x0: x, y0: y, x1: x + width, y1: y + 20 } };
+      x += width + 10;
+      return word;
+    }),
+  };
+}
+
+describe('buildPhrases', () => {
+  it('should combine consecutive words into phrases around the searched word count', () => {
+    const phrases = buildPhrases([line(0, 'Share', 'your', 'post')], 1);
+
+    expect(phrases.map((phrase) => phrase.text)).toEqual(['Share', 'Share your', 'your', 'your post', 'post']);
+    expect(phrases[1]).toMatchObject({ x: 10, y: 0, width: 100, height: 20, center: { x: 60, y: 10 } });
+  });
+
+  it('should drop words below the confidence threshold', () => {
+    const phrases = buildPhrases([line(0, ['~|', 12], 'Next')], 1);
+
+    expect(phrases.map((phrase) => phrase.text)).toEqual(['Next']);
+  });
+});
+
+describe('matchOcrText', () => {
+  it('should find the words of the recorded text and return their box', () => {
+    const lines = [line(0, 'Home', 'Explore'), line(100, 'Save', 'draft', 'now')];
+
+    const [match] = matchOcrText(lines, 'Save draft');
+
+    expect(match).toMatchObject({ text: 'Save draft', x: 10, y: 100, width: 100, height: 20 });
+    expect(match.similarity).toBeGreaterThan(0.9);
+  });
+
+  it('should tolerate OCR mistakes and case', () => {
+    const [match] = matchOcrText([line(40, 'SAV3', 'changes')], 'Save changes');
+
+    expect(match).toMatchObject({ text: 'SAV3 changes', y: 40 });
+  });
+
+  it('should return each occurrence once, best first', () => {
+    const lines = [line(0, 'Post'), line(50, 'New', 'post'), line(100, 'Pots')];
+
+    const matches = matchOcrText(lines, 'Post');
+
+    expect(matches[0].text).toBe('Post');
+    expect(matches.filter((match) => match.y === 50)).toHaveLength(1);
+    expect(matches.every((match, i) => i === 0 || match.score >= matches[i - 1].score)).toBe(true);
+  });
+
+  it('should not match unrelated text', () => {
+    expect(matchOcrText([line(0, 'Settings', 'Logout')], 'Publish')).toEqual([]);
+    expect(matchOcrText([line(0, 'Publish')], '  ')).toEqual([]);
+  });
+});
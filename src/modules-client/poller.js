@@ -46,16 +46,20 @@ export async function pingApi() {
 
 /**
  * Poll for pending jobs from API
+ * Returned jobs are claimed for this client, so only ask for as many as can be started
+ * @param {number} limit - Maximum number of jobs to claim
  */
-export async function pollPendingJobs() {
+export async function pollPendingJobs(limit = config.maxJobsPerCycle) {
   const url = `${config.apiUrl}/jobs/pending`;
   const headers = getApiHeaders();
   
+  const params = { leaseSeconds: config.jobLeaseSeconds, limit };
+  
   const startTime = Date.now();
   logger.debug(`[HTTP] GET ${url}`);
   
   try {
-    const response = await axios.get(url, { headers });
+    const response = await axios.get(url, { headers, params });
     const duration = Date.now() - startTime;
     
     logger.debug(`[HTTP] GET ${url} → ${response.status} ${response.statusText} (${duration}ms)`);
@@ -104,6 +108,7 @@ export async function pollPendingJobs() {
 
 /**
  * Send heartbeat to API
+ * @returns {Promise<Object|false>} Response data ({ client, settings }) or false on failure
  */
 export async function sendHeartbeat() {
   const url = `${config.apiUrl}/heartbeat`;
@@ -120,7 +125,7 @@ export async function sendHeartbeat() {
     if (response.status !== 200) {
       logger.warn(`💓 Heartbeat: ${response.status} ${response.statusText}`);
     }
-    return true;
+    return response.data || {};
   } catch (error) {
     if (error.response) {
       logger.error(`💓 Heartbeat failed: ${error.response.status} ${error.response.statusText}`);
@@ -164,22 +169,80 @@ export async function updateJobStatus(jobId, status, results = null) {
   }
 }
 
+/**
+ * Outcomes of a lease renewal
+ */
+export const LeaseRenewalResult = {
+  RENEWED: 'renewed',
+  // 409: the lease expired and the job was requeued, or the job was cancelled
+  LOST: 'lost',
+  // Network or server error: the lease may still be valid until it expires
+  FAILED: 'failed',
+};
+
+/**
+ * Renew the lease of a claimed job
+ * Must be called periodically while the job is executing, otherwise the server
+ * returns the job to the queue once the lease expires
+ * @param {string} jobId - Job ID
+ * @returns {Promise<string>} LeaseRenewalResult (LOST: the job must not keep running here)
+ */
+export async function renewJobLease(jobId) {
+  const url = `${config.apiUrl}/jobs/lease`;
+  const headers = getApiHeaders();
+  const data = {
+    jobId,
+    leaseSeconds: config.jobLeaseSeconds,
+  };
+  
+  logger.debug(`[HTTP] POST ${url} (jobId: ${jobId})`);
+  
+  try {
+    const response = await axios.post(url, data, { headers });
+    
+    logger.debug(`[HTTP] POST ${url} → ${response.status} ${response.statusText} (lease until ${response.data?.job?.lease_expires_at})`);
+    
+    return LeaseRenewalResult.RENEWED;
+  } catch (error) {
+    if (error.response) {
+      logger.error(`[HTTP] POST ${url} → ${error.response.status} ${error.response.statusText}`);
+      logger.error(`[HTTP] Error response:`, error.response.data);
+    } else {
+      logger.error(`[HTTP] POST ${url} → Request error:`, error.message);
+    }
+    
+    if (error.response?.status === 409) {
+      return LeaseRenewalResult.LOST;
+    }
+    
+    logger.warn(`Failed to renew lease for job ${jobId}:`, error.message);
+    return LeaseRenewalResult.FAILED;
+  }
+}
+
 /**
  * Submit execution report
+ * @param {Object} report - Execution report from WorkflowExecutor
+ * @param {Object} metadata - Report metadata (jobId, accountId, workflowId, workflowName, platform, ...)
+ * @returns {Promise<string|null>} Execution report ID, or null if submission failed
  */
-export async function submitExecutionReport(report) {
+export async function submitExecutionReport(report, metadata = {}) {
   const url = `${config.apiUrl}/execution-reports/submit`;
   const headers = getApiHeaders();
+  const data = {
+    report,
+    metadata,
+  };
   
-  logger.debug(`[HTTP] POST ${url}`);
+  logger.debug(`[HTTP] POST ${url} (jobId: ${metadata.jobId}, accountId: ${metadata.accountId})`);
   logger.debug(`[HTTP] Report size:`, JSON.stringify(report).length, 'bytes');
   
   try {
-    const response = await axios.post(url, report, { headers });
+    const response = await axios.post(url, data, { headers });
     
     logger.debug(`[HTTP] POST ${url} → ${response.status} ${response.statusText}`);
     
-    return true;
+    return response.data?.reportId || null;
   } catch (error) {
     if (error.response) {
       logger.error(`[HTTP] POST ${url} → ${error.response.status} ${error.response.statusText}`);
@@ -188,7 +251,68 @@ export async function submitExecutionReport(report) {
       logger.error(`[HTTP] POST ${url} → Request error:`, error.message);
     }
     logger.error('Failed to submit execution report:', error.message);
-    return false;
+    return null;
+  }
+}
+
+/**
+ * Submit healing proposals: fresh visual data of elements that were only found with low
+ * confidence, for admins to accept into their micro-actions
+ * @param {Array<Object>} proposals - Proposals from WorkflowExecutor (healingProposals)
+ * @param {Object} metadata - Run metadata (jobId, accountId, executionReportId, platform, ...)
+ * @returns {Promise<Object|null>} { created, autoAccepted }, or null if submission failed
+ */
+export async function submitHealingProposals(proposals, metadata = {}) {
+  const url = `${config.apiUrl}/healing-proposals/submit`;
+  const headers = getApiHeaders();
+  
+  logger.debug(`[HTTP] POST ${url} (${proposals.length} proposal(s), jobId: ${metadata.jobId})`);
+  
+  try {
+    const response = await axios.post(url, { proposals, metadata }, { headers });
+    
+    logger.debug(`[HTTP] POST ${url} → ${response.status} ${response.statusText}`);
+    
+    return response.data || null;
+  } catch (error) {
+    if (error.response) {
+      logger.error(`[HTTP] POST ${url} → ${error.response.status} ${error.response.statusText}`);
+      logger.error(`[HTTP] Error response:`, error.response.data);
+    } else {
+      logger.error(`[HTTP] POST ${url} → Request error:`, error.message);
+    }
+    logger.error('Failed to submit healing proposals:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Submit a recording made on this machine; the API saves it as a private workflow of the user
+ * @param {Object} recording - { platform, url, name, workflow_type }
+ * @param {Array<Object>} microActions - Micro-actions converted by ActionRecorder
+ * @returns {Promise<Object|null>} { workflow, microActionCount }, or null if submission failed
+ */
+export async function submitRecording(recording, microActions) {
+  const url = `${config.apiUrl}/recordings/submit`;
+  const headers = getApiHeaders();
+
+  logger.debug(`[HTTP] POST ${url} (${microActions.length} micro-action(s), platform: ${recording.platform})`);
+
+  try {
+    const response = await axios.post(url, { recording, microActions }, { headers, maxBodyLength: Infinity });
+
+    logger.debug(`[HTTP] POST ${url} → ${response.status} ${response.statusText}`);
+
+    return response.data || null;
+  } catch (error) {
+    if (error.response) {
+      logger.error(`[HTTP] POST ${url} → ${error.response.status} ${error.response.statusText}`);
+      logger.error(`[HTTP] Error response:`, error.response.data);
+    } else {
+      logger.error(`[HTTP] POST ${url} → Request error:`, error.message);
+    }
+    logger.error('Failed to submit recording:', error.message);
+    return null;
   }
 }
 
@@ -0,0 +1,143 @@
+/**
+ * Server push channel for the client agent
+ *
+ * Keeps a Server-Sent Events connection to /api/client/stream open and hands every message
+ * (job-available, cancel-job, config-changed, rotate-token) to the agent. The connection is
+ * re-established with backoff whenever it drops; while it is down the agent keeps polling at
+ * its normal interval. After the user regenerated the token the channel stays closed.
+ */
+
+import axios from 'axios';
+import { config, getApiHeaders } from './config.js';
+import { logger } from './logger.js';
+
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 60000;
+
+/**
+ * Parse one SSE event block ("event: x\ndata: {...}")
+ * @param {string} block - Raw event text without the trailing blank line
+ * @returns {Object|null} { type, data } or null for comments and retry hints
+ */
+export function parseSseEvent(block) {
+  let type = 'message';
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  }
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  try {
+    return { type, data: JSON.parse(dataLines.join('\n')) };
+  } catch {
+    return { type, data: {} };
+  }
+}
+
+/**
+ * Open the push channel
+ * @param {Object} handlers
+ * @param {Function} handlers.onMessage - Called with ({ type, ...data }) for every pushed message
+ * @param {Function} handlers.onConnectionChange - Called with true when the stream is ready, false when it drops
+ * @returns {Object} { stop(), isConnected() }
+ */
+export function startPushChannel({ onMessage, onConnectionChange = () => {} }) {
+  const url = `${config.apiUrl}/stream`;
+  let stopped = false;
+  let connected = false;
+  let controller = null;
+  let reconnectTimer = null;
+  let reconnectDelay = MIN_RECONNECT_DELAY;
+
+  const setConnected = (value) => {
+    if (connected !== value) {
+      connected = value;
+      onConnectionChange(value);
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (stopped) return;
+    logger.debug(`📡 Push channel reconnecting in ${reconnectDelay / 1000}s`);
+    reconnectTimer = setTimeout(connect, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+  };
+
+  async function connect() {
+    if (stopped) return;
+    controller = new AbortController();
+
+    try {
+      // Headers are read on every connect so a rotated token is picked up
+      const response = await axios.get(url, {
+        headers: { ...getApiHeaders(), Accept: 'text/event-stream' },
+        responseType: 'stream',
+        signal: controller.signal,
+        timeout: 0,
+      });
+
+      let buffer = '';
+      await new Promise((resolve, reject) => {
+        response.data.on('data', (chunk) => {
+          buffer += chunk.toString('utf-8').replace(/\r\n/g, '\n');
+          let separator;
+          while ((separator = buffer.indexOf('\n\n')) !== -1) {
+            const event = parseSseEvent(buffer.slice(0, separator));
+            buffer = buffer.slice(separator + 2);
+            if (!event) continue;
+
+            if (event.type === 'ready') {
+              reconnectDelay = MIN_RECONNECT_DELAY;
+              logger.info('📡 Push channel connected');
+              setConnected(true);
+            } else if (event.type === 'reconnect' && event.data.reason === 'token_revoked') {
+              // The user regenerated the token: reconnecting with the old one can only fail
+              logger.error('📡 API token was regenerated. Register the agent again with the new token (API_TOKEN in .env).');
+              stopped = true;
+            } else if (event.type === 'reconnect') {
+              logger.debug(`📡 Server asked to reconnect (${event.data.reason || 'unknown'})`);
+            } else {
+              try {
+                onMessage({ type: event.type, ...event.data });
+              } catch (error) {
+                logger.error(`Push channel handler for ${event.type} failed:`, error.message);
+              }
+            }
+          }
+        });
+        response.data.on('end', resolve);
+        response.data.on('error', reject);
+      });
+    } catch (error) {
+      if (!stopped) {
+        const status = error.response?.status;
+        logger.warn(`📡 Push channel unavailable${status ? ` (${status})` : ''}: ${error.message}. Falling back to polling.`);
+      }
+    }
+
+    setConnected(false);
+    scheduleReconnect();
+  }
+
+  connect();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      if (controller) {
+        controller.abort();
+      }
+      setConnected(false);
+    },
+    isConnected: () => connected,
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Record workflows on the user's machine
+ *
+ * Started by a 'record' job or an abcdtools://record deep link: ActionRecorder
+ * (src/modules-recorder) opens a browser at the requested page and records what the user does
+ * until they close the browser window. The converted micro-actions are submitted to the API and
+ * become a private workflow of the user, used by their jobs instead of the shared one.
+ */
+
+import { logger } from './logger.js';
+import { submitRecording } from './poller.js';
+
+// Recordings are stopped after this long (the user may have walked away)
+export const MAX_RECORDING_MS = 30 * 60 * 1000;
+
+// Page a deep link recording starts on when it has no url (same as the API's defaults)
+const PLATFORM_START_URLS = {
+  instagram: 'https://www.instagram.com/',
+  facebook: 'https://www.facebook.com/',
+  twitter: 'https://x.com/',
+};
+
+/**
+ * Recording request of an abcdtools://record deep link
+ * (abcdtools://record?platform=instagram&type=post&url=...&name=...)
+ * @param {Object} params - Deep link query parameters
+ * @returns {Object} { platform, url, name, workflow_type } (validated by the API)
+ * @throws {Error} When the platform is missing
+ */
+export function parseRecordingDeepLink(params) {
+  if (!params.platform) {
+    throw new Error('Recording deep link needs a platform (abcdtools://record?platform=instagram)');
+  }
+
+  const platform = params.platform.toLowerCase();
+  return {
+    platform,
+    url: params.url || PLATFORM_START_URLS[platform] || null,
+    name: params.name || null,
+    workflow_type: params.type || params.workflow_type || 'post',
+  };
+}
+
+/**
+ * Wait until the recording ends: the user closed the browser (or the recorded tab), the
+ * recording ran for maxDurationMs, or the signal was aborted (job cancelled)
+ * @param {Object} recorder - ActionRecorder with an open browser and page
+ * @param {Object} options - { signal, maxDurationMs }
+ * @returns {Promise<string>} Why it ended: 'closed', 'timeout' or 'cancelled'
+ */
+export function waitForRecordingEnd(recorder, { signal = null, maxDurationMs = MAX_RECORDING_MS } = {}) {
+  return new Promise((resolve) => {
+    let timer = null;
+    const onClosed = () => finish('closed');
+    const onAbort = () => finish('cancelled');
+
+    function finish(reason) {
+      clearTimeout(timer);
+      recorder.browser?.off('disconnected', onClosed);
+      recorder.page?.off('close', onClosed);
+      signal?.removeEventListener('abort', onAbort);
+      resolve(reason);
+    }
+
+    if (signal?.aborted) {
+      resolve('cancelled');
+      return;
+    }
+
+    timer = setTimeout(() => finish('timeout'), maxDurationMs);
+    recorder.browser?.once('disconnected', onClosed);
+    recorder.page?.once('close', onClosed);
+    signal?.addEventListener('abort', onAbort);
+  });
+}
+
+/**
+ * Record a workflow and save it as a private workflow of the user
+ * @param {Object} recording - { platform, url, name, workflow_type } (record job content or parseRecordingDeepLink)
+ * @param {Object} options - { signal (abort to cancel without saving), maxDurationMs }
+ * @returns {Promise<Object>} { workflow, microActionCount, stoppedBy }
+ * @throws {Error} When the recording cannot start, was cancelled, is empty or cannot be saved
+ */
+export async function recordWorkflow(recording, options = {}) {
+  // Loaded on demand: only recording needs the recorder
+  let ActionRecorder;
+  try {
+    ({ ActionRecorder } = await import('../modules-recorder/index.mjs'));
+  } catch (error) {
+    throw new Error(`Recorder is not available in this agent build: ${error.message}`);
+  }
+  // Screenshots stay base64 and are optimized by the API
+  const recorder = new ActionRecorder({ uploadScreenshots: false });
+
+  logger.info(`🎬 Recording ${recording.workflow_type} workflow for ${recording.platform} on ${recording.url}`);
+
+  try {
+    await recorder.startRecording(recording.url, recording.platform);
+  } catch (error) {
+    if (recorder.browser?.connected) {
+      await recorder.browser.close().catch(() => {});
+    }
+    throw new Error(`Failed to start recording: ${error.message}`);
+  }
+
+  logger.info('   Perform the steps in the browser window, then close it to finish the recording');
+
+  const stoppedBy = await waitForRecordingEnd(recorder, options);
+  const actions = await recorder.stopRecording({ uploadToCloudinary: false });
+
+  if (stoppedBy === 'cancelled') {
+    throw new Error('Recording was cancelled');
+  }
+  if (stoppedBy === 'timeout') {
+    logger.warn(`   Recording stopped after ${Math.round((options.maxDurationMs || MAX_RECORDING_MS) / 60000)} minutes`);
+  }
+
+  // The initial navigation alone is no workflow
+  const microActions = recorder.convertToMicroActions(actions);
+  if (microActions.every(action => ['navigate', 'wait'].includes(action.type))) {
+    throw new Error('Nothing was recorded');
+  }
+
+  // Typed values no template rule matched are saved as typed
+  const reviewSteps = microActions.filter(action => action.needs_review).map(action => action.name);
+  if (reviewSteps.length > 0) {
+    logger.warn(`   ${reviewSteps.length} step(s) type a value no template rule matched, review them in the workflow: ${reviewSteps.join(', ')}`);
+  }
+
+  logger.info(`   Recorded ${actions.length} action(s) → ${microActions.length} micro-action(s). Uploading...`);
+
+  const result = await submitRecording(recording, microActions);
+  if (!result) {
+    throw new Error('Failed to upload the recording');
+  }
+
+  logger.info(`✅ Saved workflow "${result.workflow.name}" (${result.workflow.id})`);
+  return { ...result, stoppedBy };
+}
+
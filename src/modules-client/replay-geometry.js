@@ -0,0 +1,172 @@
+/**
+ * Replay Geometry
+ *
+ * Maps recorded element positions onto the live page, so recordings replay on viewports other
+ * than the one they were recorded on (desktop, mobile emulation, HiDPI).
+ *
+ * Recorded visual data:
+ * - position.relative: element center in percent of the recording viewport (edited in the admin UI)
+ * - position.absolute: element center in CSS pixels of the recording viewport
+ * - viewport: { width, height, devicePixelRatio, scrollX, scrollY } of the recording (optional)
+ * - surroundingText: nearby texts, either strings or { text, position: { absolute } }
+ *
+ * Normalization (CSS pixels, so the device pixel ratio cancels out):
+ * - x scales with the viewport width (relative position)
+ * - y keeps its document offset: a taller viewport shows more content below instead of
+ *   stretching it. With the recording scroll known, the scroll difference is applied.
+ *
+ * After layout reflow (another breakpoint, changed content) landmarks from surroundingText
+ * correct the estimate:
+ * - landmarks with a recorded position keep their recorded offset to the element
+ * - plain text landmarks say the element is near them: when the estimate is far from all of
+ *   them, their centroid is used instead
+ */
+
+// Recording viewport assumed when visual data has none (the agent's desktop viewport)
+export const DEFAULT_RECORDED_VIEWPORT = { width: 1280, height: 720, devicePixelRatio: 1 };
+
+// Plain text landmarks further than this from the estimate (percent of the viewport diagonal)
+// mean the layout reflowed
+export const LANDMARK_RADIUS = 20;
+
+/**
+ * Viewport of the recording
+ * Falls back to the size implied by the absolute and relative positions, then to the default.
+ * @param {Object} visualData - Recorded visual data
+ * @returns {Object} { width, height, devicePixelRatio, scrollX, scrollY } (scroll null when unknown)
+ */
+export function getRecordedViewport(visualData) {
+  const viewport = visualData?.viewport || {};
+  const absolute = visualData?.position?.absolute;
+  const relative = visualData?.position?.relative;
+
+  const implied = (axis) => (absolute && relative?.[axis] > 0 ? (absolute[axis] * 100) / relative[axis] : null);
+
+  return {
+    width: viewport.width || implied('x') || DEFAULT_RECORDED_VIEWPORT.width,
+    height: viewport.height || implied('y') || DEFAULT_RECORDED_VIEWPORT.height,
+    devicePixelRatio: viewport.devicePixelRatio || DEFAULT_RECORDED_VIEWPORT.devicePixelRatio,
+    scrollX: viewport.scrollX ?? null,
+    scrollY: viewport.scrollY ?? null,
+  };
+}
+
+/**
+ * Convert a viewport point to percent of the viewport
+ * @param {Object} point - { x, y } in CSS pixels
+ * @param {Object} viewport - { width, height }
+ * @returns {Object} { x, y } in percent
+ */
+export function toRelative(point, viewport) {
+  return {
+    x: parseFloat(((point.x / viewport.width) * 100).toFixed(2)),
+    y: parseFloat(((point.y / viewport.height) * 100).toFixed(2)),
+  };
+}
+
+/**
+ * Recorded element center in CSS pixels of the recording viewport
+ * The relative position wins over the absolute one (admins edit the relative position).
+ * @param {Object} visualData - Recorded visual data
+ * @param {Object} recorded - Recording viewport (getRecordedViewport)
+ * @returns {Object|null} { x, y } or null without position
+ */
+function getRecordedPoint(visualData, recorded) {
+  const { absolute, relative } = visualData?.position || {};
+  if (relative && typeof relative.x === 'number' && typeof relative.y === 'number') {
+    return { x: (relative.x / 100) * recorded.width, y: (relative.y / 100) * recorded.height };
+  }
+  if (absolute && typeof absolute.x === 'number' && typeof absolute.y === 'number') {
+    return { x: absolute.x, y: absolute.y };
+  }
+  return null;
+}
+
+/**
+ * Map the recorded position onto the live viewport
+ * @param {Object} visualData - Recorded visual data
+ * @param {Object} live - Live viewport { width, height, devicePixelRatio, scrollX, scrollY }
+ * @returns {Object|null} { x, y } in live viewport CSS pixels, or null without position
+ */
+export function normalizePosition(visualData, live) {
+  const recorded = getRecordedViewport(visualData);
+  const point = getRecordedPoint(visualData, recorded);
+  if (!point) {
+    return null;
+  }
+
+  let x = point.x * (live.width / recorded.width);
+  let y = point.y;
+
+  // Document coordinates of the recording, moved into the live scroll position
+  if (recorded.scrollY !== null) {
+    y += recorded.scrollY - (live.scrollY || 0);
+  }
+  if (recorded.scrollX !== null && live.width === recorded.width) {
+    x += recorded.scrollX - (live.scrollX || 0);
+  }
+
+  return { x: Math.round(x), y: Math.round(y) };
+}
+
+/**
+ * Landmarks of the recording: surroundingText as { text, recorded } (recorded: { x, y } or null)
+ * @param {Object} visualData - Recorded visual data
+ * @returns {Array<Object>} Landmarks
+ */
+export function getLandmarks(visualData) {
+  return (visualData?.surroundingText || [])
+    .map((entry) => (typeof entry === 'string'
+      ? { text: entry.trim(), recorded: null }
+      : { text: String(entry?.text || '').trim(), recorded: entry?.position?.absolute || null }))
+    .filter((landmark) => landmark.text);
+}
+
+/**
+ * Correct a normalized position with landmarks found on the live page
+ * @param {Object} position - Normalized position { x, y } (normalizePosition)
+ * @param {Object} visualData - Recorded visual data
+ * @param {Array<Object>} found - Live landmarks { text, x, y } (CSS pixels, one per landmark text)
+ * @param {Object} live - Live viewport { width, height }
+ * @returns {Object} { x, y, anchoredBy } (anchoredBy: 'offset', 'centroid' or null)
+ */
+export function anchorToLandmarks(position, visualData, found, live) {
+  const recordedViewport = getRecordedViewport(visualData);
+  const recordedPoint = getRecordedPoint(visualData, recordedViewport);
+  const byText = new Map(found.map((landmark) => [landmark.text.toLowerCase(), landmark]));
+  const matched = getLandmarks(visualData)
+    .map((landmark) => ({ ...landmark, live: byText.get(landmark.text.toLowerCase()) }))
+    .filter((landmark) => landmark.live);
+
+  if (matched.length === 0) {
+    return { ...position, anchoredBy: null };
+  }
+
+  // Landmarks with a recorded position: keep the element's offset to each, averaged
+  const withOffset = matched.filter((landmark) => landmark.recorded && recordedPoint);
+  if (withOffset.length > 0) {
+    const estimates = withOffset.map((landmark) => ({
+      x: landmark.live.x + (recordedPoint.x - landmark.recorded.x),
+      y: landmark.live.y + (recordedPoint.y - landmark.recorded.y),
+    }));
+    return {
+      x: Math.round(estimates.reduce((sum, estimate) => sum + estimate.x, 0) / estimates.length),
+      y: Math.round(estimates.reduce((sum, estimate) => sum + estimate.y, 0) / estimates.length),
+      anchoredBy: 'offset',
+    };
+  }
+
+  // Plain text landmarks: only move the estimate when none of them is near it
+  const diagonal = Math.hypot(live.width, live.height);
+  const isNear = (landmark) =>
+    (Math.hypot(landmark.live.x - position.x, landmark.live.y - position.y) / diagonal) * 100 <= LANDMARK_RADIUS;
+  if (matched.some(isNear)) {
+    return { ...position, anchoredBy: null };
+  }
+
+  return {
+    x: Math.round(matched.reduce((sum, landmark) => sum + landmark.live.x, 0) / matched.length),
+    y: Math.round(matched.reduce((sum, landmark) => sum + landmark.live.y, 0) / matched.length),
+    anchoredBy: 'centroid',
+  };
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  anchorToLandmarks,
+  getLandmarks,
+  getRecordedViewport,
+  normalizePosition,
+  toRelative,
+} from './replay-geometry.js';
+
+const DESKTOP = { width: 1280, height: 720, devicePixelRatio: 1, scrollX: 0, scrollY: 0 };
+
+describe('getRecordedViewport', () => {
+  it('should use the recorded viewport, then the size implied by the positions', () => {
+    expect(getRecordedViewport({ viewport: { width: 390, height: 844, devicePixelRatio: 3, scrollY: 200 } }))
+      .toEqual({ width: 390, height: 844, devicePixelRatio: 3, scrollX: null, scrollY: 200 });
+
+    const implied = getRecordedViewport({ position: { absolute: { x: 960, y: 540 }, relative: { x: 50, y: 50 } } });
+    expect(implied).toMatchObject({ width: 1920, height: 1080, devicePixelRatio: 1 });
+
+    expect(getRecordedViewport({})).toMatchObject({ width: 1280, height: 720 });
+  });
+});
+
+describe('normalizePosition', () => {
+  it('should keep positions on the same viewport', () => {
+    const visual = { position: { absolute: { x: 640, y: 360 }, relative: { x: 50, y: 50 } } };
+
+    expect(normalizePosition(visual, DESKTOP)).toEqual({ x: 640, y: 360 });
+  });
+
+  it('should scale x with the width and keep the document offset of y', () => {
+    const visual = {
+      position: { absolute: { x: 640, y: 300 }, relative: { x: 50, y: 41.67 } },
+      viewport: { width: 1280, height: 720 },
+    };
+    const mobile = { width: 390, height: 844, devicePixelRatio: 3, scrollX: 0, scrollY: 0 };
+
+    expect(normalizePosition(visual, mobile)).toEqual({ x: 195, y: 300 });
+  });
+
+  it('should apply the scroll difference when the recording scroll is known', () => {
+    const visual = {
+      position: { absolute: { x: 100, y: 500 }, relative: { x: 7.81, y: 69.44 } },
+      viewport: { width: 1280, height: 720, scrollY: 1000 },
+    };
+
+    expect(normalizePosition(visual, DESKTOP)).toEqual({ x: 100, y: 1500 });
+    expect(normalizePosition(visual, { ...DESKTOP, scrollY: 1200 })).toEqual({ x: 100, y: 300 });
+  });
+
+  it('should prefer the relative position edited by admins', () => {
+    const visual = { position: { absolute: { x: 10, y: 10 }, relative: { x: 25, y: 50 } }, viewport: { width: 1280, height: 720 } };
+
+    expect(normalizePosition(visual, DESKTOP)).toEqual({ x: 320, y: 360 });
+    expect(normalizePosition({}, DESKTOP)).toBe(null);
+  });
+
+  it('should ignore the device pixel ratio (CSS pixels)', () => {
+    const visual = { position: { absolute: { x: 640, y: 360 } }, viewport: { width: 1280, height: 720, devicePixelRatio: 1 } };
+
+    expect(normalizePosition(visual, { ...DESKTOP, devicePixelRatio: 2 })).toEqual({ x: 640, y: 360 });
+  });
+});
+
+describe('anchorToLandmarks', () => {
+  it('should read plain and positioned landmarks', () => {
+    const landmarks = getLandmarks({
+      surroundingText: ['Login Form', { text: 'Forgot password?', position: { absolute: { x: 640, y: 420 } } }, ' '],
+    });
+
+    expect(landmarks).toEqual([
+      { text: 'Login Form', recorded: null },
+      { text: 'Forgot password?', recorded: { x: 640, y: 420 } },
+    ]);
+  });
+
+  it('should keep the recorded offset to positioned landmarks after reflow', () => {
+    const visual = {
+      position: { absolute: { x: 640, y: 360 } },
+      viewport: { width: 1280, height: 720 },
+      surroundingText: [{ text: 'Forgot password?', position: { absolute: { x: 640, y: 420 } } }],
+    };
+
+    const anchored = anchorToLandmarks({ x: 640, y: 360 }, visual, [{ text: 'forgot password?', x: 600, y: 620 }], DESKTOP);
+
+    expect(anchored).toEqual({ x: 600, y: 560, anchoredBy: 'offset' });
+  });
+
+  it('should move to plain landmarks only when none is near the estimate', () => {
+    const visual = { position: { absolute: { x: 640, y: 100 } }, surroundingText: ['Login Form', 'Sign up'] };
+
+    const near = anchorToLandmarks({ x: 640, y: 100 }, visual, [{ text: 'Login Form', x: 650, y: 80 }], DESKTOP);
+    expect(near).toEqual({ x: 640, y: 100, anchoredBy: null });
+
+    const found = [{ text: 'Login Form', x: 600, y: 600 }, { text: 'Sign up', x: 700, y: 680 }];
+    expect(anchorToLandmarks({ x: 640, y: 100 }, visual, found, DESKTOP)).toEqual({ x: 650, y: 640, anchoredBy: 'centroid' });
+  });
+
+  it('should keep the estimate without landmarks on the page', () => {
+    const visual = { position: { absolute: { x: 10, y: 10 } }, surroundingText: ['Missing'] };
+
+    expect(anchorToLandmarks({ x: 10, y: 10 }, visual, [], DESKTOP)).toEqual({ x: 10, y: 10, anchoredBy: null });
+  });
+});
+
+describe('toRelative', () => {
+  it('should convert to percent of the viewport', () => {
+    expect(toRelative({ x: 195, y: 422 }, { width: 390, height: 844 })).toEqual({ x: 50, y: 50 });
+  });
+});
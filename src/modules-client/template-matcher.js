@@ -0,0 +1,361 @@
+/**
+ * Template matching for visual execution
+ *
+ * Finds a recorded element screenshot (template) inside a viewport capture with normalized
+ * cross-correlation (NCC), in pure JS on grayscale images. NCC is insensitive to uniform
+ * brightness/contrast changes, and the template is tried at several scales so device pixel
+ * ratio and zoom differences between recording and replay still match.
+ *
+ * Matching runs coarse-to-fine: a downsampled pass over the whole capture finds candidate
+ * peaks, which are then refined at working resolution. Large templates are matched at a
+ * reduced working resolution so a match stays fast on one CPU core.
+ */
+
+import Jimp from 'jimp';
+
+// Scales tried around the expected template size
+export const DEFAULT_SCALES = [0.8, 0.9, 1, 1.1, 1.25];
+
+// Minimum NCC score (0-1) for a hit
+export const DEFAULT_MIN_CONFIDENCE = 0.8;
+
+// Templates are matched at a resolution where they have at most this many pixels
+const MAX_TEMPLATE_PIXELS = 4096;
+
+// Coarse pass: templates keep at least this size (px per side) and at most this many pixels
+const MIN_COARSE_SIDE = 8;
+const MAX_COARSE_PIXELS = 256;
+
+// Coarse peaks kept per scale for refinement
+const MAX_PEAKS_PER_SCALE = 5;
+
+// Coarse scores are approximate: keep peaks somewhat below the final threshold
+const COARSE_MARGIN = 0.15;
+
+// Hits overlapping more than this (intersection over union) are the same element
+const MAX_OVERLAP = 0.3;
+
+/**
+ * Convert an RGBA bitmap to a grayscale image
+ * @param {Object} bitmap - { width, height, data } with 4 bytes per pixel (Jimp bitmap, PNG data)
+ * @returns {Object} Grayscale image { width, height, data: Float32Array }
+ */
+export function toGrayscale(bitmap) {
+  const { width, height, data } = bitmap;
+  const gray = new Float32Array(width * height);
+
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    // Transparent pixels count as white (element screenshots can have transparent corners)
+    const alpha = data[p + 3] / 255;
+    const luma = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+    gray[i] = luma * alpha + 255 * (1 - alpha);
+  }
+
+  return { width, height, data: gray };
+}
+
+/**
+ * Decode a base64 image (data URL or raw base64) to grayscale
+ * @param {string} base64 - Image data
+ * @returns {Promise<Object>} Grayscale image
+ */
+export async function decodeGrayscale(base64) {
+  const data = base64.replace(/^data:image\/\w+;base64,/, '');
+  const image = await Jimp.read(Buffer.from(data, 'base64'));
+  return toGrayscale(image.bitmap);
+}
+
+/**
+ * Build the summed-area tables of an image (sums and sums of squares)
+ * @param {Object} image - Grayscale image
+ * @returns {Object} { sum, sumSq, stride } with (width + 1) * (height + 1) entries each
+ */
+function integralImages(image) {
+  const { width, height, data } = image;
+  const stride = width + 1;
+  const sum = new Float64Array(stride * (height + 1));
+  const sumSq = new Float64Array(stride * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    let rowSumSq = 0;
+    for (let x = 0; x < width; x++) {
+      const value = data[y * width + x];
+      rowSum += value;
+      rowSumSq += value * value;
+      const i = (y + 1) * stride + x + 1;
+      sum[i] = sum[i - stride] + rowSum;
+      sumSq[i] = sumSq[i - stride] + rowSumSq;
+    }
+  }
+
+  return { sum, sumSq, stride };
+}
+
+/**
+ * Sum of a table over a rectangle
+ */
+function rectSum(table, stride, x, y, width, height) {
+  const top = y * stride;
+  const bottom = (y + height) * stride;
+  return table[bottom + x + width] - table[bottom + x] - table[top + x + width] + table[top + x];
+}
+
+/**
+ * Resize a grayscale image
+ * Shrinking averages the covered source pixels (no aliasing); enlarging is bilinear.
+ * @param {Object} image - Grayscale image
+ * @param {number} scale - Scale factor
+ * @returns {Object} Resized grayscale image
+ */
+export function resizeGray(image, scale) {
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  if (width === image.width && height === image.height) {
+    return image;
+  }
+
+  const data = new Float32Array(width * height);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  if (scaleX >= 1 && scaleY >= 1) {
+    const { sum, stride } = integralImages(image);
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.floor(y * scaleY);
+      const y1 = Math.max(y0 + 1, Math.min(image.height, Math.floor((y + 1) * scaleY)));
+      for (let x = 0; x < width; x++) {
+        const x0 = Math.floor(x * scaleX);
+        const x1 = Math.max(x0 + 1, Math.min(image.width, Math.floor((x + 1) * scaleX)));
+        data[y * width + x] = rectSum(sum, stride, x0, y0, x1 - x0, y1 - y0) / ((x1 - x0) * (y1 - y0));
+      }
+    }
+    return { width, height, data };
+  }
+
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(image.height - 1, Math.max(0, (y + 0.5) * scaleY - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(image.height - 1, y0 + 1);
+    const fy = sy - y0;
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(image.width - 1, Math.max(0, (x + 0.5) * scaleX - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(image.width - 1, x0 + 1);
+      const fx = sx - x0;
+      const top = image.data[y0 * image.width + x0] * (1 - fx) + image.data[y0 * image.width + x1] * fx;
+      const bottom = image.data[y1 * image.width + x0] * (1 - fx) + image.data[y1 * image.width + x1] * fx;
+      data[y * width + x] = top * (1 - fy) + bottom * fy;
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Prepare a template for NCC: zero-mean pixels and their norm
+ * @param {Object} template - Grayscale image
+ * @returns {Object|null} Prepared template, or null when the template is flat (no contrast)
+ */
+function prepareTemplate(template) {
+  const count = template.width * template.height;
+  let mean = 0;
+  for (let i = 0; i < count; i++) mean += template.data[i];
+  mean /= count;
+
+  const centered = new Float32Array(count);
+  let norm = 0;
+  for (let i = 0; i < count; i++) {
+    centered[i] = template.data[i] - mean;
+    norm += centered[i] * centered[i];
+  }
+
+  // A flat template correlates with nothing (and everything)
+  if (norm / count < 1) {
+    return null;
+  }
+
+  return { width: template.width, height: template.height, count, centered, norm: Math.sqrt(norm) };
+}
+
+/**
+ * NCC score of a prepared template at one position of an image
+ * @returns {number} Score between -1 and 1
+ */
+function scoreAt(image, integrals, template, x, y) {
+  const { sum, sumSq, stride } = integrals;
+  const windowSum = rectSum(sum, stride, x, y, template.width, template.height);
+  const windowSumSq = rectSum(sumSq, stride, x, y, template.width, template.height);
+  const variance = windowSumSq - (windowSum * windowSum) / template.count;
+  if (variance <= template.count) {
+    return 0;
+  }
+
+  // The template is zero-mean, so the window mean drops out of the numerator
+  let numerator = 0;
+  for (let ty = 0; ty < template.height; ty++) {
+    const imageRow = (y + ty) * image.width + x;
+    const templateRow = ty * template.width;
+    for (let tx = 0; tx < template.width; tx++) {
+      numerator += template.centered[templateRow + tx] * image.data[imageRow + tx];
+    }
+  }
+
+  return numerator / (template.norm * Math.sqrt(variance));
+}
+
+/**
+ * Intersection over union of two hits
+ */
+function overlap(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) {
+    return 0;
+  }
+  const intersection = width * height;
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+}
+
+/**
+ * Keep the best of overlapping hits (non-maximum suppression)
+ * @param {Array<Object>} hits - Hits with x, y, width, height and confidence
+ * @param {number} limit - Maximum hits to keep
+ * @returns {Array<Object>} Hits sorted by confidence (highest first)
+ */
+function suppressOverlaps(hits, limit) {
+  const kept = [];
+  for (const hit of [...hits].sort((a, b) => b.confidence - a.confidence)) {
+    if (kept.length >= limit) break;
+    if (!kept.some((other) => overlap(hit, other) > MAX_OVERLAP)) {
+      kept.push(hit);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Match one template size against the working image
+ * @returns {Array<Object>} Hits in working image pixels
+ */
+function matchAtScale(image, integrals, template, minConfidence) {
+  const prepared = prepareTemplate(template);
+  if (!prepared || template.width > image.width || template.height > image.height) {
+    return [];
+  }
+
+  // Coarse pass on downsampled images
+  const area = template.width * template.height;
+  const factor = Math.max(1, Math.min(
+    Math.floor(Math.min(template.width, template.height) / MIN_COARSE_SIDE),
+    Math.ceil(Math.sqrt(area / MAX_COARSE_PIXELS))
+  ));
+
+  let peaks;
+  if (factor > 1) {
+    const coarseImage = resizeGray(image, 1 / factor);
+    const coarseTemplate = prepareTemplate(resizeGray(template, 1 / factor));
+    const coarseIntegrals = integralImages(coarseImage);
+    const candidates = [];
+
+    if (coarseTemplate) {
+      for (let y = 0; y + coarseTemplate.height <= coarseImage.height; y++) {
+        for (let x = 0; x + coarseTemplate.width <= coarseImage.width; x++) {
+          const confidence = scoreAt(coarseImage, coarseIntegrals, coarseTemplate, x, y);
+          if (confidence >= minConfidence - COARSE_MARGIN) {
+            candidates.push({
+              x: x * factor,
+              y: y * factor,
+              width: template.width,
+              height: template.height,
+              confidence,
+            });
+          }
+        }
+      }
+    }
+
+    peaks = suppressOverlaps(candidates, MAX_PEAKS_PER_SCALE);
+  } else {
+    // Small template: the coarse pass is the exact pass
+    peaks = [{ x: 0, y: 0, width: template.width, height: template.height, confidence: 0, exhaustive: true }];
+  }
+
+  // Refine each peak at working resolution
+  const hits = [];
+  for (const peak of peaks) {
+    const radius = peak.exhaustive ? Infinity : factor;
+    const xStart = Math.max(0, peak.x - radius);
+    const yStart = Math.max(0, peak.y - radius);
+    const xEnd = Math.min(image.width - template.width, peak.x + radius);
+    const yEnd = Math.min(image.height - template.height, peak.y + radius);
+
+    for (let y = yStart; y <= yEnd; y++) {
+      for (let x = xStart; x <= xEnd; x++) {
+        const confidence = scoreAt(image, integrals, prepared, x, y);
+        if (confidence >= minConfidence) {
+          hits.push({ x, y, width: template.width, height: template.height, confidence });
+        }
+      }
+    }
+  }
+
+  return suppressOverlaps(hits, MAX_PEAKS_PER_SCALE);
+}
+
+/**
+ * Find a template in an image at several scales
+ *
+ * Options:
+ * - scales: scale factors to try, relative to baseScale (default DEFAULT_SCALES)
+ * - baseScale: expected size of the template in the image relative to its own size
+ *   (e.g. 2 when the template was captured at 1x and the image is a 2x capture)
+ * - minConfidence: minimum NCC score (default DEFAULT_MIN_CONFIDENCE)
+ * - maxResults: maximum hits returned (default 5)
+ *
+ * @param {Object} image - Grayscale image to search (e.g. viewport capture)
+ * @param {Object} template - Grayscale template (recorded element screenshot)
+ * @param {Object} options - Matching options
+ * @returns {Array<Object>} Hits ranked by confidence (highest first):
+ *   { x, y, width, height, center: { x, y }, scale, confidence } in image pixels
+ */
+export function matchTemplate(image, template, options = {}) {
+  const scales = options.scales || DEFAULT_SCALES;
+  const baseScale = options.baseScale || 1;
+  const minConfidence = options.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+  const maxResults = options.maxResults || 5;
+
+  // Working resolution: the largest tried template has at most MAX_TEMPLATE_PIXELS pixels
+  const largestScale = Math.max(...scales) * baseScale;
+  const largestArea = template.width * template.height * largestScale * largestScale;
+  const reduction = Math.min(1, Math.sqrt(MAX_TEMPLATE_PIXELS / largestArea));
+  const workImage = resizeGray(image, reduction);
+  const integrals = integralImages(workImage);
+
+  const hits = [];
+  for (const scale of scales) {
+    const effectiveScale = scale * baseScale;
+    const scaledTemplate = resizeGray(template, effectiveScale * reduction);
+    if (scaledTemplate.width < 4 || scaledTemplate.height < 4) {
+      continue;
+    }
+
+    for (const hit of matchAtScale(workImage, integrals, scaledTemplate, minConfidence)) {
+      const x = hit.x / reduction;
+      const y = hit.y / reduction;
+      const width = hit.width / reduction;
+      const height = hit.height / reduction;
+      hits.push({
+        x: Math.round(x),
+        y: Math.round(y),
+        width: Math.round(width),
+        height: Math.round(height),
+        center: { x: Math.round(x + width / 2), y: Math.round(y + height / 2) },
+        scale: effectiveScale,
+        confidence: Math.min(1, hit.confidence),
+      });
+    }
+  }
+
+  return suppressOverlaps(hits, maxResults);
+}
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { matchTemplate, resizeGray, toGrayscale } from './template-matcher.js';
+
+const BACKGROUND = 240;
+
+function blankImage(width, height) {
+  return { width, height, data: new Float32Array(width * height).fill(BACKGROUND) };
+}
+
+// Icon-like template: dark "+" on a light gradient, no text
+function plusIcon(size = 40) {
+  const image = blankImage(size, size);
+  const middle = size / 2;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const inBounds = x > size * 0.15 && x < size * 0.85 && y > size * 0.15 && y < size * 0.85;
+      const onPlus = inBounds && (Math.abs(x - middle) < size / 10 || Math.abs(y - middle) < size / 10);
+      image.data[y * size + x] = onPlus ? 20 : BACKGROUND - x;
+    }
+  }
+  return image;
+}
+
+function paste(image, patch, left, top) {
+  for (let y = 0; y < patch.height; y++) {
+    for (let x = 0; x < patch.width; x++) {
+      image.data[(top + y) * image.width + left + x] = patch.data[y * patch.width + x];
+    }
+  }
+}
+
+describe('matchTemplate', () => {
+  it('should find a template at its position with high confidence', () => {
+    const viewport = blankImage(400, 300);
+    const icon = plusIcon();
+    paste(viewport, icon, 250, 120);
+
+    const [hit] = matchTemplate(viewport, icon);
+
+    expect(hit).toMatchObject({ x: 250, y: 120, width: 40, height: 40, center: { x: 270, y: 140 } });
+    expect(hit.confidence).toBeGreaterThan(0.99);
+  });
+
+  it('should find a template rendered at another scale', () => {
+    const viewport = blankImage(400, 300);
+    const icon = plusIcon();
+    paste(viewport, resizeGray(icon, 1.25), 60, 200);
+
+    const [hit] = matchTemplate(viewport, icon);
+
+    expect(hit.scale).toBe(1.25);
+    expect(Math.abs(hit.center.x - 85)).toBeLessThanOrEqual(1);
+    expect(Math.abs(hit.center.y - 225)).toBeLessThanOrEqual(1);
+  });
+
+  it('should use baseScale for high density captures', () => {
+    const viewport = blankImage(800, 600);
+    const icon = plusIcon();
+    paste(viewport, resizeGray(icon, 2), 500, 100);
+
+    const [hit] = matchTemplate(viewport, icon, { baseScale: 2, scales: [1] });
+
+    expect(hit).toMatchObject({ x: 500, y: 100, width: 80, height: 80, scale: 2 });
+  });
+
+  it('should rank hits by confidence and ignore dissimilar elements', () => {
+    const viewport = blankImage(400, 300);
+    const icon = plusIcon();
+    paste(viewport, icon, 20, 20);
+
+    // Same icon with a defect, and a square that should not match
+    const damaged = plusIcon();
+    for (let i = 0; i < 80; i++) damaged.data[i] = 20;
+    paste(viewport, damaged, 300, 200);
+    const square = blankImage(40, 40);
+    for (let i = 0; i < square.data.length; i++) {
+      const x = i % 40;
+      const y = Math.floor(i / 40);
+      if (x > 8 && x < 32 && y > 8 && y < 32) square.data[i] = 20;
+    }
+    paste(viewport, square, 150, 150);
+
+    const hits = matchTemplate(viewport, icon, { minConfidence: 0.5 });
+
+    expect(hits[0]).toMatchObject({ x: 20, y: 20 });
+    expect(hits[1]).toMatchObject({ x: 300, y: 200 });
+    expect(hits[0].confidence).toBeGreaterThan(hits[1].confidence);
+    expect(hits.some((hit) => hit.x === 150 && hit.y === 150)).toBe(false);
+  });
+
+  it('should return no hits for flat templates or templates larger than the image', () => {
+    expect(matchTemplate(blankImage(200, 200), blankImage(20, 20))).toEqual([]);
+    expect(matchTemplate(blankImage(30, 30), plusIcon())).toEqual([]);
+  });
+});
+
+describe('toGrayscale', () => {
+  it('should convert RGBA to luma and treat transparency as white', () => {
+    const bitmap = { width: 2, height: 1, data: [0, 0, 0, 255, 0, 0, 0, 0] };
+    const gray = toGrayscale(bitmap);
+
+    expect(gray.data[0]).toBe(0);
+    expect(gray.data[1]).toBe(255);
+  });
+});
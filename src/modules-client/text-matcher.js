@@ -0,0 +1,108 @@
+/**
+ * Text Matcher
+ *
+ * Ranks the text candidates findByText collects on the page (text nodes and accessible names
+ * from aria-label, title and alt) against the recorded text of an action.
+ *
+ * Visual params of an action (micro-action params.visual):
+ * - text: recorded text
+ * - alternativeTexts: other labels of the same element, e.g. translations ("Share", "Bagikan")
+ * - textMatchThreshold: fuse.js threshold, 0 = exact (case-insensitive) ... 1 = anything
+ *
+ * Candidates are scored with fuse.js against every search text (best score wins) and ranked
+ * together with their distance to the recorded position, so a slightly different label at the
+ * recorded spot beats an exact label on the other side of the page.
+ */
+
+import Fuse from 'fuse.js';
+
+export const DEFAULT_TEXT_MATCH_THRESHOLD = 0.3;
+
+// Share of position proximity in the rank (the rest is text similarity)
+export const POSITION_WEIGHT = 0.4;
+
+/**
+ * Normalize text for matching (collapse whitespace)
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Texts to search for: the recorded text and its alternatives, without duplicates
+ * @param {string} text - Recorded text
+ * @param {Array<string>} alternatives - Alternative labels or translations
+ * @returns {Array<string>} Search texts
+ */
+export function getSearchTexts(text, alternatives = []) {
+  const texts = [text, ...(Array.isArray(alternatives) ? alternatives : [])]
+    .map(normalizeText)
+    .filter(Boolean);
+
+  return texts.filter(
+    (value, index) => texts.findIndex((other) => other.toLowerCase() === value.toLowerCase()) === index
+  );
+}
+
+/**
+ * Text match options of an action's visual data
+ * @param {Object} visualData - Visual data ({ text, alternativeTexts, textMatchThreshold, position })
+ * @returns {Object} { alternatives, threshold, position } for findByText
+ */
+export function getTextMatchOptions(visualData) {
+  return {
+    alternatives: visualData?.alternativeTexts || [],
+    threshold: visualData?.textMatchThreshold,
+    position: visualData?.position?.relative || null,
+  };
+}
+
+/**
+ * Score and rank text candidates
+ * @param {Array<Object>} candidates - Candidates with text and position.relative (percent of viewport)
+ * @param {Array<string>} searchTexts - Texts to search for (getSearchTexts)
+ * @param {Object} options - { threshold, position } (position: recorded relative position)
+ * @returns {Array<Object>} Matching candidates, best first, with matchedText,
+ *   textScore (1 = exact) and rank (text score and position proximity)
+ */
+export function rankTextCandidates(candidates, searchTexts, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_TEXT_MATCH_THRESHOLD;
+  const position = options.position;
+
+  const fuse = new Fuse(candidates, {
+    keys: ['text'],
+    includeScore: true,
+    ignoreLocation: true,
+    threshold,
+  });
+
+  // Best fuse score (0 = exact) of each candidate over all search texts
+  const best = new Map();
+  for (const searchText of searchTexts) {
+    for (const { refIndex, score } of fuse.search(searchText)) {
+      const current = best.get(refIndex);
+      if (!current || score < current.score) {
+        best.set(refIndex, { score, searchText });
+      }
+    }
+  }
+
+  return [...best.entries()]
+    .map(([index, { score, searchText }]) => {
+      const candidate = candidates[index];
+      const textScore = 1 - score;
+      let rank = textScore;
+
+      const relative = candidate.position?.relative;
+      if (position && relative) {
+        const distance = Math.hypot(relative.x - position.x, relative.y - position.y);
+        const proximity = Math.max(0, 1 - distance / 100);
+        rank = textScore * (1 - POSITION_WEIGHT) + proximity * POSITION_WEIGHT;
+      }
+
+      return { ...candidate, matchedText: searchText, textScore, rank };
+    })
+    .sort((a, b) => b.rank - a.rank);
+}
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { getSearchTexts, getTextMatchOptions, rankTextCandidates } from './text-matcher.js';
+
+function candidate(text, x, y, source = 'text') {
+  return { text, source, position: { relative: { x, y } } };
+}
+
+describe('getSearchTexts', () => {
+  it('should combine the text and its alternatives without duplicates', () => {
+    expect(getSearchTexts(' Share ', ['Bagikan', 'share', '', null])).toEqual(['Share', 'Bagikan']);
+    expect(getSearchTexts('', undefined)).toEqual([]);
+  });
+});
+
+describe('getTextMatchOptions', () => {
+  it('should read the text match params of visual data', () => {
+    const options = getTextMatchOptions({
+      text: 'Share',
+      alternativeTexts: ['Bagikan'],
+      textMatchThreshold: 0.2,
+      position: { relative: { x: 50, y: 90 } },
+    });
+
+    expect(options).toEqual({ alternatives: ['Bagikan'], threshold: 0.2, position: { x: 50, y: 90 } });
+  });
+});
+
+describe('rankTextCandidates', () => {
+  it('should match case and copy changes', () => {
+    const ranked = rankTextCandidates([candidate('Log In', 50, 50), candidate('Sign up', 50, 60)], ['Log in']);
+
+    expect(ranked).toHaveLength(1);
+    expect(ranked[0]).toMatchObject({ text: 'Log In', matchedText: 'Log in' });
+    expect(ranked[0].textScore).toBeGreaterThan(0.9);
+  });
+
+  it('should match translations from the alternatives', () => {
+    const candidates = [candidate('Bagikan', 50, 90), candidate('Batal', 20, 90)];
+
+    const ranked = rankTextCandidates(candidates, getSearchTexts('Share', ['Bagikan']));
+
+    expect(ranked.map((match) => match.text)).toEqual(['Bagikan']);
+    expect(ranked[0].matchedText).toBe('Bagikan');
+  });
+
+  it('should match accessible names', () => {
+    const ranked = rankTextCandidates([candidate('New post', 90, 5, 'aria-label')], ['New Post']);
+
+    expect(ranked[0]).toMatchObject({ source: 'aria-label', text: 'New post' });
+  });
+
+  it('should rank a near match at the recorded position above an exact match far away', () => {
+    const candidates = [candidate('Next', 10, 10), candidate('Next >', 90, 90)];
+
+    const ranked = rankTextCandidates(candidates, ['Next'], { position: { x: 88, y: 92 } });
+
+    expect(ranked[0].text).toBe('Next >');
+    expect(ranked[1].text).toBe('Next');
+  });
+
+  it('should respect the threshold', () => {
+    const candidates = [candidate('Publish', 50, 50)];
+
+    expect(rankTextCandidates(candidates, ['Publsh'])).toHaveLength(1);
+    expect(rankTextCandidates(candidates, ['Publsh'], { threshold: 0 })).toEqual([]);
+    expect(rankTextCandidates(candidates, ['Settings'])).toEqual([]);
+  });
+});
@@ -307,6 +307,8 @@ async function executeWorkflow(actions, variables = {}) {
     console.log(`   Selector-based: ${stats.selectorSuccess}`);
     console.log(`   Text-based: ${stats.textSuccess}`);
     console.log(`   Visual-based: ${stats.visualSuccess}`);
+    console.log(`   Template-based: ${stats.templateSuccess}`);
+    console.log(`   OCR-based: ${stats.ocrSuccess}`);
     console.log(`   Position-based: ${stats.positionSuccess}`);
     console.log(`   Failures: ${stats.failures}`);
 
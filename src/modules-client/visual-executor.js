@@ -1,12 +1,32 @@
-import pixelmatch from 'pixelmatch';
-import { PNG } from 'pngjs';
-import Jimp from 'jimp';
 import fs from 'fs';
 import path from 'path';
 import https from 'https';
 import http from 'http';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { getExecutionMethodPriority } from './action-types.js';
+import { decodeGrayscale, matchTemplate, DEFAULT_MIN_CONFIDENCE } from './template-matcher.js';
+import {
+  compareBitmaps,
+  decodeBitmap,
+  getDefaultThreshold,
+  DEFAULT_SIMILARITY_METHOD,
+} from './image-similarity.js';
+import { OcrLocator } from './ocr-locator.js';
+import { getSearchTexts, getTextMatchOptions, rankTextCandidates } from './text-matcher.js';
+import {
+  anchorToLandmarks,
+  getLandmarks,
+  getRecordedViewport,
+  normalizePosition,
+  toRelative,
+} from './replay-geometry.js';
+import {
+  describeContextPath,
+  getContextPath,
+  queryInContext,
+  resolveContextPath,
+} from './element-path.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -17,37 +37,69 @@ const __dirname = dirname(__filename);
  * Execution Strategy (visual recording approach):
  * 1. Try backup_selector (fast path) - verify with text if available
  * 2. Find by text content + position (robust path)
- *    - Search DOM for matching text
+ *    - Search DOM text and accessible names (aria-label, title, alt)
+ *    - Fuzzy match them against the text and its alternatives (text-matcher.js),
+ *      ranked by text similarity and distance to the recorded position
  *    - Filter by position (within 15% tolerance)
  *    - If single match, use it
  * 3. Find by screenshot comparison (most robust)
  *    - Screenshot each candidate element
- *    - Compare with recorded screenshot using pixelmatch
- *    - Return candidate with highest similarity (>70% threshold)
- * 4. Click at recorded coordinates (last resort)
+ *    - Compare with recorded screenshot (image-similarity.js, default: SSIM + pHash + histogram)
+ *    - Return candidate with highest similarity (above the method's or calibrated threshold)
+ * 4. Find by template matching (no text needed, e.g. icon-only buttons)
+ *    - Capture the viewport
+ *    - Slide the recorded screenshot over it at several scales (normalized cross-correlation)
+ *    - Use the best hit above the confidence threshold
+ * 5. Find by OCR (text drawn on canvas or inside images)
+ *    - OCR a region around the recorded position, then the whole viewport (ocr-locator.js)
+ *    - Fuzzy match the recorded text against the recognized words
+ *    - Use the matched word box closest to the recorded position
+ * 6. Click at recorded coordinates (last resort)
  * 
- * Execution Method Priorities:
- * - selector_first: Try selector first, fallback to visual (fast)
- * - visual_first: Try visual first, fallback to selector (robust)
+ * Recorded positions are mapped onto the live viewport first (replay-geometry.js): viewport
+ * size, scroll offset and landmarks from surroundingText, so recordings replay on other
+ * viewports (mobile emulation, HiDPI) than the one they were recorded on.
+ * 
+ * Elements inside same-origin iframes and open shadow roots carry a context path
+ * (element-path.js): selectors and file inputs are queried in the path's frame or shadow root,
+ * text search walks the path and descends into shadow roots and frames.
+ *
+ * Once located, keypress actions focus the element and press their key (pressKey), hover and
+ * drag actions move the mouse from the element's center (pointerActionAt).
+ *
+ * Execution Method Priorities (action.execution_method, see getExecutionMethodPriority):
+ * - selector_first: selector, text/visual search, template matching, OCR, coordinates (fast)
+ * - visual_first: text/visual search, template matching, OCR, selector, coordinates (robust)
  * - visual_only: Use only visual data, ignore selector (most robust)
  * 
  * This approach makes automation resilient to UI changes.
  * 
  * TODO (Future Enhancements):
- * - OCR-based text extraction using tesseract.js for better text matching
  * - ML-based element matching for improved accuracy
- * - Fuzzy text matching with fuse.js for typo tolerance
  * 
  * @class VisualActionExecutor
  */
 export class VisualActionExecutor {
-  constructor(page) {
+  /**
+   * @param {Page} page - Puppeteer page
+   * @param {Object} options - { similarityMethod, similarityThreshold } for screenshot comparison
+   *   (threshold defaults to the method's default threshold), { ocrLangPath, ocrLanguage } for OCR
+   */
+  constructor(page, options = {}) {
     this.page = page;
     this.debugMode = false;
+    // Logger with info/warn/error (the agent's logger ships entries to client_logs)
+    this.logger = options.logger || console;
+    this.similarityMethod = options.similarityMethod || DEFAULT_SIMILARITY_METHOD;
+    this.similarityThreshold = options.similarityThreshold ?? getDefaultThreshold(this.similarityMethod);
+    // Tesseract worker starts on the first OCR lookup
+    this.ocrLocator = new OcrLocator({ langPath: options.ocrLangPath, language: options.ocrLanguage });
     this.executionStats = {
       selectorSuccess: 0,
       textSuccess: 0,
       visualSuccess: 0,
+      templateSuccess: 0,
+      ocrSuccess: 0,
       positionSuccess: 0,
       failures: 0,
     };
@@ -55,7 +107,8 @@ export class VisualActionExecutor {
 
   /**
    * Execute a recorded action using visual data
-   * Tries backup_selector first (fast path), then falls back to visual search if selector fails
+   * Tries selector, text/visual search, template matching, OCR and coordinates in the order given by
+   * the action's execution_method (getExecutionMethodPriority)
    * @param {Object} action - Micro-action with visual data
    * @returns {Promise<Object>} { success: boolean, method: string, error?: string }
    */
@@ -70,40 +123,16 @@ export class VisualActionExecutor {
         return await this.handleUploadAction(action);
       }
 
-      let result = null;
-
       // Support both formats: new format (visual/backup_selector at top level) and old format (in params)
-      const backupSelector = action.backup_selector || action.params?.backup_selector;
+      // Actions created in the admin UI store their selector in params.selector
+      const backupSelector = action.backup_selector || action.params?.backup_selector || action.params?.selector;
       const visualData = action.visual || action.params?.visual;
+      const methods = getExecutionMethodPriority(action.execution_method || action.params?.execution_method);
 
-      // Step 1: Try backup selector (fast path)
-      if (backupSelector) {
-        result = await this.trySelector(action, backupSelector, visualData);
-        if (result.success) {
-          this.executionStats.selectorSuccess++;
-          console.log(`✅ Found by selector in ${Date.now() - startTime}ms`);
-          return result;
-        }
-      }
-
-      // Step 2: Try finding by visual data (robust path)
-      if (visualData) {
-        result = await this.findByVisual(action, visualData);
-        if (result.success) {
-          console.log(`✅ Found by visual search in ${Date.now() - startTime}ms`);
-          return result;
-        }
-      }
-
-      // Step 3: Last resort - click at recorded coordinates
-      if (action.type === 'click' && visualData?.position) {
-        result = await this.clickAtPosition(
-          visualData.position.absolute.x,
-          visualData.position.absolute.y
-        );
-        if (result.success) {
-          this.executionStats.positionSuccess++;
-          console.log(`✅ Clicked at coordinates in ${Date.now() - startTime}ms`);
+      for (const method of methods) {
+        const result = await this.tryMethod(method, action, backupSelector, visualData);
+        if (result?.success) {
+          this.logger.info(`✅ Executed by ${result.method} in ${Date.now() - startTime}ms`);
           return result;
         }
       }
@@ -128,6 +157,63 @@ export class VisualActionExecutor {
     }
   }
 
+  /**
+   * Try one execution method
+   * @param {string} method - 'selector', 'visual', 'template', 'ocr' or 'position'
+   * @param {Object} action - Action to execute
+   * @param {string|null} backupSelector - Recorded CSS selector
+   * @param {Object|null} visualData - Recorded visual data
+   * @returns {Promise<Object|null>} Execution result, or null when the action has no data for the method
+   */
+  async tryMethod(method, action, backupSelector, visualData) {
+    let result = null;
+
+    if (method === 'selector' && backupSelector) {
+      // Fast path
+      result = await this.trySelector(action, backupSelector, visualData);
+      if (result.success) {
+        this.executionStats.selectorSuccess++;
+      }
+    } else if (method === 'visual' && visualData?.text) {
+      // Robust path: text + position, screenshot comparison between candidates
+      result = await this.findByVisual(action, visualData);
+    } else if (method === 'template' && visualData?.screenshot) {
+      // Elements without text (icon-only buttons)
+      result = await this.findByTemplate(action, visualData);
+      if (result.success) {
+        this.executionStats.templateSuccess++;
+      }
+    } else if (method === 'ocr' && visualData?.text) {
+      // Text the DOM does not have (canvas, images)
+      result = await this.findByOcr(action, visualData);
+      if (result.success) {
+        this.executionStats.ocrSuccess++;
+      }
+    } else if (method === 'position' && visualData?.position) {
+      // Last resort: recorded coordinates mapped onto the live viewport
+      // (extract/submit/keypress use the element at those coordinates)
+      const expected = await this.resolveRecordedPosition(visualData);
+      const point = expected && await this.scrollPointIntoView(expected.absolute);
+      if (point && ['click', 'extract', 'submit', 'keypress', 'hover', 'drag'].includes(action.type)) {
+        await this.beforeAct(action, { point }, 'position');
+      }
+      if (!point) {
+        result = null;
+      } else if (['extract', 'submit', 'keypress'].includes(action.type)) {
+        result = await this.executeAtPosition(point, action);
+      } else if (action.type === 'hover' || action.type === 'drag') {
+        result = await this.pointerActionAt(point, action);
+      } else if (action.type === 'click') {
+        result = await this.clickAtPosition(point.x, point.y);
+      }
+      if (result?.success) {
+        this.executionStats.positionSuccess++;
+      }
+    }
+
+    return result;
+  }
+
   /**
    * Helper method to wait (replaces page.waitForTimeout for compatibility)
    * @param {number} ms - Milliseconds to wait
@@ -303,112 +389,129 @@ export class VisualActionExecutor {
     };
     const fileMimeType = mimeTypeMap[fileExt] || 'image/jpeg';
     
-    while (!fileInput && attempts < maxAttempts) {
-      const fileInputHandle = await this.page.evaluateHandle((preferredMimeType) => {
-        // Find all file inputs on the page (including hidden ones)
-        // Instagram has inputs inside forms with role="presentation"
-        // Check in modal first, then document
-        let fileInputs = [];
-        
-        // Check for modal and search within it
-        const modals = [
-          ...document.querySelectorAll('[role="dialog"]'),
-          ...document.querySelectorAll('[aria-modal="true"]'),
-          ...document.querySelectorAll('dialog'),
-        ];
-        
-        let modalFound = null;
-        for (const modal of modals) {
-          const style = window.getComputedStyle(modal);
-          const rect = modal.getBoundingClientRect();
-          if (style.display !== 'none' && rect.width > 0 && rect.height > 0) {
-            modalFound = modal;
-            break;
-          }
+    // Runs in the page, or in the frame of the recorded context path with its shadow root as root
+    const findFileInput = (preferredMimeType, root) => {
+      // Find all file inputs on the page (including hidden ones)
+      // Instagram has inputs inside forms with role="presentation"
+      // Check in modal first, then document (or the shadow root)
+      const scope = root || document;
+      let fileInputs = [];
+      
+      // Check for modal and search within it
+      const modals = [
+        ...scope.querySelectorAll('[role="dialog"]'),
+        ...scope.querySelectorAll('[aria-modal="true"]'),
+        ...scope.querySelectorAll('dialog'),
+      ];
+      
+      let modalFound = null;
+      for (const modal of modals) {
+        const style = window.getComputedStyle(modal);
+        const rect = modal.getBoundingClientRect();
+        if (style.display !== 'none' && rect.width > 0 && rect.height > 0) {
+          modalFound = modal;
+          break;
         }
-        
-        if (modalFound) {
-          // Search in modal first
-          fileInputs = Array.from(modalFound.querySelectorAll('input[type="file"]'));
-          if (fileInputs.length > 0) {
-            console.log('📦 Found file inputs in modal:', fileInputs.length);
-          }
+      }
+      
+      if (modalFound) {
+        // Search in modal first
+        fileInputs = Array.from(modalFound.querySelectorAll('input[type="file"]'));
+        if (fileInputs.length > 0) {
+          console.log('📦 Found file inputs in modal:', fileInputs.length);
         }
-        
-        // If not found in modal, search entire document
-        if (fileInputs.length === 0) {
-          fileInputs = Array.from(document.querySelectorAll('input[type="file"]'));
+      }
+      
+      // If not found in modal, search entire document
+      if (fileInputs.length === 0) {
+        fileInputs = Array.from(scope.querySelectorAll('input[type="file"]'));
+      }
+      
+      console.log(`🔍 Found ${fileInputs.length} file input(s) on page`);
+      
+      if (fileInputs.length === 0) {
+        console.log('⚠️  No file inputs found in DOM');
+        return null;
+      }
+      
+      // Log all found inputs for debugging
+      fileInputs.forEach((input, idx) => {
+        const accept = input.getAttribute('accept') || 'none';
+        const style = window.getComputedStyle(input);
+        const rect = input.getBoundingClientRect();
+        const isVisible = style.display !== 'none' && rect.width > 0 && rect.height > 0;
+        console.log(`   Input ${idx + 1}: accept="${accept}", visible=${isVisible}, display=${style.display}`);
+      });
+      
+      // Strategy 1: Try to find one that matches the file type (check accept attribute)
+      for (const input of fileInputs) {
+        const accept = input.getAttribute('accept') || '';
+        // Check if accept attribute includes our file type
+        if (accept && accept.includes(preferredMimeType)) {
+          console.log(`✅ Found file input matching ${preferredMimeType}: accept="${accept}"`);
+          return input;
         }
-        
-        console.log(`🔍 Found ${fileInputs.length} file input(s) on page`);
-        
-        if (fileInputs.length === 0) {
-          console.log('⚠️  No file inputs found in DOM');
-          return null;
+      }
+      
+      // Strategy 2: Prefer the input with broader accept (e.g., "image/avif,image/jpeg,image/png" over "image/jpeg")
+      // This matches Instagram's structure where one input accepts multiple formats
+      const sortedInputs = fileInputs.sort((a, b) => {
+        const aAccept = a.getAttribute('accept') || '';
+        const bAccept = b.getAttribute('accept') || '';
+        // Prefer inputs with more accept types (broader)
+        const aCount = aAccept.split(',').length;
+        const bCount = bAccept.split(',').length;
+        if (aCount !== bCount) {
+          return bCount - aCount; // More accept types = better
         }
-        
-        // Log all found inputs for debugging
-        fileInputs.forEach((input, idx) => {
+        // If same count, prefer one that includes our preferred type
+        if (aAccept.includes(preferredMimeType) && !bAccept.includes(preferredMimeType)) {
+          return -1;
+        }
+        if (!aAccept.includes(preferredMimeType) && bAccept.includes(preferredMimeType)) {
+          return 1;
+        }
+        return 0;
+      });
+      
+      // Strategy 3: If no match, prefer visible ones first, but accept hidden ones too
+      for (const input of sortedInputs) {
+        const style = window.getComputedStyle(input);
+        const rect = input.getBoundingClientRect();
+        // Accept if visible OR if hidden but in the DOM
+        // Hidden inputs often have display:none but are still functional
+        if (style.display !== 'none' || rect.width > 0 || rect.height > 0) {
           const accept = input.getAttribute('accept') || 'none';
-          const style = window.getComputedStyle(input);
-          const rect = input.getBoundingClientRect();
-          const isVisible = style.display !== 'none' && rect.width > 0 && rect.height > 0;
-          console.log(`   Input ${idx + 1}: accept="${accept}", visible=${isVisible}, display=${style.display}`);
-        });
-        
-        // Strategy 1: Try to find one that matches the file type (check accept attribute)
-        for (const input of fileInputs) {
-          const accept = input.getAttribute('accept') || '';
-          // Check if accept attribute includes our file type
-          if (accept && accept.includes(preferredMimeType)) {
-            console.log(`✅ Found file input matching ${preferredMimeType}: accept="${accept}"`);
-            return input;
-          }
+          console.log(`✅ Found file input (visible or functional): accept="${accept}"`);
+          return input;
         }
-        
-        // Strategy 2: Prefer the input with broader accept (e.g., "image/avif,image/jpeg,image/png" over "image/jpeg")
-        // This matches Instagram's structure where one input accepts multiple formats
-        const sortedInputs = fileInputs.sort((a, b) => {
-          const aAccept = a.getAttribute('accept') || '';
-          const bAccept = b.getAttribute('accept') || '';
-          // Prefer inputs with more accept types (broader)
-          const aCount = aAccept.split(',').length;
-          const bCount = bAccept.split(',').length;
-          if (aCount !== bCount) {
-            return bCount - aCount; // More accept types = better
-          }
-          // If same count, prefer one that includes our preferred type
-          if (aAccept.includes(preferredMimeType) && !bAccept.includes(preferredMimeType)) {
-            return -1;
-          }
-          if (!aAccept.includes(preferredMimeType) && bAccept.includes(preferredMimeType)) {
-            return 1;
-          }
-          return 0;
+      }
+      
+      // Strategy 4: Return the first one from sorted list (even if hidden)
+      // Instagram's inputs are typically hidden but functional
+      const selected = sortedInputs[0];
+      const accept = selected.getAttribute('accept') || 'none';
+      console.log(`✅ Using first available file input (${fileInputs.length} total found): accept="${accept}"`);
+      return selected;
+    };
+    const contextPath = getContextPath(action);
+
+    while (!fileInput && attempts < maxAttempts) {
+      let fileInputHandle = null;
+      if (contextPath.length > 0) {
+        // The frame or shadow host may still be loading: a path that does not resolve counts as not found
+        const context = await resolveContextPath(this.page, contextPath).catch((error) => {
+          this.logger.info(`⚠️  ${error.message}`);
+          return null;
         });
-        
-        // Strategy 3: If no match, prefer visible ones first, but accept hidden ones too
-        for (const input of sortedInputs) {
-          const style = window.getComputedStyle(input);
-          const rect = input.getBoundingClientRect();
-          // Accept if visible OR if hidden but in the DOM
-          // Hidden inputs often have display:none but are still functional
-          if (style.display !== 'none' || rect.width > 0 || rect.height > 0) {
-            const accept = input.getAttribute('accept') || 'none';
-            console.log(`✅ Found file input (visible or functional): accept="${accept}"`);
-            return input;
-          }
-        }
-        
-        // Strategy 4: Return the first one from sorted list (even if hidden)
-        // Instagram's inputs are typically hidden but functional
-        const selected = sortedInputs[0];
-        const accept = selected.getAttribute('accept') || 'none';
-        console.log(`✅ Using first available file input (${fileInputs.length} total found): accept="${accept}"`);
-        return selected;
-      }, fileMimeType);
+        fileInputHandle = context
+          ? await context.frame.evaluateHandle(findFileInput, fileMimeType, context.root)
+          : null;
+      } else {
+        fileInputHandle = await this.page.evaluateHandle(findFileInput, fileMimeType);
+      }
       
-      fileInput = fileInputHandle.asElement();
+      fileInput = fileInputHandle?.asElement() || null;
       
       if (!fileInput) {
         attempts++;
@@ -428,6 +531,14 @@ export class VisualActionExecutor {
       }
     }
     
+    if (!fileInput && contextPath.length > 0) {
+      return {
+        success: false,
+        method: 'upload',
+        error: `No file input element found in ${describeContextPath(contextPath)} after ${maxAttempts} attempts`,
+      };
+    }
+
     if (!fileInput) {
       // Get page info for better error message
       const pageInfo = await this.page.evaluate(() => {
@@ -499,20 +610,30 @@ export class VisualActionExecutor {
       // Wait for element to exist (with timeout)
       // Try searching in modal first, then document
       let element = null;
-      
-      // Check if element is in a modal
-      const modal = await this.waitForModal(1000);
-      if (modal && modal.asElement()) {
-        element = await modal.asElement().$(selector).catch(() => null);
+      const contextPath = getContextPath(action);
+
+      if (contextPath.length > 0) {
+        // Recorded inside a frame or shadow root: the selector is relative to that root
+        const context = await resolveContextPath(this.page, contextPath);
+        element = await queryInContext(context, selector, { timeout });
         if (element) {
-          console.log('📦 Found element in modal');
+          this.logger.info(`🧭 Found element in ${describeContextPath(contextPath)}`);
+        }
+      } else {
+        // Check if element is in a modal
+        const modal = await this.waitForModal(1000);
+        if (modal && modal.asElement()) {
+          element = await modal.asElement().$(selector).catch(() => null);
+          if (element) {
+            this.logger.info('📦 Found element in modal');
+          }
+        }
+        
+        // If not found in modal, search in document
+        if (!element) {
+          await this.page.waitForSelector(selector, { timeout, visible: true }).catch(() => null);
+          element = await this.page.$(selector);
         }
-      }
-      
-      // If not found in modal, search in document
-      if (!element) {
-        await this.page.waitForSelector(selector, { timeout, visible: true }).catch(() => null);
-        element = await this.page.$(selector);
       }
 
       if (!element) {
@@ -520,25 +641,35 @@ export class VisualActionExecutor {
       }
 
       // Verify element text matches recorded text (if text exists)
-      if (visualData?.text) {
-        const elementText = await this.page.evaluate(
-          (sel) => {
-            const el = document.querySelector(sel);
-            return el ? el.textContent.trim() : '';
-          },
-          selector
-        );
+      // Extracted content is expected to change between runs, so extract skips the check
+      if (visualData?.text && action.type !== 'extract') {
+        // document.querySelector does not reach into frames and shadow roots
+        const elementText = contextPath.length > 0
+          ? await element.evaluate((el) => el.textContent.trim())
+          : await this.page.evaluate(
+            (sel) => {
+              const el = document.querySelector(sel);
+              return el ? el.textContent.trim() : '';
+            },
+            selector
+          );
 
         const recordedText = visualData.text.trim();
         
-        // Allow partial match (recorded text is substring of current text, or vice versa)
-        if (recordedText && !elementText.includes(recordedText) && !recordedText.includes(elementText)) {
+        // Allow partial match (recorded text is substring of current text, or vice versa),
+        // otherwise a fuzzy match of the text or an accessible name against the text or its alternatives
+        const textMatches = elementText.includes(recordedText) ||
+          recordedText.includes(elementText) ||
+          await this.matchesElementLabels(selector, elementText, visualData, contextPath.length > 0 ? element : null);
+        if (recordedText && !textMatches) {
           console.warn(`⚠️  Text mismatch: expected "${recordedText}", found "${elementText}"`);
           // Don't fail completely, but prefer other methods
           return { success: false, method: 'selector', reason: 'text_mismatch' };
         }
       }
 
+      await this.beforeAct(action, { element }, 'selector');
+
       // Execute action based on type
       if (action.type === 'click') {
         await element.click();
@@ -548,6 +679,19 @@ export class VisualActionExecutor {
         const textValue = action.text || action.params?.text || '';
         await element.type(textValue, { delay: 50 });
         return { success: true, method: 'selector' };
+      } else if (action.type === 'extract') {
+        return await this.extractFromElement(element, action, 'selector');
+      } else if (action.type === 'submit') {
+        return await this.submitFormOf(element, action, 'selector');
+      } else if (action.type === 'keypress') {
+        await element.focus();
+        return await this.pressKey(action, 'selector');
+      } else if (action.type === 'hover' || action.type === 'drag') {
+        const box = await element.boundingBox();
+        if (!box) {
+          return { success: false, method: 'selector', error: 'Element is not visible' };
+        }
+        return await this.pointerActionAt({ x: box.x + box.width / 2, y: box.y + box.height / 2 }, action, 'selector');
       } else if (action.type === 'upload') {
         // Upload actions are handled at the top level in executeAction
         // This should not be reached, but handle it just in case
@@ -574,17 +718,25 @@ export class VisualActionExecutor {
    *   - If only one match, return it (success!)
    * Step 3: If multiple matches, use image comparison
    *   - Screenshot each candidate element
-   *   - Compare with recorded screenshot using pixelmatch
-   *   - Return candidate with highest similarity score (>70% threshold)
+   *   - Compare with recorded screenshot (compareImages)
+   *   - Return candidate with highest similarity score (above similarityThreshold)
    * 
    * @param {Object} action - Action to execute
    * @param {Object} visualData - Visual data object with screenshot, text, position, etc.
-   * @returns {Promise<Object>} Execution result with { success: boolean, method: string } or null if not found
+   * @returns {Promise<Object>} Execution result with { success: boolean, method: string }; after an image
+   *   comparison also { confidence, similarity } (see findBestVisualMatch)
    */
   async findByVisual(action, visualData) {
     try {
-      // Step 1: Find all elements with matching text content
-      const textCandidates = await this.findByText(visualData.text);
+      // Recorded position mapped onto the live viewport
+      const expected = await this.resolveRecordedPosition(visualData);
+
+      // Step 1: Find all elements with matching text content (or an alternative label), best first
+      const textCandidates = await this.findByText(visualData.text, {
+        ...getTextMatchOptions(visualData),
+        position: expected?.relative || null,
+        contextPath: getContextPath(action),
+      });
       
       if (textCandidates.length === 0) {
         console.warn('⚠️  No elements found with matching text');
@@ -594,13 +746,11 @@ export class VisualActionExecutor {
       console.log(`🔍 Found ${textCandidates.length} candidates by text`);
 
       // Step 2: Filter candidates by approximate position
-      // Calculate distance between candidate position and recorded relative position
-      // Keep candidates within 15% of original position
-      const positionCandidates = this.filterByPosition(
-        textCandidates,
-        visualData.position.relative,
-        15 // 15% tolerance
-      );
+      // Calculate distance between candidate position and expected relative position
+      // Keep candidates within 15% of the expected position
+      const positionCandidates = expected
+        ? this.filterByPosition(textCandidates, expected.relative, 15) // 15% tolerance
+        : textCandidates;
 
       if (positionCandidates.length === 0) {
         console.warn('⚠️  No elements at expected position');
@@ -616,51 +766,452 @@ export class VisualActionExecutor {
       }
 
       // Step 3 (continued): If multiple matches, use image comparison
+      let similarity = null;
       if (visualData.screenshot) {
         // Screenshot each candidate element
-        // Compare with recorded screenshot using pixelmatch
-        // Return candidate with highest similarity score (>70% threshold)
+        // Compare with recorded screenshot
+        // Return candidate with highest similarity score (above threshold)
+        this.lastSimilarity = null;
         const bestMatch = await this.findBestVisualMatch(
           positionCandidates,
           visualData.screenshot
         );
+        similarity = this.lastSimilarity;
 
         if (bestMatch) {
           this.executionStats.visualSuccess++;
-          return await this.executeOnCandidate(bestMatch, action);
+          const result = await this.executeOnCandidate(
+            { ...bestMatch, confidence: similarity?.scores[similarity.chosenIndex] ?? null },
+            action
+          );
+          return similarity
+            ? { ...result, confidence: similarity.scores[similarity.chosenIndex], similarity }
+            : result;
         }
       }
 
       // No screenshot or no good match - use first position candidate as fallback
       console.warn('⚠️  Using first position candidate (no screenshot match)');
       this.executionStats.textSuccess++;
-      return await this.executeOnCandidate(positionCandidates[0], action);
+      const result = await this.executeOnCandidate(
+        { ...positionCandidates[0], confidence: similarity?.scores[0] ?? null },
+        action
+      );
+      // Scores are still reported: whether the fallback worked tells calibration about the threshold
+      return similarity ? { ...result, similarity: { ...similarity, chosenIndex: 0 } } : result;
 
     } catch (error) {
       return { success: false, method: 'visual', error: error.message };
     }
   }
 
+  /**
+   * Find element by template matching and execute the action on it
+   * Used for elements that findByVisual cannot find (no text, e.g. icon-only buttons).
+   * When several hits are about as good as the best, the one closest to the recorded
+   * position wins.
+   * @param {Object} action - Action to execute
+   * @param {Object} visualData - Visual data object with screenshot (and optionally position)
+   * @param {Object} options - Options for findTemplateMatches
+   * @returns {Promise<Object>} Execution result with { success: boolean, method: 'template', confidence }
+   */
+  async findByTemplate(action, visualData, options = {}) {
+    try {
+      const hits = await this.findTemplateMatches(visualData, options);
+
+      if (hits.length === 0) {
+        console.warn('⚠️  No template match above threshold');
+        return { success: false, method: 'template', reason: 'no_template_match' };
+      }
+
+      let best = hits[0];
+      const recorded = (await this.resolveRecordedPosition(visualData))?.absolute;
+      if (recorded && hits.length > 1) {
+        const distance = (hit) => Math.hypot(hit.center.x - recorded.x, hit.center.y - recorded.y);
+        best = hits
+          .filter((hit) => hits[0].confidence - hit.confidence <= 0.02)
+          .sort((a, b) => distance(a) - distance(b))[0];
+      }
+
+      this.logger.info(
+        `🔍 Template match at (${best.center.x}, ${best.center.y}) with ` +
+        `${(best.confidence * 100).toFixed(1)}% confidence (scale ${best.scale.toFixed(2)}, ${hits.length} hit(s))`
+      );
+
+      const result = await this.executeOnCandidate(
+        { position: { absolute: best.center }, confidence: best.confidence },
+        action,
+        'template'
+      );
+      return { ...result, confidence: best.confidence };
+    } catch (error) {
+      return { success: false, method: 'template', error: error.message };
+    }
+  }
+
+  /**
+   * Find the recorded screenshot in the current viewport
+   * Captures the viewport and runs multi-scale template matching (template-matcher.js).
+   * The expected size comes from the recorded bounding box, so captures at a different device
+   * pixel ratio than the recording still match.
+   * @param {Object} visualData - Visual data object with screenshot and optionally boundingBox
+   * @param {Object} options - { minConfidence, scales, maxResults }
+   * @returns {Promise<Array<Object>>} Hits ranked by confidence, in viewport (CSS) pixels:
+   *   { x, y, width, height, center: { x, y }, scale, confidence }
+   */
+  async findTemplateMatches(visualData, options = {}) {
+    if (!visualData?.screenshot) {
+      return [];
+    }
+
+    const [template, capture, viewportWidth] = await Promise.all([
+      decodeGrayscale(visualData.screenshot),
+      this.page.screenshot({ encoding: 'base64', type: 'png' }).then(decodeGrayscale),
+      this.page.evaluate(() => window.innerWidth),
+    ]);
+
+    // Capture pixels per CSS pixel (device pixel ratio of the replay browser)
+    const pixelRatio = viewportWidth > 0 ? capture.width / viewportWidth : 1;
+    // Without a bounding box, the screenshot is assumed to be taken at the recording's pixel ratio
+    const recordedWidth = visualData.boundingBox?.width;
+    const baseScale = recordedWidth > 0
+      ? (recordedWidth * pixelRatio) / template.width
+      : pixelRatio / getRecordedViewport(visualData).devicePixelRatio;
+
+    const hits = matchTemplate(capture, template, {
+      baseScale,
+      scales: options.scales,
+      minConfidence: options.minConfidence ?? DEFAULT_MIN_CONFIDENCE,
+      maxResults: options.maxResults,
+    });
+
+    const toViewport = (value) => Math.round(value / pixelRatio);
+    return hits.map((hit) => ({
+      ...hit,
+      x: toViewport(hit.x),
+      y: toViewport(hit.y),
+      width: toViewport(hit.width),
+      height: toViewport(hit.height),
+      center: { x: toViewport(hit.center.x), y: toViewport(hit.center.y) },
+    }));
+  }
+
+  /**
+   * Fuzzy match an element's text and accessible names (aria-label, title, alt) against the
+   * recorded text and its alternatives (text-matcher.js)
+   * @param {string} selector - CSS selector of the element
+   * @param {string} elementText - Text content of the element
+   * @param {Object} visualData - Visual data with text, alternativeTexts and textMatchThreshold
+   * @param {ElementHandle|null} element - Element handle, for elements the selector does not reach
+   *   from the top document (frames, shadow roots)
+   * @returns {Promise<boolean>} True when one of them matches
+   */
+  async matchesElementLabels(selector, elementText, visualData, element = null) {
+    const labels = element
+      ? await element.evaluate((el) => ['aria-label', 'title', 'alt'].map((name) => el.getAttribute(name)?.trim() || ''))
+      : await this.page.evaluate((sel) => {
+        const el = document.querySelector(sel);
+        return el ? ['aria-label', 'title', 'alt'].map((name) => el.getAttribute(name)?.trim() || '') : [];
+      }, selector);
+
+    const { alternatives, threshold } = getTextMatchOptions(visualData);
+    const values = [elementText, ...(Array.isArray(labels) ? labels : [])].filter(Boolean);
+
+    return rankTextCandidates(
+      values.map((value) => ({ text: value })),
+      getSearchTexts(visualData.text, alternatives),
+      { threshold }
+    ).length > 0;
+  }
+
+  /**
+   * Find the recorded text by OCR and execute the action on it
+   * The region around the recorded position is read first (faster and less noise), then the
+   * whole viewport. Among matches scoring close to the best, the one nearest to the recorded
+   * position wins.
+   * @param {Object} action - Action to execute
+   * @param {Object} visualData - Visual data object with text (and optionally position)
+   * @param {Object} options - Options for matchOcrText
+   * @returns {Promise<Object>} Execution result with { success: boolean, method: 'ocr', confidence }
+   */
+  async findByOcr(action, visualData, options = {}) {
+    try {
+      const recorded = (await this.resolveRecordedPosition(visualData))?.absolute;
+      let matches = [];
+      if (recorded) {
+        matches = await this.findOcrMatches(visualData.text, await this.getOcrRegion(recorded), options);
+      }
+      if (matches.length === 0) {
+        matches = await this.findOcrMatches(visualData.text, null, options);
+      }
+
+      if (matches.length === 0) {
+        console.warn(`⚠️  OCR found no text matching "${visualData.text}"`);
+        return { success: false, method: 'ocr', reason: 'no_ocr_match' };
+      }
+
+      let best = matches[0];
+      if (recorded && matches.length > 1) {
+        const distance = (match) => Math.hypot(match.center.x - recorded.x, match.center.y - recorded.y);
+        best = matches
+          .filter((match) => match.score - matches[0].score <= 0.05)
+          .sort((a, b) => distance(a) - distance(b))[0];
+      }
+
+      this.logger.info(
+        `🔍 OCR match "${best.text}" at (${best.center.x}, ${best.center.y}) with ` +
+        `${(best.similarity * 100).toFixed(1)}% similarity (${matches.length} match(es))`
+      );
+
+      const result = await this.executeOnCandidate(
+        { position: { absolute: best.center }, confidence: best.similarity },
+        action,
+        'ocr'
+      );
+      return { ...result, confidence: best.similarity };
+    } catch (error) {
+      return { success: false, method: 'ocr', error: error.message };
+    }
+  }
+
+  /**
+   * Region around a recorded position for OCR, clamped to the viewport
+   * @param {Object} position - { x, y } in viewport coordinates
+   * @returns {Promise<Object>} { x, y, width, height } in viewport coordinates
+   */
+  async getOcrRegion(position) {
+    const viewport = await this.page.evaluate(() => ({ width: window.innerWidth, height: window.innerHeight }));
+    const width = Math.min(600, viewport.width);
+    const height = Math.min(300, viewport.height);
+    return {
+      x: Math.max(0, Math.min(Math.round(position.x - width / 2), viewport.width - width)),
+      y: Math.max(0, Math.min(Math.round(position.y - height / 2), viewport.height - height)),
+      width,
+      height,
+    };
+  }
+
+  /**
+   * OCR the viewport (or a region of it) and fuzzy match the text
+   * @param {string} text - Recorded text
+   * @param {Object|null} clip - { x, y, width, height } in viewport coordinates, null for the whole viewport
+   * @param {Object} options - Options for matchOcrText
+   * @returns {Promise<Array<Object>>} Matches ranked best first, in viewport (CSS) pixels:
+   *   { text, score, similarity, confidence, x, y, width, height, center: { x, y } }
+   */
+  async findOcrMatches(text, clip, options = {}) {
+    const [capture, viewportWidth] = await Promise.all([
+      this.page.screenshot({ type: 'png', ...(clip ? { clip } : {}) }),
+      this.page.evaluate(() => window.innerWidth),
+    ]);
+
+    const matches = await this.ocrLocator.findText(Buffer.from(capture), text, options);
+
+    // Capture pixels per CSS pixel (device pixel ratio of the replay browser), width from the PNG header
+    const captureWidth = Buffer.from(capture).readUInt32BE(16);
+    const pixelRatio = captureWidth / (clip ? clip.width : viewportWidth) || 1;
+    const offsetX = clip ? clip.x : 0;
+    const offsetY = clip ? clip.y : 0;
+    const toViewport = (value, offset) => Math.round(value / pixelRatio + offset);
+
+    return matches.map((match) => ({
+      ...match,
+      x: toViewport(match.x, offsetX),
+      y: toViewport(match.y, offsetY),
+      width: toViewport(match.width, 0),
+      height: toViewport(match.height, 0),
+      center: { x: toViewport(match.center.x, offsetX), y: toViewport(match.center.y, offsetY) },
+    }));
+  }
+
+  /**
+   * Stop the OCR worker, if one was started
+   * @returns {Promise<void>}
+   */
+  async terminateOcr() {
+    await this.ocrLocator.terminate();
+  }
+
   /**
    * Find elements by text content (text-based fallback)
-   * Uses page.evaluate() to search DOM for text
-   * Supports partial text matching (contains, not exact)
+   * Uses page.evaluate() to collect text nodes and accessible names (aria-label, title, alt),
+   * then fuzzy matches them against the text and its alternatives (text-matcher.js).
+   * Candidates are ranked by text similarity and distance to the recorded position.
    * Prioritizes searching in modals if they exist
+   * Descends into open shadow roots and same-origin frames; with a recorded context path only
+   * that frame or shadow root is searched (while the path still resolves)
    * @param {string} text - Text to search for
-   * @returns {Promise<Array>} Array of matches with positions
+   * @param {Object} options - { alternatives, threshold, position } (see getTextMatchOptions),
+   *   contextPath (element-path.js)
+   * @returns {Promise<Array>} Array of matches with positions, best first
    */
-  async findByText(text) {
-    if (!text || text.trim().length === 0) {
+  async findByText(text, options = {}) {
+    const searchTexts = getSearchTexts(text, options.alternatives);
+    if (searchTexts.length === 0) {
       return [];
     }
 
+    // Texts up to this length are scored in Node; longer ones must contain a search text
+    const maxFuzzyLength = Math.max(...searchTexts.map((searchText) => searchText.length)) * 2 + 10;
+
     // Check for modal first - prioritize searching in modals
     const modal = await this.waitForModal(1000);
     const hasModal = modal && modal.asElement();
 
-    const candidates = await this.page.evaluate((searchText, hasModal) => {
+    const candidates = await this.page.evaluate((searchTexts, maxFuzzyLength, hasModal, contextPath) => {
       const results = [];
       const processedElements = new Set();
+      const lowerSearchTexts = searchTexts.map((searchText) => searchText.toLowerCase());
+      const isCandidateText = (value) => value.length <= maxFuzzyLength ||
+        lowerSearchTexts.some((searchText) => value.toLowerCase().includes(searchText));
+      // offset: position of the element's frame in the top viewport
+      const toCandidate = (element, rect, value, source, offset) => {
+        const centerX = rect.left + offset.x + rect.width / 2;
+        const centerY = rect.top + offset.y + rect.height / 2;
+
+        return {
+          text: value.substring(0, 200),
+          source,
+          position: {
+            absolute: {
+              x: Math.round(centerX),
+              y: Math.round(centerY),
+            },
+            relative: {
+              x: parseFloat(((centerX / window.innerWidth) * 100).toFixed(2)),
+              y: parseFloat(((centerY / window.innerHeight) * 100).toFixed(2)),
+            },
+          },
+          boundingBox: {
+            x: Math.round(rect.x + offset.x),
+            y: Math.round(rect.y + offset.y),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height),
+          },
+          element, // Keep reference for screenshot
+        };
+      };
+      // Document of a same-origin frame (null for cross-origin frames) and its offset
+      const getFrameDocument = (frameElement, offset) => {
+        let frameDocument = null;
+        try {
+          frameDocument = frameElement.contentDocument;
+        } catch (error) {
+          // Cross-origin frame
+        }
+        if (!frameDocument) return null;
+
+        const rect = frameElement.getBoundingClientRect();
+        return {
+          frameDocument,
+          offset: { x: offset.x + rect.left + frameElement.clientLeft, y: offset.y + rect.top + frameElement.clientTop },
+        };
+      };
+      // Document or shadow root at the end of the recorded context path (null when it no longer resolves)
+      const resolveContextPath = () => {
+        let root = document;
+        let offset = { x: 0, y: 0 };
+        for (const step of contextPath) {
+          const host = root.querySelector(step.selector);
+          if (!host) return null;
+
+          if (step.type === 'frame') {
+            const frame = getFrameDocument(host, offset);
+            if (!frame) return null;
+            root = frame.frameDocument;
+            offset = frame.offset;
+          } else {
+            if (!host.shadowRoot) return null;
+            root = host.shadowRoot;
+          }
+        }
+        return { root, offset };
+      };
+
+      // Search text nodes, element texts and accessible names under searchRoot (elements from scope),
+      // then the open shadow roots and same-origin frames inside it (a TreeWalker does not enter them)
+      const search = (searchRoot, scope, offset) => {
+        // Search all text nodes and their parent elements
+        const walker = (searchRoot.ownerDocument || searchRoot).createTreeWalker(
+          searchRoot,
+          NodeFilter.SHOW_TEXT,
+          null,
+          false
+        );
+
+        let textNode;
+
+        while ((textNode = walker.nextNode())) {
+          const textContent = textNode.textContent?.trim() || '';
+          
+          // Short texts are fuzzy matched, longer ones must contain a search text (case-insensitive)
+          if (textContent && isCandidateText(textContent)) {
+            const parentElement = textNode.parentElement;
+            
+            // Skip if already processed (text directly in a shadow root has no parent element)
+            if (!parentElement || processedElements.has(parentElement)) continue;
+            processedElements.add(parentElement);
+
+            const rect = parentElement.getBoundingClientRect();
+            
+            // Skip hidden elements
+            if (rect.width === 0 || rect.height === 0) continue;
+
+            results.push(toCandidate(parentElement, rect, textContent, 'text', offset));
+          }
+        }
+
+        // Also search direct element text content (for elements without text nodes)
+        const allElements = scope.querySelectorAll('*');
+        
+        for (const element of allElements) {
+          if (processedElements.has(element)) continue;
+
+          const textContent = element.textContent?.trim() || '';
+          if (!textContent) continue;
+
+          if (isCandidateText(textContent)) {
+            const rect = element.getBoundingClientRect();
+            
+            // Skip hidden elements
+            if (rect.width === 0 || rect.height === 0) continue;
+
+            results.push(toCandidate(element, rect, textContent, 'text', offset));
+          }
+        }
+
+        // Accessible names: icon buttons and images often carry their label only here
+        for (const element of allElements) {
+          for (const attribute of ['aria-label', 'title', 'alt']) {
+            const label = element.getAttribute(attribute)?.trim();
+            if (!label || !isCandidateText(label)) continue;
+
+            const rect = element.getBoundingClientRect();
+            if (rect.width === 0 || rect.height === 0) break;
+
+            results.push(toCandidate(element, rect, label, attribute, offset));
+          }
+        }
+
+        for (const element of allElements) {
+          if (element.shadowRoot) {
+            search(element.shadowRoot, element.shadowRoot, offset);
+          }
+          if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+            const frame = getFrameDocument(element, offset);
+            if (frame?.frameDocument.body) {
+              search(frame.frameDocument.body, frame.frameDocument, frame.offset);
+            }
+          }
+        }
+      };
+
+      // Recorded inside a frame or shadow root: search there (all of the page when the path changed)
+      const context = contextPath.length > 0 ? resolveContextPath() : null;
+      if (context) {
+        search(context.root.body || context.root, context.root, context.offset);
+        return results;
+      }
       
       // Find modal if it exists
       let searchRoot = document.body;
@@ -682,114 +1233,189 @@ export class VisualActionExecutor {
           }
         }
       }
-      
-      // Search all text nodes and their parent elements
-      const walker = document.createTreeWalker(
-        searchRoot,
-        NodeFilter.SHOW_TEXT,
-        null,
-        false
-      );
 
-      let textNode;
+      // Prioritize modal elements if modal exists, otherwise search entire document
+      search(searchRoot, searchRoot !== document.body ? searchRoot : document, { x: 0, y: 0 });
 
-      while ((textNode = walker.nextNode())) {
-        const textContent = textNode.textContent?.trim() || '';
-        
-        // Check if contains search text (case-insensitive, partial match)
-        if (textContent.toLowerCase().includes(searchText.toLowerCase())) {
-          const parentElement = textNode.parentElement;
-          
-          // Skip if already processed
-          if (processedElements.has(parentElement)) continue;
-          processedElements.add(parentElement);
+      return results;
+    }, searchTexts, maxFuzzyLength, Boolean(hasModal), options.contextPath || []);
 
-          const rect = parentElement.getBoundingClientRect();
-          
-          // Skip hidden elements
-          if (rect.width === 0 || rect.height === 0) continue;
+    return rankTextCandidates(candidates, searchTexts, options);
+  }
 
-          // Calculate center position
-          const centerX = rect.left + rect.width / 2;
-          const centerY = rect.top + rect.height / 2;
-
-          results.push({
-            text: textContent.substring(0, 200),
-            position: {
-              absolute: {
-                x: Math.round(centerX),
-                y: Math.round(centerY),
-              },
-              relative: {
-                x: parseFloat(((centerX / window.innerWidth) * 100).toFixed(2)),
-                y: parseFloat(((centerY / window.innerHeight) * 100).toFixed(2)),
-              },
-            },
-            boundingBox: {
-              x: Math.round(rect.x),
-              y: Math.round(rect.y),
-              width: Math.round(rect.width),
-              height: Math.round(rect.height),
-            },
-            element: parentElement, // Keep reference for screenshot
-          });
+  /**
+   * Check whether an element is on the page without acting on it (if/loop conditions)
+   * Polls until the element shows up or the timeout passes
+   * @param {Object} target - { selector, visual, text, contextPath } (contextPath: element-path.js)
+   * @param {number} timeout - Max wait in milliseconds
+   * @returns {Promise<boolean>} True when a visible element matches
+   */
+  async isVisible(target, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    const text = target.text || target.visual?.text;
+    // Recorded elements must be near their recorded position; plain text may be anywhere
+    const hasRecordedPosition = !target.text && !!target.visual?.position;
+    const contextPath = target.contextPath || [];
+    const isElementVisible = (el) => {
+      const rect = el.getBoundingClientRect();
+      const style = window.getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+
+    while (true) {
+      try {
+        if (target.selector) {
+          const visible = contextPath.length > 0
+            ? await resolveContextPath(this.page, contextPath)
+              .then((context) => queryInContext(context, target.selector))
+              .then((element) => (element ? element.evaluate(isElementVisible) : false))
+              .catch(() => false)
+            : await this.page.$eval(target.selector, isElementVisible).catch(() => false);
+
+          if (visible) {
+            return true;
+          }
+        }
+
+        if (text) {
+          // Mapped onto the live viewport on every poll (the page may scroll or reflow meanwhile)
+          const recordedPosition = hasRecordedPosition
+            ? (await this.resolveRecordedPosition(target.visual))?.relative
+            : null;
+          let candidates = await this.findByText(
+            text,
+            target.text ? {} : { ...getTextMatchOptions(target.visual), position: recordedPosition, contextPath }
+          );
+          if (recordedPosition) {
+            candidates = this.filterByPosition(candidates, recordedPosition, 15);
+          }
+          if (candidates.length > 0) {
+            return true;
+          }
         }
+      } catch (error) {
+        // Page is navigating; try again until the deadline
+        console.warn(`⚠️  Visibility check failed: ${error.message}`);
       }
 
-      // Also search direct element text content (for elements without text nodes)
-      // Prioritize modal elements if modal exists
-      let allElements = [];
-      if (hasModal && searchRoot !== document.body) {
-        // Search in modal first
-        allElements = searchRoot.querySelectorAll('*');
-      } else {
-        // Search entire document
-        allElements = document.querySelectorAll('*');
+      if (Date.now() >= deadline) {
+        return false;
       }
-      
-      for (const element of allElements) {
-        if (processedElements.has(element)) continue;
+      await this.wait(250);
+    }
+  }
+
+  /**
+   * Viewport of the page: size in CSS pixels, device pixel ratio and scroll offset
+   * @returns {Promise<Object>} { width, height, devicePixelRatio, scrollX, scrollY }
+   */
+  async getLiveViewport() {
+    return this.page.evaluate(() => ({
+      width: window.innerWidth,
+      height: window.innerHeight,
+      devicePixelRatio: window.devicePixelRatio || 1,
+      scrollX: window.scrollX,
+      scrollY: window.scrollY,
+    }));
+  }
+
+  /**
+   * Map the recorded position onto the live viewport (replay-geometry.js)
+   * Normalizes for viewport size and scroll offset, then corrects with the landmarks from
+   * surroundingText that are found on the page.
+   * @param {Object} visualData - Recorded visual data
+   * @returns {Promise<Object|null>} { absolute, relative, anchoredBy } in the live viewport,
+   *   null when the visual data has no position
+   */
+  async resolveRecordedPosition(visualData) {
+    const live = await this.getLiveViewport();
+    const normalized = normalizePosition(visualData, live);
+    if (!normalized) {
+      return null;
+    }
+
+    const landmarks = getLandmarks(visualData);
+    const found = landmarks.length > 0
+      ? await this.findLandmarks(landmarks.map((landmark) => landmark.text), normalized)
+      : [];
+    const { anchoredBy, ...absolute } = anchorToLandmarks(normalized, visualData, found, live);
+
+    if (anchoredBy) {
+      this.logger.info(`📍 Position anchored to landmarks (${anchoredBy}): (${absolute.x}, ${absolute.y})`);
+    }
+
+    return { absolute, relative: toRelative(absolute, live), anchoredBy };
+  }
+
+  /**
+   * Find landmark texts on the page
+   * Takes a visible element whose text equals the landmark (ignoring case), or else a short
+   * text containing it; with several, the one closest to the expected position.
+   * @param {Array<string>} texts - Landmark texts
+   * @param {Object} near - Expected element position { x, y }
+   * @returns {Promise<Array<Object>>} Found landmarks { text, x, y } in viewport CSS pixels
+   */
+  async findLandmarks(texts, near) {
+    return this.page.evaluate((texts, near) => {
+      const found = [];
+      const elements = document.body.querySelectorAll('*');
+
+      for (const text of texts) {
+        const wanted = text.toLowerCase();
+        let best = null;
 
-        const textContent = element.textContent?.trim() || '';
-        if (!textContent) continue;
+        for (const element of elements) {
+          const content = (element.textContent || '').replace(/\s+/g, ' ').trim().toLowerCase();
+          // Containers hold the landmark in a much longer text
+          if (!content.includes(wanted) || content.length > wanted.length * 2 + 20) continue;
 
-        // Check if contains search text (case-insensitive, partial match)
-        if (textContent.toLowerCase().includes(searchText.toLowerCase())) {
           const rect = element.getBoundingClientRect();
-          
-          // Skip hidden elements
           if (rect.width === 0 || rect.height === 0) continue;
 
-          const centerX = rect.left + rect.width / 2;
-          const centerY = rect.top + rect.height / 2;
-
-          results.push({
-            text: textContent.substring(0, 200),
-            position: {
-              absolute: {
-                x: Math.round(centerX),
-                y: Math.round(centerY),
-              },
-              relative: {
-                x: parseFloat(((centerX / window.innerWidth) * 100).toFixed(2)),
-                y: parseFloat(((centerY / window.innerHeight) * 100).toFixed(2)),
-              },
-            },
-            boundingBox: {
-              x: Math.round(rect.x),
-              y: Math.round(rect.y),
-              width: Math.round(rect.width),
-              height: Math.round(rect.height),
-            },
-            element: element,
-          });
+          const x = rect.left + rect.width / 2;
+          const y = rect.top + rect.height / 2;
+          const score = [
+            content === wanted ? 0 : 1,
+            Math.hypot(x - near.x, y - near.y),
+            rect.width * rect.height,
+          ];
+          const better = !best || score[0] < best.score[0] ||
+            (score[0] === best.score[0] && score[1] < best.score[1]) ||
+            (score[0] === best.score[0] && score[1] === best.score[1] && score[2] < best.score[2]);
+          if (better) {
+            best = { text, x: Math.round(x), y: Math.round(y), score };
+          }
+        }
+
+        if (best) {
+          found.push({ text: best.text, x: best.x, y: best.y });
         }
       }
 
-      return results;
-    }, text.trim());
+      return found;
+    }, texts, near);
+  }
+
+  /**
+   * Scroll the page so a viewport point is visible
+   * @param {Object} point - { x, y } in viewport CSS pixels (may be outside the viewport)
+   * @returns {Promise<Object>} The point in viewport CSS pixels after scrolling
+   */
+  async scrollPointIntoView(point) {
+    const live = await this.getLiveViewport();
+    if (point.x >= 0 && point.x < live.width && point.y >= 0 && point.y < live.height) {
+      return point;
+    }
 
-    return candidates;
+    // Bring the point to the middle of the viewport; the page may not scroll as far
+    const scrolled = await this.page.evaluate((dx, dy) => {
+      const before = { x: window.scrollX, y: window.scrollY };
+      window.scrollBy(dx, dy);
+      return { x: window.scrollX - before.x, y: window.scrollY - before.y };
+    }, Math.round(point.x - live.width / 2), Math.round(point.y - live.height / 2));
+    await this.wait(100);
+
+    return { x: point.x - scrolled.x, y: point.y - scrolled.y };
   }
 
   /**
@@ -810,18 +1436,23 @@ export class VisualActionExecutor {
 
   /**
    * Find best visual match using screenshot comparison
-   * Screenshots each candidate element and compares with recorded screenshot using pixelmatch
+   * Screenshots each candidate element and compares with recorded screenshot (compareImages).
+   * The scores are kept in this.lastSimilarity ({ method, threshold, scores, chosenIndex, matched })
+   * and end up in the execution report, where threshold calibration reads them.
    * @param {Array} candidates - Candidate elements with positions
    * @param {string} targetScreenshot - Base64 screenshot to match
-   * @returns {Promise<Object|null>} Best matching candidate with highest similarity score (>70% threshold) or null
+   * @param {number} threshold - Minimum similarity (default: similarityThreshold)
+   * @returns {Promise<Object|null>} Best matching candidate with highest similarity score (above threshold) or null
    */
-  async findBestVisualMatch(candidates, targetScreenshot) {
-    console.log(`🔍 Comparing ${candidates.length} candidates with screenshot...`);
+  async findBestVisualMatch(candidates, targetScreenshot, threshold = this.similarityThreshold) {
+    this.logger.info(`🔍 Comparing ${candidates.length} candidates with screenshot (${this.similarityMethod})...`);
 
     let bestMatch = null;
     let bestScore = 0;
+    let bestIndex = -1;
+    const scores = candidates.map(() => null);
 
-    for (const candidate of candidates) {
+    for (const [index, candidate] of candidates.entries()) {
       try {
         // Take screenshot of candidate element using Puppeteer
         // First try to get element handle from bounding box
@@ -880,10 +1511,12 @@ export class VisualActionExecutor {
         );
 
         console.log(`   Candidate similarity: ${(similarityScore * 100).toFixed(1)}%`);
+        scores[index] = similarityScore;
 
         if (similarityScore > bestScore) {
           bestScore = similarityScore;
           bestMatch = candidate;
+          bestIndex = index;
         }
 
       } catch (error) {
@@ -891,87 +1524,51 @@ export class VisualActionExecutor {
       }
     }
 
-    // Require at least 70% similarity threshold
-    if (bestScore >= 0.7) {
+    const matched = bestMatch !== null && bestScore >= threshold;
+    this.lastSimilarity = {
+      method: this.similarityMethod,
+      threshold,
+      scores,
+      chosenIndex: matched ? bestIndex : null,
+      matched,
+    };
+
+    if (matched) {
       console.log(`✅ Best match found with ${(bestScore * 100).toFixed(1)}% similarity`);
       return bestMatch;
     }
 
-    console.warn(`⚠️  No match above 70% threshold (best: ${(bestScore * 100).toFixed(1)}%)`);
+    console.warn(`⚠️  No match above ${(threshold * 100).toFixed(0)}% threshold (best: ${(bestScore * 100).toFixed(1)}%)`);
     return null;
   }
 
   /**
    * Compare two images and return similarity score (image comparison utility)
    * 
-   * Process:
-   * 1. Decode both base64 images
-   * 2. Resize to same dimensions if different (maintains aspect ratio)
-   * 3. Use pixelmatch to calculate similarity score
-   * 4. Return score between 0 (no match) and 1 (perfect match)
-   * 
-   * Handles errors gracefully:
-   * - Invalid images: returns 0
-   * - Decode failures: returns 0
-   * - Size mismatches: resizes to match
+   * Uses image-similarity.js: perceptual hashes, SSIM, colour histogram or pixelmatch.
+   * Handles errors gracefully: missing, invalid or undecodable images return 0.
    * 
    * @param {string} img1Base64 - First image (base64 data URL)
    * @param {string} img2Base64 - Second image (base64 data URL)
+   * @param {string} method - Similarity method (default: similarityMethod)
    * @returns {Promise<number>} Similarity score between 0 (no match) and 1 (perfect match)
    */
-  async compareImages(img1Base64, img2Base64) {
+  async compareImages(img1Base64, img2Base64, method = this.similarityMethod) {
     try {
-      // Handle errors: invalid images, decode failures
       if (!img1Base64 || !img2Base64) {
         console.warn('⚠️  One or both images are missing');
         return 0;
       }
 
-      // Remove data URL prefix if present
-      const img1Data = img1Base64.replace(/^data:image\/\w+;base64,/, '');
-      const img2Data = img2Base64.replace(/^data:image\/\w+;base64,/, '');
-
-      // Decode both base64 images
       let img1, img2;
       try {
-        img1 = await Jimp.read(Buffer.from(img1Data, 'base64'));
-        img2 = await Jimp.read(Buffer.from(img2Data, 'base64'));
+        [img1, img2] = await Promise.all([decodeBitmap(img1Base64), decodeBitmap(img2Base64)]);
       } catch (decodeError) {
         console.error('Error decoding images:', decodeError);
         return 0;
       }
 
-      // Resize to same dimensions if different (use smaller dimensions to avoid upscaling)
-      const width = Math.min(img1.bitmap.width, img2.bitmap.width);
-      const height = Math.min(img1.bitmap.height, img2.bitmap.height);
-
-      if (img1.bitmap.width !== width || img1.bitmap.height !== height) {
-        img1.resize(width, height, Jimp.RESIZE_BILINEAR);
-      }
-      if (img2.bitmap.width !== width || img2.bitmap.height !== height) {
-        img2.resize(width, height, Jimp.RESIZE_BILINEAR);
-      }
-
-      // Convert to PNG buffers for pixelmatch
-      const png1 = PNG.sync.read(await img1.getBufferAsync(Jimp.MIME_PNG));
-      const png2 = PNG.sync.read(await img2.getBufferAsync(Jimp.MIME_PNG));
-
-      // Compare with pixelmatch
-      const diff = new PNG({ width, height });
-      const numDiffPixels = pixelmatch(
-        png1.data,
-        png2.data,
-        diff.data,
-        width,
-        height,
-        { threshold: 0.1 }
-      );
-
-      // Calculate similarity score (0 = no match, 1 = perfect match)
-      const totalPixels = width * height;
-      const similarityScore = totalPixels > 0 ? 1 - (numDiffPixels / totalPixels) : 0;
-
-      return Math.max(0, Math.min(1, similarityScore)); // Clamp between 0 and 1
+      return compareBitmaps(img1, img2, method);
 
     } catch (error) {
       console.error('Error comparing images:', error);
@@ -979,45 +1576,289 @@ export class VisualActionExecutor {
     }
   }
 
+  /**
+   * Called right before the action is performed on the located element, while the page still
+   * shows it. Does nothing here; EnhancedVisualExecutor captures healing data.
+   * @param {Object} action - Action being executed
+   * @param {Object} target - { element } (ElementHandle) or { point } (viewport coordinates),
+   *   with the match confidence (0-1) when the method scores its matches
+   * @param {string} method - Method that located the element
+   * @returns {Promise<void>}
+   */
+  async beforeAct(action, target, method) {}
+
   /**
    * Execute action on a candidate element
-   * @param {Object} candidate - Candidate element with position
+   * @param {Object} candidate - Candidate element with position (and confidence of the match)
    * @param {Object} action - Action to execute
+   * @param {string} method - Method reported in the result
    * @returns {Promise<Object>} Execution result
    */
-  async executeOnCandidate(candidate, action) {
+  async executeOnCandidate(candidate, action, method = 'visual') {
     try {
+      // Candidates below the fold are scrolled to first
+      const point = await this.scrollPointIntoView(candidate.position.absolute);
+      if (action.type !== 'upload') {
+        await this.beforeAct(action, { point, confidence: candidate.confidence ?? null }, method);
+      }
+
       if (action.type === 'click') {
         // Click at element center position
-        await this.clickAtPosition(
-          candidate.position.absolute.x,
-          candidate.position.absolute.y
-        );
-        return { success: true, method: 'visual' };
+        await this.clickAtPosition(point.x, point.y);
+        return { success: true, method };
       } else if (action.type === 'type') {
         // Find element at position and type
-        const elementHandle = await this.page.evaluateHandle(
-          (pos) => document.elementFromPoint(pos.x, pos.y),
-          candidate.position.absolute
-        );
-        
-        const element = elementHandle.asElement();
+        const element = await this.elementAtPoint(point);
         if (element) {
           // Support both formats for text value
           const textValue = action.text || action.params?.text || '';
           await element.type(textValue, { delay: 50 });
-          return { success: true, method: 'visual' };
+          return { success: true, method };
         }
+      } else if (['extract', 'submit', 'keypress'].includes(action.type)) {
+        return await this.executeAtPosition(point, action, method);
+      } else if (action.type === 'hover' || action.type === 'drag') {
+        return await this.pointerActionAt(point, action, method);
       } else if (action.type === 'upload') {
         // Upload actions are handled at the top level in executeAction
         // This should not be reached, but handle it just in case
         return await this.handleUploadAction(action);
       }
 
-      return { success: false, method: 'visual', error: 'Could not execute on candidate' };
+      return { success: false, method, error: 'Could not execute on candidate' };
 
     } catch (error) {
-      return { success: false, method: 'visual', error: error.message };
+      return { success: false, method, error: error.message };
+    }
+  }
+
+  /**
+   * Element at a viewport position, inside open shadow roots and same-origin frames
+   * (document.elementFromPoint stops at their host)
+   * @param {Object} point - { x, y } in viewport coordinates
+   * @returns {Promise<ElementHandle|null>} Element or null
+   */
+  async elementAtPoint(point) {
+    const elementHandle = await this.page.evaluateHandle((pos) => {
+      let element = document.elementFromPoint(pos.x, pos.y);
+      let x = pos.x;
+      let y = pos.y;
+
+      while (element) {
+        let inner = null;
+        if (element.shadowRoot) {
+          inner = element.shadowRoot.elementFromPoint(x, y);
+        } else if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+          try {
+            const rect = element.getBoundingClientRect();
+            x -= rect.left + element.clientLeft;
+            y -= rect.top + element.clientTop;
+            inner = element.contentDocument?.elementFromPoint(x, y) || null;
+          } catch (error) {
+            // Cross-origin frame
+          }
+        }
+        if (!inner || inner === element) break;
+        element = inner;
+      }
+
+      return element;
+    }, point);
+
+    return elementHandle.asElement();
+  }
+
+  /**
+   * Run an extract, submit or keypress action on the element at a viewport position
+   * @param {Object} position - { x, y } in viewport coordinates
+   * @param {Object} action - Extract, submit or keypress action
+   * @param {string} method - Method reported in the result
+   * @returns {Promise<Object>} Execution result
+   */
+  async executeAtPosition(position, action, method = 'position') {
+    try {
+      const element = await this.elementAtPoint(position);
+      if (!element) {
+        return { success: false, method, error: 'No element at position' };
+      }
+
+      if (action.type === 'keypress') {
+        await element.focus();
+        return await this.pressKey(action, method);
+      }
+
+      return action.type === 'extract'
+        ? await this.extractFromElement(element, action, method)
+        : await this.submitFormOf(element, action, method);
+    } catch (error) {
+      return { success: false, method, error: error.message };
+    }
+  }
+
+  /**
+   * Read a value from a located element for an extract action
+   *
+   * Params (top level or in params):
+   * - variableName: workflow variable that receives the value (required)
+   * - source: 'text' (default, value for form fields), 'attribute', 'url' (link/src of the
+   *   element or its closest link) or 'page_url' (current page URL, no element needed)
+   * - attribute: attribute name for source 'attribute'
+   * - pattern: optional regex; the first capture group (or whole match) becomes the value
+   *
+   * @param {ElementHandle|null} element - Located element
+   * @param {Object} action - Extract action
+   * @param {string} method - Method reported in the result
+   * @returns {Promise<Object>} { success, method, extracted: { variable, value } }
+   */
+  async extractFromElement(element, action, method) {
+    const params = { ...action.params, ...action };
+    const variable = params.variableName || params.variable;
+    const source = params.source || 'text';
+
+    if (!variable) {
+      return { success: false, method, error: 'Extract action requires variableName' };
+    }
+
+    let value = null;
+    if (source === 'page_url') {
+      value = this.page.url();
+    } else if (element) {
+      value = await element.evaluate((el, source, attribute) => {
+        if (source === 'attribute') {
+          return el.getAttribute(attribute);
+        }
+        if (source === 'url') {
+          const link = el.closest('a[href]');
+          return link ? link.href : el.currentSrc || el.src || el.href || null;
+        }
+        if ('value' in el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT')) {
+          return el.value;
+        }
+        return (el.innerText || el.textContent || '').trim();
+      }, source, params.attribute || null);
+    }
+
+    if (value && params.pattern) {
+      const match = String(value).match(new RegExp(params.pattern));
+      value = match ? (match[1] ?? match[0]) : null;
+    }
+
+    if (value === null || value === undefined || value === '') {
+      return { success: false, method, error: `Nothing to extract (source: ${source})` };
+    }
+
+    this.logger.info(`📥 Extracted ${variable} = ${String(value).substring(0, 100)}`);
+    return { success: true, method, extracted: { variable, value: String(value) } };
+  }
+
+  /**
+   * Submit the form that owns a located element (the element itself, its form or closest form)
+   * Uses requestSubmit() so validation and the page's submit handlers run like a real submit.
+   * @param {ElementHandle} element - Located element
+   * @param {Object} action - Submit action (waitForNavigation: wait for the resulting page load)
+   * @param {string} method - Method reported in the result
+   * @returns {Promise<Object>} Execution result
+   */
+  async submitFormOf(element, action, method) {
+    const waitForNavigation = action.waitForNavigation ?? action.params?.waitForNavigation;
+    const navigation = waitForNavigation
+      ? this.page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }).catch(() => null)
+      : null;
+
+    const submitted = await element.evaluate((el) => {
+      const form = el.tagName === 'FORM' ? el : el.form || el.closest('form');
+      if (!form) {
+        return false;
+      }
+      if (typeof form.requestSubmit === 'function') {
+        form.requestSubmit();
+      } else {
+        form.submit();
+      }
+      return true;
+    });
+
+    if (!submitted) {
+      return { success: false, method, error: 'Element is not inside a form' };
+    }
+
+    if (navigation) {
+      await navigation;
+    }
+
+    return { success: true, method };
+  }
+
+  /**
+   * Press the key of a keypress action on the focused element, holding its modifiers
+   *
+   * Params (top level or in params):
+   * - key: Puppeteer key name ('Enter', 'Escape', 'ArrowRight', 'a', ...) (required)
+   * - modifiers: keys held down meanwhile ('Control', 'Alt', 'Shift', 'Meta')
+   *
+   * @param {Object} action - Keypress action
+   * @param {string} method - Method reported in the result
+   * @returns {Promise<Object>} Execution result
+   */
+  async pressKey(action, method) {
+    const params = { ...action.params, ...action };
+    if (!params.key) {
+      return { success: false, method, error: 'Keypress action requires key' };
+    }
+
+    const modifiers = params.modifiers || [];
+    try {
+      for (const modifier of modifiers) {
+        await this.page.keyboard.down(modifier);
+      }
+      await this.page.keyboard.press(params.key);
+    } finally {
+      for (const modifier of [...modifiers].reverse()) {
+        await this.page.keyboard.up(modifier);
+      }
+    }
+
+    return { success: true, method };
+  }
+
+  /**
+   * Hover over or drag from a viewport position with the mouse
+   * - hover: moves the pointer there and rests duration ms (default 500) so menus and hover
+   *   cards can open
+   * - drag: presses there, moves by delta ({ x, y } in pixels) in small steps and releases,
+   *   which also runs native HTML5 drag and drop
+   * @param {Object} point - { x, y } in viewport coordinates
+   * @param {Object} action - Hover or drag action
+   * @param {string} method - Method reported in the result
+   * @returns {Promise<Object>} Execution result
+   */
+  async pointerActionAt(point, action, method = 'position') {
+    const params = { ...action.params, ...action };
+    const delta = params.delta;
+
+    if (action.type === 'drag' && !delta?.x && !delta?.y) {
+      return { success: false, method, error: 'Drag action requires delta' };
+    }
+
+    try {
+      await this.page.mouse.move(point.x, point.y, { steps: 5 });
+
+      if (action.type === 'hover') {
+        await this.wait(params.duration || 500);
+        return { success: true, method };
+      }
+
+      await this.page.mouse.down();
+      try {
+        await this.wait(100);
+        await this.page.mouse.move(point.x + delta.x, point.y + delta.y, { steps: 20 });
+      } finally {
+        await this.page.mouse.up();
+      }
+
+      return { success: true, method };
+    } catch (error) {
+      return { success: false, method, error: error.message };
     }
   }
 
@@ -1138,6 +1979,8 @@ export class VisualActionExecutor {
       selectorSuccess: 0,
       textSuccess: 0,
       visualSuccess: 0,
+      templateSuccess: 0,
+      ocrSuccess: 0,
       positionSuccess: 0,
       failures: 0,
     };
@@ -1,13 +1,28 @@
 import { EnhancedVisualExecutor } from './enhanced-visual-executor.js';
-import { ActionTypes, replaceTemplates, estimateExecutionTime } from './action-types.js';
+import {
+  ActionTypes,
+  ControlActionTypes,
+  ConditionTypes,
+  MAX_LOOP_ITERATIONS,
+  replaceTemplates,
+  replaceTemplateString,
+  estimateExecutionTime,
+} from './action-types.js';
+import { getContextPath } from './element-path.js';
 import fs from 'fs';
 import path from 'path';
 
+// How long visible/text conditions and optional actions wait for their element (ms)
+const DEFAULT_CONDITION_TIMEOUT = 3000;
+const OPTIONAL_ACTION_TIMEOUT = 3000;
+
 /**
  * WorkflowExecutor - Executes complete workflows (sequences of actions)
  * 
  * Features:
  * - Sequential action execution
+ * - Control flow: if/else and bounded loop actions, optional actions
+ * - Sub-workflows (call_workflow) with scoped variables and nested reports
  * - Template variable replacement
  * - Error handling and recovery
  * - Progress tracking with detailed logging
@@ -15,12 +30,15 @@ import path from 'path';
  * - Enhanced retry logic with progressive threshold relaxation
  * - Breakpoint support
  * - Execution reports with confidence scores
+ * - Healing proposals: fresh visual data of weakly matched elements, per micro-action
  * - Detailed error logging with screenshots
  * - Database integration for report storage
  */
 export class WorkflowExecutor {
   constructor(page, options = {}) {
     this.page = page;
+    // Progress output; the agent passes its logger so runs end up in client_logs
+    this.logger = options.logger || console;
     
     // Use EnhancedVisualExecutor with progressive retry logic (Phase 7.1 Part 2)
     this.visualExecutor = new EnhancedVisualExecutor(page, {
@@ -32,10 +50,16 @@ export class WorkflowExecutor {
       relaxThresholdsOnRetry: true, // Enable progressive relaxation
       initialPositionTolerance: 15,
       relaxedPositionTolerance: 30,
-      initialSimilarityThreshold: 0.7,
+      // Screenshot comparison method and threshold (calibrated per platform by the server)
+      similarityMethod: options.similarityMethod,
+      initialSimilarityThreshold: options.similarityThreshold,
+      // Local tesseract language data for the OCR locator
+      ocrLangPath: options.ocrLangPath,
+      ocrLanguage: options.ocrLanguage,
       relaxedSimilarityThreshold: 0.5,
       trackPerformance: true,
-      saveDebugScreenshots: options.saveDebugScreenshots || false
+      saveDebugScreenshots: options.saveDebugScreenshots || false,
+      logger: this.logger,
     });
     
     // Configuration
@@ -54,6 +78,7 @@ export class WorkflowExecutor {
     this.variables = {};
     this.currentActionIndex = 0;
     this.executionResults = [];
+    this.healingProposals = [];
     this.breakpoints = new Set();
     this.isPaused = false;
     this.isStopped = false;
@@ -79,6 +104,8 @@ export class WorkflowExecutor {
         selector: { count: 0, totalTime: 0 },
         text: { count: 0, totalTime: 0 },
         visual: { count: 0, totalTime: 0 },
+        template: { count: 0, totalTime: 0 },
+        ocr: { count: 0, totalTime: 0 },
         position: { count: 0, totalTime: 0 },
         failed: { count: 0, totalTime: 0 }
       },
@@ -159,13 +186,14 @@ export class WorkflowExecutor {
    * @returns {Promise<Object>} Execution results with detailed report
    */
   async executeWorkflow(actions, workflowId = null) {
-    console.log('\n╔═══════════════════════════════════════════════╗');
-    console.log('║        WORKFLOW EXECUTION STARTED             ║');
-    console.log('╚═══════════════════════════════════════════════╝\n');
+    this.logger.info('\n╔═══════════════════════════════════════════════╗');
+    this.logger.info('║        WORKFLOW EXECUTION STARTED             ║');
+    this.logger.info('╚═══════════════════════════════════════════════╝\n');
 
     const startTime = Date.now();
     this.currentActionIndex = 0;
     this.executionResults = [];
+    this.healingProposals = [];
     this.isStopped = false;
     
     // Initialize execution report
@@ -179,6 +207,8 @@ export class WorkflowExecutor {
         selector: { count: 0, totalTime: 0 },
         text: { count: 0, totalTime: 0 },
         visual: { count: 0, totalTime: 0 },
+        template: { count: 0, totalTime: 0 },
+        ocr: { count: 0, totalTime: 0 },
         position: { count: 0, totalTime: 0 },
         failed: { count: 0, totalTime: 0 }
       },
@@ -190,32 +220,131 @@ export class WorkflowExecutor {
         averageTime: 0,
         averageConfidence: 0
       },
-      errors: []
+      errors: [],
+      extracted: {},
+      controlFlow: [],
+      status: 'completed',
+      cancelledAtAction: null
     };
 
     // Log workflow summary
     if (this.options.logProgress) {
-      console.log(`📋 Workflow: ${actions.length} actions`);
-      console.log(`⏱️  Estimated time: ${this.estimateWorkflowTime(actions)}ms`);
-      console.log(`🔧 Configuration:`, {
+      this.logger.info(`📋 Workflow: ${actions.length} actions`);
+      this.logger.info(`⏱️  Estimated time: ${this.estimateWorkflowTime(actions)}ms`);
+      this.logger.info(`🔧 Configuration:`, {
         retryOnFailure: this.options.retryOnFailure,
         maxRetries: this.options.maxRetries,
         stopOnError: this.options.stopOnError,
       });
-      console.log('');
+      this.logger.info('');
+    }
+
+    // Execute each action (if/loop actions run their nested actions)
+    await this.runActions(actions);
+
+    // The OCR worker holds the language model in memory, release it between runs
+    await this.visualExecutor.terminateOcr();
+
+    // Calculate statistics
+    const endTime = Date.now();
+    const duration = endTime - startTime;
+    const stats = this.calculateStats();
+    
+    // Finalize execution report
+    this.executionReport.endTime = new Date().toISOString();
+    this.executionReport.duration = duration;
+    this.executionReport.overallStats = {
+      total: this.executionReport.actions.length,
+      successful: this.executionReport.actions.filter(a => a.success).length,
+      failed: this.executionReport.actions.filter(a => !a.success).length,
+      successRate: parseFloat(stats.successRate),
+      averageTime: stats.averageTime,
+      averageConfidence: this.calculateAverageConfidence()
+    };
+
+    // Stopped workflows keep the actions completed so far
+    const cancelled = this.executionReport.cancelledAtAction !== null;
+    if (cancelled) {
+      this.executionReport.status = 'cancelled';
+    } else if (this.executionReport.overallStats.failed > 0) {
+      this.executionReport.status = 'failed';
+    }
+
+    // Generate debug report if in debug mode (Phase 7.3)
+    if (this.debugMode && this.debugScreenshots.length > 0) {
+      const debugReportPath = path.join(this.debugDir, `debug_report_${Date.now()}.html`);
+      await this.generateDebugReport(debugReportPath);
+    }
+
+    // Log summary
+    if (this.options.logProgress) {
+      this.logger.info('\n╔═══════════════════════════════════════════════╗');
+      this.logger.info('║        WORKFLOW EXECUTION COMPLETE            ║');
+      this.logger.info('╚═══════════════════════════════════════════════╝\n');
+
+      this.logger.info('📊 Execution Summary:');
+      this.logger.info(`   Total actions: ${stats.total}`);
+      this.logger.info(`   Successful: ${stats.successful} ✅`);
+      this.logger.info(`   Failed: ${stats.failed} ❌`);
+      this.logger.info(`   Success rate: ${stats.successRate}%`);
+      this.logger.info(`   Duration: ${duration}ms (${(duration / 1000).toFixed(1)}s)`);
+      this.logger.info(`   Average per action: ${stats.averageTime}ms`);
+      this.logger.info(`   Average confidence: ${(this.executionReport.overallStats.averageConfidence * 100).toFixed(1)}%\n`);
+
+      this.logger.info('🔍 Method Breakdown:');
+      Object.entries(this.executionReport.methodStats).forEach(([method, stats]) => {
+        if (stats.count > 0) {
+          const avgTime = (stats.totalTime / stats.count).toFixed(0);
+          this.logger.info(`   ${method}: ${stats.count} actions (avg: ${avgTime}ms)`);
+        }
+      });
+      this.logger.info('');
+
+      this.logger.info('🔍 Enhanced Visual Executor Stats:');
+      const enhancedStats = this.visualExecutor.getEnhancedStats();
+      this.logger.info(`   Selector-based: ${enhancedStats.enhanced.methodBreakdown.selector || 0}`);
+      this.logger.info(`   Text-based: ${enhancedStats.enhanced.methodBreakdown.text || 0}`);
+      this.logger.info(`   Visual-based: ${enhancedStats.enhanced.methodBreakdown.visual || 0}`);
+      this.logger.info(`   Template-based: ${enhancedStats.enhanced.methodBreakdown.template || 0}`);
+      this.logger.info(`   OCR-based: ${enhancedStats.enhanced.methodBreakdown.ocr || 0}`);
+      this.logger.info(`   Position-based: ${enhancedStats.enhanced.methodBreakdown.position || 0}`);
+      this.logger.info(`   Retried actions: ${enhancedStats.enhanced.retriedActions}`);
+      this.logger.info(`   Success rate: ${enhancedStats.enhanced.successRate}`);
+      this.logger.info(`   Avg performance: ${enhancedStats.enhanced.performance.average}ms\n`);
     }
 
-    // Execute each action
+    return {
+      success: stats.failed === 0 && !cancelled,
+      cancelled,
+      extracted: this.executionReport.extracted,
+      duration,
+      results: this.executionResults,
+      stats,
+      visualStats: this.visualExecutor.getStats(),
+      enhancedStats: this.visualExecutor.getEnhancedStats(), // Phase 7.1 Part 2: Enhanced stats
+      executionReport: this.executionReport, // Phase 7.2: Include detailed report
+      healingProposals: this.healingProposals,
+    };
+  }
+
+  /**
+   * Run a list of actions in order; called recursively for if/loop blocks
+   * @param {Array} actions - Actions to run
+   * @param {number} depth - Nesting depth (0 = workflow level)
+   * @returns {Promise<boolean>} False when the workflow must not continue (stopped or stopOnError)
+   */
+  async runActions(actions, depth = 0) {
     for (let i = 0; i < actions.length; i++) {
       // Check if stopped
       if (this.isStopped) {
-        console.log('\n⏹️  Workflow stopped by user');
-        break;
+        this.logger.info('\n⏹️  Workflow stopped by user');
+        this.executionReport.cancelledAtAction = this.executionReport.actions.length;
+        return false;
       }
 
-      // Check breakpoint
-      if (this.breakpoints.has(i)) {
-        console.log(`\n🔴 Breakpoint at action ${i + 1}`);
+      // Breakpoints refer to workflow-level actions
+      if (depth === 0 && this.breakpoints.has(i)) {
+        this.logger.info(`\n🔴 Breakpoint at action ${i + 1}`);
         this.isPaused = true;
       }
 
@@ -224,178 +353,447 @@ export class WorkflowExecutor {
         await this.sleep(100);
       }
 
-      this.currentActionIndex = i;
+      if (depth === 0) {
+        this.currentActionIndex = i;
+      }
       const action = actions[i];
 
       // Log progress
       if (this.options.logProgress) {
-        console.log(`\n[${i + 1}/${actions.length}] ${action.name}`);
-        console.log('─'.repeat(50));
+        const indent = '  '.repeat(depth);
+        this.logger.info(`\n${indent}[${i + 1}/${actions.length}] ${action.name}${action.optional ? ' (optional)' : ''}`);
+        this.logger.info(indent + '─'.repeat(50));
       }
 
-      // Replace template variables
-      const processedAction = replaceTemplates(action, this.variables);
+      const shouldContinue = ControlActionTypes.includes(action.type)
+        ? await this.executeControlAction(action, depth)
+        : await this.runAction(action);
 
-      // Debug Mode: Capture BEFORE screenshot (Phase 7.3)
-      let beforeScreenshot = null;
-      if (this.debugMode) {
-        beforeScreenshot = await this.captureDebugScreenshot(i, 'before', action.name);
+      if (!shouldContinue) {
+        return false;
       }
 
-      // Execute action with retry logic and detailed tracking
-      const actionStartTime = Date.now();
-      const result = await this.executeActionWithRetry(processedAction);
-      const actionEndTime = Date.now();
-      const actionDuration = actionEndTime - actionStartTime;
-      
-      // Debug Mode: Capture AFTER screenshot (Phase 7.3)
-      let afterScreenshot = null;
-      if (this.debugMode) {
-        afterScreenshot = await this.captureDebugScreenshot(i, 'after', action.name);
-        
-        // Add debug info to result
-        this.debugScreenshots.push({
-          actionIndex: i,
-          actionName: action.name,
-          actionType: action.type,
-          before: beforeScreenshot,
-          after: afterScreenshot,
-          success: result.success,
-          method: result.method,
-          duration: actionDuration,
-          confidence: result.confidence || null,
-          error: result.error || null
-        });
+      // Delay between actions (except after last action)
+      if (i < actions.length - 1 && action.type !== ActionTypes.WAIT) {
+        await this.delayBetweenActions();
       }
+    }
+
+    return true;
+  }
 
-      // Create detailed action report
-      const actionReport = {
-        index: i,
-        name: action.name,
-        type: action.type,
+  /**
+   * Execute one page action and record it in the execution report
+   * @param {Object} action - Action to execute
+   * @returns {Promise<boolean>} False when the workflow must stop (stopOnError)
+   */
+  async runAction(action) {
+    // Report index counts executed actions, so nested and repeated actions get their own entry
+    const index = this.executionReport.actions.length;
+
+    // Replace template variables
+    const processedAction = replaceTemplates(action, this.variables);
+
+    // Debug Mode: Capture BEFORE screenshot (Phase 7.3)
+    let beforeScreenshot = null;
+    if (this.debugMode) {
+      beforeScreenshot = await this.captureDebugScreenshot(index, 'before', action.name);
+    }
+
+    // Execute action with retry logic and detailed tracking
+    const actionStartTime = Date.now();
+    const result = action.optional
+      ? await this.executeOptionalAction(processedAction)
+      : await this.executeActionWithRetry(processedAction);
+    const actionEndTime = Date.now();
+    const actionDuration = actionEndTime - actionStartTime;
+    
+    // Extracted values are available to later actions as {{variable}}
+    if (result.success && result.extracted) {
+      this.variables[result.extracted.variable] = result.extracted.value;
+      this.executionReport.extracted[result.extracted.variable] = result.extracted.value;
+    }
+    
+    // Debug Mode: Capture AFTER screenshot (Phase 7.3)
+    let afterScreenshot = null;
+    if (this.debugMode) {
+      afterScreenshot = await this.captureDebugScreenshot(index, 'after', action.name);
+      
+      // Add debug info to result
+      this.debugScreenshots.push({
+        actionIndex: index,
+        actionName: action.name,
+        actionType: action.type,
+        before: beforeScreenshot,
+        after: afterScreenshot,
         success: result.success,
         method: result.method,
         duration: actionDuration,
-        retries: result.retries || 0,
         confidence: result.confidence || null,
-        timestamp: new Date().toISOString(),
-        error: result.error || null,
-        errorDetails: result.errorDetails || null
-      };
-      
-      // Add to execution report
-      this.executionReport.actions.push(actionReport);
-      
-      // Update method stats
-      if (result.method && this.executionReport.methodStats[result.method]) {
-        this.executionReport.methodStats[result.method].count++;
-        this.executionReport.methodStats[result.method].totalTime += actionDuration;
+        error: result.error || null
+      });
+    }
+
+    // Create detailed action report
+    const actionReport = {
+      index,
+      name: action.name,
+      type: action.type,
+      success: result.success,
+      method: result.method,
+      duration: actionDuration,
+      retries: result.retries || 0,
+      confidence: result.confidence || null,
+      // Screenshot comparison scores of the candidates (threshold calibration)
+      similarity: result.similarity || null,
+      timestamp: new Date().toISOString(),
+      error: result.error || null,
+      errorDetails: result.errorDetails || null,
+      extracted: result.extracted || null,
+      skipped: result.skipped || false,
+      healing: result.healing?.reason || null
+    };
+    
+    // Add to execution report
+    this.executionReport.actions.push(actionReport);
+
+    // Screenshots stay out of the report, proposals are submitted separately
+    if (result.success && result.healing) {
+      this.collectHealingProposal(action, result.healing);
+    }
+    
+    // Update method stats
+    if (result.method && this.executionReport.methodStats[result.method]) {
+      this.executionReport.methodStats[result.method].count++;
+      this.executionReport.methodStats[result.method].totalTime += actionDuration;
+    }
+    
+    // Track errors with detailed information
+    if (!result.success) {
+      await this.logDetailedError(action, result, index);
+    }
+
+    // Store result (legacy format)
+    this.executionResults.push({
+      index,
+      action: action.name,
+      ...result,
+      timestamp: Date.now(),
+    });
+
+    // Log result
+    if (this.options.logProgress) {
+      if (result.skipped) {
+        this.logger.info(`⏭️  Skipped optional step (${result.reason})`);
+      } else if (result.success) {
+        const confidenceStr = result.confidence 
+          ? ` confidence: ${(result.confidence * 100).toFixed(1)}%` 
+          : '';
+        this.logger.info(`✅ Success (method: ${result.method}, time: ${actionDuration}ms, retries: ${result.retries || 0}${confidenceStr})`);
+      } else {
+        this.logger.info(`❌ Failed: ${result.error}`);
       }
-      
-      // Track errors with detailed information
-      if (!result.success) {
-        await this.logDetailedError(action, result, i);
+    }
+
+    // Stop on error if configured
+    if (!result.success && this.options.stopOnError) {
+      this.logger.info('\n⚠️  Stopping workflow due to error (stopOnError: true)');
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Keep healing data as a proposal for the action's micro-action
+   * Actions without a micro-action (or with step overrides of the visual data) and actions
+   * whose recorded text is a template are skipped: accepting would store run-specific values.
+   * @param {Object} action - Executed action (before template replacement)
+   * @param {Object} healing - result.healing from EnhancedVisualExecutor
+   */
+  collectHealingProposal(action, healing) {
+    const recordedText = (action.visual || action.params?.visual)?.text || '';
+    if (!action.micro_action_id || /\{\{.+?\}\}/.test(recordedText)) {
+      return;
+    }
+
+    this.healingProposals.push({
+      micro_action_id: action.micro_action_id,
+      action_name: action.name,
+      reason: healing.reason,
+      method: healing.method,
+      confidence: healing.confidence,
+      retries: healing.retries || 0,
+      visual: healing.visual,
+      backup_selector: healing.backup_selector || null,
+    });
+  }
+
+  /**
+   * Execute an optional action: skipped instead of failed when its element is not on the page
+   * @param {Object} action - Action with optional: true
+   * @returns {Promise<Object>} Execution result ({ success: true, skipped: true } when skipped)
+   */
+  async executeOptionalAction(action) {
+    const selector = action.backup_selector || action.params?.backup_selector || action.params?.selector;
+    const visual = action.visual || action.params?.visual;
+
+    // Check for the element once instead of running the full retry cycle for a missing dialog
+    if (selector || visual?.text) {
+      const found = await this.visualExecutor.isVisible(
+        { selector, visual, contextPath: getContextPath(action) },
+        OPTIONAL_ACTION_TIMEOUT
+      );
+      if (!found) {
+        return { success: true, skipped: true, method: 'skipped', reason: 'element not found' };
       }
+      return await this.executeActionWithRetry(action);
+    }
 
-      // Store result (legacy format)
-      this.executionResults.push({
-        index: i,
-        action: action.name,
-        ...result,
-        timestamp: Date.now(),
-      });
+    // Nothing to look for up front (e.g. navigate): a failure skips the action
+    const result = await this.executeActionWithRetry(action);
+    if (result.success) {
+      return result;
+    }
+    return { success: true, skipped: true, method: 'skipped', reason: result.error, retries: result.retries };
+  }
+
+  /**
+   * Execute an if/loop/call_workflow action
+   * @param {Object} action - Control action
+   * @param {number} depth - Nesting depth of the action
+   * @returns {Promise<boolean>} False when the workflow must not continue
+   */
+  async executeControlAction(action, depth) {
+    if (action.type === ActionTypes.CALL_WORKFLOW) {
+      return await this.executeSubWorkflow(action, depth);
+    }
+
+    const entry = {
+      name: action.name,
+      type: action.type,
+      atAction: this.executionReport.actions.length,
+    };
+    this.executionReport.controlFlow.push(entry);
+
+    if (action.type === ActionTypes.IF) {
+      const matched = await this.checkCondition(action, entry);
+      entry.branch = matched ? 'then' : 'else';
 
-      // Log result
       if (this.options.logProgress) {
-        if (result.success) {
-          const confidenceStr = result.confidence 
-            ? ` confidence: ${(result.confidence * 100).toFixed(1)}%` 
-            : '';
-          console.log(`✅ Success (method: ${result.method}, time: ${actionDuration}ms, retries: ${result.retries || 0}${confidenceStr})`);
-        } else {
-          console.log(`❌ Failed: ${result.error}`);
-        }
+        this.logger.info(`🔀 Condition ${matched ? 'met' : 'not met'} → ${entry.branch}`);
       }
 
-      // Stop on error if configured
-      if (!result.success && this.options.stopOnError) {
-        console.log('\n⚠️  Stopping workflow due to error (stopOnError: true)');
+      return await this.runActions(action[entry.branch] || [], depth + 1);
+    }
+
+    // Loops always end: at most maxIterations, capped by MAX_LOOP_ITERATIONS
+    const maxIterations = Math.min(Math.max(parseInt(action.maxIterations, 10) || 1, 1), MAX_LOOP_ITERATIONS);
+    entry.iterations = 0;
+
+    while (entry.iterations < maxIterations) {
+      // Re-evaluated every iteration: the page and the variables change while looping
+      if (action.condition && !(await this.checkCondition(action, entry))) {
         break;
       }
 
-      // Delay between actions (except after last action)
-      if (i < actions.length - 1 && action.type !== ActionTypes.WAIT) {
+      if (entry.iterations > 0) {
         await this.delayBetweenActions();
       }
+
+      entry.iterations++;
+      if (this.options.logProgress) {
+        this.logger.info(`🔁 Iteration ${entry.iterations}/${maxIterations}`);
+      }
+
+      if (!(await this.runActions(action.actions || [], depth + 1))) {
+        return false;
+      }
     }
 
-    // Calculate statistics
-    const endTime = Date.now();
-    const duration = endTime - startTime;
-    const stats = this.calculateStats();
-    
-    // Finalize execution report
-    this.executionReport.endTime = new Date().toISOString();
-    this.executionReport.duration = duration;
-    this.executionReport.overallStats = {
-      total: this.executionReport.actions.length,
-      successful: this.executionReport.actions.filter(a => a.success).length,
-      failed: this.executionReport.actions.filter(a => !a.success).length,
-      successRate: parseFloat(stats.successRate),
-      averageTime: stats.averageTime,
-      averageConfidence: this.calculateAverageConfidence()
+    if (action.condition && entry.iterations === maxIterations) {
+      entry.maxIterationsReached = true;
+      this.logger.info(`⚠️  Loop "${action.name}" stopped after ${maxIterations} iterations`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Run a called workflow (call_workflow action) with its own variables and report
+   * The sub-workflow sees a copy of the caller's variables plus its mapped params; only the
+   * variables listed in outputs are copied back. Its action reports are nested under one
+   * action of the caller's report.
+   * @param {Object} action - { workflowId, workflowName, version, params, outputs, actions }
+   * @param {number} depth - Nesting depth of the action
+   * @returns {Promise<boolean>} False when the workflow must not continue
+   */
+  async executeSubWorkflow(action, depth) {
+    const callerReport = this.executionReport;
+    const callerVariables = this.variables;
+    const startTime = Date.now();
+
+    const params = {};
+    for (const [name, value] of Object.entries(action.params || {})) {
+      params[name] = replaceTemplateString(value, callerVariables);
+    }
+
+    const subReport = {
+      workflowId: action.workflowId,
+      workflowName: action.workflowName || action.name,
+      version: action.version || null,
+      status: 'completed',
+      duration: 0,
+      actions: [],
+      extracted: {},
+      controlFlow: [],
+      cancelledAtAction: null,
+      // Shared with the caller so method stats and error logs cover the whole run
+      methodStats: callerReport.methodStats,
+      errors: callerReport.errors,
     };
 
-    // Generate debug report if in debug mode (Phase 7.3)
-    if (this.debugMode && this.debugScreenshots.length > 0) {
-      const debugReportPath = path.join(this.debugDir, `debug_report_${Date.now()}.html`);
-      await this.generateDebugReport(debugReportPath);
+    this.executionReport = subReport;
+    this.variables = { ...callerVariables, ...params };
+    let shouldContinue;
+    let subVariables;
+
+    try {
+      shouldContinue = await this.runActions(action.actions || [], depth + 1);
+    } finally {
+      subVariables = this.variables;
+      this.executionReport = callerReport;
+      this.variables = callerVariables;
     }
 
-    // Log summary
-    if (this.options.logProgress) {
-      console.log('\n╔═══════════════════════════════════════════════╗');
-      console.log('║        WORKFLOW EXECUTION COMPLETE            ║');
-      console.log('╚═══════════════════════════════════════════════╝\n');
-
-      console.log('📊 Execution Summary:');
-      console.log(`   Total actions: ${stats.total}`);
-      console.log(`   Successful: ${stats.successful} ✅`);
-      console.log(`   Failed: ${stats.failed} ❌`);
-      console.log(`   Success rate: ${stats.successRate}%`);
-      console.log(`   Duration: ${duration}ms (${(duration / 1000).toFixed(1)}s)`);
-      console.log(`   Average per action: ${stats.averageTime}ms`);
-      console.log(`   Average confidence: ${(this.executionReport.overallStats.averageConfidence * 100).toFixed(1)}%\n`);
-
-      console.log('🔍 Method Breakdown:');
-      Object.entries(this.executionReport.methodStats).forEach(([method, stats]) => {
-        if (stats.count > 0) {
-          const avgTime = (stats.totalTime / stats.count).toFixed(0);
-          console.log(`   ${method}: ${stats.count} actions (avg: ${avgTime}ms)`);
+    // outputs: { callerVariable: subWorkflowVariable }
+    for (const [callerName, subName] of Object.entries(action.outputs || {})) {
+      if (subVariables[subName] !== undefined) {
+        this.variables[callerName] = subVariables[subName];
+        if (subReport.extracted[subName] !== undefined) {
+          callerReport.extracted[callerName] = subVariables[subName];
         }
-      });
-      console.log('');
+      }
+    }
 
-      console.log('🔍 Enhanced Visual Executor Stats:');
-      const enhancedStats = this.visualExecutor.getEnhancedStats();
-      console.log(`   Selector-based: ${enhancedStats.enhanced.methodBreakdown.selector || 0}`);
-      console.log(`   Text-based: ${enhancedStats.enhanced.methodBreakdown.text || 0}`);
-      console.log(`   Visual-based: ${enhancedStats.enhanced.methodBreakdown.visual || 0}`);
-      console.log(`   Position-based: ${enhancedStats.enhanced.methodBreakdown.position || 0}`);
-      console.log(`   Retried actions: ${enhancedStats.enhanced.retriedActions}`);
-      console.log(`   Success rate: ${enhancedStats.enhanced.successRate}`);
-      console.log(`   Avg performance: ${enhancedStats.enhanced.performance.average}ms\n`);
+    const failedActions = subReport.actions.filter((a) => !a.success).length;
+    if (subReport.cancelledAtAction !== null) {
+      subReport.status = 'cancelled';
+      callerReport.cancelledAtAction = callerReport.actions.length;
+    } else if (failedActions > 0) {
+      subReport.status = 'failed';
     }
+    subReport.duration = Date.now() - startTime;
 
-    return {
-      success: stats.failed === 0,
-      duration,
-      results: this.executionResults,
-      stats,
-      visualStats: this.visualExecutor.getStats(),
-      enhancedStats: this.visualExecutor.getEnhancedStats(), // Phase 7.1 Part 2: Enhanced stats
-      executionReport: this.executionReport, // Phase 7.2: Include detailed report
-    };
+    const { methodStats: _methodStats, errors: _errors, ...nestedReport } = subReport;
+    const success = subReport.status === 'completed';
+    let error = null;
+    if (subReport.status === 'cancelled') {
+      error = `Sub-workflow "${nestedReport.workflowName}" was cancelled`;
+    } else if (!success) {
+      error = `Sub-workflow "${nestedReport.workflowName}" failed (${failedActions} failed action(s))`;
+    }
+
+    callerReport.actions.push({
+      index: callerReport.actions.length,
+      name: action.name,
+      type: action.type,
+      success,
+      method: 'call_workflow',
+      duration: subReport.duration,
+      retries: 0,
+      confidence: null,
+      timestamp: new Date().toISOString(),
+      error,
+      errorDetails: null,
+      extracted: null,
+      skipped: false,
+      subWorkflow: nestedReport
+    });
+
+    if (this.options.logProgress) {
+      this.logger.info(`${success ? '✅' : '❌'} Sub-workflow "${nestedReport.workflowName}" ${subReport.status}`);
+    }
+
+    return shouldContinue;
+  }
+
+  /**
+   * Evaluate the condition of an if/loop action; a condition that cannot be evaluated
+   * (e.g. unknown type) counts as not met and its error is recorded on the control-flow entry
+   * @param {Object} action - If/loop action
+   * @param {Object} entry - Control-flow entry of the action in the execution report
+   * @returns {Promise<boolean>} Whether the condition holds
+   */
+  async checkCondition(action, entry) {
+    try {
+      return await this.evaluateCondition(replaceTemplates(action, this.variables).condition);
+    } catch (error) {
+      entry.error = error.message;
+      this.logger.warn(`⚠️  Condition of "${action.name}" could not be evaluated, treating it as not met: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Evaluate an if/loop condition against the page and the template variables
+   * @param {Object} condition - { type: 'visible'|'text'|'variable', negate, timeout, ... }
+   * @returns {Promise<boolean>} Whether the condition holds
+   */
+  async evaluateCondition(condition) {
+    if (!condition) {
+      return true;
+    }
+
+    const timeout = condition.timeout ?? DEFAULT_CONDITION_TIMEOUT;
+    let result;
+
+    switch (condition.type) {
+      case ConditionTypes.VISIBLE: {
+        result = await this.visualExecutor.isVisible(condition, timeout);
+        break;
+      }
+
+      case ConditionTypes.TEXT: {
+        result = await this.pageContainsText(condition.text, timeout);
+        break;
+      }
+
+      case ConditionTypes.VARIABLE: {
+        const value = this.variables[condition.name];
+        result = condition.equals !== undefined
+          ? String(value ?? '') === String(condition.equals)
+          : value !== undefined && value !== null && value !== '';
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown condition type: ${condition.type}`);
+    }
+
+    return condition.negate ? !result : result;
+  }
+
+  /**
+   * Wait until the page contains a text (case-insensitive)
+   * @param {string} text - Text to look for
+   * @param {number} timeout - Max wait in milliseconds
+   * @returns {Promise<boolean>} True when found
+   */
+  async pageContainsText(text, timeout) {
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      const found = await this.page.evaluate(
+        (searchText) => (document.body?.innerText || '').toLowerCase().includes(searchText.toLowerCase()),
+        text
+      ).catch(() => false);
+
+      if (found || Date.now() >= deadline) {
+        return found;
+      }
+      await this.sleep(250);
+    }
   }
 
   /**
@@ -419,7 +817,7 @@ export class WorkflowExecutor {
 
         // Retry if configured
         if (this.options.retryOnFailure && retries < this.options.maxRetries) {
-          console.log(`   ⚠️  Retry ${retries + 1}/${this.options.maxRetries} after ${this.options.retryDelay}ms...`);
+          this.logger.info(`   ⚠️  Retry ${retries + 1}/${this.options.maxRetries} after ${this.options.retryDelay}ms...`);
           await this.sleep(this.options.retryDelay);
           retries++;
           continue;
@@ -431,8 +829,8 @@ export class WorkflowExecutor {
         lastError = error.message;
         
         if (this.options.retryOnFailure && retries < this.options.maxRetries) {
-          console.log(`   ⚠️  Error: ${error.message}`);
-          console.log(`   ⚠️  Retry ${retries + 1}/${this.options.maxRetries} after ${this.options.retryDelay}ms...`);
+          this.logger.info(`   ⚠️  Error: ${error.message}`);
+          this.logger.info(`   ⚠️  Retry ${retries + 1}/${this.options.maxRetries} after ${this.options.retryDelay}ms...`);
           await this.sleep(this.options.retryDelay);
           retries++;
           continue;
@@ -499,9 +897,30 @@ export class WorkflowExecutor {
         return { success: true, method: 'scroll' };
       }
 
+      case ActionTypes.EXTRACT: {
+        // The page URL needs no element (e.g. the permalink after publishing)
+        if ((action.params?.source || action.source) === 'page_url') {
+          return await this.visualExecutor.extractFromElement(null, action, 'page');
+        }
+        return await this.visualExecutor.executeAction(action);
+      }
+
+      case ActionTypes.KEYPRESS: {
+        // Keys recorded without a focused element (Escape to close a dialog) go to the page
+        const hasElement = action.visual || action.backup_selector ||
+          action.params?.visual || action.params?.backup_selector || action.params?.selector;
+        if (!hasElement) {
+          return await this.visualExecutor.pressKey(action, 'keyboard');
+        }
+        return await this.visualExecutor.executeAction(action);
+      }
+
       case ActionTypes.CLICK:
       case ActionTypes.TYPE:
-      case ActionTypes.UPLOAD: {
+      case ActionTypes.UPLOAD:
+      case ActionTypes.SUBMIT:
+      case ActionTypes.HOVER:
+      case ActionTypes.DRAG: {
         // Delegate to visual executor
         return await this.visualExecutor.executeAction(action);
       }
@@ -615,6 +1034,7 @@ export class WorkflowExecutor {
   reset() {
     this.currentActionIndex = 0;
     this.executionResults = [];
+    this.healingProposals = [];
     this.isPaused = false;
     this.isStopped = false;
     this.visualExecutor.resetStats();
@@ -655,7 +1075,7 @@ export class WorkflowExecutor {
       
       return filepath;
     } catch (error) {
-      console.log(`   ⚠️  Could not capture debug screenshot: ${error.message}`);
+      this.logger.info(`   ⚠️  Could not capture debug screenshot: ${error.message}`);
       return null;
     }
   }
@@ -693,7 +1113,7 @@ export class WorkflowExecutor {
         }
       }, selector);
     } catch (error) {
-      console.log(`   ⚠️  Could not highlight element: ${error.message}`);
+      this.logger.info(`   ⚠️  Could not highlight element: ${error.message}`);
     }
   }
   
@@ -928,11 +1348,11 @@ export class WorkflowExecutor {
       }
       
       fs.writeFileSync(outputPath, html);
-      console.log(`\n📄 Debug report generated: ${outputPath}`);
+      this.logger.info(`\n📄 Debug report generated: ${outputPath}`);
       
       return true;
     } catch (error) {
-      console.error(`\n❌ Failed to generate debug report: ${error.message}`);
+      this.logger.error(`\n❌ Failed to generate debug report: ${error.message}`);
       return false;
     }
   }
@@ -980,7 +1400,7 @@ export class WorkflowExecutor {
       errorScreenshot = screenshotPath;
       
     } catch (captureError) {
-      console.log(`   ⚠️  Could not capture error details: ${captureError.message}`);
+      this.logger.info(`   ⚠️  Could not capture error details: ${captureError.message}`);
     }
     
     // Build detailed error object
@@ -1022,28 +1442,28 @@ export class WorkflowExecutor {
     
     // Log detailed error
     if (this.options.logProgress) {
-      console.log(`\n   🔍 Detailed Error Information:`);
-      console.log(`   ├─ Error ID: ${errorId}`);
-      console.log(`   ├─ Action: ${action.name} (${action.type})`);
-      console.log(`   ├─ Method tried: ${result.method}`);
+      this.logger.info(`\n   🔍 Detailed Error Information:`);
+      this.logger.info(`   ├─ Error ID: ${errorId}`);
+      this.logger.info(`   ├─ Action: ${action.name} (${action.type})`);
+      this.logger.info(`   ├─ Method tried: ${result.method}`);
       
       if (errorDetails.searchCriteria.text) {
-        console.log(`   ├─ Searched for text: "${errorDetails.searchCriteria.text}"`);
+        this.logger.info(`   ├─ Searched for text: "${errorDetails.searchCriteria.text}"`);
       }
       if (errorDetails.searchCriteria.position) {
-        console.log(`   ├─ Position: (${errorDetails.searchCriteria.position.relative?.x}%, ${errorDetails.searchCriteria.position.relative?.y}%)`);
+        this.logger.info(`   ├─ Position: (${errorDetails.searchCriteria.position.relative?.x}%, ${errorDetails.searchCriteria.position.relative?.y}%)`);
       }
       if (errorDetails.searchCriteria.selector) {
-        console.log(`   ├─ Selector: ${errorDetails.searchCriteria.selector}`);
+        this.logger.info(`   ├─ Selector: ${errorDetails.searchCriteria.selector}`);
       }
       
       if (pageState) {
-        console.log(`   ├─ Current page: ${pageState.url}`);
-        console.log(`   ├─ Elements on page: ${pageState.elementCount}`);
+        this.logger.info(`   ├─ Current page: ${pageState.url}`);
+        this.logger.info(`   ├─ Elements on page: ${pageState.elementCount}`);
       }
       
       if (errorScreenshot) {
-        console.log(`   └─ Screenshot saved: ${errorScreenshot}`);
+        this.logger.info(`   └─ Screenshot saved: ${errorScreenshot}`);
       }
     }
     
@@ -1052,7 +1472,7 @@ export class WorkflowExecutor {
       const errorLogPath = path.join(this.errorLogDir, `${errorId}.json`);
       fs.writeFileSync(errorLogPath, JSON.stringify(errorDetails, null, 2));
     } catch (writeError) {
-      console.log(`   ⚠️  Could not save error log: ${writeError.message}`);
+      this.logger.info(`   ⚠️  Could not save error log: ${writeError.message}`);
     }
   }
   
@@ -1093,10 +1513,10 @@ export class WorkflowExecutor {
       }
       
       fs.writeFileSync(filepath, JSON.stringify(this.executionReport, null, 2));
-      console.log(`\n📄 Execution report saved to: ${filepath}`);
+      this.logger.info(`\n📄 Execution report saved to: ${filepath}`);
       return true;
     } catch (error) {
-      console.error(`\n❌ Failed to export execution report: ${error.message}`);
+      this.logger.error(`\n❌ Failed to export execution report: ${error.message}`);
       return false;
     }
   }
@@ -1147,6 +1567,8 @@ export class WorkflowExecutor {
         // Full report for complete data
         full_report: report,
         
+        status: report.status,
+
         // Metadata
         client_id: metadata.clientId || null,
         agent_version: metadata.agentVersion || null
@@ -1163,7 +1585,7 @@ export class WorkflowExecutor {
         throw error;
       }
       
-      console.log(`\n💾 Execution report saved to database (ID: ${data.id})`);
+      this.logger.info(`\n💾 Execution report saved to database (ID: ${data.id})`);
       
       // Optionally update job with report ID
       if (metadata.jobId && data.id) {
@@ -1189,7 +1611,7 @@ export class WorkflowExecutor {
       return { success: true, reportId: data.id, data };
       
     } catch (error) {
-      console.error(`\n❌ Failed to save execution report to database: ${error.message}`);
+      this.logger.error(`\n❌ Failed to save execution report to database: ${error.message}`);
       return { success: false, error: error.message };
     }
   }
@@ -1232,12 +1654,12 @@ export class WorkflowExecutor {
       
       const result = await response.json();
       
-      console.log(`\n📡 Execution report sent to API: ${apiUrl}`);
+      this.logger.info(`\n📡 Execution report sent to API: ${apiUrl}`);
       
       return { success: true, response: result };
       
     } catch (error) {
-      console.error(`\n❌ Failed to send execution report to API: ${error.message}`);
+      this.logger.error(`\n❌ Failed to send execution report to API: ${error.message}`);
       return { success: false, error: error.message };
     }
   }
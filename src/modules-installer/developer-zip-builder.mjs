@@ -268,6 +268,16 @@ LOG_LEVEL=info
 POLLING_INTERVAL=10000
 MAX_JOBS_PER_CYCLE=5
 IDLE_TIMEOUT=300000
+JOB_LEASE_SECONDS=120
+MAX_CONCURRENT_JOBS=0
+PLATFORM_CONCURRENCY=
+SHUTDOWN_TIMEOUT=300000
+PUSH_CHANNEL=true
+STREAM_POLLING_INTERVAL=60000
+LOG_SHIPPING=true
+LOG_SHIPPING_LEVEL=info
+OCR_LANG_PATH=
+OCR_LANGUAGE=eng
 
 # Installation
 DOWNLOAD_TOKEN=${downloadToken || ''}
@@ -369,6 +379,8 @@ AGENT_VERSION=1.0.0
         'pixelmatch': '^5.3.0',
         'pngjs': '^7.0.0',
         'jimp': '^0.22.10',
+        'tesseract.js': '^5.0.4',
+        'fuse.js': '^7.0.0',
       },
     };
     const packageJsonPath = path.join(buildDir, 'package.json');
@@ -407,6 +419,16 @@ LOG_LEVEL=info
 POLLING_INTERVAL=10000
 MAX_JOBS_PER_CYCLE=5
 IDLE_TIMEOUT=300000
+JOB_LEASE_SECONDS=120
+MAX_CONCURRENT_JOBS=0
+PLATFORM_CONCURRENCY=
+SHUTDOWN_TIMEOUT=300000
+PUSH_CHANNEL=true
+STREAM_POLLING_INTERVAL=60000
+LOG_SHIPPING=true
+LOG_SHIPPING_LEVEL=info
+OCR_LANG_PATH=
+OCR_LANGUAGE=eng
 
 # Installation
 DOWNLOAD_TOKEN=${downloadToken || ''}
@@ -1,5 +1,5 @@
 import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
-import { populateMicroActions, convertWorkflowToActions } from '@modules-logic/utils/workflow-converter.js';
+import { buildExecutableWorkflow, findActiveWorkflow } from '@modules-logic/services/workflows';
 
 const supabase = createSupabaseServiceRoleClient();
 
@@ -332,58 +332,15 @@ export async function loginAccount(userId, accountId) {
     throw new Error('Account not found or access denied');
   }
 
-  // Find auth workflow for this platform
-  const { data: workflows, error: workflowError } = await supabase
-    .from('workflows')
-    .select('*')
-    .eq('platform', account.platform)
-    .eq('type', 'auth')
-    .eq('is_active', true)
-    .order('created_at', { ascending: false })
-    .limit(1);
-
-  if (workflowError) {
-    throw new Error(`Failed to find auth workflow: ${workflowError.message}`);
-  }
+  // Find auth workflow for this platform (the user's private one first)
+  const authWorkflow = await findActiveWorkflow(account.platform, 'auth', userId);
 
-  if (!workflows || workflows.length === 0) {
+  if (!authWorkflow) {
     throw new Error(`No auth workflow found for platform: ${account.platform}. Please create an auth workflow first.`);
   }
 
-  let authWorkflow = workflows[0];
-
-  // Parse steps if it's a string (JSONB fields might be returned as strings)
-  if (authWorkflow.steps && typeof authWorkflow.steps === 'string') {
-    try {
-      authWorkflow.steps = JSON.parse(authWorkflow.steps);
-    } catch (parseError) {
-      throw new Error(`Failed to parse workflow steps: ${parseError.message}`);
-    }
-  }
-
-  // Populate micro_actions in workflow steps
-  if (authWorkflow.steps && Array.isArray(authWorkflow.steps)) {
-    const microActionIds = authWorkflow.steps
-      .map((step) => step.micro_action_id)
-      .filter(Boolean);
-
-    if (microActionIds.length > 0) {
-      const { data: microActions, error: microActionsError } = await supabase
-        .from('micro_actions')
-        .select('id, name, type, platform, params')
-        .in('id', microActionIds);
-
-      if (microActionsError) {
-        throw new Error(`Failed to load micro-actions: ${microActionsError.message}`);
-      }
-
-      // Populate micro_actions in steps
-      authWorkflow = populateMicroActions(authWorkflow, microActions || []);
-    }
-  }
-
   // Convert workflow from database format (steps) to execution format (actions)
-  const convertedWorkflow = convertWorkflowToActions(authWorkflow);
+  const convertedWorkflow = await buildExecutableWorkflow(authWorkflow);
 
   // MVP: No need to change status for verification
   // Keep account status as-is (typically 'active')
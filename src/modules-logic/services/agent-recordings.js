@@ -0,0 +1,134 @@
+// Agent recording service (migration 028)
+// Queues 'record' jobs for a user's agent and saves what the agent recorded as a private
+// workflow of the user
+
+import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import { optimizeVisualData } from '@modules-logic/utils/visual-data-optimizer.js';
+import {
+  buildRecordingDeepLink,
+  normalizeRecordingRequest,
+  toMicroActionRows,
+} from '@modules-logic/utils/agent-recordings.js';
+import { findActiveWorkflow } from '@modules-logic/services/workflows';
+
+const supabase = createSupabaseServiceRoleClient();
+
+// A record job nobody picked up within an hour is dropped (the user is not waiting anymore)
+const RECORD_JOB_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Queue a recording on one of the user's agents
+ * The agent opens a browser at the URL and records until the user closes it. Without
+ * client_id any agent of the user may pick up the job.
+ * @param {string} userId - Supabase auth user ID
+ * @param {Object} request - { platform, url, name, workflow_type, client_id }
+ * @returns {Promise<Object>} { job, deepLink } - deepLink starts the same recording on the local agent
+ */
+export async function startAgentRecording(userId, request) {
+  const recording = normalizeRecordingRequest(request);
+
+  if (request.client_id) {
+    const { data: client, error: clientError } = await supabase
+      .from('clients')
+      .select('client_id')
+      .eq('user_id', userId)
+      .eq('client_id', request.client_id)
+      .maybeSingle();
+
+    if (clientError) {
+      throw new Error(`Failed to verify client: ${clientError.message}`);
+    }
+    if (!client) {
+      throw new Error('Invalid client_id: client not found or access denied');
+    }
+  }
+
+  const { data: job, error } = await supabase
+    .from('jobs')
+    .insert({
+      user_id: userId,
+      job_type: 'record',
+      status: 'queued',
+      content: { ...recording, client_id: request.client_id || null },
+      expires_at: new Date(Date.now() + RECORD_JOB_TTL_MS).toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create recording job: ${error.message}`);
+  }
+
+  return { job, deepLink: buildRecordingDeepLink(recording) };
+}
+
+/**
+ * Save micro-actions recorded by an agent as a private workflow of the agent's user
+ * Non-auth workflows run behind the user's auth workflow (private or shared) when there is one.
+ * @param {Object} client - Agent that recorded ({ client_id, user_id })
+ * @param {Object} recording - { platform, url, name, workflow_type }
+ * @param {Array<Object>} microActions - Micro-actions converted by the recorder
+ * @returns {Promise<Object>} { workflow, microActionCount }
+ */
+export async function saveAgentRecording(client, recording, microActions) {
+  const request = normalizeRecordingRequest(recording);
+  const rows = toMicroActionRows(microActions, request.platform);
+
+  // Same size limits as micro-actions imported from the admin UI
+  const optimizedRows = [];
+  for (const row of rows) {
+    const params = row.params.visual
+      ? await optimizeVisualData(row.params, { quality: 80, maxWidth: 400, maxHeight: 400 })
+      : row.params;
+    optimizedRows.push({
+      ...row,
+      params,
+      owner_id: client.user_id,
+      created_by: client.user_id,
+      is_active: true,
+      version: '1.0.0',
+    });
+  }
+
+  const { data: created, error: microActionsError } = await supabase
+    .from('micro_actions')
+    .insert(optimizedRows)
+    .select('id');
+
+  if (microActionsError) {
+    throw new Error(`Failed to save recorded micro-actions: ${microActionsError.message}`);
+  }
+
+  const authWorkflow = request.workflow_type === 'auth'
+    ? null
+    : await findActiveWorkflow(request.platform, 'auth', client.user_id);
+
+  const { data: workflow, error: workflowError } = await supabase
+    .from('workflows')
+    .insert({
+      name: request.name,
+      description: `Recorded with agent ${client.client_id} on ${request.url}`,
+      platform: request.platform,
+      type: request.workflow_type,
+      // Steps marked optional in the recording overlay are skipped when their element is missing
+      steps: created.map((microAction, index) => ({
+        micro_action_id: microAction.id,
+        params_override: {},
+        ...(microActions[index].optional ? { optional: true } : {}),
+      })),
+      requires_auth: Boolean(authWorkflow),
+      auth_workflow_id: authWorkflow?.id || null,
+      is_active: true,
+      owner_id: client.user_id,
+      created_by: client.user_id,
+      version: '1.0.0',
+    })
+    .select('id, name, platform, type, owner_id, created_at')
+    .single();
+
+  if (workflowError) {
+    throw new Error(`Failed to save recorded workflow: ${workflowError.message}`);
+  }
+
+  return { workflow, microActionCount: created.length };
+}
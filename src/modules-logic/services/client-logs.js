@@ -0,0 +1,128 @@
+// Client agent logs (migration 010)
+// Agents ship their log entries in batches; users search them per client
+
+import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import {
+  CLIENT_LOG_LEVELS,
+  UUID_PATTERN,
+  filterClientLogEntries,
+  getClientLogJobIds,
+  toClientLogRows,
+} from '@modules-logic/utils/client-logs.js';
+
+export { CLIENT_LOG_LEVELS, MAX_LOG_BATCH_SIZE } from '@modules-logic/utils/client-logs.js';
+
+const supabase = createSupabaseServiceRoleClient();
+const MAX_SEARCH_LIMIT = 500;
+
+/**
+ * Store a batch of log entries sent by an agent
+ * Entries referencing jobs of another user (or deleted jobs) are stored without job_id.
+ * @param {Object} client - Authenticated client row (client_id, user_id)
+ * @param {Array<Object>} entries - [{ level, message, timestamp, jobId, context }]
+ * @returns {Promise<Object>} { inserted, rejected }
+ */
+export async function insertClientLogs(client, entries) {
+  const valid = filterClientLogEntries(entries);
+
+  if (valid.length === 0) {
+    return { inserted: 0, rejected: entries.length };
+  }
+
+  // Only keep job references to this user's jobs
+  const jobIds = getClientLogJobIds(valid);
+  let knownJobIds = new Set();
+
+  if (jobIds.length > 0) {
+    const { data: jobs, error: jobsError } = await supabase
+      .from('jobs')
+      .select('id')
+      .eq('user_id', client.user_id)
+      .in('id', jobIds);
+
+    if (jobsError) {
+      throw new Error(`Failed to verify log jobs: ${jobsError.message}`);
+    }
+
+    knownJobIds = new Set((jobs || []).map(job => job.id));
+  }
+
+  const rows = toClientLogRows(client, valid, knownJobIds);
+
+  const { error } = await supabase.from('client_logs').insert(rows);
+
+  if (error) {
+    throw new Error(`Failed to store logs: ${error.message}`);
+  }
+
+  return { inserted: rows.length, rejected: entries.length - rows.length };
+}
+
+/**
+ * Search the logs of one of the user's clients, newest first
+ * @param {string} userId - Supabase auth user ID
+ * @param {string} clientId - Client ID (UUID)
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.search - Full-text search on the message (web search syntax)
+ * @param {string} filters.level - Only this level
+ * @param {string} filters.jobId - Only logs of this job
+ * @param {string} filters.before - Only logs older than this timestamp (paging)
+ * @param {number} filters.limit - Max entries (default 100)
+ * @returns {Promise<Object>} { logs, hasMore }
+ */
+export async function searchClientLogs(userId, clientId, filters = {}) {
+  const { data: client, error: clientError } = await supabase
+    .from('clients')
+    .select('client_id')
+    .eq('id', clientId)
+    .eq('user_id', userId)
+    .single();
+
+  if (clientError || !client) {
+    throw new Error('Client not found or access denied');
+  }
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), MAX_SEARCH_LIMIT);
+
+  let query = supabase
+    .from('client_logs')
+    .select('id, job_id, level, message, context, created_at')
+    .eq('client_id', client.client_id)
+    .order('created_at', { ascending: false })
+    .limit(limit + 1);
+
+  if (filters.level) {
+    if (!CLIENT_LOG_LEVELS.includes(filters.level)) {
+      throw new Error(`Invalid log level: ${filters.level}`);
+    }
+    query = query.eq('level', filters.level);
+  }
+
+  if (filters.jobId) {
+    if (!UUID_PATTERN.test(filters.jobId)) {
+      throw new Error(`Invalid job ID: ${filters.jobId}`);
+    }
+    query = query.eq('job_id', filters.jobId);
+  }
+
+  if (filters.before) {
+    query = query.lt('created_at', filters.before);
+  }
+
+  if (filters.search?.trim()) {
+    // Matches the to_tsvector('english', message) GIN index
+    query = query.textSearch('message', filters.search.trim(), { config: 'english', type: 'websearch' });
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to search logs: ${error.message}`);
+  }
+
+  const logs = data || [];
+  return {
+    logs: logs.slice(0, limit),
+    hasMore: logs.length > limit,
+  };
+}
@@ -0,0 +1,137 @@
+// Client push channel (migration 023)
+// Turns Supabase Realtime changes into messages for one connected agent
+
+import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import { toAgentSettings } from '@modules-logic/services/clients';
+
+export const CLIENT_STREAM_MESSAGES = {
+  JOB_AVAILABLE: 'job-available',
+  CANCEL_JOB: 'cancel-job',
+  CONFIG_CHANGED: 'config-changed',
+  ROTATE_TOKEN: 'rotate-token',
+  TOKEN_REVOKED: 'token-revoked',
+};
+
+const DEFAULT_STREAM_MAX_SECONDS = 300;
+
+/**
+ * Maximum lifetime of one stream connection; agents reconnect afterwards
+ * Keeps connections below serverless function time limits
+ * Configurable via CLIENT_STREAM_MAX_SECONDS
+ * @returns {number} Seconds
+ */
+export function getClientStreamMaxSeconds() {
+  const value = parseInt(process.env.CLIENT_STREAM_MAX_SECONDS, 10);
+  return Number.isNaN(value) || value < 30 ? DEFAULT_STREAM_MAX_SECONDS : value;
+}
+
+/**
+ * Map a jobs change to a message for the client
+ * @param {Object} client - Connected client (client_id)
+ * @param {Object} payload - Realtime postgres_changes payload
+ * @returns {Object|null} Message or null when the client does not care
+ */
+export function jobChangeToMessage(client, payload) {
+  const job = payload.new;
+  if (!job?.id) {
+    return null;
+  }
+
+  // New or requeued work: the agent polls /jobs/pending, which applies routing
+  if (job.status === 'queued') {
+    return {
+      type: CLIENT_STREAM_MESSAGES.JOB_AVAILABLE,
+      jobId: job.id,
+      scheduledFor: job.scheduled_for || null,
+    };
+  }
+
+  // Only the client holding the job can stop it
+  if (payload.eventType === 'UPDATE' && job.status === 'cancelled' && job.claimed_by === client.client_id) {
+    return {
+      type: CLIENT_STREAM_MESSAGES.CANCEL_JOB,
+      jobId: job.id,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Map a change of the client row to a message for the client
+ * Only server-scheduled rotations hand the new token over. A token regenerated by the user
+ * revokes the old one: the stream is closed and the agent has to be registered again.
+ * @param {string} currentToken - Token the stream was opened or last rotated with
+ * @param {Object} payload - Realtime postgres_changes payload
+ * @returns {Object|null} Message or null when the token did not change
+ */
+export function clientChangeToMessage(currentToken, payload) {
+  const apiToken = payload.new?.api_token;
+  if (!apiToken || apiToken === currentToken) {
+    return null;
+  }
+
+  if (payload.new.token_rotation === 'scheduled') {
+    return {
+      type: CLIENT_STREAM_MESSAGES.ROTATE_TOKEN,
+      apiToken,
+      tokenExpiresAt: payload.new.token_expires_at || null,
+    };
+  }
+
+  return { type: CLIENT_STREAM_MESSAGES.TOKEN_REVOKED };
+}
+
+/**
+ * Subscribe to the changes a connected agent must hear about
+ * @param {Object} client - Authenticated client row (id, user_id, client_id, api_token)
+ * @param {Function} onMessage - Called with { type, ... } for every message
+ * @param {Function} onStatus - Called with the realtime subscription status (SUBSCRIBED, CHANNEL_ERROR, ...)
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToClientEvents(client, onMessage, onStatus = () => {}) {
+  // Own Supabase client per stream so closing it never affects other requests
+  const supabase = createSupabaseServiceRoleClient();
+  let currentToken = client.api_token;
+
+  const channel = supabase
+    .channel(`client-stream:${client.client_id}`)
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'jobs', filter: `user_id=eq.${client.user_id}` },
+      (payload) => {
+        const message = jobChangeToMessage(client, payload);
+        if (message) {
+          onMessage(message);
+        }
+      }
+    )
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'user_preferences', filter: `user_id=eq.${client.user_id}` },
+      (payload) => {
+        onMessage({
+          type: CLIENT_STREAM_MESSAGES.CONFIG_CHANGED,
+          settings: toAgentSettings(payload.new?.preferences),
+        });
+      }
+    )
+    .on(
+      'postgres_changes',
+      { event: 'UPDATE', schema: 'public', table: 'clients', filter: `id=eq.${client.id}` },
+      (payload) => {
+        const message = clientChangeToMessage(currentToken, payload);
+        if (message) {
+          currentToken = payload.new.api_token;
+          onMessage(message);
+        }
+      }
+    )
+    .subscribe((status) => onStatus(status));
+
+  return () => {
+    supabase.removeChannel(channel).catch(() => {
+      // Connection is going away anyway
+    });
+  };
+}
@@ -2,9 +2,15 @@
 
 import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
 import { v4 as uuidv4 } from 'uuid';
+import { matchClientToken, toScheduledTokenRotation, REVOKE_PREVIOUS_TOKEN } from '@modules-logic/utils/client-tokens.js';
 
 const supabase = createSupabaseServiceRoleClient();
 
+const TOKEN_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Tokens are rotated by the heartbeat once they expire within this window
+const TOKEN_ROTATION_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+
 /**
  * Generate a secure API token for a client
  * @returns {string} API token
@@ -271,12 +277,14 @@ export async function regenerateClientToken(userId, clientId) {
   // Set new token expiration (90 days from now)
   const tokenExpiresAt = new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString();
 
-  // Update client with new token
+  // Update client with new token; the push channel closes the old token's stream (migration 029)
   const { data: client, error } = await supabase
     .from('clients')
     .update({
       api_token: apiToken,
       token_expires_at: tokenExpiresAt,
+      token_rotation: 'manual',
+      ...REVOKE_PREVIOUS_TOKEN,
     })
     .eq('id', clientId)
     .eq('user_id', userId)
@@ -291,6 +299,76 @@ export async function regenerateClientToken(userId, clientId) {
   return client;
 }
 
+/**
+ * Rotate a client's API token when it expires soon (server-scheduled rotation)
+ * The agent gets the new token from the heartbeat response and the push channel (rotate-token).
+ * The old token stays valid for PREVIOUS_TOKEN_GRACE_MS (migration 031). The compare-and-set on the old token keeps concurrent heartbeats from rotating twice.
+ * @param {Object} client - Client row (id, api_token, token_expires_at)
+ * @returns {Promise<Object|null>} { apiToken, tokenExpiresAt }, or null when no rotation is due
+ */
+export async function rotateExpiringClientToken(client) {
+  if (!client.token_expires_at || new Date(client.token_expires_at).getTime() - Date.now() > TOKEN_ROTATION_WINDOW_MS) {
+    return null;
+  }
+
+  const apiToken = generateApiToken();
+  const tokenExpiresAt = new Date(Date.now() + TOKEN_TTL_MS).toISOString();
+
+  const { data: rotated, error } = await supabase
+    .from('clients')
+    .update(toScheduledTokenRotation(client, apiToken, tokenExpiresAt))
+    .eq('id', client.id)
+    .eq('api_token', client.api_token)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to rotate token: ${error.message}`);
+  }
+
+  return rotated ? { apiToken, tokenExpiresAt } : null;
+}
+
+// Columns authenticateClient reads besides the requested ones
+const TOKEN_COLUMNS = ['api_token', 'previous_api_token', 'previous_api_token_expires_at'];
+
+/**
+ * Authenticate an agent request by client ID and API token
+ * Accepts the token replaced by a scheduled rotation during its grace period (migration 031).
+ * @param {string} clientId - Client ID string from X-Client-ID (e.g., "client_abc123")
+ * @param {string} apiToken - Token from the Authorization header
+ * @param {string} columns - Client columns to return
+ * @returns {Promise<Object|null>} Requested columns plus tokenMatch ('current' or 'previous'),
+ *   or null when the credentials are invalid
+ */
+export async function authenticateClient(clientId, apiToken, columns = 'id, user_id, client_id') {
+  if (!clientId || !apiToken) {
+    return null;
+  }
+
+  const requested = columns.split(',').map((column) => column.trim()).filter(Boolean);
+  const { data: client, error } = await supabase
+    .from('clients')
+    .select([...new Set([...requested, ...TOKEN_COLUMNS])].join(', '))
+    .eq('client_id', clientId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to authenticate client: ${error.message}`);
+  }
+
+  const tokenMatch = matchClientToken(client, apiToken);
+  if (!tokenMatch) {
+    return null;
+  }
+
+  const authenticated = { tokenMatch };
+  requested.forEach((column) => {
+    authenticated[column] = client[column];
+  });
+  return authenticated;
+}
+
 /**
  * Update client heartbeat (last_seen and last_heartbeat)
  * @param {string} clientIdString - Client ID string (e.g., "client_abc123")
@@ -298,15 +376,10 @@ export async function regenerateClientToken(userId, clientId) {
  * @returns {Promise<Object>} Updated client object
  */
 export async function updateClientHeartbeat(clientIdString, apiToken) {
-  // Verify client exists and token matches
-  const { data: client, error: checkError } = await supabase
-    .from('clients')
-    .select('*')
-    .eq('client_id', clientIdString)
-    .eq('api_token', apiToken)
-    .single();
+  // Verify client exists and token matches (or the previous token after a rotation)
+  const client = await authenticateClient(clientIdString, apiToken, 'id, token_expires_at');
 
-  if (checkError || !client) {
+  if (!client) {
     throw new Error('Invalid client ID or API token');
   }
 
@@ -335,3 +408,32 @@ export async function updateClientHeartbeat(clientIdString, apiToken) {
   const { api_token, ...clientData } = updatedClient;
   return clientData;
 }
+
+/**
+ * Extract the agent settings pushed to clients from a user's preferences
+ * @param {Object} preferences - user_preferences.preferences
+ * @returns {Object} { maxConcurrentJobs, platformConcurrency }
+ */
+export function toAgentSettings(preferences) {
+  const agentPreferences = preferences?.agent || {};
+  return {
+    maxConcurrentJobs: agentPreferences.maxConcurrentJobs || 1,
+    platformConcurrency: agentPreferences.platformConcurrency || {},
+  };
+}
+
+/**
+ * Get the agent settings of a user (user_preferences.preferences.agent)
+ * Missing preferences fall back to defaults
+ * @param {string} userId - Supabase auth user ID
+ * @returns {Promise<Object>} { maxConcurrentJobs, platformConcurrency }
+ */
+export async function getAgentSettings(userId) {
+  const { data } = await supabase
+    .from('user_preferences')
+    .select('preferences')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  return toAgentSettings(data?.preferences);
+}
@@ -0,0 +1,238 @@
+// Dead-letter queue service (migration 022)
+
+import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import {
+  DEAD_LETTER_REASONS,
+  isRequeueableJob,
+  toDeadLetterNotifications,
+} from '@modules-logic/utils/dead-letter.js';
+
+const supabase = createSupabaseServiceRoleClient();
+
+export const DEAD_LETTER_STATUS = 'dead_letter';
+
+export { DEAD_LETTER_REASONS };
+
+// Requeued jobs get a fresh expiry window, like newly created jobs
+const REQUEUE_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+
+function normalizeJobIds(jobIds) {
+  if (!Array.isArray(jobIds) || jobIds.length === 0) {
+    throw new Error('jobIds must be a non-empty array');
+  }
+  return [...new Set(jobIds)];
+}
+
+/**
+ * Check whether the user wants to hear about failed jobs (user_preferences, migration 011)
+ * @param {Array<string>} userIds - Supabase auth user IDs
+ * @returns {Promise<Set<string>>} Users that opted out
+ */
+async function getOptedOutUserIds(userIds) {
+  const { data, error } = await supabase
+    .from('user_preferences')
+    .select('user_id, preferences')
+    .in('user_id', userIds);
+
+  if (error) {
+    // Missing preferences must not suppress notifications
+    console.error('Failed to load notification preferences:', error);
+    return new Set();
+  }
+
+  return new Set(
+    (data || [])
+      .filter((row) => row.preferences?.notifications?.jobFailed === false)
+      .map((row) => row.user_id)
+  );
+}
+
+/**
+ * Create in-app notifications for jobs that landed in the dead-letter queue
+ * One notification per user and job type, worded for the job type
+ * @param {Array<Object>} deadLettered - Rows from sweep_dead_letter_jobs ({ job_id, job_user_id, reason, job_type })
+ * @returns {Promise<number>} Number of notifications created
+ */
+export async function notifyDeadLetteredJobs(deadLettered) {
+  if (!deadLettered?.length) {
+    return 0;
+  }
+
+  const userIds = [...new Set(deadLettered.map((row) => row.job_user_id))];
+  const optedOut = await getOptedOutUserIds(userIds);
+  const notifications = toDeadLetterNotifications(deadLettered, optedOut);
+
+  if (notifications.length === 0) {
+    return 0;
+  }
+
+  const { error } = await supabase.from('notifications').insert(notifications);
+
+  if (error) {
+    throw new Error(`Failed to create notifications: ${error.message}`);
+  }
+
+  return notifications.length;
+}
+
+/**
+ * Move expired queued jobs and failed jobs that will not be retried to the dead-letter queue
+ * and notify their owners
+ * @param {Object} options
+ * @param {string} options.userId - Only sweep this user's jobs (all users when omitted)
+ * @returns {Promise<Object>} { count, jobs: [{ job_id, job_user_id, reason, job_type }] }
+ */
+export async function sweepDeadLetterJobs({ userId = null } = {}) {
+  const { data, error } = await supabase.rpc('sweep_dead_letter_jobs', {
+    p_user_id: userId,
+  });
+
+  if (error) {
+    throw new Error(`Failed to sweep dead-letter jobs: ${error.message}`);
+  }
+
+  const jobs = data || [];
+
+  if (jobs.length > 0) {
+    try {
+      await notifyDeadLetteredJobs(jobs);
+    } catch (notifyError) {
+      // The jobs are already moved; a lost notification must not fail the sweep
+      console.error('Failed to notify dead-lettered jobs:', notifyError);
+    }
+  }
+
+  return { count: jobs.length, jobs };
+}
+
+/**
+ * List jobs in the dead-letter queue (admin only)
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.reason - Filter by dead-letter reason
+ * @param {string} filters.userId - Filter by job owner
+ * @param {number} filters.limit - Limit number of results
+ * @param {number} filters.offset - Offset for pagination
+ * @returns {Promise<Object>} Object with jobs array, pagination info and counts by reason
+ */
+export async function listDeadLetterJobs(filters = {}) {
+  const limit = filters.limit || 50;
+  const offset = filters.offset || 0;
+
+  let query = supabase
+    .from('jobs')
+    .select('id, user_id, job_type, content, target_accounts, results, attempts, retry_count, max_retries, created_at, expires_at, dead_letter_reason, dead_lettered_at', { count: 'exact' })
+    .eq('status', DEAD_LETTER_STATUS)
+    .order('dead_lettered_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (filters.reason) {
+    query = query.eq('dead_letter_reason', filters.reason);
+  }
+
+  if (filters.userId) {
+    query = query.eq('user_id', filters.userId);
+  }
+
+  const [{ data: jobs, count, error }, { data: reasons, error: reasonsError }] = await Promise.all([
+    query,
+    supabase.from('jobs').select('dead_letter_reason').eq('status', DEAD_LETTER_STATUS),
+  ]);
+
+  if (error || reasonsError) {
+    throw new Error(`Failed to fetch dead-letter jobs: ${(error || reasonsError).message}`);
+  }
+
+  const byReason = {};
+  reasons?.forEach((row) => {
+    const reason = row.dead_letter_reason || 'unknown';
+    byReason[reason] = (byReason[reason] || 0) + 1;
+  });
+
+  return {
+    jobs: jobs || [],
+    count: jobs?.length || 0,
+    total: count || 0,
+    limit,
+    offset,
+    byReason,
+  };
+}
+
+/**
+ * Put dead-lettered jobs back in the queue with a fresh expiry and retry budget (admin only)
+ * Record jobs are skipped: the recording they were started for is over, the user starts a new one
+ * @param {Array<string>} jobIds - Job IDs
+ * @returns {Promise<Object>} { requeued, jobIds, skipped, skippedJobIds }
+ */
+export async function requeueDeadLetterJobs(jobIds) {
+  const ids = normalizeJobIds(jobIds);
+
+  const { data: deadLettered, error: fetchError } = await supabase
+    .from('jobs')
+    .select('id, job_type')
+    .in('id', ids)
+    .eq('status', DEAD_LETTER_STATUS);
+
+  if (fetchError) {
+    throw new Error(`Failed to requeue jobs: ${fetchError.message}`);
+  }
+
+  const requeueable = (deadLettered || []).filter(isRequeueableJob).map((job) => job.id);
+  const skippedJobIds = (deadLettered || []).filter((job) => !isRequeueableJob(job)).map((job) => job.id);
+
+  if (requeueable.length === 0) {
+    return { requeued: 0, jobIds: [], skipped: skippedJobIds.length, skippedJobIds };
+  }
+
+  const { data, error } = await supabase
+    .from('jobs')
+    .update({
+      status: 'queued',
+      retry_count: 0,
+      scheduled_for: null,
+      processed_at: null,
+      claimed_by: null,
+      claimed_at: null,
+      lease_expires_at: null,
+      expires_at: new Date(Date.now() + REQUEUE_EXPIRY_MS).toISOString(),
+      dead_letter_reason: null,
+      dead_lettered_at: null,
+    })
+    .in('id', requeueable)
+    .eq('status', DEAD_LETTER_STATUS)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to requeue jobs: ${error.message}`);
+  }
+
+  return {
+    requeued: data?.length || 0,
+    jobIds: (data || []).map((job) => job.id),
+    skipped: skippedJobIds.length,
+    skippedJobIds,
+  };
+}
+
+/**
+ * Delete dead-lettered jobs (admin only)
+ * Execution reports of the jobs are deleted with them
+ * @param {Array<string>} jobIds - Job IDs
+ * @returns {Promise<Object>} { discarded, jobIds }
+ */
+export async function discardDeadLetterJobs(jobIds) {
+  const ids = normalizeJobIds(jobIds);
+
+  const { data, error } = await supabase
+    .from('jobs')
+    .delete()
+    .in('id', ids)
+    .eq('status', DEAD_LETTER_STATUS)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to discard jobs: ${error.message}`);
+  }
+
+  return { discarded: data?.length || 0, jobIds: (data || []).map((job) => job.id) };
+}
@@ -0,0 +1,281 @@
+// Healing proposal service (migration 026)
+// Stores fresh visual data submitted by agents and applies accepted proposals to micro-actions
+
+import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import { optimizeVisualData } from '@modules-logic/utils/visual-data-optimizer.js';
+import {
+  applyHealingProposal,
+  collectJobMicroActionIds,
+  getAutoAcceptConfidence,
+  normalizeHealingProposal,
+  shouldAutoAccept,
+  MAX_PROPOSAL_BATCH_SIZE,
+} from '@modules-logic/utils/healing-proposals.js';
+
+const supabase = createSupabaseServiceRoleClient();
+
+export const HEALING_PROPOSAL_STATUSES = ['pending', 'accepted', 'rejected', 'superseded'];
+
+/**
+ * Load the job a proposal batch comes from; only the client holding its lease may submit
+ * @param {string} jobId - Job ID (metadata.jobId)
+ * @param {Object} context - { clientId, userId }
+ * @returns {Promise<Object>} Job ({ id, user_id, content })
+ * @throws {Error} When the job is missing or not claimed by the client
+ */
+async function getClaimedJob(jobId, context) {
+  if (!jobId) {
+    throw new Error('metadata.jobId is required');
+  }
+
+  const { data: job, error } = await supabase
+    .from('jobs')
+    .select('id, user_id, status, claimed_by, content')
+    .eq('id', jobId)
+    .eq('user_id', context.userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load job: ${error.message}`);
+  }
+  if (!job || job.status !== 'processing' || job.claimed_by !== context.clientId) {
+    throw new Error('Job is not claimed by this client');
+  }
+
+  return job;
+}
+
+/**
+ * Store healing proposals submitted by an agent
+ * The agent must hold the lease of the job it ran (metadata.jobId) and may only propose for
+ * micro-actions of that job's workflows; others are skipped. A proposal supersedes the same
+ * client's pending proposal of its micro-action; with several proposals for one micro-action
+ * in a run, the last one is kept. Proposals at HEALING_AUTO_ACCEPT_CONFIDENCE or above are
+ * accepted right away, except for shared micro-actions (owner_id NULL), which every user
+ * runs and which are always reviewed by an admin.
+ * @param {Array<Object>} proposals - Proposals from the agent (WorkflowExecutor healingProposals)
+ * @param {Object} context - { clientId, userId (owner of the client), jobId, executionReportId, platform }
+ * @returns {Promise<Object>} { created, skipped, autoAccepted }
+ * @throws {Error} When the batch or a proposal is invalid, or the job is not claimed by the client
+ */
+export async function submitHealingProposals(proposals, context = {}) {
+  if (!Array.isArray(proposals) || proposals.length === 0) {
+    throw new Error('proposals must be a non-empty array');
+  }
+  if (proposals.length > MAX_PROPOSAL_BATCH_SIZE) {
+    throw new Error(`Too many proposals (max ${MAX_PROPOSAL_BATCH_SIZE} per request)`);
+  }
+
+  const byMicroAction = new Map(
+    proposals.map(normalizeHealingProposal).map((proposal) => [proposal.micro_action_id, proposal])
+  );
+
+  const job = await getClaimedJob(context.jobId, context);
+  const jobMicroActionIds = collectJobMicroActionIds(job.content);
+  const proposedIds = [...byMicroAction.keys()].filter((id) => jobMicroActionIds.has(id));
+  if (proposedIds.length === 0) {
+    return { created: 0, skipped: byMicroAction.size, autoAccepted: 0 };
+  }
+
+  const { data: microActions, error: loadError } = await supabase
+    .from('micro_actions')
+    .select('id, params, owner_id')
+    .in('id', proposedIds);
+
+  if (loadError) {
+    throw new Error(`Failed to load micro-actions: ${loadError.message}`);
+  }
+
+  const rows = [];
+  for (const microAction of microActions || []) {
+    const proposal = byMicroAction.get(microAction.id);
+    // Same size limits as visual data saved from the admin UI
+    const { visual } = await optimizeVisualData({ visual: proposal.visual }, { quality: 80, maxWidth: 400, maxHeight: 400 });
+
+    rows.push({
+      ...proposal,
+      visual,
+      job_id: job.id,
+      execution_report_id: context.executionReportId || null,
+      client_id: context.clientId || null,
+      platform: context.platform || null,
+      before_visual: microAction.params?.visual || null,
+      before_selector: microAction.params?.backup_selector || microAction.params?.selector || null,
+    });
+  }
+
+  if (rows.length === 0) {
+    return { created: 0, skipped: byMicroAction.size, autoAccepted: 0 };
+  }
+
+  const { error: supersedeError } = await supabase
+    .from('micro_action_healing_proposals')
+    .update({ status: 'superseded' })
+    .in('micro_action_id', rows.map((row) => row.micro_action_id))
+    .eq('client_id', context.clientId)
+    .eq('status', 'pending');
+
+  if (supersedeError) {
+    throw new Error(`Failed to supersede pending proposals: ${supersedeError.message}`);
+  }
+
+  const { data: created, error: insertError } = await supabase
+    .from('micro_action_healing_proposals')
+    .insert(rows)
+    .select('id, micro_action_id, confidence');
+
+  if (insertError) {
+    throw new Error(`Failed to save healing proposals: ${insertError.message}`);
+  }
+
+  // Only the job owner's private micro-actions are healed without review
+  const privateIds = new Set(
+    (microActions || []).filter((microAction) => microAction.owner_id && microAction.owner_id === job.user_id).map((microAction) => microAction.id)
+  );
+  const minConfidence = getAutoAcceptConfidence();
+  let autoAccepted = 0;
+  for (const row of created || []) {
+    if (!privateIds.has(row.micro_action_id)) continue;
+    if (shouldAutoAccept({ confidence: row.confidence === null ? null : Number(row.confidence) }, minConfidence)) {
+      await acceptHealingProposal(row.id, { auto: true });
+      autoAccepted++;
+    }
+  }
+
+  return { created: (created || []).length, skipped: byMicroAction.size - rows.length, autoAccepted };
+}
+
+/**
+ * List healing proposals with their micro-action, newest first
+ * @param {Object} filters - { status (default 'pending'), microActionId, limit, offset }
+ * @returns {Promise<Object>} { proposals, total }
+ */
+export async function listHealingProposals(filters = {}) {
+  const status = filters.status || 'pending';
+  if (status !== 'all' && !HEALING_PROPOSAL_STATUSES.includes(status)) {
+    throw new Error(`Invalid status: ${status}`);
+  }
+
+  const limit = Math.min(filters.limit || 50, 200);
+  const offset = filters.offset || 0;
+
+  let query = supabase
+    .from('micro_action_healing_proposals')
+    .select('*, micro_action:micro_actions(id, name, type, platform)', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (status !== 'all') {
+    query = query.eq('status', status);
+  }
+  if (filters.microActionId) {
+    query = query.eq('micro_action_id', filters.microActionId);
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load healing proposals: ${error.message}`);
+  }
+
+  return { proposals: data || [], total: count || 0 };
+}
+
+/**
+ * Load a pending proposal
+ * @param {string} id - Proposal ID
+ * @returns {Promise<Object>} Proposal row
+ * @throws {Error} When the proposal does not exist or was already reviewed
+ */
+async function getPendingProposal(id) {
+  const { data, error } = await supabase
+    .from('micro_action_healing_proposals')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load healing proposal: ${error.message}`);
+  }
+  if (!data) {
+    throw new Error('Healing proposal not found');
+  }
+  if (data.status !== 'pending') {
+    throw new Error(`Healing proposal is already ${data.status}`);
+  }
+
+  return data;
+}
+
+/**
+ * Accept a proposal: its visual data and selector replace the micro-action's
+ * @param {string} id - Proposal ID
+ * @param {Object} options - { reviewedBy: admin user ID, auto: accepted by the confidence bar }
+ * @returns {Promise<Object>} Updated micro-action
+ * @throws {Error} When the proposal is not pending or the micro-action is gone
+ */
+export async function acceptHealingProposal(id, options = {}) {
+  const proposal = await getPendingProposal(id);
+
+  const { data: microAction, error: loadError } = await supabase
+    .from('micro_actions')
+    .select('id, params, owner_id')
+    .eq('id', proposal.micro_action_id)
+    .maybeSingle();
+
+  if (loadError) {
+    throw new Error(`Failed to load micro-action: ${loadError.message}`);
+  }
+  if (!microAction) {
+    throw new Error('Micro-action not found');
+  }
+  if (options.auto && !microAction.owner_id) {
+    throw new Error('Proposals for shared micro-actions need review');
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('micro_actions')
+    .update({
+      params: applyHealingProposal(microAction.params, proposal),
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', microAction.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    throw new Error(`Failed to update micro-action: ${updateError.message}`);
+  }
+
+  await setProposalStatus(id, 'accepted', options);
+
+  return updated;
+}
+
+/**
+ * Reject a proposal; the micro-action keeps its visual data
+ * @param {string} id - Proposal ID
+ * @param {Object} options - { reviewedBy: admin user ID }
+ * @returns {Promise<void>}
+ * @throws {Error} When the proposal is not pending
+ */
+export async function rejectHealingProposal(id, options = {}) {
+  await getPendingProposal(id);
+  await setProposalStatus(id, 'rejected', options);
+}
+
+async function setProposalStatus(id, status, options) {
+  const { error } = await supabase
+    .from('micro_action_healing_proposals')
+    .update({
+      status,
+      auto_accepted: Boolean(options.auto),
+      reviewed_by: options.reviewedBy || null,
+      reviewed_at: new Date().toISOString(),
+    })
+    .eq('id', id);
+
+  if (error) {
+    throw new Error(`Failed to update healing proposal: ${error.message}`);
+  }
+}
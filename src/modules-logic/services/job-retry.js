@@ -0,0 +1,156 @@
+/**
+ * Job Retry Policy
+ *
+ * Decides what happens when an agent reports a final job status (migration 021):
+ * - every attempt is appended to jobs.attempts
+ * - failed jobs whose error is retryable are requeued with exponential backoff and jitter
+ *   until retry_count reaches max_retries
+ *
+ * Error categories come from the agent (EnhancedVisualExecutor categorizeError):
+ * timeout, element_not_found, text_mismatch, position_mismatch, visual_mismatch,
+ * selector_failed, auth_failed, unknown; record jobs (agent recording) report recording_failed
+ */
+
+// Failures that a retry cannot fix (retrying auth failures may also lock the account; a retried
+// recording would open a browser when the user is no longer waiting for it)
+export const NON_RETRYABLE_ERROR_TYPES = ['auth_failed', 'recording_failed'];
+
+export const DEFAULT_RETRY_BASE_DELAY_SECONDS = 60;
+export const DEFAULT_RETRY_MAX_DELAY_SECONDS = 3600;
+
+function getPositiveIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 1 ? fallback : value;
+}
+
+/**
+ * Check whether an error category is worth retrying
+ * @param {string} errorType - Error category
+ * @returns {boolean}
+ */
+export function isRetryableErrorType(errorType) {
+  return !NON_RETRYABLE_ERROR_TYPES.includes(errorType || 'unknown');
+}
+
+/**
+ * Get the error categories of a failed job result
+ * Multi-account results report one category per failed account
+ * @param {Object} results - Job results reported by the agent
+ * @returns {Array<string>} Error categories
+ */
+export function getResultErrorTypes(results) {
+  const failedAccounts = Object.values(results?.accounts || {}).filter((account) => !account.success);
+  if (failedAccounts.length > 0) {
+    return failedAccounts.map((account) => account.errorType || 'unknown');
+  }
+  return [results?.errorType || 'unknown'];
+}
+
+/**
+ * Backoff delay before the next retry: base * 2^retryCount, capped, with equal jitter
+ * (a random value between half and the full delay) so jobs that failed together do not
+ * retry in lockstep
+ * @param {number} retryCount - Retries already made
+ * @param {Function} random - Random source (0..1), injectable for tests
+ * @returns {number} Delay in seconds
+ */
+export function getRetryDelaySeconds(retryCount, random = Math.random) {
+  const baseDelay = getPositiveIntEnv('JOB_RETRY_BASE_DELAY_SECONDS', DEFAULT_RETRY_BASE_DELAY_SECONDS);
+  const maxDelay = getPositiveIntEnv('JOB_RETRY_MAX_DELAY_SECONDS', DEFAULT_RETRY_MAX_DELAY_SECONDS);
+  const delay = Math.min(baseDelay * 2 ** Math.max(retryCount, 0), maxDelay);
+  return Math.round(delay / 2 + random() * (delay / 2));
+}
+
+/**
+ * Decide whether a failed job is retried
+ * @param {Object} job - Job row (retry_count, max_retries, expires_at)
+ * @param {Object} results - Job results reported by the agent
+ * @param {Date} now - Current time
+ * @returns {Object} { retry, reason, errorType, delaySeconds, nextRetryAt }
+ */
+export function evaluateRetry(job, results, now = new Date()) {
+  const errorTypes = getResultErrorTypes(results);
+  const blockingType = errorTypes.find((errorType) => !isRetryableErrorType(errorType));
+  const errorType = blockingType || errorTypes[0];
+
+  if (blockingType) {
+    return { retry: false, errorType, reason: `Error type ${blockingType} is not retryable` };
+  }
+
+  const retryCount = job.retry_count || 0;
+  const maxRetries = job.max_retries ?? 3;
+  if (retryCount >= maxRetries) {
+    return { retry: false, errorType, reason: `Retry limit reached (${maxRetries})` };
+  }
+
+  const delaySeconds = getRetryDelaySeconds(retryCount);
+  const nextRetryAt = new Date(now.getTime() + delaySeconds * 1000);
+
+  if (job.expires_at && nextRetryAt > new Date(job.expires_at)) {
+    return { retry: false, errorType, reason: 'Job expires before the next retry' };
+  }
+
+  return { retry: true, errorType, delaySeconds, nextRetryAt };
+}
+
+/**
+ * Build the jobs update for a final status reported by an agent
+ * Appends the attempt to the history and, for retryable failures, turns the update into a requeue
+ * @param {Object} job - Current job row (status, retry_count, max_retries, expires_at, attempts, claimed_at)
+ * @param {string} status - Reported status (completed, partial_success, failed, cancelled)
+ * @param {Object} results - Reported results
+ * @param {string} clientId - Reporting client (clients.client_id)
+ * @param {Date} now - Current time
+ * @returns {Object} { update, retry } where update holds the columns to write
+ */
+export function buildJobCompletionUpdate(job, status, results, clientId, now = new Date()) {
+  const attempts = Array.isArray(job.attempts) ? job.attempts : [];
+  const attempt = {
+    attempt: attempts.length + 1,
+    status,
+    clientId: clientId || null,
+    startedAt: job.claimed_at || null,
+    finishedAt: now.toISOString(),
+    error: results?.error || null,
+    errorType: null,
+    retryable: false,
+    nextRetryAt: null,
+  };
+
+  const update = {
+    status,
+    processed_at: now.toISOString(),
+    lease_expires_at: null,
+  };
+
+  if (results !== undefined) {
+    update.results = results;
+  }
+
+  let retry = null;
+  if (status === 'failed') {
+    retry = evaluateRetry(job, results, now);
+    attempt.errorType = retry.errorType;
+    attempt.retryable = retry.retry;
+
+    if (retry.retry) {
+      attempt.nextRetryAt = retry.nextRetryAt.toISOString();
+
+      // Requeue in place; the agent claims it again once scheduled_for is reached
+      Object.assign(update, {
+        status: 'queued',
+        retry_count: (job.retry_count || 0) + 1,
+        scheduled_for: attempt.nextRetryAt,
+        claimed_by: null,
+        claimed_at: null,
+        processed_at: null,
+      });
+    } else {
+      attempt.reason = retry.reason;
+    }
+  }
+
+  update.attempts = [...attempts, attempt];
+
+  return { update, retry };
+}
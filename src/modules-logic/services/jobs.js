@@ -2,6 +2,88 @@ import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js
 
 const supabase = createSupabaseServiceRoleClient();
 
+// Job lease bounds in seconds (see migration 017)
+export const DEFAULT_LEASE_SECONDS = 120;
+export const MIN_LEASE_SECONDS = 30;
+export const MAX_LEASE_SECONDS = 900;
+
+/**
+ * Clamp a requested lease duration to the allowed bounds
+ * @param {string|number} value - Requested lease duration in seconds
+ * @returns {number} Lease duration in seconds
+ */
+export function normalizeLeaseSeconds(value) {
+  const seconds = parseInt(value, 10);
+  if (!seconds || Number.isNaN(seconds)) {
+    return DEFAULT_LEASE_SECONDS;
+  }
+  return Math.min(Math.max(seconds, MIN_LEASE_SECONDS), MAX_LEASE_SECONDS);
+}
+
+// Jobs claimed per poll (GET /api/client/jobs/pending?limit=)
+export const DEFAULT_CLAIM_LIMIT = 10;
+export const MAX_CLAIM_LIMIT = 50;
+
+/**
+ * Clamp the number of jobs a client may claim in one poll
+ * claim_pending_jobs treats a NULL limit as unlimited, so invalid values fall back to the default
+ * @param {string|number} value - Requested limit
+ * @returns {number} Number of jobs to claim
+ */
+export function normalizeClaimLimit(value) {
+  const limit = parseInt(value, 10);
+  if (!limit || Number.isNaN(limit)) {
+    return DEFAULT_CLAIM_LIMIT;
+  }
+  return Math.min(Math.max(limit, 1), MAX_CLAIM_LIMIT);
+}
+
+// Seconds without heartbeat after which a client no longer receives jobs bound to it (see migration 018)
+export const DEFAULT_CLIENT_OFFLINE_THRESHOLD_SECONDS = 900;
+
+/**
+ * Get the offline threshold used for job routing
+ * Configured via CLIENT_OFFLINE_THRESHOLD_SECONDS
+ * @returns {number} Threshold in seconds
+ */
+export function getClientOfflineThresholdSeconds() {
+  const seconds = parseInt(process.env.CLIENT_OFFLINE_THRESHOLD_SECONDS, 10);
+  if (!seconds || Number.isNaN(seconds) || seconds < 0) {
+    return DEFAULT_CLIENT_OFFLINE_THRESHOLD_SECONDS;
+  }
+  return seconds;
+}
+
+/**
+ * Renew the lease of a job held by a client
+ * @param {string} clientId - Client ID (clients.client_id) holding the lease
+ * @param {string} jobId - Job ID
+ * @param {number} leaseSeconds - New lease duration in seconds
+ * @returns {Promise<Object>} Updated job (id, status, lease_expires_at)
+ */
+export async function renewJobLease(clientId, jobId, leaseSeconds = DEFAULT_LEASE_SECONDS) {
+  const leaseExpiresAt = new Date(Date.now() + normalizeLeaseSeconds(leaseSeconds) * 1000).toISOString();
+
+  const { data: job, error } = await supabase
+    .from('jobs')
+    .update({ lease_expires_at: leaseExpiresAt })
+    .eq('id', jobId)
+    .eq('claimed_by', clientId)
+    .eq('status', 'processing')
+    .select('id, status, claimed_by, lease_expires_at')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to renew job lease: ${error.message}`);
+  }
+
+  if (!job) {
+    throw new Error('Lease lost: job is no longer held by this client');
+  }
+
+  return job;
+}
+
 /**
  * Get a single job by ID
  * @param {string} userId - Supabase auth user ID
@@ -50,7 +132,7 @@ export async function cancelJob(userId, jobId) {
   }
 
   // Only cancel jobs that are queued or processing
-  if (existingJob.status === 'completed' || existingJob.status === 'failed') {
+  if (['completed', 'partial_success', 'failed'].includes(existingJob.status)) {
     throw new Error(`Cannot cancel job with status: ${existingJob.status}`);
   }
 
@@ -59,6 +141,7 @@ export async function cancelJob(userId, jobId) {
     .update({ 
       status: 'cancelled',
       processed_at: new Date().toISOString(),
+      lease_expires_at: null,
     })
     .eq('id', jobId)
     .eq('user_id', userId)
@@ -74,6 +157,7 @@ export async function cancelJob(userId, jobId) {
 
 /**
  * Retry a failed job by creating a new job with the same parameters
+ * A partially successful job is retried for its failed accounts only
  * @param {string} userId - Supabase auth user ID
  * @param {string} jobId - Job ID to retry
  * @returns {Promise<Object>} New job object
@@ -82,9 +166,17 @@ export async function retryJob(userId, jobId) {
   // Get the original job
   const originalJob = await getJob(userId, jobId);
 
-  // Only allow retrying failed or cancelled jobs
-  if (originalJob.status !== 'failed' && originalJob.status !== 'cancelled') {
-    throw new Error(`Cannot retry job with status: ${originalJob.status}. Only failed or cancelled jobs can be retried.`);
+  // Only allow retrying failed, partially successful, cancelled, unroutable or dead-lettered jobs
+  if (!['failed', 'partial_success', 'cancelled', 'unroutable', 'dead_letter'].includes(originalJob.status)) {
+    throw new Error(`Cannot retry job with status: ${originalJob.status}. Only failed, partial_success, cancelled, unroutable or dead_letter jobs can be retried.`);
+  }
+
+  // Skip accounts that already succeeded
+  let targetAccounts = originalJob.target_accounts;
+  if (originalJob.status === 'partial_success' && originalJob.results?.accounts) {
+    targetAccounts = (originalJob.target_accounts || []).filter(
+      (accountId) => !originalJob.results.accounts[accountId]?.success
+    );
   }
 
   // Create a new job with the same parameters
@@ -95,7 +187,8 @@ export async function retryJob(userId, jobId) {
       job_type: originalJob.job_type,
       status: 'queued',
       content: originalJob.content,
-      target_accounts: originalJob.target_accounts,
+      target_accounts: targetAccounts,
+      fallback_client_id: originalJob.fallback_client_id || null,
       expires_at: originalJob.expires_at || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 7 days default
     })
     .select()
@@ -1,5 +1,7 @@
 import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
-import { populateMicroActions, convertWorkflowToActions } from '@modules-logic/utils/workflow-converter.js';
+import { buildExecutableWorkflow, findActiveWorkflow } from '@modules-logic/services/workflows';
+import { normalizeTemplateVariables } from '@modules-logic/utils/template-variables.js';
+import { groupAccountsByClient } from '@modules-logic/utils/account-groups.js';
 
 const supabase = createSupabaseServiceRoleClient();
 
@@ -164,17 +166,42 @@ export async function deletePost(userId, postId) {
 }
 
 /**
- * Create a new post (job with job_type='post')
+ * Build the post workflow of a platform in execution format
+ * Loads the active post workflow (the user's private one first); its auth workflow (when it
+ * requires authentication) runs as a sub-workflow in front of the post actions
+ * @param {string} platform - Platform name
+ * @param {string} userId - User the post is for
+ * @returns {Promise<Object>} Workflow (id, name, platform, type, description, actions)
+ */
+async function buildPostWorkflow(platform, userId) {
+  // Find post workflow for this platform
+  const workflow = await findActiveWorkflow(platform, 'post', userId);
+
+  if (!workflow) {
+    throw new Error(`No post workflow found for platform: ${platform}. Please create a post workflow first.`);
+  }
+
+  // Auth workflow (auth_workflow_id) and call_workflow steps become nested sub-workflows
+  return await buildExecutableWorkflow(workflow);
+}
+
+/**
+ * Validate post data and build the job fields of a post
+ * Shared by one-off posts (createPost) and recurring posts, whose child jobs are rebuilt
+ * on every run so they always use the current post workflows
  * @param {string} userId - Supabase auth user ID
  * @param {Object} postData - Post data
  * @param {string} postData.caption - Post caption (max 2200 characters)
  * @param {string} postData.image_url - Cloudinary image URL
  * @param {Array<string>} postData.target_accounts - Array of account IDs (optional, defaults to all available accounts)
- * @param {string} postData.scheduled_for - Optional scheduled time (ISO string)
- * @returns {Promise<Object>} Created post (job) object
+ * @param {string} postData.fallback_client_id - Optional client ID allowed to run the job when the
+ *   client bound to the target accounts is offline (otherwise the job is marked unroutable)
+ * @param {Object} postData.variables - Optional values of other template variables used by the
+ *   workflows ({ hashtags: '#coffee', location: 'Berlin' })
+ * @returns {Promise<Object>} Job fields: { content, target_accounts, fallback_client_id }
  */
-export async function createPost(userId, postData) {
-  const { caption, image_url, target_accounts, scheduled_for } = postData;
+export async function preparePostJob(userId, postData) {
+  const { caption, image_url, target_accounts, fallback_client_id } = postData;
 
   // Validate required fields
   if (!caption || !image_url) {
@@ -191,6 +218,8 @@ export async function createPost(userId, postData) {
     throw new Error('Invalid image URL format');
   }
 
+  const variables = normalizeTemplateVariables(postData.variables);
+
   // MVP: Get target accounts - if not provided, get all available accounts (no verification check)
   // Just exclude pending_verification and locked accounts
   let accountIds = target_accounts;
@@ -232,175 +261,149 @@ export async function createPost(userId, postData) {
     }
   }
 
-  // Get platform from target accounts (use first account's platform)
-  // For now, we assume all target accounts are from the same platform
-  // TODO: Support multiple platforms by creating separate jobs per platform
+  // Verify fallback client belongs to user
+  if (fallback_client_id) {
+    const { data: fallbackClient, error: fallbackClientError } = await supabase
+      .from('clients')
+      .select('client_id')
+      .eq('user_id', userId)
+      .eq('client_id', fallback_client_id)
+      .maybeSingle();
+
+    if (fallbackClientError) {
+      throw new Error(`Failed to verify fallback client: ${fallbackClientError.message}`);
+    }
+
+    if (!fallbackClient) {
+      throw new Error('Invalid fallback_client_id: client not found or access denied');
+    }
+  }
+
+  // Get the platform of every target account
+  // Accounts may belong to different platforms; each platform gets its own post workflow
   const { data: targetAccountsData, error: targetAccountsError } = await supabase
     .from('accounts')
-    .select('platform')
+    .select('id, platform')
     .eq('user_id', userId)
-    .in('id', accountIds)
-    .limit(1);
+    .in('id', accountIds);
 
   if (targetAccountsError || !targetAccountsData || targetAccountsData.length === 0) {
     throw new Error('Failed to determine platform from target accounts');
   }
 
-  const platform = targetAccountsData[0].platform;
+  const accountPlatforms = {};
+  targetAccountsData.forEach((acc) => {
+    accountPlatforms[acc.id] = acc.platform;
+  });
+  const platforms = [...new Set(targetAccountsData.map((acc) => acc.platform))];
 
-  // Find post workflow for this platform
-  const { data: workflows, error: workflowError } = await supabase
-    .from('workflows')
-    .select('*')
-    .eq('platform', platform)
-    .eq('type', 'post')
-    .eq('is_active', true)
-    .order('created_at', { ascending: false })
-    .limit(1);
-
-  if (workflowError) {
-    throw new Error(`Failed to find post workflow: ${workflowError.message}`);
-  }
-
-  if (!workflows || workflows.length === 0) {
-    throw new Error(`No post workflow found for platform: ${platform}. Please create a post workflow first.`);
+  const workflowsByPlatform = {};
+  for (const accountPlatform of platforms) {
+    workflowsByPlatform[accountPlatform] = await buildPostWorkflow(accountPlatform, userId);
   }
 
-  let postWorkflow = workflows[0];
+  const platform = accountPlatforms[accountIds[0]] || platforms[0];
+  const combinedWorkflow = workflowsByPlatform[platform];
 
-  // Parse steps if it's a string (JSONB fields might be returned as strings)
-  if (postWorkflow.steps && typeof postWorkflow.steps === 'string') {
-    try {
-      postWorkflow.steps = JSON.parse(postWorkflow.steps);
-    } catch (parseError) {
-      throw new Error(`Failed to parse workflow steps: ${parseError.message}`);
-    }
+  // Build content object with workflow and post data
+  // The agent executes the job once per target account, each in its own browser session,
+  // using the workflow of the account's platform (account_platforms → workflows)
+  // Template variables like {{caption}} and {{image_url}} can be used in workflow actions
+  const content = {
+    workflow_id: combinedWorkflow.id,
+    workflow: combinedWorkflow, // Store combined workflow with auth + post actions
+    platform: platform,
+    account_platforms: accountPlatforms,
+    caption,
+    image_url,
+  };
+  if (variables) {
+    content.variables = variables;
   }
 
-  // Populate micro_actions in workflow steps
-  if (postWorkflow.steps && Array.isArray(postWorkflow.steps)) {
-    const microActionIds = postWorkflow.steps
-      .map((step) => step.micro_action_id)
-      .filter(Boolean);
-
-    if (microActionIds.length > 0) {
-      const { data: microActions, error: microActionsError } = await supabase
-        .from('micro_actions')
-        .select('id, name, type, platform, params')
-        .in('id', microActionIds);
+  // Accounts on other platforms need their own workflow
+  if (platforms.length > 1) {
+    content.workflows = workflowsByPlatform;
+  }
 
-      if (microActionsError) {
-        throw new Error(`Failed to load micro-actions: ${microActionsError.message}`);
-      }
+  return {
+    content,
+    target_accounts: accountIds,
+    fallback_client_id: fallback_client_id || null,
+  };
+}
 
-      // Populate micro_actions in steps
-      postWorkflow = populateMicroActions(postWorkflow, microActions || []);
-    }
+/**
+ * Split the job fields of a post into one job per agent the target accounts are bound to
+ * A single job for accounts bound to different agents would be unroutable (migration 018).
+ * @param {string} userId - Supabase auth user ID
+ * @param {Object} postJob - Job fields from preparePostJob
+ * @returns {Promise<Array<Object>>} Job fields per agent (one entry when no split is needed)
+ */
+export async function splitPostJobByClient(userId, postJob) {
+  if (postJob.target_accounts.length < 2) {
+    return [postJob];
   }
 
-  // Check if post workflow requires auth and load auth workflow if needed
-  let authWorkflowActions = [];
-  if (postWorkflow.requires_auth && postWorkflow.auth_workflow_id) {
-    // Load auth workflow by ID
-    const { data: authWorkflows, error: authWorkflowError } = await supabase
-      .from('workflows')
-      .select('*')
-      .eq('id', postWorkflow.auth_workflow_id)
-      .eq('is_active', true)
-      .single();
-
-    if (authWorkflowError || !authWorkflows) {
-      throw new Error(`Failed to load auth workflow: ${authWorkflowError?.message || 'Auth workflow not found'}`);
-    }
-
-    let authWorkflow = authWorkflows;
+  const { data: accounts, error } = await supabase
+    .from('accounts')
+    .select('id, client_id')
+    .eq('user_id', userId)
+    .in('id', postJob.target_accounts);
 
-    // Parse steps if it's a string
-    if (authWorkflow.steps && typeof authWorkflow.steps === 'string') {
-      try {
-        authWorkflow.steps = JSON.parse(authWorkflow.steps);
-      } catch (parseError) {
-        throw new Error(`Failed to parse auth workflow steps: ${parseError.message}`);
-      }
-    }
+  if (error) {
+    throw new Error(`Failed to fetch account agents: ${error.message}`);
+  }
 
-    // Populate micro_actions in auth workflow steps
-    if (authWorkflow.steps && Array.isArray(authWorkflow.steps)) {
-      const authMicroActionIds = authWorkflow.steps
-        .map((step) => step.micro_action_id)
-        .filter(Boolean);
-
-      if (authMicroActionIds.length > 0) {
-        const { data: authMicroActions, error: authMicroActionsError } = await supabase
-          .from('micro_actions')
-          .select('id, name, type, platform, params')
-          .in('id', authMicroActionIds);
-
-        if (authMicroActionsError) {
-          throw new Error(`Failed to load auth workflow micro-actions: ${authMicroActionsError.message}`);
-        }
-
-        // Populate micro_actions in auth workflow steps
-        authWorkflow = populateMicroActions(authWorkflow, authMicroActions || []);
-      }
-    }
+  // Keep the order of target_accounts
+  const byId = new Map((accounts || []).map((account) => [account.id, account]));
+  const groups = groupAccountsByClient(postJob.target_accounts.map((id) => byId.get(id) || { id, client_id: null }));
 
-    // Convert auth workflow to actions format
-    const convertedAuthWorkflow = convertWorkflowToActions(authWorkflow);
-    authWorkflowActions = convertedAuthWorkflow.actions || [];
-  }
+  return groups.map((accountIds) => ({ ...postJob, target_accounts: accountIds }));
+}
 
-  // Convert post workflow from database format (steps) to execution format (actions)
-  const convertedPostWorkflow = convertWorkflowToActions(postWorkflow);
-  const postWorkflowActions = convertedPostWorkflow.actions || [];
-
-  // Combine workflows: auth actions first, then post actions
-  const combinedActions = [...authWorkflowActions, ...postWorkflowActions];
-  
-  // Create combined workflow object
-  const combinedWorkflow = {
-    id: postWorkflow.id,
-    name: postWorkflow.name,
-    platform: postWorkflow.platform,
-    type: postWorkflow.type,
-    description: postWorkflow.description,
-    actions: combinedActions,
-  };
+/**
+ * Create a new post (jobs with job_type='post')
+ * The agent executes the post once per target account; accounts on different platforms
+ * each use the post workflow of their platform. Accounts bound to different agents get one
+ * job per agent (splitPostJobByClient).
+ * @param {string} userId - Supabase auth user ID
+ * @param {Object} postData - Post data
+ * @param {string} postData.caption - Post caption (max 2200 characters)
+ * @param {string} postData.image_url - Cloudinary image URL
+ * @param {Array<string>} postData.target_accounts - Array of account IDs (optional, defaults to all available accounts)
+ * @param {string} postData.scheduled_for - Optional scheduled time (ISO string)
+ * @param {string} postData.fallback_client_id - Optional client ID allowed to run the job when the
+ *   client bound to the target accounts is offline (otherwise the job is marked unroutable)
+ * @param {Object} postData.variables - Optional values of other template variables (see preparePostJob)
+ * @returns {Promise<Array<Object>>} Created post (job) objects, one per agent
+ */
+export async function createPost(userId, postData) {
+  const { scheduled_for } = postData;
 
-  // Build content object with workflow and post data
-  // The workflow will be used by the client agent to execute the post
-  // Template variables like {{caption}} and {{image_url}} can be used in workflow actions
-  const content = {
-    workflow_id: postWorkflow.id,
-    workflow: combinedWorkflow, // Store combined workflow with auth + post actions
-    platform: platform,
-    caption,
-    image_url,
-  };
+  const postJobs = await splitPostJobByClient(userId, await preparePostJob(userId, postData));
 
   // Determine status and scheduled_for
   const status = scheduled_for && new Date(scheduled_for) > new Date() ? 'queued' : 'queued';
   const scheduledFor = scheduled_for ? new Date(scheduled_for).toISOString() : null;
+  const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(); // 7 days default
 
-  // Create job
-  const { data: job, error } = await supabase
+  // Create jobs
+  const { data: jobs, error } = await supabase
     .from('jobs')
-    .insert({
+    .insert(postJobs.map((postJob) => ({
       user_id: userId,
       job_type: 'post',
       status,
-      content,
-      target_accounts: accountIds,
+      ...postJob,
       scheduled_for: scheduledFor,
-      expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 7 days default
-    })
-    .select()
-    .single();
+      expires_at: expiresAt,
+    })))
+    .select();
 
   if (error) {
     throw new Error(`Failed to create post: ${error.message}`);
   }
 
-  return job;
+  return jobs;
 }
-
@@ -0,0 +1,192 @@
+// Recording session service (migrations 002 and 027)
+// Stores actions streamed by ActionRecorder so recordings survive crashes and can be imported
+// from the admin page without a file upload
+
+import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import {
+  mergeRecordedActions,
+  normalizeRecordingSession,
+  RECORDING_SESSION_STATUSES,
+} from '@modules-logic/utils/recording-sessions.js';
+
+const supabase = createSupabaseServiceRoleClient();
+
+// Columns returned without the (large) recorded actions
+const SUMMARY_COLUMNS = 'id, user_id, name, platform, url, status, action_count, created_at, updated_at, completed_at';
+
+/**
+ * Create a recording session
+ * @param {Object} session - { platform, url, name }
+ * @param {string} userId - Admin who records
+ * @returns {Promise<Object>} Session summary
+ */
+export async function createRecordingSession(session, userId) {
+  const fields = normalizeRecordingSession(session);
+
+  const { data, error } = await supabase
+    .from('recording_sessions')
+    .insert({
+      ...fields,
+      user_id: userId || null,
+      status: 'recording',
+      recorded_actions: [],
+      action_count: 0,
+    })
+    .select(SUMMARY_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create recording session: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * List recording sessions without their actions, most recently updated first
+ * @param {Object} filters - { status, platform, limit, offset }
+ * @returns {Promise<Object>} { sessions, total }
+ */
+export async function listRecordingSessions(filters = {}) {
+  const status = filters.status || 'all';
+  if (status !== 'all' && !RECORDING_SESSION_STATUSES.includes(status)) {
+    throw new Error(`Invalid status: ${status}`);
+  }
+
+  const limit = Math.min(filters.limit || 50, 200);
+  const offset = filters.offset || 0;
+
+  let query = supabase
+    .from('recording_sessions')
+    .select(SUMMARY_COLUMNS, { count: 'exact' })
+    .order('updated_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (status !== 'all') {
+    query = query.eq('status', status);
+  }
+  if (filters.platform) {
+    query = query.eq('platform', filters.platform);
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load recording sessions: ${error.message}`);
+  }
+
+  return { sessions: data || [], total: count || 0 };
+}
+
+/**
+ * Load a recording session with its actions
+ * @param {string} id - Session ID
+ * @returns {Promise<Object>} Session row
+ * @throws {Error} When the session does not exist
+ */
+export async function getRecordingSession(id) {
+  const { data, error } = await supabase
+    .from('recording_sessions')
+    .select(`${SUMMARY_COLUMNS}, recorded_actions`)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load recording session: ${error.message}`);
+  }
+  if (!data) {
+    throw new Error('Recording session not found');
+  }
+
+  return data;
+}
+
+/**
+ * Load a session that is still recording
+ * @param {string} id - Session ID
+ * @returns {Promise<Object>} Session row
+ * @throws {Error} When the session does not exist or was completed or cancelled
+ */
+async function getActiveSession(id) {
+  const session = await getRecordingSession(id);
+  if (session.status !== 'recording') {
+    throw new Error(`Recording session is already ${session.status}`);
+  }
+  return session;
+}
+
+/**
+ * Store a batch of actions streamed by the recorder
+ * The stored actions from fromIndex on are replaced by the batch (see mergeRecordedActions)
+ * @param {string} id - Session ID
+ * @param {number} fromIndex - Index of the first action in the batch
+ * @param {Array<Object>} actions - Recorded actions from fromIndex on
+ * @returns {Promise<Object>} { synced, actionCount } - synced is false when the batch starts past the stored actions
+ */
+export async function syncRecordingActions(id, fromIndex, actions) {
+  const session = await getActiveSession(id);
+
+  const merged = mergeRecordedActions(session.recorded_actions, fromIndex, actions);
+  if (!merged) {
+    return { synced: false, actionCount: session.action_count };
+  }
+
+  const { error } = await supabase
+    .from('recording_sessions')
+    .update({
+      recorded_actions: merged,
+      action_count: merged.length,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', id)
+    .eq('status', 'recording');
+
+  if (error) {
+    throw new Error(`Failed to save recorded actions: ${error.message}`);
+  }
+
+  return { synced: true, actionCount: merged.length };
+}
+
+/**
+ * Mark a session as completed so it can be imported
+ * @param {string} id - Session ID
+ * @returns {Promise<Object>} Session summary
+ */
+export async function completeRecordingSession(id) {
+  await getActiveSession(id);
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('recording_sessions')
+    .update({ status: 'completed', completed_at: now, updated_at: now })
+    .eq('id', id)
+    .select(SUMMARY_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to complete recording session: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Permanently delete a recording session
+ * @param {string} id - Session ID
+ * @returns {Promise<void>}
+ */
+export async function deleteRecordingSession(id) {
+  const { data, error } = await supabase
+    .from('recording_sessions')
+    .delete()
+    .eq('id', id)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to delete recording session: ${error.message}`);
+  }
+  if (!data || data.length === 0) {
+    throw new Error('Recording session not found');
+  }
+}
@@ -0,0 +1,406 @@
+import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import { preparePostJob, splitPostJobByClient } from '@modules-logic/services/posts';
+import { parseRecurrenceRule, getNextOccurrence, describeRecurrenceRule } from '@modules-logic/utils/recurrence.js';
+
+const supabase = createSupabaseServiceRoleClient();
+
+// Series statuses (jobs.status of the series row, see migration 020)
+export const SERIES_STATUS_ACTIVE = 'recurring';
+export const SERIES_STATUS_PAUSED = 'paused';
+export const SERIES_STATUS_ENDED = 'ended';
+
+// Child jobs expire like one-off posts: 7 days after their occurrence
+const CHILD_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Maximum number of series materialized per call
+const MATERIALIZE_BATCH_SIZE = 50;
+
+/**
+ * Validate a recurrence rule and get its first occurrence after now
+ * @param {string} recurrenceRule - RFC 5545 DTSTART + RRULE
+ * @param {Date} after - Reference instant
+ * @returns {Date} Next occurrence
+ */
+function getFirstOccurrence(recurrenceRule, after = new Date()) {
+  // Throws 'Invalid recurrence rule: ...'
+  parseRecurrenceRule(recurrenceRule);
+
+  const nextRunAt = getNextOccurrence(recurrenceRule, after);
+  if (!nextRunAt) {
+    throw new Error('Invalid recurrence rule: the series has no future occurrences');
+  }
+  return nextRunAt;
+}
+
+/**
+ * Add a readable description to a series row
+ * @param {Object} series - Series job row
+ * @returns {Object} Series with recurrence_description
+ */
+function withDescription(series) {
+  let description = null;
+  try {
+    description = describeRecurrenceRule(series.recurrence_rule);
+  } catch {
+    // Keep null for rules that no longer parse
+  }
+  return { ...series, recurrence_description: description };
+}
+
+/**
+ * Create a recurring post series
+ * @param {string} userId - Supabase auth user ID
+ * @param {Object} postData - Post data (see preparePostJob) plus recurrence_rule
+ * @param {string} postData.recurrence_rule - RFC 5545 DTSTART + RRULE
+ * @returns {Promise<Object>} Created series
+ */
+export async function createRecurringPost(userId, postData) {
+  const { recurrence_rule } = postData;
+
+  if (!recurrence_rule) {
+    throw new Error('recurrence_rule is required');
+  }
+
+  const nextRunAt = getFirstOccurrence(recurrence_rule);
+  const postJob = await preparePostJob(userId, postData);
+
+  const { data: series, error } = await supabase
+    .from('jobs')
+    .insert({
+      user_id: userId,
+      job_type: 'post',
+      status: SERIES_STATUS_ACTIVE,
+      ...postJob,
+      recurring: true,
+      recurrence_rule,
+      next_run_at: nextRunAt.toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create recurring post: ${error.message}`);
+  }
+
+  return withDescription(series);
+}
+
+/**
+ * List recurring post series of a user
+ * @param {string} userId - Supabase auth user ID
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.status - Filter by series status (recurring, paused, ended)
+ * @returns {Promise<Array>} Series
+ */
+export async function listRecurringPosts(userId, filters = {}) {
+  let query = supabase
+    .from('jobs')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('job_type', 'post')
+    .eq('recurring', true)
+    .order('created_at', { ascending: false });
+
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to fetch recurring posts: ${error.message}`);
+  }
+
+  return (data || []).map(withDescription);
+}
+
+/**
+ * Get a recurring post series with its most recent child jobs
+ * @param {string} userId - Supabase auth user ID
+ * @param {string} seriesId - Series ID (jobs.id)
+ * @returns {Promise<Object>} Series with runs array
+ */
+export async function getRecurringPost(userId, seriesId) {
+  const { data: series, error } = await supabase
+    .from('jobs')
+    .select('*')
+    .eq('id', seriesId)
+    .eq('user_id', userId)
+    .eq('recurring', true)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch recurring post: ${error.message}`);
+  }
+
+  if (!series) {
+    throw new Error('Recurring post not found or access denied');
+  }
+
+  const { data: runs, error: runsError } = await supabase
+    .from('jobs')
+    .select('id, status, scheduled_for, processed_at, results')
+    .eq('parent_job_id', seriesId)
+    .eq('user_id', userId)
+    .order('scheduled_for', { ascending: false })
+    .limit(20);
+
+  if (runsError) {
+    throw new Error(`Failed to fetch recurring post runs: ${runsError.message}`);
+  }
+
+  return { ...withDescription(series), runs: runs || [] };
+}
+
+/**
+ * Update a recurring post series (edit, pause, resume)
+ * @param {string} userId - Supabase auth user ID
+ * @param {string} seriesId - Series ID (jobs.id)
+ * @param {Object} updates - Fields to update
+ * @param {string} updates.status - 'recurring' (resume) or 'paused'
+ * @param {string} updates.recurrence_rule - New RFC 5545 rule
+ * @param {string} updates.caption - New caption
+ * @param {string} updates.image_url - New image URL
+ * @param {Array<string>} updates.target_accounts - New target accounts
+ * @param {string} updates.fallback_client_id - New fallback client
+ * @param {Object} updates.variables - New template variables (null removes them)
+ * @returns {Promise<Object>} Updated series
+ */
+export async function updateRecurringPost(userId, seriesId, updates = {}) {
+  const series = await getRecurringPost(userId, seriesId);
+
+  if (series.status === SERIES_STATUS_ENDED) {
+    throw new Error('Cannot update an ended recurring post');
+  }
+
+  if (updates.status !== undefined && ![SERIES_STATUS_ACTIVE, SERIES_STATUS_PAUSED].includes(updates.status)) {
+    throw new Error(`Invalid status. Must be one of: ${SERIES_STATUS_ACTIVE}, ${SERIES_STATUS_PAUSED}`);
+  }
+
+  const updateData = {};
+  const status = updates.status || series.status;
+  const recurrenceRule = updates.recurrence_rule || series.recurrence_rule;
+
+  // Rebuild post content when the post itself changes
+  const postFields = ['caption', 'image_url', 'target_accounts', 'fallback_client_id', 'variables'];
+  if (postFields.some((field) => updates[field] !== undefined)) {
+    const postJob = await preparePostJob(userId, {
+      caption: updates.caption ?? series.content?.caption,
+      image_url: updates.image_url ?? series.content?.image_url,
+      target_accounts: updates.target_accounts ?? series.target_accounts,
+      fallback_client_id: updates.fallback_client_id !== undefined
+        ? updates.fallback_client_id
+        : series.fallback_client_id,
+      variables: updates.variables !== undefined ? updates.variables : series.content?.variables,
+    });
+    Object.assign(updateData, postJob);
+  }
+
+  if (updates.recurrence_rule !== undefined) {
+    // Validate even when paused
+    getFirstOccurrence(recurrenceRule);
+    updateData.recurrence_rule = recurrenceRule;
+  }
+
+  if (updates.status !== undefined) {
+    updateData.status = status;
+  }
+
+  // Paused series have no next run; active series continue from now
+  if (status === SERIES_STATUS_PAUSED) {
+    updateData.next_run_at = null;
+  } else if (updates.status !== undefined || updates.recurrence_rule !== undefined) {
+    updateData.next_run_at = getFirstOccurrence(recurrenceRule).toISOString();
+  }
+
+  if (Object.keys(updateData).length === 0) {
+    throw new Error('No valid fields to update');
+  }
+
+  const { data: updated, error } = await supabase
+    .from('jobs')
+    .update(updateData)
+    .eq('id', seriesId)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update recurring post: ${error.message}`);
+  }
+
+  return withDescription(updated);
+}
+
+/**
+ * End a recurring post series
+ * Runs that were already materialized but not yet claimed are cancelled
+ * @param {string} userId - Supabase auth user ID
+ * @param {string} seriesId - Series ID (jobs.id)
+ * @returns {Promise<Object>} Ended series and number of cancelled runs
+ */
+export async function endRecurringPost(userId, seriesId) {
+  const series = await getRecurringPost(userId, seriesId);
+
+  if (series.status === SERIES_STATUS_ENDED) {
+    throw new Error('Recurring post has already ended');
+  }
+
+  const { data: ended, error } = await supabase
+    .from('jobs')
+    .update({
+      status: SERIES_STATUS_ENDED,
+      next_run_at: null,
+      processed_at: new Date().toISOString(),
+    })
+    .eq('id', seriesId)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to end recurring post: ${error.message}`);
+  }
+
+  const { data: cancelledRuns, error: cancelError } = await supabase
+    .from('jobs')
+    .update({
+      status: 'cancelled',
+      processed_at: new Date().toISOString(),
+    })
+    .eq('parent_job_id', seriesId)
+    .eq('user_id', userId)
+    .eq('status', 'queued')
+    .select('id');
+
+  if (cancelError) {
+    throw new Error(`Failed to cancel pending runs: ${cancelError.message}`);
+  }
+
+  return {
+    series: withDescription(ended),
+    cancelledRuns: cancelledRuns?.length || 0,
+  };
+}
+
+/**
+ * Spawn the child jobs of one due series (one per agent the target accounts are bound to)
+ * next_run_at is advanced with a compare-and-set on its previous value, so concurrent
+ * materializers (two agents polling at once) never create the same run twice.
+ * Missed occurrences (server or agents down) are collapsed into a single run.
+ * @param {Object} series - Series job row
+ * @param {Date} now - Current time
+ * @returns {Promise<Array<Object>>} Created child jobs, empty if another materializer won
+ */
+async function materializeSeries(series, now) {
+  const dueAt = new Date(series.next_run_at);
+
+  let nextRunAt = null;
+  try {
+    nextRunAt = getNextOccurrence(series.recurrence_rule, dueAt > now ? dueAt : now);
+  } catch (err) {
+    console.error(`Recurring post ${series.id} has an invalid rule, ending series:`, err.message);
+  }
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('jobs')
+    .update({
+      next_run_at: nextRunAt ? nextRunAt.toISOString() : null,
+      last_run_at: dueAt.toISOString(),
+      ...(nextRunAt ? {} : { status: SERIES_STATUS_ENDED, processed_at: now.toISOString() }),
+    })
+    .eq('id', series.id)
+    .eq('status', SERIES_STATUS_ACTIVE)
+    .eq('next_run_at', series.next_run_at)
+    .select('id')
+    .maybeSingle();
+
+  if (claimError) {
+    throw new Error(`Failed to advance recurring post ${series.id}: ${claimError.message}`);
+  }
+
+  if (!claimed) {
+    return [];
+  }
+
+  // Rebuild content so each run uses the current post workflows; fall back to the stored snapshot
+  let postJob = {
+    content: series.content,
+    target_accounts: series.target_accounts,
+    fallback_client_id: series.fallback_client_id,
+  };
+  try {
+    postJob = await preparePostJob(series.user_id, {
+      caption: series.content?.caption,
+      image_url: series.content?.image_url,
+      target_accounts: series.target_accounts,
+      fallback_client_id: series.fallback_client_id,
+      variables: series.content?.variables,
+    });
+  } catch (err) {
+    console.warn(`Recurring post ${series.id}: using stored content (${err.message})`);
+  }
+
+  const postJobs = await splitPostJobByClient(series.user_id, postJob);
+
+  const { data: children, error: insertError } = await supabase
+    .from('jobs')
+    .insert(postJobs.map((childJob) => ({
+      user_id: series.user_id,
+      job_type: series.job_type,
+      status: 'queued',
+      ...childJob,
+      parent_job_id: series.id,
+      scheduled_for: dueAt.toISOString(),
+      expires_at: new Date(dueAt.getTime() + CHILD_JOB_TTL_MS).toISOString(),
+    })))
+    .select();
+
+  if (insertError) {
+    throw new Error(`Failed to create run of recurring post ${series.id}: ${insertError.message}`);
+  }
+
+  return children || [];
+}
+
+/**
+ * Create child jobs for every active series whose next_run_at is due
+ * Called before agents claim jobs (GET /api/client/jobs/pending), so runs appear as soon
+ * as an agent that can execute them polls, and for all users by the scheduler cron
+ * (GET /api/cron/scheduler)
+ * @param {Object} options - Options
+ * @param {string} options.userId - Only materialize series of this user (default: all users)
+ * @param {Date} options.now - Current time (default: now)
+ * @returns {Promise<Array>} Created child jobs
+ */
+export async function materializeDueRecurringPosts({ userId = null, now = new Date() } = {}) {
+  let query = supabase
+    .from('jobs')
+    .select('*')
+    .eq('recurring', true)
+    .eq('status', SERIES_STATUS_ACTIVE)
+    .lte('next_run_at', now.toISOString())
+    .order('next_run_at', { ascending: true })
+    .limit(MATERIALIZE_BATCH_SIZE);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data: dueSeries, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to fetch due recurring posts: ${error.message}`);
+  }
+
+  const created = [];
+  for (const series of dueSeries || []) {
+    try {
+      created.push(...await materializeSeries(series, now));
+    } catch (err) {
+      console.error('Materialize recurring post error:', err);
+    }
+  }
+
+  return created;
+}
@@ -0,0 +1,111 @@
+// Similarity threshold service (migration 025)
+// Calibrates the screenshot similarity threshold per platform from execution reports
+
+import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import { collectSimilaritySamples, calibrateThreshold } from '@modules-logic/utils/similarity-calibration.js';
+
+const supabase = createSupabaseServiceRoleClient();
+
+// Must match DEFAULT_SIMILARITY_METHOD in src/modules-client/image-similarity.js
+export const DEFAULT_SIMILARITY_METHOD = 'combined';
+
+// Reports considered for calibration
+const DEFAULT_LOOKBACK_DAYS = 30;
+const MAX_REPORTS = 500;
+
+/**
+ * List calibrated thresholds of all platforms
+ * @returns {Promise<Array<Object>>} similarity_thresholds rows
+ */
+export async function listSimilarityThresholds() {
+  const { data, error } = await supabase
+    .from('similarity_thresholds')
+    .select('*')
+    .order('platform', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load similarity thresholds: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Get the similarity settings agents use for a platform
+ * @param {string} platform - Platform name
+ * @returns {Promise<Object|null>} { method, threshold } or null when the platform is not calibrated
+ */
+export async function getSimilaritySettings(platform) {
+  if (!platform) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('similarity_thresholds')
+    .select('method, threshold')
+    .eq('platform', platform)
+    .maybeSingle();
+
+  // Agents fall back to the method's default threshold
+  if (error || !data) {
+    return null;
+  }
+
+  return { method: data.method, threshold: Number(data.threshold) };
+}
+
+/**
+ * Calibrate the similarity threshold of a platform from recent execution reports
+ * @param {string} platform - Platform name
+ * @param {Object} options - { method, days }
+ * @returns {Promise<Object>} Saved similarity_thresholds row
+ * @throws {Error} When there are not enough samples
+ */
+export async function calibratePlatformThreshold(platform, options = {}) {
+  if (!platform) {
+    throw new Error('platform is required');
+  }
+
+  const method = options.method || DEFAULT_SIMILARITY_METHOD;
+  const days = Number(options.days) > 0 ? Number(options.days) : DEFAULT_LOOKBACK_DAYS;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: reports, error } = await supabase
+    .from('execution_reports')
+    .select('status, actions')
+    .eq('platform', platform)
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(MAX_REPORTS);
+
+  if (error) {
+    throw new Error(`Failed to load execution reports: ${error.message}`);
+  }
+
+  const calibration = calibrateThreshold(collectSimilaritySamples(reports || [], method));
+
+  const { data, error: saveError } = await supabase
+    .from('similarity_thresholds')
+    .upsert({
+      platform,
+      method,
+      threshold: calibration.threshold,
+      positive_samples: calibration.positiveSamples,
+      negative_samples: calibration.negativeSamples,
+      details: {
+        positiveP10: calibration.positiveP10,
+        negativeP90: calibration.negativeP90,
+        reports: (reports || []).length,
+        days,
+      },
+      calibrated_at: new Date().toISOString(),
+    }, { onConflict: 'platform' })
+    .select()
+    .single();
+
+  if (saveError) {
+    throw new Error(`Failed to save similarity threshold: ${saveError.message}`);
+  }
+
+  return data;
+}
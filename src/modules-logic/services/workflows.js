@@ -1,2 +1,227 @@
 // Workflow execution logic
+// Turns stored workflows (steps) into the execution format sent to agents (actions),
+// resolving call_workflow steps into nested sub-workflows
 
+import { createSupabaseServiceRoleClient } from '@modules-view/utils/supabase.js';
+import {
+  populateMicroActions,
+  convertWorkflowToActions,
+  collectMicroActionIds,
+} from '@modules-logic/utils/workflow-converter.js';
+import { getSimilaritySettings } from '@modules-logic/services/similarity-thresholds.js';
+
+const supabase = createSupabaseServiceRoleClient();
+
+// Maximum nesting of call_workflow steps (the called workflow of a called workflow, ...)
+export const MAX_WORKFLOW_DEPTH = 5;
+
+/**
+ * Parse the steps of a workflow row (JSONB fields might be returned as strings)
+ * @param {Object} workflow - Workflow row
+ * @returns {Array} Steps
+ */
+function parseSteps(workflow) {
+  let steps = workflow.steps;
+  if (steps && typeof steps === 'string') {
+    try {
+      steps = JSON.parse(steps);
+    } catch (parseError) {
+      throw new Error(`Failed to parse steps of workflow "${workflow.name}": ${parseError.message}`);
+    }
+  }
+
+  if (!Array.isArray(steps)) {
+    throw new Error(`Invalid workflow "${workflow.name}": missing steps array`);
+  }
+
+  return steps;
+}
+
+/**
+ * Load an active workflow by ID
+ * @param {string} workflowId - Workflow ID
+ * @param {Map} cache - Workflows loaded during this resolution, by ID
+ * @returns {Promise<Object>} Workflow row
+ */
+async function loadWorkflow(workflowId, cache) {
+  if (cache.has(workflowId)) {
+    return cache.get(workflowId);
+  }
+
+  const { data: workflow, error } = await supabase
+    .from('workflows')
+    .select('*')
+    .eq('id', workflowId)
+    .eq('is_active', true)
+    .single();
+
+  if (error || !workflow) {
+    throw new Error(`Called workflow not found or inactive: ${workflowId}`);
+  }
+
+  cache.set(workflowId, workflow);
+  return workflow;
+}
+
+/**
+ * Resolve the call_workflow steps of a workflow recursively
+ * An auth_workflow_id (requires_auth) is resolved like a call_workflow step in front of the steps.
+ * @param {Object} workflow - Workflow row
+ * @param {Array<Object>} callStack - Workflows being resolved, outermost first ({ id, name })
+ * @param {Map} cache - Workflows loaded during this resolution, by ID
+ * @returns {Promise<Object>} Workflow whose call_workflow steps carry the called workflow in step.workflow
+ */
+async function resolveWorkflowCalls(workflow, callStack, cache) {
+  let steps = parseSteps(workflow);
+
+  if (workflow.requires_auth && workflow.auth_workflow_id) {
+    steps = [
+      { type: 'call_workflow', name: 'Authenticate', workflow_id: workflow.auth_workflow_id },
+      ...steps,
+    ];
+  }
+
+  const resolveList = async (list) => {
+    const resolved = [];
+    for (const step of list || []) {
+      resolved.push(await resolveStep(step));
+    }
+    return resolved;
+  };
+
+  const resolveStep = async (step) => {
+    if (step.micro_action_id) {
+      return step;
+    }
+
+    if (step.type === 'if') {
+      return { ...step, then: await resolveList(step.then), else: await resolveList(step.else) };
+    }
+
+    if (step.type === 'loop') {
+      return { ...step, steps: await resolveList(step.steps) };
+    }
+
+    if (step.type !== 'call_workflow') {
+      return step;
+    }
+
+    const repeated = callStack.find((caller) => caller.id === step.workflow_id);
+    if (repeated) {
+      const cycle = [...callStack.map((caller) => caller.name), repeated.name];
+      throw new Error(`Workflow cycle detected: ${cycle.join(' → ')}`);
+    }
+
+    if (callStack.length > MAX_WORKFLOW_DEPTH) {
+      throw new Error(`Workflows are nested too deeply (max ${MAX_WORKFLOW_DEPTH} levels): ${callStack.map((caller) => caller.name).join(' → ')}`);
+    }
+
+    const called = await loadWorkflow(step.workflow_id, cache);
+
+    // Pinned versions must match; workflows keep a single current version
+    if (step.version && called.version !== step.version) {
+      throw new Error(
+        `Workflow "${called.name}" is at version ${called.version}, but "${workflow.name}" calls version ${step.version}`
+      );
+    }
+
+    const resolvedCalled = await resolveWorkflowCalls(called, [...callStack, { id: called.id, name: called.name }], cache);
+    return { ...step, workflow: resolvedCalled };
+  };
+
+  return { ...workflow, steps: await resolveList(steps) };
+}
+
+/**
+ * Find the workflow a user's jobs run for a platform and type
+ * The user's own (private, recorded with their agent) workflow wins over the shared one;
+ * otherwise the most recently created active workflow is used.
+ * @param {string} platform - Platform name
+ * @param {string} type - Workflow type (auth, post, ...)
+ * @param {string|null} userId - User the job runs for (null = shared workflows only)
+ * @returns {Promise<Object|null>} Workflow row, or null when none is active
+ */
+export async function findActiveWorkflow(platform, type, userId = null) {
+  let query = supabase
+    .from('workflows')
+    .select('*')
+    .eq('platform', platform)
+    .eq('type', type)
+    .eq('is_active', true);
+
+  query = userId
+    ? query.or(`owner_id.is.null,owner_id.eq.${userId}`)
+    : query.is('owner_id', null);
+
+  const { data: workflows, error } = await query
+    .order('owner_id', { ascending: false, nullsFirst: false })
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to find ${type} workflow: ${error.message}`);
+  }
+
+  return workflows?.[0] || null;
+}
+
+/**
+ * Build the execution format (actions) of a stored workflow
+ * Resolves call_workflow steps (and auth_workflow_id) recursively, loads all micro-actions
+ * used anywhere in the tree and converts the result. The platform's calibrated screenshot
+ * similarity settings are attached as workflow.similarity ({ method, threshold }).
+ * @param {Object} workflow - Workflow row (steps may be a JSON string)
+ * @returns {Promise<Object>} Workflow with actions array (call_workflow actions nest their actions)
+ */
+export async function buildExecutableWorkflow(workflow) {
+  if (!workflow) {
+    throw new Error('Workflow is required');
+  }
+
+  const cache = new Map([[workflow.id, workflow]]);
+  let resolved = await resolveWorkflowCalls(workflow, [{ id: workflow.id, name: workflow.name }], cache);
+
+  const microActionIds = collectMicroActionIds(resolved.steps);
+  if (microActionIds.length > 0) {
+    const { data: microActions, error: microActionsError } = await supabase
+      .from('micro_actions')
+      .select('id, name, type, platform, params')
+      .in('id', microActionIds);
+
+    if (microActionsError) {
+      throw new Error(`Failed to load micro-actions: ${microActionsError.message}`);
+    }
+
+    resolved = populateMicroActions(resolved, microActions || []);
+  }
+
+  const executable = convertWorkflowToActions(resolved);
+
+  const similarity = await getSimilaritySettings(workflow.platform);
+  if (similarity) {
+    executable.similarity = similarity;
+  }
+
+  return executable;
+}
+
+/**
+ * Check that saving steps for a workflow does not create a call cycle
+ * @param {string|null} workflowId - ID of the workflow being saved (null when creating)
+ * @param {string} name - Name of the workflow being saved
+ * @param {Array} steps - Steps to save
+ * @param {Object} options - { requires_auth, auth_workflow_id } of the workflow being saved
+ * @returns {Promise<void>}
+ * @throws {Error} When a called workflow is missing, a cycle exists or nesting is too deep
+ */
+export async function validateWorkflowCalls(workflowId, name, steps, options = {}) {
+  const workflow = {
+    id: workflowId,
+    name,
+    steps,
+    requires_auth: options.requires_auth,
+    auth_workflow_id: options.auth_workflow_id,
+  };
+  const cache = workflowId ? new Map([[workflowId, workflow]]) : new Map();
+  await resolveWorkflowCalls(workflow, [{ id: workflowId, name }], cache);
+}
@@ -0,0 +1,41 @@
+/**
+ * Account Groups Utility
+ *
+ * Splits the target accounts of a post into one group per agent. Accounts bound to an agent
+ * (accounts.client_id) only run there, and a job whose accounts are bound to different agents
+ * is unroutable (migration 018, job_unroutable_reason). Posts therefore become one job per
+ * bound agent.
+ */
+
+/**
+ * Group account IDs by the agent they are bound to
+ * Unbound accounts may run on any agent of the user and join the first group.
+ * @param {Array<Object>} accounts - Accounts ({ id, client_id })
+ * @returns {Array<Array<string>>} Account IDs per job, in the order the accounts were given
+ */
+export function groupAccountsByClient(accounts) {
+  const groups = new Map();
+  const unbound = [];
+
+  for (const account of accounts || []) {
+    if (!account.client_id) {
+      unbound.push(account.id);
+      continue;
+    }
+    if (!groups.has(account.client_id)) {
+      groups.set(account.client_id, []);
+    }
+    groups.get(account.client_id).push(account.id);
+  }
+
+  const result = [...groups.values()];
+  if (unbound.length > 0) {
+    if (result.length > 0) {
+      result[0].push(...unbound);
+    } else {
+      result.push(unbound);
+    }
+  }
+
+  return result;
+}
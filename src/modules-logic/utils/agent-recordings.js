@@ -0,0 +1,112 @@
+/**
+ * Agent Recording Utility
+ *
+ * Customers record their own micro-actions with the installed agent: a 'record' job or an
+ * abcdtools://record deep link makes the agent run ActionRecorder and upload the converted
+ * micro-actions, which become a private workflow of the user (migration 028).
+ */
+
+export const RECORDING_PLATFORMS = ['instagram', 'facebook', 'twitter'];
+
+export const RECORDING_WORKFLOW_TYPES = ['auth', 'post', 'story', 'comment', 'like'];
+
+// Page the recording browser opens when no URL is given
+export const PLATFORM_START_URLS = {
+  instagram: 'https://www.instagram.com/',
+  facebook: 'https://www.facebook.com/',
+  twitter: 'https://x.com/',
+};
+
+// Micro-actions accepted per recording
+export const MAX_RECORDED_MICRO_ACTIONS = 200;
+
+// Fields of a converted micro-action that are not params
+const MICRO_ACTION_FIELDS = ['name', 'type', 'description', 'platform', 'params'];
+
+/**
+ * Validate a recording request (record job content or deep link parameters)
+ * @param {Object} request - { platform, url, name, workflow_type }
+ * @returns {Object} { platform, url, name, workflow_type }
+ * @throws {Error} When the platform, URL or workflow type is invalid
+ */
+export function normalizeRecordingRequest(request) {
+  const platform = typeof request?.platform === 'string' ? request.platform.trim().toLowerCase() : '';
+  if (!RECORDING_PLATFORMS.includes(platform)) {
+    throw new Error(`platform must be one of: ${RECORDING_PLATFORMS.join(', ')}`);
+  }
+
+  const workflowType = request.workflow_type || 'post';
+  if (!RECORDING_WORKFLOW_TYPES.includes(workflowType)) {
+    throw new Error(`workflow_type must be one of: ${RECORDING_WORKFLOW_TYPES.join(', ')}`);
+  }
+
+  const url = typeof request.url === 'string' && request.url.trim()
+    ? request.url.trim()
+    : PLATFORM_START_URLS[platform];
+  if (!/^https?:\/\//.test(url)) {
+    throw new Error('url must start with http:// or https://');
+  }
+  if (url.length > 500) {
+    throw new Error('url must be at most 500 characters');
+  }
+
+  const name = typeof request.name === 'string' && request.name.trim()
+    ? request.name.trim().slice(0, 100)
+    : `My ${platform} ${workflowType} workflow`;
+
+  return { platform, url, name, workflow_type: workflowType };
+}
+
+/**
+ * Deep link that makes the agent record (abcdtools://record?...)
+ * @param {Object} request - Normalized recording request
+ * @returns {string} Deep link
+ */
+export function buildRecordingDeepLink(request) {
+  const params = new URLSearchParams({
+    platform: request.platform,
+    url: request.url,
+    name: request.name,
+    type: request.workflow_type,
+  });
+  return `abcdtools://record?${params.toString()}`;
+}
+
+/**
+ * Turn the micro-actions converted by the recorder (convertToMicroActions) into micro_actions
+ * rows: the recorder keeps visual data, selectors and values next to name and type, the
+ * database keeps them in params
+ * @param {Array<Object>} microActions - Converted micro-actions
+ * @param {string} platform - Platform of the recording
+ * @returns {Array<Object>} Rows ({ name, type, description, platform, params })
+ * @throws {Error} When the list is empty, too long or a micro-action has no type
+ */
+export function toMicroActionRows(microActions, platform) {
+  if (!Array.isArray(microActions) || microActions.length === 0) {
+    throw new Error('microActions must be a non-empty array');
+  }
+  if (microActions.length > MAX_RECORDED_MICRO_ACTIONS) {
+    throw new Error(`Too many micro-actions (max ${MAX_RECORDED_MICRO_ACTIONS} per recording)`);
+  }
+
+  return microActions.map((action, index) => {
+    if (!action || typeof action.type !== 'string' || !action.type) {
+      throw new Error(`Micro-action ${index + 1} needs a type`);
+    }
+
+    const params = { ...(action.params || {}) };
+    for (const [key, value] of Object.entries(action)) {
+      if (!MICRO_ACTION_FIELDS.includes(key) && value !== undefined) {
+        params[key] = value;
+      }
+    }
+
+    return {
+      name: ((typeof action.name === 'string' && action.name.trim()) || `Step ${index + 1}: ${action.type}`).slice(0, 255),
+      type: action.type,
+      description: action.description || null,
+      platform,
+      params,
+    };
+  });
+}
@@ -0,0 +1,76 @@
+/**
+ * Client Logs Utility
+ *
+ * Turns a batch of agent log entries into client_logs rows. Entries with an unknown level or an
+ * empty message are skipped, and a job_id is only kept when it references one of the user's jobs
+ * (anything else would let an agent attach entries to another user's job, and an unknown ID would
+ * make the foreign key reject the whole batch).
+ */
+
+export const CLIENT_LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+export const MAX_LOG_BATCH_SIZE = 500;
+export const MAX_LOG_MESSAGE_LENGTH = 4000;
+
+export const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Use the agent's timestamp (entries spooled while offline arrive late), but never a future one
+ * @param {string} timestamp - ISO timestamp from the agent
+ * @param {Date} now - Current time
+ * @returns {string} ISO timestamp
+ */
+function toCreatedAt(timestamp, now) {
+  const date = timestamp ? new Date(timestamp) : null;
+  if (!date || Number.isNaN(date.getTime()) || date > now) {
+    return now.toISOString();
+  }
+  return date.toISOString();
+}
+
+/**
+ * Keep the entries that can be stored
+ * @param {Array<Object>} entries - [{ level, message, timestamp, jobId, context }]
+ * @returns {Array<Object>} Entries with a known level and a message
+ * @throws {Error} When the batch is empty or too large
+ */
+export function filterClientLogEntries(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('logs must be a non-empty array');
+  }
+
+  if (entries.length > MAX_LOG_BATCH_SIZE) {
+    throw new Error(`Too many log entries (max ${MAX_LOG_BATCH_SIZE} per request)`);
+  }
+
+  return entries.filter(
+    entry => entry && CLIENT_LOG_LEVELS.includes(entry.level) && typeof entry.message === 'string' && entry.message
+  );
+}
+
+/**
+ * Get the distinct job IDs the entries reference
+ * @param {Array<Object>} entries - Valid entries
+ * @returns {Array<string>} UUIDs to check against the user's jobs
+ */
+export function getClientLogJobIds(entries) {
+  return [...new Set(entries.map(entry => entry.jobId).filter(id => UUID_PATTERN.test(id || '')))];
+}
+
+/**
+ * Build client_logs rows
+ * @param {Object} client - Client row (client_id)
+ * @param {Array<Object>} entries - Valid entries
+ * @param {Set<string>} knownJobIds - IDs of the user's jobs among getClientLogJobIds(entries)
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} Rows
+ */
+export function toClientLogRows(client, entries, knownJobIds, now = new Date()) {
+  return entries.map(entry => ({
+    client_id: client.client_id,
+    job_id: knownJobIds.has(entry.jobId) ? entry.jobId : null,
+    level: entry.level,
+    message: entry.message.slice(0, MAX_LOG_MESSAGE_LENGTH),
+    context: entry.context && typeof entry.context === 'object' ? entry.context : {},
+    created_at: toCreatedAt(entry.timestamp, now),
+  }));
+}
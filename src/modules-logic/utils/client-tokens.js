@@ -0,0 +1,77 @@
+/**
+ * Client Tokens Utility
+ *
+ * Matches the API token of an agent request. After a scheduled rotation the replaced token is
+ * accepted for a grace period (migration 031); a token regenerated by the user revokes it.
+ */
+
+import { timingSafeEqual } from 'crypto';
+
+// The token replaced by a scheduled rotation stays valid this long, so requests already sent
+// with it (lease renewals, job updates, logs) and an agent that missed the new token still pass
+export const PREVIOUS_TOKEN_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Compare two tokens in constant time
+ * @param {string} stored - Token stored for the client
+ * @param {string} given - Token sent by the agent
+ * @returns {boolean}
+ */
+function tokensEqual(stored, given) {
+  if (typeof stored !== 'string' || typeof given !== 'string') {
+    return false;
+  }
+  const storedBuffer = Buffer.from(stored);
+  const givenBuffer = Buffer.from(given);
+  return storedBuffer.length === givenBuffer.length && timingSafeEqual(storedBuffer, givenBuffer);
+}
+
+/**
+ * Check the token an agent request was sent with
+ * @param {Object|null} client - Client row (api_token, previous_api_token, previous_api_token_expires_at)
+ * @param {string} apiToken - Token from the Authorization header
+ * @param {Date} now - Current time
+ * @returns {string|null} 'current', 'previous' (replaced token within its grace period) or null
+ */
+export function matchClientToken(client, apiToken, now = new Date()) {
+  if (!client || !apiToken) {
+    return null;
+  }
+
+  if (tokensEqual(client.api_token, apiToken)) {
+    return 'current';
+  }
+
+  const previousValidUntil = client.previous_api_token_expires_at
+    ? new Date(client.previous_api_token_expires_at).getTime()
+    : 0;
+  if (previousValidUntil > now.getTime() && tokensEqual(client.previous_api_token, apiToken)) {
+    return 'previous';
+  }
+
+  return null;
+}
+
+/**
+ * Columns to update for a scheduled token rotation; the old token stays valid for the grace period
+ * @param {Object} client - Client row (api_token)
+ * @param {string} apiToken - New token
+ * @param {string} tokenExpiresAt - Expiry of the new token (ISO)
+ * @param {Date} now - Current time
+ * @returns {Object} Update for the clients row
+ */
+export function toScheduledTokenRotation(client, apiToken, tokenExpiresAt, now = new Date()) {
+  return {
+    api_token: apiToken,
+    token_expires_at: tokenExpiresAt,
+    token_rotation: 'scheduled',
+    previous_api_token: client.api_token,
+    previous_api_token_expires_at: new Date(now.getTime() + PREVIOUS_TOKEN_GRACE_MS).toISOString(),
+  };
+}
+
+// Columns that end the grace period of a replaced token (regenerated by the user, re-registration)
+export const REVOKE_PREVIOUS_TOKEN = {
+  previous_api_token: null,
+  previous_api_token_expires_at: null,
+};
@@ -0,0 +1,101 @@
+/**
+ * Dead-Letter Utility
+ *
+ * Builds the notifications for jobs moved to the dead-letter queue, worded by job type (post jobs,
+ * account verifications and logins, recordings), and decides which jobs may be requeued.
+ */
+
+export const DEAD_LETTER_REASONS = {
+  expired: 'Expired before an agent picked it up',
+  retries_exhausted: 'Failed after all automatic retries',
+  not_retryable: 'Failed with an error that is not retried automatically',
+};
+
+// A record job opens a browser for the user to record in; once it expired or failed the user is
+// no longer waiting for it and has to start a new recording
+export const NON_REQUEUEABLE_JOB_TYPES = ['record'];
+
+// Notification wording and links per job type; jobUrl links a single job, listUrl several
+const JOB_TYPE_NOTIFICATIONS = {
+  post: {
+    title: 'Post job moved to dead-letter queue',
+    plural: 'post jobs moved to dead-letter queue',
+    jobUrl: (jobId) => `/posts/${jobId}`,
+    jobLabel: 'View Job',
+    listUrl: '/posts/history?status=dead_letter',
+    listLabel: 'View Jobs',
+  },
+  verify_account: {
+    title: 'Account verification did not complete',
+    plural: 'account verifications did not complete',
+    jobUrl: () => '/accounts',
+    jobLabel: 'View Accounts',
+    listUrl: '/accounts',
+    listLabel: 'View Accounts',
+  },
+  auth: {
+    title: 'Account login did not complete',
+    plural: 'account logins did not complete',
+    jobUrl: () => '/accounts',
+    jobLabel: 'View Accounts',
+    listUrl: '/accounts',
+    listLabel: 'View Accounts',
+  },
+  record: {
+    title: 'Recording did not complete',
+    plural: 'recordings did not complete',
+  },
+};
+
+const DEFAULT_NOTIFICATION = {
+  title: 'Job moved to dead-letter queue',
+  plural: 'jobs moved to dead-letter queue',
+};
+
+/**
+ * Whether a dead-lettered job may be put back in the queue
+ * @param {Object} job - Job row (job_type)
+ * @returns {boolean}
+ */
+export function isRequeueableJob(job) {
+  return !NON_REQUEUEABLE_JOB_TYPES.includes(job.job_type);
+}
+
+/**
+ * Build in-app notifications for jobs that landed in the dead-letter queue
+ * One notification per user and job type; it links to the job when only one job was moved
+ * @param {Array<Object>} deadLettered - Rows from sweep_dead_letter_jobs ({ job_id, job_user_id, reason, job_type })
+ * @param {Set<string>} optedOutUserIds - Users that turned off failed-job notifications
+ * @returns {Array<Object>} notifications rows
+ */
+export function toDeadLetterNotifications(deadLettered, optedOutUserIds = new Set()) {
+  const groups = new Map();
+  for (const row of deadLettered) {
+    if (optedOutUserIds.has(row.job_user_id)) {
+      continue;
+    }
+    const key = `${row.job_user_id}:${row.job_type || ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(row);
+  }
+
+  return [...groups.values()].map((rows) => {
+    const single = rows.length === 1 ? rows[0] : null;
+    const wording = JOB_TYPE_NOTIFICATIONS[rows[0].job_type] || DEFAULT_NOTIFICATION;
+    const actionUrl = single ? wording.jobUrl?.(single.job_id) : wording.listUrl;
+
+    return {
+      user_id: rows[0].job_user_id,
+      type: 'error',
+      title: single ? wording.title : `${rows.length} ${wording.plural}`,
+      message: single
+        ? DEAD_LETTER_REASONS[single.reason] || single.reason
+        : rows.map((row) => `${row.job_id.substring(0, 8)}: ${DEAD_LETTER_REASONS[row.reason] || row.reason}`).join('\n'),
+      action_url: actionUrl || null,
+      action_label: actionUrl ? (single ? wording.jobLabel : wording.listLabel) : null,
+      related_job_id: single ? single.job_id : null,
+    };
+  });
+}
@@ -0,0 +1,143 @@
+/**
+ * Healing Proposal Utility
+ *
+ * Agents report fresh visual data for elements they only found after relaxing thresholds, at
+ * the recorded position or with low confidence (EnhancedVisualExecutor result.healing). A
+ * proposal carries the visual data in the recorded format and a selector generated for the
+ * element; accepting it writes both into the micro-action's params.
+ *
+ * Visual data fields the recorder does not capture but admins set (alternativeTexts,
+ * textMatchThreshold) are kept. The context screenshot is dropped: it shows the old page.
+ */
+
+export const HEALING_REASONS = ['relaxed_threshold', 'position_fallback', 'low_confidence'];
+
+// Proposals accepted per request
+export const MAX_PROPOSAL_BATCH_SIZE = 50;
+
+// Recorded visual data fields a proposal may replace
+const PROPOSAL_VISUAL_FIELDS = ['screenshot', 'text', 'position', 'boundingBox', 'surroundingText', 'viewport'];
+
+/**
+ * Confidence at which proposals are accepted without review
+ * Configurable via HEALING_AUTO_ACCEPT_CONFIDENCE (0-1); unset disables auto-accept
+ * @returns {number|null} Confidence or null when auto-accept is off
+ */
+export function getAutoAcceptConfidence() {
+  const value = parseFloat(process.env.HEALING_AUTO_ACCEPT_CONFIDENCE);
+  return value > 0 && value <= 1 ? value : null;
+}
+
+/**
+ * Validate a proposal submitted by an agent
+ * @param {Object} proposal - { micro_action_id, reason, method, confidence, retries, visual, backup_selector }
+ * @returns {Object} Proposal with known fields only
+ * @throws {Error} When a required field is missing or invalid
+ */
+export function normalizeHealingProposal(proposal) {
+  if (!proposal?.micro_action_id) {
+    throw new Error('micro_action_id is required');
+  }
+  if (!HEALING_REASONS.includes(proposal.reason)) {
+    throw new Error(`Invalid healing reason: ${proposal.reason}`);
+  }
+  if (!proposal.visual?.screenshot) {
+    throw new Error('visual.screenshot is required');
+  }
+
+  const confidence = Number(proposal.confidence);
+  const visual = {};
+  for (const field of PROPOSAL_VISUAL_FIELDS) {
+    if (proposal.visual[field] !== undefined && proposal.visual[field] !== null && proposal.visual[field] !== '') {
+      visual[field] = proposal.visual[field];
+    }
+  }
+
+  return {
+    micro_action_id: proposal.micro_action_id,
+    reason: proposal.reason,
+    method: String(proposal.method || 'unknown'),
+    // Rounded to the column's precision
+    confidence: proposal.confidence === null || proposal.confidence === undefined || Number.isNaN(confidence)
+      ? null
+      : Math.round(Math.min(Math.max(confidence, 0), 1) * 1000) / 1000,
+    retries: parseInt(proposal.retries, 10) || 0,
+    visual,
+    backup_selector: typeof proposal.backup_selector === 'string' && proposal.backup_selector
+      ? proposal.backup_selector
+      : null,
+  };
+}
+
+/**
+ * Check whether a proposal is accepted without review
+ * Proposals without a confidence (position fallback, unscored matches) always need review.
+ * @param {Object} proposal - Normalized proposal
+ * @param {number|null} minConfidence - Auto-accept confidence (default: getAutoAcceptConfidence)
+ * @returns {boolean}
+ */
+export function shouldAutoAccept(proposal, minConfidence = getAutoAcceptConfidence()) {
+  if (minConfidence === null || typeof proposal?.confidence !== 'number') {
+    return false;
+  }
+  return proposal.confidence >= minConfidence;
+}
+
+/**
+ * Micro-actions a job runs: the only ones its agent may propose healing for
+ * Covers the job's workflow, the per-platform workflows of mixed-platform posts, nested
+ * if/loop/call_workflow blocks and workflows still in database format (steps).
+ * @param {Object} content - Job content
+ * @returns {Set<string>} micro_action_ids
+ */
+export function collectJobMicroActionIds(content) {
+  const ids = new Set();
+
+  const visit = (list) => {
+    for (const item of Array.isArray(list) ? list : []) {
+      if (!item || typeof item !== 'object') continue;
+      if (item.micro_action_id) {
+        ids.add(item.micro_action_id);
+      }
+      if (item.condition?.micro_action_id) {
+        ids.add(item.condition.micro_action_id);
+      }
+      // Execution format (actions, then/else) and database format (steps, resolved workflow)
+      [item.actions, item.then, item.else, item.steps, item.workflow?.steps].forEach(visit);
+    }
+  };
+
+  const workflows = [content?.workflow, ...Object.values(content?.workflows || {})];
+  if (!content?.workflow && (content?.actions || content?.steps)) {
+    // Workflow stored as the job content itself
+    workflows.push(content);
+  }
+  for (const workflow of workflows) {
+    if (workflow) {
+      visit(workflow.actions);
+      visit(workflow.steps);
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Micro-action params with an accepted proposal applied
+ * @param {Object} params - Current micro-action params
+ * @param {Object} proposal - Accepted proposal ({ visual, backup_selector })
+ * @returns {Object} New params
+ */
+export function applyHealingProposal(params, proposal) {
+  const { contextScreenshot, ...currentVisual } = params?.visual || {};
+
+  const next = {
+    ...params,
+    visual: { ...currentVisual, ...proposal.visual },
+  };
+  if (proposal.backup_selector) {
+    next.backup_selector = proposal.backup_selector;
+  }
+
+  return next;
+}
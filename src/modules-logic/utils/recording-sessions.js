@@ -0,0 +1,71 @@
+/**
+ * Recording Session Utility
+ *
+ * The recorder streams window.__recordedActions into a recording session. Actions change after
+ * they are pushed (screenshots are captured a moment later and replaced by their uploaded URLs),
+ * so every sync sends the actions from the first one that changed and the session's list is cut
+ * at that index before the batch is appended. A batch starting past the end of the list means
+ * the recorder missed a response; it is rejected and the recorder resends from the stored count.
+ */
+
+export const RECORDING_SESSION_STATUSES = ['recording', 'completed', 'cancelled'];
+
+// Actions accepted per sync request
+export const MAX_SYNC_BATCH_SIZE = 50;
+
+/**
+ * Validate the fields of a new session
+ * @param {Object} session - { platform, url, name }
+ * @returns {Object} Row fields
+ * @throws {Error} When platform or url is missing or invalid
+ */
+export function normalizeRecordingSession(session) {
+  const platform = typeof session?.platform === 'string' ? session.platform.trim().toLowerCase() : '';
+  if (!platform) {
+    throw new Error('platform is required');
+  }
+
+  const url = typeof session.url === 'string' ? session.url.trim() : '';
+  if (!/^https?:\/\//.test(url)) {
+    throw new Error('url must start with http:// or https://');
+  }
+  if (url.length > 500) {
+    throw new Error('url must be at most 500 characters');
+  }
+
+  const name = typeof session.name === 'string' && session.name.trim()
+    ? session.name.trim().slice(0, 200)
+    : null;
+
+  return { platform, url, name };
+}
+
+/**
+ * Merge a synced batch into the stored actions
+ * @param {Array<Object>} stored - Actions in the session
+ * @param {number} fromIndex - Index of the first action in the batch
+ * @param {Array<Object>} actions - Actions from fromIndex on
+ * @returns {Array<Object>|null} New action list, or null when the batch starts past the stored actions
+ * @throws {Error} When the batch is invalid
+ */
+export function mergeRecordedActions(stored, fromIndex, actions) {
+  if (!Number.isInteger(fromIndex) || fromIndex < 0) {
+    throw new Error('fromIndex must be a non-negative integer');
+  }
+  if (!Array.isArray(actions)) {
+    throw new Error('actions must be an array');
+  }
+  if (actions.length > MAX_SYNC_BATCH_SIZE) {
+    throw new Error(`Too many actions (max ${MAX_SYNC_BATCH_SIZE} per request)`);
+  }
+  if (actions.some((action) => !action || typeof action.type !== 'string')) {
+    throw new Error('Every action needs a type');
+  }
+
+  const current = Array.isArray(stored) ? stored : [];
+  if (fromIndex > current.length) {
+    return null;
+  }
+
+  return current.slice(0, fromIndex).concat(actions);
+}
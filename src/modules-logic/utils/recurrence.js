@@ -0,0 +1,506 @@
+/**
+ * Recurrence Rule Utility
+ *
+ * Parses and evaluates RFC 5545 recurrence rules used by recurring posts (jobs.recurrence_rule)
+ *
+ * Rule format (DTSTART + RRULE, one per line):
+ *   DTSTART;TZID=Europe/Berlin:20261019T090000
+ *   RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;BYHOUR=9;BYMINUTE=0
+ *
+ * Occurrences are computed in wall-clock time of the DTSTART time zone, so "09:00 in
+ * Europe/Berlin" stays 09:00 local time across daylight saving changes.
+ *
+ * Supported subset:
+ *   FREQ: DAILY, WEEKLY, MONTHLY
+ *   INTERVAL, COUNT, UNTIL, WKST
+ *   BYDAY (MO..SU; MONTHLY also accepts ordinals such as 1MO or -1FR)
+ *   BYMONTHDAY (1..31, -1 = last day), BYHOUR, BYMINUTE
+ */
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_LABELS = { SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat' };
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound for occurrence search (days) so invalid combinations (e.g. BYMONTHDAY=31 with
+// FREQ=MONTHLY;INTERVAL=2 starting in a 30-day month) never loop forever
+const MAX_SEARCH_DAYS = 366 * 20;
+
+const formatterCache = new Map();
+
+/**
+ * Check whether a string is a valid IANA time zone
+ * @param {string} timeZone - Time zone (e.g. Europe/Berlin)
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Get wall-clock parts of an instant in a time zone
+ * @param {Date|number} instant - Date or timestamp
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+export function getZonedParts(instant, timeZone) {
+  const values = {};
+  getFormatter(timeZone).formatToParts(new Date(instant)).forEach((part) => {
+    values[part.type] = part.value;
+  });
+  return {
+    year: parseInt(values.year, 10),
+    month: parseInt(values.month, 10),
+    day: parseInt(values.day, 10),
+    hour: parseInt(values.hour, 10) % 24,
+    minute: parseInt(values.minute, 10),
+    second: parseInt(values.second, 10),
+  };
+}
+
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = getZonedParts(timestamp, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert wall-clock time in a time zone to a UTC instant
+ * Times skipped by a DST change resolve to the first valid instant after the gap
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc(parts, timeZone) {
+  const guess = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second || 0);
+  const firstOffset = getTimeZoneOffset(guess, timeZone);
+  let timestamp = guess - firstOffset;
+  const secondOffset = getTimeZoneOffset(timestamp, timeZone);
+  if (secondOffset !== firstOffset) {
+    timestamp = guess - secondOffset;
+  }
+  return new Date(timestamp);
+}
+
+function parseDateTimeValue(value, fieldName) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value || '');
+  if (!match) {
+    throw new Error(`Invalid recurrence rule: ${fieldName} must be YYYYMMDD or YYYYMMDDTHHMMSS[Z]`);
+  }
+  return {
+    year: parseInt(match[1], 10),
+    month: parseInt(match[2], 10),
+    day: parseInt(match[3], 10),
+    hour: match[4] ? parseInt(match[4], 10) : 0,
+    minute: match[5] ? parseInt(match[5], 10) : 0,
+    second: match[6] ? parseInt(match[6], 10) : 0,
+    hasTime: !!match[4],
+    utc: !!match[7],
+  };
+}
+
+function parseIntegerList(value, fieldName, min, max) {
+  return value.split(',').map((item) => {
+    const number = parseInt(item, 10);
+    if (Number.isNaN(number) || number < min || number > max || (min < 0 && number === 0)) {
+      throw new Error(`Invalid recurrence rule: ${fieldName} value "${item}" is out of range`);
+    }
+    return number;
+  });
+}
+
+/**
+ * Parse a recurrence rule string
+ * @param {string} rule - DTSTART and RRULE lines
+ * @returns {Object} Parsed rule
+ */
+export function parseRecurrenceRule(rule) {
+  if (!rule || typeof rule !== 'string') {
+    throw new Error('Invalid recurrence rule: rule is required');
+  }
+
+  const lines = rule.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  const dtstartLine = lines.find((line) => line.toUpperCase().startsWith('DTSTART'));
+  const rruleLine = lines.find((line) => line.toUpperCase().startsWith('RRULE:'));
+
+  if (!dtstartLine) {
+    throw new Error('Invalid recurrence rule: DTSTART is required');
+  }
+  if (!rruleLine) {
+    throw new Error('Invalid recurrence rule: RRULE is required');
+  }
+
+  // DTSTART;TZID=Europe/Berlin:20261019T090000 or DTSTART:20261019T070000Z
+  const separatorIndex = dtstartLine.lastIndexOf(':');
+  const dtstartParams = dtstartLine.substring(0, separatorIndex).split(';').slice(1);
+  const tzidParam = dtstartParams.find((param) => param.toUpperCase().startsWith('TZID='));
+  const start = parseDateTimeValue(dtstartLine.substring(separatorIndex + 1), 'DTSTART');
+  const timeZone = start.utc ? 'UTC' : (tzidParam ? tzidParam.substring(5) : 'UTC');
+
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Invalid recurrence rule: unknown time zone "${timeZone}"`);
+  }
+
+  const parsed = {
+    timeZone,
+    start: {
+      year: start.year,
+      month: start.month,
+      day: start.day,
+      hour: start.hour,
+      minute: start.minute,
+      second: start.second,
+    },
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    weekStart: 'MO',
+    byDay: [],
+    byMonthDay: [],
+    byHour: [],
+    byMinute: [],
+  };
+
+  rruleLine.substring(6).split(';').filter(Boolean).forEach((pair) => {
+    const [rawKey, value] = pair.split('=');
+    const key = (rawKey || '').toUpperCase();
+
+    if (!value) {
+      throw new Error(`Invalid recurrence rule: missing value for ${key}`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        parsed.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        parsed.interval = parseIntegerList(value, 'INTERVAL', 1, 1000)[0];
+        break;
+      case 'COUNT':
+        parsed.count = parseIntegerList(value, 'COUNT', 1, 100000)[0];
+        break;
+      case 'UNTIL': {
+        const until = parseDateTimeValue(value, 'UNTIL');
+        if (until.utc) {
+          parsed.until = new Date(Date.UTC(until.year, until.month - 1, until.day, until.hour, until.minute, until.second));
+        } else {
+          // Local date/time: a date-only UNTIL includes the whole day
+          parsed.until = zonedTimeToUtc(
+            until.hasTime ? until : { ...until, hour: 23, minute: 59, second: 59 },
+            parsed.timeZone
+          );
+        }
+        break;
+      }
+      case 'WKST':
+        if (!WEEKDAYS.includes(value.toUpperCase())) {
+          throw new Error(`Invalid recurrence rule: WKST value "${value}" is not a weekday`);
+        }
+        parsed.weekStart = value.toUpperCase();
+        break;
+      case 'BYDAY':
+        parsed.byDay = value.toUpperCase().split(',').map((item) => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+          if (!match) {
+            throw new Error(`Invalid recurrence rule: BYDAY value "${item}" is not a weekday`);
+          }
+          return { weekday: match[2], ordinal: match[1] ? parseInt(match[1], 10) : null };
+        });
+        break;
+      case 'BYMONTHDAY':
+        parsed.byMonthDay = parseIntegerList(value, 'BYMONTHDAY', -31, 31);
+        break;
+      case 'BYHOUR':
+        parsed.byHour = parseIntegerList(value, 'BYHOUR', 0, 23);
+        break;
+      case 'BYMINUTE':
+        parsed.byMinute = parseIntegerList(value, 'BYMINUTE', 0, 59);
+        break;
+      default:
+        throw new Error(`Invalid recurrence rule: ${key} is not supported`);
+    }
+  });
+
+  if (!SUPPORTED_FREQUENCIES.includes(parsed.freq)) {
+    throw new Error(`Invalid recurrence rule: FREQ must be one of ${SUPPORTED_FREQUENCIES.join(', ')}`);
+  }
+
+  if (parsed.count && parsed.until) {
+    throw new Error('Invalid recurrence rule: COUNT and UNTIL cannot be combined');
+  }
+
+  if (parsed.freq !== 'MONTHLY' && parsed.byDay.some((day) => day.ordinal !== null)) {
+    throw new Error('Invalid recurrence rule: BYDAY ordinals are only supported with FREQ=MONTHLY');
+  }
+
+  return parsed;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function dateMatches(rule, dayNumber, startDayNumber) {
+  const date = new Date(dayNumber * DAY_MS);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+  const day = date.getUTCDate();
+  const weekdayIndex = date.getUTCDay();
+  const weekday = WEEKDAYS[weekdayIndex];
+  const monthLength = daysInMonth(year, month);
+
+  const monthDayMatches = (monthDay) => (monthDay > 0 ? monthDay === day : monthLength + monthDay + 1 === day);
+  const weekdayMatches = (byDay) => {
+    if (byDay.weekday !== weekday) return false;
+    if (byDay.ordinal === null) return true;
+    const nth = Math.floor((day - 1) / 7) + 1;
+    const nthFromEnd = Math.floor((monthLength - day) / 7) + 1;
+    return byDay.ordinal > 0 ? byDay.ordinal === nth : -byDay.ordinal === nthFromEnd;
+  };
+
+  if (rule.freq === 'DAILY') {
+    if ((dayNumber - startDayNumber) % rule.interval !== 0) return false;
+    if (rule.byDay.length > 0 && !rule.byDay.some(weekdayMatches)) return false;
+    if (rule.byMonthDay.length > 0 && !rule.byMonthDay.some(monthDayMatches)) return false;
+    return true;
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekStartIndex = WEEKDAYS.indexOf(rule.weekStart);
+    const weekOf = (number) => number - ((new Date(number * DAY_MS).getUTCDay() - weekStartIndex + 7) % 7);
+    const weeks = (weekOf(dayNumber) - weekOf(startDayNumber)) / 7;
+    if (weeks % rule.interval !== 0) return false;
+    if (rule.byDay.length > 0) return rule.byDay.some(weekdayMatches);
+    return weekdayIndex === new Date(startDayNumber * DAY_MS).getUTCDay();
+  }
+
+  // MONTHLY
+  const months = (year - rule.start.year) * 12 + (month - rule.start.month);
+  if (months % rule.interval !== 0) return false;
+  if (rule.byMonthDay.length > 0 && !rule.byMonthDay.some(monthDayMatches)) return false;
+  if (rule.byDay.length > 0 && !rule.byDay.some(weekdayMatches)) return false;
+  if (rule.byMonthDay.length === 0 && rule.byDay.length === 0) return day === rule.start.day;
+  return true;
+}
+
+/**
+ * Iterate over the occurrences of a parsed rule in chronological order
+ * @param {Object} rule - Parsed rule (see parseRecurrenceRule)
+ * @param {Date} [searchFrom] - Skip days before this instant (ignored when COUNT is set)
+ * @returns {Generator<Date>}
+ */
+function* iterateOccurrences(rule, searchFrom = null) {
+  const { start, timeZone } = rule;
+  const startDayNumber = Math.floor(Date.UTC(start.year, start.month - 1, start.day) / DAY_MS);
+  const hours = (rule.byHour.length > 0 ? rule.byHour : [start.hour]).slice().sort((a, b) => a - b);
+  const minutes = (rule.byMinute.length > 0 ? rule.byMinute : [start.minute]).slice().sort((a, b) => a - b);
+  const startLocal = Date.UTC(start.year, start.month - 1, start.day, start.hour, start.minute, start.second);
+
+  // COUNT needs every occurrence from DTSTART; otherwise jump close to the search point
+  let firstDay = startDayNumber;
+  if (searchFrom && !rule.count) {
+    firstDay = Math.max(startDayNumber, Math.floor(searchFrom.getTime() / DAY_MS) - 2);
+  }
+
+  let emitted = 0;
+  for (let dayNumber = firstDay; dayNumber < firstDay + MAX_SEARCH_DAYS; dayNumber++) {
+    if (!dateMatches(rule, dayNumber, startDayNumber)) continue;
+
+    const date = new Date(dayNumber * DAY_MS);
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const local = {
+          year: date.getUTCFullYear(),
+          month: date.getUTCMonth() + 1,
+          day: date.getUTCDate(),
+          hour,
+          minute,
+          second: start.second,
+        };
+
+        // Occurrences never precede DTSTART
+        if (Date.UTC(local.year, local.month - 1, local.day, hour, minute, start.second) < startLocal) continue;
+
+        const occurrence = zonedTimeToUtc(local, timeZone);
+        if (rule.until && occurrence > rule.until) return;
+
+        emitted++;
+        yield occurrence;
+
+        if (rule.count && emitted >= rule.count) return;
+      }
+    }
+  }
+}
+
+/**
+ * Get the first occurrence strictly after a given instant
+ * @param {string|Object} rule - Rule string or parsed rule
+ * @param {Date} [after] - Reference instant (default: now)
+ * @returns {Date|null} Next occurrence, or null if the series has ended
+ */
+export function getNextOccurrence(rule, after = new Date()) {
+  const parsed = typeof rule === 'string' ? parseRecurrenceRule(rule) : rule;
+  for (const occurrence of iterateOccurrences(parsed, after)) {
+    if (occurrence > after) {
+      return occurrence;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the next occurrences after a given instant
+ * @param {string|Object} rule - Rule string or parsed rule
+ * @param {number} limit - Maximum number of occurrences
+ * @param {Date} [after] - Reference instant (default: now)
+ * @returns {Array<Date>}
+ */
+export function getUpcomingOccurrences(rule, limit = 5, after = new Date()) {
+  const parsed = typeof rule === 'string' ? parseRecurrenceRule(rule) : rule;
+  const occurrences = [];
+  for (const occurrence of iterateOccurrences(parsed, after)) {
+    if (occurrence > after) {
+      occurrences.push(occurrence);
+      if (occurrences.length >= limit) break;
+    }
+  }
+  return occurrences;
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Build a rule string from schedule options (as entered in the post form)
+ * @param {Object} options - Schedule options
+ * @param {string} options.frequency - daily, weekly or monthly
+ * @param {number} [options.interval] - Every N days/weeks/months (default: 1)
+ * @param {Array<string>} [options.days] - Weekdays for weekly rules (MO, TU, ...)
+ * @param {string} options.time - Local time HH:MM
+ * @param {string} options.timeZone - IANA time zone
+ * @param {string} options.startDate - First day YYYY-MM-DD
+ * @param {string} [options.untilDate] - Last day YYYY-MM-DD (inclusive)
+ * @param {number} [options.count] - Number of occurrences
+ * @returns {string} Rule string
+ */
+export function buildRecurrenceRule(options) {
+  const { frequency, interval = 1, days = [], time, timeZone, startDate, untilDate, count } = options;
+
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Invalid recurrence rule: unknown time zone "${timeZone}"`);
+  }
+
+  const timeMatch = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(startDate || '');
+  if (!timeMatch || !dateMatch) {
+    throw new Error('Invalid recurrence rule: time (HH:MM) and start date (YYYY-MM-DD) are required');
+  }
+
+  const hour = parseInt(timeMatch[1], 10);
+  const minute = parseInt(timeMatch[2], 10);
+  const dtstart = `DTSTART;TZID=${timeZone}:${dateMatch[1]}${dateMatch[2]}${dateMatch[3]}T${pad(hour)}${pad(minute)}00`;
+
+  const parts = [`FREQ=${String(frequency).toUpperCase()}`];
+  if (interval && Number(interval) > 1) parts.push(`INTERVAL=${Number(interval)}`);
+  if (String(frequency).toUpperCase() === 'WEEKLY' && days.length > 0) {
+    const ordered = WEEKDAYS.filter((weekday) => days.includes(weekday));
+    parts.push(`BYDAY=${ordered.join(',')}`);
+  }
+  parts.push(`BYHOUR=${hour}`, `BYMINUTE=${minute}`);
+  if (count) {
+    parts.push(`COUNT=${Number(count)}`);
+  } else if (untilDate) {
+    parts.push(`UNTIL=${untilDate.replace(/-/g, '')}`);
+  }
+
+  const rule = `${dtstart}\nRRULE:${parts.join(';')}`;
+
+  // Validate the result
+  parseRecurrenceRule(rule);
+
+  return rule;
+}
+
+/**
+ * Convert a rule string back to schedule options (inverse of buildRecurrenceRule)
+ * @param {string} rule - Rule string
+ * @returns {Object} Schedule options
+ */
+export function getScheduleOptions(rule) {
+  const parsed = parseRecurrenceRule(rule);
+  const hour = parsed.byHour[0] ?? parsed.start.hour;
+  const minute = parsed.byMinute[0] ?? parsed.start.minute;
+  let untilDate = '';
+  if (parsed.until) {
+    const until = getZonedParts(parsed.until, parsed.timeZone);
+    untilDate = `${until.year}-${pad(until.month)}-${pad(until.day)}`;
+  }
+
+  return {
+    frequency: parsed.freq.toLowerCase(),
+    interval: parsed.interval,
+    days: parsed.byDay.map((day) => day.weekday),
+    time: `${pad(hour)}:${pad(minute)}`,
+    timeZone: parsed.timeZone,
+    startDate: `${parsed.start.year}-${pad(parsed.start.month)}-${pad(parsed.start.day)}`,
+    untilDate,
+    count: parsed.count || '',
+  };
+}
+
+/**
+ * Describe a rule in plain English, e.g. "Every week on Mon, Wed, Fri at 09:00 (Europe/Berlin)"
+ * @param {string} rule - Rule string
+ * @returns {string}
+ */
+export function describeRecurrenceRule(rule) {
+  const parsed = parseRecurrenceRule(rule);
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[parsed.freq];
+  let text = parsed.interval > 1 ? `Every ${parsed.interval} ${unit}s` : `Every ${unit}`;
+
+  if (parsed.byDay.length > 0) {
+    const labels = parsed.byDay.map((day) => (day.ordinal ? `${day.ordinal} ` : '') + WEEKDAY_LABELS[day.weekday]);
+    text += ` on ${labels.join(', ')}`;
+  } else if (parsed.byMonthDay.length > 0) {
+    text += ` on day ${parsed.byMonthDay.join(', ')}`;
+  }
+
+  const hours = parsed.byHour.length > 0 ? parsed.byHour : [parsed.start.hour];
+  const minutes = parsed.byMinute.length > 0 ? parsed.byMinute : [parsed.start.minute];
+  const times = hours.flatMap((hour) => minutes.map((minute) => `${pad(hour)}:${pad(minute)}`));
+  text += ` at ${times.join(', ')} (${parsed.timeZone})`;
+
+  if (parsed.count) {
+    text += `, ${parsed.count} times`;
+  } else if (parsed.until) {
+    const until = getZonedParts(parsed.until, parsed.timeZone);
+    text += `, until ${until.year}-${pad(until.month)}-${pad(until.day)}`;
+  }
+
+  return text;
+}
@@ -0,0 +1,110 @@
+/**
+ * Similarity Threshold Calibration Utility
+ *
+ * Derives the screenshot similarity threshold for a platform from execution reports.
+ * When findByVisual compares candidate screenshots, the report entry of the action carries
+ * { method, threshold, scores, chosenIndex, matched } (scores in candidate order). In runs that
+ * completed, the chosen candidate was the right element:
+ *   positives: score of the chosen candidate
+ *   negatives: scores of the other candidates
+ *
+ * The threshold lies between the low end of the positives and the high end of the negatives,
+ * so good matches are accepted even when the UI changed slightly, while wrong candidates
+ * stay below it.
+ */
+
+// Samples needed before a threshold is derived
+export const MIN_SAMPLES = 20;
+
+// Calibrated thresholds stay within these bounds
+export const MIN_THRESHOLD = 0.4;
+export const MAX_THRESHOLD = 0.95;
+
+// Margin below the positives when no negatives were seen
+const POSITIVE_MARGIN = 0.05;
+
+/**
+ * Percentile of a list of numbers (linear interpolation)
+ * @param {Array<number>} values - Values
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number} Percentile value
+ */
+export function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Collect report entries of actions, including the actions of called sub-workflows
+ * @param {Array<Object>} actions - Report action entries
+ * @returns {Array<Object>} Flat list of entries
+ */
+function flattenActions(actions) {
+  return (actions || []).flatMap((entry) => [entry, ...flattenActions(entry.subWorkflow?.actions)]);
+}
+
+/**
+ * Collect similarity samples from execution reports
+ * @param {Array<Object>} reports - Execution report rows ({ status, actions })
+ * @param {string} method - Similarity method to collect samples for
+ * @returns {Object} { positives: number[], negatives: number[] }
+ */
+export function collectSimilaritySamples(reports, method) {
+  const positives = [];
+  const negatives = [];
+
+  for (const report of reports) {
+    // Failed runs may have clicked the wrong candidate, so their scores prove nothing
+    if (report.status !== 'completed') continue;
+
+    for (const entry of flattenActions(report.actions)) {
+      const similarity = entry.similarity;
+      if (!entry.success || !similarity || similarity.method !== method) continue;
+      if (!Array.isArray(similarity.scores) || similarity.chosenIndex === null || similarity.chosenIndex === undefined) continue;
+
+      similarity.scores.forEach((score, index) => {
+        if (typeof score !== 'number') return;
+        if (index === similarity.chosenIndex) {
+          positives.push(score);
+        } else {
+          negatives.push(score);
+        }
+      });
+    }
+  }
+
+  return { positives, negatives };
+}
+
+/**
+ * Derive a similarity threshold from samples
+ * With negatives: midway between the 10th percentile of the positives and the 90th percentile
+ * of the negatives. Without: just below the 10th percentile of the positives.
+ * @param {Object} samples - { positives: number[], negatives: number[] }
+ * @returns {Object} { threshold, positiveSamples, negativeSamples, positiveP10, negativeP90 }
+ * @throws {Error} When there are fewer than MIN_SAMPLES positives
+ */
+export function calibrateThreshold({ positives, negatives }) {
+  if (positives.length < MIN_SAMPLES) {
+    throw new Error(`Not enough samples to calibrate: ${positives.length} of ${MIN_SAMPLES} matches`);
+  }
+
+  const positiveP10 = percentile(positives, 10);
+  const negativeP90 = negatives.length > 0 ? percentile(negatives, 90) : null;
+
+  const raw = negativeP90 === null
+    ? positiveP10 - POSITIVE_MARGIN
+    : (positiveP10 + negativeP90) / 2;
+  const threshold = Math.round(Math.min(MAX_THRESHOLD, Math.max(MIN_THRESHOLD, raw)) * 1000) / 1000;
+
+  return {
+    threshold,
+    positiveSamples: positives.length,
+    negativeSamples: negatives.length,
+    positiveP10,
+    negativeP90,
+  };
+}
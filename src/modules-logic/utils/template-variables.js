@@ -0,0 +1,53 @@
+/**
+ * Template Variables Utility
+ *
+ * Validates the variable maps of job content (content.variables). Recorded workflows type
+ * {{name}} where a template rule replaced personal data (see
+ * src/modules-recorder/utils/template-replacement.mjs); the agent fills them from the job:
+ *   { "hashtags": "#coffee #morning", "location": "Berlin", "altText": "A cup of coffee" }
+ *
+ * The variables the agent builds itself (username, password, caption, image_url, imagePath)
+ * take precedence over entries of the same name.
+ */
+
+import { TEMPLATE_VARIABLE_NAME } from '../../modules-recorder/utils/step-annotations.mjs';
+
+export const MAX_TEMPLATE_VARIABLES = 50;
+export const MAX_TEMPLATE_VARIABLE_LENGTH = 2200;
+
+/**
+ * Validate a variable map of job content
+ * @param {Object|null|undefined} variables - { name: value }
+ * @returns {Object|null} Variables with string values, null when none were given
+ * @throws {Error} When the map, a name or a value is invalid
+ */
+export function normalizeTemplateVariables(variables) {
+  if (variables === undefined || variables === null) {
+    return null;
+  }
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new Error('Invalid variables: must be an object of { name: value }');
+  }
+
+  const entries = Object.entries(variables);
+  if (entries.length > MAX_TEMPLATE_VARIABLES) {
+    throw new Error(`Invalid variables: at most ${MAX_TEMPLATE_VARIABLES} variables are allowed`);
+  }
+
+  const normalized = {};
+  for (const [name, value] of entries) {
+    if (!TEMPLATE_VARIABLE_NAME.test(name)) {
+      throw new Error(`Invalid variables: "${name}" is not a valid name (letters, digits and _)`);
+    }
+    if (typeof value !== 'string' && !(typeof value === 'number' && Number.isFinite(value))) {
+      throw new Error(`Invalid variables: ${name} must be a string or a number`);
+    }
+    const text = String(value);
+    if (text.length > MAX_TEMPLATE_VARIABLE_LENGTH) {
+      throw new Error(`Invalid variables: ${name} must be ${MAX_TEMPLATE_VARIABLE_LENGTH} characters or less`);
+    }
+    normalized[name] = text;
+  }
+
+  return entries.length > 0 ? normalized : null;
+}
@@ -8,7 +8,10 @@
  *   id: "uuid",
  *   name: "Workflow Name",
  *   steps: [
- *     { micro_action_id: "uuid", params_override: {}, micro_action: {...} }
+ *     { micro_action_id: "uuid", params_override: {}, micro_action: {...}, optional: false },
+ *     { type: "if", name: "...", condition: {...}, then: [steps], else: [steps] },
+ *     { type: "loop", name: "...", condition: {...}, max_iterations: 5, steps: [steps] },
+ *     { type: "call_workflow", workflow_id: "uuid", version: "1.0.0", params: {...}, outputs: {...}, workflow: {...} }
  *   ]
  * }
  * 
@@ -17,49 +20,258 @@
  *   id: "uuid",
  *   name: "Workflow Name",
  *   actions: [
- *     { name: "...", type: "...", params: {...}, visual: {...}, backup_selector: "..." }
+ *     { name: "...", type: "...", params: {...}, visual: {...}, backup_selector: "...", optional: false, micro_action_id: "uuid" },
+ *     { name: "...", type: "if", condition: {...}, then: [actions], else: [actions] },
+ *     { name: "...", type: "loop", condition: {...}, maxIterations: 5, actions: [actions] },
+ *     { name: "...", type: "call_workflow", workflowId: "uuid", version: "1.0.0", params: {...}, outputs: {...}, actions: [actions] }
  *   ]
  * }
+ * 
+ * Optional steps are skipped when their element is not found instead of failing the workflow.
+ * Loops repeat while their condition holds (or max_iterations times without a condition).
+ * call_workflow runs another workflow (resolved on the server into step.workflow, see
+ * services/workflows.js) with a copy of the caller's variables plus params, where
+ * params values may reference caller variables ({{username}}). outputs maps caller
+ * variables to sub-workflow variables ({ postUrl: "permalink" }) that are copied back.
+ * 
+ * Conditions (any of them can set negate: true):
+ *   { type: "visible", micro_action_id: "uuid" }   element of a micro-action is on the page
+ *   { type: "visible", selector: "...", text: "..." }
+ *   { type: "text", text: "..." }                  page contains the text
+ *   { type: "variable", name: "...", equals: "..." } variable is set (or equals the value)
+ * visible and text conditions wait up to timeout ms (default 3000) for the element or text.
  */
 
+export const CONTROL_STEP_TYPES = ['if', 'loop', 'call_workflow'];
+export const CONDITION_TYPES = ['visible', 'text', 'variable'];
+export const MAX_LOOP_ITERATIONS = 20;
+
 /**
- * Convert database workflow format to execution format
- * @param {Object} workflow - Database workflow object with steps
- * @returns {Object} Workflow with actions array
+ * Check whether a step is a control-flow block (if/loop/call_workflow) rather than a micro-action
+ * @param {Object} step - Workflow step
+ * @returns {boolean}
  */
-export function convertWorkflowToActions(workflow) {
-  if (!workflow) {
-    throw new Error('Workflow is required');
+export function isControlStep(step) {
+  return CONTROL_STEP_TYPES.includes(step?.type) && !step.micro_action_id;
+}
+
+/**
+ * Get the nested step lists of a control step
+ * @param {Object} step - Workflow step
+ * @returns {Array<Array>} Nested step arrays
+ */
+function getNestedSteps(step) {
+  if (step.type === 'if') {
+    return [step.then || [], step.else || []];
+  }
+  if (step.type === 'call_workflow') {
+    // Only resolved sub-workflows carry steps
+    return [step.workflow?.steps || []];
   }
+  return [step.steps || []];
+}
 
-  // If workflow already has actions, return as-is (might already be converted)
-  if (workflow.actions && Array.isArray(workflow.actions)) {
-    return workflow;
+/**
+ * Collect the micro_action_ids used by workflow steps, including nested blocks and conditions
+ * @param {Array} steps - Workflow steps
+ * @returns {Array<string>} Unique micro_action_ids
+ */
+export function collectMicroActionIds(steps) {
+  const ids = new Set();
+
+  const visit = (list) => {
+    for (const step of list || []) {
+      if (isControlStep(step)) {
+        if (step.condition?.micro_action_id) {
+          ids.add(step.condition.micro_action_id);
+        }
+        getNestedSteps(step).forEach(visit);
+      } else if (step?.micro_action_id) {
+        ids.add(step.micro_action_id);
+      }
+    }
+  };
+
+  visit(steps);
+  return [...ids];
+}
+
+/**
+ * Validate a condition of a control step
+ * @param {Object} condition - Condition
+ * @param {string} label - Step label for error messages
+ */
+function validateCondition(condition, label) {
+  if (!condition || typeof condition !== 'object') {
+    throw new Error(`${label}: condition is required`);
   }
 
-  // Parse steps if it's a string (JSONB fields might be returned as strings)
-  let steps = workflow.steps;
-  if (steps && typeof steps === 'string') {
-    try {
-      steps = JSON.parse(steps);
-    } catch (parseError) {
-      throw new Error(`Failed to parse workflow steps: ${parseError.message}`);
+  if (!CONDITION_TYPES.includes(condition.type)) {
+    throw new Error(`${label}: condition type must be one of ${CONDITION_TYPES.join(', ')}`);
+  }
+
+  if (condition.type === 'visible' && !condition.micro_action_id && !condition.selector && !condition.text) {
+    throw new Error(`${label}: visible condition needs a micro_action_id, selector or text`);
+  }
+
+  if (condition.type === 'text' && !condition.text) {
+    throw new Error(`${label}: text condition needs text`);
+  }
+
+  if (condition.type === 'variable' && !condition.name) {
+    throw new Error(`${label}: variable condition needs a name`);
+  }
+}
+
+/**
+ * Validate workflow steps, including nested if/loop blocks
+ * @param {Array} steps - Workflow steps
+ * @param {string} prefix - Label prefix for nested steps (internal)
+ * @throws {Error} Describing the first invalid step
+ */
+export function validateWorkflowSteps(steps, prefix = 'Step') {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error(prefix === 'Step' ? 'Steps must be a non-empty array' : `${prefix} must contain at least one step`);
+  }
+
+  steps.forEach((step, index) => {
+    const label = `${prefix} ${index + 1}`;
+
+    if (!step || typeof step !== 'object') {
+      throw new Error(`${label} is invalid`);
+    }
+
+    if (!isControlStep(step)) {
+      if (!step.micro_action_id) {
+        throw new Error(`${label}: each step must have a micro_action_id`);
+      }
+      return;
+    }
+
+    if (step.type === 'call_workflow') {
+      if (!step.workflow_id) {
+        throw new Error(`${label}: call_workflow needs a workflow_id`);
+      }
+      for (const field of ['params', 'outputs']) {
+        if (step[field] !== undefined && (typeof step[field] !== 'object' || Array.isArray(step[field]))) {
+          throw new Error(`${label}: ${field} must be an object`);
+        }
+      }
+      return;
     }
+
+    if (step.type === 'if') {
+      validateCondition(step.condition, label);
+      validateWorkflowSteps(step.then, `${label} then`);
+      if (step.else && step.else.length > 0) {
+        validateWorkflowSteps(step.else, `${label} else`);
+      }
+      return;
+    }
+
+    // Loops must always end; without a condition they simply run max_iterations times
+    const maxIterations = Number(step.max_iterations);
+    if (!Number.isInteger(maxIterations) || maxIterations < 1 || maxIterations > MAX_LOOP_ITERATIONS) {
+      throw new Error(`${label}: max_iterations must be between 1 and ${MAX_LOOP_ITERATIONS}`);
+    }
+    if (step.condition) {
+      validateCondition(step.condition, label);
+    }
+    validateWorkflowSteps(step.steps, `${label} loop`);
+  });
+}
+
+/**
+ * Convert a visible condition referencing a micro-action to the element data of that micro-action
+ * @param {Object} condition - Step condition
+ * @param {Object} microAction - Populated micro-action (condition_micro_action)
+ * @returns {Object} Execution format condition
+ */
+function convertCondition(condition, microAction) {
+  if (!condition) {
+    return null;
   }
 
-  // Check if workflow has steps (database format)
-  if (!steps || !Array.isArray(steps)) {
-    throw new Error('Invalid workflow: missing steps or actions array');
+  const { micro_action_id: microActionId, ...rest } = condition;
+  if (!microActionId) {
+    return rest;
+  }
+
+  if (!microAction) {
+    throw new Error(
+      `Condition (micro_action_id: ${microActionId}) is missing micro_action data. ` +
+      'Workflow must be loaded with micro_actions populated.'
+    );
   }
 
-  // Convert steps to actions
-  const actions = steps.map((step, index) => {
+  const params = microAction.params || {};
+  return {
+    ...rest,
+    name: rest.name || microAction.name,
+    selector: rest.selector || params.backup_selector || microAction.backup_selector || params.selector || null,
+    visual: params.visual || microAction.visual || null,
+  };
+}
+
+/**
+ * Convert a list of steps (possibly nested) to actions
+ * @param {Array} steps - Workflow steps with micro_actions populated
+ * @param {string} prefix - Label prefix for error messages
+ * @returns {Array} Actions
+ */
+function convertSteps(steps, prefix = 'Step') {
+  return (steps || []).map((step, index) => {
+    const label = `${prefix} ${index + 1}`;
+
+    if (isControlStep(step)) {
+      const condition = convertCondition(step.condition, step.condition_micro_action);
+
+      if (step.type === 'call_workflow') {
+        const subWorkflow = step.workflow;
+        if (!subWorkflow) {
+          throw new Error(
+            `${label} (workflow_id: ${step.workflow_id}) is missing the called workflow. ` +
+            'Workflow must be resolved with buildExecutableWorkflow.'
+          );
+        }
+
+        return {
+          name: step.name || subWorkflow.name,
+          type: 'call_workflow',
+          workflowId: subWorkflow.id,
+          workflowName: subWorkflow.name,
+          version: subWorkflow.version || null,
+          params: step.params || {},
+          outputs: step.outputs || {},
+          actions: convertSteps(subWorkflow.steps, `${label} > ${subWorkflow.name}`),
+        };
+      }
+
+      if (step.type === 'if') {
+        return {
+          name: step.name || `If (${label})`,
+          type: 'if',
+          condition,
+          then: convertSteps(step.then, `${label} then`),
+          else: convertSteps(step.else, `${label} else`),
+        };
+      }
+
+      return {
+        name: step.name || `Loop (${label})`,
+        type: 'loop',
+        condition,
+        maxIterations: Math.min(parseInt(step.max_iterations, 10) || 1, MAX_LOOP_ITERATIONS),
+        actions: convertSteps(step.steps, `${label} loop`),
+      };
+    }
+
     // Get micro_action from step (should be populated)
     const microAction = step.micro_action;
     
     if (!microAction) {
       throw new Error(
-        `Step ${index + 1} (micro_action_id: ${step.micro_action_id}) is missing micro_action data. ` +
+        `${label} (micro_action_id: ${step.micro_action_id}) is missing micro_action data. ` +
         'Workflow must be loaded with micro_actions populated.'
       );
     }
@@ -94,9 +306,48 @@ export function convertWorkflowToActions(workflow) {
     if (executionMethod) {
       action.execution_method = executionMethod;
     }
+    if (step.optional) {
+      action.optional = true;
+    }
+    // Agents submit healing proposals against the micro-action, unless the step overrides
+    // the visual data it would heal
+    if (!stepOverrides.visual && !stepOverrides.backup_selector) {
+      action.micro_action_id = microAction.id || step.micro_action_id;
+    }
 
     return action;
   });
+}
+
+/**
+ * Convert database workflow format to execution format
+ * @param {Object} workflow - Database workflow object with steps
+ * @returns {Object} Workflow with actions array
+ */
+export function convertWorkflowToActions(workflow) {
+  if (!workflow) {
+    throw new Error('Workflow is required');
+  }
+
+  // If workflow already has actions, return as-is (might already be converted)
+  if (workflow.actions && Array.isArray(workflow.actions)) {
+    return workflow;
+  }
+
+  // Parse steps if it's a string (JSONB fields might be returned as strings)
+  let steps = workflow.steps;
+  if (steps && typeof steps === 'string') {
+    try {
+      steps = JSON.parse(steps);
+    } catch (parseError) {
+      throw new Error(`Failed to parse workflow steps: ${parseError.message}`);
+    }
+  }
+
+  // Check if workflow has steps (database format)
+  if (!steps || !Array.isArray(steps)) {
+    throw new Error('Invalid workflow: missing steps or actions array');
+  }
 
   return {
     id: workflow.id,
@@ -104,12 +355,13 @@ export function convertWorkflowToActions(workflow) {
     platform: workflow.platform,
     type: workflow.type,
     description: workflow.description,
-    actions: actions,
+    actions: convertSteps(steps),
   };
 }
 
 /**
- * Populate micro_actions in workflow steps
+ * Populate micro_actions in workflow steps (nested blocks, resolved sub-workflows and conditions included)
+ * Condition micro-actions are stored as condition_micro_action on the control step.
  * @param {Object} workflow - Workflow with steps containing micro_action_id
  * @param {Array} microActions - Array of micro_action objects
  * @returns {Object} Workflow with populated micro_actions
@@ -124,15 +376,33 @@ export function populateMicroActions(workflow, microActions) {
     (microActions || []).map((ma) => [ma.id, ma])
   );
 
-  // Populate micro_action in each step
-  const populatedSteps = workflow.steps.map((step) => ({
-    ...step,
-    micro_action: microActionsMap.get(step.micro_action_id) || null,
-  }));
+  const populate = (steps) => (steps || []).map((step) => {
+    if (!isControlStep(step)) {
+      return {
+        ...step,
+        micro_action: microActionsMap.get(step.micro_action_id) || null,
+      };
+    }
+
+    const populated = { ...step };
+    if (step.condition?.micro_action_id) {
+      populated.condition_micro_action = microActionsMap.get(step.condition.micro_action_id) || null;
+    }
+    if (step.type === 'call_workflow') {
+      if (step.workflow) {
+        populated.workflow = { ...step.workflow, steps: populate(step.workflow.steps) };
+      }
+    } else if (step.type === 'if') {
+      populated.then = populate(step.then);
+      populated.else = populate(step.else);
+    } else {
+      populated.steps = populate(step.steps);
+    }
+    return populated;
+  });
 
   return {
     ...workflow,
-    steps: populatedSteps,
+    steps: populate(workflow.steps),
   };
 }
-
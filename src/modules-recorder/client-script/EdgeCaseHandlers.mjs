@@ -3,35 +3,83 @@ export const EdgeCaseHandlers = `
     // EDGE CASE HANDLING
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-    // Monitor for iframes being added dynamically
+    // Same-origin frames and open shadow roots get the recorder's listeners, so embedded
+    // composers and web components are recorded with their context path (getContextPath)
+    const attachedRoots = new WeakSet();
+
+    function attachShadowRoot(shadowRoot) {
+      if (attachedRoots.has(shadowRoot)) return;
+      attachedRoots.add(shadowRoot);
+      attachShadowEventHandlers(shadowRoot);
+      scanForFramesAndShadowRoots(shadowRoot);
+      iframeObserver.observe(shadowRoot, { childList: true, subtree: true });
+    }
+
+    function attachFrame(iframe) {
+      // Skip html2canvas temporary iframes (they cause errors)
+      if ((iframe.src || '').includes('html2canvas')) return;
+
+      // Frames navigate independently: attach again to every new document
+      if (!iframe.dataset.recorderFrameObserved) {
+        iframe.dataset.recorderFrameObserved = 'true';
+        iframe.addEventListener('load', () => attachFrame(iframe));
+      }
+
+      try {
+        // contentDocument is null for cross-origin frames
+        const frameDocument = iframe.contentDocument;
+        if (!frameDocument || attachedRoots.has(frameDocument)) return;
+        attachedRoots.add(frameDocument);
+
+        attachEventHandlers(frameDocument);
+        hookAttachShadow(iframe.contentWindow);
+        scanForFramesAndShadowRoots(frameDocument);
+        iframeObserver.observe(frameDocument, { childList: true, subtree: true });
+        console.log('📝 Recording inside iframe:', iframe.src || '(inline)');
+      } catch (error) {
+        // Cross-origin iframe, cannot access
+        // Silently ignore - this is expected for cross-origin iframes
+      }
+    }
+
+    // Existing frames and open shadow roots below a document or shadow root
+    function scanForFramesAndShadowRoots(root) {
+      root.querySelectorAll('*').forEach((element) => {
+        if (element.shadowRoot) attachShadowRoot(element.shadowRoot);
+        if (element.tagName === 'IFRAME') attachFrame(element);
+      });
+    }
+
+    // Shadow roots created after injection (custom elements upgrade later); closed roots are
+    // not reachable on replay and stay unrecorded
+    function hookAttachShadow(targetWindow) {
+      const proto = targetWindow.Element.prototype;
+      if (proto.attachShadow.__recorderHooked) return;
+
+      const originalAttachShadow = proto.attachShadow;
+      proto.attachShadow = function(init) {
+        const shadowRoot = originalAttachShadow.call(this, init);
+        if (init && init.mode === 'open') attachShadowRoot(shadowRoot);
+        return shadowRoot;
+      };
+      proto.attachShadow.__recorderHooked = true;
+    }
+
+    // Monitor for iframes and shadow hosts being added dynamically
     const iframeObserver = new MutationObserver((mutations) => {
       mutations.forEach((mutation) => {
         mutation.addedNodes.forEach((node) => {
-          if (node.tagName === 'IFRAME') {
-            // Skip html2canvas temporary iframes (they cause errors)
-            const iframeSrc = node.src || '';
-            if (iframeSrc.includes('html2canvas') || iframeSrc === '' || iframeSrc === 'about:blank') {
-              // Skip html2canvas or blank iframes
-              return;
-            }
-            
-            try {
-              // Try to inspect iframe (same-origin only)
-              const iframeWindow = node.contentWindow;
-              if (iframeWindow && iframeWindow.document) {
-                console.log('📝 Detected iframe (recorder not injected automatically):', node.src);
-                // Note: Full script injection into iframes is complex and may fail
-                // For now, we log and skip injection to avoid errors.
-              }
-            } catch (error) {
-              // Cross-origin iframe, cannot access
-              // Silently ignore - this is expected for cross-origin iframes
-            }
-          }
+          if (node.nodeType !== 1) return;
+          if (node.tagName === 'IFRAME') attachFrame(node);
+          if (node.shadowRoot) attachShadowRoot(node.shadowRoot);
+          if (node.querySelectorAll) scanForFramesAndShadowRoots(node);
         });
       });
     });
 
+    hookAttachShadow(window);
+    scanForFramesAndShadowRoots(document);
+
     // Monitor for modals and dynamically added elements
     // Instagram and other SPAs often add modals to document.body or a portal container
     const modalObserver = new MutationObserver((mutations) => {
@@ -117,14 +165,11 @@ export const EdgeCaseHandlers = `
       });
     }, 1000); // Wait a bit for containers to be added
 
-    // Handle Shadow DOM (experimental)
-    // Note: html2canvas may not work well with shadow DOM
-    // TODO: Add shadow DOM traversal for visual recording
-
     console.log('✅ Visual action recorder injected and active');
     console.log('📹 Recording clicks, typing, navigation with screenshots');
     console.log('💡 Red outline = click recorded, Green outline = input recorded');
     console.log('📦 Monitoring for dynamically added modals and elements');
+    console.log('🧭 Recording inside same-origin iframes and open shadow roots');
     console.log('⚠️ Do not close DevTools during recording');
   } catch (error) {
     console.error('❌ Recorder failed to initialize:', error);
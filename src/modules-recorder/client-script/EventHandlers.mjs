@@ -3,12 +3,80 @@ export const EventHandlers = `
     // EVENT CAPTURE WITH VISUAL DATA
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
+    // Real event target: events from open shadow roots are retargeted to their host
+    function getEventTarget(e) {
+      const path = e.composedPath ? e.composedPath() : [];
+      return path.find((node) => node.nodeType === 1) || e.target;
+    }
+
+    // The recording overlay and its redaction boxes (UIOverlay) are not part of the page
+    function isRecorderUi(element) {
+      return Boolean(element && element.closest && element.closest('[data-recorder-ui]'));
+    }
+
+    // Visual data for extract/submit actions (screenshots are added by Puppeteer)
+    function captureVisualData(element, clientX, clientY) {
+      const rect = getViewportRect(element);
+      return {
+        screenshot: null,
+        contextScreenshot: null,
+        text: element.textContent?.trim().substring(0, 200) || '',
+        position: getElementPosition(element, clientX, clientY),
+        boundingBox: {
+          x: Math.round(rect.x),
+          y: Math.round(rect.y),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height),
+        },
+        surroundingText: getSurroundingText(element),
+        timestamp: Date.now(),
+        viewport: getRecordingViewport(),
+      };
+    }
+
+    // Alt+click marks an element for extraction instead of clicking it
+    // Links extract their URL (e.g. the permalink of a published post), other elements their text
+    function recordExtract(e) {
+      e.preventDefault();
+      e.stopPropagation();
+
+      const element = getEventTarget(e);
+      const isLink = Boolean(element.closest && element.closest('a[href]'));
+      const suggestedName = isLink ? 'permalink' : 'extractedText';
+      const variableName = window.prompt('Save this ' + (isLink ? 'link' : 'text') + ' as variable:', suggestedName);
+      if (!variableName) return;
+
+      element.style.outline = '3px solid #ff9900';
+      setTimeout(() => { element.style.outline = ''; }, 500);
+
+      recordAction('extract', {
+        visual: captureVisualData(element, e.clientX, e.clientY),
+        backup_selector: generateSelector(element),
+        context_path: getContextPath(element),
+        element: getElementInfo(element),
+        variableName: variableName.trim(),
+        source: isLink ? 'url' : 'text',
+        execution_method: 'visual_first',
+      });
+    }
+
     // Clicks with visual data
     // Using capture phase (true) to catch events from dynamically added modals
-    document.addEventListener('click', async function(e) {
-      if (e.target === document.body || !e.target) return;
+    async function onClick(e) {
+      const element = getEventTarget(e);
+      if (!element || element === element.ownerDocument.body || isRecorderUi(element)) return;
+
+      // The click fired on release belongs to the drag (onMouseup)
+      if (Date.now() < suppressClickUntil) {
+        suppressClickUntil = 0;
+        return;
+      }
+      
+      if (e.altKey) {
+        recordExtract(e);
+        return;
+      }
       
-      const element = e.target;
       
       // Debug: Log if clicking in a modal
       const isInModal = element.closest && (
@@ -23,7 +91,7 @@ export const EventHandlers = `
       if (isInModal) {
         console.log('📦 Click detected in modal/dialog');
       }
-      const rect = element.getBoundingClientRect();
+      const rect = getViewportRect(element);
       const position = getElementPosition(element, e.clientX, e.clientY);
 
       // Get selector for immediate logging
@@ -55,16 +123,14 @@ export const EventHandlers = `
         },
         surroundingText: getSurroundingText(element),
         timestamp: actionTimestamp,
-        viewport: {
-          width: window.innerWidth,
-          height: window.innerHeight,
-        },
+        viewport: getRecordingViewport(),
       };
 
       // Record action FIRST (before async screenshot)
       recordAction('click', {
         visual,
         backup_selector,
+        context_path: getContextPath(element),
         element: elementInfo,
         execution_method: 'visual_first',
       });
@@ -103,20 +169,34 @@ export const EventHandlers = `
       // NOTE: The original script tried to log screenshot thumbnails synchronously here,
       // but that relied on a screenshot variable that wasn't in scope. We keep behavior
       // aligned by not adding additional synchronous logging.
-    }, true);
+    }
 
     // Typing/input with visual data
     let typingTimeout = null;
+    let pendingTyping = null;
     const typingData = new Map();
 
-    document.addEventListener('input', async function(e) {
-      if (!e.target || (e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA')) {
+    // Record debounced typing right away, so it comes before a key that follows it (Enter)
+    function flushTyping() {
+      if (!typingTimeout) return;
+      clearTimeout(typingTimeout);
+      typingTimeout = null;
+      const record = pendingTyping;
+      pendingTyping = null;
+      if (record) record();
+    }
+
+    async function onInput(e) {
+      const element = getEventTarget(e);
+      if (!element || (element.tagName !== 'INPUT' && element.tagName !== 'TEXTAREA') || isRecorderUi(element)) {
         return;
       }
 
-      const element = e.target;
       const selector = generateSelector(element);
+      const contextPath = getContextPath(element);
       const elementInfo = getElementInfo(element);
+      // The same selector may exist in several frames or shadow roots
+      const fieldKey = contextPath.map((step) => step.selector).concat(selector).join(' >> ');
 
       // Clear previous timeout
       if (typingTimeout) {
@@ -124,8 +204,8 @@ export const EventHandlers = `
       }
 
       // Store typing data
-      if (!typingData.has(selector)) {
-        typingData.set(selector, {
+      if (!typingData.has(fieldKey)) {
+        typingData.set(fieldKey, {
           selector,
           element: elementInfo,
           value: '',
@@ -134,7 +214,7 @@ export const EventHandlers = `
         });
       }
 
-      const data = typingData.get(selector);
+      const data = typingData.get(fieldKey);
       data.value = element.value;
       data.endTime = Date.now();
 
@@ -144,7 +224,7 @@ export const EventHandlers = `
         const selectorText = selector || elementInfo.name || elementInfo.placeholder || elementInfo.tag;
         console.log('⌨️ Recorded type: ' + selectorText);
         
-        const rect = element.getBoundingClientRect();
+        const rect = getViewportRect(element);
         let screenshot = null;
 
         try {
@@ -178,6 +258,7 @@ export const EventHandlers = `
           },
           surroundingText: getSurroundingText(element),
           timestamp: Date.now(),
+          viewport: getRecordingViewport(),
         };
         data.visualCaptured = true;
 
@@ -187,23 +268,14 @@ export const EventHandlers = `
       }
 
       // Debounce: record after 500ms of no typing
-      typingTimeout = setTimeout(() => {
-        // Auto-replace sensitive values with template variables
-        let finalValue = data.value;
-        
-        if (isPasswordField(element)) {
-          finalValue = '{{password}}';
-        } else if (isUsernameField(element)) {
-          finalValue = '{{username}}';
-        } else if (isEmailField(element)) {
-          finalValue = '{{email}}';
-        } else if (element.tagName === 'TEXTAREA' || /caption|post|content|message/i.test(element.name)) {
-          finalValue = '{{caption}}';
-        }
+      pendingTyping = () => {
+        // Auto-replace personal values with template variables (template rules)
+        const finalValue = getTemplateValue(element, data.value, data.visual.surroundingText);
 
         recordAction('type', {
           visual: data.visual,
           backup_selector: selector,
+          context_path: contextPath,
           element: elementInfo,
           value: finalValue,
           actual_value: data.value, // Kept in memory; will be stripped before saving remotely
@@ -227,35 +299,53 @@ export const EventHandlers = `
           console.log('%c ', 'font-size: 1px; padding: 30px 80px; background: url(' + data.visual.screenshot + ') no-repeat; background-size: contain;');
         }
 
-        typingData.delete(selector);
-      }, 500);
-    }, true);
+        typingData.delete(fieldKey);
+      };
+      typingTimeout = setTimeout(flushTyping, 500);
+    }
 
     // Capture form submissions
-    document.addEventListener('submit', function(e) {
+    // Visual data is taken from the focused field (Enter key) or the submit button so replay
+    // can locate the form the same way as other actions
+    function onSubmit(e) {
+      // Enter in a field submits before the typing debounce ends
+      flushTyping();
+
       const form = e.target;
       const selector = generateSelector(form);
+      // Focus of the form's own document or shadow root
+      const focused = form.getRootNode().activeElement;
+      const anchor = focused && focused !== form.ownerDocument.body && form.contains(focused)
+        ? focused
+        : e.submitter || form;
+      const rect = anchor.getBoundingClientRect();
       
       recordAction('submit', {
         selector,
+        visual: captureVisualData(anchor, rect.left + rect.width / 2, rect.top + rect.height / 2),
+        backup_selector: generateSelector(anchor),
+        context_path: getContextPath(anchor),
         formAction: form.action || null,
         formMethod: form.method || null,
+        execution_method: 'visual_first',
       });
-    }, true);
+    }
 
     // Capture file uploads (including from modals)
     // Using capture phase to catch events from dynamically added file inputs
-    document.addEventListener('change', function(e) {
-      if (e.target.type === 'file' && e.target.files && e.target.files.length > 0) {
-        const selector = generateSelector(e.target);
-        const file = e.target.files[0];
+    function onChange(e) {
+      const input = e.target;
+      if (isRecorderUi(input)) return;
+      if (input.type === 'file' && input.files && input.files.length > 0) {
+        const selector = generateSelector(input);
+        const file = input.files[0];
         
         // Check if file input is in a modal
-        const isInModal = e.target.closest && (
-          e.target.closest('[role="dialog"]') ||
-          e.target.closest('[aria-modal="true"]') ||
-          e.target.closest('[class*="modal"]') ||
-          e.target.closest('[id*="modal"]')
+        const isInModal = input.closest && (
+          input.closest('[role="dialog"]') ||
+          input.closest('[aria-modal="true"]') ||
+          input.closest('[class*="modal"]') ||
+          input.closest('[id*="modal"]')
         );
         
         if (isInModal) {
@@ -264,12 +354,240 @@ export const EventHandlers = `
         
         recordAction('upload', {
           selector,
+          context_path: getContextPath(input),
           fileName: file.name,
           fileSize: file.size,
           fileType: file.type,
         });
       }
-    }, true);
+    }
+
+    // Document or body: keys and pointer events without an element of their own
+    function isPageRoot(element) {
+      return element === element.ownerDocument.body || element === element.ownerDocument.documentElement;
+    }
+
+    function isTextField(element) {
+      if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+      return element.tagName === 'INPUT' &&
+        !['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'range', 'color'].includes(element.type);
+    }
+
+    // Keys replayed as keypress actions: Enter to send, Escape to close a dialog, Tab and arrows
+    // to move focus or slides. Characters are recorded by onInput, so other keys only count
+    // together with Ctrl or Meta (shortcuts).
+    const RECORDED_KEYS = ['Enter', 'Escape', 'Tab', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown'];
+    const ARROW_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+
+    function getModifiers(e) {
+      const modifiers = [];
+      if (e.ctrlKey) modifiers.push('Control');
+      if (e.altKey) modifiers.push('Alt');
+      if (e.shiftKey) modifiers.push('Shift');
+      if (e.metaKey) modifiers.push('Meta');
+      return modifiers;
+    }
+
+    function onKeydown(e) {
+      if (e.repeat || e.isComposing || ['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return;
+
+      const shortcut = e.ctrlKey || e.metaKey;
+      if (!shortcut && !RECORDED_KEYS.includes(e.key)) return;
+
+      const element = getEventTarget(e);
+      if (isRecorderUi(element)) return;
+      // Caret movement and new lines in text fields are part of the typed text
+      if (!shortcut && element && isTextField(element) &&
+        (ARROW_KEYS.includes(e.key) || (e.key === 'Enter' && element.tagName === 'TEXTAREA'))) {
+        return;
+      }
+      // Enter on a button or link is recorded as the click it fires, Enter in a form field as
+      // the form's submit
+      if (e.key === 'Enter' && !shortcut && element &&
+        (element.tagName === 'BUTTON' || element.tagName === 'A' || (element.tagName === 'INPUT' && element.form))) {
+        return;
+      }
+
+      flushTyping();
+
+      const data = { key: e.key, modifiers: getModifiers(e) };
+      // Keys pressed without a focused element (Escape on the page) need no visual data
+      if (element && !isPageRoot(element)) {
+        const rect = element.getBoundingClientRect();
+        Object.assign(data, {
+          visual: captureVisualData(element, rect.left + rect.width / 2, rect.top + rect.height / 2),
+          backup_selector: generateSelector(element),
+          context_path: getContextPath(element),
+          element: getElementInfo(element),
+          execution_method: 'visual_first',
+        });
+      }
+
+      recordAction('keypress', data);
+    }
+
+    // Hovers that reveal content (menus, hover cards): the pointer rests on an element for
+    // HOVER_DELAY ms while the page adds or shows other elements, or the element expands itself.
+    // Passing over elements on the way somewhere else is not recorded.
+    const HOVER_DELAY = 600;
+    const HOVER_TARGETS = 'a, button, [role="button"], [role="menuitem"], [aria-haspopup], li, [tabindex]';
+    const HOVER_ATTRIBUTES = ['class', 'style', 'hidden', 'aria-hidden', 'aria-expanded'];
+    let hoverState = null;
+
+    function stopHover() {
+      if (!hoverState) return;
+      clearTimeout(hoverState.timer);
+      hoverState.observer.disconnect();
+      hoverState = null;
+    }
+
+    function isShown(node) {
+      if (node.nodeType !== 1 || !node.isConnected) return false;
+      const rect = node.getBoundingClientRect();
+      const style = node.ownerDocument.defaultView.getComputedStyle(node);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.opacity !== '0';
+    }
+
+    function onMouseover(e) {
+      const target = getEventTarget(e);
+      const element = (target?.closest && target.closest(HOVER_TARGETS)) || target;
+      if (!element || hoverState?.element === element) return;
+
+      stopHover();
+      if (isPageRoot(element) || isRecorderUi(element)) return;
+
+      // Hover styles of the element and its ancestors do not count as revealed content
+      const changed = new Set();
+      const observer = new MutationObserver((mutations) => {
+        for (const mutation of mutations) {
+          const nodes = mutation.type === 'childList' ? Array.from(mutation.addedNodes) : [mutation.target];
+          for (const node of nodes) {
+            if (node.nodeType === 1 && !node.contains(element) && !isRecorderUi(node)) changed.add(node);
+          }
+        }
+      });
+      const options = { childList: true, subtree: true, attributes: true, attributeFilter: HOVER_ATTRIBUTES };
+      observer.observe(element.ownerDocument.documentElement, options);
+      const root = element.getRootNode();
+      if (root.host) observer.observe(root, options);
+
+      const timer = setTimeout(() => {
+        observer.disconnect();
+        const revealed = element.getAttribute('aria-expanded') === 'true' ||
+          Array.from(changed).some(isShown);
+        if (!revealed || !element.isConnected) return;
+
+        const rect = element.getBoundingClientRect();
+        recordAction('hover', {
+          visual: captureVisualData(element, rect.left + rect.width / 2, rect.top + rect.height / 2),
+          backup_selector: generateSelector(element),
+          context_path: getContextPath(element),
+          element: getElementInfo(element),
+          duration: HOVER_DELAY,
+          execution_method: 'visual_first',
+        });
+
+        element.style.outline = '3px solid #9933ff';
+        setTimeout(() => { element.style.outline = ''; }, 500);
+      }, HOVER_DELAY);
+
+      hoverState = { element, observer, timer };
+    }
+
+    // Drags (carousels, sortable lists, sliders): the pointer is pressed on an element and
+    // released at least DRAG_THRESHOLD px away. Native HTML5 drags end with dragend instead of
+    // mouseup; their last position comes from dragover.
+    const DRAG_THRESHOLD = 10;
+    let dragStart = null;
+    let lastDragPoint = null;
+    let suppressClickUntil = 0;
+
+    function onMousedown(e) {
+      stopHover();
+      dragStart = null;
+
+      const element = getEventTarget(e);
+      // Pressing in a text field selects text
+      if (e.button !== 0 || !element || isPageRoot(element) || isTextField(element) || isRecorderUi(element)) return;
+
+      // Visual data of the element where it was grabbed, before it moves
+      dragStart = {
+        element,
+        x: e.clientX,
+        y: e.clientY,
+        time: Date.now(),
+        visual: captureVisualData(element, e.clientX, e.clientY),
+        backup_selector: generateSelector(element),
+        context_path: getContextPath(element),
+        elementInfo: getElementInfo(element),
+      };
+    }
+
+    function endDrag(clientX, clientY) {
+      const start = dragStart;
+      dragStart = null;
+      lastDragPoint = null;
+      if (!start) return false;
+
+      const delta = { x: Math.round(clientX - start.x), y: Math.round(clientY - start.y) };
+      if (Math.hypot(delta.x, delta.y) < DRAG_THRESHOLD) return false;
+
+      recordAction('drag', {
+        visual: start.visual,
+        backup_selector: start.backup_selector,
+        context_path: start.context_path,
+        element: start.elementInfo,
+        delta,
+        duration: Date.now() - start.time,
+        execution_method: 'visual_first',
+      });
+
+      start.element.style.outline = '3px solid #0066ff';
+      setTimeout(() => { start.element.style.outline = ''; }, 500);
+      return true;
+    }
+
+    function onMouseup(e) {
+      if (e.button !== 0) return;
+      if (endDrag(e.clientX, e.clientY)) {
+        suppressClickUntil = Date.now() + 500;
+      }
+    }
+
+    function onDragover(e) {
+      lastDragPoint = { x: e.clientX, y: e.clientY };
+    }
+
+    function onDragend() {
+      if (lastDragPoint) {
+        endDrag(lastDragPoint.x, lastDragPoint.y);
+      }
+      dragStart = null;
+    }
+
+    // Listeners of a document: the top document and same-origin frames (EdgeCaseHandlers)
+    function attachEventHandlers(root) {
+      root.addEventListener('click', onClick, true);
+      root.addEventListener('input', onInput, true);
+      root.addEventListener('submit', onSubmit, true);
+      root.addEventListener('change', onChange, true);
+      root.addEventListener('keydown', onKeydown, true);
+      root.addEventListener('mouseover', onMouseover, true);
+      root.addEventListener('mousedown', onMousedown, true);
+      root.addEventListener('mouseup', onMouseup, true);
+      root.addEventListener('dragover', onDragover, true);
+      root.addEventListener('dragend', onDragend, true);
+    }
+
+    // Listeners of an open shadow root: click, input, keyboard, mouse and drag events cross the
+    // shadow boundary (composed events, the real target comes from composedPath), submit and
+    // change stay inside it
+    function attachShadowEventHandlers(shadowRoot) {
+      shadowRoot.addEventListener('submit', onSubmit, true);
+      shadowRoot.addEventListener('change', onChange, true);
+    }
+
+    attachEventHandlers(document);
 
     // Capture scroll events
     let scrollTimeout = null;
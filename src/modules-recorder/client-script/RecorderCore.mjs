@@ -1,3 +1,5 @@
+import { DEFAULT_TEMPLATE_RULES, matchTemplateRule } from '../utils/template-replacement.mjs';
+
 export const RecorderCore = `
   try {
     // Prevent double injection
@@ -28,26 +30,26 @@ export const RecorderCore = `
       };
     }
 
-    // Helper: Check if element is password field
-    function isPasswordField(element) {
-      return element.type === 'password' || 
-             (element.name && /password/i.test(element.name)) ||
-             (element.id && /password/i.test(element.id));
-    }
+    // Helper: Template variable of a typed value (utils/template-replacement.mjs); the
+    // recorder sets window.__recorderTemplateRules to the rules of the recorded platform
+    ${matchTemplateRule.toString()}
 
-    // Helper: Check if element is username field
-    function isUsernameField(element) {
-      return (element.name && /username|user|login/i.test(element.name)) ||
-             (element.id && /username|user|login/i.test(element.id)) ||
-             (element.placeholder && /username|user|login/i.test(element.placeholder));
-    }
-
-    // Helper: Check if element is email field
-    function isEmailField(element) {
-      return element.type === 'email' ||
-             (element.name && /email|e-mail/i.test(element.name)) ||
-             (element.id && /email|e-mail/i.test(element.id)) ||
-             (element.placeholder && /email|e-mail/i.test(element.placeholder));
+    function getTemplateValue(element, value, surroundingText) {
+      if (!value) return value;
+      const variable = matchTemplateRule(window.__recorderTemplateRules || ${JSON.stringify(DEFAULT_TEMPLATE_RULES)}, {
+        attributes: {
+          tag: element.tagName.toLowerCase(),
+          type: element.type || '',
+          id: element.id || '',
+          name: element.name || '',
+          placeholder: element.placeholder || '',
+          ariaLabel: element.getAttribute('aria-label') || '',
+          autocomplete: element.getAttribute('autocomplete') || '',
+        },
+        surroundingText: surroundingText || [],
+        value,
+      });
+      return variable ? '{{' + variable + '}}' : value;
     }
 
     // Record action with emoji indicators
@@ -58,6 +60,11 @@ export const RecorderCore = `
         url: window.location.href,
         ...data,
       };
+      // Regions redacted in the overlay are black in the screenshot captured for this action
+      const activeRedactions = typeof getActiveRedactions === 'function' ? getActiveRedactions() : [];
+      if (data.visual && activeRedactions.length > 0) {
+        action.redactions = activeRedactions;
+      }
       if (!window.__recordedActions) {
         window.__recordedActions = [];
       }
@@ -78,6 +85,10 @@ export const RecorderCore = `
         'click': '🎯',
         'type': '⌨️',
         'submit': '📤',
+        'extract': '📥',
+        'keypress': '⏎',
+        'hover': '🖱️',
+        'drag': '✋',
         'upload': '📁',
         'navigate': '🧭',
         'scroll': '📜'
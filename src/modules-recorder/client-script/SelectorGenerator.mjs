@@ -2,10 +2,13 @@ export const SelectorGenerator = `
     function generateSelector(element) {
       if (!element || !element.tagName) return null;
 
+      // Unique within the element's own document or shadow root (see getContextPath)
+      const scope = element.getRootNode();
+
       // Priority 1: ID selector
       if (element.id) {
         const idSelector = '#' + CSS.escape(element.id);
-        if (document.querySelectorAll(idSelector).length === 1) {
+        if (scope.querySelectorAll(idSelector).length === 1) {
           return idSelector;
         }
       }
@@ -13,7 +16,7 @@ export const SelectorGenerator = `
       // Priority 2: Name attribute (for inputs)
       if (element.name) {
         const nameSelector = element.tagName.toLowerCase() + '[name="' + CSS.escape(element.name) + '"]';
-        if (document.querySelectorAll(nameSelector).length === 1) {
+        if (scope.querySelectorAll(nameSelector).length === 1) {
           return nameSelector;
         }
       }
@@ -21,7 +24,7 @@ export const SelectorGenerator = `
       // Priority 3: Placeholder (for inputs)
       if (element.placeholder) {
         const placeholderSelector = element.tagName.toLowerCase() + '[placeholder="' + CSS.escape(element.placeholder) + '"]';
-        if (document.querySelectorAll(placeholderSelector).length === 1) {
+        if (scope.querySelectorAll(placeholderSelector).length === 1) {
           return placeholderSelector;
         }
       }
@@ -29,13 +32,13 @@ export const SelectorGenerator = `
       // Priority 4: Data attributes
       if (element.dataset.testid) {
         const testIdSelector = element.tagName.toLowerCase() + '[data-testid="' + CSS.escape(element.dataset.testid) + '"]';
-        if (document.querySelectorAll(testIdSelector).length === 1) {
+        if (scope.querySelectorAll(testIdSelector).length === 1) {
           return testIdSelector;
         }
       }
       if (element.dataset.id) {
         const dataIdSelector = element.tagName.toLowerCase() + '[data-id="' + CSS.escape(element.dataset.id) + '"]';
-        if (document.querySelectorAll(dataIdSelector).length === 1) {
+        if (scope.querySelectorAll(dataIdSelector).length === 1) {
           return dataIdSelector;
         }
       }
@@ -43,7 +46,7 @@ export const SelectorGenerator = `
       // Priority 5: ARIA labels
       if (element.getAttribute('aria-label')) {
         const ariaSelector = element.tagName.toLowerCase() + '[aria-label="' + CSS.escape(element.getAttribute('aria-label')) + '"]';
-        if (document.querySelectorAll(ariaSelector).length === 1) {
+        if (scope.querySelectorAll(ariaSelector).length === 1) {
           return ariaSelector;
         }
       }
@@ -53,7 +56,7 @@ export const SelectorGenerator = `
         const classes = element.className.trim().split(/\\s+/).filter(c => c);
         if (classes.length > 0) {
           const classSelector = element.tagName.toLowerCase() + '.' + classes.join('.');
-          if (document.querySelectorAll(classSelector).length === 1) {
+          if (scope.querySelectorAll(classSelector).length === 1) {
             return classSelector;
           }
         }
@@ -62,7 +65,7 @@ export const SelectorGenerator = `
       // Priority 7: Last resort - nth-child path
       let path = [];
       let current = element;
-      while (current && current !== document.body) {
+      while (current && current !== element.ownerDocument.body) {
         let selector = current.tagName.toLowerCase();
         if (current.id) {
           selector += '#' + CSS.escape(current.id);
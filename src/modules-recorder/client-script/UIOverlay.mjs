@@ -1,16 +1,50 @@
+import { TemplateVariables } from '../../modules-client/action-types.js';
+import { TEMPLATE_VARIABLE_NAME } from '../utils/step-annotations.mjs';
+
+// Variables offered for typed values and uploads (username, password, ...)
+const TEMPLATE_VARIABLE_NAMES = Object.values(TemplateVariables).map((template) => template.slice(2, -2));
+
 export const UIOverlay = `
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    // RECORDING STATUS OVERLAY
+    // RECORDING OVERLAY
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    // Recording status plus controls for the last captured step: its name, whether it is
+    // optional, the template variable of a typed value or upload, and undo. Redactions are
+    // black boxes drawn over the page; the screenshots captured while they are shown contain
+    // the boxes instead of what they cover. The choices are stored on the recorded actions
+    // (step_name, optional, template_variable, redactions) and applied by convertToMicroActions.
 
-    function getViewportInfo() {
-      return {
-        width: window.innerWidth,
-        height: window.innerHeight,
-        outerWidth: window.outerWidth,
-        outerHeight: window.outerHeight
-      };
-    }
+    const TEMPLATE_VARIABLES = ${JSON.stringify(TEMPLATE_VARIABLE_NAMES)};
+    const TEMPLATE_VARIABLE_PATTERN = new RegExp(${JSON.stringify(TEMPLATE_VARIABLE_NAME.source)});
+    const TEMPLATE_VARIABLE_TYPES = ['type', 'upload'];
+    const CUSTOM_VARIABLE = '__custom__';
+    const OVERLAY_Z_INDEX = 2147483647;
+    const BUTTON_STYLE =
+      'background: rgba(255,255,255,0.2);' +
+      'color: white;' +
+      'border: none;' +
+      'border-radius: 4px;' +
+      'padding: 4px 8px;' +
+      'font: inherit;' +
+      'font-size: 12px;' +
+      'cursor: pointer;';
+    const FIELD_STYLE =
+      'width: 100%;' +
+      'box-sizing: border-box;' +
+      'border: none;' +
+      'border-radius: 4px;' +
+      'padding: 4px 6px;' +
+      'font: inherit;' +
+      'font-size: 12px;' +
+      'font-weight: 400;' +
+      'color: #222;' +
+      'background: white;';
+
+    // Viewport regions ({ x, y, width, height }) blacked out on this page, and their boxes
+    const redactions = [];
+    const redactionBoxes = [];
+    // Action the step controls were rendered for (the last recorded one)
+    let annotatedAction = null;
 
     function createOverlay() {
       // Remove existing overlay if any
@@ -19,75 +53,92 @@ export const UIOverlay = `
         existing.remove();
       }
 
-      const viewportInfo = getViewportInfo();
-      const viewportWidth = viewportInfo.width;
-      const browserWidth = viewportInfo.outerWidth;
-      const spaceOnRight = browserWidth - viewportWidth;
-
       const overlay = document.createElement('div');
       overlay.id = '__recorder_overlay';
-      
-      // Check if there's space outside viewport
-      let positionStyle = '';
-      if (spaceOnRight > 200) {
-        // Plenty of space, position to the right of viewport
-        positionStyle = 
-          'position: fixed;' +
-          'left: ' + (viewportWidth + 20) + 'px;' +
-          'top: 20px;';
-        console.log('📱 Notification positioned outside viewport (right side)');
-      } else {
-        // Not enough space, position at top center
-        positionStyle = 
-          'position: fixed;' +
-          'top: 0;' +
-          'left: 50%;' +
-          'transform: translateX(-50%);';
-        console.log('⚠️ Not enough space outside viewport, using top-center position');
-      }
+      // Events of the overlay are not recorded (EventHandlers: isRecorderUi)
+      overlay.setAttribute('data-recorder-ui', 'overlay');
 
-      overlay.style.cssText = positionStyle +
+      overlay.style.cssText =
+        'position: fixed;' +
+        'right: 16px;' +
+        'bottom: 16px;' +
+        'width: 260px;' +
         'background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);' +
         'color: white;' +
-        'padding: 12px 20px;' +
+        'padding: 12px;' +
         'border-radius: 8px;' +
         'font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;' +
         'font-size: 14px;' +
         'font-weight: 600;' +
         'box-shadow: 0 4px 12px rgba(0,0,0,0.3);' +
-        'z-index: 2147483647;' +
+        'z-index: ' + OVERLAY_Z_INDEX + ';' +
         'display: flex;' +
-        'align-items: center;' +
-        'gap: 10px;' +
-        'pointer-events: none;' +
-        'white-space: nowrap;';
-
-      overlay.innerHTML = 
-        '<span style="' +
-          'width: 8px;' +
-          'height: 8px;' +
-          'background: #ff4444;' +
-          'border-radius: 50%;' +
-          'display: inline-block;' +
-          'animation: pulse 1.5s ease-in-out infinite;' +
-        '"></span>' +
-        '<span id="__recorder_status">Recording...</span>' +
-        '<span id="__recorder_count" style="' +
-          'background: rgba(255,255,255,0.2);' +
-          'padding: 2px 8px;' +
-          'border-radius: 12px;' +
-          'font-size: 12px;' +
-        '">0 actions</span>';
+        'flex-direction: column;' +
+        'gap: 8px;';
+
+      overlay.innerHTML =
+        '<div style="display: flex; align-items: center; gap: 10px; white-space: nowrap;">' +
+          '<span style="' +
+            'width: 8px;' +
+            'height: 8px;' +
+            'background: #ff4444;' +
+            'border-radius: 50%;' +
+            'display: inline-block;' +
+            'animation: pulse 1.5s ease-in-out infinite;' +
+          '"></span>' +
+          '<span id="__recorder_status">Recording...</span>' +
+          '<span id="__recorder_count" style="' +
+            'background: rgba(255,255,255,0.2);' +
+            'padding: 2px 8px;' +
+            'border-radius: 12px;' +
+            'font-size: 12px;' +
+          '">0 actions</span>' +
+        '</div>' +
+        '<div id="__recorder_step" style="font-size: 12px; font-weight: 400; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></div>' +
+        '<input id="__recorder_step_name" type="text" maxlength="255" placeholder="Step name" style="' + FIELD_STYLE + '">' +
+        '<label style="display: flex; align-items: center; gap: 6px; font-size: 12px; font-weight: 400;">' +
+          '<input id="__recorder_step_optional" type="checkbox">' +
+          'Optional (skipped when not on the page)' +
+        '</label>' +
+        '<select id="__recorder_variable" style="' + FIELD_STYLE + '"></select>' +
+        '<div style="display: flex; gap: 6px;">' +
+          '<button id="__recorder_undo" type="button" style="' + BUTTON_STYLE + '">Undo</button>' +
+          '<button id="__recorder_redact" type="button" style="' + BUTTON_STYLE + '">Redact</button>' +
+          '<button id="__recorder_clear_redactions" type="button" style="' + BUTTON_STYLE + '">Clear</button>' +
+        '</div>';
 
       // Add pulse animation
       const style = document.createElement('style');
-      style.textContent = 
+      style.textContent =
         '@keyframes pulse {' +
           '0%, 100% { opacity: 1; }' +
           '50% { opacity: 0.3; }' +
         '}';
       document.head.appendChild(style);
-      
+
+      // Typing in the overlay must not trigger the page's keyboard shortcuts
+      overlay.addEventListener('keydown', (e) => e.stopPropagation());
+      overlay.addEventListener('keyup', (e) => e.stopPropagation());
+      // Typing on the page is recorded after a pause: record it before it gets annotated
+      overlay.addEventListener('focusin', () => {
+        if (typeof flushTyping === 'function') {
+          flushTyping();
+        }
+      });
+
+      overlay.querySelector('#__recorder_step_name').addEventListener('input', (e) => {
+        annotateStep('step_name', e.target.value.trim());
+      });
+      overlay.querySelector('#__recorder_step_optional').addEventListener('change', (e) => {
+        annotateStep('optional', e.target.checked);
+      });
+      overlay.querySelector('#__recorder_variable').addEventListener('change', (e) => {
+        chooseTemplateVariable(e.target.value);
+      });
+      overlay.querySelector('#__recorder_undo').addEventListener('click', undoLastAction);
+      overlay.querySelector('#__recorder_redact').addEventListener('click', startRedaction);
+      overlay.querySelector('#__recorder_clear_redactions').addEventListener('click', clearRedactions);
+
       // Wait for body to exist before appending
       if (document.body) {
         document.body.appendChild(overlay);
@@ -105,36 +156,226 @@ export const UIOverlay = `
         });
       }
 
-      // Handle window resize
-      window.addEventListener('resize', () => {
-        const newViewportInfo = getViewportInfo();
-        const newViewportWidth = newViewportInfo.width;
-        const newBrowserWidth = newViewportInfo.outerWidth;
-        const newSpaceOnRight = newBrowserWidth - newViewportWidth;
-        
-        if (newSpaceOnRight > 200) {
-          overlay.style.left = (newViewportWidth + 20) + 'px';
-          overlay.style.top = '20px';
-          overlay.style.transform = 'none';
-        } else {
-          overlay.style.left = '50%';
-          overlay.style.top = '0';
-          overlay.style.transform = 'translateX(-50%)';
+      return overlay;
+    }
+
+    // The initial navigation is where replay starts, it cannot be undone
+    function canUndo(action) {
+      return Boolean(action) && !(action.type === 'navigate' && action.method === 'initial_load');
+    }
+
+    function describeAction(action) {
+      const label = action.type === 'navigate'
+        ? action.url
+        : action.element?.placeholder || action.element?.name || action.visual?.text || action.key || action.fileName || '';
+      return action.type + (label ? ' "' + String(label).substring(0, 40) + '"' : '');
+    }
+
+    // Store a choice on the last action (false and empty values remove it); the actions may
+    // have been restored by ActionRecorder since the controls were rendered
+    function annotateStep(key, value) {
+      const actions = window.__recordedActions || [];
+      const action = actions[actions.length - 1];
+      if (!action) return;
+      if (value) {
+        action[key] = value;
+      } else {
+        delete action[key];
+      }
+      annotatedAction = action;
+      if (typeof syncToStorage === 'function') {
+        syncToStorage();
+      }
+    }
+
+    function chooseTemplateVariable(value) {
+      if (value !== CUSTOM_VARIABLE) {
+        annotateStep('template_variable', value);
+        renderStepControls(annotatedAction);
+        return;
+      }
+
+      const name = (window.prompt('Template variable name (letters, digits and _):', '') || '').trim();
+      if (name && !TEMPLATE_VARIABLE_PATTERN.test(name)) {
+        window.alert('"' + name + '" is not a valid variable name');
+      } else if (name) {
+        annotateStep('template_variable', name);
+      }
+      renderStepControls(annotatedAction);
+    }
+
+    function renderVariableSelect(action) {
+      const select = document.getElementById('__recorder_variable');
+      if (!select) return;
+
+      const supported = Boolean(action) && TEMPLATE_VARIABLE_TYPES.includes(action.type);
+      select.style.display = supported ? '' : 'none';
+      if (!supported) return;
+
+      // Value replayed without a variable (sensitive fields are already templated)
+      const recorded = action.type === 'upload' ? '{{imagePath}}' : String(action.value || '');
+      const names = TEMPLATE_VARIABLES.slice();
+      if (action.template_variable && !names.includes(action.template_variable)) {
+        names.push(action.template_variable);
+      }
+
+      select.innerHTML = '';
+      select.appendChild(new Option('Value: as recorded (' + recorded.substring(0, 24) + ')', ''));
+      names.forEach((name) => {
+        select.appendChild(new Option('Value: {{' + name + '}}', name));
+      });
+      select.appendChild(new Option('Value: custom variable...', CUSTOM_VARIABLE));
+      select.value = action.template_variable || '';
+    }
+
+    function renderStepControls(action) {
+      const count = window.__recordedActions ? window.__recordedActions.length : 0;
+      const stepElement = document.getElementById('__recorder_step');
+      const nameInput = document.getElementById('__recorder_step_name');
+      const optionalInput = document.getElementById('__recorder_step_optional');
+      const undoButton = document.getElementById('__recorder_undo');
+      if (!stepElement || !nameInput || !optionalInput || !undoButton) return false;
+
+      stepElement.textContent = action ? 'Step ' + count + ': ' + describeAction(action) : 'No steps yet';
+      nameInput.value = action?.step_name || '';
+      nameInput.disabled = !action;
+      optionalInput.checked = Boolean(action?.optional);
+      optionalInput.disabled = !action;
+      undoButton.disabled = !canUndo(action);
+      undoButton.style.opacity = undoButton.disabled ? '0.5' : '1';
+      renderVariableSelect(action);
+      return true;
+    }
+
+    // Delete the last captured action
+    function undoLastAction() {
+      // Typing that was not recorded yet is the last action
+      if (typeof flushTyping === 'function') {
+        flushTyping();
+      }
+
+      const actions = window.__recordedActions || [];
+      const action = actions[actions.length - 1];
+      if (!canUndo(action)) return;
+
+      actions.pop();
+      if (typeof syncToStorage === 'function') {
+        syncToStorage();
+      }
+      // ActionRecorder drops the action's screenshot and its copy in the recording session
+      if (typeof window.__recorderActionsRemoved === 'function') {
+        window.__recorderActionsRemoved(actions.length);
+      }
+      console.log('↩️ Undid ' + action.type);
+      updateOverlay();
+    }
+
+    // Regions recorded with each action that has visual data (RecorderCore: recordAction)
+    function getActiveRedactions() {
+      return redactions.map((region) => Object.assign({}, region));
+    }
+
+    function updateRedactionButtons() {
+      const clearButton = document.getElementById('__recorder_clear_redactions');
+      if (!clearButton) return;
+      clearButton.textContent = 'Clear (' + redactions.length + ')';
+      clearButton.disabled = redactions.length === 0;
+      clearButton.style.opacity = clearButton.disabled ? '0.5' : '1';
+    }
+
+    function addRedactionBox(region) {
+      const box = document.createElement('div');
+      box.setAttribute('data-recorder-ui', 'redaction');
+      box.style.cssText =
+        'position: fixed;' +
+        'left: ' + region.x + 'px;' +
+        'top: ' + region.y + 'px;' +
+        'width: ' + region.width + 'px;' +
+        'height: ' + region.height + 'px;' +
+        'background: #000;' +
+        'pointer-events: none;' +
+        'z-index: ' + (OVERLAY_Z_INDEX - 1) + ';';
+      document.body.appendChild(box);
+      return box;
+    }
+
+    function toRegion(start, e) {
+      return {
+        x: Math.round(Math.min(start.x, e.clientX)),
+        y: Math.round(Math.min(start.y, e.clientY)),
+        width: Math.round(Math.abs(e.clientX - start.x)),
+        height: Math.round(Math.abs(e.clientY - start.y)),
+      };
+    }
+
+    // Drag a box over the page to redact it; a click without dragging cancels
+    function startRedaction() {
+      if (!document.body || document.querySelector('[data-recorder-ui="redact-layer"]')) return;
+
+      const layer = document.createElement('div');
+      layer.setAttribute('data-recorder-ui', 'redact-layer');
+      layer.style.cssText =
+        'position: fixed;' +
+        'inset: 0;' +
+        'cursor: crosshair;' +
+        'background: rgba(0,0,0,0.15);' +
+        'z-index: ' + (OVERLAY_Z_INDEX - 1) + ';';
+
+      let start = null;
+      const preview = document.createElement('div');
+      preview.style.cssText = 'position: fixed; border: 2px dashed #ff4444; background: rgba(0,0,0,0.5); pointer-events: none;';
+
+      layer.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        start = { x: e.clientX, y: e.clientY };
+        layer.appendChild(preview);
+      });
+      layer.addEventListener('mousemove', (e) => {
+        if (!start) return;
+        const region = toRegion(start, e);
+        preview.style.left = region.x + 'px';
+        preview.style.top = region.y + 'px';
+        preview.style.width = region.width + 'px';
+        preview.style.height = region.height + 'px';
+      });
+      layer.addEventListener('mouseup', (e) => {
+        const region = start ? toRegion(start, e) : null;
+        layer.remove();
+        if (region && region.width >= 4 && region.height >= 4) {
+          redactions.push(region);
+          redactionBoxes.push(addRedactionBox(region));
+          console.log('⬛ Redacting ' + region.width + 'x' + region.height + ' at ' + region.x + ',' + region.y);
         }
-        console.log('📱 Notification repositioned for new viewport width:', newViewportWidth);
+        updateRedactionButtons();
       });
-      
-      return overlay;
+
+      document.body.appendChild(layer);
+    }
+
+    function clearRedactions() {
+      redactionBoxes.forEach((box) => box.remove());
+      redactionBoxes.length = 0;
+      redactions.length = 0;
+      updateRedactionButtons();
     }
 
     const overlay = createOverlay();
 
     function updateOverlay() {
-      const count = window.__recordedActions ? window.__recordedActions.length : 0;
+      const actions = window.__recordedActions || [];
+      const count = actions.length;
       const countElement = document.getElementById('__recorder_count');
       if (countElement) {
         countElement.textContent = count + ' action' + (count !== 1 ? 's' : '');
       }
+
+      // Keep what is typed into the step name while the same action stays last
+      const action = actions[count - 1] || null;
+      if (action !== annotatedAction && renderStepControls(action)) {
+        annotatedAction = action;
+      }
     }
-`;
 
+    updateOverlay();
+    updateRedactionButtons();
+`;
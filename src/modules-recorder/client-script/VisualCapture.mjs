@@ -99,19 +99,81 @@ export const VisualCapture = `
       return surroundingText.slice(0, 5); // Max 5 items
     }
 
-    function getElementPosition(element, clientX, clientY) {
+    // Recording viewport, so replays on other viewports can map positions (see replay-geometry)
+    function getRecordingViewport() {
+      return {
+        width: window.innerWidth,
+        height: window.innerHeight,
+        devicePixelRatio: window.devicePixelRatio || 1,
+        scrollX: Math.round(window.scrollX),
+        scrollY: Math.round(window.scrollY),
+      };
+    }
+
+    // Offset of the element's (same-origin) frame in the top viewport; 0 in the top document
+    function getFrameOffset(element) {
+      const offset = { x: 0, y: 0 };
+      let frameElement = element.ownerDocument.defaultView?.frameElement;
+      while (frameElement) {
+        const rect = frameElement.getBoundingClientRect();
+        offset.x += rect.left + frameElement.clientLeft;
+        offset.y += rect.top + frameElement.clientTop;
+        frameElement = frameElement.ownerDocument.defaultView?.frameElement;
+      }
+      return offset;
+    }
+
+    // Bounding rect in top viewport coordinates (elements in frames report frame coordinates)
+    function getViewportRect(element) {
       const rect = element.getBoundingClientRect();
+      const offset = getFrameOffset(element);
+      return {
+        x: rect.x + offset.x,
+        y: rect.y + offset.y,
+        left: rect.left + offset.x,
+        top: rect.top + offset.y,
+        width: rect.width,
+        height: rect.height,
+      };
+    }
+
+    // Frames and shadow hosts between the top document and the element, outermost first
+    // Each selector is relative to the previous step's document or shadow root (element-path.js)
+    function getContextPath(element) {
+      const path = [];
+      let node = element;
+      while (node) {
+        const root = node.getRootNode();
+        if (root.host) {
+          path.unshift({ type: 'shadow', selector: generateSelector(root.host) });
+          node = root.host;
+        } else {
+          const frameElement = root.defaultView?.frameElement;
+          if (!frameElement) break;
+          path.unshift({ type: 'frame', selector: generateSelector(frameElement) });
+          node = frameElement;
+        }
+      }
+      return path;
+    }
+
+    // clientX/clientY are relative to the element's frame; positions are recorded in the top viewport
+    function getElementPosition(element, clientX, clientY) {
+      const rect = getViewportRect(element);
+      const offset = getFrameOffset(element);
+      const x = clientX + offset.x;
+      const y = clientY + offset.y;
       const viewportWidth = window.innerWidth;
       const viewportHeight = window.innerHeight;
 
       return {
         absolute: {
-          x: Math.round(clientX),
-          y: Math.round(clientY),
+          x: Math.round(x),
+          y: Math.round(y),
         },
         relative: {
-          x: parseFloat(((clientX / viewportWidth) * 100).toFixed(2)),
-          y: parseFloat(((clientY / viewportHeight) * 100).toFixed(2)),
+          x: parseFloat(((x / viewportWidth) * 100).toFixed(2)),
+          y: parseFloat(((y / viewportHeight) * 100).toFixed(2)),
         },
         elementCenter: {
           x: Math.round(rect.left + rect.width / 2),
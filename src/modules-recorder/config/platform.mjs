@@ -8,24 +8,37 @@ export const PLATFORM_CONFIG = {
     protocolTimeout: 180000, // 3 minutes for heavy SPA
     navigationStabilityWait: 5000,
     useMobileViewport: true,
+    // Template variables of fields without telling attributes (see utils/template-replacement.mjs)
+    templateRules: [
+      { variable: 'altText', attributes: { placeholder: '^write alt text', ariaLabel: 'alt text' } },
+      { variable: 'location', attributes: { placeholder: '(add|search) location', ariaLabel: 'location' } },
+      { variable: 'caption', attributes: { ariaLabel: '^write a caption' } },
+    ],
   },
   facebook: {
     name: 'facebook',
     protocolTimeout: 120000, // 2 minutes
     navigationStabilityWait: 3000,
     useMobileViewport: true,
+    templateRules: [
+      { variable: 'caption', attributes: { ariaLabel: "^what's on your mind" } },
+    ],
   },
   twitter: {
     name: 'twitter',
     protocolTimeout: 60000, // 1 minute
     navigationStabilityWait: 2000,
     useMobileViewport: false,
+    templateRules: [
+      { variable: 'caption', attributes: { ariaLabel: '^post text' } },
+    ],
   },
   default: {
     name: 'default',
     protocolTimeout: 60000, // 1 minute default
     navigationStabilityWait: 1000,
     useMobileViewport: false,
+    templateRules: [],
   }
 };
 
@@ -5,10 +5,12 @@ import { captureClick as captureClickUtil, captureType as captureTypeUtil, scree
 import { generateSelector } from './utils/selector-generator.mjs';
 import { convertToMicroActions } from './utils/action-converter.mjs';
 import { validateVisualData } from './utils/validation.mjs';
-import { replaceWithTemplate } from './utils/template-replacement.mjs';
+import { replaceWithTemplate, getTemplateRules, validateTemplateRules, DEFAULT_TEMPLATE_RULES } from './utils/template-replacement.mjs';
 import { getPlatformConfig } from './config/platform.mjs';
 import { RecorderClientScript } from './client-script/recorderClientScript.mjs';
 import { saveFilesToCloud } from '../modules-logic/utils/saveFilesToCloud.mjs';
+import { getContextPath, queryInContext, resolveContextPath } from '../modules-client/element-path.js';
+import { actionSignature, getSyncBatch } from './utils/session-sync.mjs';
 
 /**
  * ActionRecorder - Records user interactions with VISUAL DATA (screenshots, coordinates, text)
@@ -26,6 +28,8 @@ import { saveFilesToCloud } from '../modules-logic/utils/saveFilesToCloud.mjs';
  * - Extracts visible text and surrounding context
  * - Generates backup selectors as fallback
  * - Auto-replaces sensitive values with template variables
+ * - Streams actions into a server-backed recording session (optional) so an interrupted
+ *   recording can be resumed
  * 
  * Execution Method Priorities:
  * - selector_first: Try CSS selector first (fast), fallback to visual if fails
@@ -35,7 +39,13 @@ import { saveFilesToCloud } from '../modules-logic/utils/saveFilesToCloud.mjs';
  * @class ActionRecorder
  */
 export class ActionRecorder {
-  constructor() {
+  /**
+   * @param {Object} options - Options
+   * @param {RecordingSessionClient} options.sessionClient - Client of the recording session API (utils/session-sync.mjs); without it actions are only kept locally
+   * @param {boolean} options.uploadScreenshots - Upload screenshots in the background while recording (default: true); false keeps them base64 (client agents have no cloud credentials)
+   * @param {Array<Object>} options.templateRules - Template rules checked before the platform's and the default ones (utils/template-replacement.mjs)
+   */
+  constructor(options = {}) {
     this.browser = null;
     this.page = null;
     this.recordedActions = [];
@@ -46,21 +56,53 @@ export class ActionRecorder {
     this.platformConfig = null; // Platform-specific configuration
     this.injectionSuccess = true; // Track injection success
     this.currentPlatform = null; // Current platform being recorded
+    this.uploadScreenshots = options.uploadScreenshots !== false; // Background uploads enabled
     this.uploadQueue = []; // Queue for background uploads
     this.isProcessingQueue = false; // Flag to prevent concurrent queue processing
     this.uploadQueueInterval = null; // Interval for processing upload queue
     this.sessionId = null; // Session ID for organizing uploads
     this.lastActionCount = 0; // Track last action count for real-time capture
+    this.sessionClient = options.sessionClient || null; // Recording session API client
+    this.recordingSession = null; // Server-backed session the actions are streamed into
+    this.syncedSignatures = []; // Signatures of the actions stored in the session
+    this.sessionTruncateAt = null; // Action count the session is cut to after an undo
+    this.sessionSyncPromise = null; // Session sync in flight
+    this.customTemplateRules = validateTemplateRules(options.templateRules || []); // Template rules of this recorder
+    this.templateRules = DEFAULT_TEMPLATE_RULES; // Template rules of the recorded platform
   }
 
   /**
    * Start recording actions on a given URL
+   * With a session client, the actions are streamed into a new recording session, or into an
+   * interrupted one when resumeSessionId is given: its synced actions are restored and the
+   * browser opens at the last recorded URL (url and platform are taken from the session).
    * @param {string} url - URL to navigate to
    * @param {string} platform - Platform name (instagram, facebook, twitter)
+   * @param {Object} options - Options
+   * @param {string} options.sessionName - Name of the new recording session
+   * @param {string} options.resumeSessionId - Recording session to resume
    * @returns {Promise<Object>} Session info
    */
-  async startRecording(url, platform) {
+  async startRecording(url, platform, options = {}) {
     try {
+      let resumedActions = [];
+      if (this.sessionClient) {
+        if (options.resumeSessionId) {
+          const session = await this.sessionClient.getSession(options.resumeSessionId);
+          if (session.status !== 'recording') {
+            throw new Error(`Recording session is already ${session.status}`);
+          }
+          resumedActions = session.recorded_actions || [];
+          platform = session.platform;
+          url = [...resumedActions].reverse().find((action) => action.type === 'navigate' && action.url)?.url || session.url;
+          this.recordingSession = session;
+          console.log(`♻️ Resuming recording session ${session.id} with ${resumedActions.length} actions`);
+        } else {
+          this.recordingSession = await this.sessionClient.createSession({ platform, url, name: options.sessionName });
+          console.log(`🗄️ Recording into session ${this.recordingSession.id}`);
+        }
+      }
+
       const config = await getPlatformConfig(platform);
 
       // Launch browser with platform-specific configuration
@@ -69,6 +111,10 @@ export class ActionRecorder {
       this.page = page;
       this.platformConfig = config;
       this.currentPlatform = platform;
+      this.templateRules = getTemplateRules(platform, this.customTemplateRules);
+
+      // Called by the overlay's undo (kept across navigations)
+      await page.exposeFunction('__recorderActionsRemoved', (length) => this.handleActionsRemoved(length));
 
       // Navigate to URL
       await navigateToUrl(page, url);
@@ -102,24 +148,34 @@ export class ActionRecorder {
         throw new Error('Failed to inject recorder script');
       }
 
-      // Record initial navigation
-      await this.page.evaluate((url) => {
-        if (window.__recordedActions) {
-          window.__recordedActions.push({
-            type: 'navigate',
-            timestamp: Date.now(),
-            url: url,
-            method: 'initial_load',
-          });
-          console.log('🧭 Recorded initial navigation:', url);
-        }
-      }, url);
+      if (resumedActions.length > 0) {
+        // Restore the synced actions; the last one navigated to the page we opened
+        await this.page.evaluate((actions) => {
+          window.__recordedActions = actions;
+        }, resumedActions);
+        this.backupActions = resumedActions;
+        this.lastActionCount = resumedActions.length;
+        this.syncedSignatures = resumedActions.map(actionSignature);
+      } else {
+        // Record initial navigation
+        await this.page.evaluate((url) => {
+          if (window.__recordedActions) {
+            window.__recordedActions.push({
+              type: 'navigate',
+              timestamp: Date.now(),
+              url: url,
+              method: 'initial_load',
+            });
+            console.log('🧭 Recorded initial navigation:', url);
+          }
+        }, url);
+      }
 
       this.isRecording = true;
       console.log('✅ Recording started');
 
-      // Generate session ID for organizing uploads
-      this.sessionId = `${platform}_${Date.now()}`;
+      // Session ID for organizing uploads (a resumed session keeps its folder)
+      this.sessionId = this.recordingSession?.id || `${platform}_${Date.now()}`;
 
       // Set up periodic action syncing (backup strategy) + real-time screenshot capture
       this.syncInterval = setInterval(async () => {
@@ -129,6 +185,11 @@ export class ActionRecorder {
               return window.__recordedActions || [];
             });
             this.backupActions = actions;
+
+            // Stream actions whose screenshot is captured and uploaded into the session
+            if (this.recordingSession && !this.sessionSyncPromise) {
+              await this.syncSession(actions.slice(0, this.getSessionSyncLimit()));
+            }
             
             // Real-time screenshot capture: capture screenshots for new actions
             if (actions.length > this.lastActionCount) {
@@ -140,7 +201,8 @@ export class ActionRecorder {
               for (const actionIndex of newActionIndices) {
                 await this.captureScreenshotForAction(actionIndex);
               }
-              this.lastActionCount = actions.length;
+              // Actions undone meanwhile were cut from the backup (handleActionsRemoved)
+              this.lastActionCount = Math.min(actions.length, this.backupActions.length);
             }
             
             if (actions.length > 0) {
@@ -162,6 +224,8 @@ export class ActionRecorder {
       return {
         url,
         platform,
+        sessionId: this.recordingSession?.id || null,
+        resumedActions: resumedActions.length,
         startedAt: new Date().toISOString(),
       };
     } catch (error) {
@@ -239,7 +303,12 @@ export class ActionRecorder {
     // Client-side recorder script (extracted from original implementation)
     // This is a large string that gets injected into the page
     const recorderScript = await this.getClientRecorderScript();
-    
+
+    // Template rules the script applies to typed values
+    await this.page.evaluate((rules) => {
+      window.__recorderTemplateRules = rules;
+    }, this.templateRules);
+
     // Inject into current page
     await this.page.evaluate(recorderScript);
   }
@@ -415,11 +484,11 @@ export class ActionRecorder {
   /**
    * Server-side: Capture type/input action with visual data
    * @param {ElementHandle} elementHandle - Puppeteer element handle
-   * @param {string} value - Input value (will be templated if sensitive)
+   * @param {string} value - Input value (will be templated if a template rule matches)
    * @returns {Promise<Object>} Action object with visual data and templated value
    */
   async captureType(elementHandle, value) {
-    return captureTypeUtil(this.page, elementHandle, value);
+    return captureTypeUtil(this.page, elementHandle, value, { rules: this.templateRules });
   }
 
   /**
@@ -494,6 +563,40 @@ export class ActionRecorder {
     }
   }
 
+  /**
+   * Take a screenshot without the recording overlay (UIOverlay) on it
+   * Redaction boxes stay visible: they replace what they cover in the screenshot.
+   * @param {Function} capture - Takes the screenshot
+   * @returns {Promise<*>} Result of capture
+   */
+  async withOverlayHidden(capture) {
+    const setHidden = (hidden) => this.page.evaluate((isHidden) => {
+      document.querySelectorAll('[data-recorder-ui]:not([data-recorder-ui="redaction"])').forEach((element) => {
+        element.style.visibility = isHidden ? 'hidden' : '';
+      });
+    }, hidden).catch(() => {});
+
+    await setHidden(true);
+    try {
+      return await capture();
+    } finally {
+      await setHidden(false);
+    }
+  }
+
+  /**
+   * Forget actions undone in the overlay: screenshots are no longer captured or uploaded for
+   * them and the recording session is cut to the remaining actions on its next sync
+   * @param {number} length - Number of actions left in the page
+   */
+  handleActionsRemoved(length) {
+    this.lastActionCount = Math.min(this.lastActionCount, length);
+    this.uploadQueue = this.uploadQueue.filter((item) => item.actionIndex < length);
+    this.backupActions = this.backupActions.slice(0, length);
+    this.sessionTruncateAt = Math.min(this.sessionTruncateAt ?? length, length);
+    console.log(`↩️ Undo: ${length} actions left`);
+  }
+
   /**
    * Capture screenshot immediately after action is recorded (real-time)
    * @param {number} actionIndex - Index of the action in window.__recordedActions
@@ -522,31 +625,31 @@ export class ActionRecorder {
         return; // Already uploaded
       }
 
-      // Only capture for click, type, and navigate actions
-      if (!['click', 'type', 'navigate'].includes(action.type)) {
+      // Only capture for actions on an element and navigate actions
+      if (!['click', 'type', 'extract', 'submit', 'keypress', 'hover', 'drag', 'navigate'].includes(action.type)) {
         return;
       }
 
       // For navigate actions, capture full page screenshot
       if (action.type === 'navigate') {
-        const screenshot = await this.page.screenshot({
+        const screenshot = await this.withOverlayHidden(() => this.page.screenshot({
           encoding: 'base64',
           type: 'png',
           fullPage: true,
-        });
+        }));
         
         if (screenshot) {
           const dataUrl = `data:image/png;base64,${screenshot}`;
           
           // Update action in page context
-          await this.page.evaluate((index, screenshotData) => {
-            if (window.__recordedActions && window.__recordedActions[index]) {
+          await this.page.evaluate((index, timestamp, screenshotData) => {
+            if (window.__recordedActions && window.__recordedActions[index]?.timestamp === timestamp) {
               if (!window.__recordedActions[index].visual) {
                 window.__recordedActions[index].visual = {};
               }
               window.__recordedActions[index].visual.screenshot = screenshotData;
             }
-          }, actionIndex, dataUrl);
+          }, actionIndex, action.timestamp, dataUrl);
           
           console.log(`📸 Screenshot captured for navigation action ${actionIndex + 1}`);
           
@@ -562,22 +665,27 @@ export class ActionRecorder {
         return;
       }
 
-      // For click/type actions, try to capture element screenshot
+      // For actions on an element, try to capture element screenshot (keypresses without a
+      // focused element have no selector)
       if (action.backup_selector) {
         try {
-          const handle = await this.page.$(action.backup_selector);
+          // Elements inside frames or shadow roots are queried in their recorded context
+          const contextPath = getContextPath(action);
+          const handle = contextPath.length > 0
+            ? await queryInContext(await resolveContextPath(this.page, contextPath), action.backup_selector)
+            : await this.page.$(action.backup_selector);
           if (handle) {
-            if (action.type === 'click') {
+            if (['click', 'extract', 'submit', 'keypress', 'hover', 'drag'].includes(action.type)) {
               const absPos = action.visual?.position?.absolute || {};
               const clientX = typeof absPos.x === 'number' ? absPos.x : undefined;
               const clientY = typeof absPos.y === 'number' ? absPos.y : undefined;
 
               if (clientX != null && clientY != null) {
-                const enrichedClick = await this.captureClick(handle, clientX, clientY);
+                const enrichedClick = await this.withOverlayHidden(() => this.captureClick(handle, clientX, clientY));
                 if (enrichedClick.visual?.screenshot) {
                   // Update action in page context
-                  await this.page.evaluate((index, visualData) => {
-                    if (window.__recordedActions && window.__recordedActions[index]) {
+                  await this.page.evaluate((index, timestamp, visualData) => {
+                    if (window.__recordedActions && window.__recordedActions[index]?.timestamp === timestamp) {
                       if (!window.__recordedActions[index].visual) {
                         window.__recordedActions[index].visual = {};
                       }
@@ -586,9 +694,9 @@ export class ActionRecorder {
                         window.__recordedActions[index].visual.contextScreenshot = visualData.contextScreenshot;
                       }
                     }
-                  }, actionIndex, enrichedClick.visual);
+                  }, actionIndex, action.timestamp, enrichedClick.visual);
                   
-                  console.log(`📸 Screenshot captured for click action ${actionIndex + 1}`);
+                  console.log(`📸 Screenshot captured for ${action.type} action ${actionIndex + 1}`);
                   
                   // Get updated action and queue for upload
                   const updatedAction = await this.page.evaluate((index) => {
@@ -601,17 +709,17 @@ export class ActionRecorder {
                 }
               }
             } else if (action.type === 'type') {
-              const enrichedType = await this.captureType(handle, action.value || '');
+              const enrichedType = await this.withOverlayHidden(() => this.captureType(handle, action.value || ''));
               if (enrichedType.visual?.screenshot) {
                 // Update action in page context
-                await this.page.evaluate((index, visualData) => {
-                  if (window.__recordedActions && window.__recordedActions[index]) {
+                await this.page.evaluate((index, timestamp, visualData) => {
+                  if (window.__recordedActions && window.__recordedActions[index]?.timestamp === timestamp) {
                     if (!window.__recordedActions[index].visual) {
                       window.__recordedActions[index].visual = {};
                     }
                     window.__recordedActions[index].visual.screenshot = visualData.screenshot;
                   }
-                }, actionIndex, enrichedType.visual);
+                }, actionIndex, action.timestamp, enrichedType.visual);
                 
                 console.log(`📸 Screenshot captured for type action ${actionIndex + 1}`);
                 
@@ -642,7 +750,7 @@ export class ActionRecorder {
    */
   queueUpload(action, actionIndex) {
     // Only queue if screenshot is base64 (not already uploaded)
-    if (action.visual?.screenshot && !action.visual.screenshot.startsWith('http')) {
+    if (this.uploadScreenshots && action.visual?.screenshot && !action.visual.screenshot.startsWith('http')) {
       this.uploadQueue.push({
         action,
         actionIndex,
@@ -701,8 +809,8 @@ export class ActionRecorder {
           const updatedAction = result.updatedRecordingData.recordedActions[0];
           if (updatedAction && this.page && !this.page.isClosed()) {
             // Update action in page context
-            await this.page.evaluate((index, visualData) => {
-              if (window.__recordedActions && window.__recordedActions[index]) {
+            await this.page.evaluate((index, timestamp, visualData) => {
+              if (window.__recordedActions && window.__recordedActions[index]?.timestamp === timestamp) {
                 if (!window.__recordedActions[index].visual) {
                   window.__recordedActions[index].visual = {};
                 }
@@ -713,7 +821,7 @@ export class ActionRecorder {
                   window.__recordedActions[index].visual.contextScreenshot = visualData.contextScreenshot;
                 }
               }
-            }, item.actionIndex, updatedAction.visual || {});
+            }, item.actionIndex, item.action.timestamp, updatedAction.visual || {});
             
             // Also update local copy
             Object.assign(item.action, updatedAction);
@@ -750,6 +858,116 @@ export class ActionRecorder {
     }
   }
 
+  /**
+   * Number of leading actions ready to stream into the session: their screenshot was captured
+   * and is not waiting for upload (otherwise they would be sent again with the uploaded URL)
+   * @returns {number} Action count
+   */
+  getSessionSyncLimit() {
+    return this.uploadQueue.reduce(
+      (limit, item) => Math.min(limit, item.actionIndex),
+      this.lastActionCount
+    );
+  }
+
+  /**
+   * Stream new and changed actions into the recording session
+   * Failed syncs are retried on the next call; the actions stay in the page meanwhile.
+   * @param {Array} actions - Current recorded actions
+   * @returns {Promise<boolean>} True when the session holds all given actions
+   */
+  async syncSession(actions) {
+    if (!this.sessionClient || !this.recordingSession) {
+      return false;
+    }
+
+    // One sync at a time; a final sync waits for the one started by the interval
+    while (this.sessionSyncPromise) {
+      await this.sessionSyncPromise;
+    }
+
+    this.sessionSyncPromise = this.sendSessionActions(actions).finally(() => {
+      this.sessionSyncPromise = null;
+    });
+    return this.sessionSyncPromise;
+  }
+
+  /**
+   * Send the actions from the first changed one in batches
+   * @param {Array} actions - Current recorded actions
+   * @returns {Promise<boolean>} True when the session holds all given actions
+   */
+  async sendSessionActions(actions) {
+    const signatures = actions.map(actionSignature);
+
+    try {
+      // Undone actions are removed; other actions missing from the page are kept
+      if (this.sessionTruncateAt !== null) {
+        const truncateAt = this.sessionTruncateAt;
+        const result = await this.sessionClient.syncActions(this.recordingSession.id, truncateAt, []);
+        this.syncedSignatures = this.syncedSignatures.slice(0, result.synced ? truncateAt : result.actionCount);
+        if (this.sessionTruncateAt === truncateAt) {
+          this.sessionTruncateAt = null;
+        }
+      }
+
+      let batch = getSyncBatch(this.syncedSignatures, signatures);
+      while (batch) {
+        const { fromIndex, count } = batch;
+        const result = await this.sessionClient.syncActions(
+          this.recordingSession.id,
+          fromIndex,
+          actions.slice(fromIndex, fromIndex + count)
+        );
+
+        if (!result.synced) {
+          // The session missed a batch: resend from the actions it has
+          if (result.actionCount >= fromIndex) {
+            throw new Error(`session has ${result.actionCount} actions, expected at most ${fromIndex}`);
+          }
+          this.syncedSignatures = this.syncedSignatures.slice(0, result.actionCount);
+        } else {
+          this.syncedSignatures = this.syncedSignatures
+            .slice(0, fromIndex)
+            .concat(signatures.slice(fromIndex, fromIndex + count));
+          console.log(`🗄️ Synced ${result.actionCount} actions to recording session`);
+        }
+
+        batch = getSyncBatch(this.syncedSignatures, signatures);
+      }
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Recording session sync failed, retrying on next sync:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Sync the final actions and complete the recording session so it can be imported
+   * The session stays open (and can be resumed) when not all actions could be synced.
+   * @param {Array} actions - Final recorded actions
+   * @returns {Promise<boolean>} True when the session was completed
+   */
+  async completeSession(actions) {
+    if (!this.sessionClient || !this.recordingSession) {
+      return false;
+    }
+
+    if (!(await this.syncSession(actions))) {
+      console.warn(`⚠️ Recording session ${this.recordingSession.id} was not completed; resume it to sync the remaining actions`);
+      return false;
+    }
+
+    try {
+      this.recordingSession = await this.sessionClient.completeSession(this.recordingSession.id);
+      console.log(`✅ Recording session ${this.recordingSession.id} completed with ${actions.length} actions`);
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Failed to complete recording session:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Upload remaining screenshots to cloud (batch upload at end)
    * @param {Array} actions - Array of recorded actions
@@ -803,10 +1021,12 @@ export class ActionRecorder {
    * Stop recording and close browser
    * @param {Object} options - Options
    * @param {boolean} options.uploadToCloudinary - Upload screenshots to cloud (default: true)
+   * @param {boolean} options.completeSession - Complete the recording session (default: true);
+   *   when false the final actions are only synced and completeSession() is called later
    * @returns {Promise<Array>} Final recorded actions
    */
   async stopRecording(options = {}) {
-    const { uploadToCloudinary = true } = options;
+    const { uploadToCloudinary = true, completeSession = true } = options;
     
     this.isRecording = false;
 
@@ -846,9 +1066,19 @@ export class ActionRecorder {
 
     this.recordedActions = finalActions;
 
-    // Close browser
+    if (this.recordingSession) {
+      if (completeSession) {
+        await this.completeSession(finalActions);
+      } else {
+        await this.syncSession(finalActions);
+      }
+    }
+
+    // Close browser (the user may have closed it already)
     if (this.browser) {
-      await this.browser.close();
+      if (this.browser.connected) {
+        await this.browser.close();
+      }
       this.browser = null;
       this.page = null;
     }
@@ -879,9 +1109,10 @@ export class ActionRecorder {
    * Replace actual values with template variables (static method)
    * @param {string} value - Actual value
    * @param {Object} elementInfo - Element information
+   * @param {Object} options - { rules, surroundingText }
    * @returns {string} Template variable or original value
    */
-  static replaceWithTemplate(value, elementInfo) {
-    return replaceWithTemplate(value, elementInfo);
+  static replaceWithTemplate(value, elementInfo, options = {}) {
+    return replaceWithTemplate(value, elementInfo, options);
   }
 }
@@ -1,13 +1,48 @@
 import { validateVisualData } from './validation.mjs';
+import { applyStepAnnotations, pickStepAnnotations } from './step-annotations.mjs';
+import { isVerbatimValue } from './template-replacement.mjs';
+
+/**
+ * Structure the visual data of a recorded action
+ * @param {Object} action - Raw recorded action with visual field
+ * @returns {Object} Visual data
+ */
+function toVisualData(action) {
+  return {
+    screenshot: action.visual.screenshot || null,
+    contextScreenshot: action.visual.contextScreenshot || null,
+    text: action.visual.text || '',
+    position: {
+      absolute: action.visual.position?.absolute || { x: 0, y: 0 },
+      relative: action.visual.position?.relative || { x: 0, y: 0 },
+    },
+    boundingBox: action.visual.boundingBox || { x: 0, y: 0, width: 0, height: 0 },
+    surroundingText: action.visual.surroundingText || [],
+    timestamp: action.visual.timestamp || action.timestamp,
+    viewport: action.visual.viewport || null,
+  };
+}
+
+/**
+ * Context path of a recorded action (element inside same-origin frames or shadow roots)
+ * @param {Object} action - Raw recorded action
+ * @returns {Object} { context_path } to spread into the micro-action, empty in the top document
+ */
+function toContextPath(action) {
+  return action.context_path?.length > 0 ? { context_path: action.context_path } : {};
+}
 
 /**
  * Convert raw recorded actions to micro-action format with VISUAL DATA
+ * Step names, optional steps, template variables and redactions chosen in the recording
+ * overlay are applied to the micro-actions (utils/step-annotations.mjs).
  * @param {Array} recordedActions - Raw actions from recorder
  * @returns {Array} Array of micro-action objects with visual field
  */
 export function convertToMicroActions(recordedActions) {
   const microActions = [];
   let lastTypingAction = null;
+  let lastTypingAnnotations = {}; // Overlay choices of all typing merged into lastTypingAction
 
   for (let i = 0; i < recordedActions.length; i++) {
     const action = recordedActions[i];
@@ -32,6 +67,8 @@ export function convertToMicroActions(recordedActions) {
       });
     }
 
+    const microActionCount = microActions.length;
+
     switch (action.type) {
       case 'click': {
         // Validate visual data is present
@@ -74,6 +111,7 @@ export function convertToMicroActions(recordedActions) {
             boundingBox: action.visual.boundingBox || { x: 0, y: 0, width: 0, height: 0 },
             surroundingText: surroundingText,
             timestamp: action.visual.timestamp || action.timestamp,
+            viewport: action.visual.viewport || null,
           };
 
           // Extract text value - if it's a template variable, use it; otherwise use {{caption}}
@@ -91,11 +129,13 @@ export function convertToMicroActions(recordedActions) {
             type: 'type',
             visual: visualData,
             backup_selector: action.backup_selector || null,
+            ...toContextPath(action),
             text: textValue,
             execution_method: action.execution_method || 'visual_first',
           };
           microActions.push(microAction);
           lastTypingAction = microAction;
+          lastTypingAnnotations = pickStepAnnotations(action);
           break;
         }
 
@@ -111,6 +151,7 @@ export function convertToMicroActions(recordedActions) {
           boundingBox: action.visual.boundingBox || { x: 0, y: 0, width: 0, height: 0 },
           surroundingText: action.visual.surroundingText || [],
           timestamp: action.visual.timestamp || action.timestamp,
+          viewport: action.visual.viewport || null,
         };
 
         microActions.push({
@@ -118,6 +159,7 @@ export function convertToMicroActions(recordedActions) {
           type: 'click',
           visual: visualData,
           backup_selector: action.backup_selector || null,
+          ...toContextPath(action),
           execution_method: action.execution_method || 'visual_first',
         });
         break;
@@ -133,11 +175,15 @@ export function convertToMicroActions(recordedActions) {
         // Merge consecutive typing on same element
         if (
           lastTypingAction &&
-          lastTypingAction.backup_selector === action.backup_selector
+          lastTypingAction.backup_selector === action.backup_selector &&
+          JSON.stringify(lastTypingAction.context_path || []) === JSON.stringify(action.context_path || [])
         ) {
           // Update the last typing action with new value
           lastTypingAction.visual.text = action.value || action.visual.text;
           lastTypingAction.name = `Type in "${action.visual.placeholder || action.element?.name || 'field'}"`;
+          // The screenshot (and its redactions) stays the one of the first typing
+          lastTypingAnnotations = { ...lastTypingAnnotations, ...pickStepAnnotations(action) };
+          applyStepAnnotations(lastTypingAction, { ...lastTypingAnnotations, redactions: null });
         } else {
           // Structure visual data according to requirements
           const visualData = {
@@ -153,6 +199,7 @@ export function convertToMicroActions(recordedActions) {
             boundingBox: action.visual.boundingBox || { x: 0, y: 0, width: 0, height: 0 },
             surroundingText: action.visual.surroundingText || [],
             timestamp: action.visual.timestamp || action.timestamp,
+            viewport: action.visual.viewport || null,
           };
 
           const microAction = {
@@ -160,11 +207,13 @@ export function convertToMicroActions(recordedActions) {
             type: 'type',
             visual: visualData,
             backup_selector: action.backup_selector || null,
+            ...toContextPath(action),
             text: action.value || '', // Already templated in capture
             execution_method: action.execution_method || 'visual_first',
           };
           microActions.push(microAction);
           lastTypingAction = microAction;
+          lastTypingAnnotations = pickStepAnnotations(action);
         }
         break;
       }
@@ -194,6 +243,7 @@ export function convertToMicroActions(recordedActions) {
           boundingBox: action.visual.boundingBox || { x: 0, y: 0, width: 0, height: 0 },
           surroundingText: action.visual.surroundingText || [],
           timestamp: action.visual.timestamp || action.timestamp,
+          viewport: action.visual.viewport || null,
         } : null;
 
         microActions.push({
@@ -201,6 +251,7 @@ export function convertToMicroActions(recordedActions) {
           type: 'upload',
           visual: visualData,
           backup_selector: action.backup_selector || null,
+          ...toContextPath(action),
           filePath: '{{imagePath}}',
           execution_method: 'visual_first',
         });
@@ -219,11 +270,127 @@ export function convertToMicroActions(recordedActions) {
         break;
       }
 
+      case 'extract': {
+        if (!action.visual || !validateVisualData(action.visual)) {
+          console.warn('⚠️ Extract action missing visual data, skipping:', action);
+          break;
+        }
+
+        microActions.push({
+          name: `Extract ${action.variableName}`,
+          type: 'extract',
+          visual: toVisualData(action),
+          backup_selector: action.backup_selector || null,
+          ...toContextPath(action),
+          variableName: action.variableName,
+          source: action.source || 'text',
+          execution_method: action.execution_method || 'visual_first',
+        });
+        break;
+      }
+
+      case 'keypress': {
+        const modifiers = action.modifiers || [];
+        const name = `Press ${[...modifiers, action.key].join('+')}`;
+
+        if (action.visual && validateVisualData(action.visual)) {
+          microActions.push({
+            name,
+            type: 'keypress',
+            visual: toVisualData(action),
+            backup_selector: action.backup_selector || null,
+            ...toContextPath(action),
+            key: action.key,
+            modifiers,
+            execution_method: action.execution_method || 'visual_first',
+          });
+        } else {
+          // Keys pressed on the page itself (Escape) have no element to focus
+          microActions.push({
+            name,
+            type: 'keypress',
+            params: {
+              key: action.key,
+              modifiers,
+            },
+          });
+        }
+        // Typing after a key (Enter to send) is new text, not a correction of the last one
+        lastTypingAction = null;
+        break;
+      }
+
+      case 'hover': {
+        if (!action.visual || !validateVisualData(action.visual)) {
+          console.warn('⚠️ Hover action missing visual data, skipping:', action);
+          break;
+        }
+
+        // Clicking the hovered element moves the pointer onto it anyway
+        const nextAction = recordedActions[i + 1];
+        if (
+          nextAction?.type === 'click' &&
+          nextAction.backup_selector === action.backup_selector &&
+          JSON.stringify(nextAction.context_path || []) === JSON.stringify(action.context_path || [])
+        ) {
+          break;
+        }
+
+        microActions.push({
+          name: `Hover "${(action.visual.text || '').substring(0, 30) || 'element'}"`,
+          type: 'hover',
+          visual: toVisualData(action),
+          backup_selector: action.backup_selector || null,
+          ...toContextPath(action),
+          duration: action.duration || 500,
+          execution_method: action.execution_method || 'visual_first',
+        });
+        break;
+      }
+
+      case 'drag': {
+        if (!action.visual || !validateVisualData(action.visual)) {
+          console.warn('⚠️ Drag action missing visual data, skipping:', action);
+          break;
+        }
+
+        microActions.push({
+          name: `Drag "${(action.visual.text || '').substring(0, 30) || 'element'}"`,
+          type: 'drag',
+          visual: toVisualData(action),
+          backup_selector: action.backup_selector || null,
+          ...toContextPath(action),
+          delta: action.delta,
+          execution_method: action.execution_method || 'visual_first',
+        });
+        break;
+      }
+
       case 'submit': {
-        // Submit is usually handled by clicking submit button
+        // Submit is usually handled by clicking submit button (Enter also clicks the default
+        // button); only forms submitted without a click need their own action
+        if (prevAction?.type === 'click' && timeSincePrev < 1000) {
+          break;
+        }
+        if (!action.visual || !validateVisualData(action.visual)) {
+          break;
+        }
+
+        microActions.push({
+          name: 'Submit form',
+          type: 'submit',
+          visual: toVisualData(action),
+          backup_selector: action.backup_selector || action.selector || null,
+          ...toContextPath(action),
+          execution_method: action.execution_method || 'visual_first',
+        });
         break;
       }
     }
+
+    if (microActions.length > microActionCount) {
+      applyStepAnnotations(microActions[microActions.length - 1], action);
+    }
   }
 
   // Validate all required visual fields are present
@@ -240,6 +407,13 @@ export function convertToMicroActions(recordedActions) {
     return action;
   });
 
+  // Typed values no template rule matched are stored as typed: flagged for review on import
+  for (const action of validatedActions) {
+    if (action.type === 'type' && isVerbatimValue(action.text)) {
+      action.needs_review = true;
+    }
+  }
+
   console.log(`✅ Converted ${recordedActions.length} raw actions to ${validatedActions.length} micro-actions with visual data`);
   return validatedActions;
 }
@@ -0,0 +1,217 @@
+/**
+ * Recording session sync - streams recorded actions into a server-backed recording session
+ * (/api/admin/recording-sessions) so a recording survives crashes and can be imported from
+ * the admin page without a file upload.
+ *
+ * Actions change after they are recorded (the screenshot is captured a moment later, then
+ * replaced by its uploaded URL). Each action's signature is remembered when it is synced and
+ * every sync sends the actions from the first one whose signature changed.
+ */
+
+// Actions sent per request (screenshots may still be base64)
+export const SESSION_SYNC_BATCH_SIZE = 10;
+
+/**
+ * Signature of an action's content (FNV-1a hash of its JSON)
+ * @param {Object} action - Recorded action
+ * @returns {string} Signature
+ */
+export function actionSignature(action) {
+  const json = JSON.stringify(action) || '';
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    hash ^= json.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${json.length}:${(hash >>> 0).toString(16)}`;
+}
+
+/**
+ * Find the next batch of actions to sync
+ * Actions missing from the page (synced earlier, then lost) are never removed from the session.
+ * @param {Array<string>} syncedSignatures - Signatures of the actions stored in the session
+ * @param {Array<string>} signatures - Signatures of the current actions
+ * @param {number} maxBatchSize - Maximum actions per batch
+ * @returns {Object|null} { fromIndex, count } or null when the session is up to date
+ */
+export function getSyncBatch(syncedSignatures, signatures, maxBatchSize = SESSION_SYNC_BATCH_SIZE) {
+  const fromIndex = signatures.findIndex((signature, index) => signature !== syncedSignatures[index]);
+  if (fromIndex === -1) {
+    return null;
+  }
+
+  return { fromIndex, count: Math.min(maxBatchSize, signatures.length - fromIndex) };
+}
+
+/**
+ * HTTP client of the admin recording session API
+ * Authenticates with an admin access token, or logs in with admin credentials (again when
+ * the token expires during a long recording).
+ */
+export class RecordingSessionClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiUrl - API base URL (e.g. http://localhost:3000/api)
+   * @param {string} [options.token] - Admin access token
+   * @param {string} [options.email] - Admin email used to log in
+   * @param {string} [options.password] - Admin password used to log in
+   */
+  constructor({ apiUrl, token = null, email = null, password = null }) {
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.token = token;
+    this.email = email;
+    this.password = password;
+  }
+
+  /**
+   * Log in with the admin credentials
+   * @returns {Promise<void>}
+   */
+  async login() {
+    if (!this.email || !this.password) {
+      throw new Error('Recording session API token expired and no admin credentials are configured');
+    }
+
+    const response = await fetch(`${this.apiUrl}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: this.email, password: this.password }),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.session?.access_token) {
+      throw new Error(`Failed to log in to the recording session API: ${data.error || response.status}`);
+    }
+
+    this.token = data.session.access_token;
+  }
+
+  /**
+   * Send a request to the recording session API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /admin/recording-sessions
+   * @param {Object} [body] - JSON body
+   * @param {boolean} [retried] - Whether the request is retried after logging in again
+   * @returns {Promise<Object>} { status, data }
+   */
+  async request(method, path, body = undefined, retried = false) {
+    if (!this.token) {
+      await this.login();
+    }
+
+    const response = await fetch(`${this.apiUrl}/admin/recording-sessions${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.token}`,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    if (response.status === 401 && !retried && this.email && this.password) {
+      this.token = null;
+      return this.request(method, path, body, true);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    return { status: response.status, data };
+  }
+
+  /**
+   * Send a request and fail on an error status
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /admin/recording-sessions
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<Object>} Response data
+   */
+  async expectOk(method, path, body) {
+    const { status, data } = await this.request(method, path, body);
+    if (status < 200 || status >= 300) {
+      throw new Error(data.error || `Recording session API returned ${status}`);
+    }
+    return data;
+  }
+
+  /**
+   * Create a session
+   * @param {Object} session - { platform, url, name }
+   * @returns {Promise<Object>} Session summary
+   */
+  async createSession(session) {
+    const data = await this.expectOk('POST', '/create', session);
+    return data.session;
+  }
+
+  /**
+   * List sessions without their actions
+   * @param {Object} filters - { status, platform, limit }
+   * @returns {Promise<Array<Object>>} Session summaries
+   */
+  async listSessions(filters = {}) {
+    const params = new URLSearchParams(filters);
+    const data = await this.expectOk('GET', `/list?${params.toString()}`);
+    return data.sessions || [];
+  }
+
+  /**
+   * Load a session with its recorded actions
+   * @param {string} id - Session ID
+   * @returns {Promise<Object>} Session
+   */
+  async getSession(id) {
+    const data = await this.expectOk('GET', `/${encodeURIComponent(id)}`);
+    return data.session;
+  }
+
+  /**
+   * Store actions from fromIndex on
+   * @param {string} id - Session ID
+   * @param {number} fromIndex - Index of the first action
+   * @param {Array<Object>} actions - Actions from fromIndex on
+   * @returns {Promise<Object>} { synced, actionCount } - synced is false when the session has fewer than fromIndex actions
+   */
+  async syncActions(id, fromIndex, actions) {
+    const { status, data } = await this.request('POST', `/${encodeURIComponent(id)}/actions`, { fromIndex, actions });
+    if (status === 409) {
+      return { synced: false, actionCount: data.actionCount || 0 };
+    }
+    if (status < 200 || status >= 300) {
+      throw new Error(data.error || `Recording session API returned ${status}`);
+    }
+    return { synced: true, actionCount: data.actionCount };
+  }
+
+  /**
+   * Complete a session
+   * @param {string} id - Session ID
+   * @returns {Promise<Object>} Session summary
+   */
+  async completeSession(id) {
+    const data = await this.expectOk('POST', `/${encodeURIComponent(id)}/complete`);
+    return data.session;
+  }
+}
+
+/**
+ * Create a client from the environment
+ * RECORDER_API_URL (default NEXT_PUBLIC_API_URL) with RECORDER_API_TOKEN, or ADMIN_EMAIL and
+ * ADMIN_PASSWORD to log in.
+ * @param {Object} env - Environment variables
+ * @returns {RecordingSessionClient|null} Client, or null when no credentials are configured
+ */
+export function createSessionClientFromEnv(env = process.env) {
+  const apiUrl = env.RECORDER_API_URL || env.NEXT_PUBLIC_API_URL;
+  const token = env.RECORDER_API_TOKEN || null;
+  const hasCredentials = Boolean(env.ADMIN_EMAIL && env.ADMIN_PASSWORD);
+
+  if (!apiUrl || (!token && !hasCredentials)) {
+    return null;
+  }
+
+  return new RecordingSessionClient({
+    apiUrl,
+    token,
+    email: hasCredentials ? env.ADMIN_EMAIL : null,
+    password: hasCredentials ? env.ADMIN_PASSWORD : null,
+  });
+}
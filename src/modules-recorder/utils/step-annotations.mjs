@@ -0,0 +1,92 @@
+/**
+ * Step annotations - choices made in the recording overlay (UIOverlay) while recording
+ *
+ * The overlay stores them on the recorded action:
+ * - step_name: name of the micro-action
+ * - optional: the workflow step is skipped instead of failing when its element is missing
+ * - template_variable: the typed value (or upload path) was replaced by {{template_variable}}
+ * - redactions: regions of the viewport ({ x, y, width, height }) blacked out while the
+ *   screenshot was captured
+ */
+
+// Names accepted for custom template variables ({{name}})
+export const TEMPLATE_VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Redacted regions inside an element's screenshot
+ * @param {Array<Object>} redactions - Viewport regions ({ x, y, width, height })
+ * @param {Object} boundingBox - Viewport box of the element ({ x, y, width, height })
+ * @returns {Array<Object>} Regions relative to the element screenshot (empty when none overlap)
+ */
+export function toElementRedactions(redactions, boundingBox) {
+  if (!Array.isArray(redactions) || !boundingBox || !(boundingBox.width > 0) || !(boundingBox.height > 0)) {
+    return [];
+  }
+
+  const regions = [];
+  for (const region of redactions) {
+    const left = Math.max(region.x, boundingBox.x);
+    const top = Math.max(region.y, boundingBox.y);
+    const right = Math.min(region.x + region.width, boundingBox.x + boundingBox.width);
+    const bottom = Math.min(region.y + region.height, boundingBox.y + boundingBox.height);
+    if (right > left && bottom > top) {
+      regions.push({
+        x: Math.round(left - boundingBox.x),
+        y: Math.round(top - boundingBox.y),
+        width: Math.round(right - left),
+        height: Math.round(bottom - top),
+      });
+    }
+  }
+  return regions;
+}
+
+/**
+ * Name, optional flag and template variable chosen for a recorded action
+ * @param {Object} action - Raw recorded action
+ * @returns {Object} The choices that were made ({ step_name, optional, template_variable })
+ */
+export function pickStepAnnotations(action) {
+  const annotations = {};
+  for (const key of ['step_name', 'optional', 'template_variable']) {
+    if (action[key]) {
+      annotations[key] = action[key];
+    }
+  }
+  return annotations;
+}
+
+/**
+ * Apply the overlay's choices of a recorded action to its micro-action (converter format:
+ * visual data and values next to name and type)
+ * @param {Object} microAction - Converted micro-action (changed in place)
+ * @param {Object} action - Raw recorded action (or its annotations)
+ * @returns {Object} The micro-action
+ */
+export function applyStepAnnotations(microAction, action) {
+  if (typeof action.step_name === 'string' && action.step_name.trim()) {
+    microAction.name = action.step_name.trim();
+  }
+
+  if (action.optional) {
+    microAction.optional = true;
+  }
+
+  if (action.template_variable) {
+    const template = `{{${action.template_variable}}}`;
+    if (microAction.type === 'upload') {
+      microAction.filePath = template;
+    } else if (microAction.type === 'type') {
+      microAction.text = template;
+    }
+  }
+
+  if (microAction.visual) {
+    const regions = toElementRedactions(action.redactions, microAction.visual.boundingBox);
+    if (regions.length > 0) {
+      microAction.visual.redactions = regions;
+    }
+  }
+
+  return microAction;
+}
@@ -1,46 +1,145 @@
+import { getPlatformConfig } from '../config/platform.mjs';
+import { TEMPLATE_VARIABLE_NAME } from './step-annotations.mjs';
+
 /**
- * Replace actual values with template variables
- * @param {string} value - Actual value
- * @param {Object} elementInfo - Element information
- * @returns {string} Template variable or original value
+ * Template variable detection rules
+ *
+ * Values typed while recording are replaced by a template variable ({{name}}) when a rule
+ * matches the field, so personal data never ends up in shared micro-actions. A rule is
+ * { variable, attributes, surroundingText, value }:
+ * - attributes: { attribute: pattern }, matches when any listed attribute of the field does
+ *   (tag, type, id, name, placeholder, ariaLabel, autocomplete)
+ * - surroundingText: pattern, matches when any text around the field does (labels, siblings)
+ * - value: pattern the typed value must match
+ * Patterns are case-insensitive regular expressions (strings, so rules can be stored as JSON).
+ * All conditions of a rule must match; the first matching rule wins.
  */
-export function replaceWithTemplate(value, elementInfo) {
-  if (!value) return '';
+export const DEFAULT_TEMPLATE_RULES = [
+  { variable: 'password', attributes: { type: '^password$', name: 'password', id: 'password' } },
+  { variable: 'username', attributes: { name: 'username|user|login', id: 'username|user|login', placeholder: 'username|user|login' } },
+  { variable: 'email', attributes: { type: '^email$', name: 'email|e-mail', id: 'email|e-mail', placeholder: 'email|e-mail' } },
+  { variable: 'phone', attributes: { type: '^tel$', name: 'phone|mobile', id: 'phone|mobile', placeholder: 'phone|mobile', autocomplete: '^tel' } },
+  { variable: 'url', attributes: { type: '^url$', name: 'url|link|website', id: 'url|link|website', placeholder: 'url|link|website' } },
+  { variable: 'altText', attributes: { name: 'alt.?text', placeholder: 'alt.?text', ariaLabel: 'alt.?text' } },
+  { variable: 'altText', surroundingText: 'alt.?text' },
+  { variable: 'location', attributes: { name: 'location|place', id: 'location|place', placeholder: 'location|place', ariaLabel: 'location' } },
+  { variable: 'hashtags', attributes: { name: 'hashtag', id: 'hashtag', placeholder: 'hashtag', ariaLabel: 'hashtag' } },
+  { variable: 'caption', attributes: { tag: '^textarea$', name: 'caption|post|content|message' } },
+  // Values that give themselves away in fields without telling attributes
+  { variable: 'email', value: '^[^\\s@]+@[^\\s@]+\\.[a-z]{2,}$' },
+  { variable: 'url', value: '^https?://\\S+$' },
+  { variable: 'phone', value: '^\\+?\\d[\\d\\s().-]{5,}\\d$' },
+  { variable: 'hashtags', value: '^#\\w+(\\s+#\\w+)*$' },
+];
 
-  // Password fields
-  if (
-    elementInfo.type === 'password' ||
-    (elementInfo.name && /password/i.test(elementInfo.name)) ||
-    (elementInfo.id && /password/i.test(elementInfo.id))
-  ) {
-    return '{{password}}';
+/**
+ * Check template rules before they are used (they come from configuration)
+ * @param {Array<Object>} rules - Template rules
+ * @returns {Array<Object>} The rules
+ * @throws {Error} When a rule has no valid variable, no condition or an invalid pattern
+ */
+export function validateTemplateRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Template rules must be an array');
   }
 
-  // Username fields
-  if (
-    (elementInfo.name && /username|user|login/i.test(elementInfo.name)) ||
-    (elementInfo.id && /username|user|login/i.test(elementInfo.id)) ||
-    (elementInfo.placeholder && /username|user|login/i.test(elementInfo.placeholder))
-  ) {
-    return '{{username}}';
-  }
+  rules.forEach((rule, index) => {
+    const label = `Template rule ${index + 1}`;
+    if (!rule || typeof rule.variable !== 'string' || !TEMPLATE_VARIABLE_NAME.test(rule.variable)) {
+      throw new Error(`${label} needs a variable name (letters, digits and _)`);
+    }
 
-  // Email fields
-  if (
-    elementInfo.type === 'email' ||
-    (elementInfo.name && /email|e-mail/i.test(elementInfo.name)) ||
-    (elementInfo.id && /email|e-mail/i.test(elementInfo.id)) ||
-    (elementInfo.placeholder && /email|e-mail/i.test(elementInfo.placeholder))
-  ) {
-    return '{{email}}';
-  }
+    const patterns = [
+      ...Object.values(rule.attributes || {}),
+      ...(rule.surroundingText !== undefined ? [rule.surroundingText] : []),
+      ...(rule.value !== undefined ? [rule.value] : []),
+    ];
+    if (patterns.length === 0) {
+      throw new Error(`${label} (${rule.variable}) needs attributes, surroundingText or value`);
+    }
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new Error(`${label} (${rule.variable}) has an invalid pattern: ${error.message}`);
+      }
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Rules used when recording on a platform: custom rules first, then the platform's
+ * (config/platform.mjs templateRules), then the defaults
+ * @param {string} platform - Platform name
+ * @param {Array<Object>} customRules - Additional rules (ActionRecorder templateRules option)
+ * @returns {Array<Object>} Template rules
+ */
+export function getTemplateRules(platform, customRules = []) {
+  return validateTemplateRules([
+    ...customRules,
+    ...(getPlatformConfig(platform).templateRules || []),
+    ...DEFAULT_TEMPLATE_RULES,
+  ]);
+}
 
-  // Text areas and content inputs (likely captions/posts)
-  if (elementInfo.tag === 'textarea' || (elementInfo.name && /caption|post|content|message|text/i.test(elementInfo.name))) {
-    return '{{caption}}';
+/**
+ * Find the template variable of a typed value
+ * Self-contained: the recorder client script embeds its source to apply the same rules in
+ * the page.
+ * @param {Array<Object>} rules - Template rules
+ * @param {Object} field - { attributes: { tag, type, id, ... }, surroundingText: [], value }
+ * @returns {string|null} Variable name of the first matching rule
+ */
+export function matchTemplateRule(rules, field) {
+  const matches = (pattern, text) => typeof text === 'string' && text !== '' && new RegExp(pattern, 'i').test(text);
+  const attributes = field.attributes || {};
+
+  for (const rule of rules || []) {
+    const conditions = [];
+    if (rule.attributes) {
+      conditions.push(Object.keys(rule.attributes).some((key) => matches(rule.attributes[key], attributes[key])));
+    }
+    if (rule.surroundingText !== undefined) {
+      conditions.push((field.surroundingText || []).some((text) => matches(rule.surroundingText, text)));
+    }
+    if (rule.value !== undefined) {
+      conditions.push(matches(rule.value, field.value));
+    }
+    if (conditions.length > 0 && conditions.every(Boolean)) {
+      return rule.variable;
+    }
   }
+  return null;
+}
+
+/**
+ * Replace actual values with template variables
+ * @param {string} value - Actual value
+ * @param {Object} elementInfo - Element information (tag, type, id, name, placeholder, ...)
+ * @param {Object} options - { rules (default: DEFAULT_TEMPLATE_RULES), surroundingText }
+ * @returns {string} Template variable or original value
+ */
+export function replaceWithTemplate(value, elementInfo, options = {}) {
+  if (!value) return '';
+
+  const variable = matchTemplateRule(options.rules || DEFAULT_TEMPLATE_RULES, {
+    attributes: elementInfo || {},
+    surroundingText: options.surroundingText || [],
+    value,
+  });
 
   // Return original value if no template match
-  return value;
+  return variable ? `{{${variable}}}` : value;
 }
 
+/**
+ * Whether a typed value is stored as typed (no template variable in it); such values are
+ * flagged for review when the recording is imported
+ * @param {string} value - Typed value of a micro-action
+ * @returns {boolean} True for non-empty values without {{variables}}
+ */
+export function isVerbatimValue(value) {
+  return typeof value === 'string' && value.trim() !== '' && !/\{\{\s*[\w.]+\s*\}\}/.test(value);
+}
@@ -1,4 +1,5 @@
 import { generateSelector } from './selector-generator.mjs';
+import { replaceWithTemplate } from './template-replacement.mjs';
 
 /**
  * Server-side: Capture element screenshot using Puppeteer
@@ -156,6 +157,9 @@ export async function captureClick(page, elementHandle, clientX, clientY) {
         viewport: {
           width: viewportWidth,
           height: viewportHeight,
+          devicePixelRatio: window.devicePixelRatio || 1,
+          scrollX: Math.round(window.scrollX),
+          scrollY: Math.round(window.scrollY),
         },
       };
     }, clientX, clientY);
@@ -198,48 +202,31 @@ export async function captureClick(page, elementHandle, clientX, clientY) {
  * Server-side: Capture type/input action with visual data
  * @param {Object} page - Puppeteer page instance
  * @param {ElementHandle} elementHandle - Puppeteer element handle
- * @param {string} value - Input value (will be templated if sensitive)
+ * @param {string} value - Input value (will be templated if a template rule matches)
+ * @param {Object} options - { rules } template rules (default: DEFAULT_TEMPLATE_RULES)
  * @returns {Promise<Object>} Action object with visual data and templated value
  */
-export async function captureType(page, elementHandle, value) {
+export async function captureType(page, elementHandle, value, options = {}) {
   try {
-    const elementData = await elementHandle.evaluate((el, val) => {
+    const elementData = await elementHandle.evaluate((el) => {
       const rect = el.getBoundingClientRect();
       const viewportWidth = window.innerWidth;
       const viewportHeight = window.innerHeight;
 
-      // Detect field type
-      const isPassword = el.type === 'password' || 
-                        (el.name && /password/i.test(el.name)) ||
-                        (el.id && /password/i.test(el.id));
-      const isUsername = (el.name && /username|user|login/i.test(el.name)) ||
-                        (el.id && /username|user|login/i.test(el.id)) ||
-                        (el.placeholder && /username|user|login/i.test(el.placeholder));
-      const isEmail = el.type === 'email' ||
-                     (el.name && /email|e-mail/i.test(el.name)) ||
-                     (el.id && /email|e-mail/i.test(el.id)) ||
-                     (el.placeholder && /email|e-mail/i.test(el.placeholder));
-
-      // Auto-replace sensitive values with template variables
-      let templateValue = val;
-      if (isPassword) {
-        templateValue = '{{password}}';
-      } else if (isUsername) {
-        templateValue = '{{username}}';
-      } else if (isEmail) {
-        templateValue = '{{email}}';
-      } else if (el.tagName === 'TEXTAREA' || (el.name && /caption|post|content|message/i.test(el.name))) {
-        templateValue = '{{caption}}';
-      }
-
       return {
         text: el.textContent?.trim() || '',
         placeholder: el.placeholder || '',
         inputType: el.type || 'text',
-        templateValue: templateValue,
-        isPassword,
-        isUsername,
-        isEmail,
+        // Attributes template rules match on
+        attributes: {
+          tag: el.tagName.toLowerCase(),
+          type: el.type || '',
+          id: el.id || '',
+          name: el.name || '',
+          placeholder: el.placeholder || '',
+          ariaLabel: el.getAttribute('aria-label') || '',
+          autocomplete: el.getAttribute('autocomplete') || '',
+        },
         boundingBox: {
           x: Math.round(rect.x),
           y: Math.round(rect.y),
@@ -261,7 +248,7 @@ export async function captureType(page, elementHandle, value) {
           height: viewportHeight,
         },
       };
-    }, value);
+    });
 
     // Capture screenshot of input field
     const screenshot = await screenshotElement(elementHandle);
@@ -287,7 +274,7 @@ export async function captureType(page, elementHandle, value) {
         viewport: elementData.viewport,
       },
       backup_selector: backupSelector,
-      value: elementData.templateValue,
+      value: replaceWithTemplate(value, elementData.attributes, { rules: options.rules, surroundingText }),
       execution_method: 'visual_first',
     };
   } catch (error) {
@@ -0,0 +1,120 @@
+import { useState } from 'react';
+
+const reasonLabels = {
+  relaxed_threshold: 'Found after relaxing thresholds',
+  position_fallback: 'Clicked at recorded position',
+  low_confidence: 'Low confidence match',
+};
+
+const reasonColors = {
+  relaxed_threshold: 'bg-yellow-100 text-yellow-800',
+  position_fallback: 'bg-red-100 text-red-800',
+  low_confidence: 'bg-orange-100 text-orange-800',
+};
+
+function Screenshot({ src, label }) {
+  return (
+    <div className="flex-1 min-w-0">
+      <p className="text-xs font-medium text-gray-500 mb-1">{label}</p>
+      {src ? (
+        <img
+          src={src}
+          alt={`${label} screenshot`}
+          className="w-full h-32 object-contain rounded border border-gray-300 bg-gray-50"
+        />
+      ) : (
+        <div className="w-full h-32 flex items-center justify-center rounded border border-dashed border-gray-300 text-xs text-gray-400">
+          No screenshot
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Pending healing proposals: the recorded screenshot and selector next to the ones an agent
+ * captured when it found the element only with low confidence
+ */
+export default function HealingProposalList({ proposals, onAccept, onReject }) {
+  const [busyId, setBusyId] = useState(null);
+
+  const review = async (proposal, handler) => {
+    setBusyId(proposal.id);
+    try {
+      await handler(proposal);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {proposals.map((proposal) => {
+        const beforeText = proposal.before_visual?.text;
+        const afterText = proposal.visual?.text;
+
+        return (
+          <div key={proposal.id} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+              <div className="min-w-0">
+                <h3 className="font-semibold text-gray-900 truncate">
+                  {proposal.micro_action?.name || proposal.micro_action_id}
+                </h3>
+                <p className="text-xs text-gray-500">
+                  {proposal.platform || proposal.micro_action?.platform} • by {proposal.method}
+                  {proposal.confidence !== null && ` • ${(Number(proposal.confidence) * 100).toFixed(1)}% confidence`}
+                  {proposal.retries > 0 && ` • ${proposal.retries} retries`}
+                  {' • '}{new Date(proposal.created_at).toLocaleString()}
+                </p>
+              </div>
+              <span className={`px-2 py-1 rounded-full text-xs font-medium ${reasonColors[proposal.reason] || 'bg-gray-100 text-gray-800'}`}>
+                {reasonLabels[proposal.reason] || proposal.reason}
+              </span>
+            </div>
+
+            <div className="flex gap-4 mb-3">
+              <Screenshot src={proposal.before_visual?.screenshot} label="Before" />
+              <Screenshot src={proposal.visual?.screenshot} label="After" />
+            </div>
+
+            <dl className="grid grid-cols-[auto,1fr] gap-x-3 gap-y-1 text-xs mb-3">
+              {(beforeText || afterText) && (
+                <>
+                  <dt className="text-gray-500">Text</dt>
+                  <dd className="text-gray-800 truncate">
+                    {beforeText === afterText ? afterText : `${beforeText || '—'} → ${afterText || '—'}`}
+                  </dd>
+                </>
+              )}
+              {proposal.backup_selector && proposal.backup_selector !== proposal.before_selector && (
+                <>
+                  <dt className="text-gray-500">Selector</dt>
+                  <dd className="font-mono text-gray-800 break-all">
+                    {proposal.before_selector || '—'} → {proposal.backup_selector}
+                  </dd>
+                </>
+              )}
+            </dl>
+
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => review(proposal, onReject)}
+                disabled={busyId === proposal.id}
+                className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 transition-colors disabled:opacity-50"
+              >
+                Reject
+              </button>
+              <button
+                onClick={() => review(proposal, onAccept)}
+                disabled={busyId === proposal.id}
+                className="px-3 py-1.5 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700 transition-colors disabled:opacity-50"
+              >
+                Accept
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { isVerbatimValue } from '@modules-recorder/utils/template-replacement.mjs';
 
 export default function ImportRecordingModal({ recordingData, onImport, onClose }) {
   const [selectedActions, setSelectedActions] = useState(
@@ -6,6 +7,7 @@ export default function ImportRecordingModal({ recordingData, onImport, onClose
   );
   const [editingIndex, setEditingIndex] = useState(null);
   const [editedNames, setEditedNames] = useState({});
+  const [editedTexts, setEditedTexts] = useState({});
   const [optimizeScreenshots, setOptimizeScreenshots] = useState(false);
   const [bulkExecutionMethod, setBulkExecutionMethod] = useState('');
   const [viewMode, setViewMode] = useState('list');
@@ -28,6 +30,10 @@ export default function ImportRecordingModal({ recordingData, onImport, onClose
     setEditedNames({ ...editedNames, [index]: newName });
   };
 
+  const handleEditText = (index, newText) => {
+    setEditedTexts({ ...editedTexts, [index]: newText });
+  };
+
   const handleImport = () => {
     const actionsToImport = recordingData.microActions
       .filter((_, index) => selectedActions.has(index))
@@ -42,6 +48,16 @@ export default function ImportRecordingModal({ recordingData, onImport, onClose
           params: action.params || {},
         };
 
+        // Typed value replaced while reviewing (e.g. by a {{variable}})
+        if (index in editedTexts) {
+          const params = { ...processedAction.params, text: editedTexts[index] };
+          delete params.needs_review;
+          if (isVerbatimValue(params.text)) {
+            params.needs_review = true;
+          }
+          processedAction.params = params;
+        }
+
         // Apply bulk execution method if set
         if (bulkExecutionMethod) {
           processedAction.params = {
@@ -86,6 +102,11 @@ export default function ImportRecordingModal({ recordingData, onImport, onClose
   ).length;
   const actionsWithoutVisual = recordingData.microActions.length - actionsWithVisual;
 
+  // Typed values no template rule matched (stored as typed unless replaced here)
+  const reviewIndexes = recordingData.microActions
+    .map((action, index) => (action.params?.needs_review ? index : null))
+    .filter((index) => index !== null && isVerbatimValue(editedTexts[index] ?? recordingData.microActions[index].params.text));
+
   return (
     <div className="space-y-4">
       {/* Recording Info */}
@@ -141,6 +162,32 @@ export default function ImportRecordingModal({ recordingData, onImport, onClose
         </div>
       )}
 
+      {/* Typed Values Review Warning */}
+      {reviewIndexes.length > 0 && (
+        <div className="bg-orange-50 border border-orange-200 rounded-md p-4">
+          <div className="flex items-start gap-2">
+            <span className="text-orange-600 text-xl">🔎</span>
+            <div className="flex-1">
+              <h4 className="font-semibold text-orange-900 mb-1">
+                Typed Values To Review
+              </h4>
+              <p className="text-sm text-orange-800">
+                {reviewIndexes.length} action{reviewIndexes.length !== 1 ? 's' : ''} type a value no template rule
+                matched, which would be shared as recorded. Replace personal data with a variable
+                (e.g. {'{{hashtags}}'}) in the list below, or deselect the action.
+              </p>
+              <ul className="text-sm text-orange-800 mt-2 list-disc list-inside">
+                {reviewIndexes.map((index) => (
+                  <li key={index}>
+                    {editedNames[index] || recordingData.microActions[index].name}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Feature 9: Optimize Screenshots Checkbox */}
       <div className="bg-blue-50 border border-blue-200 rounded-md p-4">
         <label className="flex items-start gap-3 cursor-pointer">
@@ -351,6 +398,21 @@ export default function ImportRecordingModal({ recordingData, onImport, onClose
                         {editedNames[index] || action.name}
                       </span>
                     )}
+                    {action.params?.needs_review && (
+                      <div className="mt-1 flex items-center gap-2">
+                        <span className="text-xs text-orange-700" title="Typed value no template rule matched">
+                          🔎 Typed value
+                        </span>
+                        <input
+                          type="text"
+                          value={editedTexts[index] ?? action.params.text}
+                          onChange={(e) => handleEditText(index, e.target.value)}
+                          className={`flex-1 px-2 py-0.5 border rounded text-xs ${
+                            reviewIndexes.includes(index) ? 'border-orange-400' : 'border-gray-300'
+                          }`}
+                        />
+                      </div>
+                    )}
                   </td>
                   <td className="px-4 py-2">
                     <span className="px-2 py-1 bg-blue-100 text-blue-800 rounded text-xs">
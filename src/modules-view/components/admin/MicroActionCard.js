@@ -7,6 +7,10 @@ const typeColors = {
   navigate: 'bg-purple-100 text-purple-800',
   upload: 'bg-pink-100 text-pink-800',
   extract: 'bg-orange-100 text-orange-800',
+  submit: 'bg-teal-100 text-teal-800',
+  keypress: 'bg-cyan-100 text-cyan-800',
+  hover: 'bg-violet-100 text-violet-800',
+  drag: 'bg-lime-100 text-lime-800',
   scroll: 'bg-gray-100 text-gray-800',
   screenshot: 'bg-indigo-100 text-indigo-800',
 };
@@ -17,6 +21,9 @@ const executionMethodColors = {
   visual_only: 'bg-green-100 text-green-800',
 };
 
+// surroundingText entries are strings or { text, position } (landmarks with a recorded position)
+const getContextText = (entry) => (typeof entry === 'string' ? entry : entry?.text || '');
+
 export default function MicroActionCard({ action, onEdit, onDelete }) {
   const [showParams, setShowParams] = useState(false);
   const [showFullScreenshot, setShowFullScreenshot] = useState(false);
@@ -90,6 +97,14 @@ export default function MicroActionCard({ action, onEdit, onDelete }) {
         <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
           {action.platform}
         </span>
+        {action.owner_id && (
+          <span
+            className="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800"
+            title="Recorded by a user with their agent; only that user's jobs use it"
+          >
+            🔒 private
+          </span>
+        )}
         
         {/* Visual Data Badge */}
         {hasVisualData && (
@@ -133,7 +148,7 @@ export default function MicroActionCard({ action, onEdit, onDelete }) {
         <div className="mb-3 p-2 bg-gray-50 rounded text-xs">
           <p className="text-gray-600 font-medium mb-1">Context:</p>
           <div className="flex flex-wrap gap-1">
-            {visualData.surroundingText.slice(0, 3).map((text, idx) => (
+            {visualData.surroundingText.slice(0, 3).map(getContextText).map((text, idx) => (
               <span key={idx} className="px-2 py-0.5 bg-white rounded border border-gray-200 text-gray-700"
                     title={text}>
                 {text.length > 20 ? text.substring(0, 20) + '...' : text}
@@ -243,6 +258,11 @@ export default function MicroActionCard({ action, onEdit, onDelete }) {
                 <div>
                   <p className="font-medium text-gray-700">Backup Selector:</p>
                   <p className="text-gray-600 font-mono text-xs">{action.params.backup_selector}</p>
+                  {action.params.context_path?.length > 0 && (
+                    <p className="text-gray-500 text-xs">
+                      in {action.params.context_path.map((step) => `${step.type} ${step.selector}`).join(' › ')}
+                    </p>
+                  )}
                 </div>
               )}
             </div>
@@ -251,7 +271,7 @@ export default function MicroActionCard({ action, onEdit, onDelete }) {
               <div className="mt-4">
                 <p className="font-medium text-gray-700 mb-2">Surrounding Context:</p>
                 <div className="flex flex-wrap gap-2">
-                  {visualData.surroundingText.map((text, idx) => (
+                  {visualData.surroundingText.map(getContextText).map((text, idx) => (
                     <span key={idx} className="px-2 py-1 bg-gray-100 rounded text-xs text-gray-700">
                       {text}
                     </span>
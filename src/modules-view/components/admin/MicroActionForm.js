@@ -7,12 +7,19 @@ const actionTypes = [
   'navigate',
   'upload',
   'extract',
+  'submit',
+  'keypress',
+  'hover',
+  'drag',
   'scroll',
   'screenshot',
 ];
 
 const platforms = ['instagram', 'facebook', 'twitter', 'all'];
 
+// Puppeteer key names held down around a keypress
+const keyModifiers = ['Control', 'Alt', 'Shift', 'Meta'];
+
 export default function MicroActionForm({ action, onClose, onSave }) {
   const [formData, setFormData] = useState({
     name: '',
@@ -297,12 +304,185 @@ export default function MicroActionForm({ action, onClose, onSave }) {
                 value={params.variableName || ''}
                 onChange={(e) => updateParam('variableName', e.target.value)}
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                placeholder="postCount"
+                placeholder="permalink"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Source
+              </label>
+              <select
+                value={params.source || 'text'}
+                onChange={(e) => updateParam('source', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="text">Text (value for form fields)</option>
+                <option value="attribute">Attribute</option>
+                <option value="url">Link / image URL</option>
+                <option value="page_url">Current page URL</option>
+              </select>
+            </div>
+            {params.source === 'attribute' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Attribute *
+                </label>
+                <input
+                  type="text"
+                  value={params.attribute || ''}
+                  onChange={(e) => updateParam('attribute', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="datetime"
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Pattern (optional regex, first group is kept)
+              </label>
+              <input
+                type="text"
+                value={params.pattern || ''}
+                onChange={(e) => updateParam('pattern', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="/p/([^/]+)/"
               />
             </div>
           </div>
         );
 
+      case 'submit':
+        return (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Selector * (form or any field inside it)
+              </label>
+              <input
+                type="text"
+                value={params.selector || ''}
+                onChange={(e) => updateParam('selector', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={Boolean(params.waitForNavigation)}
+                onChange={(e) => updateParam('waitForNavigation', e.target.checked)}
+              />
+              Wait for the page to load after submitting
+            </label>
+          </div>
+        );
+
+      case 'keypress':
+        return (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Key *
+              </label>
+              <input
+                type="text"
+                value={params.key || ''}
+                onChange={(e) => updateParam('key', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="Enter"
+              />
+            </div>
+            <div className="flex flex-wrap gap-4">
+              {keyModifiers.map((modifier) => (
+                <label key={modifier} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={(params.modifiers || []).includes(modifier)}
+                    onChange={(e) => updateParam(
+                      'modifiers',
+                      e.target.checked
+                        ? [...(params.modifiers || []), modifier]
+                        : (params.modifiers || []).filter((m) => m !== modifier),
+                    )}
+                  />
+                  {modifier}
+                </label>
+              ))}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Selector (element to focus, empty for the page)
+              </label>
+              <input
+                type="text"
+                value={params.selector || ''}
+                onChange={(e) => updateParam('selector', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+        );
+
+      case 'hover':
+        return (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Selector *
+              </label>
+              <input
+                type="text"
+                value={params.selector || ''}
+                onChange={(e) => updateParam('selector', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="nav [aria-haspopup]"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Hover duration (ms)
+              </label>
+              <input
+                type="number"
+                value={params.duration || 500}
+                onChange={(e) => updateParam('duration', parseInt(e.target.value))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+        );
+
+      case 'drag':
+        return (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Selector *
+              </label>
+              <input
+                type="text"
+                value={params.selector || ''}
+                onChange={(e) => updateParam('selector', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              {['x', 'y'].map((axis) => (
+                <div key={axis}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Move {axis.toUpperCase()} (px) *
+                  </label>
+                  <input
+                    type="number"
+                    value={params.delta?.[axis] ?? 0}
+                    onChange={(e) => updateParam('delta', { x: 0, y: 0, ...params.delta, [axis]: parseInt(e.target.value) || 0 })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+
       case 'scroll':
         return (
           <div className="space-y-4">
@@ -373,9 +553,30 @@ export default function MicroActionForm({ action, onClose, onSave }) {
     if (formData.type === 'upload' && (!formData.params.selector || !formData.params.filePath)) {
       newErrors.params = 'Selector and filePath are required for upload actions';
     }
-    if (formData.type === 'extract' && (!formData.params.selector || !formData.params.variableName)) {
+    if (
+      formData.type === 'extract' &&
+      ((!formData.params.selector && formData.params.source !== 'page_url') || !formData.params.variableName)
+    ) {
       newErrors.params = 'Selector and variableName are required for extract actions';
     }
+    if (formData.type === 'extract' && formData.params.source === 'attribute' && !formData.params.attribute) {
+      newErrors.params = 'Attribute is required when extracting an attribute';
+    }
+    if (formData.type === 'submit' && !formData.params.selector) {
+      newErrors.params = 'Selector is required for submit actions';
+    }
+    if (formData.type === 'keypress' && !formData.params.key) {
+      newErrors.params = 'Key is required for keypress actions';
+    }
+    if (formData.type === 'hover' && !formData.params.selector && !formData.params.visual) {
+      newErrors.params = 'Selector is required for hover actions';
+    }
+    if (
+      formData.type === 'drag' &&
+      ((!formData.params.selector && !formData.params.visual) || (!formData.params.delta?.x && !formData.params.delta?.y))
+    ) {
+      newErrors.params = 'Selector and a distance to move are required for drag actions';
+    }
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -540,6 +741,11 @@ export default function MicroActionForm({ action, onClose, onSave }) {
                   <p className="mt-1 text-xs text-gray-500">
                     Recorded CSS selector (read-only)
                   </p>
+                  {formData.params.context_path?.length > 0 && (
+                    <p className="mt-1 text-xs text-gray-500">
+                      Relative to {formData.params.context_path.map((step) => `${step.type} ${step.selector}`).join(' › ')}
+                    </p>
+                  )}
                 </div>
               )}
 
@@ -589,6 +795,49 @@ export default function MicroActionForm({ action, onClose, onSave }) {
                 </p>
               </div>
 
+              {/* Alternative labels and text match tolerance (text-matcher.js) */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Alternative Labels
+                </label>
+                <textarea
+                  value={(formData.params.visual?.alternativeTexts || []).join('\n')}
+                  onChange={(e) => updateVisualParam('alternativeTexts', e.target.value.split('\n'))}
+                  onBlur={(e) => updateVisualParam(
+                    'alternativeTexts',
+                    e.target.value.split('\n').map((label) => label.trim()).filter(Boolean)
+                  )}
+                  rows={3}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder={'One per line, e.g. translations:\nBagikan\nCompartir'}
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Other labels of this element (translations, copy variants), also matched against aria-label, title and alt
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Text Match Tolerance
+                </label>
+                <input
+                  type="number"
+                  step="0.05"
+                  min="0"
+                  max="1"
+                  value={formData.params.visual?.textMatchThreshold ?? ''}
+                  onChange={(e) => updateVisualParam(
+                    'textMatchThreshold',
+                    e.target.value === '' ? undefined : parseFloat(e.target.value)
+                  )}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="0.3 (default)"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  0 = exact text (ignoring case), higher values accept more typos and copy changes
+                </p>
+              </div>
+
               {/* Feature 3: Position Editor */}
               {formData.params.visual?.position?.relative && (
                 <div>
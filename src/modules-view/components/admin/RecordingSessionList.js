@@ -0,0 +1,63 @@
+import { useState } from 'react';
+
+/**
+ * Completed recording sessions streamed by the recorder, to import as micro-actions without
+ * uploading a recording file
+ */
+export default function RecordingSessionList({ sessions, loading, onImport, onDelete }) {
+  const [busyId, setBusyId] = useState(null);
+
+  const run = async (session, handler) => {
+    setBusyId(session.id);
+    try {
+      await handler(session);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-600 text-center py-6">Loading recording sessions...</p>;
+  }
+
+  if (sessions.length === 0) {
+    return (
+      <p className="text-sm text-gray-600 text-center py-6">
+        No completed recording sessions. Record one with npm run record.
+      </p>
+    );
+  }
+
+  return (
+    <div className="divide-y divide-gray-200">
+      {sessions.map((session) => (
+        <div key={session.id} className="flex flex-wrap items-center justify-between gap-3 py-3">
+          <div className="min-w-0">
+            <h3 className="font-semibold text-gray-900 truncate">{session.name || session.id}</h3>
+            <p className="text-xs text-gray-500 truncate">
+              {session.platform} • {session.action_count} actions
+              {' • '}{new Date(session.completed_at || session.updated_at).toLocaleString()}
+            </p>
+            <p className="text-xs text-gray-400 truncate">{session.url}</p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => run(session, onDelete)}
+              disabled={busyId === session.id}
+              className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              Delete
+            </button>
+            <button
+              onClick={() => run(session, onImport)}
+              disabled={busyId === session.id}
+              className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Import
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,5 +1,8 @@
 import { useState, useEffect } from 'react';
 
+// surroundingText entries are strings or { text, position } (landmarks with a recorded position)
+const getContextText = (entry) => (typeof entry === 'string' ? entry : entry?.text || '');
+
 /**
  * VisualDataViewer - Component for viewing and testing visual data
  * Shows side-by-side comparison of recorded screenshot vs live preview
@@ -246,7 +249,7 @@ export default function VisualDataViewer({ action, currentPageUrl }) {
         <div className="bg-gray-50 p-4 rounded-md">
           <h4 className="text-sm font-medium text-gray-700 mb-2">Surrounding Text Context</h4>
           <div className="flex flex-wrap gap-2">
-            {visualData.surroundingText.map((text, idx) => (
+            {visualData.surroundingText.map(getContextText).map((text, idx) => (
               <span
                 key={idx}
                 className="px-3 py-1 bg-white rounded border border-gray-200 text-sm text-gray-700"
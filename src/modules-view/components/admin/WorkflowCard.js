@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { isControlStep } from '@modules-logic/utils/workflow-converter.js';
 
 const typeColors = {
   auth: 'bg-blue-100 text-blue-800',
@@ -48,6 +49,14 @@ export default function WorkflowCard({ workflow, onEdit, onDelete }) {
         >
           {workflow.platform}
         </span>
+        {workflow.owner_id && (
+          <span
+            className="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800"
+            title="Recorded by a user with their agent; only that user's jobs use it"
+          >
+            🔒 private
+          </span>
+        )}
         <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
           {stepCount} {stepCount === 1 ? 'step' : 'steps'}
         </span>
@@ -95,13 +104,27 @@ export default function WorkflowCard({ workflow, onEdit, onDelete }) {
                   <div className="flex items-start justify-between gap-2">
                     <div className="flex-1 min-w-0">
                       <div className="font-medium text-gray-900">
-                        {index + 1}. {step.micro_action?.name || 'Unknown Action'}
+                        {index + 1}. {step.micro_action?.name || step.name || (isControlStep(step) ? `${step.type} block` : 'Unknown Action')}
                       </div>
+                      {isControlStep(step) && (
+                        <div className="flex gap-1 mt-1">
+                          <span className="px-1.5 py-0.5 rounded text-xs bg-purple-100 text-purple-800">
+                            {step.type === 'if' && `if ${step.condition?.type || ''} (${step.then?.length || 0} / ${step.else?.length || 0} steps)`}
+                            {step.type === 'loop' && `loop ≤${step.max_iterations} (${step.steps?.length || 0} steps)`}
+                            {step.type === 'call_workflow' && `calls ${step.workflow_id}${step.version ? ` v${step.version}` : ''}`}
+                          </span>
+                        </div>
+                      )}
                       {step.micro_action && (
                         <div className="flex gap-1 mt-1">
                           <span className="px-1.5 py-0.5 rounded text-xs bg-blue-100 text-blue-800">
                             {step.micro_action.type}
                           </span>
+                          {step.optional && (
+                            <span className="px-1.5 py-0.5 rounded text-xs bg-gray-200 text-gray-700">
+                              Optional
+                            </span>
+                          )}
                           {step.params_override && Object.keys(step.params_override).length > 0 && (
                             <span className="px-1.5 py-0.5 rounded text-xs bg-yellow-100 text-yellow-800">
                               Override
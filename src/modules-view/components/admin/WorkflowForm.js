@@ -1,9 +1,116 @@
 import { useState, useEffect } from 'react';
 import { getJson } from '@utils/api';
+import { isControlStep, validateWorkflowSteps } from '@modules-logic/utils/workflow-converter.js';
 
 const platforms = ['instagram', 'facebook', 'twitter'];
 const workflowTypes = ['auth', 'post', 'story', 'comment', 'like'];
 
+const controlStepTemplates = {
+  if: {
+    type: 'if',
+    name: 'Dismiss dialog if shown',
+    condition: { type: 'visible', text: 'Not Now' },
+    then: [{ micro_action_id: '', params_override: {} }],
+    else: [],
+  },
+  loop: {
+    type: 'loop',
+    name: 'Repeat',
+    condition: null,
+    max_iterations: 3,
+    steps: [{ micro_action_id: '', params_override: {} }],
+  },
+  call_workflow: {
+    type: 'call_workflow',
+    name: 'Run sub-workflow',
+    workflow_id: '',
+    version: null,
+    params: { username: '{{username}}' },
+    outputs: {},
+  },
+};
+
+// Drop populated micro-action details (added when loading) so the JSON only shows what is stored
+const stripPopulated = (steps) =>
+  (steps || []).map(({ micro_action: _microAction, condition_micro_action: _conditionAction, ...step }) => {
+    if (step.type === 'if') {
+      return { ...step, then: stripPopulated(step.then), else: stripPopulated(step.else) };
+    }
+    if (step.type === 'loop') {
+      return { ...step, steps: stripPopulated(step.steps) };
+    }
+    return step;
+  });
+
+const controlStepLabels = {
+  if: 'If / Else Block',
+  loop: 'Loop Block',
+  call_workflow: 'Call Workflow',
+};
+
+/**
+ * JSON editor for an if/loop/call_workflow step; nested steps reference micro-actions by ID
+ */
+function ControlStepEditor({ step, onChange, microActions, workflows }) {
+  const toText = (value) => JSON.stringify(stripPopulated([value])[0], null, 2);
+  const [text, setText] = useState(() => toText(step));
+  const [parseError, setParseError] = useState(null);
+
+  // Follow outside changes (e.g. reordering) without reformatting while typing
+  useEffect(() => {
+    try {
+      if (JSON.stringify(JSON.parse(text)) === JSON.stringify(stripPopulated([step])[0])) {
+        return;
+      }
+    } catch (err) {
+      // Text is being edited; replace it below
+    }
+    setText(toText(step));
+    setParseError(null);
+  }, [step]);
+
+  const handleChange = (value) => {
+    setText(value);
+    try {
+      onChange(JSON.parse(value));
+      setParseError(null);
+    } catch (err) {
+      setParseError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {controlStepLabels[step.type]} (JSON)
+      </label>
+      <textarea
+        value={text}
+        onChange={(e) => handleChange(e.target.value)}
+        rows={10}
+        className={`w-full px-2 py-1 text-xs font-mono border rounded ${
+          parseError ? 'border-red-500' : 'border-gray-300'
+        }`}
+      />
+      {parseError && <p className="mt-1 text-xs text-red-600">{parseError}</p>}
+      {step.type === 'call_workflow' ? (
+        <p className="mt-1 text-xs text-gray-500">
+          params are passed to the called workflow (values may use {'{{variables}}'} of this workflow);
+          outputs copy variables back ({'{"thisWorkflowVar": "calledWorkflowVar"}'}). Set version to pin it.
+          {workflows.length > 0 && ` Workflows: ${workflows.map((w) => `${w.name} v${w.version} = ${w.id}`).join(', ')}`}
+        </p>
+      ) : (
+        <p className="mt-1 text-xs text-gray-500">
+          Conditions: {'{"type": "visible", "micro_action_id" | "selector" | "text": ...}'},{' '}
+          {'{"type": "text", "text": ...}'}, {'{"type": "variable", "name": ..., "equals": ...}'}; add
+          {' "negate": true'} to invert. Loops run while the condition holds, at most max_iterations times.
+          {microActions.length > 0 && ` Micro-action IDs: ${microActions.map((ma) => `${ma.name} = ${ma.id}`).join(', ')}`}
+        </p>
+      )}
+    </div>
+  );
+}
+
 export default function WorkflowForm({ workflow, onClose, onSave }) {
   const [formData, setFormData] = useState({
     name: '',
@@ -17,6 +124,7 @@ export default function WorkflowForm({ workflow, onClose, onSave }) {
   const [errors, setErrors] = useState({});
   const [microActions, setMicroActions] = useState([]);
   const [availableWorkflows, setAvailableWorkflows] = useState([]);
+  const [callableWorkflows, setCallableWorkflows] = useState([]);
   const [loadingMicroActions, setLoadingMicroActions] = useState(false);
 
   useEffect(() => {
@@ -38,7 +146,7 @@ export default function WorkflowForm({ workflow, onClose, onSave }) {
     loadMicroActions();
   }, [formData.platform]);
 
-  // Load available workflows for auth_workflow_id selection
+  // Load available workflows for auth_workflow_id selection and call_workflow steps
   useEffect(() => {
     loadAvailableWorkflows();
   }, []);
@@ -63,15 +171,15 @@ export default function WorkflowForm({ workflow, onClose, onSave }) {
     try {
       const params = new URLSearchParams();
       params.append('platform', formData.platform);
-      params.append('type', 'auth'); // Only show auth workflows
       params.append('page', '1');
       params.append('limit', '100');
       const data = await getJson(`/api/admin/workflows/list?${params.toString()}`);
       // Filter out current workflow if editing
-      const filtered = workflow
+      const filtered = (workflow
         ? data.workflows.filter((w) => w.id !== workflow.id)
-        : data.workflows;
-      setAvailableWorkflows(filtered || []);
+        : data.workflows) || [];
+      setCallableWorkflows(filtered);
+      setAvailableWorkflows(filtered.filter((w) => w.type === 'auth')); // Only auth workflows can be auth_workflow_id
     } catch (err) {
       console.error('Error loading workflows:', err);
     }
@@ -84,6 +192,13 @@ export default function WorkflowForm({ workflow, onClose, onSave }) {
     }));
   };
 
+  const addControlStep = (type) => {
+    setFormData((prev) => ({
+      ...prev,
+      steps: [...prev.steps, JSON.parse(JSON.stringify(controlStepTemplates[type]))],
+    }));
+  };
+
   const removeStep = (index) => {
     setFormData((prev) => ({
       ...prev,
@@ -95,7 +210,13 @@ export default function WorkflowForm({ workflow, onClose, onSave }) {
     setFormData((prev) => {
       const newSteps = [...prev.steps];
       if (field === 'micro_action_id') {
-        newSteps[index] = { ...newSteps[index], micro_action_id: value };
+        // Micro-actions marked optional while recording start as optional steps
+        const selected = microActions.find((ma) => ma.id === value);
+        newSteps[index] = {
+          ...newSteps[index],
+          micro_action_id: value,
+          ...(selected?.params?.optional ? { optional: true } : {}),
+        };
       } else if (field === 'params_override') {
         newSteps[index] = { ...newSteps[index], params_override: value };
       } else {
@@ -161,7 +282,13 @@ export default function WorkflowForm({ workflow, onClose, onSave }) {
       newErrors.steps = 'At least one step is required';
     } else {
       formData.steps.forEach((step, index) => {
-        if (!step.micro_action_id) {
+        if (isControlStep(step)) {
+          try {
+            validateWorkflowSteps([step]);
+          } catch (err) {
+            newErrors[`step_${index}`] = err.message.replace(/^Step 1:? ?/, '');
+          }
+        } else if (!step.micro_action_id) {
           newErrors[`step_${index}`] = 'Micro-action is required';
         }
       });
@@ -308,13 +435,36 @@ export default function WorkflowForm({ workflow, onClose, onSave }) {
           <label className="block text-sm font-medium text-gray-700">
             Steps * {errors.steps && <span className="text-red-600">({errors.steps})</span>}
           </label>
-          <button
-            type="button"
-            onClick={addStep}
-            className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
-          >
-            + Add Step
-          </button>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => addControlStep('if')}
+              className="px-3 py-1 text-sm bg-purple-600 text-white rounded hover:bg-purple-700"
+            >
+              + If Block
+            </button>
+            <button
+              type="button"
+              onClick={() => addControlStep('loop')}
+              className="px-3 py-1 text-sm bg-purple-600 text-white rounded hover:bg-purple-700"
+            >
+              + Loop
+            </button>
+            <button
+              type="button"
+              onClick={() => addControlStep('call_workflow')}
+              className="px-3 py-1 text-sm bg-purple-600 text-white rounded hover:bg-purple-700"
+            >
+              + Call Workflow
+            </button>
+            <button
+              type="button"
+              onClick={addStep}
+              className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+            >
+              + Add Step
+            </button>
+          </div>
         </div>
 
         {formData.steps.length === 0 && (
@@ -372,7 +522,30 @@ export default function WorkflowForm({ workflow, onClose, onSave }) {
                   </div>
                 </div>
 
+                {isControlStep(step) ? (
+                  <ControlStepEditor
+                    step={step}
+                    microActions={microActions}
+                    workflows={callableWorkflows}
+                    onChange={(value) =>
+                      setFormData((prev) => {
+                        const newSteps = [...prev.steps];
+                        newSteps[index] = value;
+                        return { ...prev, steps: newSteps };
+                      })
+                    }
+                  />
+                ) : (
                 <div className="space-y-3">
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={!!step.optional}
+                      onChange={(e) => updateStep(index, 'optional', e.target.checked)}
+                      className="rounded border-gray-300"
+                    />
+                    Optional (skip when the element is not found)
+                  </label>
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
                       Micro-Action *
@@ -486,6 +659,7 @@ export default function WorkflowForm({ workflow, onClose, onSave }) {
                     </div>
                   )}
                 </div>
+                )}
               </div>
             );
           })}
@@ -0,0 +1,100 @@
+-- Migration 017: Job Leases
+-- Purpose: Atomically claim queued jobs for a single client agent
+-- A claimed job is bound to the claiming client_id and carries a lease expiry that the
+-- agent renews while it executes the job. Expired leases are returned to the queue so a
+-- crashed agent no longer leaves jobs stuck in 'processing'.
+
+-- Add claimed_by column (client that currently holds the job)
+ALTER TABLE public.jobs
+ADD COLUMN IF NOT EXISTS claimed_by VARCHAR(100) REFERENCES public.clients(client_id) ON DELETE SET NULL;
+
+-- Add claimed_at column (when the current lease was first acquired)
+ALTER TABLE public.jobs
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;
+
+-- Add lease_expires_at column (job returns to the queue after this time unless renewed)
+ALTER TABLE public.jobs
+ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+
+-- Create indexes for query performance
+CREATE INDEX IF NOT EXISTS idx_jobs_claimed_by ON public.jobs(claimed_by);
+
+-- Create index for expired lease lookups
+CREATE INDEX IF NOT EXISTS idx_jobs_lease_expires
+    ON public.jobs(status, lease_expires_at)
+    WHERE lease_expires_at IS NOT NULL;
+
+-- Create composite index for the claim query (user + status + age)
+CREATE INDEX IF NOT EXISTS idx_jobs_user_status_created
+    ON public.jobs(user_id, status, created_at);
+
+-- Return jobs with an expired lease to the queue
+CREATE OR REPLACE FUNCTION public.requeue_expired_job_leases()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    requeued_count INTEGER;
+BEGIN
+    UPDATE public.jobs
+    SET status = 'queued',
+        claimed_by = NULL,
+        claimed_at = NULL,
+        lease_expires_at = NULL
+    WHERE status = 'processing'
+      AND lease_expires_at IS NOT NULL
+      AND lease_expires_at < NOW();
+
+    GET DIAGNOSTICS requeued_count = ROW_COUNT;
+    RETURN requeued_count;
+END;
+$$;
+
+-- Atomically claim ready jobs for a client
+-- FOR UPDATE SKIP LOCKED guarantees that two clients polling at the same time never
+-- receive the same job: rows locked by a concurrent claim are skipped, not waited on.
+CREATE OR REPLACE FUNCTION public.claim_pending_jobs(
+    p_user_id UUID,
+    p_client_id VARCHAR,
+    p_limit INTEGER DEFAULT 10,
+    p_lease_seconds INTEGER DEFAULT 120
+)
+RETURNS SETOF public.jobs
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    PERFORM public.requeue_expired_job_leases();
+
+    RETURN QUERY
+    UPDATE public.jobs AS j
+    SET status = 'processing',
+        claimed_by = p_client_id,
+        claimed_at = NOW(),
+        lease_expires_at = NOW() + make_interval(secs => p_lease_seconds)
+    WHERE j.id IN (
+        SELECT candidate.id
+        FROM public.jobs AS candidate
+        WHERE candidate.user_id = p_user_id
+          AND candidate.status = 'queued'
+          AND (candidate.scheduled_for IS NULL OR candidate.scheduled_for <= NOW())
+          AND (candidate.expires_at IS NULL OR candidate.expires_at >= NOW())
+        ORDER BY candidate.created_at ASC
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+END;
+$$;
+
+-- Grant permissions
+GRANT EXECUTE ON FUNCTION public.requeue_expired_job_leases() TO service_role;
+GRANT EXECUTE ON FUNCTION public.claim_pending_jobs(UUID, VARCHAR, INTEGER, INTEGER) TO service_role;
+
+-- Add comments
+COMMENT ON COLUMN public.jobs.claimed_by IS 'Client ID currently holding the job lease (NULL = unclaimed)';
+COMMENT ON COLUMN public.jobs.claimed_at IS 'When the current client claimed the job';
+COMMENT ON COLUMN public.jobs.lease_expires_at IS 'Lease expiry; the agent renews it while executing. Expired jobs are requeued.';
+COMMENT ON FUNCTION public.requeue_expired_job_leases IS 'Returns processing jobs whose lease expired to the queue. Called on every claim and can be called by a cron job.';
+COMMENT ON FUNCTION public.claim_pending_jobs IS 'Atomically claims up to p_limit ready jobs of a user for one client and sets their lease.';
@@ -0,0 +1,174 @@
+-- Migration 018: Job Routing by Account Affinity
+-- Purpose: Only hand a job to the client that holds the encryption key of its target accounts
+-- Migration 012 bound each account to one client (accounts.client_id). A job is routed to the
+-- client its target accounts are bound to. If that client has been offline longer than a
+-- threshold, the job goes to the job's explicit fallback client or is marked 'unroutable'.
+
+-- Add fallback_client_id column (explicit fallback when the bound client is unavailable)
+ALTER TABLE public.jobs
+ADD COLUMN IF NOT EXISTS fallback_client_id VARCHAR(100) REFERENCES public.clients(client_id) ON DELETE SET NULL;
+
+-- Create index for query performance
+CREATE INDEX IF NOT EXISTS idx_jobs_fallback_client_id ON public.jobs(fallback_client_id)
+    WHERE fallback_client_id IS NOT NULL;
+
+-- Clients that the target accounts of a job are bound to (empty = unbound, any client may run it)
+CREATE OR REPLACE FUNCTION public.job_bound_client_ids(p_target_accounts UUID[])
+RETURNS VARCHAR[]
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT COALESCE(array_agg(DISTINCT a.client_id), ARRAY[]::VARCHAR[])
+    FROM public.accounts AS a
+    WHERE a.id = ANY(COALESCE(p_target_accounts, ARRAY[]::UUID[]))
+      AND a.client_id IS NOT NULL;
+$$;
+
+-- A client is offline when its last heartbeat is missing or older than the threshold
+CREATE OR REPLACE FUNCTION public.is_client_offline(p_client_id VARCHAR, p_offline_seconds INTEGER)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT NOT EXISTS (
+        SELECT 1
+        FROM public.clients AS c
+        WHERE c.client_id = p_client_id
+          AND c.last_heartbeat IS NOT NULL
+          AND c.last_heartbeat >= NOW() - make_interval(secs => p_offline_seconds)
+    );
+$$;
+
+-- Why a job cannot be routed to any client (NULL = routable)
+CREATE OR REPLACE FUNCTION public.job_unroutable_reason(p_job public.jobs, p_offline_seconds INTEGER)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    bound VARCHAR[];
+BEGIN
+    bound := public.job_bound_client_ids(p_job.target_accounts);
+
+    IF cardinality(bound) = 0 OR p_job.fallback_client_id IS NOT NULL THEN
+        RETURN NULL;
+    END IF;
+
+    IF cardinality(bound) > 1 THEN
+        RETURN 'Target accounts are bound to different agents (' || array_to_string(bound, ', ') || ')';
+    END IF;
+
+    IF public.is_client_offline(bound[1], p_offline_seconds) THEN
+        RETURN 'Agent ' || bound[1] || ' holding the account encryption key has been offline for more than '
+            || p_offline_seconds || ' seconds';
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+-- Whether a job may be handed to a given client
+CREATE OR REPLACE FUNCTION public.job_routes_to_client(p_job public.jobs, p_client_id VARCHAR, p_offline_seconds INTEGER)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    bound VARCHAR[];
+BEGIN
+    bound := public.job_bound_client_ids(p_job.target_accounts);
+
+    -- Unbound accounts: any client of the user may run the job
+    IF cardinality(bound) = 0 THEN
+        RETURN TRUE;
+    END IF;
+
+    -- Bound to exactly this client
+    IF cardinality(bound) = 1 AND bound[1] = p_client_id THEN
+        RETURN TRUE;
+    END IF;
+
+    -- Explicit fallback: only when no single bound client can run the job
+    IF p_job.fallback_client_id = p_client_id THEN
+        RETURN cardinality(bound) > 1 OR public.is_client_offline(bound[1], p_offline_seconds);
+    END IF;
+
+    RETURN FALSE;
+END;
+$$;
+
+-- Mark ready queued jobs that no client can run as 'unroutable'
+-- p_user_id NULL processes all users (for cron jobs)
+CREATE OR REPLACE FUNCTION public.mark_unroutable_jobs(p_user_id UUID DEFAULT NULL, p_offline_seconds INTEGER DEFAULT 900)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    marked_count INTEGER;
+BEGIN
+    UPDATE public.jobs AS j
+    SET status = 'unroutable',
+        processed_at = NOW(),
+        results = jsonb_build_object(
+            'success', false,
+            'error', public.job_unroutable_reason(j, p_offline_seconds)
+        )
+    WHERE j.status = 'queued'
+      AND (p_user_id IS NULL OR j.user_id = p_user_id)
+      AND (j.scheduled_for IS NULL OR j.scheduled_for <= NOW())
+      AND public.job_unroutable_reason(j, p_offline_seconds) IS NOT NULL;
+
+    GET DIAGNOSTICS marked_count = ROW_COUNT;
+    RETURN marked_count;
+END;
+$$;
+
+-- Replace claim function from migration 017 with a routing-aware version
+DROP FUNCTION IF EXISTS public.claim_pending_jobs(UUID, VARCHAR, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION public.claim_pending_jobs(
+    p_user_id UUID,
+    p_client_id VARCHAR,
+    p_limit INTEGER DEFAULT 10,
+    p_lease_seconds INTEGER DEFAULT 120,
+    p_offline_seconds INTEGER DEFAULT 900
+)
+RETURNS SETOF public.jobs
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    PERFORM public.requeue_expired_job_leases();
+    PERFORM public.mark_unroutable_jobs(p_user_id, p_offline_seconds);
+
+    RETURN QUERY
+    UPDATE public.jobs AS j
+    SET status = 'processing',
+        claimed_by = p_client_id,
+        claimed_at = NOW(),
+        lease_expires_at = NOW() + make_interval(secs => p_lease_seconds)
+    WHERE j.id IN (
+        SELECT candidate.id
+        FROM public.jobs AS candidate
+        WHERE candidate.user_id = p_user_id
+          AND candidate.status = 'queued'
+          AND (candidate.scheduled_for IS NULL OR candidate.scheduled_for <= NOW())
+          AND (candidate.expires_at IS NULL OR candidate.expires_at >= NOW())
+          AND public.job_routes_to_client(candidate, p_client_id, p_offline_seconds)
+        ORDER BY candidate.created_at ASC
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+END;
+$$;
+
+-- Grant permissions
+GRANT EXECUTE ON FUNCTION public.mark_unroutable_jobs(UUID, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION public.claim_pending_jobs(UUID, VARCHAR, INTEGER, INTEGER, INTEGER) TO service_role;
+
+-- Add comments
+COMMENT ON COLUMN public.jobs.fallback_client_id IS 'Client allowed to run the job when the client bound to its accounts is offline (NULL = mark unroutable instead)';
+COMMENT ON FUNCTION public.job_routes_to_client IS 'True when the job may be handed to the client: accounts unbound, bound to this client, or this client is the fallback of an unavailable owner.';
+COMMENT ON FUNCTION public.mark_unroutable_jobs IS 'Marks ready queued jobs with no eligible client as unroutable. Called on every claim and can be called by a cron job.';
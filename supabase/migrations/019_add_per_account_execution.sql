@@ -0,0 +1,17 @@
+-- Migration 019: Per-Account Job Execution
+-- Purpose: Execute multi-account jobs once per target account
+-- The agent runs a job once for every account in target_accounts, each in its own browser
+-- session and with its own execution report. jobs.results holds a per-account result map and
+-- a job where only some accounts succeeded ends with status 'partial_success'.
+
+-- Add account_id column to execution_reports (account the run was executed for)
+ALTER TABLE public.execution_reports
+ADD COLUMN IF NOT EXISTS account_id UUID REFERENCES public.accounts(id) ON DELETE SET NULL;
+
+-- Create indexes for query performance
+CREATE INDEX IF NOT EXISTS idx_execution_reports_account_id ON public.execution_reports(account_id);
+CREATE INDEX IF NOT EXISTS idx_execution_reports_job_account ON public.execution_reports(job_id, account_id);
+
+-- Add comments
+COMMENT ON COLUMN public.execution_reports.account_id IS 'Target account of this run (NULL = job without account or legacy single-run report)';
+COMMENT ON COLUMN public.jobs.results IS 'Job results. Multi-account jobs: { success, summary, accounts: { <account_id>: { success, error, executionReportId, ... } } }';
@@ -0,0 +1,25 @@
+-- Migration 020: Recurring Post Series
+-- Purpose: Materialize recurring posts from jobs.recurrence_rule / next_run_at (migration 013)
+-- A series is a jobs row with recurring = TRUE and status 'recurring' (active), 'paused' or
+-- 'ended'. It is never claimed by an agent. When next_run_at comes due, the server creates a
+-- queued child job (parent_job_id = series id) and advances next_run_at to the next occurrence.
+-- recurrence_rule holds an RFC 5545 rule: "DTSTART;TZID=Europe/Berlin:20261019T090000\nRRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR"
+
+-- Add parent_job_id column (series a materialized job belongs to)
+ALTER TABLE public.jobs
+ADD COLUMN IF NOT EXISTS parent_job_id UUID REFERENCES public.jobs(id) ON DELETE SET NULL;
+
+-- Create index for query performance
+CREATE INDEX IF NOT EXISTS idx_jobs_parent_job_id ON public.jobs(parent_job_id)
+    WHERE parent_job_id IS NOT NULL;
+
+-- Create index for due series lookups
+CREATE INDEX IF NOT EXISTS idx_jobs_recurring_due
+    ON public.jobs(status, next_run_at)
+    WHERE recurring = TRUE;
+
+-- Add comments
+COMMENT ON COLUMN public.jobs.parent_job_id IS 'Recurring series (jobs.id) this job was materialized from (NULL = one-off job)';
+COMMENT ON COLUMN public.jobs.recurrence_rule IS 'RFC 5545 DTSTART + RRULE (e.g. "DTSTART;TZID=Europe/Berlin:20261019T090000\nRRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR")';
+COMMENT ON COLUMN public.jobs.next_run_at IS 'Next occurrence of an active recurring series (NULL = paused or ended)';
+COMMENT ON COLUMN public.jobs.last_run_at IS 'Occurrence of the most recently materialized child job';
@@ -0,0 +1,13 @@
+-- Migration 021: Job Attempts and Automatic Retry
+-- Purpose: Record every execution attempt of a job and retry failed jobs automatically
+-- When an agent reports a job as failed, the server decides from the reported error category
+-- whether the failure is retryable (timeouts: yes, auth failures: no). Retryable jobs with
+-- retry_count < max_retries are requeued with exponential backoff (scheduled_for = next try).
+
+-- Add attempts column (one entry per finished attempt, oldest first)
+ALTER TABLE public.jobs
+ADD COLUMN IF NOT EXISTS attempts JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Add comments
+COMMENT ON COLUMN public.jobs.attempts IS 'Attempt history: [{ attempt, status, error, errorType, retryable, clientId, startedAt, finishedAt, nextRetryAt, reason }]';
+COMMENT ON COLUMN public.jobs.retry_count IS 'Number of automatic retries already scheduled for this job';
@@ -0,0 +1,52 @@
+-- Migration 022: Dead-Letter Queue
+-- Purpose: Move jobs that can no longer run into an explicit 'dead_letter' status
+-- Queued jobs past expires_at used to stay 'queued' forever (claim_pending_jobs skips them) and
+-- failed jobs that exhausted their automatic retries (migration 021) stayed 'failed'. The sweeper
+-- below moves both into 'dead_letter' with a reason, where admins can requeue or discard them.
+
+-- Add dead-letter columns
+ALTER TABLE public.jobs
+ADD COLUMN IF NOT EXISTS dead_letter_reason VARCHAR(50),
+ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMPTZ;
+
+-- Create index for the admin dead-letter list
+CREATE INDEX IF NOT EXISTS idx_jobs_dead_letter
+    ON public.jobs(dead_lettered_at DESC)
+    WHERE status = 'dead_letter';
+
+-- Create index for the expiry sweep
+CREATE INDEX IF NOT EXISTS idx_jobs_queued_expires_at
+    ON public.jobs(expires_at)
+    WHERE status = 'queued' AND expires_at IS NOT NULL;
+
+-- Move expired and exhausted jobs to the dead-letter queue
+-- p_user_id NULL processes all users (for cron jobs)
+-- Returns the moved jobs so the caller can notify their owners
+CREATE OR REPLACE FUNCTION public.sweep_dead_letter_jobs(p_user_id UUID DEFAULT NULL)
+RETURNS TABLE (job_id UUID, job_user_id UUID, reason VARCHAR)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE public.jobs AS j
+    SET status = 'dead_letter',
+        dead_letter_reason = CASE WHEN j.status = 'queued' THEN 'expired' ELSE 'retries_exhausted' END,
+        dead_lettered_at = NOW(),
+        lease_expires_at = NULL
+    WHERE (p_user_id IS NULL OR j.user_id = p_user_id)
+      AND (
+        (j.status = 'queued' AND j.expires_at IS NOT NULL AND j.expires_at < NOW())
+        OR (j.status = 'failed' AND COALESCE(j.retry_count, 0) >= COALESCE(j.max_retries, 0) AND COALESCE(j.max_retries, 0) > 0)
+      )
+    RETURNING j.id, j.user_id, j.dead_letter_reason;
+END;
+$$;
+
+-- Grant permissions
+GRANT EXECUTE ON FUNCTION public.sweep_dead_letter_jobs(UUID) TO service_role;
+
+-- Add comments
+COMMENT ON COLUMN public.jobs.dead_letter_reason IS 'Why the job was moved to the dead-letter queue: expired, retries_exhausted';
+COMMENT ON COLUMN public.jobs.dead_lettered_at IS 'When the job was moved to the dead-letter queue';
+COMMENT ON FUNCTION public.sweep_dead_letter_jobs(UUID) IS 'Move expired queued jobs and failed jobs without retries left to status dead_letter';
@@ -0,0 +1,29 @@
+-- Migration 023: Client Push Channel
+-- Purpose: Publish job, client and preference changes through Supabase Realtime
+-- GET /api/client/stream subscribes to these changes and pushes them to connected agents as
+-- Server-Sent Events (job-available, cancel-job, config-changed, rotate-token), so agents no
+-- longer have to poll every few seconds. Polling remains the fallback when the stream drops.
+
+-- Add tables to the realtime publication (skipped when already published or when the
+-- publication does not exist, e.g. on a plain PostgreSQL instance)
+DO $$
+DECLARE
+    table_name TEXT;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        RAISE NOTICE 'Publication supabase_realtime not found; client push channel disabled';
+        RETURN;
+    END IF;
+
+    FOREACH table_name IN ARRAY ARRAY['jobs', 'clients', 'user_preferences'] LOOP
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_publication_tables
+            WHERE pubname = 'supabase_realtime'
+              AND schemaname = 'public'
+              AND tablename = table_name
+        ) THEN
+            EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', table_name);
+        END IF;
+    END LOOP;
+END;
+$$;
@@ -0,0 +1,20 @@
+-- Migration 024: Execution Report Status
+-- Purpose: Distinguish cancelled runs from completed and failed ones
+-- When a job is cancelled while an agent executes it, the agent stops between actions and
+-- submits a report with status 'cancelled' that contains the actions completed so far.
+
+-- Add status column
+ALTER TABLE public.execution_reports
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'completed'
+    CHECK (status IN ('completed', 'failed', 'cancelled'));
+
+-- Backfill runs with failed actions
+UPDATE public.execution_reports
+SET status = 'failed'
+WHERE failed_actions > 0 AND status = 'completed';
+
+-- Create index for filtering by status
+CREATE INDEX IF NOT EXISTS idx_execution_reports_status ON public.execution_reports(status);
+
+-- Add comments
+COMMENT ON COLUMN public.execution_reports.status IS 'Run outcome: completed, failed, or cancelled (stopped by a remote job cancellation)';
@@ -0,0 +1,46 @@
+-- Migration 025: Similarity Thresholds
+-- Purpose: Store per-platform screenshot similarity thresholds calibrated from execution reports
+-- Agents compare candidate element screenshots with the recorded screenshot. The score needed
+-- for a match depends on the platform's UI (themes, anti-aliasing, dynamic content), so admins
+-- calibrate it from the scores of past runs. Workflows sent to agents carry the threshold.
+
+-- Create similarity_thresholds table
+CREATE TABLE IF NOT EXISTS public.similarity_thresholds (
+    platform VARCHAR(50) PRIMARY KEY,
+
+    -- Similarity method the threshold applies to (see src/modules-client/image-similarity.js)
+    method VARCHAR(20) NOT NULL DEFAULT 'combined',
+    threshold NUMERIC(4, 3) NOT NULL CHECK (threshold > 0 AND threshold <= 1),
+
+    -- Calibration data
+    positive_samples INTEGER NOT NULL DEFAULT 0,
+    negative_samples INTEGER NOT NULL DEFAULT 0,
+    details JSONB DEFAULT '{}'::jsonb,
+
+    calibrated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Grant permissions
+GRANT SELECT ON TABLE public.similarity_thresholds TO authenticated;
+GRANT ALL ON TABLE public.similarity_thresholds TO service_role;
+
+-- Enable Row Level Security
+ALTER TABLE public.similarity_thresholds ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Authenticated users can read thresholds (no user data)
+DROP POLICY IF EXISTS "Authenticated users can view similarity thresholds" ON public.similarity_thresholds;
+CREATE POLICY "Authenticated users can view similarity thresholds"
+    ON public.similarity_thresholds
+    FOR SELECT
+    TO authenticated
+    USING (true);
+
+-- Create index for calibration queries over execution reports
+CREATE INDEX IF NOT EXISTS idx_execution_reports_platform_created
+    ON public.execution_reports(platform, created_at DESC);
+
+-- Add comments
+COMMENT ON TABLE public.similarity_thresholds IS 'Per-platform screenshot similarity thresholds calibrated from execution reports';
+COMMENT ON COLUMN public.similarity_thresholds.threshold IS 'Minimum similarity score (0-1) for a candidate screenshot to match the recorded one';
+COMMENT ON COLUMN public.similarity_thresholds.positive_samples IS 'Scores of chosen candidates in completed runs used for calibration';
+COMMENT ON COLUMN public.similarity_thresholds.negative_samples IS 'Scores of other candidates in completed runs used for calibration';
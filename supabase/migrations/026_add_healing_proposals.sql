@@ -0,0 +1,61 @@
+-- Migration 026: Healing Proposals
+-- Purpose: Keep micro-action visual data fresh
+-- When an agent finds an element only after relaxing thresholds, at the recorded position or
+-- with low confidence, it captures fresh visual data of the element it acted on and submits
+-- it as a healing proposal. Admins accept (the visual data and selector replace the
+-- micro-action's) or reject proposals; above HEALING_AUTO_ACCEPT_CONFIDENCE they are accepted
+-- automatically. A newer proposal for the same micro-action supersedes a pending one.
+
+-- Create micro_action_healing_proposals table
+CREATE TABLE IF NOT EXISTS public.micro_action_healing_proposals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    micro_action_id UUID NOT NULL REFERENCES public.micro_actions(id) ON DELETE CASCADE,
+
+    -- Run that produced the proposal
+    job_id UUID REFERENCES public.jobs(id) ON DELETE SET NULL,
+    execution_report_id UUID REFERENCES public.execution_reports(id) ON DELETE SET NULL,
+    client_id VARCHAR(100) REFERENCES public.clients(client_id) ON DELETE SET NULL,
+    platform VARCHAR(50),
+
+    -- How the element was found (see getHealingReason in src/modules-client/enhanced-visual-executor.js)
+    reason VARCHAR(30) NOT NULL
+        CHECK (reason IN ('relaxed_threshold', 'position_fallback', 'low_confidence')),
+    method VARCHAR(20) NOT NULL,
+    confidence NUMERIC(4, 3),
+    retries INTEGER NOT NULL DEFAULT 0,
+
+    -- Visual data and selector of the micro-action when the proposal was made, and the proposed ones
+    before_visual JSONB,
+    before_selector TEXT,
+    visual JSONB NOT NULL,
+    backup_selector TEXT,
+
+    -- Review
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'rejected', 'superseded')),
+    auto_accepted BOOLEAN NOT NULL DEFAULT FALSE,
+    reviewed_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Grant permissions (agents submit and admins review through the API)
+GRANT ALL ON TABLE public.micro_action_healing_proposals TO service_role;
+
+-- Enable Row Level Security (no policies: only the service role has access)
+ALTER TABLE public.micro_action_healing_proposals ENABLE ROW LEVEL SECURITY;
+
+-- Create indexes for the admin list and for superseding pending proposals
+CREATE INDEX IF NOT EXISTS idx_healing_proposals_status_created
+    ON public.micro_action_healing_proposals(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_healing_proposals_pending_micro_action
+    ON public.micro_action_healing_proposals(micro_action_id)
+    WHERE status = 'pending';
+
+-- Add comments
+COMMENT ON TABLE public.micro_action_healing_proposals IS 'Fresh visual data captured by agents for micro-actions that were only found with low confidence';
+COMMENT ON COLUMN public.micro_action_healing_proposals.reason IS 'relaxed_threshold (found on a retry), position_fallback (clicked at the recorded position) or low_confidence (match scored below the agent''s healing confidence)';
+COMMENT ON COLUMN public.micro_action_healing_proposals.confidence IS 'Match confidence (0-1) of the method that found the element, NULL when the method does not score matches';
+COMMENT ON COLUMN public.micro_action_healing_proposals.status IS 'pending, accepted, rejected, or superseded by a newer proposal for the same micro-action';
+COMMENT ON COLUMN public.micro_action_healing_proposals.auto_accepted IS 'Accepted automatically because confidence reached HEALING_AUTO_ACCEPT_CONFIDENCE';
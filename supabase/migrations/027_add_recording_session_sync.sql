@@ -0,0 +1,41 @@
+-- Migration 027: Server-backed Recording Sessions
+-- Purpose: Stream recordings into recording_sessions (migration 002) instead of local files only
+-- A session is created through the admin API when recording starts. ActionRecorder sends new and
+-- changed actions (screenshots replaced by their uploaded URLs) every few seconds, so a crashed
+-- recording can resume from the last synced action. Completed sessions are imported from the
+-- micro-actions admin page.
+
+-- Add session name, sync progress and last update
+ALTER TABLE public.recording_sessions
+    ADD COLUMN IF NOT EXISTS name VARCHAR(200),
+    ADD COLUMN IF NOT EXISTS action_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+UPDATE public.recording_sessions
+SET action_count = jsonb_array_length(recorded_actions)
+WHERE recorded_actions IS NOT NULL AND jsonb_typeof(recorded_actions) = 'array';
+
+-- Restrict status to the values documented in migration 002
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'recording_sessions_status_check'
+    ) THEN
+        ALTER TABLE public.recording_sessions
+            ADD CONSTRAINT recording_sessions_status_check
+            CHECK (status IN ('recording', 'completed', 'cancelled'));
+    END IF;
+END $$;
+
+-- Grant permissions (the recorder and the admin page go through the API)
+GRANT ALL ON TABLE public.recording_sessions TO service_role;
+
+-- Create index for the admin list (completed sessions to import, interrupted ones to resume)
+CREATE INDEX IF NOT EXISTS idx_recording_sessions_status_updated
+    ON public.recording_sessions(status, updated_at DESC);
+
+-- Add comments
+COMMENT ON COLUMN public.recording_sessions.name IS 'Session name entered when recording started';
+COMMENT ON COLUMN public.recording_sessions.action_count IS 'Number of recorded actions synced so far (length of recorded_actions)';
+COMMENT ON COLUMN public.recording_sessions.updated_at IS 'Last time the recorder synced actions; a stale recording session was interrupted';
@@ -0,0 +1,110 @@
+-- Migration 028: Private Workflows recorded by Client Agents
+-- Purpose: Let customers record their own micro-actions with the installed agent
+-- A 'record' job (or an abcdtools://record deep link) makes the agent open a browser, record what
+-- the user does and upload the micro-actions and a workflow owned by the user. Owned workflows
+-- and micro-actions are private: only the owner's jobs use them, in place of the shared ones
+-- (owner_id NULL) of the same platform and type.
+
+-- Add owner_id columns (NULL = shared workflow maintained by admins)
+ALTER TABLE public.workflows
+    ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES public.users(id) ON DELETE CASCADE;
+
+ALTER TABLE public.micro_actions
+    ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES public.users(id) ON DELETE CASCADE;
+
+-- Create indexes for the workflow lookup of a user's jobs
+CREATE INDEX IF NOT EXISTS idx_workflows_owner_platform_type
+    ON public.workflows(owner_id, platform, type)
+    WHERE owner_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_micro_actions_owner_id
+    ON public.micro_actions(owner_id)
+    WHERE owner_id IS NOT NULL;
+
+-- Route record jobs to the agent the user chose (content.client_id); the recording needs the
+-- user at that machine. Other jobs are routed as in migration 018.
+CREATE OR REPLACE FUNCTION public.job_routes_to_client(p_job public.jobs, p_client_id VARCHAR, p_offline_seconds INTEGER)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    bound VARCHAR[];
+BEGIN
+    IF p_job.job_type = 'record' AND p_job.content->>'client_id' IS NOT NULL THEN
+        RETURN p_job.content->>'client_id' = p_client_id;
+    END IF;
+
+    bound := public.job_bound_client_ids(p_job.target_accounts);
+
+    -- Unbound accounts: any client of the user may run the job
+    IF cardinality(bound) = 0 THEN
+        RETURN TRUE;
+    END IF;
+
+    -- Bound to exactly this client
+    IF cardinality(bound) = 1 AND bound[1] = p_client_id THEN
+        RETURN TRUE;
+    END IF;
+
+    -- Explicit fallback: only when no single bound client can run the job
+    IF p_job.fallback_client_id = p_client_id THEN
+        RETURN cardinality(bound) > 1 OR public.is_client_offline(bound[1], p_offline_seconds);
+    END IF;
+
+    RETURN FALSE;
+END;
+$$;
+
+-- Private rows are visible to their owner only (migration 004 let every authenticated user
+-- read all workflows and micro_actions). Policies are permissive and OR-ed, so the FOR ALL
+-- workflows policy and the premium micro_actions policies are restricted the same way.
+DROP POLICY IF EXISTS "Users can view all micro_actions" ON public.micro_actions;
+CREATE POLICY "Users can view all micro_actions"
+ON public.micro_actions
+FOR SELECT
+TO authenticated
+USING (owner_id IS NULL OR owner_id = auth.uid());
+
+DROP POLICY IF EXISTS "Premium users can update micro_actions" ON public.micro_actions;
+CREATE POLICY "Premium users can update micro_actions"
+ON public.micro_actions
+FOR UPDATE
+TO authenticated
+USING (
+    auth.uid() IN (SELECT id FROM public.users WHERE tier = 'premium')
+    AND (owner_id IS NULL OR owner_id = auth.uid())
+)
+WITH CHECK (
+    auth.uid() IN (SELECT id FROM public.users WHERE tier = 'premium')
+    AND (owner_id IS NULL OR owner_id = auth.uid())
+);
+
+DROP POLICY IF EXISTS "Premium users can delete micro_actions" ON public.micro_actions;
+CREATE POLICY "Premium users can delete micro_actions"
+ON public.micro_actions
+FOR DELETE
+TO authenticated
+USING (
+    auth.uid() IN (SELECT id FROM public.users WHERE tier = 'premium')
+    AND (owner_id IS NULL OR owner_id = auth.uid())
+);
+
+DROP POLICY IF EXISTS "Users can view all workflows" ON public.workflows;
+CREATE POLICY "Users can view all workflows"
+ON public.workflows
+FOR SELECT
+TO authenticated
+USING (owner_id IS NULL OR owner_id = auth.uid());
+
+DROP POLICY IF EXISTS "Authenticated users can manage workflows" ON public.workflows;
+CREATE POLICY "Authenticated users can manage workflows"
+ON public.workflows
+FOR ALL
+TO authenticated
+USING (owner_id IS NULL OR owner_id = auth.uid())
+WITH CHECK (owner_id IS NULL OR owner_id = auth.uid());
+
+-- Add comments
+COMMENT ON COLUMN public.workflows.owner_id IS 'User who recorded the workflow with their agent (private, preferred for their jobs); NULL = shared';
+COMMENT ON COLUMN public.micro_actions.owner_id IS 'User who recorded the micro-action with their agent (private); NULL = shared';
+COMMENT ON FUNCTION public.job_routes_to_client IS 'True when the job may be handed to the client: record job for this client, accounts unbound, bound to this client, or this client is the fallback of an unavailable owner.';
@@ -0,0 +1,12 @@
+-- Migration 029: Scheduled API Token Rotation
+-- Purpose: Tell server-scheduled token rotations apart from tokens regenerated by the user
+-- The heartbeat rotates a token shortly before it expires and the push channel hands the new
+-- token to the agent (rotate-token). A token regenerated by the user revokes the old one: the
+-- push channel closes and the agent has to be registered again with the new token.
+
+ALTER TABLE public.clients
+    ADD COLUMN IF NOT EXISTS token_rotation TEXT
+    CHECK (token_rotation IN ('scheduled', 'manual'));
+
+COMMENT ON COLUMN public.clients.token_rotation IS
+    'How the current api_token was issued: scheduled (rotated by the heartbeat), manual (regenerated by the user), NULL (registration)';
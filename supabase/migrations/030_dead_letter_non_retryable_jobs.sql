@@ -0,0 +1,41 @@
+-- Migration 030: Dead-Letter Failed Jobs That Will Not Be Retried
+-- Purpose: sweep_dead_letter_jobs (migration 022) only moved failed jobs whose retry_count reached
+-- a max_retries above 0. Jobs with max_retries = 0 and jobs whose failure is not retryable
+-- (auth_failed, recording_failed, or expiring before the next retry) stayed 'failed' forever.
+-- The automatic retry policy (services/job-retry.js) records its decision in the last entry of
+-- jobs.attempts (retryable: false); every failed job with that entry is now dead-lettered too.
+
+CREATE OR REPLACE FUNCTION public.sweep_dead_letter_jobs(p_user_id UUID DEFAULT NULL)
+RETURNS TABLE (job_id UUID, job_user_id UUID, reason VARCHAR)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE public.jobs AS j
+    SET status = 'dead_letter',
+        dead_letter_reason = CASE
+            WHEN j.status = 'queued' THEN 'expired'
+            WHEN COALESCE(j.max_retries, 0) > 0 AND COALESCE(j.retry_count, 0) >= j.max_retries THEN 'retries_exhausted'
+            ELSE 'not_retryable'
+        END,
+        dead_lettered_at = NOW(),
+        lease_expires_at = NULL
+    WHERE (p_user_id IS NULL OR j.user_id = p_user_id)
+      AND (
+        (j.status = 'queued' AND j.expires_at IS NOT NULL AND j.expires_at < NOW())
+        OR (
+          j.status = 'failed'
+          AND (
+            COALESCE(j.retry_count, 0) >= COALESCE(j.max_retries, 0)
+            OR (j.attempts -> -1 ->> 'retryable') = 'false'
+          )
+        )
+      )
+    RETURNING j.id, j.user_id, j.dead_letter_reason;
+END;
+$$;
+
+-- Update comments
+COMMENT ON COLUMN public.jobs.dead_letter_reason IS 'Why the job was moved to the dead-letter queue: expired, retries_exhausted, not_retryable';
+COMMENT ON FUNCTION public.sweep_dead_letter_jobs(UUID) IS 'Move expired queued jobs and failed jobs that will not be retried to status dead_letter';
@@ -0,0 +1,15 @@
+-- Migration 031: Previous API Token After Rotation
+-- Purpose: Keep the token replaced by a scheduled rotation (migration 029) valid for a short
+-- grace period. Requests the agent sent before it switched tokens (lease renewals, job updates,
+-- logs) still pass, and an agent that missed the heartbeat response with the new token gets it
+-- again from the next heartbeat instead of being locked out.
+-- A token regenerated by the user revokes the previous one at once.
+
+ALTER TABLE public.clients
+    ADD COLUMN IF NOT EXISTS previous_api_token TEXT,
+    ADD COLUMN IF NOT EXISTS previous_api_token_expires_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.clients.previous_api_token IS
+    'api_token replaced by the last scheduled rotation, accepted until previous_api_token_expires_at';
+COMMENT ON COLUMN public.clients.previous_api_token_expires_at IS
+    'End of the grace period of previous_api_token (NULL: no previous token accepted)';
@@ -0,0 +1,45 @@
+-- Migration 032: Dead-Letter Sweep Returns the Job Type
+-- Purpose: sweep_dead_letter_jobs (migration 030) dead-letters every job type, but its result
+-- only carried the job and owner, so every notification was worded as a post job. The sweep now
+-- also returns job_type; notifications are worded per type (services/dead-letter.js) and record
+-- jobs, which cannot be requeued, are no longer linked as post jobs.
+-- The return type changes, so the function is dropped and created again.
+
+DROP FUNCTION IF EXISTS public.sweep_dead_letter_jobs(UUID);
+
+CREATE FUNCTION public.sweep_dead_letter_jobs(p_user_id UUID DEFAULT NULL)
+RETURNS TABLE (job_id UUID, job_user_id UUID, reason VARCHAR, job_type VARCHAR)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE public.jobs AS j
+    SET status = 'dead_letter',
+        dead_letter_reason = CASE
+            WHEN j.status = 'queued' THEN 'expired'
+            WHEN COALESCE(j.max_retries, 0) > 0 AND COALESCE(j.retry_count, 0) >= j.max_retries THEN 'retries_exhausted'
+            ELSE 'not_retryable'
+        END,
+        dead_lettered_at = NOW(),
+        lease_expires_at = NULL
+    WHERE (p_user_id IS NULL OR j.user_id = p_user_id)
+      AND (
+        (j.status = 'queued' AND j.expires_at IS NOT NULL AND j.expires_at < NOW())
+        OR (
+          j.status = 'failed'
+          AND (
+            COALESCE(j.retry_count, 0) >= COALESCE(j.max_retries, 0)
+            OR (j.attempts -> -1 ->> 'retryable') = 'false'
+          )
+        )
+      )
+    RETURNING j.id, j.user_id, j.dead_letter_reason, j.job_type;
+END;
+$$;
+
+-- Grant execute permission to service role
+GRANT EXECUTE ON FUNCTION public.sweep_dead_letter_jobs(UUID) TO service_role;
+
+-- Add comments
+COMMENT ON FUNCTION public.sweep_dead_letter_jobs(UUID) IS 'Move expired queued jobs and failed jobs that will not be retried to status dead_letter, returning their job type';
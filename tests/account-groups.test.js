@@ -0,0 +1,55 @@
+/**
+ * Account Groups Test Suite
+ *
+ * Tests the split of a post's target accounts into one job per agent the accounts are bound to
+ * Run with: node tests/account-groups.test.js
+ */
+
+import { groupAccountsByClient } from '../src/modules-logic/utils/account-groups.js';
+import { runSuite, assertEqual } from './helpers/harness.js';
+
+/**
+ * TEST 1: Accounts on two agents become two jobs
+ */
+function testTwoAgents() {
+  assertEqual(
+    groupAccountsByClient([
+      { id: 'ig-1', client_id: 'laptop' },
+      { id: 'fb-1', client_id: 'desktop' },
+      { id: 'ig-2', client_id: 'laptop' },
+    ]),
+    [['ig-1', 'ig-2'], ['fb-1']],
+    'One group per agent, in order of first appearance'
+  );
+  assertEqual(
+    groupAccountsByClient([{ id: 'ig-1', client_id: 'laptop' }, { id: 'ig-2', client_id: 'laptop' }]),
+    [['ig-1', 'ig-2']],
+    'Accounts on one agent stay one job'
+  );
+}
+
+/**
+ * TEST 2: Unbound accounts run on any agent
+ */
+function testUnboundAccounts() {
+  assertEqual(
+    groupAccountsByClient([
+      { id: 'ig-1', client_id: null },
+      { id: 'fb-1', client_id: 'desktop' },
+      { id: 'ig-2', client_id: 'laptop' },
+    ]),
+    [['fb-1', 'ig-1'], ['ig-2']],
+    'Unbound accounts join the first bound group'
+  );
+  assertEqual(
+    groupAccountsByClient([{ id: 'ig-1', client_id: null }, { id: 'ig-2' }]),
+    [['ig-1', 'ig-2']],
+    'Only unbound accounts stay one job'
+  );
+  assertEqual(groupAccountsByClient([]), [], 'No accounts');
+}
+
+runSuite('ACCOUNT GROUPS TEST SUITE', [
+  ['Accounts on two agents', testTwoAgents],
+  ['Unbound accounts', testUnboundAccounts],
+]);
@@ -0,0 +1,138 @@
+/**
+ * Agent Recordings Test Suite
+ *
+ * Tests how recordings made with the client agent (record jobs and abcdtools://record deep
+ * links) are requested, when the agent ends them and how they become micro-action rows
+ * Run with: node tests/agent-recordings.test.js
+ */
+
+import { EventEmitter } from 'events';
+import { ActionRecorder } from '../src/modules-recorder/index.mjs';
+import { parseRecordingDeepLink, waitForRecordingEnd } from '../src/modules-client/recording.js';
+import {
+  buildRecordingDeepLink,
+  normalizeRecordingRequest,
+  toMicroActionRows,
+  MAX_RECORDED_MICRO_ACTIONS,
+} from '../src/modules-logic/utils/agent-recordings.js';
+import { isRetryableErrorType } from '../src/modules-logic/services/job-retry.js';
+import { runSuite, assert, assertEqual, assertThrows } from './helpers/harness.js';
+
+// Recorder with a browser and page that emit like puppeteer's
+function createOpenRecorder() {
+  return { browser: new EventEmitter(), page: new EventEmitter() };
+}
+
+/**
+ * TEST 1: Requests need a known platform and workflow type; URL and name have defaults
+ */
+function testNormalizeRequest() {
+  assertEqual(
+    normalizeRecordingRequest({ platform: ' Instagram ' }),
+    { platform: 'instagram', url: 'https://www.instagram.com/', name: 'My instagram post workflow', workflow_type: 'post' },
+    'Defaults filled in'
+  );
+  assertEqual(
+    normalizeRecordingRequest({ platform: 'twitter', workflow_type: 'auth', url: 'https://x.com/login', name: ' Login ' }).name,
+    'Login',
+    'Name trimmed'
+  );
+  assertThrows(() => normalizeRecordingRequest({ platform: 'myspace' }), /platform/, 'Unknown platform');
+  assertThrows(() => normalizeRecordingRequest({ platform: 'facebook', workflow_type: 'dance' }), /workflow_type/, 'Unknown type');
+  assertThrows(() => normalizeRecordingRequest({ platform: 'facebook', url: 'facebook.com' }), /http/, 'URL must be http(s)');
+}
+
+/**
+ * TEST 2: The deep link returned by the API is read back by the agent
+ */
+function testDeepLink() {
+  const request = normalizeRecordingRequest({ platform: 'facebook', workflow_type: 'comment', url: 'https://www.facebook.com/?sk=h&x=1', name: 'Reply & like' });
+  const link = new URL(buildRecordingDeepLink(request));
+
+  assertEqual(link.protocol, 'abcdtools:', 'Agent protocol');
+  assertEqual(link.hostname, 'record', 'Record action');
+  assertEqual(parseRecordingDeepLink(Object.fromEntries(link.searchParams)), request, 'Same request on the agent');
+
+  assertEqual(
+    parseRecordingDeepLink({ platform: 'Instagram' }),
+    { platform: 'instagram', url: 'https://www.instagram.com/', name: null, workflow_type: 'post' },
+    'Hand-written link without URL'
+  );
+  assertThrows(() => parseRecordingDeepLink({}), /platform/, 'Platform required');
+}
+
+/**
+ * TEST 3: Converted micro-actions keep their recorded data in params
+ */
+function testMicroActionRows() {
+  const rows = toMicroActionRows([
+    { name: 'Navigate to https://x.com/', type: 'navigate', params: { url: 'https://x.com/', waitUntil: 'networkidle2' } },
+    { name: 'Click "Post"', type: 'click', visual: { text: 'Post' }, backup_selector: '#post', execution_method: 'visual_first' },
+    { type: 'type', visual: { text: '' }, text: '{{caption}}', context_path: [{ type: 'frame', selector: 'iframe' }] },
+  ], 'twitter');
+
+  assertEqual(rows[0].params, { url: 'https://x.com/', waitUntil: 'networkidle2' }, 'Params kept');
+  assertEqual(rows[1], {
+    name: 'Click "Post"',
+    type: 'click',
+    description: null,
+    platform: 'twitter',
+    params: { visual: { text: 'Post' }, backup_selector: '#post', execution_method: 'visual_first' },
+  }, 'Recorded fields moved into params');
+  assertEqual(rows[2].name, 'Step 3: type', 'Unnamed micro-action named after its step');
+  assertEqual(rows[2].params.context_path.length, 1, 'Context path kept');
+
+  assertThrows(() => toMicroActionRows([], 'twitter'), /non-empty/, 'Empty recording');
+  assertThrows(() => toMicroActionRows([{ name: 'x' }], 'twitter'), /type/, 'Type required');
+  const tooMany = Array.from({ length: MAX_RECORDED_MICRO_ACTIONS + 1 }, () => ({ type: 'wait', params: {} }));
+  assertThrows(() => toMicroActionRows(tooMany, 'twitter'), /Too many/, 'Recording size limited');
+}
+
+/**
+ * TEST 4: A recording ends when the browser is closed, it runs too long or the job is cancelled
+ */
+async function testRecordingEnd() {
+  const closed = createOpenRecorder();
+  const closedEnd = waitForRecordingEnd(closed, { maxDurationMs: 5000 });
+  closed.browser.emit('disconnected');
+  assertEqual(await closedEnd, 'closed', 'Browser closed');
+  assertEqual(closed.page.listenerCount('close'), 0, 'Listeners removed');
+
+  const tab = createOpenRecorder();
+  const tabEnd = waitForRecordingEnd(tab, { maxDurationMs: 5000 });
+  tab.page.emit('close');
+  assertEqual(await tabEnd, 'closed', 'Recorded tab closed');
+
+  assertEqual(await waitForRecordingEnd(createOpenRecorder(), { maxDurationMs: 10 }), 'timeout', 'Too long');
+
+  const controller = new AbortController();
+  const cancelled = waitForRecordingEnd(createOpenRecorder(), { signal: controller.signal, maxDurationMs: 5000 });
+  controller.abort();
+  assertEqual(await cancelled, 'cancelled', 'Job cancelled');
+  assertEqual(await waitForRecordingEnd(createOpenRecorder(), { signal: controller.signal }), 'cancelled', 'Cancelled before start');
+}
+
+/**
+ * TEST 5: The agent keeps screenshots base64 and failed recordings are not retried
+ */
+function testAgentRecorder() {
+  const action = { type: 'click', visual: { screenshot: 'data:image/png;base64,AAAA' } };
+
+  const agentRecorder = new ActionRecorder({ uploadScreenshots: false });
+  agentRecorder.queueUpload(action, 0);
+  assertEqual(agentRecorder.uploadQueue.length, 0, 'No upload on the agent');
+
+  const developerRecorder = new ActionRecorder();
+  developerRecorder.queueUpload(action, 0);
+  assertEqual(developerRecorder.uploadQueue.length, 1, 'Uploads by default');
+
+  assert(!isRetryableErrorType('recording_failed'), 'Failed recordings are not retried');
+}
+
+runSuite('AGENT RECORDINGS TEST SUITE', [
+  ['Request validation', testNormalizeRequest],
+  ['Deep link round trip', testDeepLink],
+  ['Micro-action rows', testMicroActionRows],
+  ['End of a recording', testRecordingEnd],
+  ['Agent recorder', testAgentRecorder],
+]);
@@ -0,0 +1,87 @@
+/**
+ * Client Tokens Test Suite
+ *
+ * Tests which API tokens an agent request may carry after a scheduled token rotation:
+ * the replaced token stays valid for a grace period, a regenerated token revokes it
+ * Run with: node tests/client-tokens.test.js
+ */
+
+import {
+  PREVIOUS_TOKEN_GRACE_MS,
+  matchClientToken,
+  toScheduledTokenRotation,
+  REVOKE_PREVIOUS_TOKEN,
+} from '../src/modules-logic/utils/client-tokens.js';
+import { runSuite, assert, assertEqual } from './helpers/harness.js';
+
+const OLD_TOKEN = 'sk_0123456789abcdef0123456789abcdef_old';
+const NEW_TOKEN = 'sk_fedcba9876543210fedcba9876543210_new';
+const rotatedAt = new Date('2026-10-19T12:00:00Z');
+
+// Client row after the heartbeat rotated its token at rotatedAt
+function rotatedClient() {
+  const client = { id: 'c1', client_id: 'client_abc', api_token: OLD_TOKEN, token_expires_at: '2026-10-25T00:00:00Z' };
+  return { ...client, ...toScheduledTokenRotation(client, NEW_TOKEN, '2027-01-17T12:00:00Z', rotatedAt) };
+}
+
+/**
+ * TEST 1: A scheduled rotation keeps the old token for the grace period
+ */
+function testScheduledRotation() {
+  const client = rotatedClient();
+
+  assertEqual(client.api_token, NEW_TOKEN, 'New token is current');
+  assertEqual(client.token_rotation, 'scheduled', 'Marked as scheduled rotation');
+  assertEqual(client.previous_api_token, OLD_TOKEN, 'Old token is kept');
+  assertEqual(
+    new Date(client.previous_api_token_expires_at).getTime() - rotatedAt.getTime(),
+    PREVIOUS_TOKEN_GRACE_MS,
+    'Old token expires after the grace period'
+  );
+}
+
+/**
+ * TEST 2: A request sent with the old token during the window is accepted
+ */
+function testOldTokenDuringWindow() {
+  const client = rotatedClient();
+  const inFlight = new Date(rotatedAt.getTime() + 5 * 1000);
+  const lateHeartbeat = new Date(rotatedAt.getTime() + PREVIOUS_TOKEN_GRACE_MS - 1000);
+
+  assertEqual(matchClientToken(client, OLD_TOKEN, inFlight), 'previous', 'Lease renewal sent before the switch passes');
+  assertEqual(matchClientToken(client, OLD_TOKEN, lateHeartbeat), 'previous', 'Agent that missed the new token still passes');
+  assertEqual(matchClientToken(client, NEW_TOKEN, inFlight), 'current', 'New token passes');
+}
+
+/**
+ * TEST 3: The old token is rejected after the window, other tokens never pass
+ */
+function testRejectedTokens() {
+  const client = rotatedClient();
+  const afterWindow = new Date(rotatedAt.getTime() + PREVIOUS_TOKEN_GRACE_MS);
+
+  assertEqual(matchClientToken(client, OLD_TOKEN, afterWindow), null, 'Old token expires');
+  assertEqual(matchClientToken(client, NEW_TOKEN, afterWindow), 'current', 'New token keeps working');
+  assertEqual(matchClientToken(client, 'sk_wrong', rotatedAt), null, 'Unknown token');
+  assertEqual(matchClientToken(client, `${OLD_TOKEN}x`, rotatedAt), null, 'Token with a different length');
+  assertEqual(matchClientToken(client, '', rotatedAt), null, 'Empty token');
+  assertEqual(matchClientToken(null, NEW_TOKEN, rotatedAt), null, 'Unknown client');
+}
+
+/**
+ * TEST 4: A token regenerated by the user revokes the previous one at once
+ */
+function testRegeneratedToken() {
+  const client = { ...rotatedClient(), api_token: 'sk_regenerated', token_rotation: 'manual', ...REVOKE_PREVIOUS_TOKEN };
+
+  assertEqual(matchClientToken(client, OLD_TOKEN, rotatedAt), null, 'Old token is revoked');
+  assertEqual(matchClientToken(client, NEW_TOKEN, rotatedAt), null, 'Replaced token is revoked');
+  assert(matchClientToken(client, 'sk_regenerated', rotatedAt) === 'current', 'Regenerated token passes');
+}
+
+runSuite('CLIENT TOKENS TEST SUITE', [
+  ['Scheduled rotation', testScheduledRotation],
+  ['Old token during the window', testOldTokenDuringWindow],
+  ['Rejected tokens', testRejectedTokens],
+  ['Regenerated token', testRegeneratedToken],
+]);
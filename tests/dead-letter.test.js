@@ -0,0 +1,95 @@
+/**
+ * Dead-Letter Test Suite
+ *
+ * Tests the notifications for jobs moved to the dead-letter queue, worded by job type, and that
+ * record jobs are never requeued
+ * Run with: node tests/dead-letter.test.js
+ */
+
+import {
+  DEAD_LETTER_REASONS,
+  isRequeueableJob,
+  toDeadLetterNotifications,
+} from '../src/modules-logic/utils/dead-letter.js';
+import { runSuite, assert, assertEqual } from './helpers/harness.js';
+
+const USER_A = 'user-a';
+const USER_B = 'user-b';
+
+function deadLettered(jobId, jobType, reason = 'not_retryable', userId = USER_A) {
+  return { job_id: jobId, job_user_id: userId, reason, job_type: jobType };
+}
+
+/**
+ * TEST 1: A single job is worded and linked by its job type
+ */
+function testSingleJobWording() {
+  const [post] = toDeadLetterNotifications([deadLettered('11111111-post', 'post', 'retries_exhausted')]);
+  assertEqual(post.title, 'Post job moved to dead-letter queue', 'Post title');
+  assertEqual(post.message, DEAD_LETTER_REASONS.retries_exhausted, 'Reason as message');
+  assertEqual([post.action_url, post.action_label], ['/posts/11111111-post', 'View Job'], 'Links to the post job');
+  assertEqual(post.related_job_id, '11111111-post', 'Related job');
+
+  const [verify] = toDeadLetterNotifications([deadLettered('22222222-verify', 'verify_account')]);
+  assertEqual(verify.title, 'Account verification did not complete', 'Verification title');
+  assertEqual(verify.action_url, '/accounts', 'Verification links to the accounts');
+
+  const [auth] = toDeadLetterNotifications([deadLettered('33333333-auth', 'auth')]);
+  assertEqual(auth.title, 'Account login did not complete', 'Login title');
+}
+
+/**
+ * TEST 2: An expired record job is not worded or linked as a post job
+ */
+function testRecordJobWording() {
+  const [record] = toDeadLetterNotifications([deadLettered('44444444-record', 'record', 'expired')]);
+
+  assertEqual(record.title, 'Recording did not complete', 'Recording title');
+  assertEqual(record.message, DEAD_LETTER_REASONS.expired, 'Expired reason');
+  assertEqual([record.action_url, record.action_label], [null, null], 'No link to a post page');
+  assert(!record.title.includes('Post'), 'Not called a post job');
+
+  const [unknown] = toDeadLetterNotifications([deadLettered('55555555-other', null)]);
+  assertEqual([unknown.title, unknown.action_url], ['Job moved to dead-letter queue', null], 'Unknown job type');
+}
+
+/**
+ * TEST 3: Jobs are grouped per user and job type, opted-out users get none
+ */
+function testGrouping() {
+  const notifications = toDeadLetterNotifications(
+    [
+      deadLettered('aaaaaaaa-post-1', 'post', 'expired'),
+      deadLettered('bbbbbbbb-post-2', 'post', 'retries_exhausted'),
+      deadLettered('cccccccc-record', 'record', 'expired'),
+      deadLettered('dddddddd-post-3', 'post', 'expired', USER_B),
+    ],
+    new Set([USER_B])
+  );
+
+  assertEqual(notifications.length, 2, 'One notification per job type for user A, none for user B');
+  const [posts, recordings] = notifications;
+  assertEqual(posts.title, '2 post jobs moved to dead-letter queue', 'Post jobs are counted');
+  assertEqual(posts.message, `aaaaaaaa: ${DEAD_LETTER_REASONS.expired}\nbbbbbbbb: ${DEAD_LETTER_REASONS.retries_exhausted}`, 'One line per job');
+  assertEqual([posts.action_url, posts.action_label, posts.related_job_id], ['/posts/history?status=dead_letter', 'View Jobs', null], 'Links to the post history');
+  assertEqual(recordings.title, 'Recording did not complete', 'Record job is worded on its own');
+}
+
+/**
+ * TEST 4: Record jobs cannot be requeued, other job types can
+ */
+function testRequeueable() {
+  assertEqual(isRequeueableJob({ job_type: 'record' }), false, 'Record job');
+  assertEqual(
+    ['post', 'verify_account', 'auth', null].map((jobType) => isRequeueableJob({ job_type: jobType })),
+    [true, true, true, true],
+    'Other job types'
+  );
+}
+
+runSuite('DEAD-LETTER TEST SUITE', [
+  ['Single job wording', testSingleJobWording],
+  ['Record job wording', testRecordJobWording],
+  ['Grouping', testGrouping],
+  ['Requeueable jobs', testRequeueable],
+]);
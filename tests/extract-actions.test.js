@@ -0,0 +1,189 @@
+/**
+ * Extract and Submit Actions Test Suite
+ *
+ * Tests reading workflow variables from located elements (text, attribute, url and page_url
+ * sources with an optional regex pattern) and submitting the form that owns an element
+ * Run with: node tests/extract-actions.test.js
+ */
+
+import { VisualActionExecutor } from '../src/modules-client/visual-executor.js';
+import { runSuite, assert, assertEqual } from './helpers/harness.js';
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+// Page double; waitForNavigation resolves once the test calls navigate()
+function createPage(url = 'https://social.example/posts/123') {
+  const page = {
+    navigations: 0,
+    url: () => url,
+    waitForNavigation: () => new Promise((resolve) => {
+      page.navigate = () => {
+        page.navigations++;
+        resolve();
+      };
+    }),
+  };
+  return page;
+}
+
+// DOM element double; evaluate() runs the page function against it like Puppeteer does in the browser
+function createElement(props = {}) {
+  const el = {
+    tagName: 'DIV',
+    attributes: {},
+    innerText: '',
+    textContent: '',
+    parent: null,
+    getAttribute(name) {
+      return name in this.attributes ? this.attributes[name] : null;
+    },
+    closest(selector) {
+      const matches = {
+        'a[href]': (node) => node.tagName === 'A' && 'href' in node.attributes,
+        form: (node) => node.tagName === 'FORM',
+      }[selector];
+      for (let node = this; node; node = node.parent) {
+        if (matches(node)) return node;
+      }
+      return null;
+    },
+    ...props,
+  };
+  return { el, evaluate: async (fn, ...args) => fn(el, ...args) };
+}
+
+function createExecutor(page = createPage()) {
+  return new VisualActionExecutor(page, { logger: silentLogger });
+}
+
+/**
+ * TEST 1: Text source reads trimmed text, or the value of form fields
+ */
+async function testTextSource() {
+  const executor = createExecutor();
+
+  const label = createElement({ innerText: '  1,234 followers \n' });
+  const result = await executor.extractFromElement(label, { type: 'extract', params: { variableName: 'followers' } }, 'selector');
+  assertEqual(result, { success: true, method: 'selector', extracted: { variable: 'followers', value: '1,234 followers' } }, 'Trimmed text');
+
+  const input = createElement({ tagName: 'INPUT', value: 'draft title', innerText: '' });
+  const fromInput = await executor.extractFromElement(input, { type: 'extract', variableName: 'title', source: 'text' }, 'visual');
+  assertEqual(fromInput.extracted, { variable: 'title', value: 'draft title' }, 'Input value, top-level params');
+
+  const empty = await executor.extractFromElement(createElement(), { type: 'extract', params: { variableName: 'x' } }, 'selector');
+  assert(!empty.success && /Nothing to extract \(source: text\)/.test(empty.error), 'Empty text fails');
+}
+
+/**
+ * TEST 2: Attribute source reads the named attribute
+ */
+async function testAttributeSource() {
+  const executor = createExecutor();
+  const element = createElement({ attributes: { 'data-post-id': '98765', title: 'Post' } });
+
+  const result = await executor.extractFromElement(element, {
+    type: 'extract',
+    params: { variableName: 'postId', source: 'attribute', attribute: 'data-post-id' },
+  }, 'selector');
+  assertEqual(result.extracted, { variable: 'postId', value: '98765' }, 'Attribute value');
+
+  const missing = await executor.extractFromElement(element, {
+    type: 'extract',
+    params: { variableName: 'postId', source: 'attribute', attribute: 'data-missing' },
+  }, 'selector');
+  assert(!missing.success && /source: attribute/.test(missing.error), 'Missing attribute fails');
+}
+
+/**
+ * TEST 3: URL source prefers the closest link, then the element's own src
+ */
+async function testUrlSource() {
+  const executor = createExecutor();
+  const action = { type: 'extract', params: { variableName: 'link', source: 'url' } };
+
+  const link = createElement({ tagName: 'A', attributes: { href: '/p/1' }, href: 'https://social.example/p/1' }).el;
+  const timestamp = createElement({ tagName: 'SPAN', innerText: '2m', parent: link });
+  const result = await executor.extractFromElement(timestamp, action, 'selector');
+  assertEqual(result.extracted.value, 'https://social.example/p/1', 'Closest link href');
+
+  const image = createElement({ tagName: 'IMG', currentSrc: 'https://cdn.example/a@2x.png', src: 'https://cdn.example/a.png' });
+  assertEqual((await executor.extractFromElement(image, action, 'selector')).extracted.value, 'https://cdn.example/a@2x.png', 'Image currentSrc');
+
+  const plain = await executor.extractFromElement(createElement({ tagName: 'SPAN' }), action, 'selector');
+  assert(!plain.success && /source: url/.test(plain.error), 'No URL fails');
+}
+
+/**
+ * TEST 4: Page URL source needs no element
+ */
+async function testPageUrlSource() {
+  const executor = createExecutor(createPage('https://social.example/posts/555'));
+
+  const result = await executor.extractFromElement(null, {
+    type: 'extract',
+    params: { variableName: 'permalink', source: 'page_url' },
+  }, 'page');
+  assertEqual(result, { success: true, method: 'page', extracted: { variable: 'permalink', value: 'https://social.example/posts/555' } }, 'Current page URL');
+
+  const noElement = await executor.extractFromElement(null, { type: 'extract', params: { variableName: 'text' } }, 'page');
+  assert(!noElement.success, 'Other sources need an element');
+}
+
+/**
+ * TEST 5: Pattern keeps the first capture group, or the whole match without groups
+ */
+async function testPatternCapture() {
+  const executor = createExecutor(createPage('https://social.example/posts/555?ref=share'));
+
+  const group = await executor.extractFromElement(null, {
+    type: 'extract',
+    params: { variableName: 'postId', source: 'page_url', pattern: '/posts/(\\d+)' },
+  }, 'page');
+  assertEqual(group.extracted.value, '555', 'First capture group');
+
+  const element = createElement({ innerText: 'Followers: 1234 (+12 today)' });
+  const whole = await executor.extractFromElement(element, {
+    type: 'extract',
+    params: { variableName: 'count', pattern: '\\d+' },
+  }, 'selector');
+  assertEqual(whole.extracted.value, '1234', 'Whole match without groups');
+
+  const noMatch = await executor.extractFromElement(element, {
+    type: 'extract',
+    params: { variableName: 'count', pattern: 'Likes: (\\d+)' },
+  }, 'selector');
+  assert(!noMatch.success && /Nothing to extract/.test(noMatch.error), 'No match fails');
+
+  const noVariable = await executor.extractFromElement(element, { type: 'extract', params: {} }, 'selector');
+  assertEqual(noVariable.error, 'Extract action requires variableName', 'Variable name required');
+}
+
+/**
+ * TEST 6: Submit uses the enclosing form and fails without one
+ */
+async function testSubmitFormOf() {
+  const page = createPage();
+  const executor = createExecutor(page);
+
+  const calls = [];
+  const form = createElement({ tagName: 'FORM', requestSubmit: () => calls.push('requestSubmit'), submit: () => calls.push('submit') }).el;
+  const button = createElement({ tagName: 'BUTTON', parent: form });
+  const submitted = executor.submitFormOf(button, { type: 'submit', params: { waitForNavigation: true } }, 'selector');
+  page.navigate();
+  assertEqual(await submitted, { success: true, method: 'selector' }, 'Submitted');
+  assertEqual(calls, ['requestSubmit'], 'requestSubmit runs validation and submit handlers');
+  assertEqual(page.navigations, 1, 'Waited for the navigation');
+
+  const outside = createElement({ tagName: 'BUTTON' });
+  const result = await executor.submitFormOf(outside, { type: 'submit', waitForNavigation: true }, 'visual');
+  assertEqual(result, { success: false, method: 'visual', error: 'Element is not inside a form' }, 'No enclosing form');
+}
+
+runSuite('EXTRACT AND SUBMIT ACTIONS TEST SUITE', [
+  ['Text source', testTextSource],
+  ['Attribute source', testAttributeSource],
+  ['URL source', testUrlSource],
+  ['Page URL source', testPageUrlSource],
+  ['Pattern capture', testPatternCapture],
+  ['Submit the enclosing form', testSubmitFormOf],
+]);
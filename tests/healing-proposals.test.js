@@ -0,0 +1,150 @@
+/**
+ * Healing Proposals Test Suite
+ *
+ * Tests validation, auto-accept and application of healing proposals submitted by agents
+ * Run with: node tests/healing-proposals.test.js
+ */
+
+import {
+  applyHealingProposal,
+  collectJobMicroActionIds,
+  getAutoAcceptConfidence,
+  normalizeHealingProposal,
+  shouldAutoAccept,
+} from '../src/modules-logic/utils/healing-proposals.js';
+import { runSuite, assert, assertEqual, assertThrows } from './helpers/harness.js';
+
+// Proposal as collected by WorkflowExecutor.collectHealingProposal
+function agentProposal(overrides = {}) {
+  return {
+    micro_action_id: 'ma-share',
+    action_name: 'Click Share',
+    reason: 'low_confidence',
+    method: 'visual',
+    confidence: 0.7349,
+    retries: 0,
+    visual: {
+      screenshot: 'data:image/png;base64,AAAA',
+      text: 'Share',
+      position: { absolute: { x: 640, y: 650 }, relative: { x: 50, y: 90.28 } },
+      boundingBox: { x: 600, y: 630, width: 80, height: 40 },
+      surroundingText: ['Cancel'],
+      viewport: { width: 1280, height: 720, devicePixelRatio: 1, scrollX: 0, scrollY: 0 },
+      similarity: 0.5,
+    },
+    backup_selector: 'button[aria-label="Share"]',
+    ...overrides,
+  };
+}
+
+/**
+ * TEST 1: Agent proposals are validated and reduced to known fields
+ */
+function testNormalize() {
+  const proposal = normalizeHealingProposal(agentProposal());
+
+  assertEqual(proposal.confidence, 0.735, 'Confidence rounded to the column precision');
+  assert(!('similarity' in proposal.visual), 'Unknown visual fields are dropped');
+  assert(!('action_name' in proposal), 'Unknown proposal fields are dropped');
+  assertEqual(proposal.backup_selector, 'button[aria-label="Share"]', 'Selector kept');
+
+  const position = normalizeHealingProposal(agentProposal({ reason: 'position_fallback', method: 'position', confidence: null }));
+  assertEqual(position.confidence, null, 'Unscored matches have no confidence');
+
+  assertThrows(() => normalizeHealingProposal(agentProposal({ micro_action_id: null })), /micro_action_id/, 'Micro-action required');
+  assertThrows(() => normalizeHealingProposal(agentProposal({ reason: 'guess' })), /Invalid healing reason/, 'Known reasons only');
+  assertThrows(() => normalizeHealingProposal(agentProposal({ visual: { text: 'Share' } })), /screenshot/, 'Screenshot required');
+}
+
+/**
+ * TEST 2: Auto-accept needs a configured confidence and a scored match at or above it
+ */
+function testAutoAccept() {
+  const scored = normalizeHealingProposal(agentProposal());
+  const unscored = normalizeHealingProposal(agentProposal({ reason: 'position_fallback', confidence: null }));
+
+  assertEqual(shouldAutoAccept(scored, null), false, 'Off without a confidence bar');
+  assertEqual(shouldAutoAccept(scored, 0.7), true, 'Accepted above the bar');
+  assertEqual(shouldAutoAccept(scored, 0.75), false, 'Reviewed below the bar');
+  assertEqual(shouldAutoAccept(unscored, 0.1), false, 'Unscored matches are always reviewed');
+
+  const previous = process.env.HEALING_AUTO_ACCEPT_CONFIDENCE;
+  process.env.HEALING_AUTO_ACCEPT_CONFIDENCE = '0.72';
+  assertEqual(getAutoAcceptConfidence(), 0.72, 'Read from the environment');
+  process.env.HEALING_AUTO_ACCEPT_CONFIDENCE = '5';
+  assertEqual(getAutoAcceptConfidence(), null, 'Out of range values disable auto-accept');
+  if (previous === undefined) {
+    delete process.env.HEALING_AUTO_ACCEPT_CONFIDENCE;
+  } else {
+    process.env.HEALING_AUTO_ACCEPT_CONFIDENCE = previous;
+  }
+}
+
+/**
+ * TEST 3: Accepting replaces recorded fields and keeps admin-set ones
+ */
+function testApply() {
+  const params = {
+    execution_method: 'visual_first',
+    backup_selector: 'div.x1 > button',
+    visual: {
+      screenshot: 'data:image/png;base64,OLD',
+      contextScreenshot: 'data:image/png;base64,OLDPAGE',
+      text: 'Share',
+      alternativeTexts: ['Bagikan'],
+      textMatchThreshold: 0.3,
+    },
+  };
+
+  const applied = applyHealingProposal(params, normalizeHealingProposal(agentProposal()));
+
+  assertEqual(applied.execution_method, 'visual_first', 'Other params kept');
+  assertEqual(applied.backup_selector, 'button[aria-label="Share"]', 'Selector replaced');
+  assertEqual(applied.visual.screenshot, 'data:image/png;base64,AAAA', 'Screenshot replaced');
+  assertEqual(applied.visual.alternativeTexts, ['Bagikan'], 'Alternative texts kept');
+  assertEqual(applied.visual.textMatchThreshold, 0.3, 'Text match threshold kept');
+  assert(!('contextScreenshot' in applied.visual), 'Stale context screenshot dropped');
+
+  const withoutSelector = applyHealingProposal(params, normalizeHealingProposal(agentProposal({ backup_selector: null })));
+  assertEqual(withoutSelector.backup_selector, 'div.x1 > button', 'Selector kept without a proposed one');
+}
+
+/**
+ * TEST 4: Agents may only propose for micro-actions of the job they ran
+ */
+function testJobMicroActions() {
+  const content = {
+    workflow: {
+      actions: [
+        { type: 'click', micro_action_id: 'login' },
+        {
+          type: 'if',
+          condition: { type: 'visible', micro_action_id: 'banner' },
+          then: [{ type: 'click', micro_action_id: 'dismiss' }],
+          else: [],
+        },
+        { type: 'loop', actions: [{ type: 'click', micro_action_id: 'next' }] },
+      ],
+    },
+    // Accounts on another platform
+    workflows: {
+      facebook: { steps: [{ micro_action_id: 'fb-share' }, { type: 'call_workflow', workflow: { steps: [{ micro_action_id: 'fb-sub' }] } }] },
+    },
+  };
+
+  assertEqual(
+    [...collectJobMicroActionIds(content)].sort(),
+    ['banner', 'dismiss', 'fb-share', 'fb-sub', 'login', 'next'],
+    'Workflows, nested blocks and conditions collected'
+  );
+  assertEqual([...collectJobMicroActionIds({ actions: [{ micro_action_id: 'a' }] })], ['a'], 'Workflow stored as content');
+  assertEqual(collectJobMicroActionIds({ platform: 'instagram', url: 'https://x.com' }).size, 0, 'Record jobs run no micro-actions');
+  assertEqual(collectJobMicroActionIds(null).size, 0, 'No content');
+}
+
+runSuite('HEALING PROPOSALS TEST SUITE', [
+  ['Proposal validation', testNormalize],
+  ['Auto-accept confidence', testAutoAccept],
+  ['Applying a proposal', testApply],
+  ['Micro-actions of a job', testJobMicroActions],
+]);
@@ -0,0 +1,79 @@
+/**
+ * Shared Test Harness
+ *
+ * Runner and assertions of the node test suites in tests/. A suite lists its tests and hands
+ * them to runSuite, which runs them in order, prints the results and exits with 1 when a test
+ * failed (tests/run-all-tests.sh counts the suite as failed).
+ *
+ *   runSuite('JOB RETRY POLICY TEST SUITE', [
+ *     ['Retry decision', testRetryDecision],
+ *   ]);
+ */
+
+const results = { passed: 0, failed: 0, tests: [] };
+
+/**
+ * Run one test; sync and async test functions are both awaited
+ * @param {string} name - Test name
+ * @param {Function} fn - Test function, throws on failure
+ */
+export async function runTest(name, fn) {
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`TEST: ${name}`);
+  console.log('='.repeat(60));
+
+  try {
+    await fn();
+    console.log('✅ PASSED');
+    results.passed++;
+    results.tests.push({ name, status: 'passed' });
+  } catch (error) {
+    console.error('❌ FAILED');
+    console.error(`Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'failed', error: error.message });
+  }
+}
+
+/**
+ * Run the tests of a suite, print the results and exit
+ * @param {string} title - Suite title for the banner
+ * @param {Array<Array>} tests - [name, fn] pairs
+ */
+export async function runSuite(title, tests) {
+  const width = 47;
+  const padding = Math.max(width - title.length, 0);
+  console.log(`╔${'═'.repeat(width)}╗`);
+  console.log(`║${' '.repeat(Math.floor(padding / 2))}${title}${' '.repeat(Math.ceil(padding / 2))}║`);
+  console.log(`╚${'═'.repeat(width)}╝`);
+
+  for (const [name, fn] of tests) {
+    await runTest(name, fn);
+  }
+
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`RESULTS: ${results.passed} passed, ${results.failed} failed`);
+  console.log('='.repeat(60));
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+export function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+export function assertEqual(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}\n   expected: ${JSON.stringify(expected)}\n   actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+export function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+  } catch (error) {
+    assert(pattern.test(error.message), `${message}: unexpected error "${error.message}"`);
+    return;
+  }
+  throw new Error(`${message}: expected an error`);
+}
@@ -0,0 +1,154 @@
+/**
+ * Keypress, Hover and Drag Actions Test Suite
+ *
+ * Tests conversion of recorded keypress/hover/drag events and their replay through
+ * Puppeteer's keyboard and mouse APIs
+ * Run with: node tests/input-actions.test.js
+ */
+
+import { convertToMicroActions } from '../src/modules-recorder/utils/action-converter.mjs';
+import { VisualActionExecutor } from '../src/modules-client/visual-executor.js';
+import { validateAction } from '../src/modules-client/action-types.js';
+import { runSuite, assert, assertEqual } from './helpers/harness.js';
+
+// Recorded event as pushed by the recorder client script
+function recorded(type, timestamp, overrides = {}) {
+  return {
+    type,
+    timestamp,
+    visual: {
+      screenshot: null,
+      text: 'Next',
+      position: { absolute: { x: 600, y: 300 }, relative: { x: 46.88, y: 41.67 } },
+      boundingBox: { x: 560, y: 280, width: 80, height: 40 },
+      surroundingText: [],
+      timestamp,
+      viewport: { width: 1280, height: 720 },
+    },
+    backup_selector: 'button.next',
+    execution_method: 'visual_first',
+    ...overrides,
+  };
+}
+
+// Page double recording keyboard and mouse calls
+function createPage() {
+  const calls = [];
+  const record = (name) => async (...args) => { calls.push([name, ...args]); };
+  return {
+    calls,
+    keyboard: { down: record('keyboard.down'), up: record('keyboard.up'), press: record('keyboard.press') },
+    mouse: { move: record('mouse.move'), down: record('mouse.down'), up: record('mouse.up') },
+  };
+}
+
+/**
+ * TEST 1: Recorded keys become keypress actions, page-level keys without visual data
+ */
+function testConvertKeypress() {
+  const actions = convertToMicroActions([
+    recorded('type', 1000, { value: 'hello', backup_selector: 'div.chat input' }),
+    recorded('keypress', 5000, { key: 'Enter', modifiers: [], backup_selector: 'div.chat input' }),
+    recorded('type', 9000, { value: 'world', backup_selector: 'div.chat input' }),
+    { type: 'keypress', timestamp: 13000, key: 'Escape', modifiers: [] },
+    recorded('keypress', 17000, { key: 'a', modifiers: ['Control'] }),
+  ]).filter((action) => action.type !== 'wait');
+
+  assertEqual(actions.map((action) => action.type), ['type', 'keypress', 'type', 'keypress', 'keypress'], 'Action order');
+  assertEqual(actions[1].key, 'Enter', 'Key kept');
+  assert(actions[1].visual && actions[1].backup_selector === 'div.chat input', 'Focused element kept');
+  assertEqual(actions[2].text, 'world', 'Typing after Enter is not merged into the text before it');
+  assertEqual(actions[3].params, { key: 'Escape', modifiers: [] }, 'Page-level key in params');
+  assert(!actions[3].visual, 'Page-level key has no visual data');
+  assertEqual(actions[4].name, 'Press Control+a', 'Shortcut name');
+}
+
+/**
+ * TEST 2: Hovers and drags keep visual data; a hover right before clicking the same element is dropped
+ */
+function testConvertHoverAndDrag() {
+  const actions = convertToMicroActions([
+    recorded('hover', 1000, { duration: 600, backup_selector: 'nav li.menu' }),
+    recorded('click', 5000, { backup_selector: 'nav li.menu a.item' }),
+    recorded('hover', 9000, { duration: 600 }),
+    recorded('click', 13000),
+    recorded('drag', 17000, { delta: { x: -320, y: 0 }, duration: 400 }),
+  ]).filter((action) => action.type !== 'wait');
+
+  assertEqual(actions.map((action) => action.type), ['hover', 'click', 'click', 'drag'], 'Hover before its own click dropped');
+  assertEqual(actions[0].duration, 600, 'Hover duration kept');
+  assertEqual(actions[3].delta, { x: -320, y: 0 }, 'Drag delta kept');
+  assertEqual(actions[3].visual.position.absolute, { x: 600, y: 300 }, 'Drag starts at the recorded position');
+}
+
+/**
+ * TEST 3: Keys are pressed with their modifiers held and released in reverse order
+ */
+async function testPressKey() {
+  const page = createPage();
+  const executor = new VisualActionExecutor(page);
+
+  const result = await executor.pressKey({ type: 'keypress', params: { key: 'Enter', modifiers: ['Control', 'Shift'] } }, 'keyboard');
+
+  assertEqual(result, { success: true, method: 'keyboard' }, 'Result');
+  assertEqual(page.calls, [
+    ['keyboard.down', 'Control'],
+    ['keyboard.down', 'Shift'],
+    ['keyboard.press', 'Enter'],
+    ['keyboard.up', 'Shift'],
+    ['keyboard.up', 'Control'],
+  ], 'Keyboard calls');
+
+  const missing = await executor.pressKey({ type: 'keypress', params: {} }, 'keyboard');
+  assertEqual(missing.success, false, 'Key required');
+}
+
+/**
+ * TEST 4: Hover rests the pointer on the element, drag moves it by the recorded delta
+ */
+async function testPointerActions() {
+  const page = createPage();
+  const executor = new VisualActionExecutor(page);
+  executor.wait = async () => {};
+
+  const hover = await executor.pointerActionAt({ x: 100, y: 200 }, { type: 'hover', duration: 800 }, 'visual');
+  assertEqual(hover, { success: true, method: 'visual' }, 'Hover result');
+  assertEqual(page.calls, [['mouse.move', 100, 200, { steps: 5 }]], 'Hover only moves the mouse');
+
+  page.calls.length = 0;
+  const drag = await executor.pointerActionAt({ x: 100, y: 200 }, { type: 'drag', params: { delta: { x: -50, y: 10 } } });
+  assertEqual(drag, { success: true, method: 'position' }, 'Drag result');
+  assertEqual(page.calls, [
+    ['mouse.move', 100, 200, { steps: 5 }],
+    ['mouse.down'],
+    ['mouse.move', 50, 210, { steps: 20 }],
+    ['mouse.up'],
+  ], 'Drag presses, moves and releases');
+
+  page.calls.length = 0;
+  const noDelta = await executor.pointerActionAt({ x: 100, y: 200 }, { type: 'drag', params: {} });
+  assertEqual(noDelta.success, false, 'Drag without delta fails');
+  assertEqual(page.calls, [], 'Mouse untouched without delta');
+}
+
+/**
+ * TEST 5: Validation of the new action types
+ */
+function testValidation() {
+  const visual = recorded('click', 1000).visual;
+
+  assert(validateAction({ name: 'Press Escape', type: 'keypress', params: { key: 'Escape' } }).valid, 'Keypress without element is valid');
+  assert(!validateAction({ name: 'Press', type: 'keypress', params: {} }).valid, 'Keypress requires key');
+  assert(validateAction({ name: 'Hover', type: 'hover', params: { visual } }).valid, 'Hover with visual data is valid');
+  assert(!validateAction({ name: 'Hover', type: 'hover', params: {} }).valid, 'Hover requires an element');
+  assert(validateAction({ name: 'Drag', type: 'drag', params: { visual, delta: { x: 10, y: 0 } } }).valid, 'Drag with delta is valid');
+  assert(!validateAction({ name: 'Drag', type: 'drag', params: { visual } }).valid, 'Drag requires delta');
+}
+
+runSuite('KEYPRESS / HOVER / DRAG TEST SUITE', [
+  ['Keypress conversion', testConvertKeypress],
+  ['Hover and drag conversion', testConvertHoverAndDrag],
+  ['Key replay', testPressKey],
+  ['Hover and drag replay', testPointerActions],
+  ['Validation', testValidation],
+]);
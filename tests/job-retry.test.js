@@ -0,0 +1,97 @@
+/**
+ * Job Retry Policy Test Suite
+ *
+ * Tests the retry decision and backoff used when agents report failed jobs
+ * Run with: node tests/job-retry.test.js
+ */
+
+import {
+  isRetryableErrorType,
+  getRetryDelaySeconds,
+  evaluateRetry,
+  buildJobCompletionUpdate,
+} from '../src/modules-logic/services/job-retry.js';
+import { runSuite, assert } from './helpers/harness.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+function testErrorCategories() {
+  assert(isRetryableErrorType('timeout'), 'timeout should be retryable');
+  assert(isRetryableErrorType('element_not_found'), 'element_not_found should be retryable');
+  assert(isRetryableErrorType(undefined), 'unknown should be retryable');
+  assert(!isRetryableErrorType('auth_failed'), 'auth_failed should not be retryable');
+}
+
+function testBackoff() {
+  assert(getRetryDelaySeconds(0, () => 1) === 60, 'First retry waits up to the base delay');
+  assert(getRetryDelaySeconds(2, () => 1) === 240, 'Delay doubles per retry');
+  assert(getRetryDelaySeconds(2, () => 0) === 120, 'Jitter keeps at least half the delay');
+  assert(getRetryDelaySeconds(20, () => 1) === 3600, 'Delay is capped');
+}
+
+function testRetryDecision() {
+  const job = { retry_count: 0, max_retries: 3, expires_at: '2026-10-26T12:00:00Z' };
+
+  const timeout = evaluateRetry(job, { success: false, errorType: 'timeout' }, NOW);
+  assert(timeout.retry, 'Timeouts are retried');
+  assert(timeout.nextRetryAt > NOW, 'Retry is scheduled in the future');
+
+  const auth = evaluateRetry(job, {
+    success: false,
+    accounts: {
+      a: { success: false, errorType: 'timeout' },
+      b: { success: false, errorType: 'auth_failed' },
+    },
+  }, NOW);
+  assert(!auth.retry && auth.errorType === 'auth_failed', 'Any auth failure blocks the retry');
+
+  const exhausted = evaluateRetry({ ...job, retry_count: 3 }, { errorType: 'timeout' }, NOW);
+  assert(!exhausted.retry, 'No retry once max_retries is reached');
+
+  const expiring = evaluateRetry({ ...job, expires_at: '2026-10-19T12:00:10Z' }, { errorType: 'timeout' }, NOW);
+  assert(!expiring.retry, 'No retry after the job expires');
+}
+
+function testCompletionUpdate() {
+  const job = {
+    retry_count: 1,
+    max_retries: 3,
+    claimed_at: '2026-10-19T11:59:00Z',
+    attempts: [{ attempt: 1, status: 'failed' }],
+  };
+
+  const { update } = buildJobCompletionUpdate(job, 'failed', { success: false, error: 'Timeout', errorType: 'timeout' }, 'client-1', NOW);
+  assert(update.status === 'queued', `Expected requeue, got ${update.status}`);
+  assert(update.retry_count === 2, 'retry_count is incremented');
+  assert(update.claimed_by === null && update.lease_expires_at === null, 'Lease is released');
+  assert(update.attempts.length === 2, 'Attempt is appended');
+  assert(update.attempts[1].attempt === 2 && update.attempts[1].nextRetryAt === update.scheduled_for, 'Attempt records the retry');
+
+  const completed = buildJobCompletionUpdate(job, 'completed', { success: true }, 'client-1', NOW).update;
+  assert(completed.status === 'completed' && completed.attempts[1].status === 'completed', 'Completed jobs are recorded as-is');
+}
+
+// sweep_dead_letter_jobs (migration 030) dead-letters failed jobs whose last attempt is not retryable
+function testNotRetriedFailures() {
+  const job = { retry_count: 0, max_retries: 0, claimed_at: '2026-10-19T11:59:00Z', attempts: [] };
+
+  const noRetries = buildJobCompletionUpdate(job, 'failed', { success: false, errorType: 'timeout' }, 'client-1', NOW).update;
+  assert(noRetries.status === 'failed', 'Jobs with max_retries = 0 are not requeued');
+  assert(noRetries.attempts[0].retryable === false, 'max_retries = 0 records a non-retryable attempt');
+  assert(/Retry limit reached \(0\)/.test(noRetries.attempts[0].reason), 'Attempt records why it is not retried');
+
+  const withRetries = { ...job, max_retries: 3 };
+  for (const errorType of ['auth_failed', 'recording_failed']) {
+    const update = buildJobCompletionUpdate(withRetries, 'failed', { success: false, errorType }, 'client-1', NOW).update;
+    assert(update.status === 'failed' && update.retry_count === undefined, `${errorType} is not requeued`);
+    assert(update.attempts[0].retryable === false, `${errorType} records a non-retryable attempt with retries left`);
+  }
+}
+
+runSuite('JOB RETRY POLICY TEST SUITE', [
+  ['Retryable error categories', testErrorCategories],
+  ['Exponential backoff with jitter', testBackoff],
+  ['Retry decision', testRetryDecision],
+  ['Completion update', testCompletionUpdate],
+  ['Failures that are not retried', testNotRetriedFailures],
+]);
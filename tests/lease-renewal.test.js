@@ -0,0 +1,125 @@
+/**
+ * Job Lease Renewal Test Suite
+ *
+ * Tests how the agent renews the lease of a claimed job and stops the job once the server
+ * reports the lease lost (requeued or cancelled), so two agents never run the same post
+ * Run with: node tests/lease-renewal.test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import { runSuite, assert, assertEqual } from './helpers/harness.js';
+
+// The agent's logger writes to <cwd>/logs
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lease-renewal-'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const { config } = await import('../src/modules-client/config.js');
+const { renewJobLease, LeaseRenewalResult } = await import('../src/modules-client/poller.js');
+const { startLeaseRenewal } = await import('../src/modules-client/lease-renewal.js');
+
+Object.assign(config, {
+  apiUrl: 'http://api.test/api/client',
+  clientId: 'client_test',
+  apiToken: 'sk_test',
+  jobLeaseSeconds: 120,
+  logShipping: false,
+  logLevel: 'error',
+});
+
+// Lease requests sent, and how the fake server answers them in turn
+const requests = [];
+let responses = [];
+
+axios.post = async (url, body) => {
+  requests.push(body.jobId);
+  const outcome = responses.length > 1 ? responses.shift() : responses[0];
+  if (outcome.network || outcome.status >= 400) {
+    const error = new Error(outcome.network ? 'connect ECONNREFUSED' : `Request failed with status code ${outcome.status}`);
+    if (!outcome.network) {
+      error.response = { status: outcome.status, statusText: '', data: { error: 'Lease lost: job is no longer held by this client' } };
+    }
+    throw error;
+  }
+  return { status: 200, statusText: 'OK', data: { job: { id: body.jobId, lease_expires_at: null } } };
+};
+
+function reset(...outcomes) {
+  requests.length = 0;
+  responses = outcomes;
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Running job as registered by the agent, with an executor double
+function runningJob() {
+  const job = { cancelled: false, stops: 0 };
+  job.executor = { stop: () => job.stops++ };
+  return job;
+}
+
+/**
+ * TEST 1: 409 means the lease is lost, other errors may be transient
+ */
+async function testRenewalResults() {
+  reset({ status: 200 });
+  assertEqual(await renewJobLease('job-1'), LeaseRenewalResult.RENEWED, '200 renews');
+
+  reset({ status: 409 });
+  assertEqual(await renewJobLease('job-1'), LeaseRenewalResult.LOST, '409 loses the lease');
+
+  reset({ status: 503 });
+  assertEqual(await renewJobLease('job-1'), LeaseRenewalResult.FAILED, '5xx is transient');
+
+  reset({ network: true });
+  assertEqual(await renewJobLease('job-1'), LeaseRenewalResult.FAILED, 'Network errors are transient');
+}
+
+/**
+ * TEST 2: A lost lease stops the running job like a cancellation, transient errors do not
+ */
+async function testLeaseLostStopsJob() {
+  reset({ status: 200 }, { status: 503 }, { network: true }, { status: 409 });
+  const job = runningJob();
+  const runningJobs = new Map([['job-1', job]]);
+  let lostCalls = 0;
+
+  const stop = startLeaseRenewal('job-1', runningJobs, { intervalMs: 5, onLeaseLost: () => lostCalls++ });
+  await wait(80);
+  stop();
+
+  assertEqual(requests.length, 4, 'Renewal stops after the lease is lost');
+  assert(job.cancelled && job.leaseLost, 'Job is marked cancelled with a lost lease');
+  assertEqual(job.stops, 1, 'Executor is stopped');
+  assertEqual(lostCalls, 1, 'onLeaseLost is called once');
+}
+
+/**
+ * TEST 3: A job waiting for a slot only reports the lost lease; cancelled jobs are not renewed
+ */
+async function testWaitingAndCancelledJobs() {
+  reset({ status: 409 });
+  let lostCalls = 0;
+  const stop = startLeaseRenewal('job-2', new Map(), { intervalMs: 5, onLeaseLost: () => lostCalls++ });
+  await wait(40);
+  stop();
+  assertEqual([requests.length, lostCalls], [1, 1], 'Lost lease of a job not running yet is reported');
+
+  reset({ status: 200 });
+  const cancelled = runningJob();
+  cancelled.cancelled = true;
+  const stopCancelled = startLeaseRenewal('job-3', new Map([['job-3', cancelled]]), { intervalMs: 5 });
+  await wait(40);
+  stopCancelled();
+  assertEqual(requests.length, 0, 'Cancelled job is not renewed');
+  assertEqual(cancelled.stops, 0, 'Cancelled job is not stopped again');
+}
+
+runSuite('JOB LEASE RENEWAL TEST SUITE', [
+  ['Renewal results', testRenewalResults],
+  ['Lost lease stops the job', testLeaseLostStopsJob],
+  ['Waiting and cancelled jobs', testWaitingAndCancelledJobs],
+]);
@@ -0,0 +1,192 @@
+/**
+ * Log Shipping Test Suite
+ *
+ * Tests the agent's log shipper (batching, spooling to disk while the server is unreachable,
+ * dropping batches the server rejects) and the client_logs rows the server builds from a batch
+ * Run with: node tests/log-shipping.test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import {
+  MAX_LOG_BATCH_SIZE,
+  MAX_LOG_MESSAGE_LENGTH,
+  filterClientLogEntries,
+  getClientLogJobIds,
+  toClientLogRows,
+} from '../src/modules-logic/utils/client-logs.js';
+import { runSuite, assert, assertEqual, assertThrows } from './helpers/harness.js';
+
+// The shipper spools to <cwd>/logs/log-spool.jsonl; the agent's logger creates the logs directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-shipping-'));
+fs.mkdirSync(path.join(workDir, 'logs'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const SPOOL_FILE = path.join(workDir, 'logs', 'log-spool.jsonl');
+
+const { config } = await import('../src/modules-client/config.js');
+const { shipLog, flushLogs } = await import('../src/modules-client/log-shipper.js');
+
+Object.assign(config, {
+  apiUrl: 'http://api.test/api/client',
+  clientId: 'client_test',
+  apiToken: 'sk_test',
+  logShipping: true,
+  logBatchSize: 50,
+  logFlushInterval: 60 * 60 * 1000,
+});
+
+// Requests the shipper sent, and how the fake server answers the next ones
+const sent = [];
+let respond = () => ({ status: 200 });
+
+axios.post = async (url, body) => {
+  const outcome = respond(body.logs);
+  if (outcome.status >= 400 || outcome.network) {
+    const error = new Error(outcome.network ? 'connect ECONNREFUSED' : `Request failed with status code ${outcome.status}`);
+    if (!outcome.network) {
+      error.response = { status: outcome.status };
+    }
+    throw error;
+  }
+  sent.push(body.logs.map((entry) => entry.message));
+  return { status: 200, data: {} };
+};
+
+function entry(message, extra = {}) {
+  return { level: 'info', message, timestamp: '2026-10-19T12:00:00.000Z', jobId: null, context: {}, ...extra };
+}
+
+function spooledMessages() {
+  if (!fs.existsSync(SPOOL_FILE)) return [];
+  return fs.readFileSync(SPOOL_FILE, 'utf-8').split('\n').filter(Boolean).map((line) => JSON.parse(line).message);
+}
+
+function reset(batchSize = 50) {
+  sent.length = 0;
+  respond = () => ({ status: 200 });
+  config.logBatchSize = batchSize;
+  fs.rmSync(SPOOL_FILE, { force: true });
+}
+
+/**
+ * TEST 1: Entries are sent in batches of logBatchSize, in order
+ */
+async function testBatching() {
+  reset();
+  ['a', 'b', 'c', 'd', 'e'].forEach((message) => shipLog(entry(message)));
+  assertEqual(sent, [], 'Nothing is sent before the batch is full or a flush');
+
+  config.logBatchSize = 2;
+  assert(await flushLogs(), 'Flush reports success');
+  assertEqual(sent, [['a', 'b'], ['c', 'd'], ['e']], 'Batches of logBatchSize in order');
+
+  sent.length = 0;
+  shipLog(entry('f'));
+  shipLog(entry('g'));
+  await new Promise((resolve) => setImmediate(resolve));
+  assertEqual(sent, [['f', 'g']], 'A full buffer is flushed on its own');
+}
+
+/**
+ * TEST 2: Server errors and network errors spool the rest; the next flush sends spooled entries first
+ */
+async function testSpoolAndRestore() {
+  reset(2);
+  respond = (logs) => (logs[0].message === 'c' ? { status: 503 } : { status: 200 });
+  config.logBatchSize = 50;
+  ['a', 'b', 'c', 'd', 'e'].forEach((message) => shipLog(entry(message)));
+  config.logBatchSize = 2;
+
+  assert(!(await flushLogs()), 'Flush reports the failure');
+  assertEqual(sent, [['a', 'b']], 'Batches before the failure are sent');
+  assertEqual(spooledMessages(), ['c', 'd', 'e'], 'Failed batch and the rest are spooled in order');
+
+  respond = () => ({ network: true });
+  shipLog(entry('f'));
+  assert(!(await flushLogs()), 'Network errors fail the flush');
+  assertEqual(spooledMessages(), ['c', 'd', 'e', 'f'], 'Network errors spool too, keeping the order');
+
+  sent.length = 0;
+  respond = () => ({ status: 200 });
+  config.logBatchSize = 50;
+  shipLog(entry('g'));
+  assert(await flushLogs(), 'Flush succeeds once the server is back');
+  assertEqual(sent, [['c', 'd', 'e', 'f', 'g']], 'Spooled entries are sent before new ones');
+  assert(!fs.existsSync(SPOOL_FILE), 'Spool file is removed');
+}
+
+/**
+ * TEST 3: Batches the server rejects with 4xx are dropped; auth and rate limits are retried
+ */
+async function testRejectedBatches() {
+  reset(2);
+  respond = (logs) => (logs[0].message === 'a' ? { status: 400 } : { status: 200 });
+  config.logBatchSize = 50;
+  ['a', 'b', 'c'].forEach((message) => shipLog(entry(message)));
+  config.logBatchSize = 2;
+
+  assert(await flushLogs(), 'A dropped batch does not fail the flush');
+  assertEqual(sent, [['c']], 'Rejected batch is dropped and the next one sent');
+  assertEqual(spooledMessages(), [], 'Rejected batch is not spooled');
+
+  for (const status of [401, 429]) {
+    reset();
+    respond = () => ({ status });
+    shipLog(entry(`status ${status}`));
+    assert(!(await flushLogs()), `${status} fails the flush`);
+    assertEqual(spooledMessages(), [`status ${status}`], `${status} is spooled for a retry`);
+  }
+  reset();
+}
+
+/**
+ * TEST 4: Server side - valid entries, job references and timestamps
+ */
+function testClientLogRows() {
+  const ownJob = '11111111-1111-4111-8111-111111111111';
+  const otherUsersJob = '22222222-2222-4222-8222-222222222222';
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  const entries = [
+    entry('own job', { jobId: ownJob }),
+    entry('other user', { jobId: otherUsersJob, level: 'error' }),
+    entry('not a uuid', { jobId: 'job-1' }),
+    entry('from the future', { timestamp: '2026-10-20T00:00:00Z' }),
+    entry('x'.repeat(MAX_LOG_MESSAGE_LENGTH + 10), { context: 'not an object' }),
+    { level: 'trace', message: 'unknown level' },
+    { level: 'info', message: '' },
+    null,
+  ];
+
+  const valid = filterClientLogEntries(entries);
+  assertEqual(valid.length, 5, 'Unknown levels, empty messages and null entries are skipped');
+  assertEqual(getClientLogJobIds(valid), [ownJob, otherUsersJob], 'Only UUIDs are checked against the jobs');
+
+  // The service looks the IDs up among the user's jobs; only ownJob belongs to the user
+  const rows = toClientLogRows({ client_id: 'client_test' }, valid, new Set([ownJob]), now);
+  assertEqual(rows.map((row) => row.job_id), [ownJob, null, null, null, null], 'Jobs of other users are not referenced');
+  assertEqual(rows[1].level, 'error', 'Level is kept');
+  assertEqual(rows[0].created_at, '2026-10-19T12:00:00.000Z', 'Agent timestamp is kept');
+  assertEqual(rows[3].created_at, now.toISOString(), 'Future timestamps become now');
+  assertEqual(rows[4].message.length, MAX_LOG_MESSAGE_LENGTH, 'Long messages are cut');
+  assertEqual(rows[4].context, {}, 'Context must be an object');
+  assert(rows.every((row) => row.client_id === 'client_test'), 'Rows belong to the sending client');
+
+  assertThrows(() => filterClientLogEntries([]), /non-empty array/, 'Empty batch');
+  assertThrows(
+    () => filterClientLogEntries(Array.from({ length: MAX_LOG_BATCH_SIZE + 1 }, () => entry('x'))),
+    /Too many log entries/,
+    'Oversized batch'
+  );
+}
+
+runSuite('LOG SHIPPING TEST SUITE', [
+  ['Batching and flush', testBatching],
+  ['Spool to disk and restore order', testSpoolAndRestore],
+  ['Rejected batches', testRejectedBatches],
+  ['Client log rows', testClientLogRows],
+]);
@@ -0,0 +1,196 @@
+/**
+ * Recording Sessions Test Suite
+ *
+ * Tests how ActionRecorder streams recorded actions into a server-backed recording session
+ * and how the session merges the synced batches
+ * Run with: node tests/recording-sessions.test.js
+ */
+
+import { ActionRecorder } from '../src/modules-recorder/index.mjs';
+import { actionSignature, getSyncBatch } from '../src/modules-recorder/utils/session-sync.mjs';
+import { mergeRecordedActions, normalizeRecordingSession } from '../src/modules-logic/utils/recording-sessions.js';
+import { runSuite, assert, assertEqual, assertThrows } from './helpers/harness.js';
+
+function clicks(count, from = 0) {
+  return Array.from({ length: count }, (_, i) => ({ type: 'click', timestamp: 1000 + from + i, visual: { screenshot: null } }));
+}
+
+// Session API double backed by mergeRecordedActions, like the actions endpoint
+function createSessionClient() {
+  const client = {
+    stored: [],
+    requests: [],
+    status: 'recording',
+    failSync: false,
+    async syncActions(id, fromIndex, actions) {
+      client.requests.push({ fromIndex, count: actions.length });
+      if (client.failSync) throw new Error('Network down');
+      const merged = mergeRecordedActions(client.stored, fromIndex, JSON.parse(JSON.stringify(actions)));
+      if (!merged) return { synced: false, actionCount: client.stored.length };
+      client.stored = merged;
+      return { synced: true, actionCount: merged.length };
+    },
+    async completeSession(id) {
+      client.status = 'completed';
+      return { id, status: 'completed' };
+    },
+  };
+  return client;
+}
+
+function createRecorder(client) {
+  const recorder = new ActionRecorder({ sessionClient: client });
+  recorder.recordingSession = { id: 'session-1', status: 'recording' };
+  return recorder;
+}
+
+/**
+ * TEST 1: New sessions need a platform and an http(s) URL
+ */
+function testNormalizeSession() {
+  assertEqual(
+    normalizeRecordingSession({ platform: ' Instagram ', url: 'https://www.instagram.com/', name: '  ' }),
+    { platform: 'instagram', url: 'https://www.instagram.com/', name: null },
+    'Platform lowercased, blank name dropped'
+  );
+  assertThrows(() => normalizeRecordingSession({ url: 'https://x.com' }), /platform/, 'Platform required');
+  assertThrows(() => normalizeRecordingSession({ platform: 'twitter', url: 'x.com' }), /http/, 'URL must be http(s)');
+}
+
+/**
+ * TEST 2: A batch replaces the stored actions from its index; gaps are rejected
+ */
+function testMerge() {
+  const stored = clicks(3);
+
+  assertEqual(mergeRecordedActions(stored, 3, clicks(2, 3)).length, 5, 'Appended');
+
+  const changed = { ...stored[1], visual: { screenshot: 'https://cdn/1.png' } };
+  const replaced = mergeRecordedActions(stored, 1, [changed, stored[2]]);
+  assertEqual(replaced.length, 3, 'Tail replaced');
+  assertEqual(replaced[1].visual.screenshot, 'https://cdn/1.png', 'Changed action stored');
+
+  assertEqual(mergeRecordedActions(stored, 5, clicks(1)), null, 'Batch past the stored actions rejected');
+  assertThrows(() => mergeRecordedActions(stored, -1, []), /fromIndex/, 'Negative index');
+  assertThrows(() => mergeRecordedActions(stored, 0, [{ timestamp: 1 }]), /type/, 'Actions need a type');
+  assertThrows(() => mergeRecordedActions(stored, 0, clicks(51)), /Too many/, 'Batch size limited');
+}
+
+/**
+ * TEST 3: Sync batches start at the first new or changed action
+ */
+function testSyncBatch() {
+  const actions = clicks(4);
+  const signatures = actions.map(actionSignature);
+
+  assertEqual(getSyncBatch([], signatures, 10), { fromIndex: 0, count: 4 }, 'Everything is new');
+  assertEqual(getSyncBatch(signatures, signatures, 10), null, 'Up to date');
+
+  const changed = actions.map((action, i) => (i === 1 ? { ...action, visual: { screenshot: 'data:image/png;base64,AAAA' } } : action));
+  assertEqual(getSyncBatch(signatures, changed.map(actionSignature), 10), { fromIndex: 1, count: 3 }, 'Resent from the changed action');
+  assertEqual(getSyncBatch([], signatures, 3), { fromIndex: 0, count: 3 }, 'Batch size limited');
+  assertEqual(getSyncBatch(signatures, signatures.slice(0, 2), 10), null, 'Actions lost in the page are not removed');
+}
+
+/**
+ * TEST 4: ActionRecorder streams new and changed actions and recovers from a session that missed batches
+ */
+async function testRecorderSync() {
+  const client = createSessionClient();
+  const recorder = createRecorder(client);
+  const actions = clicks(12);
+
+  assert(await recorder.syncSession(actions), 'Synced');
+  assertEqual(client.requests, [{ fromIndex: 0, count: 10 }, { fromIndex: 10, count: 2 }], 'Sent in batches');
+  assertEqual(client.stored.length, 12, 'Session holds all actions');
+
+  client.requests = [];
+  assert(await recorder.syncSession(actions), 'Nothing to sync');
+  assertEqual(client.requests, [], 'No request when up to date');
+
+  actions[11] = { ...actions[11], visual: { screenshot: 'https://cdn/11.png' } };
+  actions.push(...clicks(1, 12));
+  await recorder.syncSession(actions);
+  assertEqual(client.requests, [{ fromIndex: 11, count: 2 }], 'Changed and new actions sent');
+  assertEqual(client.stored[11].visual.screenshot, 'https://cdn/11.png', 'Uploaded screenshot stored');
+
+  // Session lost its last actions (e.g. restored from an older state)
+  client.stored = client.stored.slice(0, 5);
+  client.requests = [];
+  actions.push(...clicks(1, 13));
+  assert(await recorder.syncSession(actions), 'Recovered');
+  assertEqual(client.requests, [{ fromIndex: 13, count: 1 }, { fromIndex: 5, count: 9 }], 'Resent from the stored count');
+  assertEqual(client.stored.length, 14, 'Session complete again');
+}
+
+/**
+ * TEST 5: The session is only completed once all actions are synced
+ */
+async function testComplete() {
+  const client = createSessionClient();
+  const recorder = createRecorder(client);
+
+  client.failSync = true;
+  assertEqual(await recorder.completeSession(clicks(3)), false, 'Not completed when sync fails');
+  assertEqual(client.status, 'recording', 'Session stays open for resume');
+
+  client.failSync = false;
+  assertEqual(await recorder.completeSession(clicks(3)), true, 'Completed');
+  assertEqual(client.status, 'completed', 'Session completed');
+  assertEqual(client.stored.length, 3, 'Final actions stored');
+
+  const local = new ActionRecorder();
+  assertEqual(await local.completeSession(clicks(1)), false, 'No session without a client');
+}
+
+/**
+ * TEST 6: Actions are held back while their screenshot waits for upload
+ */
+function testSyncLimit() {
+  const recorder = createRecorder(createSessionClient());
+  recorder.lastActionCount = 6;
+  assertEqual(recorder.getSessionSyncLimit(), 6, 'All captured actions');
+
+  recorder.uploadQueue = [{ actionIndex: 4 }, { actionIndex: 2 }];
+  assertEqual(recorder.getSessionSyncLimit(), 2, 'Up to the first pending upload');
+}
+
+/**
+ * TEST 7: Actions undone in the overlay are dropped from uploads and cut from the session
+ */
+async function testUndo() {
+  const client = createSessionClient();
+  const recorder = createRecorder(client);
+  const actions = clicks(5);
+
+  await recorder.syncSession(actions);
+  recorder.lastActionCount = 5;
+  recorder.backupActions = actions;
+  recorder.uploadQueue = [{ actionIndex: 2 }, { actionIndex: 4 }];
+
+  recorder.handleActionsRemoved(4);
+  assertEqual(recorder.lastActionCount, 4, 'Next action gets a screenshot');
+  assertEqual(recorder.uploadQueue, [{ actionIndex: 2 }], 'Undone upload dropped');
+  assertEqual(recorder.backupActions.length, 4, 'Backup cut');
+
+  client.requests = [];
+  assert(await recorder.syncSession(actions.slice(0, 4)), 'Synced');
+  assertEqual(client.requests, [{ fromIndex: 4, count: 0 }], 'Session cut once');
+  assertEqual(client.stored.length, 4, 'Undone action removed from the session');
+
+  client.requests = [];
+  const next = clicks(1, 10);
+  await recorder.syncSession(actions.slice(0, 4).concat(next));
+  assertEqual(client.requests, [{ fromIndex: 4, count: 1 }], 'New action synced in its place');
+  assertEqual(client.stored[4].timestamp, next[0].timestamp, 'New action stored');
+}
+
+runSuite('RECORDING SESSIONS TEST SUITE', [
+  ['Session validation', testNormalizeSession],
+  ['Merging synced batches', testMerge],
+  ['Sync batches', testSyncBatch],
+  ['Recorder streaming', testRecorderSync],
+  ['Completing a session', testComplete],
+  ['Held back uploads', testSyncLimit],
+  ['Undo', testUndo],
+]);
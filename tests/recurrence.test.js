@@ -0,0 +1,133 @@
+/**
+ * Recurrence Rule Test Suite
+ *
+ * Tests RFC 5545 rule evaluation used by recurring posts
+ * Run with: node tests/recurrence.test.js
+ */
+
+import {
+  parseRecurrenceRule,
+  getNextOccurrence,
+  getUpcomingOccurrences,
+  buildRecurrenceRule,
+  getScheduleOptions,
+  describeRecurrenceRule,
+} from '../src/modules-logic/utils/recurrence.js';
+import { runSuite, assert, assertEqual } from './helpers/harness.js';
+
+const iso = (dates) => dates.map((date) => date.toISOString());
+
+const BERLIN_MWF = 'DTSTART;TZID=Europe/Berlin:20261019T090000\nRRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;BYHOUR=9;BYMINUTE=0';
+
+/**
+ * TEST 1: Weekly rule keeps local time across the DST change (Europe/Berlin, 25 Oct 2026)
+ */
+function testWeeklyAcrossDst() {
+  const occurrences = getUpcomingOccurrences(BERLIN_MWF, 4, new Date('2026-10-20T00:00:00Z'));
+  assertEqual(iso(occurrences), [
+    '2026-10-21T07:00:00.000Z', // CEST (UTC+2)
+    '2026-10-23T07:00:00.000Z',
+    '2026-10-26T08:00:00.000Z', // CET (UTC+1)
+    '2026-10-28T08:00:00.000Z',
+  ], 'Occurrences should stay at 09:00 Berlin time');
+}
+
+/**
+ * TEST 2: Next occurrence is strictly after the reference instant
+ */
+function testNextOccurrenceIsStrict() {
+  const next = getNextOccurrence(BERLIN_MWF, new Date('2026-10-21T07:00:00Z'));
+  assertEqual(next.toISOString(), '2026-10-23T07:00:00.000Z', 'Should skip the occurrence at the reference instant');
+}
+
+/**
+ * TEST 3: COUNT and UNTIL end the series
+ */
+function testSeriesEnd() {
+  const counted = 'DTSTART:20260101T120000Z\nRRULE:FREQ=DAILY;COUNT=3';
+  assertEqual(iso(getUpcomingOccurrences(counted, 10, new Date('2025-12-31T00:00:00Z'))), [
+    '2026-01-01T12:00:00.000Z',
+    '2026-01-02T12:00:00.000Z',
+    '2026-01-03T12:00:00.000Z',
+  ], 'COUNT=3 should produce three occurrences');
+  assert(getNextOccurrence(counted, new Date('2026-01-03T12:00:00Z')) === null, 'Series should end after COUNT');
+
+  const until = 'DTSTART;TZID=Europe/Berlin:20261019T090000\nRRULE:FREQ=DAILY;UNTIL=20261020';
+  assertEqual(getUpcomingOccurrences(until, 10, new Date('2026-10-18T00:00:00Z')).length, 2, 'Date-only UNTIL is inclusive');
+}
+
+/**
+ * TEST 4: Monthly rules (last day of month, nth weekday, interval)
+ */
+function testMonthly() {
+  const lastDay = 'DTSTART;TZID=America/New_York:20260131T083000\nRRULE:FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=3';
+  assertEqual(iso(getUpcomingOccurrences(lastDay, 5, new Date('2026-01-01T00:00:00Z'))), [
+    '2026-01-31T13:30:00.000Z',
+    '2026-02-28T13:30:00.000Z',
+    '2026-03-31T12:30:00.000Z',
+  ], 'BYMONTHDAY=-1 should use the last day of each month');
+
+  const firstMonday = 'DTSTART:20260101T100000Z\nRRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=1MO';
+  assertEqual(iso(getUpcomingOccurrences(firstMonday, 3, new Date('2026-01-01T00:00:00Z'))), [
+    '2026-01-05T10:00:00.000Z',
+    '2026-03-02T10:00:00.000Z',
+    '2026-05-04T10:00:00.000Z',
+  ], 'BYDAY=1MO with INTERVAL=2 should use the first Monday of every other month');
+}
+
+/**
+ * TEST 5: Invalid rules are rejected
+ */
+function testInvalidRules() {
+  const invalid = [
+    '',
+    'RRULE:FREQ=DAILY',
+    'DTSTART:20260101T100000Z',
+    'DTSTART:20260101T100000Z\nRRULE:FREQ=YEARLY',
+    'DTSTART;TZID=Mars/Olympus:20260101T100000\nRRULE:FREQ=DAILY',
+    'DTSTART:20260101T100000Z\nRRULE:FREQ=DAILY;BYHOUR=25',
+    'DTSTART:20260101T100000Z\nRRULE:FREQ=DAILY;COUNT=2;UNTIL=20260301',
+  ];
+  invalid.forEach((rule) => {
+    let threw = false;
+    try {
+      parseRecurrenceRule(rule);
+    } catch (error) {
+      threw = error.message.startsWith('Invalid recurrence rule');
+    }
+    assert(threw, `Rule should be rejected: ${JSON.stringify(rule)}`);
+  });
+}
+
+/**
+ * TEST 6: Form options round-trip through buildRecurrenceRule/getScheduleOptions
+ */
+function testScheduleOptionsRoundTrip() {
+  const options = {
+    frequency: 'weekly',
+    interval: 2,
+    days: ['FR', 'MO'],
+    time: '18:45',
+    timeZone: 'Europe/Berlin',
+    startDate: '2026-10-19',
+    untilDate: '2026-12-31',
+    count: '',
+  };
+  const rule = buildRecurrenceRule(options);
+  assertEqual(rule, 'DTSTART;TZID=Europe/Berlin:20261019T184500\nRRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;BYHOUR=18;BYMINUTE=45;UNTIL=20261231', 'Rule string');
+  assertEqual(getScheduleOptions(rule), { ...options, days: ['MO', 'FR'] }, 'Options should round-trip');
+  assertEqual(
+    describeRecurrenceRule(rule),
+    'Every 2 weeks on Mon, Fri at 18:45 (Europe/Berlin), until 2026-12-31',
+    'Description'
+  );
+}
+
+runSuite('RECURRENCE RULE TEST SUITE', [
+  ['Weekly rule across DST change', testWeeklyAcrossDst],
+  ['Next occurrence is strictly after reference', testNextOccurrenceIsStrict],
+  ['COUNT and UNTIL end the series', testSeriesEnd],
+  ['Monthly rules', testMonthly],
+  ['Invalid rules are rejected', testInvalidRules],
+  ['Schedule options round-trip', testScheduleOptionsRoundTrip],
+]);
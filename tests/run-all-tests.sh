@@ -19,57 +19,59 @@ NC='\033[0m' # No Color
 # Test results
 TOTAL_PASSED=0
 TOTAL_FAILED=0
+SUITE_NAMES=()
+SUITE_EXITS=()
 
 # Create test reports directory
 mkdir -p ./test-reports
 
-# Test 1: Integration Tests
-echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
-echo "Running: Integration Tests (Data Flow & Components)"
-echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
-node tests/integration.test.js
-INTEGRATION_EXIT=$?
+# Run one test suite and record its result
+# Usage: run_suite "<name>" <test file>
+run_suite() {
+    local name="$1"
+    local file="$2"
 
-if [ $INTEGRATION_EXIT -eq 0 ]; then
-    echo -e "${GREEN}✅ Integration tests passed${NC}"
-    ((TOTAL_PASSED++))
-else
-    echo -e "${RED}❌ Integration tests failed${NC}"
-    ((TOTAL_FAILED++))
-fi
-echo ""
+    echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
+    echo "Running: ${name}"
+    echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
+    node "$file"
+    local exit_code=$?
 
-# Test 2: Edge Cases and Error Handling
-echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
-echo "Running: Edge Cases & Error Handling Tests"
-echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
-node tests/edge-cases.test.js
-EDGE_EXIT=$?
+    if [ $exit_code -eq 0 ]; then
+        echo -e "${GREEN}✅ ${name} passed${NC}"
+        ((TOTAL_PASSED++))
+    else
+        echo -e "${RED}❌ ${name} failed${NC}"
+        ((TOTAL_FAILED++))
+    fi
+    echo ""
 
-if [ $EDGE_EXIT -eq 0 ]; then
-    echo -e "${GREEN}✅ Edge case tests passed${NC}"
-    ((TOTAL_PASSED++))
-else
-    echo -e "${RED}❌ Edge case tests failed${NC}"
-    ((TOTAL_FAILED++))
-fi
-echo ""
+    SUITE_NAMES+=("$name")
+    SUITE_EXITS+=($exit_code)
+}
 
-# Test 3: Visual Executor Tests
-echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
-echo "Running: Visual Executor Tests"
-echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
-node src/modules-client/visual-executor.test.js
-VISUAL_EXIT=$?
+# Recorder and executor
+run_suite "Integration Tests (Data Flow & Components)" tests/integration.test.js
+run_suite "Edge Cases & Error Handling Tests" tests/edge-cases.test.js
+run_suite "Visual Executor Tests" src/modules-client/visual-executor.test.js
 
-if [ $VISUAL_EXIT -eq 0 ]; then
-    echo -e "${GREEN}✅ Visual executor tests passed${NC}"
-    ((TOTAL_PASSED++))
-else
-    echo -e "${RED}❌ Visual executor tests failed${NC}"
-    ((TOTAL_FAILED++))
-fi
-echo ""
+# Node suites (shared harness in tests/helpers/harness.js)
+run_suite "Account Groups Tests" tests/account-groups.test.js
+run_suite "Agent Recordings Tests" tests/agent-recordings.test.js
+run_suite "Client Tokens Tests" tests/client-tokens.test.js
+run_suite "Dead-Letter Tests" tests/dead-letter.test.js
+run_suite "Extract / Submit Actions Tests" tests/extract-actions.test.js
+run_suite "Healing Proposals Tests" tests/healing-proposals.test.js
+run_suite "Keypress / Hover / Drag Tests" tests/input-actions.test.js
+run_suite "Job Retry Policy Tests" tests/job-retry.test.js
+run_suite "Job Lease Renewal Tests" tests/lease-renewal.test.js
+run_suite "Log Shipping Tests" tests/log-shipping.test.js
+run_suite "Recording Sessions Tests" tests/recording-sessions.test.js
+run_suite "Recurrence Rule Tests" tests/recurrence.test.js
+run_suite "Similarity Calibration Tests" tests/similarity-calibration.test.js
+run_suite "Recording Overlay Annotations Tests" tests/step-annotations.test.js
+run_suite "Template Rules Tests" tests/template-rules.test.js
+run_suite "Workflow Control Flow Tests" tests/workflow-control-flow.test.js
 
 # Final Summary
 TOTAL_TESTS=$((TOTAL_PASSED + TOTAL_FAILED))
@@ -80,9 +82,14 @@ echo "║                   FINAL TEST SUMMARY                      ║"
 echo "╚═══════════════════════════════════════════════════════════╝"
 echo ""
 echo "Test Suites:"
-echo "  • Integration Tests:      $([ $INTEGRATION_EXIT -eq 0 ] && echo -e "${GREEN}✅ PASSED${NC}" || echo -e "${RED}❌ FAILED${NC}")"
-echo "  • Edge Case Tests:        $([ $EDGE_EXIT -eq 0 ] && echo -e "${GREEN}✅ PASSED${NC}" || echo -e "${RED}❌ FAILED${NC}")"
-echo "  • Visual Executor Tests:  $([ $VISUAL_EXIT -eq 0 ] && echo -e "${GREEN}✅ PASSED${NC}" || echo -e "${RED}❌ FAILED${NC}")"
+for i in "${!SUITE_NAMES[@]}"; do
+    printf "  • %-45s " "${SUITE_NAMES[$i]}:"
+    if [ "${SUITE_EXITS[$i]}" -eq 0 ]; then
+        echo -e "${GREEN}✅ PASSED${NC}"
+    else
+        echo -e "${RED}❌ FAILED${NC}"
+    fi
+done
 echo ""
 echo "───────────────────────────────────────────────────────────"
 echo -e "Total Test Suites: ${TOTAL_TESTS}"
@@ -0,0 +1,107 @@
+/**
+ * Similarity Calibration Test Suite
+ *
+ * Tests per-platform similarity threshold calibration from execution reports
+ * Run with: node tests/similarity-calibration.test.js
+ */
+
+import {
+  collectSimilaritySamples,
+  calibrateThreshold,
+  percentile,
+  MIN_SAMPLES,
+  MIN_THRESHOLD,
+} from '../src/modules-logic/utils/similarity-calibration.js';
+import { runSuite, assert, assertEqual } from './helpers/harness.js';
+
+// Report action entry as written by WorkflowExecutor.runAction
+function visualEntry(scores, chosenIndex, method = 'combined', success = true) {
+  return {
+    name: 'Click Share',
+    type: 'click',
+    success,
+    method: 'visual',
+    similarity: { method, threshold: 0.7, scores, chosenIndex, matched: chosenIndex !== null },
+  };
+}
+
+/**
+ * TEST 1: Samples come from completed runs only, including sub-workflow actions
+ */
+function testCollectSamples() {
+  const reports = [
+    {
+      status: 'completed',
+      actions: [
+        visualEntry([0.62, 0.91, null], 1),
+        { name: 'Navigate', type: 'navigate', success: true, method: 'navigation', similarity: null },
+        {
+          name: 'Login',
+          type: 'call_workflow',
+          success: true,
+          method: 'call_workflow',
+          subWorkflow: { actions: [visualEntry([0.88, 0.4], 0)] },
+        },
+      ],
+    },
+    // Failed run: the chosen candidate may have been the wrong one
+    { status: 'failed', actions: [visualEntry([0.5, 0.55], 1)] },
+    {
+      status: 'completed',
+      actions: [
+        visualEntry([0.3, 0.2], null), // Nothing chosen
+        visualEntry([0.99, 0.1], 0, 'phash'), // Other method
+        visualEntry([0.8, 0.6], 0, 'combined', false), // Failed action
+      ],
+    },
+  ];
+
+  const samples = collectSimilaritySamples(reports, 'combined');
+  assertEqual(samples.positives.sort(), [0.88, 0.91], 'Chosen scores are positives');
+  assertEqual(samples.negatives.sort(), [0.4, 0.62], 'Other candidates are negatives');
+}
+
+/**
+ * TEST 2: Threshold lies between positives and negatives
+ */
+function testCalibrateBetweenClusters() {
+  const positives = Array.from({ length: 40 }, (_, i) => 0.8 + (i % 10) * 0.02);
+  const negatives = Array.from({ length: 40 }, (_, i) => 0.3 + (i % 10) * 0.03);
+
+  const calibration = calibrateThreshold({ positives, negatives });
+  assert(calibration.threshold > percentile(negatives, 90), 'Threshold is above most negatives');
+  assert(calibration.threshold < percentile(positives, 10), 'Threshold is below most positives');
+  assertEqual(calibration.positiveSamples, 40, 'Positive sample count');
+  assertEqual(calibration.negativeSamples, 40, 'Negative sample count');
+}
+
+/**
+ * TEST 3: Without negatives the threshold sits just below the positives and is clamped
+ */
+function testCalibrateWithoutNegatives() {
+  const positives = Array.from({ length: MIN_SAMPLES }, () => 0.9);
+  assertEqual(calibrateThreshold({ positives, negatives: [] }).threshold, 0.85, 'Margin below positives');
+
+  const weak = Array.from({ length: MIN_SAMPLES }, () => 0.2);
+  assertEqual(calibrateThreshold({ positives: weak, negatives: [] }).threshold, MIN_THRESHOLD, 'Clamped to minimum');
+}
+
+/**
+ * TEST 4: Too few samples are rejected
+ */
+function testNotEnoughSamples() {
+  try {
+    calibrateThreshold({ positives: [0.9, 0.8], negatives: [0.1] });
+  } catch (error) {
+    assert(error.message.startsWith('Not enough samples'), `Unexpected error: ${error.message}`);
+    return;
+  }
+  throw new Error('Calibration with 2 samples should fail');
+}
+
+runSuite('SIMILARITY CALIBRATION TEST SUITE', [
+  ['Samples from execution reports', testCollectSamples],
+  ['Threshold between positives and negatives', testCalibrateBetweenClusters],
+  ['Threshold without negatives', testCalibrateWithoutNegatives],
+  ['Not enough samples', testNotEnoughSamples],
+]);
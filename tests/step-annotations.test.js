@@ -0,0 +1,120 @@
+/**
+ * Recording Overlay Annotations Test Suite
+ *
+ * Tests how step names, optional steps, template variables and redactions chosen in the
+ * recording overlay carry through convertToMicroActions into saved micro-actions
+ * Run with: node tests/step-annotations.test.js
+ */
+
+import { convertToMicroActions } from '../src/modules-recorder/utils/action-converter.mjs';
+import { toElementRedactions } from '../src/modules-recorder/utils/step-annotations.mjs';
+import { RecorderClientScript } from '../src/modules-recorder/client-script/recorderClientScript.mjs';
+import { toMicroActionRows } from '../src/modules-logic/utils/agent-recordings.js';
+import { runSuite, assert, assertEqual } from './helpers/harness.js';
+
+// Recorded event as pushed by the recorder client script
+function recorded(type, timestamp, overrides = {}) {
+  return {
+    type,
+    timestamp,
+    visual: {
+      screenshot: null,
+      text: 'Share',
+      position: { absolute: { x: 600, y: 300 }, relative: { x: 46.88, y: 41.67 } },
+      boundingBox: { x: 560, y: 280, width: 80, height: 40 },
+      surroundingText: [],
+      timestamp,
+      viewport: { width: 1280, height: 720 },
+    },
+    backup_selector: 'button.share',
+    execution_method: 'visual_first',
+    ...overrides,
+  };
+}
+
+/**
+ * TEST 1: Step names and optional steps replace the generated names
+ */
+function testNameAndOptional() {
+  const actions = convertToMicroActions([
+    recorded('click', 1000, { step_name: '  Open the share dialog ', optional: true }),
+    recorded('click', 5000),
+  ]).filter((action) => action.type !== 'wait');
+
+  assertEqual(actions[0].name, 'Open the share dialog', 'Step name trimmed');
+  assertEqual(actions[0].optional, true, 'Optional step');
+  assertEqual(actions[1].name, 'Click "Share"', 'Generated name without a step name');
+  assert(!('optional' in actions[1]), 'Steps are required by default');
+}
+
+/**
+ * TEST 2: Template variables replace typed values and upload paths; merged typing keeps the
+ * choices of all its parts
+ */
+function testTemplateVariables() {
+  const field = { backup_selector: 'input[name="q"]', element: { tag: 'input', name: 'q' } };
+  const actions = convertToMicroActions([
+    recorded('type', 1000, { ...field, value: 'coffee', step_name: 'Search' }),
+    recorded('type', 1500, { ...field, value: 'coffee shops', template_variable: 'searchTerm' }),
+    recorded('type', 5000, { value: 'hello@example.com', backup_selector: 'input.contact', template_variable: 'email' }),
+    { type: 'upload', timestamp: 9000, selector: 'input[type="file"]', template_variable: 'videoPath' },
+  ]).filter((action) => action.type !== 'wait');
+
+  assertEqual(actions.map((action) => action.type), ['type', 'type', 'upload'], 'Typing in the same field merged');
+  assertEqual(actions[0].name, 'Search', 'Name of the first part kept');
+  assertEqual(actions[0].text, '{{searchTerm}}', 'Custom variable of the last part applied');
+  assertEqual(actions[1].text, '{{email}}', 'Listed variable applied');
+  assertEqual(actions[2].filePath, '{{videoPath}}', 'Upload path templated');
+}
+
+/**
+ * TEST 3: Redacted viewport regions become regions of the element screenshot
+ */
+function testRedactions() {
+  const box = { x: 560, y: 280, width: 80, height: 40 };
+
+  assertEqual(
+    toElementRedactions([{ x: 600, y: 260, width: 100, height: 30 }, { x: 0, y: 0, width: 50, height: 50 }], box),
+    [{ x: 40, y: 0, width: 40, height: 10 }],
+    'Clipped to the element, regions elsewhere dropped'
+  );
+  assertEqual(toElementRedactions(undefined, box), [], 'No redactions');
+  assertEqual(toElementRedactions([{ x: 0, y: 0, width: 10, height: 10 }], null), [], 'No bounding box');
+
+  const actions = convertToMicroActions([
+    recorded('click', 1000, { redactions: [{ x: 550, y: 270, width: 40, height: 40 }] }),
+    recorded('click', 5000, { redactions: [{ x: 0, y: 0, width: 40, height: 40 }] }),
+  ]).filter((action) => action.type !== 'wait');
+
+  assertEqual(actions[0].visual.redactions, [{ x: 0, y: 0, width: 30, height: 30 }], 'Redaction carried into the visual data');
+  assert(!('redactions' in actions[1].visual), 'Regions outside the element are not stored');
+}
+
+/**
+ * TEST 4: Agent recordings keep the choices when saved as micro-action rows
+ */
+function testMicroActionRows() {
+  const microActions = convertToMicroActions([
+    recorded('click', 1000, { step_name: 'Dismiss cookie banner', optional: true }),
+  ]);
+  const [row] = toMicroActionRows(microActions, 'instagram');
+
+  assertEqual(row.name, 'Dismiss cookie banner', 'Row named after the step');
+  assertEqual(row.params.optional, true, 'Optional flag kept in params');
+}
+
+/**
+ * TEST 5: The injected client script with the overlay compiles
+ */
+function testClientScript() {
+  assert(new Function(RecorderClientScript), 'Client script compiles');
+  assert(RecorderClientScript.includes('["username","password","email","caption","imagePath","videoPath","url","phone","hashtags","location","altText"]'), 'Template variables embedded');
+}
+
+runSuite('RECORDING OVERLAY ANNOTATIONS SUITE', [
+  ['Step names and optional steps', testNameAndOptional],
+  ['Template variables', testTemplateVariables],
+  ['Redactions', testRedactions],
+  ['Micro-action rows', testMicroActionRows],
+  ['Client script', testClientScript],
+]);
@@ -0,0 +1,138 @@
+/**
+ * Template Rules Test Suite
+ *
+ * Tests the configurable template variable rules that replace typed personal data while
+ * recording, the review flag of values no rule matched and the variable maps of job content
+ * Run with: node tests/template-rules.test.js
+ */
+
+import {
+  DEFAULT_TEMPLATE_RULES,
+  getTemplateRules,
+  validateTemplateRules,
+  replaceWithTemplate,
+  isVerbatimValue,
+} from '../src/modules-recorder/utils/template-replacement.mjs';
+import { convertToMicroActions } from '../src/modules-recorder/utils/action-converter.mjs';
+import { normalizeTemplateVariables } from '../src/modules-logic/utils/template-variables.js';
+import { runSuite, assert, assertEqual, assertThrows } from './helpers/harness.js';
+
+/**
+ * TEST 1: Default rules match on attributes, surrounding text and values
+ */
+function testDefaultRules() {
+  assertEqual(replaceWithTemplate('hunter2', { tag: 'input', type: 'password' }), '{{password}}', 'Password field');
+  assertEqual(replaceWithTemplate('jane', { tag: 'input', name: 'username' }), '{{username}}', 'Username field');
+  assertEqual(replaceWithTemplate('Berlin', { tag: 'input', placeholder: 'Add location' }), '{{location}}', 'Location field');
+  assertEqual(replaceWithTemplate('A cup of coffee', { tag: 'input', ariaLabel: 'Alt text' }), '{{altText}}', 'Alt text field');
+  assertEqual(
+    replaceWithTemplate('A cup of coffee', { tag: 'input' }, { surroundingText: ['Write alt text'] }),
+    '{{altText}}',
+    'Alt text label next to the field'
+  );
+  assertEqual(replaceWithTemplate('Good morning', { tag: 'textarea' }), '{{caption}}', 'Caption textarea');
+
+  // Fields without telling attributes
+  assertEqual(replaceWithTemplate('https://example.com/shop', { tag: 'input' }), '{{url}}', 'Link URL value');
+  assertEqual(replaceWithTemplate('+49 30 1234567', { tag: 'input' }), '{{phone}}', 'Phone number value');
+  assertEqual(replaceWithTemplate('#coffee #morning', { tag: 'input' }), '{{hashtags}}', 'Hashtags value');
+  assertEqual(replaceWithTemplate('jane@example.com', { tag: 'input' }), '{{email}}', 'Email value');
+
+  assertEqual(replaceWithTemplate('coffee', { tag: 'input', name: 'q' }), 'coffee', 'Unmatched value kept');
+  assertEqual(replaceWithTemplate('2024', { tag: 'input' }), '2024', 'Short numbers are no phone numbers');
+  assertEqual(replaceWithTemplate('', { tag: 'input', type: 'password' }), '', 'Empty value');
+}
+
+/**
+ * TEST 2: Platform and custom rules come before the defaults
+ */
+function testPlatformRules() {
+  const rules = getTemplateRules('instagram');
+  assert(rules.length > DEFAULT_TEMPLATE_RULES.length, 'Instagram adds its own rules');
+  assertEqual(
+    replaceWithTemplate('Berlin', { tag: 'input', placeholder: 'Search location' }, { rules }),
+    '{{location}}',
+    'Instagram location search'
+  );
+  assertEqual(getTemplateRules('unknown'), DEFAULT_TEMPLATE_RULES, 'Unknown platforms use the defaults');
+
+  const custom = getTemplateRules('instagram', [
+    { variable: 'couponCode', attributes: { name: 'coupon' } },
+    { variable: 'city', attributes: { placeholder: 'location' }, surroundingText: '^shipping' },
+  ]);
+  assertEqual(replaceWithTemplate('SAVE10', { name: 'coupon' }, { rules: custom }), '{{couponCode}}', 'Custom rule');
+  assertEqual(
+    replaceWithTemplate('Berlin', { placeholder: 'Add location' }, { rules: custom, surroundingText: ['Shipping address'] }),
+    '{{city}}',
+    'Custom rule matching attributes and surrounding text'
+  );
+  assertEqual(
+    replaceWithTemplate('Berlin', { placeholder: 'Add location' }, { rules: custom }),
+    '{{location}}',
+    'All conditions of a rule must match'
+  );
+}
+
+/**
+ * TEST 3: Invalid rules are rejected
+ */
+function testValidation() {
+  assertThrows(() => validateTemplateRules({}), /must be an array/, 'Rules must be an array');
+  assertThrows(() => validateTemplateRules([{ variable: 'my-var', value: '.' }]), /needs a variable name/, 'Invalid variable name');
+  assertThrows(() => validateTemplateRules([{ variable: 'city' }]), /needs attributes, surroundingText or value/, 'Rule without conditions');
+  assertThrows(() => validateTemplateRules([{ variable: 'city', value: '(' }]), /invalid pattern/, 'Invalid pattern');
+  assertThrows(() => getTemplateRules('instagram', [{ variable: 'city' }]), /Template rule 1/, 'Custom rules are checked');
+}
+
+/**
+ * TEST 4: Typed values no rule matched are flagged for review
+ */
+function testReviewFlag() {
+  assert(isVerbatimValue('coffee'), 'Plain text is verbatim');
+  assert(!isVerbatimValue('{{hashtags}}'), 'Variables are not');
+  assert(!isVerbatimValue('Hello {{ username }}!'), 'Text with variables is not');
+  assert(!isVerbatimValue('   '), 'Blank text is not');
+
+  const visual = {
+    screenshot: null,
+    text: '',
+    position: { absolute: { x: 100, y: 100 }, relative: { x: 10, y: 10 } },
+    boundingBox: { x: 50, y: 80, width: 100, height: 40 },
+    surroundingText: [],
+    timestamp: 1000,
+    viewport: { width: 1280, height: 720 },
+  };
+  const actions = convertToMicroActions([
+    { type: 'type', timestamp: 1000, visual, backup_selector: 'input.search', value: 'coffee' },
+    { type: 'type', timestamp: 5000, visual, backup_selector: 'input.tags', value: '{{hashtags}}' },
+  ]).filter((action) => action.type === 'type');
+
+  assertEqual(actions[0].needs_review, true, 'Verbatim value flagged');
+  assert(!('needs_review' in actions[1]), 'Templated value not flagged');
+}
+
+/**
+ * TEST 5: Variable maps of job content
+ */
+function testJobVariables() {
+  assertEqual(
+    normalizeTemplateVariables({ hashtags: '#coffee', year: 2026 }),
+    { hashtags: '#coffee', year: '2026' },
+    'Numbers become strings'
+  );
+  assertEqual(normalizeTemplateVariables(undefined), null, 'No variables');
+  assertEqual(normalizeTemplateVariables({}), null, 'Empty map');
+
+  assertThrows(() => normalizeTemplateVariables(['#coffee']), /^Invalid variables/, 'Arrays are rejected');
+  assertThrows(() => normalizeTemplateVariables({ 'alt text': 'x' }), /not a valid name/, 'Invalid name');
+  assertThrows(() => normalizeTemplateVariables({ location: { city: 'Berlin' } }), /string or a number/, 'Nested values');
+  assertThrows(() => normalizeTemplateVariables({ caption2: 'x'.repeat(2201) }), /2200 characters/, 'Too long');
+}
+
+runSuite('TEMPLATE RULES TEST SUITE', [
+  ['Default rules', testDefaultRules],
+  ['Platform and custom rules', testPlatformRules],
+  ['Rule validation', testValidation],
+  ['Review flag', testReviewFlag],
+  ['Job variables', testJobVariables],
+]);
@@ -0,0 +1,196 @@
+/**
+ * Workflow Control Flow Test Suite
+ *
+ * Tests validation and conversion of if/loop/optional and call_workflow steps, and running
+ * converted if/loop actions
+ * Run with: node tests/workflow-control-flow.test.js
+ */
+
+import {
+  validateWorkflowSteps,
+  collectMicroActionIds,
+  populateMicroActions,
+  convertWorkflowToActions,
+  MAX_LOOP_ITERATIONS,
+} from '../src/modules-logic/utils/workflow-converter.js';
+import { WorkflowExecutor } from '../src/modules-client/workflow-executor.js';
+import { runSuite, assert, assertEqual, assertThrows } from './helpers/harness.js';
+
+const MICRO_ACTIONS = [
+  { id: 'ma-login', name: 'Click login', type: 'click', params: { backup_selector: '#login' } },
+  { id: 'ma-not-now', name: 'Click Not Now', type: 'click', params: { visual: { text: 'Not Now' } } },
+  { id: 'ma-dialog', name: 'Notifications dialog', type: 'click', params: { backup_selector: '[role="dialog"]' } },
+  { id: 'ma-scroll', name: 'Scroll feed', type: 'scroll', params: { direction: 'down' } },
+];
+
+const WORKFLOW = {
+  id: 'wf-1',
+  name: 'Login',
+  platform: 'instagram',
+  type: 'auth',
+  steps: [
+    { micro_action_id: 'ma-login', params_override: {} },
+    { micro_action_id: 'ma-not-now', params_override: {}, optional: true },
+    {
+      type: 'if',
+      name: 'Notifications prompt',
+      condition: { type: 'visible', micro_action_id: 'ma-dialog', negate: false },
+      then: [{ micro_action_id: 'ma-not-now', params_override: {} }],
+      else: [],
+    },
+    {
+      type: 'loop',
+      name: 'Load more',
+      condition: { type: 'text', text: 'Load more' },
+      max_iterations: 5,
+      steps: [{ micro_action_id: 'ma-scroll', params_override: { amount: 500 } }],
+    },
+  ],
+};
+
+function testValidation() {
+  validateWorkflowSteps(WORKFLOW.steps);
+
+  assertThrows(() => validateWorkflowSteps([]), /non-empty/, 'Empty workflows are rejected');
+  assertThrows(() => validateWorkflowSteps([{ params_override: {} }]), /micro_action_id/, 'Steps need a micro-action');
+  assertThrows(
+    () => validateWorkflowSteps([{ type: 'if', condition: { type: 'text', text: 'x' }, then: [] }]),
+    /Step 1 then must contain at least one step/,
+    'If blocks need a then branch'
+  );
+  assertThrows(
+    () => validateWorkflowSteps([{ type: 'if', condition: { type: 'color' }, then: [{ micro_action_id: 'a' }] }]),
+    /condition type/,
+    'Unknown conditions are rejected'
+  );
+  assertThrows(
+    () => validateWorkflowSteps([{ type: 'loop', steps: [{ micro_action_id: 'a' }] }]),
+    /max_iterations/,
+    'Loops must be bounded'
+  );
+  assertThrows(
+    () => validateWorkflowSteps([{ type: 'loop', max_iterations: MAX_LOOP_ITERATIONS + 1, steps: [{ micro_action_id: 'a' }] }]),
+    /max_iterations/,
+    'Loops are capped'
+  );
+  assertThrows(
+    () => validateWorkflowSteps([{ type: 'loop', max_iterations: 2, steps: [{ type: 'if', condition: { type: 'variable' }, then: [{ micro_action_id: 'a' }] }] }]),
+    /Step 1 loop 1: variable condition needs a name/,
+    'Nested steps are validated with their path'
+  );
+}
+
+function testCollectIds() {
+  const ids = collectMicroActionIds(WORKFLOW.steps).sort();
+  assert(
+    JSON.stringify(ids) === JSON.stringify(['ma-dialog', 'ma-login', 'ma-not-now', 'ma-scroll']),
+    `Nested and condition IDs are collected once, got ${ids.join(', ')}`
+  );
+}
+
+function testConversion() {
+  const { actions } = convertWorkflowToActions(populateMicroActions(WORKFLOW, MICRO_ACTIONS));
+
+  assert(actions.length === 4, 'Top-level steps map to top-level actions');
+  assert(actions[0].type === 'click' && actions[0].backup_selector === '#login' && !actions[0].optional, 'Plain steps are unchanged');
+  assert(actions[1].optional === true, 'Optional flag is kept');
+
+  const ifAction = actions[2];
+  assert(ifAction.type === 'if' && ifAction.name === 'Notifications prompt', 'If step becomes an if action');
+  assert(ifAction.condition.selector === '[role="dialog"]' && !ifAction.condition.micro_action_id, 'Condition micro-action is resolved to its selector');
+  assert(ifAction.then.length === 1 && ifAction.then[0].name === 'Click Not Now', 'Then branch is converted');
+  assert(Array.isArray(ifAction.else) && ifAction.else.length === 0, 'Empty else branch stays empty');
+
+  const loop = actions[3];
+  assert(loop.type === 'loop' && loop.maxIterations === 5, 'Loop keeps its bound');
+  assert(loop.condition.type === 'text' && loop.condition.text === 'Load more', 'Text condition is passed through');
+  assert(loop.actions[0].params.amount === 500 && loop.actions[0].params.direction === 'down', 'Nested overrides are merged');
+}
+
+function testMissingMicroAction() {
+  const workflow = populateMicroActions(WORKFLOW, MICRO_ACTIONS.filter((ma) => ma.id !== 'ma-scroll'));
+  assertThrows(
+    () => convertWorkflowToActions(workflow),
+    /Step 4 loop 1 \(micro_action_id: ma-scroll\) is missing micro_action data/,
+    'Missing nested micro-actions are reported with their path'
+  );
+}
+
+function testSubWorkflowConversion() {
+  const workflow = {
+    id: 'wf-post',
+    name: 'Post',
+    steps: [
+      {
+        type: 'call_workflow',
+        workflow_id: 'wf-1',
+        params: { username: '{{account}}' },
+        outputs: { loginUrl: 'url' },
+        // Resolved by services/workflows.js
+        workflow: { ...WORKFLOW, version: '1.2.0' },
+      },
+      { micro_action_id: 'ma-scroll', params_override: {} },
+    ],
+  };
+
+  validateWorkflowSteps(workflow.steps);
+  assertThrows(() => validateWorkflowSteps([{ type: 'call_workflow' }]), /workflow_id/, 'Calls need a workflow_id');
+  assertThrows(
+    () => validateWorkflowSteps([{ type: 'call_workflow', workflow_id: 'wf-1', params: ['x'] }]),
+    /params must be an object/,
+    'Parameter mapping must be an object'
+  );
+
+  const ids = collectMicroActionIds(workflow.steps);
+  assert(ids.includes('ma-dialog') && ids.includes('ma-login'), 'IDs of the called workflow are collected');
+
+  const { actions } = convertWorkflowToActions(populateMicroActions(workflow, MICRO_ACTIONS));
+  const call = actions[0];
+  assert(call.type === 'call_workflow' && call.workflowId === 'wf-1' && call.version === '1.2.0', 'Call keeps the called workflow and version');
+  assert(call.name === 'Login', 'Call is named after the called workflow by default');
+  assert(call.params.username === '{{account}}' && call.outputs.loginUrl === 'url', 'Mappings are passed through');
+  assert(call.actions.length === 4 && call.actions[2].type === 'if', 'Called workflow actions are nested');
+  assert(actions[1].type === 'scroll', 'Caller steps follow the call');
+
+  assertThrows(
+    () => convertWorkflowToActions({ steps: [{ type: 'call_workflow', workflow_id: 'wf-1' }] }),
+    /missing the called workflow/,
+    'Unresolved calls are reported'
+  );
+}
+
+/**
+ * TEST 6: A condition that cannot be evaluated counts as not met and is reported
+ */
+async function testUnknownConditionType() {
+  const warnings = [];
+  const logger = { info() {}, warn: (message) => warnings.push(message), error() {} };
+  const executor = new WorkflowExecutor({}, { logger, logProgress: false, delayBetweenActions: 1, randomizeDelay: false });
+  const wait = (name) => ({ name, type: 'wait', params: { duration: 1 } });
+
+  const result = await executor.executeWorkflow([
+    { name: 'Dialog open?', type: 'if', condition: { type: 'element_count' }, then: [wait('Then step')], else: [wait('Else step')] },
+    { name: 'Scroll feed', type: 'loop', maxIterations: 3, condition: { type: 'element_count' }, actions: [wait('Loop step')] },
+    { name: 'Logged in?', type: 'if', condition: { type: 'variable', name: 'missing', negate: true }, then: [wait('After')] },
+  ]);
+
+  assert(result.success, 'Workflow keeps running');
+  assertEqual(result.executionReport.actions.map((action) => action.name), ['Else step', 'After'], 'Else branch, no loop iterations');
+
+  const [ifEntry, loopEntry, variableEntry] = result.executionReport.controlFlow;
+  assertEqual(ifEntry.branch, 'else', 'If takes the else branch');
+  assertEqual(ifEntry.error, 'Unknown condition type: element_count', 'If entry records the error');
+  assertEqual(loopEntry.iterations, 0, 'Loop does not run');
+  assertEqual(loopEntry.error, 'Unknown condition type: element_count', 'Loop entry records the error');
+  assert(!('error' in variableEntry) && variableEntry.branch === 'then', 'Known conditions are unaffected');
+  assertEqual(warnings.length, 2, 'Each failed condition is logged');
+}
+
+runSuite('WORKFLOW CONTROL FLOW TEST SUITE', [
+  ['Step validation', testValidation],
+  ['Micro-action ID collection', testCollectIds],
+  ['Conversion to actions', testConversion],
+  ['Missing nested micro-action', testMissingMicroAction],
+  ['Sub-workflow conversion', testSubWorkflowConversion],
+  ['Unknown condition type', testUnknownConditionType],
+]);
@@ -7,6 +7,13 @@ import { importAlias } from '../src/modules-view/utils/resolve-alias.mjs';
 
 // Import using alias resolver
 const { ActionRecorder } = await importAlias('@modules-recorder/index.mjs');
+const { createSessionClientFromEnv } = await importAlias('@modules-recorder/utils/session-sync.mjs');
+
+// --resume <sessionId> resumes an interrupted recording session, --local skips the server
+const args = process.argv.slice(2);
+const resumeArgIndex = args.indexOf('--resume');
+const resumeArg = resumeArgIndex !== -1 ? args[resumeArgIndex + 1] : null;
+const localOnly = args.includes('--local');
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -84,6 +91,28 @@ async function optimizeScreenshot(base64Screenshot) {
   }
 }
 
+/**
+ * Offer to resume a recording session that was interrupted (still recording)
+ * @param {RecordingSessionClient} sessionClient - Recording session API client
+ * @returns {Promise<Object|null>} Session summary, or null to start a new one
+ */
+async function promptResumeSession(sessionClient) {
+  const interrupted = await sessionClient.listSessions({ status: 'recording', limit: 10 });
+  if (interrupted.length === 0) {
+    return null;
+  }
+
+  console.log('♻️  Interrupted recording sessions:');
+  interrupted.forEach((session, index) => {
+    const updated = new Date(session.updated_at || session.created_at).toLocaleString();
+    console.log(`   ${index + 1}. ${session.name || session.id} (${session.platform}, ${session.action_count} actions, last synced ${updated})`);
+  });
+
+  const answer = await question('Resume one? Enter its number, or press ENTER to start a new recording: ');
+  const index = parseInt(answer, 10) - 1;
+  return interrupted[index] || null;
+}
+
 /**
  * Optimize all screenshots in recording
  */
@@ -114,41 +143,76 @@ async function main() {
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
   try {
-    // Prompt for platform
-    const platform = await question('Platform (instagram/facebook/twitter): ');
-    if (!['instagram', 'facebook', 'twitter'].includes(platform.toLowerCase())) {
-      console.error('❌ Invalid platform. Must be instagram, facebook, or twitter.');
-      process.exit(1);
-    }
-
-    // Prompt for URL
-    const url = await question('Starting URL (e.g., https://instagram.com/accounts/login): ');
-    if (!url || !url.startsWith('http')) {
-      console.error('❌ Invalid URL. Must start with http:// or https://');
-      process.exit(1);
+    // Server-backed recording session (streams actions so the recording survives crashes)
+    let sessionClient = localOnly ? null : createSessionClientFromEnv();
+    let resumeSession = null;
+    if (sessionClient) {
+      try {
+        resumeSession = resumeArg
+          ? await sessionClient.getSession(resumeArg)
+          : await promptResumeSession(sessionClient);
+      } catch (error) {
+        if (resumeArg) {
+          throw new Error(`Cannot resume recording session ${resumeArg}: ${error.message}`);
+        }
+        console.warn(`⚠️  Recording session API unavailable (${error.message}), recording to a local file only\n`);
+        sessionClient = null;
+      }
+    } else if (resumeArg) {
+      throw new Error('Resuming needs the recording session API (set RECORDER_API_TOKEN or ADMIN_EMAIL/ADMIN_PASSWORD)');
+    } else if (!localOnly) {
+      console.log('💡 Set RECORDER_API_TOKEN or ADMIN_EMAIL/ADMIN_PASSWORD to save recordings as server sessions\n');
     }
 
-    // Prompt for session name (optional, will use platform_timestamp if not provided)
-    let sessionName = await question('Session name (optional, press ENTER for auto-generated): ');
+    let platform;
+    let url;
+    let sessionName;
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    if (!sessionName.trim()) {
-      sessionName = `${platform}_${timestamp}`;
+
+    if (resumeSession) {
+      platform = resumeSession.platform;
+      url = resumeSession.url;
+      sessionName = resumeSession.name || resumeSession.id;
+    } else {
+      // Prompt for platform
+      platform = await question('Platform (instagram/facebook/twitter): ');
+      if (!['instagram', 'facebook', 'twitter'].includes(platform.toLowerCase())) {
+        console.error('❌ Invalid platform. Must be instagram, facebook, or twitter.');
+        process.exit(1);
+      }
+      platform = platform.toLowerCase();
+
+      // Prompt for URL
+      url = await question('Starting URL (e.g., https://instagram.com/accounts/login): ');
+      if (!url || !url.startsWith('http')) {
+        console.error('❌ Invalid URL. Must start with http:// or https://');
+        process.exit(1);
+      }
+
+      // Prompt for session name (optional, will use platform_timestamp if not provided)
+      sessionName = await question('Session name (optional, press ENTER for auto-generated): ');
+      if (!sessionName.trim()) {
+        sessionName = `${platform}_${timestamp}`;
+      }
     }
 
     // Show platform-specific message
     if (platform === 'instagram' || platform === 'facebook') {
       console.log('\n📱 Opening browser in mobile mode for ' + platform + '...');
       console.log('💡 TIP: The page will look like mobile ' + platform);
-      console.log('🎬 Recording overlay will show status in top-right corner\n');
+      console.log('🎬 Recording overlay will show status and step controls in the bottom-right corner\n');
     } else {
       console.log('\n🚀 Starting recorder...\n');
     }
 
     // Create recorder instance
-    const recorder = new ActionRecorder();
+    const recorder = new ActionRecorder({ sessionClient });
 
     // Start recording
-    const sessionInfo = await recorder.startRecording(url, platform);
+    const sessionInfo = await recorder.startRecording(url, platform, {
+      sessionName,
+      resumeSessionId: resumeSession?.id,
+    });
 
     console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     if (platform === 'instagram' || platform === 'facebook') {
@@ -156,8 +220,12 @@ async function main() {
     } else {
       console.log('🎬 Browser opened');
     }
-    console.log('📹 Look for recording indicator in top-right corner');
+    console.log('📹 Name, undo or redact steps in the overlay (bottom-right corner)');
     console.log('💡 Press F12 if you want to see detailed logs');
+    if (sessionInfo.sessionId) {
+      console.log(`🗄️  Saving to recording session ${sessionInfo.sessionId}`);
+      console.log(`   If recording is interrupted, resume with: npm run record -- --resume ${sessionInfo.sessionId}`);
+    }
     console.log('⏹️  When done, press ENTER here to stop recording.');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
@@ -195,8 +263,8 @@ async function main() {
 
     console.log('\n⏹️  Stopping recording...\n');
 
-    // Stop recording
-    const recordedActions = await recorder.stopRecording();
+    // Stop recording (the session is completed once screenshots are optimized)
+    const recordedActions = await recorder.stopRecording({ completeSession: false });
 
     // Calculate initial size
     const initialSize = calculateScreenshotSize(recordedActions);
@@ -285,6 +353,9 @@ async function main() {
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
     }
 
+    // Store the final actions in the recording session and complete it
+    const sessionCompleted = await recorder.completeSession(optimizedActions);
+
     // Convert to micro-actions
     console.log('🔄 Converting to micro-actions format...\n');
     const microActions = recorder.convertToMicroActions(optimizedActions);
@@ -310,7 +381,7 @@ async function main() {
     //   }
     // }
     const recordingData = {
-      sessionId: uuidv4(),
+      sessionId: sessionInfo.sessionId || uuidv4(),
       platform: platform.toLowerCase(),
       url,
       timestamp: new Date().toISOString(),
@@ -326,6 +397,9 @@ async function main() {
             backup_selector: action.backup_selector || null,
             execution_method: action.execution_method || 'visual_first',
             ...(action.type === 'type' ? { text: action.text || '' } : {}),
+            ...(action.type === 'keypress' ? { key: action.key, modifiers: action.modifiers } : {}),
+            ...(action.type === 'hover' ? { duration: action.duration } : {}),
+            ...(action.type === 'drag' ? { delta: action.delta } : {}),
           };
         } else {
           // Old format - in params
@@ -377,10 +451,19 @@ async function main() {
     }
     console.log(`\n💾 FILE SAVED:`);
     console.log(`   ${filepath}\n`);
+    if (sessionCompleted) {
+      console.log('🗄️  RECORDING SESSION:');
+      console.log(`   ${sessionInfo.sessionId} (completed)\n`);
+    }
     console.log('📋 NEXT STEPS:');
     console.log('   1. Go to admin UI: http://localhost:3000/admin/micro-actions');
-    console.log('   2. Click "Import Recording"');
-    console.log('   3. Select the JSON file from recordings/ folder');
+    if (sessionCompleted) {
+      console.log('   2. Click "Import from Session"');
+      console.log(`   3. Pick "${sessionName}"`);
+    } else {
+      console.log('   2. Click "Import Recording"');
+      console.log('   3. Select the JSON file from recordings/ folder');
+    }
     console.log('   4. Review and import the micro-actions\n');
     console.log('💡 TIP:');
     if (finalSize > 5120) {